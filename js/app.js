@@ -7,7 +7,16 @@ const AppState = {
     apiKey: '',
     currentTab: 'text',
     isAnalyzing: false,
-    theme: 'light'
+    theme: 'light',
+    lastTextResults: null,
+    references: [],
+    lastReferenceComparison: null,
+    batchDocuments: [],
+    lastBatch: null,
+    findingCursor: { index: -1, span: -1 },
+    checkedClaims: [],
+    textDocument: null,
+    errorLevel: null
 };
 
 // ============================================
@@ -20,7 +29,9 @@ document.addEventListener('DOMContentLoaded', () => {
     initParticles();
     initAnimations();
     initUploadZone();
+    initBatchZone();
     initTextInput();
+    initPolicySelect();
     loadSavedApiKey();
     initScrollAnimations();
 });
@@ -235,14 +246,113 @@ function initTextInput() {
     const textarea = document.getElementById('textInput');
     const charCount = document.getElementById('charCount');
 
+    const card = textarea.closest('.input-card');
+    const input = document.getElementById('documentInput');
+
     textarea.addEventListener('input', () => {
         charCount.textContent = textarea.value.length;
+        // Page and timestamp references only hold for the file's text as loaded
+        if (AppState.textDocument && textarea.value.trim() !== AppState.textDocument.text) setTextDocument(null);
+    });
+
+    card.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        card.classList.add('dragover');
+    });
+
+    card.addEventListener('dragleave', (e) => {
+        if (!card.contains(e.relatedTarget)) card.classList.remove('dragover');
+    });
+
+    card.addEventListener('drop', (e) => {
+        card.classList.remove('dragover');
+        // Dragged text is left to the textarea
+        if (e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        loadDocumentFile(e.dataTransfer.files[0]);
+    });
+
+    input.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) loadDocumentFile(e.target.files[0]);
+        input.value = '';
+    });
+}
+
+async function loadDocumentFile(file) {
+    const textarea = document.getElementById('textInput');
+    let doc;
+    try {
+        doc = DocumentReader.truncate(await DocumentReader.read(file), textarea.maxLength);
+    } catch (error) {
+        showToast(`Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}`, 'error');
+        return;
+    }
+
+    textarea.value = doc.text;
+    document.getElementById('charCount').textContent = doc.text.length;
+    setTextDocument(doc);
+    if (doc.truncated) {
+        showToast(`${escapeHtml(doc.name)} is longer than ${textarea.maxLength.toLocaleString()} characters; only the beginning was loaded`, 'warning');
+    } else {
+        showToast(`Loaded ${escapeHtml(doc.name)}`, 'success');
+    }
+}
+
+function setTextDocument(doc) {
+    AppState.textDocument = doc;
+    const info = document.getElementById('documentInfo');
+    info.hidden = !doc;
+    info.innerHTML = doc ? `
+        <i class="fas fa-file-alt"></i> <strong>${escapeHtml(doc.name)}</strong>
+        <span>${doc.format}</span>
+        ${doc.pages > 0 ? `<span>${doc.pages} page${doc.pages === 1 ? '' : 's'}${doc.truncated ? ' (truncated)' : ''}</span>` : doc.truncated ? '<span>truncated</span>' : ''}
+    ` : '';
+}
+
+/**
+ * Page or caption timestamp an offset of the analyzed text came from, when
+ * that text is a loaded file; null otherwise
+ */
+function documentLocation(results, offset) {
+    const doc = AppState.textDocument;
+    return doc && doc.text === results.sourceText ? DocumentReader.locate(doc, offset) : null;
+}
+
+function renderDocumentLocation(results, offset) {
+    const location = documentLocation(results, offset);
+    return location ? `<span class="document-location"><i class="fas fa-map-marker-alt"></i> ${location}</span>` : '';
+}
+
+// ============================================
+// POLICY PROFILE
+// ============================================
+function initPolicySelect() {
+    const select = document.getElementById('policySelect');
+
+    select.innerHTML = Object.entries(PolicyProfiles.PROFILES).map(([id, profile]) =>
+        `<option value="${id}">${escapeHtml(profile.name)}</option>`
+    ).join('');
+    select.value = PolicyProfiles.getActiveId();
+    updatePolicyDescription();
+
+    select.addEventListener('change', () => {
+        PolicyProfiles.setActive(select.value);
+        updatePolicyDescription();
+        showToast(`Policy profile set to ${PolicyProfiles.PROFILES[select.value].name} - re-analyze to apply`, 'info');
     });
 }
 
+function updatePolicyDescription() {
+    const profile = PolicyProfiles.PROFILES[PolicyProfiles.getActiveId()];
+    const { authentic, suspicious } = profile.thresholds;
+    document.getElementById('policyDescription').textContent =
+        `${profile.description} Authentic above ${authentic}%, suspicious above ${suspicious}%.`;
+}
+
 function clearText() {
     document.getElementById('textInput').value = '';
     document.getElementById('charCount').textContent = '0';
+    setTextDocument(null);
     document.getElementById('textResults').innerHTML = `
         <div class="results-placeholder">
             <div class="placeholder-icon"><i class="fas fa-microscope"></i></div>
@@ -257,6 +367,7 @@ async function pasteText() {
         const text = await navigator.clipboard.readText();
         document.getElementById('textInput').value = text;
         document.getElementById('charCount').textContent = text.length;
+        setTextDocument(null);
         showToast('Text pasted from clipboard', 'success');
     } catch (err) {
         showToast('Unable to access clipboard. Please paste manually.', 'warning');
@@ -273,6 +384,7 @@ function loadSampleText() {
     const randomSample = samples[Math.floor(Math.random() * samples.length)];
     document.getElementById('textInput').value = randomSample;
     document.getElementById('charCount').textContent = randomSample.length;
+    setTextDocument(null);
     showToast('Sample text loaded', 'info');
 }
 
@@ -319,6 +431,9 @@ function initUploadZone() {
         const file = e.target.files[0];
         if (file) handleImageFile(file);
     });
+
+    // A heatmap from an earlier analysis does not belong over a new image
+    document.getElementById('previewImg').addEventListener('load', hideErrorLevelOverlay);
 }
 
 function handleImageFile(file) {
@@ -341,6 +456,7 @@ function removeImage(e) {
     if (e) e.stopPropagation();
     document.getElementById('imageInput').value = '';
     document.getElementById('previewImg').src = '';
+    hideErrorLevelOverlay();
     document.getElementById('uploadContent').style.display = 'block';
     document.getElementById('imagePreview').style.display = 'none';
     document.getElementById('imageResults').innerHTML = `
@@ -429,6 +545,479 @@ function toggleApiKeyVisibility() {
     }
 }
 
+// ============================================
+// DETECTOR REGISTRY
+// ============================================
+function openDetectorModal() {
+    renderDetectorList();
+    renderWatermarkSettings();
+    document.getElementById('detectorModal').classList.add('active');
+}
+
+function closeDetectorModal() {
+    document.getElementById('detectorModal').classList.remove('active');
+}
+
+function renderDetectorList() {
+    const list = document.getElementById('detectorList');
+    const detectors = DetectorRegistry.all();
+
+    if (detectors.length === 0) {
+        list.innerHTML = '<p class="detector-empty">No detectors registered - only local heuristics will run.</p>';
+        return;
+    }
+
+    list.innerHTML = detectors.map(d => `
+        <div class="detector-item" data-id="${escapeHtml(d.id)}">
+            <label class="detector-toggle">
+                <input type="checkbox" ${d.enabled ? 'checked' : ''}>
+                <div>
+                    <span class="detector-name">${escapeHtml(d.name)}</span>
+                    <span class="detector-meta">${escapeHtml(d.model)} · ${d.inputType} · ${d.role} · weight ${d.weight}</span>
+                </div>
+            </label>
+            <button class="btn btn-ghost btn-sm" title="Remove">
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+    `).join('');
+
+    // Imported ids are untrusted, so they stay out of inline handlers
+    list.querySelectorAll('.detector-item').forEach(item => {
+        const id = item.dataset.id;
+        item.querySelector('input').addEventListener('change', e => toggleDetector(id, e.target.checked));
+        item.querySelector('button').addEventListener('click', () => removeDetector(id));
+    });
+}
+
+function toggleDetector(id, enabled) {
+    DetectorRegistry.setEnabled(id, enabled);
+}
+
+function removeDetector(id) {
+    DetectorRegistry.unregister(id);
+    renderDetectorList();
+    showToast('Detector removed', 'info');
+}
+
+function importDetectors() {
+    const input = document.getElementById('detectorJsonInput');
+    const json = input.value.trim();
+    if (!json) {
+        showToast('Paste a detector definition or an exported registry', 'warning');
+        return;
+    }
+
+    try {
+        const data = JSON.parse(json);
+        // A single object with a model ID is one detector; anything else is a full registry
+        if (data && !Array.isArray(data) && data.model) {
+            DetectorRegistry.register(data);
+            showToast(`Detector "${escapeHtml(data.id)}" saved`, 'success');
+        } else {
+            const detectors = DetectorRegistry.importJSON(data);
+            showToast(`Imported ${detectors.length} detectors`, 'success');
+        }
+        input.value = '';
+        renderDetectorList();
+    } catch (err) {
+        showToast('Invalid detector JSON: ' + escapeHtml(err.message), 'error');
+    }
+}
+
+function exportDetectors() {
+    downloadFile('truthlens-detectors.json', DetectorRegistry.exportJSON(), 'application/json');
+}
+
+function resetDetectors() {
+    DetectorRegistry.reset();
+    renderDetectorList();
+    showToast('Detectors reset to defaults', 'info');
+}
+
+function renderWatermarkSettings() {
+    const config = WatermarkDetector.getConfig();
+    document.getElementById('watermarkScheme').value = config.scheme;
+    document.getElementById('watermarkKey').value = config.key;
+    document.getElementById('watermarkGamma').value = config.gamma;
+    document.getElementById('watermarkWidth').value = config.contextWidth;
+    document.getElementById('watermarkThreshold').value = config.zThreshold;
+    document.getElementById('watermarkTestOutput').innerHTML = '';
+}
+
+function saveWatermarkSettings() {
+    try {
+        WatermarkDetector.setConfig({
+            scheme: document.getElementById('watermarkScheme').value,
+            key: document.getElementById('watermarkKey').value.trim(),
+            gamma: document.getElementById('watermarkGamma').value,
+            contextWidth: document.getElementById('watermarkWidth').value,
+            zThreshold: document.getElementById('watermarkThreshold').value
+        });
+        renderWatermarkSettings();
+        showToast('Watermark settings saved', 'success');
+    } catch (err) {
+        showToast('Invalid watermark settings: ' + err.message, 'error');
+    }
+}
+
+function resetWatermarkSettings() {
+    WatermarkDetector.reset();
+    renderWatermarkSettings();
+    showToast('Watermark settings reset to defaults', 'info');
+}
+
+function runWatermarkSelfTest() {
+    const results = WatermarkDetector.selfTest();
+    const failed = results.filter(r => !r.pass).length;
+    document.getElementById('watermarkTestOutput').innerHTML = `
+        <strong>${failed === 0 ? 'All test vectors pass' : `${failed} of ${results.length} test vectors failed`}</strong>
+        <ul>
+            ${results.map(r => `<li>${r.pass ? '✓' : '✗'} ${escapeHtml(r.name)}: z = ${r.actual ? r.actual.zScore : 'n/a'} (expected ${r.expected.zScore})</li>`).join('')}
+        </ul>
+    `;
+}
+
+// ============================================
+// RULE PACKS
+// ============================================
+function openRulesModal() {
+    const languageSelect = document.getElementById('ruleLanguageSelect');
+    const listSelect = document.getElementById('ruleListSelect');
+
+    if (!languageSelect.options.length) {
+        languageSelect.innerHTML = Object.entries(LanguagePacks).map(([code, pack]) =>
+            `<option value="${code}">${escapeHtml(pack.name)}</option>`
+        ).join('');
+        listSelect.innerHTML = Object.entries(RulePacks.LISTS).map(([list, { label }]) =>
+            `<option value="${list}">${escapeHtml(label)}</option>`
+        ).join('');
+    }
+
+    renderRuleEditor();
+    document.getElementById('rulesModal').classList.add('active');
+}
+
+function closeRulesModal() {
+    document.getElementById('rulesModal').classList.remove('active');
+}
+
+function currentRuleSelection() {
+    const language = document.getElementById('ruleLanguageSelect').value;
+    const list = document.getElementById('ruleListSelect').value;
+    return { language, list, kind: RulePacks.LISTS[list].kind };
+}
+
+function renderRuleEditor() {
+    const { language, list, kind } = currentRuleSelection();
+    const pack = RulePacks.get(language);
+    const rules = pack.rules[list];
+    const isPattern = kind === 'pattern';
+
+    document.getElementById('rulePackInfo').textContent = `${pack.name} · version ${pack.version}`;
+    document.getElementById('ruleTermInput').placeholder = isPattern ? 'Regular expression, e.g. miracle cure' : 'Lowercase phrase';
+    document.getElementById('ruleWeightInput').style.display = isPattern ? '' : 'none';
+    document.getElementById('ruleMessageInput').style.display = isPattern ? '' : 'none';
+
+    document.getElementById('ruleList').innerHTML = rules.length === 0
+        ? '<p class="detector-empty">No rules in this list.</p>'
+        : rules.map((rule, i) => `
+            <div class="detector-item">
+                <label class="detector-toggle">
+                    <input type="checkbox" ${rule.enabled ? 'checked' : ''} onchange="toggleRule(${i}, this.checked)">
+                    <div>
+                        <code class="rule-pattern">${escapeHtml(isPattern ? rule.pattern : rule.term)}</code>
+                        <span class="detector-meta">${escapeHtml(rule.id)}${isPattern ? ` · /${rule.flags} · ${escapeHtml(rule.message || 'no finding message')}` : ''}</span>
+                    </div>
+                </label>
+                <div class="rule-actions">
+                    ${isPattern ? `<input type="number" class="rule-input rule-weight" value="${rule.weight}" min="-${RulePacks.MAX_WEIGHT}" max="${RulePacks.MAX_WEIGHT}" title="Score weight" onchange="reweightRule(${i}, this.value)">` : ''}
+                    <button class="btn btn-ghost btn-sm" onclick="removeRule(${i})" title="Remove">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+    runRuleTest();
+}
+
+/**
+ * Apply an edit to a copy of the current list and save it; invalid edits are rejected whole
+ */
+function editRules(change) {
+    const { language, list } = currentRuleSelection();
+    const pack = JSON.parse(JSON.stringify(RulePacks.get(language)));
+    change(pack.rules[list]);
+
+    try {
+        RulePacks.update(pack);
+        renderRuleEditor();
+        return true;
+    } catch (err) {
+        showToast(escapeHtml(err.message), 'error');
+        renderRuleEditor();
+        return false;
+    }
+}
+
+function toggleRule(index, enabled) {
+    editRules(rules => { rules[index].enabled = enabled; });
+}
+
+function reweightRule(index, value) {
+    editRules(rules => { rules[index].weight = Number(value); });
+}
+
+function removeRule(index) {
+    editRules(rules => { rules.splice(index, 1); });
+}
+
+function addRule() {
+    const { kind } = currentRuleSelection();
+    const termInput = document.getElementById('ruleTermInput');
+    const messageInput = document.getElementById('ruleMessageInput');
+    const value = termInput.value.trim();
+    if (!value) {
+        showToast('Enter a pattern or phrase to add', 'warning');
+        return;
+    }
+
+    const id = `custom-${Date.now().toString(36)}`;
+    const rule = kind === 'pattern'
+        ? { id, pattern: value, flags: 'gi', weight: Number(document.getElementById('ruleWeightInput').value), message: messageInput.value.trim() || null, enabled: true }
+        : { id, term: value, enabled: true };
+
+    if (editRules(rules => { rules.push(rule); })) {
+        termInput.value = '';
+        messageInput.value = '';
+        showToast('Rule added', 'success');
+    }
+}
+
+/**
+ * Show which rules of the selected language fire on the sample text, and the
+ * pattern scores they produce
+ */
+async function runRuleTest() {
+    const output = document.getElementById('ruleTestOutput');
+    const text = document.getElementById('ruleTestInput').value;
+    if (!text.trim()) {
+        output.innerHTML = '';
+        return;
+    }
+
+    const { language } = currentRuleSelection();
+    const pack = LanguageDetector.packFor(language);
+    const lowerText = text.toLocaleLowerCase(language);
+    const tokens = LanguageDetector.tokenize(text, language);
+
+    const hits = [];
+    Object.entries(RulePacks.LISTS).forEach(([list, { kind, label }]) => {
+        if (kind === 'pattern') {
+            pack[list].forEach(rule => {
+                const spans = TextAnalyzer.matchSpans(text, rule.pattern);
+                if (spans.length > 0) hits.push({ label, rule: rule.id, detail: `${rule.weight > 0 ? '+' : ''}${rule.weight}`, spans });
+            });
+        } else {
+            pack[list].forEach(term => {
+                const spans = TextAnalyzer.termSpans(text, lowerText, [term], list === 'absoluteWords' ? tokens : null);
+                if (spans.length > 0) hits.push({ label, rule: term, detail: '', spans });
+            });
+        }
+    });
+
+    const segmentation = Segmenter.segment(text, language);
+    const claims = ClaimExtractor.extract(text, segmentation, { code: language, pack });
+    const patterns = await TextAnalyzer.analyzePatterns(text, pack, segmentation, claims);
+    output.innerHTML = `
+        <div class="detector-meta">Naturalness ${patterns.naturalScore}% · ${hits.length} rule${hits.length === 1 ? '' : 's'} fired</div>
+        <ul>
+            ${hits.map(hit => `
+                <li>
+                    <strong>${escapeHtml(hit.label)}</strong> ${escapeHtml(hit.rule)}${hit.detail ? ` (${hit.detail})` : ''}:
+                    ${hit.spans.map(span => `<mark>${escapeHtml(span.text)}</mark>`).join(' ')}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function loadRuleFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('ruleJsonInput').value = reader.result;
+        input.value = '';
+    };
+    reader.readAsText(file);
+}
+
+function importRules() {
+    const input = document.getElementById('ruleJsonInput');
+    const json = input.value.trim();
+    if (!json) {
+        showToast('Paste or load an exported rule pack', 'warning');
+        return;
+    }
+
+    try {
+        const packs = RulePacks.importJSON(json);
+        document.getElementById('ruleLanguageSelect').value = packs[0].language;
+        input.value = '';
+        renderRuleEditor();
+        showToast(`Imported ${packs.map(p => `${escapeHtml(p.name)} v${escapeHtml(p.version)}`).join(', ')}`, 'success');
+    } catch (err) {
+        showToast('Invalid rule pack: ' + escapeHtml(err.message), 'error');
+    }
+}
+
+function exportRules() {
+    const { language } = currentRuleSelection();
+    downloadFile(`truthlens-rules-${language}.json`, RulePacks.exportJSON(language), 'application/json');
+}
+
+function resetRules() {
+    const { language } = currentRuleSelection();
+    RulePacks.reset(language);
+    renderRuleEditor();
+    showToast(`${LanguagePacks[language].name} rules reset to the built-in pack`, 'info');
+}
+
+// ============================================
+// DOMAIN REPUTATION
+// ============================================
+function openReputationModal() {
+    const categorySelect = document.getElementById('reputationCategoryInput');
+    if (!categorySelect.options.length) {
+        categorySelect.innerHTML = reputationCategoryOptions('news');
+    }
+
+    renderReputationEditor();
+    document.getElementById('reputationModal').classList.add('active');
+}
+
+function closeReputationModal() {
+    document.getElementById('reputationModal').classList.remove('active');
+}
+
+function reputationCategoryOptions(selected) {
+    return Object.entries(SourceReputation.CATEGORIES)
+        .filter(([category]) => category !== 'unknown')
+        .map(([category, { label, score }]) =>
+            `<option value="${category}" ${category === selected ? 'selected' : ''}>${escapeHtml(label)} (${score})</option>`
+        ).join('');
+}
+
+function renderReputationEditor() {
+    const filter = document.getElementById('reputationFilter').value.trim().toLowerCase();
+    const entries = SourceReputation.all();
+    const shown = entries.filter(entry => !filter ||
+        entry.domain.includes(filter) ||
+        entry.name.toLowerCase().includes(filter) ||
+        entry.category.toLowerCase().includes(filter));
+
+    document.getElementById('reputationInfo').textContent = `${entries.length} domains · version ${DOMAIN_REPUTATION.version}`;
+    document.getElementById('reputationList').innerHTML = shown.length === 0
+        ? '<p class="detector-empty">No domains match.</p>'
+        : shown.map(entry => `
+            <div class="detector-item">
+                <div>
+                    <code class="rule-pattern">${escapeHtml(entry.domain)}</code>
+                    <span class="detector-meta">${escapeHtml(entry.name)}${entry.aliases.length ? ` · also "${entry.aliases.map(escapeHtml).join('", "')}"` : ''}</span>
+                </div>
+                <div class="rule-actions">
+                    <select class="policy-select" onchange="setReputationCategory('${escapeHtml(entry.domain)}', this.value)">
+                        ${reputationCategoryOptions(entry.category)}
+                    </select>
+                    <button class="btn btn-ghost btn-sm" onclick="removeReputationEntry('${escapeHtml(entry.domain)}')" title="Remove">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+}
+
+function setReputationCategory(domain, category) {
+    const entry = SourceReputation.all().find(e => e.domain === domain);
+    if (!entry) return;
+    SourceReputation.setEntry({ ...entry, category });
+    renderReputationEditor();
+}
+
+function removeReputationEntry(domain) {
+    SourceReputation.removeEntry(domain);
+    renderReputationEditor();
+}
+
+function addReputationEntry() {
+    const domainInput = document.getElementById('reputationDomainInput');
+    const nameInput = document.getElementById('reputationNameInput');
+    const aliasesInput = document.getElementById('reputationAliasesInput');
+    if (!domainInput.value.trim()) {
+        showToast('Enter a domain to add', 'warning');
+        return;
+    }
+
+    try {
+        const entry = SourceReputation.setEntry({
+            domain: domainInput.value.replace(/^[a-z]+:\/\//i, '').replace(/\/.*$/, ''),
+            name: nameInput.value,
+            category: document.getElementById('reputationCategoryInput').value,
+            aliases: aliasesInput.value.split(',')
+        });
+        domainInput.value = '';
+        nameInput.value = '';
+        aliasesInput.value = '';
+        renderReputationEditor();
+        showToast(`${escapeHtml(entry.domain)} saved`, 'success');
+    } catch (err) {
+        showToast(escapeHtml(err.message), 'error');
+    }
+}
+
+function loadReputationFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('reputationJsonInput').value = reader.result;
+        input.value = '';
+    };
+    reader.readAsText(file);
+}
+
+function importReputation() {
+    const input = document.getElementById('reputationJsonInput');
+    const json = input.value.trim();
+    if (!json) {
+        showToast('Paste or load an exported domain list', 'warning');
+        return;
+    }
+
+    try {
+        const entries = SourceReputation.importJSON(json);
+        input.value = '';
+        renderReputationEditor();
+        showToast(`Imported ${entries.length} domain${entries.length === 1 ? '' : 's'}`, 'success');
+    } catch (err) {
+        showToast('Invalid domain list: ' + escapeHtml(err.message), 'error');
+    }
+}
+
+function exportReputation() {
+    downloadFile('truthlens-domains.json', SourceReputation.exportJSON(), 'application/json');
+}
+
+function resetReputation() {
+    SourceReputation.reset();
+    renderReputationEditor();
+    showToast('Domain list reset to the built-in list', 'info');
+}
+
 // ============================================
 // LOADING OVERLAY
 // ============================================
@@ -593,14 +1182,18 @@ async function analyzeImage() {
 // ============================================
 function renderTextResults(results) {
     const container = document.getElementById('textResults');
+    AppState.lastTextResults = results;
+    AppState.findingCursor = { index: -1, span: -1 };
+    AppState.checkedClaims = [];
 
-    const verdict = results.overallScore > 70 ? 'authentic' :
-                    results.overallScore > 40 ? 'suspicious' : 'fake';
+    const verdict = results.verdict;
+    const thresholds = results.policy.thresholds;
 
     const verdictLabels = {
         authentic: { label: 'Likely Authentic', icon: 'fa-check-circle', desc: 'This content appears to be human-written' },
         suspicious: { label: 'Suspicious', icon: 'fa-exclamation-triangle', desc: 'This content shows mixed signals' },
-        fake: { label: 'Likely AI-Generated', icon: 'fa-robot', desc: 'This content shows strong AI writing patterns' }
+        fake: { label: 'Likely AI-Generated', icon: 'fa-robot', desc: 'This content shows strong AI writing patterns' },
+        insufficient: { label: 'Insufficient Evidence', icon: 'fa-question-circle', desc: 'Too few signals could be measured to score this content' }
     };
 
     const v = verdictLabels[verdict];
@@ -617,15 +1210,9 @@ function renderTextResults(results) {
                 </div>
             </div>
 
-            <div class="confidence-meter">
-                <div class="meter-header">
-                    <span class="meter-label">Authenticity Score</span>
-                    <span class="meter-value" style="color: var(--${verdict === 'authentic' ? 'success' : verdict === 'suspicious' ? 'warning' : 'danger'})">${results.overallScore}%</span>
-                </div>
-                <div class="meter-bar">
-                    <div class="meter-fill ${verdict}" id="textMeterFill"></div>
-                </div>
-            </div>
+            ${renderConfidenceMeter(results.policy, 'textMeterFill')}
+
+            ${renderPolicyNote(results.policy)}
 
             <div class="detail-grid">
                 <div class="detail-item">
@@ -642,7 +1229,7 @@ function renderTextResults(results) {
                         <span class="detail-value">${results.sentenceCount}</span>
                     </div>
                 </div>
-                <div class="detail-item">
+                <div class="detail-item" title="${results.languageModel ? `Offline bigram model: ${results.languageModel.avgSurprisal} bits of surprisal per word on average. Lower perplexity means more predictable wording.` : 'Language model unavailable'}">
                     <i class="fas fa-chart-line"></i>
                     <div>
                         <span class="detail-label">Perplexity</span>
@@ -656,30 +1243,52 @@ function renderTextResults(results) {
                         <span class="detail-value">${results.burstiness}</span>
                     </div>
                 </div>
+                <div class="detail-item" title="${results.watermark ? `${results.watermark.greenCount} of ${results.watermark.tokensScored} tokens on the green list (p = ${results.watermark.pValue.toExponential(1)})` : 'Too few tokens for a watermark test'}">
+                    <i class="fas fa-stamp"></i>
+                    <div>
+                        <span class="detail-label">Watermark</span>
+                        <span class="detail-value">${!results.watermark ? 'N/A' : results.watermark.detected ? `Yes (z ${results.watermark.zScore})` : `No (z ${results.watermark.zScore})`}</span>
+                    </div>
+                </div>
+                ${results.language ? `
+                    <div class="detail-item wide">
+                        <i class="fas fa-language"></i>
+                        <div>
+                            <span class="detail-label">Detected Language</span>
+                            <span class="detail-value">${results.language.name} (${Math.round(results.language.confidence * 100)}% confidence)${results.language.supported ? '' : ' - unsupported, reduced confidence'}</span>
+                        </div>
+                    </div>
+                ` : ''}
             </div>
 
             <div class="analysis-breakdown">
                 <div class="breakdown-title">
                     <i class="fas fa-chart-bar"></i> Analysis Breakdown
                 </div>
-                ${results.breakdown.map(item => `
-                    <div class="breakdown-item">
-                        <span class="breakdown-name">${item.name}</span>
-                        <div class="breakdown-bar">
-                            <div class="breakdown-bar-fill" style="width: ${item.score}%; background: ${getScoreColor(item.score)}"></div>
-                        </div>
-                        <span class="breakdown-score" style="color: ${getScoreColor(item.score)}">${item.score}%</span>
-                    </div>
-                `).join('')}
+                ${renderBreakdownItems(results.breakdown, thresholds)}
             </div>
 
-            ${results.warnings.length > 0 ? `
+            ${renderChunkSummary(results)}
+
+            ${renderStylometryPanel(results)}
+
+            ${renderManipulationPanel(results)}
+
+            ${renderClaimsPanel(results)}
+
+            ${renderSourcesPanel(results)}
+
+            ${renderSentenceHeatmap(results)}
+
+            ${renderObfuscationPanel(results)}
+
+            ${results.findings.length > 0 ? `
                 <div class="info-box ${verdict === 'fake' ? 'danger' : 'warning'}">
                     <i class="fas fa-exclamation-triangle"></i>
                     <div>
                         <strong>Findings:</strong>
                         <ul style="margin-top: 8px; padding-left: 16px;">
-                            ${results.warnings.map(w => `<li>${w}</li>`).join('')}
+                            ${results.findings.map((finding, i) => `<li>${renderFinding(finding, i)}</li>`).join('')}
                         </ul>
                     </div>
                 </div>
@@ -709,48 +1318,638 @@ function renderTextResults(results) {
     // Animate meter fill
     setTimeout(() => {
         const fill = document.getElementById('textMeterFill');
-        if (fill) fill.style.width = results.overallScore + '%';
+        if (fill) fill.style.width = (results.overallScore ?? 0) + '%';
     }, 100);
 }
 
 // ============================================
-// RENDER IMAGE RESULTS
+// CHUNK SUMMARY
 // ============================================
-function renderImageResults(results) {
-    const container = document.getElementById('imageResults');
+function renderChunkSummary(results) {
+    if (!results.chunks || results.chunks.length === 0) return '';
 
-    const verdict = results.authenticityScore > 70 ? 'authentic' :
-                    results.authenticityScore > 40 ? 'suspicious' : 'fake';
+    const spread = results.chunkSpread;
 
-    const verdictLabels = {
-        authentic: { label: 'Likely Authentic', icon: 'fa-check-circle', desc: 'No significant manipulation detected' },
-        suspicious: { label: 'Potentially Manipulated', icon: 'fa-exclamation-triangle', desc: 'Some anomalies detected in the image' },
-        fake: { label: 'Likely Manipulated/AI-Generated', icon: 'fa-robot', desc: 'Strong indicators of artificial generation or manipulation' }
-    };
+    return `
+        <div class="analysis-breakdown">
+            <div class="breakdown-title">
+                <i class="fas fa-layer-group"></i> Model Chunks
+            </div>
+            <div class="chunk-summary">
+                <span><strong>${results.chunks.length}</strong> chunk${results.chunks.length === 1 ? '' : 's'} analyzed</span>
+                <span>Range <strong>${spread.min}%–${spread.max}%</strong></span>
+                <span>Std. dev. <strong>${spread.stdDev}</strong></span>
+            </div>
+            ${results.chunks.map((chunk, i) => `
+                <div class="breakdown-item">
+                    <span class="breakdown-name">Chunk ${i + 1} <small>(~${chunk.tokens} tokens, chars ${chunk.start}–${chunk.end})</small></span>
+                    <div class="breakdown-bar">
+                        <div class="breakdown-bar-fill" style="width: ${chunk.humanScore}%; background: ${getScoreColor(chunk.humanScore, results.policy.thresholds)}"></div>
+                    </div>
+                    <span class="breakdown-score" style="color: ${getScoreColor(chunk.humanScore, results.policy.thresholds)}">${chunk.humanScore}%</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
 
-    const v = verdictLabels[verdict];
+// ============================================
+// STYLOMETRY
+// ============================================
+function renderStylometryPanel(results) {
+    const style = results.stylometry;
+    if (!style || style.wordCount === 0) return '';
+
+    const stat = (label, value, title = '') => `
+        <div class="stylo-stat"${title ? ` title="${title}"` : ''}>
+            <span class="detail-label">${label}</span>
+            <span class="detail-value">${value ?? 'N/A'}</span>
+        </div>
+    `;
+    const bar = (label, value, max, suffix = '') => `
+        <div class="stylo-bar">
+            <span>${escapeHtml(label)}</span>
+            <div class="breakdown-bar">
+                <div class="breakdown-bar-fill" style="width: ${Math.min(100, value / max * 100)}%; background: var(--primary)"></div>
+            </div>
+            <span>${value}${suffix}</span>
+        </div>
+    `;
 
-    container.innerHTML = `
-        <div class="result-card">
-            <div class="result-header">
-                <div class="result-icon ${verdict}">
-                    <i class="fas ${v.icon}"></i>
+    const r = style.readability;
+    const pos = style.pos;
+    const maxPunctuation = Math.max(...style.punctuation.map(p => p.perThousand), 1);
+    const maxFunction = Math.max(...style.functionWords.top.map(f => f.perThousand), 1);
+
+    return `
+        <details class="analysis-breakdown stylometry-panel">
+            <summary class="breakdown-title">
+                <i class="fas fa-feather-alt"></i> Stylometry
+                <small>score ${style.score}%${style.contributions.length > 0 ? ` · ${style.contributions.length} deciding feature${style.contributions.length === 1 ? '' : 's'}` : ''}</small>
+            </summary>
+
+            ${style.contributions.length > 0 ? `
+                <ul class="stylo-contributions">
+                    ${style.contributions.map(c => `<li class="${c.delta > 0 ? 'up' : 'down'}">${c.delta > 0 ? '+' : ''}${c.delta} ${escapeHtml(c.note)}</li>`).join('')}
+                </ul>
+            ` : ''}
+
+            <h4 class="stylo-heading">Readability${r && !r.calibrated ? ' <small>(English formulas, indicative only)</small>' : ''}</h4>
+            <div class="stylo-grid">
+                ${r ? `
+                    ${stat('Flesch-Kincaid grade', r.fleschKincaid)}
+                    ${stat('Flesch reading ease', r.fleschEase)}
+                    ${stat('Gunning Fog', r.gunningFog)}
+                    ${stat('SMOG', r.smog + (r.smogReliable ? '' : '*'), r.smogReliable ? '' : 'SMOG is defined on 30+ sentences; this is an estimate')}
+                    ${stat('Words / sentence', r.wordsPerSentence)}
+                    ${stat('Syllables / word', r.syllablesPerWord)}
+                ` : stat('Readability', 'Not available for this language')}
+            </div>
+
+            <h4 class="stylo-heading">Vocabulary</h4>
+            <div class="stylo-grid">
+                ${stat('Hapax legomena rate', `${Math.round(style.hapaxRate * 100)}%`, 'Share of words used exactly once')}
+                ${stat("Yule's K", style.yulesK, 'Vocabulary repetitiveness - higher means more repetition')}
+                ${stat('Function words', `${Math.round(style.functionWords.share * 100)}%`)}
+                ${stat('Contractions / 1000 words', style.contractionsPerThousand)}
+                ${stat('First-person share', `${Math.round(style.personalShare * 1000) / 10}%`)}
+            </div>
+
+            <div class="stylo-columns">
+                <div>
+                    <h4 class="stylo-heading">Top function words <small>(per 1000 words)</small></h4>
+                    ${style.functionWords.top.map(f => bar(f.word, f.perThousand, maxFunction)).join('') || '<p class="detector-empty">None found</p>'}
                 </div>
                 <div>
-                    <div class="result-title">${v.label}</div>
-                    <div class="result-subtitle">${v.desc}</div>
+                    <h4 class="stylo-heading">Punctuation <small>(per 1000 words)</small></h4>
+                    ${style.punctuation.filter(p => p.perThousand > 0).map(p => bar(`${p.mark} ${p.label}`, p.perThousand, maxPunctuation)).join('') || '<p class="detector-empty">None found</p>'}
                 </div>
             </div>
 
-            <div class="confidence-meter">
-                <div class="meter-header">
-                    <span class="meter-label">Authenticity Score</span>
-                    <span class="meter-value" style="color: var(--${verdict === 'authentic' ? 'success' : verdict === 'suspicious' ? 'warning' : 'danger'})">${results.authenticityScore}%</span>
+            ${pos ? `
+                <h4 class="stylo-heading">Parts of speech <small>(lightweight tagger, approximate)</small></h4>
+                ${['noun', 'verb', 'adjective', 'adverb', 'pronoun', 'determiner', 'preposition', 'conjunction', 'auxiliary']
+                    .map(tag => bar(tag[0].toUpperCase() + tag.slice(1), Math.round(pos[tag] * 100), 50, '%')).join('')}
+                <div class="stylo-grid">
+                    ${stat('Lexical density', `${Math.round(pos.lexicalDensity * 100)}%`, 'Nouns, verbs, adjectives and adverbs as a share of all words')}
                 </div>
-                <div class="meter-bar">
-                    <div class="meter-fill ${verdict}" id="imageMeterFill"></div>
+            ` : ''}
+        </details>
+    `;
+}
+
+// ============================================
+// MANIPULATION TECHNIQUES
+// ============================================
+function renderManipulationPanel(results) {
+    const persuasion = results.persuasion;
+    if (!persuasion || !persuasion.available) return '';
+
+    const detected = persuasion.techniques.filter(t => t.detected);
+
+    return `
+        <div class="analysis-breakdown">
+            <div class="breakdown-title">
+                <i class="fas fa-theater-masks"></i> Manipulation Techniques
+            </div>
+            <div class="chunk-summary">
+                <span><strong>${detected.length}</strong> technique${detected.length === 1 ? '' : 's'} detected</span>
+                <span>Score <strong>${persuasion.score}%</strong></span>
+            </div>
+            ${detected.length === 0
+                ? '<p class="detector-empty">No fear, outrage, us-vs-them, urgency, loaded-language, whataboutism or authority cues stand out.</p>'
+                : detected.sort((a, b) => b.intensity - a.intensity).map(technique => `
+                    <div class="technique-item">
+                        <div class="breakdown-item">
+                            <span class="breakdown-name">${escapeHtml(technique.label)} <small>(${technique.count} cue${technique.count === 1 ? '' : 's'})</small></span>
+                            <div class="breakdown-bar">
+                                <div class="breakdown-bar-fill" style="width: ${technique.intensity}%; background: ${getScoreColor(100 - technique.intensity)}"></div>
+                            </div>
+                            <span class="breakdown-score" style="color: ${getScoreColor(100 - technique.intensity)}">${technique.intensity}%</span>
+                        </div>
+                        <p class="technique-explanation">${technique.explanation}</p>
+                        <div class="technique-examples">
+                            ${technique.examples.map((example, i) => `
+                                <button type="button" class="finding-link" onclick="highlightTechnique('${technique.id}', ${i})" title="Show in text">
+                                    <mark>${escapeHtml(example)}</mark>
+                                </button>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+        </div>
+    `;
+}
+
+function highlightTechnique(id, exampleIndex) {
+    const technique = AppState.lastTextResults.persuasion.techniques.find(t => t.id === id);
+    const span = technique && technique.spans.find(s => s.text.toLowerCase() === technique.examples[exampleIndex]);
+    if (span) selectSourceRange(span.start, span.end);
+}
+
+// ============================================
+// CLAIMS
+// ============================================
+function renderClaimsPanel(results) {
+    const extraction = results.claims;
+    if (!extraction || extraction.claims.length === 0) return '';
+
+    const sourceKinds = { link: 'Link', citation: 'Citation', reference: 'Reference', attribution: 'Attribution' };
+
+    return `
+        <div class="analysis-breakdown">
+            <div class="breakdown-title">
+                <i class="fas fa-tasks"></i> Claims to Verify
+            </div>
+            <div class="chunk-summary">
+                <span><strong>${extraction.claims.length}</strong> claim${extraction.claims.length === 1 ? '' : 's'}</span>
+                <span>Sourced <strong>${extraction.sourced}</strong></span>
+                <span>Unsourced <strong>${extraction.unsourced}</strong></span>
+                ${extraction.unsourcedHighImpact > 0 ? `<span class="claim-flag"><i class="fas fa-flag"></i> <strong>${extraction.unsourcedHighImpact}</strong> high-impact without a source</span>` : ''}
+            </div>
+            <ul class="claim-list">
+                ${extraction.claims.map((claim, i) => `
+                    <li class="claim-item${!claim.source && claim.impact === 'high' ? ' flagged' : ''}">
+                        <input type="checkbox" aria-label="Claim ${claim.id} checked" onchange="toggleClaim(${claim.id}, this.checked)">
+                        <div>
+                            <button type="button" class="finding-link" onclick="highlightClaim(${i})" title="Show in text">
+                                ${escapeHtml(claim.text.length > 240 ? claim.text.slice(0, 240) + '...' : claim.text)}
+                            </button>
+                            <div class="claim-meta">
+                                <span class="claim-impact ${claim.impact}">${claim.impact} impact</span>
+                                ${renderDocumentLocation(results, claim.start)}
+                                ${claim.types.map(type => `<span class="claim-type">${ClaimExtractor.TYPES[type].label}</span>`).join('')}
+                                ${claim.source
+                                    ? `<span class="claim-source"><i class="fas fa-link"></i> ${sourceKinds[claim.source.kind]}: ${escapeHtml(claim.source.text)}</span>`
+                                    : '<span class="claim-source missing"><i class="fas fa-unlink"></i> No source nearby</span>'}
+                            </div>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+            <button class="btn btn-ghost btn-sm" onclick="exportClaims()">
+                <i class="fas fa-file-export"></i> Export claims (JSON)
+            </button>
+        </div>
+    `;
+}
+
+function toggleClaim(id, checked) {
+    const list = AppState.checkedClaims.filter(claimId => claimId !== id);
+    AppState.checkedClaims = checked ? list.concat(id) : list;
+}
+
+function highlightClaim(index) {
+    const claim = AppState.lastTextResults.claims.claims[index];
+    if (claim) selectSourceRange(claim.start, claim.end);
+}
+
+function exportClaims() {
+    const results = AppState.lastTextResults;
+    if (!results || !results.claims) return;
+    downloadFile('truthlens-claims.json', ClaimExtractor.exportJSON(results.claims, AppState.checkedClaims), 'application/json');
+}
+
+// ============================================
+// CITED SOURCES
+// ============================================
+function renderSourcesPanel(results) {
+    const sources = results.sources;
+    if (!sources || sources.list.length === 0) return '';
+
+    const kindLabels = { link: 'Link', domain: 'Domain', publication: 'Publication' };
+
+    return `
+        <div class="analysis-breakdown">
+            <div class="breakdown-title">
+                <i class="fas fa-globe"></i> Cited Sources
+            </div>
+            <div class="chunk-summary">
+                <span><strong>${sources.list.length}</strong> source${sources.list.length === 1 ? '' : 's'}</span>
+                <span>In domain list <strong>${sources.listed}</strong></span>
+                <span>Source quality <strong>${sources.score}%</strong></span>
+                ${sources.low.length > 0 ? `<span class="claim-flag"><i class="fas fa-flag"></i> <strong>${sources.low.length}</strong> low-reputation</span>` : ''}
+            </div>
+            <div class="char-table-wrap">
+                <table class="char-table">
+                    <thead>
+                        <tr><th>Source</th><th>Domain</th><th>Category</th><th>Score</th></tr>
+                    </thead>
+                    <tbody>
+                        ${sources.list.map((source, i) => `
+                            <tr onclick="highlightSource(${i})" title="Show in text (${source.spans.length} mention${source.spans.length === 1 ? '' : 's'})">
+                                <td>${escapeHtml(source.name)}<span class="detector-meta"> · ${kindLabels[source.kind]}: ${escapeHtml(source.url || source.text)}</span></td>
+                                <td>${source.domain ? `<code>${escapeHtml(source.domain)}</code>` : '—'}</td>
+                                <td>${escapeHtml(source.label)}</td>
+                                <td style="color: ${getScoreColor(source.score)}"><strong>${source.score}</strong></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <button class="btn btn-ghost btn-sm" onclick="openReputationModal()">
+                <i class="fas fa-pen"></i> Edit domain list
+            </button>
+        </div>
+    `;
+}
+
+function highlightSource(index) {
+    const source = AppState.lastTextResults.sources.list[index];
+    if (source) selectSourceRange(source.spans[0].start, source.spans[0].end);
+}
+
+// ============================================
+// AUTHOR CONSISTENCY
+// ============================================
+function loadReferenceFiles(input) {
+    const files = [...input.files];
+    if (files.length === 0) return;
+
+    Promise.all(files.map(file => file.text().then(text => ({ name: file.name, text: text.trim() }))))
+        .then(loaded => {
+            const usable = loaded.filter(ref => ref.text);
+            AppState.references.push(...usable);
+            renderReferenceList();
+            if (usable.length < loaded.length) showToast('Skipped empty files', 'warning');
+        })
+        .catch(err => showToast('Could not read file: ' + escapeHtml(err.message), 'error'))
+        .finally(() => { input.value = ''; });
+}
+
+function addReferenceText() {
+    const input = document.getElementById('referenceInput');
+    const text = input.value.trim();
+    if (!text) {
+        showToast('Paste a reference text first', 'warning');
+        return;
+    }
+
+    AppState.references.push({ name: `Pasted text ${AppState.references.length + 1}`, text });
+    input.value = '';
+    renderReferenceList();
+}
+
+function removeReference(index) {
+    AppState.references.splice(index, 1);
+    renderReferenceList();
+}
+
+function renderReferenceList() {
+    document.getElementById('referenceList').innerHTML = AppState.references.map((ref, i) => `
+        <li>
+            <i class="fas fa-file-alt"></i>
+            <span>${escapeHtml(ref.name)} <small>(${Segmenter.words(ref.text).length} words)</small></span>
+            <button type="button" class="btn btn-ghost btn-sm" onclick="removeReference(${i})" title="Remove">
+                <i class="fas fa-times"></i>
+            </button>
+        </li>
+    `).join('');
+}
+
+function compareToReferences() {
+    const text = document.getElementById('textInput').value.trim();
+    if (!text) {
+        showToast('Enter the text to check in the input above', 'warning');
+        return;
+    }
+    if (AppState.references.length === 0) {
+        showToast('Add at least one reference text by the same author', 'warning');
+        return;
+    }
+
+    try {
+        const comparison = TextAnalyzer.compareToReference(text, AppState.references);
+        AppState.lastReferenceComparison = comparison;
+        document.getElementById('referenceResults').innerHTML = renderReferenceComparison(comparison);
+    } catch (error) {
+        showToast('Comparison failed: ' + escapeHtml(error.message), 'error');
+        console.error(error);
+    }
+}
+
+function renderReferenceComparison(comparison) {
+    const verdictLabels = {
+        consistent: 'Reads like the reference author',
+        mixed: 'Partly consistent with the reference author',
+        inconsistent: 'Does not read like the reference author'
+    };
+    const format = value => Math.abs(value) < 1 ? Math.round(value * 1000) / 1000 : Math.round(value * 10) / 10;
+    const color = getScoreColor(comparison.similarity);
+
+    return `
+        <div class="analysis-breakdown reference-result">
+            <div class="breakdown-title">
+                <i class="fas fa-user-check"></i> Author Consistency
+            </div>
+            <div class="reference-score">
+                <span class="reference-similarity" style="color: ${color}">${comparison.similarity}%</span>
+                <span>${verdictLabels[comparison.verdict]}<br>
+                    <small>Delta ${comparison.delta} over ${comparison.features.length} features · ${comparison.references.length} reference${comparison.references.length === 1 ? '' : 's'}, ${comparison.profileBlocks} block${comparison.profileBlocks === 1 ? '' : 's'} (${escapeHtml(comparison.language.name)})</small>
+                </span>
+            </div>
+
+            ${comparison.warnings.length > 0 ? `
+                <div class="info-box warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <ul style="padding-left: 16px;">
+                        ${comparison.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}
+                    </ul>
                 </div>
+            ` : ''}
+
+            <h4 class="stylo-heading">Most divergent features</h4>
+            ${comparison.divergent.length > 0 ? `
+                <ul class="reference-divergent">
+                    ${comparison.divergent.map(f => `
+                        <li>
+                            <span>${escapeHtml(f.label)}</span>
+                            <span>${format(f.value)} <small>vs ${format(f.mean)}</small></span>
+                            <span class="${f.z > 0 ? 'up' : 'down'}">${f.z > 0 ? 'higher' : 'lower'} (z ${f.z > 0 ? '+' : ''}${f.z})</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="detector-empty">No feature differs by more than the author\'s usual variation</p>'}
+
+            <h4 class="stylo-heading">Drift by paragraph <small>(click a bar to select it)</small></h4>
+            <div class="drift-chart">
+                ${comparison.paragraphs.map((para, i) => para.similarity === null ? `
+                    <button type="button" class="drift-bar empty" onclick="selectDriftParagraph(${i})" title="Paragraph ${i + 1}: too short to compare (${para.words} words)"></button>
+                ` : `
+                    <button type="button" class="drift-bar" onclick="selectDriftParagraph(${i})" title="Paragraph ${i + 1}: ${para.similarity}% similar (${para.words} words)">
+                        <span style="height: ${Math.max(para.similarity, 4)}%; background: ${getScoreColor(para.similarity)}"></span>
+                    </button>
+                `).join('')}
             </div>
+        </div>
+    `;
+}
+
+function selectDriftParagraph(index) {
+    const comparison = AppState.lastReferenceComparison;
+    const para = comparison && comparison.paragraphs[index];
+    if (para) selectSourceRange(para.start, para.end, comparison.sourceText);
+}
+
+// ============================================
+// SENTENCE HEATMAP
+// ============================================
+function renderSentenceHeatmap(results) {
+    if (!results.paragraphs || results.paragraphs.length === 0) return '';
+
+    const text = results.sourceText;
+    const paragraphsHtml = results.paragraphs.map(para => {
+        let cursor = para.start;
+        let html = '';
+
+        para.sentences.forEach(sent => {
+            // Keep the original whitespace between sentences
+            html += escapeHtml(text.slice(cursor, sent.start));
+
+            const location = documentLocation(results, sent.start);
+            const tooltip = (location ? [location] : []).concat(`Sentence score: ${sent.score}%`)
+                .concat(sent.reasons)
+                .concat(para.reasons.length > 0 ? ['Paragraph: ' + para.reasons.join('; ')] : [])
+                .join('\n');
+
+            html += `<span class="heatmap-sentence ${getScoreLevel(sent.score, results.policy.thresholds)}" title="${escapeHtml(tooltip)}">${escapeHtml(sent.text)}</span>`;
+            cursor = sent.end;
+        });
+
+        html += escapeHtml(text.slice(cursor, para.end));
+
+        return `
+            <div class="heatmap-paragraph ${getScoreLevel(para.score, results.policy.thresholds)}">
+                <span class="heatmap-paragraph-score" style="color: ${getScoreColor(para.score, results.policy.thresholds)}">${para.score}%</span>
+                <p>${html}</p>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="analysis-breakdown">
+            <div class="breakdown-title">
+                <i class="fas fa-highlighter"></i> Sentence Heatmap
+            </div>
+            <div class="heatmap-legend">
+                <span class="heatmap-sentence authentic">Likely human</span>
+                <span class="heatmap-sentence suspicious">Mixed signals</span>
+                <span class="heatmap-sentence fake">Likely AI / misleading</span>
+            </div>
+            <div class="heatmap-text">${paragraphsHtml}</div>
+        </div>
+    `;
+}
+
+/**
+ * A finding with matches in the text links to them; the rest are plain text
+ */
+function renderFinding(finding, index) {
+    if (finding.spans.length === 0) return escapeHtml(finding.message);
+
+    const count = finding.spans.length === 1 ? '1 match' : `${finding.spans.length} matches`;
+    return `
+        <button type="button" class="finding-link" onclick="highlightFinding(${index})" title="Show in text">
+            ${escapeHtml(finding.message)} <small>(${count})</small>
+        </button>
+    `;
+}
+
+/**
+ * Select a finding's match in #textInput; repeated clicks step through its matches
+ */
+function highlightFinding(index) {
+    const results = AppState.lastTextResults;
+    const finding = results && results.findings[index];
+    if (!finding || finding.spans.length === 0) return;
+
+    const cursor = AppState.findingCursor;
+    const spanIndex = cursor.index === index ? (cursor.span + 1) % finding.spans.length : 0;
+    const span = finding.spans[spanIndex];
+    if (!selectSourceRange(span.start, span.end)) return;
+    AppState.findingCursor = { index, span: spanIndex };
+
+    const position = finding.spans.length > 1 ? `Match ${spanIndex + 1} of ${finding.spans.length}: ` : '';
+    const location = documentLocation(results, span.start);
+    showToast(position + escapeHtml(describeSpan(span)) + (location ? ` - ${location}` : ''), 'info');
+}
+
+/**
+ * Select a range of the analyzed text in #textInput. Offsets are relative to the
+ * trimmed text that was analyzed (the last analysis unless sourceText is given).
+ */
+function selectSourceRange(start, end, sourceText = AppState.lastTextResults && AppState.lastTextResults.sourceText) {
+    const textarea = document.getElementById('textInput');
+    if (!sourceText || textarea.value.trim() !== sourceText) {
+        showToast('The text has changed since it was analyzed. Re-analyze to locate findings.', 'warning');
+        return false;
+    }
+
+    const offset = textarea.value.length - textarea.value.trimStart().length;
+
+    // Re-focusing after the selection change makes browsers scroll the textarea to it
+    textarea.blur();
+    textarea.setSelectionRange(offset + start, offset + end);
+    textarea.focus();
+    textarea.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return true;
+}
+
+/**
+ * Invisible characters are shown by code point, everything else by its text
+ */
+function describeSpan(span) {
+    if (span.codePoint) return `${span.codePoint} ${span.name}`.trim();
+    return span.name ? `"${span.text}" (${span.name})` : `"${span.text}"`;
+}
+
+// ============================================
+// HIDDEN CHARACTERS
+// ============================================
+function renderObfuscationPanel(results) {
+    const obfuscation = results.obfuscation;
+    if (!obfuscation || obfuscation.total === 0) return '';
+
+    const typeLabels = {
+        invisible: 'Invisible',
+        bidi: 'Bidi control',
+        confusable: 'Look-alike',
+        mixedScript: 'Mixed script',
+        fullwidth: 'Full-width',
+        whitespace: 'Whitespace',
+        softHyphen: 'Soft hyphen'
+    };
+
+    return `
+        <div class="analysis-breakdown">
+            <div class="breakdown-title">
+                <i class="fas fa-eye-slash"></i> Hidden &amp; Look-alike Characters
+            </div>
+            <div class="chunk-summary">
+                ${Object.entries(obfuscation.counts).filter(([, count]) => count > 0).map(([type, count]) =>
+                    `<span>${typeLabels[type]} <strong>${count}</strong></span>`
+                ).join('')}
+                ${obfuscation.total > obfuscation.findings.length ? `<span>Showing first ${obfuscation.findings.length} of ${obfuscation.total}</span>` : ''}
+            </div>
+            <div class="char-table-wrap">
+                <table class="char-table">
+                    <thead>
+                        <tr><th>Position</th><th>Type</th><th>Character</th><th>Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${obfuscation.findings.map((f, i) => `
+                            <tr onclick="highlightObfuscation(${i})" title="Show in text">
+                                <td>${f.start}</td>
+                                <td>${typeLabels[f.type]}</td>
+                                <td><code>${f.codePoint || escapeHtml(f.text)}</code></td>
+                                <td>${escapeHtml(f.name)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <button class="btn btn-ghost btn-sm" onclick="normalizeAndReanalyze()">
+                <i class="fas fa-broom"></i> Normalize text &amp; re-analyze
+            </button>
+        </div>
+    `;
+}
+
+function highlightObfuscation(index) {
+    const finding = AppState.lastTextResults.obfuscation.findings[index];
+    if (finding && selectSourceRange(finding.start, finding.end)) {
+        showToast(escapeHtml(describeSpan(finding)), 'info');
+    }
+}
+
+/**
+ * Strip invisible characters and fold look-alikes in the input, then analyze again
+ */
+function normalizeAndReanalyze() {
+    const textarea = document.getElementById('textInput');
+    textarea.value = ObfuscationDetector.normalize(textarea.value);
+    document.getElementById('charCount').textContent = textarea.value.length;
+    analyzeText();
+}
+
+// ============================================
+// RENDER IMAGE RESULTS
+// ============================================
+function renderImageResults(results) {
+    const container = document.getElementById('imageResults');
+
+    const verdict = results.verdict;
+    const thresholds = results.policy.thresholds;
+
+    const verdictLabels = {
+        authentic: { label: 'Likely Authentic', icon: 'fa-check-circle', desc: 'No significant manipulation detected' },
+        suspicious: { label: 'Potentially Manipulated', icon: 'fa-exclamation-triangle', desc: 'Some anomalies detected in the image' },
+        fake: { label: 'Likely Manipulated/AI-Generated', icon: 'fa-robot', desc: 'Strong indicators of artificial generation or manipulation' },
+        insufficient: { label: 'Insufficient Evidence', icon: 'fa-question-circle', desc: 'Too few signals could be measured to score this image' },
+        declared: { label: 'AI-Generated (declared in file)', icon: 'fa-robot', desc: "The file's own metadata names the AI tool that generated it" }
+    };
+
+    const v = verdictLabels[verdict];
+
+    container.innerHTML = `
+        <div class="result-card">
+            <div class="result-header">
+                <div class="result-icon ${verdict}">
+                    <i class="fas ${v.icon}"></i>
+                </div>
+                <div>
+                    <div class="result-title">${v.label}</div>
+                    <div class="result-subtitle">${v.desc}</div>
+                </div>
+            </div>
+
+            ${renderProvenancePanel(results.provenance)}
+
+            ${renderGeneratorPanel(results.generator)}
+
+            ${renderConfidenceMeter(results.policy, 'imageMeterFill')}
+
+            ${renderPolicyNote(results.policy)}
 
             <div class="detail-grid">
                 <div class="detail-item">
@@ -787,24 +1986,20 @@ function renderImageResults(results) {
                 <div class="breakdown-title">
                     <i class="fas fa-chart-bar"></i> Detection Breakdown
                 </div>
-                ${results.breakdown.map(item => `
-                    <div class="breakdown-item">
-                        <span class="breakdown-name">${item.name}</span>
-                        <div class="breakdown-bar">
-                            <div class="breakdown-bar-fill" style="width: ${item.score}%; background: ${getScoreColor(item.score)}"></div>
-                        </div>
-                        <span class="breakdown-score" style="color: ${getScoreColor(item.score)}">${item.score}%</span>
-                    </div>
-                `).join('')}
+                ${renderBreakdownItems(results.breakdown, thresholds)}
             </div>
 
+            ${renderErrorLevelPanel(results.errorLevel)}
+
+            ${renderMetadataPanel(results.metadata)}
+
             ${results.warnings.length > 0 ? `
-                <div class="info-box ${verdict === 'fake' ? 'danger' : 'warning'}">
+                <div class="info-box ${verdict === 'fake' || verdict === 'declared' ? 'danger' : 'warning'}">
                     <i class="fas fa-exclamation-triangle"></i>
                     <div>
                         <strong>Findings:</strong>
                         <ul style="margin-top: 8px; padding-left: 16px;">
-                            ${results.warnings.map(w => `<li>${w}</li>`).join('')}
+                            ${results.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}
                         </ul>
                     </div>
                 </div>
@@ -831,22 +2026,713 @@ function renderImageResults(results) {
         </div>
     `;
 
+    hideErrorLevelOverlay();
+    AppState.errorLevel = results.errorLevel ? { result: results.errorLevel, gain: ErrorLevelAnalysis.DEFAULT_GAIN } : null;
+
     // Animate meter fill
     setTimeout(() => {
         const fill = document.getElementById('imageMeterFill');
-        if (fill) fill.style.width = results.authenticityScore + '%';
+        if (fill) fill.style.width = (results.authenticityScore ?? 0) + '%';
     }, 100);
 }
 
+/**
+ * Error level heatmap controls; the heatmap itself is drawn over the preview
+ */
+function renderErrorLevelPanel(errorLevel) {
+    if (!errorLevel) return '';
+
+    return `
+        <div class="analysis-breakdown ela-panel">
+            <div class="breakdown-title">
+                <i class="fas fa-layer-group"></i> Error Level Analysis
+                <small id="elaSummary">${describeErrorLevels(errorLevel)}</small>
+            </div>
+            <p class="ela-note">
+                Brighter areas changed more when the image was re-saved as JPEG. Areas that were pasted in
+                or retouched often re-compress differently from surroundings with similar texture; outlined
+                regions are the ones that do. The breakdown score uses quality ${ErrorLevelAnalysis.DEFAULT_QUALITY}.
+            </p>
+            <label class="ela-toggle">
+                <input type="checkbox" id="elaToggle" onchange="toggleErrorLevelOverlay(this.checked)">
+                Show heatmap over the preview
+            </label>
+            <div class="ela-controls">
+                <label>
+                    <span>JPEG quality <strong id="elaQualityValue">${errorLevel.quality}</strong></span>
+                    <input type="range" min="50" max="100" step="1" value="${errorLevel.quality}"
+                        oninput="document.getElementById('elaQualityValue').textContent = this.value"
+                        onchange="setErrorLevelQuality(this.value)">
+                </label>
+                <label>
+                    <span>Gain <strong id="elaGainValue">${ErrorLevelAnalysis.DEFAULT_GAIN}&times;</strong></span>
+                    <input type="range" min="1" max="50" step="1" value="${ErrorLevelAnalysis.DEFAULT_GAIN}" oninput="setErrorLevelGain(this.value)">
+                </label>
+            </div>
+        </div>
+    `;
+}
+
+function describeErrorLevels(errorLevel) {
+    if (!errorLevel.measured) return 'image too small to compare regions';
+    return `${errorLevel.outliers.length} of ${errorLevel.regions} regions stand out at quality ${errorLevel.quality}`;
+}
+
+function drawErrorLevelOverlay() {
+    const overlay = document.getElementById('elaOverlay');
+    if (!AppState.errorLevel || overlay.hidden) return;
+    ErrorLevelAnalysis.paint(AppState.errorLevel.result, overlay, AppState.errorLevel.gain);
+}
+
+function toggleErrorLevelOverlay(visible) {
+    document.getElementById('elaOverlay').hidden = !visible;
+    drawErrorLevelOverlay();
+}
+
+function hideErrorLevelOverlay() {
+    document.getElementById('elaOverlay').hidden = true;
+    const toggle = document.getElementById('elaToggle');
+    if (toggle) toggle.checked = false;
+}
+
+function setErrorLevelGain(value) {
+    if (!AppState.errorLevel) return;
+    AppState.errorLevel.gain = Number(value);
+    document.getElementById('elaGainValue').innerHTML = `${value}&times;`;
+    drawErrorLevelOverlay();
+}
+
+async function setErrorLevelQuality(value) {
+    const state = AppState.errorLevel;
+    if (!state) return;
+    try {
+        state.result = await ErrorLevelAnalysis.analyze(state.result.image, Number(value));
+        document.getElementById('elaSummary').textContent = describeErrorLevels(state.result);
+        drawErrorLevelOverlay();
+    } catch (err) {
+        showToast('Error level analysis failed: ' + escapeHtml(err.message), 'error');
+    }
+}
+
+/**
+ * Collapsible table of the EXIF, XMP, IPTC and ICC metadata read from the file
+ */
+function renderMetadataPanel(metadata) {
+    if (!metadata || !metadata.container) return '';
+
+    const summary = metadata.summary;
+    // Many cameras repeat the make in the model name ("Canon" / "Canon EOS R5")
+    const camera = summary.make && summary.model && summary.model.toLowerCase().startsWith(summary.make.toLowerCase())
+        ? summary.model
+        : [summary.make, summary.model].filter(Boolean).join(' ');
+    const date = value => value ? escapeHtml(value.text) : '–';
+    const gps = summary.gps
+        ? `${summary.gps.latitude}, ${summary.gps.longitude}${summary.gps.altitude !== null ? ` (${summary.gps.altitude} m)` : ''}`
+        : null;
+    const rows = [
+        ['Camera', camera ? escapeHtml(camera) : '–'],
+        ['Lens', summary.lens ? escapeHtml(summary.lens) : '–'],
+        ['Software', summary.software ? escapeHtml(summary.software) : '–'],
+        ['Captured', date(summary.created)],
+        ['Modified', date(summary.modified)],
+        ['GPS', gps || '–'],
+        ['Color profile', summary.colorProfile ? escapeHtml(summary.colorProfile) : '–']
+    ];
+
+    return `
+        <details class="analysis-breakdown metadata-panel">
+            <summary class="breakdown-title">
+                <i class="fas fa-tags"></i> Image Metadata
+                <small>${metadata.container} · ${metadata.entries.length > 0 ? `${metadata.entries.length} tag${metadata.entries.length === 1 ? '' : 's'}` : 'none found'}</small>
+            </summary>
+            <div class="stylo-grid">
+                ${rows.map(([label, value]) => `
+                    <div class="stylo-stat">
+                        <span class="detail-label">${label}</span>
+                        <span class="detail-value">${value}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${metadata.entries.length > 0 ? `
+                <div class="char-table-wrap metadata-table">
+                    <table class="char-table">
+                        <thead><tr><th>Block</th><th>Tag</th><th>Value</th></tr></thead>
+                        <tbody>
+                            ${metadata.entries.map(entry => `
+                                <tr>
+                                    <td>${entry.group}</td>
+                                    <td>${escapeHtml(entry.name)}</td>
+                                    <td>${escapeHtml(entry.value)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+        </details>
+    `;
+}
+
+/**
+ * C2PA Content Credentials status, shown apart from the score: a signature
+ * proves who vouched for the file, not whether its content is true
+ */
+function renderProvenancePanel(provenance) {
+    if (!provenance) return '';
+
+    const status = C2paVerifier.STATUSES[provenance.status];
+    const checkIcons = { true: 'fa-check', false: 'fa-times', null: 'fa-question' };
+    const anchors = C2paVerifier.anchors().length;
+    const listDate = C2paVerifier.trustList.fetched ? new Date(C2paVerifier.trustList.fetched).toLocaleDateString() : null;
+    const value = text => text ? escapeHtml(text) : '–';
+
+    return `
+        <div class="provenance-card ${provenance.status}">
+            <div class="provenance-status">
+                <i class="fas ${status.icon}"></i>
+                <div>
+                    <strong>${status.label}</strong>
+                    <span>${escapeHtml(provenance.message)}</span>
+                </div>
+            </div>
+            <details class="provenance-details">
+                <summary>
+                    ${provenance.manifests.length > 0
+                        ? `${provenance.manifests.length} manifest${provenance.manifests.length === 1 ? '' : 's'} · ${provenance.checks.length} check${provenance.checks.length === 1 ? '' : 's'}`
+                        : 'Trust anchors'}
+                </summary>
+                ${provenance.manifests.map(manifest => `
+                    <div class="provenance-manifest">
+                        <div class="provenance-manifest-title">
+                            ${manifest.active ? 'Active manifest' : 'Ingredient manifest'}
+                            <small>${escapeHtml(manifest.label)}</small>
+                        </div>
+                        <div class="stylo-grid">
+                            <div class="stylo-stat">
+                                <span class="detail-label">Title</span>
+                                <span class="detail-value">${value(manifest.title)}</span>
+                            </div>
+                            <div class="stylo-stat">
+                                <span class="detail-label">Generator</span>
+                                <span class="detail-value">${value(manifest.generator)}</span>
+                            </div>
+                            <div class="stylo-stat">
+                                <span class="detail-label">Signer</span>
+                                <span class="detail-value">${manifest.signer ? escapeHtml([manifest.signer.name, manifest.signer.organization].filter(Boolean).join(', ')) : '–'}</span>
+                            </div>
+                            <div class="stylo-stat">
+                                <span class="detail-label">Issuer</span>
+                                <span class="detail-value">${manifest.signer ? value(manifest.signer.issuer) : '–'}</span>
+                            </div>
+                            <div class="stylo-stat">
+                                <span class="detail-label">Algorithm</span>
+                                <span class="detail-value">${value(manifest.algorithm)}</span>
+                            </div>
+                            <div class="stylo-stat">
+                                <span class="detail-label">Trusted signer</span>
+                                <span class="detail-value">${manifest.trusted ? 'Yes' : 'No'}</span>
+                            </div>
+                        </div>
+                        ${manifest.actions.length > 0 ? `
+                            <ul class="provenance-list">
+                                ${manifest.actions.map(action => `
+                                    <li>
+                                        <strong>${escapeHtml(action.action)}</strong>
+                                        ${action.softwareAgent ? ` with ${escapeHtml(action.softwareAgent)}` : ''}
+                                        ${action.digitalSourceType ? ` <span class="claim-type">${escapeHtml(action.digitalSourceType.split('/').pop())}</span>` : ''}
+                                        ${action.when ? ` <small>${escapeHtml(action.when)}</small>` : ''}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                        ${manifest.ingredients.length > 0 ? `
+                            <ul class="provenance-list">
+                                ${manifest.ingredients.map(ingredient => `
+                                    <li>
+                                        <i class="fas fa-level-up-alt fa-rotate-90"></i>
+                                        ${value(ingredient.title)}
+                                        <small>${[ingredient.relationship, ingredient.format].filter(Boolean).map(escapeHtml).join(' · ')}${ingredient.manifest ? ' · has Content Credentials' : ''}</small>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+                `).join('')}
+                ${provenance.checks.length > 0 ? `
+                    <ul class="provenance-checks">
+                        ${provenance.checks.map(check => `
+                            <li class="check-${check.ok}"><i class="fas ${checkIcons[check.ok]}"></i> ${escapeHtml(check.message)}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <div class="provenance-anchors">
+                    <span>${anchors} trust anchor${anchors === 1 ? '' : 's'} · ${listDate ? `trust lists from ${listDate}` : 'trust lists not downloaded'}</span>
+                    <button class="btn btn-ghost btn-sm" onclick="updateTrustList()">
+                        <i class="fas fa-sync-alt"></i> Update trust lists
+                    </button>
+                    <label class="btn btn-ghost btn-sm">
+                        <i class="fas fa-file-import"></i> Import trust anchors (PEM)
+                        <input type="file" accept=".pem,.crt,.cer" hidden onchange="importTrustAnchors(this)">
+                    </label>
+                    <button class="btn btn-ghost btn-sm" onclick="resetTrustAnchors()">
+                        <i class="fas fa-undo"></i> Reset
+                    </button>
+                </div>
+            </details>
+        </div>
+    `;
+}
+
+/**
+ * Generator and settings an AI tool recorded in the file, with the
+ * metadata fields that gave it away
+ */
+function renderGeneratorPanel(generator) {
+    if (!generator) return '';
+
+    const settings = [
+        ['Generator', generator.generator],
+        ['Model', generator.model],
+        ['Seed', generator.seed],
+        ['Steps', generator.steps],
+        ['Sampler', generator.sampler]
+    ];
+
+    return `
+        <div class="analysis-breakdown generator-panel">
+            <div class="breakdown-title">
+                <i class="fas fa-fingerprint"></i> Declared Generator
+            </div>
+            <div class="stylo-grid">
+                ${settings.map(([label, value]) => `
+                    <div class="stylo-stat">
+                        <span class="detail-label">${label}</span>
+                        <span class="detail-value">${value ? escapeHtml(value) : '–'}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${generator.prompt ? `
+                <div class="generator-prompt">
+                    <span class="detail-label">Prompt</span>
+                    <p>${escapeHtml(generator.prompt)}</p>
+                </div>
+            ` : ''}
+            ${generator.negativePrompt ? `
+                <div class="generator-prompt">
+                    <span class="detail-label">Negative prompt</span>
+                    <p>${escapeHtml(generator.negativePrompt)}</p>
+                </div>
+            ` : ''}
+            <ul class="generator-evidence">
+                ${generator.evidence.map(item => `
+                    <li><code>${escapeHtml(item.field)}</code> ${escapeHtml(item.value)}</li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+function importTrustAnchors(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        input.value = '';
+        try {
+            const added = C2paVerifier.importAnchors(reader.result);
+            showToast(`Added ${added} trust anchor${added === 1 ? '' : 's'} - re-analyze to apply`, added > 0 ? 'success' : 'info');
+        } catch (err) {
+            showToast('Invalid certificate file: ' + escapeHtml(err.message), 'error');
+        }
+    };
+    reader.readAsText(file);
+}
+
+async function updateTrustList() {
+    try {
+        const count = await C2paVerifier.updateTrustList();
+        showToast(`Downloaded ${count} trust anchor${count === 1 ? '' : 's'} - re-analyze to apply`, 'success');
+    } catch (err) {
+        showToast('Could not download the trust lists: ' + escapeHtml(err.message), 'error');
+    }
+}
+
+function resetTrustAnchors() {
+    C2paVerifier.resetAnchors();
+    showToast('Imported trust anchors removed - re-analyze to apply', 'info');
+}
+
+/**
+ * Score meter with its ~95% interval; no number at all when evidence is insufficient
+ */
+function renderConfidenceMeter(policy, fillId) {
+    if (policy.verdict === 'insufficient') {
+        return `
+            <div class="confidence-meter">
+                <div class="meter-header">
+                    <span class="meter-label">Authenticity Score</span>
+                    <span class="meter-value insufficient">No score</span>
+                </div>
+                <div class="meter-bar">
+                    <div class="meter-fill insufficient" id="${fillId}"></div>
+                </div>
+                <div class="meter-interval">
+                    Measured evidence ${policy.evidence} of ${policy.minEvidence} needed - placeholder and default values are not counted
+                </div>
+            </div>
+        `;
+    }
+
+    const color = policy.verdict === 'authentic' ? 'success' : policy.verdict === 'suspicious' ? 'warning' : 'danger';
+    const { low, high } = policy.interval;
+    return `
+        <div class="confidence-meter">
+            <div class="meter-header">
+                <span class="meter-label">Authenticity Score</span>
+                <span class="meter-value" style="color: var(--${color})">${policy.score}%</span>
+            </div>
+            <div class="meter-bar">
+                <div class="meter-fill ${policy.verdict}" id="${fillId}"></div>
+                <div class="meter-interval-band" style="left: ${low}%; width: ${high - low}%"></div>
+            </div>
+            <div class="meter-interval">
+                Likely range ${low}-${high}% &middot; evidence ${policy.evidence} (minimum ${policy.minEvidence})
+            </div>
+        </div>
+    `;
+}
+
+function renderPolicyNote(policy) {
+    const { authentic, suspicious } = policy.thresholds;
+    return `
+        <div class="result-policy">
+            <i class="fas fa-balance-scale"></i> Policy profile: <strong>${escapeHtml(policy.profile.name)}</strong>
+            (authentic &gt; ${authentic}%, suspicious &gt; ${suspicious}%)
+        </div>
+    `;
+}
+
+/**
+ * Breakdown rows; defaults and entries the profile weighs at 0 are shown but marked as not counted
+ */
+function renderBreakdownItems(breakdown, thresholds) {
+    return breakdown.map(item => {
+        const excluded = item.appliedWeight === 0 || item.available === false;
+        const notes = [];
+        if (item.available === false) {
+            notes.push('not measured, not counted');
+        } else if (item.appliedWeight === 0) {
+            notes.push('not counted');
+        } else {
+            if (item.appliedWeight !== undefined && item.appliedWeight !== 1) notes.push(`weight ${item.appliedWeight}`);
+            if (item.confidence !== undefined && item.confidence < 0.2) notes.push('low confidence');
+        }
+        const weightNote = notes.join(', ');
+        const confidenceTitle = item.available === false ? 'Placeholder - no measurement was made'
+            : `Confidence ${Math.round((item.confidence ?? 1) * 100)}%`;
+        return `
+            <div class="breakdown-item${excluded ? ' excluded' : ''}" title="${confidenceTitle}">
+                <span class="breakdown-name">${escapeHtml(item.name)}${weightNote ? ` <small>(${weightNote})</small>` : ''}${item.detail ? `<small class="breakdown-detail">${escapeHtml(item.detail)}</small>` : ''}</span>
+                <div class="breakdown-bar">
+                    <div class="breakdown-bar-fill" style="width: ${item.score}%; background: ${getScoreColor(item.score, thresholds)}"></div>
+                </div>
+                <span class="breakdown-score" style="color: ${getScoreColor(item.score, thresholds)}">${item.score}%</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================
+// BATCH COMPARISON (calls batchSimilarity.js)
+// ============================================
+function initBatchZone() {
+    const zone = document.getElementById('batchZone');
+    const input = document.getElementById('batchInput');
+
+    zone.addEventListener('click', () => input.click());
+
+    zone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        zone.classList.add('dragover');
+    });
+
+    zone.addEventListener('dragleave', () => {
+        zone.classList.remove('dragover');
+    });
+
+    zone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        zone.classList.remove('dragover');
+        addBatchFiles([...e.dataTransfer.files]);
+    });
+
+    input.addEventListener('change', (e) => {
+        addBatchFiles([...e.target.files]);
+        input.value = '';
+    });
+}
+
+async function addBatchFiles(files) {
+    if (files.length === 0) return;
+
+    try {
+        const { documents, skipped } = await BatchSimilarity.readFiles(files);
+        const names = new Set(AppState.batchDocuments.map(doc => doc.name));
+        documents.forEach(doc => {
+            // Archives often hold the same file name in several folders
+            let name = doc.name;
+            for (let n = 2; names.has(name); n++) name = `${doc.name} (${n})`;
+            names.add(name);
+            AppState.batchDocuments.push({ name, text: doc.text });
+        });
+        renderBatchList();
+
+        if (skipped.length > 0) {
+            showToast(`Skipped ${skipped.length} unsupported file${skipped.length === 1 ? '' : 's'}: ${escapeHtml(skipped.slice(0, 3).join(', '))}${skipped.length > 3 ? '...' : ''}`, 'warning');
+        } else {
+            showToast(`Added ${documents.length} document${documents.length === 1 ? '' : 's'}`, 'success');
+        }
+    } catch (err) {
+        showToast('Could not read files: ' + escapeHtml(err.message), 'error');
+    }
+}
+
+function renderBatchList() {
+    document.getElementById('batchCount').textContent = AppState.batchDocuments.length;
+    document.getElementById('batchList').innerHTML = AppState.batchDocuments.map((doc, i) => `
+        <li>
+            <i class="fas fa-file-alt"></i>
+            <span>${escapeHtml(doc.name)} <small>(${Segmenter.words(doc.text).length} words)</small></span>
+            <button type="button" class="btn btn-ghost btn-sm" onclick="removeBatchDocument(${i})" title="Remove">
+                <i class="fas fa-times"></i>
+            </button>
+        </li>
+    `).join('');
+}
+
+function removeBatchDocument(index) {
+    AppState.batchDocuments.splice(index, 1);
+    renderBatchList();
+}
+
+function clearBatch() {
+    AppState.batchDocuments = [];
+    AppState.lastBatch = null;
+    renderBatchList();
+    document.getElementById('batchDetails').innerHTML = '';
+    document.getElementById('batchResults').innerHTML = `
+        <div class="results-placeholder">
+            <div class="placeholder-icon"><i class="fas fa-project-diagram"></i></div>
+            <h3>Ready to Compare</h3>
+            <p>Add two or more submissions to find near-copies and shared paraphrases</p>
+        </div>
+    `;
+}
+
+async function analyzeBatch() {
+    const documents = AppState.batchDocuments;
+    if (documents.length < 2) {
+        showToast('Add at least two documents to compare', 'warning');
+        return;
+    }
+
+    if (!checkApiKey()) return;
+
+    showLoading('Comparing Submissions...', `Analyzing ${documents.length} documents`);
+
+    try {
+        const batch = await BatchSimilarity.analyze(documents, AppState.apiKey, (done, total, name) => {
+            document.getElementById('loadingSubtitle').textContent = `Analyzing ${name} (${done + 1} of ${total})`;
+        });
+        hideLoading();
+        AppState.lastBatch = batch;
+        renderBatchResults(batch);
+    } catch (error) {
+        hideLoading();
+        showToast('Batch comparison failed: ' + escapeHtml(error.message), 'error');
+        console.error(error);
+    }
+}
+
+const BATCH_FLAG_LABELS = {
+    copy: 'Near-copy',
+    overlap: 'Shared passages',
+    style: 'Same style'
+};
+
+function renderBatchResults(batch) {
+    const clusterOf = new Map();
+    batch.clusters.forEach((cluster, c) => cluster.members.forEach(i => clusterOf.set(i, c)));
+    const flagBadges = flags => flags.map(flag => `<span class="batch-flag ${flag}">${BATCH_FLAG_LABELS[flag]}</span>`).join('');
+
+    document.getElementById('batchResults').innerHTML = `
+        <div class="result-card">
+            <div class="result-header">
+                <div class="result-icon ${batch.clusters.length > 0 ? 'suspicious' : 'authentic'}">
+                    <i class="fas ${batch.clusters.length > 0 ? 'fa-exclamation-triangle' : 'fa-check-circle'}"></i>
+                </div>
+                <div>
+                    <div class="result-title">${batch.clusters.length > 0 ? `${batch.clusters.length} Suspicious Group${batch.clusters.length === 1 ? '' : 's'}` : 'No Suspicious Groups'}</div>
+                    <div class="result-subtitle">${batch.documents.length} documents, ${batch.pairs.length} pairs compared</div>
+                </div>
+            </div>
+
+            ${batch.clusters.map((cluster, c) => `
+                <div class="info-box warning">
+                    <i class="fas fa-users"></i>
+                    <div>
+                        <strong>Group ${c + 1}</strong> ${flagBadges(cluster.flags)}
+                        <div>${cluster.members.map(i => escapeHtml(batch.documents[i].name)).join(', ')}</div>
+                    </div>
+                </div>
+            `).join('')}
+
+            <div class="analysis-breakdown">
+                <div class="breakdown-title">
+                    <i class="fas fa-list"></i> Documents
+                </div>
+                ${batch.documents.map((doc, i) => {
+                    const policy = doc.result && doc.result.policy;
+                    const score = policy ? policy.score : null;
+                    return `
+                        <div class="breakdown-item">
+                            <span class="breakdown-name">${i + 1}. ${escapeHtml(doc.name)} <small>(${doc.words} words${clusterOf.has(i) ? `, group ${clusterOf.get(i) + 1}` : ''})</small></span>
+                            <div class="breakdown-bar">
+                                <div class="breakdown-bar-fill" style="width: ${score ?? 0}%; background: ${score === null ? 'var(--border)' : getScoreColor(score, policy.thresholds)}"></div>
+                            </div>
+                            <span class="breakdown-score" title="${doc.error ? escapeHtml(doc.error) : policy ? policy.verdict : ''}" style="color: ${score === null ? 'var(--text-tertiary)' : getScoreColor(score, policy.thresholds)}">${score === null ? 'N/A' : score + '%'}</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    `;
+
+    document.getElementById('batchDetails').innerHTML = `
+        <div class="result-card batch-details">
+            <div class="breakdown-title">
+                <i class="fas fa-th"></i> Similarity Matrix
+                <small>above the diagonal: text overlap · below: style similarity · click a cell to compare</small>
+            </div>
+            ${renderBatchMatrix(batch)}
+            <div id="batchDiff"></div>
+        </div>
+    `;
+}
+
+function renderBatchMatrix(batch) {
+    const n = batch.documents.length;
+    const pairAt = (a, b) => batch.pairs.find(p => p.a === Math.min(a, b) && p.b === Math.max(a, b));
+
+    const rows = batch.documents.map((doc, row) => {
+        const cells = batch.documents.map((_, col) => {
+            if (row === col) return '<td class="batch-cell self"></td>';
+            const pair = pairAt(row, col);
+            // Upper triangle shows text overlap (0-1), lower shows style (0-100)
+            const value = row < col ? Math.round(pair.textSimilarity * 100) : pair.style;
+            const flagged = row < col ? pair.flags.some(f => f !== 'style') : pair.flags.includes('style');
+            if (value === null) {
+                return `<td class="batch-cell" title="Style not compared (short text or different language)" onclick="showBatchDiff(${pair.a}, ${pair.b})">–</td>`;
+            }
+            return `
+                <td class="batch-cell${flagged ? ' flagged' : ''}" style="background: rgba(239, 68, 68, ${(value / 100 * 0.6).toFixed(2)})"
+                    title="${escapeHtml(batch.documents[pair.a].name)} / ${escapeHtml(batch.documents[pair.b].name)}" onclick="showBatchDiff(${pair.a}, ${pair.b})">${value}</td>
+            `;
+        }).join('');
+        return `<tr><th title="${escapeHtml(doc.name)}">${row + 1}. ${escapeHtml(doc.name)}</th>${cells}</tr>`;
+    }).join('');
+
+    return `
+        <div class="batch-matrix-wrap">
+            <table class="batch-matrix">
+                <thead><tr><th></th>${Array.from({ length: n }, (_, i) => `<th>${i + 1}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Side-by-side view of two documents with their shared passages highlighted
+ */
+function showBatchDiff(a, b) {
+    const batch = AppState.lastBatch;
+    if (!batch) return;
+
+    const docA = batch.documents[a];
+    const docB = batch.documents[b];
+    const pair = batch.pairs.find(p => p.a === a && p.b === b);
+    const passages = BatchSimilarity.matchingPassages(docA.text, docB.text);
+    const shared = passages.reduce((sum, p) => sum + p.words, 0);
+
+    const highlight = (text, ranges) => {
+        let html = '';
+        let cursor = 0;
+        ranges.map((range, i) => ({ ...range, i }))
+            .sort((x, y) => x.start - y.start)
+            .forEach(range => {
+                // Repeated passages in one text can overlap; show the first
+                if (range.start < cursor) return;
+                html += escapeHtml(text.slice(cursor, range.start));
+                html += `<mark class="batch-passage" title="Passage ${range.i + 1}">${escapeHtml(text.slice(range.start, range.end))}</mark>`;
+                cursor = range.end;
+            });
+        return html + escapeHtml(text.slice(cursor));
+    };
+
+    document.getElementById('batchDiff').innerHTML = `
+        <div class="batch-diff-header">
+            <strong>${escapeHtml(docA.name)}</strong> vs <strong>${escapeHtml(docB.name)}</strong>
+            <span>Text overlap ${Math.round(pair.textSimilarity * 100)}% · Style ${pair.style === null ? 'N/A' : pair.style + '%'}</span>
+            ${pair.flags.map(flag => `<span class="batch-flag ${flag}">${BATCH_FLAG_LABELS[flag]}</span>`).join('')}
+        </div>
+        <p class="reference-hint">${passages.length > 0
+            ? `${passages.length} matching passage${passages.length === 1 ? '' : 's'}, ${shared} words in total`
+            : 'No word-for-word passages of five words or more'}</p>
+        <div class="batch-diff">
+            <div class="batch-diff-text">${highlight(docA.text, passages.map(p => p.a))}</div>
+            <div class="batch-diff-text">${highlight(docB.text, passages.map(p => p.b))}</div>
+        </div>
+    `;
+    document.getElementById('batchDiff').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
 // ============================================
 // UTILITIES
 // ============================================
-function getScoreColor(score) {
-    if (score > 70) return 'var(--success)';
-    if (score > 40) return 'var(--warning)';
+const DEFAULT_THRESHOLDS = { authentic: 70, suspicious: 40 };
+
+function getScoreColor(score, thresholds = DEFAULT_THRESHOLDS) {
+    if (score > thresholds.authentic) return 'var(--success)';
+    if (score > thresholds.suspicious) return 'var(--warning)';
     return 'var(--danger)';
 }
 
+function getScoreLevel(score, thresholds = DEFAULT_THRESHOLDS) {
+    if (score > thresholds.authentic) return 'authentic';
+    if (score > thresholds.suspicious) return 'suspicious';
+    return 'fake';
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function copyResults(type) {
     const container = type === 'text' ? document.getElementById('textResults') : document.getElementById('imageResults');
     const text = container.innerText;
@@ -0,0 +1,288 @@
+// ============================================
+// BATCH SIMILARITY MODULE
+// Cross-submission comparison: MinHash text overlap,
+// style similarity, suspicious clusters and the
+// matching passages behind them
+// ============================================
+
+const BatchSimilarity = {
+    MAX_DOCUMENTS: 50,
+
+    // Words per shingle; shared runs shorter than this are never matched
+    SHINGLE_WORDS: 5,
+    NUM_HASHES: 128,
+
+    /**
+     * Pair flags:
+     *   copy    estimated shingle overlap (Jaccard) at or above COPY
+     *   overlap at or above OVERLAP - shared passages
+     *   style   style similarity (0-100) at or above STYLE - reads like the same
+     *           writer, as paraphrases of one shared output tend to
+     * Style is only compared between texts of STYLE_MIN_WORDS or more.
+     */
+    THRESHOLDS: { copy: 0.5, overlap: 0.15, style: 75 },
+    STYLE_MIN_WORDS: 150,
+
+    // Files read directly or from inside a .zip
+    TEXT_EXTENSIONS: ['txt', 'md'],
+
+    seeds: null,
+
+    /**
+     * Documents ({ name, text }) from uploaded files; .zip archives contribute
+     * their text entries. Returns { documents, skipped: [name] }.
+     */
+    async readFiles(files) {
+        const documents = [];
+        const skipped = [];
+
+        for (const file of files) {
+            const extension = this.extension(file.name);
+            if (extension === 'zip') {
+                const buffer = await file.arrayBuffer();
+                for (const entry of ZipReader.entries(buffer)) {
+                    if (entry.directory || /(^|\/)(__MACOSX|\.)/.test(entry.name)) continue;
+                    if (!this.TEXT_EXTENSIONS.includes(this.extension(entry.name))) {
+                        skipped.push(`${file.name}/${entry.name}`);
+                        continue;
+                    }
+                    try {
+                        documents.push({ name: entry.name, text: (await ZipReader.readText(buffer, entry)).trim() });
+                    } catch (err) {
+                        skipped.push(`${file.name}/${entry.name} (${err.message})`);
+                    }
+                }
+            } else if (this.TEXT_EXTENSIONS.includes(extension)) {
+                documents.push({ name: file.name, text: (await file.text()).trim() });
+            } else {
+                skipped.push(file.name);
+            }
+        }
+
+        return { documents: documents.filter(doc => doc.text), skipped };
+    },
+
+    extension(name) {
+        const match = name.toLowerCase().match(/\.([a-z0-9]+)$/);
+        return match ? match[1] : '';
+    },
+
+    /**
+     * Analyze every document with TextAnalyzer.analyze() (one at a time, so
+     * API rate limits hold) and compare every pair.
+     * onProgress(done, total, name) is called before each document.
+     * Returns { documents: [{ name, text, language, words, result, error }], pairs, clusters }.
+     */
+    async analyze(documents, apiKey, onProgress = () => {}) {
+        if (documents.length < 2) throw new Error('Add at least two documents to compare');
+        if (documents.length > this.MAX_DOCUMENTS) {
+            throw new Error(`At most ${this.MAX_DOCUMENTS} documents can be compared at once`);
+        }
+
+        const analyzed = [];
+        for (let i = 0; i < documents.length; i++) {
+            const doc = documents[i];
+            onProgress(i, documents.length, doc.name);
+            let result = null;
+            let error = null;
+            try {
+                result = await TextAnalyzer.analyze(doc.text, apiKey);
+            } catch (err) {
+                error = err.message;
+            }
+            analyzed.push({ name: doc.name, text: doc.text, result, error });
+        }
+
+        return { documents: analyzed, ...this.compare(analyzed) };
+    },
+
+    /**
+     * Pairwise comparison of documents ({ name, text }). Adds language and
+     * words to each document; returns { pairs, clusters } where
+     *   pairs:    [{ a, b, textSimilarity (0-1), style (0-100 | null), flags, suspicious }]
+     *   clusters: [{ members: [index], flags }] groups joined by suspicious pairs
+     */
+    compare(documents) {
+        const prepared = documents.map(doc => this.prepare(doc));
+        documents.forEach((doc, i) => {
+            doc.language = prepared[i].language.code;
+            doc.words = prepared[i].words.length;
+        });
+
+        const pairs = [];
+        for (let a = 0; a < prepared.length; a++) {
+            for (let b = a + 1; b < prepared.length; b++) {
+                const textSimilarity = this.estimateJaccard(prepared[a].signature, prepared[b].signature);
+                const style = this.styleSimilarity(prepared[a], prepared[b]);
+                const flags = [];
+                if (textSimilarity >= this.THRESHOLDS.copy) flags.push('copy');
+                else if (textSimilarity >= this.THRESHOLDS.overlap) flags.push('overlap');
+                if (style !== null && style >= this.THRESHOLDS.style) flags.push('style');
+                pairs.push({ a, b, textSimilarity, style, flags, suspicious: flags.length > 0 });
+            }
+        }
+
+        return { pairs, clusters: this.cluster(prepared.length, pairs) };
+    },
+
+    prepare(doc) {
+        const language = LanguageDetector.detect(doc.text);
+        const words = Segmenter.words(doc.text, language.code);
+        const shingles = this.shingles(words);
+        const prepared = { language, words, shingles, signature: this.signature(shingles.keys()) };
+
+        if (words.length >= this.STYLE_MIN_WORDS) {
+            prepared.sample = Stylometry.vector(doc.text, language);
+            prepared.profile = Stylometry.buildProfile([doc.text], language);
+        }
+        return prepared;
+    },
+
+    /**
+     * Shingle hash -> word positions where it starts
+     */
+    shingles(words) {
+        const shingles = new Map();
+        for (let i = 0; i + this.SHINGLE_WORDS <= words.length; i++) {
+            const hash = this.hash(words.slice(i, i + this.SHINGLE_WORDS).map(w => w.word).join(' '));
+            if (!shingles.has(hash)) shingles.set(hash, []);
+            shingles.get(hash).push(i);
+        }
+        return shingles;
+    },
+
+    /**
+     * FNV-1a over UTF-16 code units
+     */
+    hash(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    // murmur3 finalizer: spreads a seeded hash over 32 bits
+    mix(h) {
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85ebca6b);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xc2b2ae35);
+        h ^= h >>> 16;
+        return h >>> 0;
+    },
+
+    /**
+     * MinHash signature: the smallest value of each seeded hash over the shingles
+     */
+    signature(hashes) {
+        if (!this.seeds) {
+            this.seeds = Array.from({ length: this.NUM_HASHES }, (_, i) => this.mix(i + 1));
+        }
+        const signature = new Array(this.NUM_HASHES).fill(0xffffffff);
+        for (const hash of hashes) {
+            for (let i = 0; i < this.NUM_HASHES; i++) {
+                const value = this.mix(hash ^ this.seeds[i]);
+                if (value < signature[i]) signature[i] = value;
+            }
+        }
+        return signature;
+    },
+
+    /**
+     * Share of matching signature slots estimates the Jaccard similarity of the
+     * shingle sets. Texts too short to have a shingle never match.
+     */
+    estimateJaccard(a, b) {
+        let same = 0;
+        for (let i = 0; i < this.NUM_HASHES; i++) {
+            if (a[i] === b[i] && a[i] !== 0xffffffff) same++;
+        }
+        return Math.round(same / this.NUM_HASHES * 100) / 100;
+    },
+
+    /**
+     * Each text against a profile of the other (see Stylometry.compare), averaged
+     * so the score is symmetric. null for short texts or different languages.
+     */
+    styleSimilarity(a, b) {
+        if (!a.profile || !b.profile || a.language.code !== b.language.code) return null;
+        const forward = Stylometry.compare(a.sample, b.profile).similarity;
+        const backward = Stylometry.compare(b.sample, a.profile).similarity;
+        if (forward === null || backward === null) return null;
+        return Math.round((forward + backward) / 2);
+    },
+
+    /**
+     * Connected components of the suspicious pairs (union-find)
+     */
+    cluster(count, pairs) {
+        const parent = Array.from({ length: count }, (_, i) => i);
+        const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+        pairs.filter(pair => pair.suspicious).forEach(pair => {
+            parent[find(pair.a)] = find(pair.b);
+        });
+
+        const groups = new Map();
+        for (let i = 0; i < count; i++) {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(i);
+        }
+
+        return [...groups.values()]
+            .filter(members => members.length > 1)
+            .map(members => {
+                const flags = new Set();
+                pairs.filter(pair => pair.suspicious && members.includes(pair.a))
+                    .forEach(pair => pair.flags.forEach(flag => flags.add(flag)));
+                return { members, flags: [...flags] };
+            });
+    },
+
+    /**
+     * Passages two texts share word for word (at least SHINGLE_WORDS long), for
+     * the side-by-side view: [{ a: { start, end }, b: { start, end }, words }]
+     * with character offsets into each text.
+     */
+    matchingPassages(textA, textB) {
+        const code = LanguageDetector.detect(textA).code;
+        const wordsA = Segmenter.words(textA, code);
+        const wordsB = Segmenter.words(textB, code);
+        const shinglesB = this.shingles(wordsB);
+        const passages = [];
+
+        let i = 0;
+        while (i + this.SHINGLE_WORDS <= wordsA.length) {
+            const hash = this.hash(wordsA.slice(i, i + this.SHINGLE_WORDS).map(w => w.word).join(' '));
+            let best = { start: -1, length: 0 };
+
+            // Extend every candidate word by word; hashes can collide
+            (shinglesB.get(hash) || []).forEach(j => {
+                let length = 0;
+                while (i + length < wordsA.length && j + length < wordsB.length &&
+                    wordsA[i + length].word === wordsB[j + length].word) {
+                    length++;
+                }
+                if (length > best.length) best = { start: j, length };
+            });
+
+            if (best.length < this.SHINGLE_WORDS) {
+                i++;
+                continue;
+            }
+
+            const j = best.start;
+            passages.push({
+                a: { start: wordsA[i].start, end: wordsA[i + best.length - 1].end },
+                b: { start: wordsB[j].start, end: wordsB[j + best.length - 1].end },
+                words: best.length
+            });
+            i += best.length;
+        }
+
+        return passages;
+    }
+};
@@ -0,0 +1,875 @@
+// ============================================
+// C2PA VERIFIER MODULE
+// Reads Content Credentials (C2PA manifests) embedded in
+// JPEG and PNG files and verifies their signatures,
+// hashes and certificate chain offline
+// ============================================
+
+const C2paVerifier = {
+    STORAGE_KEY: 'truthlens-c2pa-anchors',
+    TRUST_LIST_KEY: 'truthlens-c2pa-trust-list',
+    FORMAT_VERSION: 1,
+
+    // JUMBF superbox types (first four bytes of the description box UUID)
+    BOX_TYPES: { store: 'c2pa', manifest: 'c2ma', updateManifest: 'c2um' },
+
+    // COSE algorithm ids used by C2PA signatures
+    COSE_ALGORITHMS: {
+        '-7': { name: 'ES256', key: 'ECDSA', hash: 'SHA-256' },
+        '-35': { name: 'ES384', key: 'ECDSA', hash: 'SHA-384' },
+        '-36': { name: 'ES512', key: 'ECDSA', hash: 'SHA-512' },
+        '-37': { name: 'PS256', key: 'RSA-PSS', hash: 'SHA-256', saltLength: 32 },
+        '-38': { name: 'PS384', key: 'RSA-PSS', hash: 'SHA-384', saltLength: 48 },
+        '-39': { name: 'PS512', key: 'RSA-PSS', hash: 'SHA-512', saltLength: 64 },
+        '-8': { name: 'Ed25519', key: 'Ed25519' }
+    },
+
+    // X.509 signature algorithm OIDs
+    CERT_ALGORITHMS: {
+        '1.2.840.10045.4.3.2': { key: 'ECDSA', hash: 'SHA-256' },
+        '1.2.840.10045.4.3.3': { key: 'ECDSA', hash: 'SHA-384' },
+        '1.2.840.10045.4.3.4': { key: 'ECDSA', hash: 'SHA-512' },
+        '1.2.840.113549.1.1.11': { key: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+        '1.2.840.113549.1.1.12': { key: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+        '1.2.840.113549.1.1.13': { key: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+        '1.2.840.113549.1.1.10': { key: 'RSA-PSS' },
+        '1.3.101.112': { key: 'Ed25519' }
+    },
+
+    CURVES: { '1.2.840.10045.3.1.7': 'P-256', '1.3.132.0.34': 'P-384', '1.3.132.0.35': 'P-521' },
+    CURVE_SIZES: { 'P-256': 32, 'P-384': 48, 'P-521': 66 },
+    HASH_OIDS: { '2.16.840.1.101.3.4.2.1': 'SHA-256', '2.16.840.1.101.3.4.2.2': 'SHA-384', '2.16.840.1.101.3.4.2.3': 'SHA-512' },
+    HASHES: { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' },
+
+    /**
+     * Statuses, most to least reassuring. Only 'valid' means a trusted signer
+     * vouches for the file as it is now.
+     */
+    STATUSES: {
+        valid: { label: 'Content Credentials verified', icon: 'fa-certificate' },
+        untrusted: { label: 'Content Credentials from an unknown signer', icon: 'fa-user-shield' },
+        expired: { label: 'Content Credentials with an expired certificate', icon: 'fa-hourglass-end' },
+        invalid: { label: 'Content Credentials could not be verified', icon: 'fa-question-circle' },
+        tampered: { label: 'Content Credentials do not match the file', icon: 'fa-exclamation-triangle' },
+        missing: { label: 'No Content Credentials', icon: 'fa-minus-circle' }
+    },
+
+    userAnchors: null,
+    trustList: null,
+    // Parsed certificates of all three anchor sources; cleared when one changes
+    parsedAnchors: null,
+
+    /**
+     * Provenance of an image file:
+     *   { status, message, manifests: [{ label, active, generator, title, format,
+     *     signer, algorithm, actions: [{ action, softwareAgent, digitalSourceType, when }],
+     *     ingredients: [{ title, format, relationship, manifest }], assertions: [label] }],
+     *     checks: [{ ok (true | false | null = not verifiable), message }] }
+     * The active manifest comes first.
+     */
+    async verify(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const embedded = this.locate(bytes);
+        if (!embedded) return this.result('missing', 'The file carries no C2PA manifest.');
+
+        let store;
+        try {
+            store = this.readSuperbox(embedded.jumbf);
+        } catch (error) {
+            return this.result('invalid', `The C2PA manifest store is damaged (${error.message}).`);
+        }
+        const manifests = store.children.filter(box => box.type === this.BOX_TYPES.manifest || box.type === this.BOX_TYPES.updateManifest);
+        if (store.type !== this.BOX_TYPES.store || manifests.length === 0) {
+            return this.result('invalid', 'The C2PA manifest store holds no manifests.');
+        }
+
+        const checks = [];
+        const details = [];
+        let trusted = true;
+        // The last manifest in the store is the active one, describing the file as it is
+        for (const [i, manifest] of [...manifests].reverse().entries()) {
+            const active = i === 0;
+            try {
+                const detail = await this.verifyManifest(manifest, store, manifests, active ? { bytes, exclusion: embedded.exclusion } : null, checks);
+                detail.active = active;
+                details.push(detail);
+                if (active) trusted = detail.trusted;
+            } catch (error) {
+                checks.push({ ok: null, message: `Manifest ${manifest.label}: ${error.message}` });
+            }
+        }
+
+        const failed = checks.filter(c => c.ok === false).length;
+        const unverified = checks.filter(c => c.ok === null && !c.expired).length;
+        const activeDetail = details.find(d => d.active);
+        const signer = activeDetail && activeDetail.signer ? activeDetail.signer.name : 'an unknown signer';
+
+        let status;
+        let message;
+        if (failed > 0) {
+            status = 'tampered';
+            message = `${failed} check${failed === 1 ? '' : 's'} failed: the image or its provenance data changed after signing.`;
+        } else if (unverified > 0 || !activeDetail) {
+            status = 'invalid';
+            message = 'Parts of the manifest use features that cannot be checked offline.';
+        } else if (!trusted) {
+            status = 'untrusted';
+            message = `Signature and hashes are intact, but ${signer}'s certificate does not chain to a trust anchor${activeDetail.expired ? ` (and expired on ${activeDetail.expired})` : ''}.`;
+        } else if (activeDetail.expired) {
+            // Usually signed while the certificate was valid; without a trusted
+            // timestamp that cannot be shown, but nothing points to tampering
+            status = 'expired';
+            message = `Signature and hashes are intact, but ${signer}'s certificate expired on ${activeDetail.expired}.`;
+        } else {
+            status = 'valid';
+            message = `Signed by ${signer}; the image has not changed since it was signed.`;
+        }
+        return { status, message, manifests: details, checks };
+    },
+
+    result(status, message) {
+        return { status, message, manifests: [], checks: [] };
+    },
+
+    /**
+     * The JUMBF manifest store and the byte range it occupies:
+     * { jumbf, exclusion: { start, length } }, or null
+     */
+    locate(bytes) {
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+            // APP11 segments: "JP", box instance (2 bytes), packet sequence (4 bytes), box data.
+            // Continuation packets repeat the box header, which is dropped on reassembly.
+            const instances = new Map();
+            for (const segment of ImageMetadata.jpegSegments(bytes)) {
+                if (segment.marker !== 0xeb || segment.data[0] !== 0x4a || segment.data[1] !== 0x50) continue;
+                const view = new DataView(segment.data.buffer, segment.data.byteOffset, segment.data.byteLength);
+                const instance = view.getUint16(2);
+                if (!instances.has(instance)) instances.set(instance, []);
+                instances.get(instance).push({ sequence: view.getUint32(4), segment });
+            }
+
+            for (const packets of instances.values()) {
+                packets.sort((a, b) => a.sequence - b.sequence);
+                const first = packets[0].segment.data.subarray(8);
+                const headerLength = new DataView(first.buffer, first.byteOffset).getUint32(0) === 1 ? 16 : 8;
+                const parts = [first].concat(packets.slice(1).map(p => p.segment.data.subarray(8 + headerLength)));
+                const jumbf = this.concat(parts);
+                if (ImageMetadata.ascii(jumbf, 4, 4) !== 'jumb') continue;
+
+                const start = Math.min(...packets.map(p => p.segment.offset));
+                const end = Math.max(...packets.map(p => p.segment.offset + 4 + p.segment.data.length));
+                return { jumbf, exclusion: { start, length: end - start } };
+            }
+            return null;
+        }
+
+        if (ImageMetadata.ascii(bytes, 1, 3) === 'PNG') {
+            const chunk = ImageMetadata.pngChunks(bytes).find(c => c.type === 'caBX');
+            return chunk ? { jumbf: chunk.data, exclusion: { start: chunk.offset, length: chunk.length } } : null;
+        }
+        return null;
+    },
+
+    /**
+     * Check one manifest: its signature, the hashes of its assertions and,
+     * for the active manifest, the hash binding it to the file's bytes.
+     * Results are appended to checks.
+     */
+    async verifyManifest(manifest, store, manifests, asset, checks) {
+        const name = manifest.label;
+        const claimBox = manifest.children.find(box => /^c2pa\.claim(?:\.v\d+)?$/.test(box.label));
+        const signatureBox = manifest.children.find(box => box.label === 'c2pa.signature');
+        if (!claimBox || !signatureBox) throw new Error('claim or signature is missing');
+
+        const claimBytes = this.content(claimBox, 'cbor');
+        const claim = this.decodeCbor(claimBytes);
+        const algorithm = this.HASHES[claim.alg || 'sha256'];
+
+        // Signature over the claim
+        const signature = await this.verifySignature(this.decodeCbor(this.content(signatureBox, 'cbor')), claimBytes);
+        checks.push({ ok: signature.ok, message: `${name}: claim signature (${signature.algorithm})${signature.ok === false ? ' does not match' : signature.ok === null ? ` - ${signature.reason}` : ''}` });
+
+        let trusted = false;
+        let expired = null;
+        if (signature.chain.length > 0) {
+            const chain = await this.verifyChain(signature.chain);
+            chain.problems.forEach(problem => checks.push({ ...problem, message: `${name}: ${problem.message}` }));
+            trusted = chain.trusted;
+            expired = chain.expired;
+        }
+
+        // Hashes of the assertions the claim lists
+        const references = claim.assertions || [].concat(claim.created_assertions || [], claim.gathered_assertions || []);
+        const assertions = [];
+        let mismatched = 0;
+        for (const reference of references) {
+            const box = this.resolve(reference.url, manifest, store);
+            const label = String(reference.url).replace(/^.*\//, '');
+            if (box) assertions.push(box);
+            if (!box) {
+                checks.push({ ok: false, message: `${name}: assertion ${label} is missing` });
+                mismatched++;
+            } else if (!this.equal(await this.digest(this.HASHES[reference.alg] || algorithm, box.payload), reference.hash)) {
+                checks.push({ ok: false, message: `${name}: assertion ${label} was modified` });
+                mismatched++;
+            }
+        }
+        if (references.length > 0 && mismatched === 0) {
+            checks.push({ ok: true, message: `${name}: ${references.length} assertion hash${references.length === 1 ? '' : 'es'} match` });
+        }
+
+        if (asset) await this.checkBinding(assertions, asset, algorithm, name, checks);
+
+        const detail = this.describe(claim, assertions, manifests);
+        detail.label = name;
+        detail.signer = signature.chain[0] ? this.signerName(signature.chain[0]) : null;
+        detail.algorithm = signature.algorithm;
+        detail.trusted = trusted;
+        detail.expired = expired;
+
+        // Ingredient manifests are hashed into the ingredient assertion
+        for (const ingredient of detail.ingredients.filter(i => i.reference && i.manifest)) {
+            const target = manifests.find(m => m.label === ingredient.manifest);
+            const ok = this.equal(await this.digest(this.HASHES[ingredient.reference.alg] || algorithm, target.payload), ingredient.reference.hash);
+            checks.push({ ok, message: `${name}: ingredient "${ingredient.title}" manifest ${ok ? 'matches' : 'was modified'}` });
+        }
+        detail.ingredients.forEach(ingredient => delete ingredient.reference);
+        return detail;
+    },
+
+    /**
+     * Hard binding: the hash of every byte of the file outside the manifest
+     */
+    async checkBinding(assertions, asset, algorithm, name, checks) {
+        const binding = assertions.find(box => /^c2pa\.hash\.data(?:__\d+)?$/.test(box.label));
+        if (!binding) {
+            const other = assertions.find(box => /^c2pa\.hash\./.test(box.label));
+            checks.push({ ok: null, message: other
+                ? `${name}: ${other.label} binding is not supported offline`
+                : `${name}: no hash binds the manifest to the image` });
+            return;
+        }
+
+        const hash = this.decodeCbor(this.content(binding, 'cbor'));
+        const exclusions = (hash.exclusions || []).map(e => ({ start: e.start, end: e.start + e.length })).sort((a, b) => a.start - b.start);
+        const manifestEnd = asset.exclusion.start + asset.exclusion.length;
+        if (!exclusions.some(e => e.start <= asset.exclusion.start && e.end >= manifestEnd)) {
+            checks.push({ ok: false, message: `${name}: the hash exclusions do not cover the manifest` });
+            return;
+        }
+
+        const parts = [];
+        let position = 0;
+        exclusions.forEach(e => {
+            if (e.start > position) parts.push(asset.bytes.subarray(position, e.start));
+            position = Math.max(position, e.end);
+        });
+        parts.push(asset.bytes.subarray(position));
+        const digest = await this.digest(this.HASHES[hash.alg] || algorithm, this.concat(parts));
+        const ok = this.equal(digest, hash.hash);
+        checks.push({ ok, message: `${name}: image data ${ok ? 'matches the signed hash' : 'was modified after signing'}` });
+    },
+
+    /**
+     * Generator, title, actions and ingredients of a manifest
+     */
+    describe(claim, assertions, manifests) {
+        const decoded = box => {
+            const cbor = box.contents.find(c => c.type === 'cbor');
+            const json = box.contents.find(c => c.type === 'json');
+            try {
+                return cbor ? this.decodeCbor(cbor.data) : json ? JSON.parse(ImageMetadata.utf8(json.data)) : null;
+            } catch (error) {
+                return null;
+            }
+        };
+        const agent = value => value && typeof value === 'object' ? [value.name, value.version].filter(Boolean).join(' ') : value || null;
+        const generatorInfo = [].concat(claim.claim_generator_info || [])[0];
+
+        const actions = [];
+        assertions.filter(box => /^c2pa\.actions(?:\.v\d+)?(?:__\d+)?$/.test(box.label)).forEach(box => {
+            ((decoded(box) || {}).actions || []).forEach(action => actions.push({
+                action: String(action.action || '').replace(/^c2pa\./, ''),
+                softwareAgent: agent(action.softwareAgent),
+                digitalSourceType: action.digitalSourceType ? String(action.digitalSourceType).replace(/^.*\//, '') : null,
+                when: action.when || null
+            }));
+        });
+
+        const ingredients = assertions.filter(box => /^c2pa\.ingredient/.test(box.label)).map(box => {
+            const data = decoded(box) || {};
+            const reference = data.c2pa_manifest || data.activeManifest || null;
+            const label = reference && reference.url ? reference.url.replace(/^self#jumbf=\/?c2pa\//, '').replace(/\/.*$/, '') : null;
+            return {
+                title: data.title || data['dc:title'] || 'Untitled',
+                format: data.format || data['dc:format'] || null,
+                relationship: data.relationship || 'componentOf',
+                manifest: label && manifests.some(m => m.label === label) ? label : null,
+                reference
+            };
+        });
+
+        return {
+            generator: claim.claim_generator || agent(generatorInfo),
+            title: claim['dc:title'] || claim.title || null,
+            format: claim['dc:format'] || claim.format || null,
+            actions,
+            ingredients,
+            assertions: assertions.map(box => box.label)
+        };
+    },
+
+    /**
+     * The box a JUMBF URI ("self#jumbf=c2pa.assertions/c2pa.actions" or an
+     * absolute "self#jumbf=/c2pa/<manifest>/...") points to
+     */
+    resolve(url, manifest, store) {
+        const path = String(url || '').replace(/^self#jumbf=/, '');
+        let box = path.startsWith('/') ? { children: [store] } : manifest;
+        for (const label of path.replace(/^\//, '').split('/')) {
+            box = box && box.children.find(child => child.label === label);
+        }
+        return box || null;
+    },
+
+    /**
+     * Verify a COSE_Sign1 signature over the claim:
+     *   { ok, algorithm, chain: [certificate], reason }
+     */
+    async verifySignature(cose, claimBytes) {
+        const [protectedBytes, unprotected = {}, payload, signature] = Array.isArray(cose) ? cose : [];
+        if (!(protectedBytes instanceof Uint8Array) || !(signature instanceof Uint8Array)) {
+            return { ok: false, algorithm: 'unknown', chain: [], reason: 'malformed signature' };
+        }
+        const headers = protectedBytes.length > 0 ? this.decodeCbor(protectedBytes) : {};
+        const algorithm = this.COSE_ALGORITHMS[String(headers['1'])];
+        const x5chain = [].concat(headers['33'] || unprotected['33'] || []);
+
+        let chain;
+        try {
+            chain = x5chain.map(der => this.parseCertificate(der));
+        } catch (error) {
+            return { ok: false, algorithm: algorithm ? algorithm.name : 'unknown', chain: [], reason: 'unreadable certificate' };
+        }
+        if (!algorithm) return { ok: null, algorithm: `COSE ${headers['1']}`, chain, reason: 'unsupported algorithm' };
+        if (chain.length === 0) return { ok: false, algorithm: algorithm.name, chain, reason: 'no signing certificate' };
+
+        // C2PA signs the claim as a detached payload. An embedded payload is
+        // only accepted when it is the claim box itself, so a genuine signature
+        // cannot be paired with a different claim.
+        if (payload instanceof Uint8Array && !this.equal(payload, claimBytes)) {
+            return { ok: false, algorithm: algorithm.name, chain, reason: 'signed payload is not the claim' };
+        }
+
+        // Sig_structure: ["Signature1", protected, external_aad, payload]
+        const content = claimBytes;
+        const toBeSigned = this.concat([
+            this.cborHead(4, 4),
+            this.cborHead(3, 10), new TextEncoder().encode('Signature1'),
+            this.cborHead(2, protectedBytes.length), protectedBytes,
+            this.cborHead(2, 0),
+            this.cborHead(2, content.length), content
+        ]);
+
+        try {
+            const ok = await this.verifyWith(chain[0], algorithm, signature, toBeSigned);
+            return { ok, algorithm: algorithm.name, chain, reason: null };
+        } catch (error) {
+            return { ok: null, algorithm: algorithm.name, chain, reason: `not supported by this browser (${error.message})` };
+        }
+    },
+
+    /**
+     * Verify each certificate against the next and the last against a trust
+     * anchor: { trusted, expired (date the signing certificate expired, or
+     * null), problems: [{ ok, expired?, message }] }
+     */
+    async verifyChain(chain) {
+        const problems = [];
+        const now = Date.now();
+        const leaf = chain[0];
+        const day = date => date.toISOString().slice(0, 10);
+        const expired = now > leaf.notAfter.getTime() ? day(leaf.notAfter) : null;
+        if (expired) {
+            problems.push({ ok: null, expired: true, message: `signing certificate expired on ${expired} (valid from ${day(leaf.notBefore)})` });
+        } else if (now < leaf.notBefore.getTime()) {
+            problems.push({ ok: null, message: `signing certificate is not valid until ${day(leaf.notBefore)}` });
+        }
+
+        for (let i = 0; i + 1 < chain.length; i++) {
+            if (!chain[i + 1].ca) {
+                problems.push({ ok: false, message: `certificate "${this.signerName(chain[i + 1]).name}" is not a CA and cannot issue "${this.signerName(chain[i]).name}"` });
+                return { trusted: false, expired, problems };
+            }
+            if (!(await this.signedBy(chain[i], chain[i + 1]))) {
+                problems.push({ ok: false, message: `certificate "${this.signerName(chain[i]).name}" is not signed by "${this.signerName(chain[i + 1]).name}"` });
+                return { trusted: false, expired, problems };
+            }
+        }
+
+        const anchors = this.anchors();
+        const last = chain[chain.length - 1];
+        let trusted = chain.some(cert => anchors.some(anchor => this.equal(anchor.der, cert.der)));
+        for (const anchor of anchors) {
+            if (trusted) break;
+            if (this.equal(anchor.subject, last.issuer)) trusted = await this.signedBy(last, anchor);
+        }
+        return { trusted, expired, problems };
+    },
+
+    async signedBy(cert, issuer) {
+        const algorithm = this.CERT_ALGORITHMS[cert.signatureAlgorithm];
+        if (!algorithm || !this.equal(cert.issuer, issuer.subject)) return false;
+        const usage = { ...algorithm };
+        if (algorithm.key === 'RSA-PSS') Object.assign(usage, this.pssParameters(cert));
+        let signature = cert.signature;
+        if (algorithm.key === 'ECDSA') signature = this.ecdsaRaw(signature, this.CURVE_SIZES[this.CURVES[issuer.curve]] || 32);
+        try {
+            return await this.verifyWith(issuer, usage, signature, cert.tbs);
+        } catch (error) {
+            return false;
+        }
+    },
+
+    async verifyWith(cert, algorithm, signature, data) {
+        let importParams;
+        let verifyParams;
+        if (algorithm.key === 'ECDSA') {
+            importParams = { name: 'ECDSA', namedCurve: this.CURVES[cert.curve] };
+            verifyParams = { name: 'ECDSA', hash: algorithm.hash };
+        } else if (algorithm.key === 'Ed25519') {
+            importParams = verifyParams = { name: 'Ed25519' };
+        } else {
+            importParams = { name: algorithm.key, hash: algorithm.hash };
+            verifyParams = algorithm.key === 'RSA-PSS' ? { name: 'RSA-PSS', saltLength: algorithm.saltLength } : { name: algorithm.key };
+        }
+        const key = await crypto.subtle.importKey('spki', cert.spki, importParams, false, ['verify']);
+        return crypto.subtle.verify(verifyParams, key, signature, data);
+    },
+
+    /**
+     * Hash and salt length of an RSASSA-PSS certificate signature
+     */
+    pssParameters(cert) {
+        let hash = 'SHA-1';
+        let saltLength = 20;
+        if (cert.signatureParams) {
+            this.children(cert.signatureParams).forEach(field => {
+                const [inner] = this.children(field);
+                if (field.tag === 0xa0) hash = this.HASH_OIDS[this.oid(this.children(inner)[0])] || hash;
+                if (field.tag === 0xa2) saltLength = this.integer(inner);
+            });
+        }
+        return { hash, saltLength };
+    },
+
+    /**
+     * DER ECDSA-Sig-Value to the r||s form WebCrypto expects
+     */
+    ecdsaRaw(der, size) {
+        const [r, s] = this.children(this.readTlv(der, 0));
+        const raw = new Uint8Array(size * 2);
+        [r, s].forEach((part, i) => {
+            let value = part.content;
+            while (value.length > size && value[0] === 0) value = value.subarray(1);
+            raw.set(value.subarray(Math.max(0, value.length - size)), i * size + Math.max(0, size - value.length));
+        });
+        return raw;
+    },
+
+    /**
+     * Bundled trust anchors, the downloaded trust lists and any the user imported
+     */
+    anchors() {
+        if (!this.userAnchors) {
+            this.userAnchors = [];
+            try {
+                const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null');
+                if (saved && Array.isArray(saved.anchors)) this.userAnchors = saved.anchors;
+            } catch (error) {
+                console.warn('Ignoring invalid saved trust anchors:', error);
+            }
+        }
+        if (!this.trustList) {
+            this.trustList = { fetched: 0, anchors: [] };
+            try {
+                const saved = JSON.parse(localStorage.getItem(this.TRUST_LIST_KEY) || 'null');
+                if (saved && Array.isArray(saved.anchors)) this.trustList = saved;
+            } catch (error) {
+                console.warn('Ignoring invalid saved trust list:', error);
+            }
+        }
+        if (!this.parsedAnchors) {
+            this.parsedAnchors = C2PA_TRUST_ANCHORS.anchors.concat(this.trustList.anchors, this.userAnchors).flatMap(anchor => {
+                try {
+                    return this.pemCertificates(anchor.pem).map(der => this.parseCertificate(der));
+                } catch (error) {
+                    return [];
+                }
+            });
+        }
+        return this.parsedAnchors;
+    },
+
+    /**
+     * Add the certificates of a PEM file to the user's trust anchors; returns
+     * how many were added. Throws if the file holds no readable certificate.
+     */
+    importAnchors(pem) {
+        const certificates = this.pemCertificates(pem).map(der => this.parseCertificate(der));
+        if (certificates.length === 0) throw new Error('No PEM certificate found');
+        this.anchors();
+        const known = new Set(this.userAnchors.map(anchor => anchor.pem));
+        const added = certificates
+            .map(cert => ({ name: this.signerName(cert).name, pem: this.toPem(cert.der) }))
+            .filter(anchor => !known.has(anchor.pem));
+        this.userAnchors = this.userAnchors.concat(added);
+        this.parsedAnchors = null;
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ formatVersion: this.FORMAT_VERSION, anchors: this.userAnchors }));
+        return added.length;
+    },
+
+    /**
+     * Download the trust lists in C2PA_TRUST_ANCHORS.sources. Only called
+     * when the user asks for it; verification uses the saved copy. Returns
+     * the number of anchors downloaded; throws if no list could be read.
+     */
+    async updateTrustList() {
+        this.anchors();
+
+        const anchors = [];
+        const errors = [];
+        for (const source of C2PA_TRUST_ANCHORS.sources) {
+            try {
+                const response = await fetch(source.url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.pemCertificates(await response.text()).forEach(der => {
+                    const pem = this.toPem(der);
+                    if (anchors.some(anchor => anchor.pem === pem)) return;
+                    try {
+                        anchors.push({ name: this.signerName(this.parseCertificate(der)).name, pem, source: source.name });
+                    } catch (error) {
+                        // One unreadable certificate does not spoil the rest of the list
+                    }
+                });
+            } catch (error) {
+                errors.push(`${source.name}: ${error.message}`);
+            }
+        }
+        if (anchors.length === 0) throw new Error(errors.join('; ') || 'No certificates in the trust lists');
+
+        this.trustList = { formatVersion: this.FORMAT_VERSION, fetched: Date.now(), anchors };
+        this.parsedAnchors = null;
+        localStorage.setItem(this.TRUST_LIST_KEY, JSON.stringify(this.trustList));
+        return anchors.length;
+    },
+
+    resetAnchors() {
+        this.userAnchors = [];
+        this.parsedAnchors = null;
+        localStorage.removeItem(this.STORAGE_KEY);
+    },
+
+    pemCertificates(pem) {
+        return [...String(pem).matchAll(/-----BEGIN CERTIFICATE-----([\s\S]*?)-----END CERTIFICATE-----/g)]
+            .map(([, body]) => Uint8Array.from(atob(body.replace(/\s+/g, '')), c => c.charCodeAt(0)));
+    },
+
+    toPem(der) {
+        const base64 = btoa(String.fromCharCode(...der));
+        return `-----BEGIN CERTIFICATE-----\n${base64.match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----`;
+    },
+
+    signerName(cert) {
+        const subject = cert.subjectName;
+        return { name: subject.CN || subject.O || 'Unnamed certificate', organization: subject.O || null, issuer: cert.issuerName.CN || cert.issuerName.O || null };
+    },
+
+    /**
+     * The fields of an X.509 certificate needed to check signatures
+     */
+    parseCertificate(der) {
+        const certificate = this.readTlv(der, 0);
+        const [tbs, signatureAlgorithm, signatureValue] = this.children(certificate);
+        const fields = this.children(tbs);
+        const offset = fields[0].tag === 0xa0 ? 1 : 0;
+        const [, , issuer, validity, subject, spki, ...optional] = fields.slice(offset);
+        const [keyAlgorithm] = this.children(spki);
+        const [keyOid, keyParams] = this.children(keyAlgorithm);
+        const [notBefore, notAfter] = this.children(validity);
+        const [algorithmOid, algorithmParams] = this.children(signatureAlgorithm);
+
+        return {
+            der: der.subarray(certificate.offset, certificate.end),
+            tbs: der.subarray(tbs.offset, tbs.end),
+            signatureAlgorithm: this.oid(algorithmOid),
+            signatureParams: algorithmParams && algorithmParams.tag === 0x30 ? algorithmParams : null,
+            signature: signatureValue.content.subarray(1),
+            issuer: der.subarray(issuer.offset, issuer.end),
+            subject: der.subarray(subject.offset, subject.end),
+            issuerName: this.name(issuer),
+            subjectName: this.name(subject),
+            notBefore: this.time(notBefore),
+            notAfter: this.time(notAfter),
+            spki: der.subarray(spki.offset, spki.end),
+            keyAlgorithm: this.oid(keyOid),
+            curve: keyParams && keyParams.tag === 0x06 ? this.oid(keyParams) : null,
+            ca: this.isCa(optional.find(field => field.tag === 0xa3))
+        };
+    },
+
+    /**
+     * Whether the extensions ([3]) of a certificate include basicConstraints
+     * with cA set
+     */
+    isCa(extensions) {
+        if (!extensions) return false;
+        const [list] = this.children(extensions);
+        return this.children(list).some(extension => {
+            const parts = this.children(extension);
+            if (this.oid(parts[0]) !== '2.5.29.19') return false;
+            const value = parts[parts.length - 1];
+            const [constraints] = this.children(value);
+            const [cA] = constraints ? this.children(constraints) : [];
+            return Boolean(cA && cA.tag === 0x01 && cA.content[0] !== 0);
+        });
+    },
+
+    /**
+     * DER element at an offset: { tag, offset, content, end }
+     */
+    readTlv(bytes, offset) {
+        const tag = bytes[offset];
+        let length = bytes[offset + 1];
+        let start = offset + 2;
+        if (length & 0x80) {
+            const count = length & 0x7f;
+            length = 0;
+            for (let i = 0; i < count; i++) length = length * 256 + bytes[start + i];
+            start += count;
+        }
+        if (start + length > bytes.length) throw new Error('Truncated DER element');
+        return { tag, offset, content: bytes.subarray(start, start + length), end: start + length, bytes };
+    },
+
+    children(tlv) {
+        const items = [];
+        const base = tlv.content.byteOffset - tlv.bytes.byteOffset;
+        let offset = base;
+        while (offset < base + tlv.content.length) {
+            const item = this.readTlv(tlv.bytes, offset);
+            items.push(item);
+            offset = item.end;
+        }
+        return items;
+    },
+
+    oid(tlv) {
+        const bytes = tlv.content;
+        const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+        let value = 0;
+        for (let i = 1; i < bytes.length; i++) {
+            value = value * 128 + (bytes[i] & 0x7f);
+            if (!(bytes[i] & 0x80)) {
+                parts.push(value);
+                value = 0;
+            }
+        }
+        return parts.join('.');
+    },
+
+    integer(tlv) {
+        return tlv.content.reduce((value, byte) => value * 256 + byte, 0);
+    },
+
+    time(tlv) {
+        const text = ImageMetadata.latin1(tlv.content);
+        const [, year, rest] = tlv.tag === 0x17 ? text.match(/^(\d{2})(\d{10})/) : text.match(/^(\d{4})(\d{10})/);
+        const fullYear = tlv.tag === 0x17 ? (Number(year) < 50 ? 2000 : 1900) + Number(year) : Number(year);
+        const [month, day, hour, minute, second] = rest.match(/\d{2}/g).map(Number);
+        return new Date(Date.UTC(fullYear, month - 1, day, hour, minute, second));
+    },
+
+    /**
+     * Common name, organization and country of an X.501 name
+     */
+    name(tlv) {
+        const attributes = { '2.5.4.3': 'CN', '2.5.4.10': 'O', '2.5.4.6': 'C' };
+        const result = {};
+        this.children(tlv).forEach(set => this.children(set).forEach(pair => {
+            const [type, value] = this.children(pair);
+            const key = attributes[this.oid(type)];
+            if (key) result[key] = ImageMetadata.utf8(value.content);
+        }));
+        return result;
+    },
+
+    /**
+     * A JUMBF superbox: { type, label, payload, children: [superbox],
+     * contents: [{ type, data }] }. payload, the bytes after the box header,
+     * is what C2PA hashes.
+     */
+    readSuperbox(bytes) {
+        const box = this.readBox(bytes, 0);
+        if (box.type !== 'jumb') throw new Error(`expected a JUMBF superbox, found "${box.type}"`);
+        const boxes = [];
+        for (let offset = 0; offset < box.payload.length;) {
+            const child = this.readBox(box.payload, offset);
+            boxes.push(child);
+            offset = child.end;
+        }
+
+        const description = boxes[0];
+        if (!description || description.type !== 'jumd') throw new Error('superbox without a description box');
+        const toggles = description.payload[16];
+        let label = '';
+        if (toggles & 0x02) {
+            const end = description.payload.indexOf(0, 17);
+            label = ImageMetadata.utf8(description.payload.subarray(17, end === -1 ? undefined : end));
+        }
+
+        return {
+            type: ImageMetadata.ascii(description.payload, 0, 4),
+            label,
+            payload: box.payload,
+            children: boxes.slice(1).filter(b => b.type === 'jumb').map(b => this.readSuperbox(box.payload.subarray(b.start, b.end))),
+            contents: boxes.slice(1).filter(b => b.type !== 'jumb').map(b => ({ type: b.type, data: b.payload }))
+        };
+    },
+
+    readBox(bytes, offset) {
+        if (offset + 8 > bytes.length) throw new Error('truncated box');
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let length = view.getUint32(offset);
+        let header = 8;
+        if (length === 1) {
+            length = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (length === 0) {
+            length = bytes.length - offset;
+        }
+        if (length < header || offset + length > bytes.length) throw new Error('box length out of range');
+        return {
+            type: ImageMetadata.ascii(bytes, offset + 4, 4),
+            start: offset,
+            end: offset + length,
+            payload: bytes.subarray(offset + header, offset + length)
+        };
+    },
+
+    content(box, type) {
+        const content = box.contents.find(c => c.type === type);
+        if (!content) throw new Error(`${box.label} has no ${type} content`);
+        return content.data;
+    },
+
+    /**
+     * Decode one CBOR item. Maps become objects with string keys, byte
+     * strings Uint8Arrays; tags are dropped.
+     */
+    decodeCbor(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+        const BREAK = Symbol('break');
+
+        const argument = info => {
+            if (info < 24) return info;
+            if (info === 24) return view.getUint8(offset++);
+            if (info === 25) { offset += 2; return view.getUint16(offset - 2); }
+            if (info === 26) { offset += 4; return view.getUint32(offset - 4); }
+            if (info === 27) { offset += 8; return Number(view.getBigUint64(offset - 8)); }
+            if (info === 31) return -1;
+            throw new Error('Invalid CBOR');
+        };
+        const half = value => {
+            const exponent = (value >> 10) & 0x1f;
+            const fraction = value & 0x3ff;
+            const magnitude = exponent === 0 ? fraction * 2 ** -24 : exponent === 31 ? (fraction ? NaN : Infinity) : (1 + fraction / 1024) * 2 ** (exponent - 15);
+            return value & 0x8000 ? -magnitude : magnitude;
+        };
+
+        const item = () => {
+            if (offset >= bytes.length) throw new Error('Truncated CBOR');
+            const initial = bytes[offset++];
+            const major = initial >> 5;
+            const info = initial & 0x1f;
+
+            if (major === 7) {
+                if (info === 20) return false;
+                if (info === 21) return true;
+                if (info === 22 || info === 23) return null;
+                if (info === 25) { offset += 2; return half(view.getUint16(offset - 2)); }
+                if (info === 26) { offset += 4; return view.getFloat32(offset - 4); }
+                if (info === 27) { offset += 8; return view.getFloat64(offset - 8); }
+                if (info === 31) return BREAK;
+                return info < 24 ? info : view.getUint8(offset++);
+            }
+
+            const length = argument(info);
+            switch (major) {
+                case 0: return length;
+                case 1: return -1 - length;
+                case 2:
+                case 3: {
+                    let data;
+                    if (length === -1) {
+                        const chunks = [];
+                        for (let chunk = item(); chunk !== BREAK; chunk = item()) chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+                        data = this.concat(chunks);
+                    } else {
+                        if (offset + length > bytes.length) throw new Error('Truncated CBOR');
+                        data = bytes.subarray(offset, offset + length);
+                        offset += length;
+                    }
+                    return major === 2 ? data : ImageMetadata.utf8(data);
+                }
+                case 4: {
+                    const array = [];
+                    for (let i = 0; length === -1 || i < length; i++) {
+                        const value = item();
+                        if (value === BREAK) break;
+                        array.push(value);
+                    }
+                    return array;
+                }
+                case 5: {
+                    const map = {};
+                    for (let i = 0; length === -1 || i < length; i++) {
+                        const key = item();
+                        if (key === BREAK) break;
+                        map[String(key)] = item();
+                    }
+                    return map;
+                }
+                default:
+                    return item();
+            }
+        };
+        return item();
+    },
+
+    cborHead(major, length) {
+        if (length < 24) return Uint8Array.of((major << 5) | length);
+        if (length < 0x100) return Uint8Array.of((major << 5) | 24, length);
+        if (length < 0x10000) return Uint8Array.of((major << 5) | 25, length >> 8, length & 0xff);
+        return Uint8Array.of((major << 5) | 26, length >>> 24, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff);
+    },
+
+    async digest(algorithm, data) {
+        return new Uint8Array(await crypto.subtle.digest(algorithm, data));
+    },
+
+    equal(a, b) {
+        if (!(a instanceof Uint8Array) || !(b instanceof Uint8Array) || a.length !== b.length) return false;
+        return a.every((byte, i) => byte === b[i]);
+    },
+
+    concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        parts.reduce((offset, part) => {
+            result.set(part, offset);
+            return offset + part.length;
+        }, 0);
+        return result;
+    }
+};
@@ -0,0 +1,200 @@
+// ============================================
+// CLAIM EXTRACTOR MODULE
+// Pulls checkable statements (numbers, dates,
+// superlatives, quotes, research claims) out of a
+// text and records whether each has a nearby source
+// ============================================
+
+const ClaimExtractor = {
+    /**
+     * Claim types. A claim's impact is the summed weight of its types:
+     * HIGH_IMPACT or more is "high", 2 is "medium", 1 is "low".
+     */
+    TYPES: {
+        research: { label: 'Research claim', weight: 3 },
+        percentage: { label: 'Percentage', weight: 2 },
+        statistic: { label: 'Number', weight: 2 },
+        superlative: { label: 'Superlative', weight: 2 },
+        quote: { label: 'Quote', weight: 1 },
+        date: { label: 'Date', weight: 1 }
+    },
+    HIGH_IMPACT: 3,
+
+    // Sentences before and after a claim searched for a link, citation or
+    // reference; an attribution ("said ...") only sources its own sentence
+    SOURCE_WINDOW: 1,
+
+    // Quotes shorter than this are scare quotes or names, not statements
+    MIN_QUOTE_WORDS: 4,
+
+    // Language-independent patterns; other numbers come from the segmenter's number tokens
+    PATTERNS: {
+        percentage: /\p{N}+(?:[.,]\p{N}+)?\s?%/gu,
+        date: /\b(?:\d{4}-\d{2}-\d{2}|\d{1,2}[./]\d{1,2}[./]\d{2,4}|(?:1[89]|20)\d{2}s?)\b/gu,
+        multiplier: /\b\p{N}+(?:[.,]\p{N}+)?x\b/gu
+    },
+
+    // [1], [2-4], (Smith, 2020), (Smith et al. 2019), (2021)
+    CITATION: /\[\d+(?:\s?[,–-]\s?\d+)*\]|\((?:\p{Lu}[\p{L}'-]+(?: et al\.?)?(?: (?:and|&) \p{Lu}[\p{L}'-]+)?,? )?(?:1[89]|20)\d{2}[a-z]?\)/gu,
+
+    // An attribution and what follows it, up to a clause break ("according to the CDC").
+    // Sentences are already segmented, so inner dots are abbreviations ("Dr. Park").
+    CITED_PHRASE: /^.{1,60}?(?=[,;:!?"“”]|\.?$)|^.{1,60}/su,
+
+    /**
+     * Language-specific cues; other languages get the language-independent
+     * claims, with their LanguagePacks sourcePattern as attribution
+     */
+    CUES: {
+        en: {
+            percentage: /\b\d+(?:\.\d+)?\s?(?:percent|per cent)\b/gi,
+            statistic: /\b(?:millions?|billions?|trillions?|thousands|hundreds|dozens)\b/gi,
+            date: /\b(?:jan(?:uary)?|feb(?:ruary)?|march|april|june|july|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.? \d{1,2}(?:st|nd|rd|th)?\b|\bmay \d{1,2}(?:st|nd|rd|th)?\b|\b(?:last|next|this) (?:year|month|week|decade)\b/gi,
+            superlative: /\b(?:first|largest|biggest|smallest|highest|lowest|fastest|greatest|deadliest|worst|best|most|least|the only|unprecedented|record(?:-breaking| high| low)?|never before|all-time)\b/gi,
+            research: /\b(?:(?:a|the|new|recent) )?(?:study|studies|research|survey|poll|report|analysis|data|scientists|researchers|experts|doctors|economists|officials)\b[^.!?]{0,60}?\b(?:found|finds?|shows?|showed|shown|suggests?|suggested|proves?|proved|proven|reveals?|revealed|confirms?|confirmed|demonstrates?|demonstrated|indicates?|indicated|discovered|concluded|estimates?|estimated|warns?|warned)\b/gi,
+            attribution: /\b(?:said|says|told|stated|wrote|added|claimed|explained|reported|announced|according to)\b/gi
+        }
+    },
+
+    /**
+     * All claims in a text:
+     *   claims: [{ id, text, start, end, types, spans: [{ start, end, text, type }],
+     *              impact ('high' | 'medium' | 'low'), source: { kind, text, start, end } | null }]
+     *   counts: claims per type; sourced, unsourced and unsourcedHighImpact totals
+     * kind is 'link', 'citation', 'reference' (a named study, journal or
+     * institution - the language's sourcePattern) or 'attribution'.
+     */
+    extract(text, segmentation, language) {
+        const cues = this.CUES[language.code] || {};
+        const sentences = segmentation.sentences;
+        const sources = sentences.map(sentence => this.findSource(sentence, segmentation.tokens, cues, language.pack));
+
+        const claims = [];
+        sentences.forEach((sentence, index) => {
+            const spans = this.detect(sentence, segmentation, cues);
+            if (spans.length === 0) return;
+
+            const types = Object.keys(this.TYPES).filter(type => spans.some(span => span.type === type));
+            const weight = types.reduce((sum, type) => sum + this.TYPES[type].weight, 0);
+
+            // The claim's own sentence first, then its neighbours
+            let source = sources[index];
+            const nearby = neighbour => neighbour && neighbour.kind !== 'attribution' ? neighbour : null;
+            for (let d = 1; !source && d <= this.SOURCE_WINDOW; d++) {
+                source = nearby(sources[index - d]) || nearby(sources[index + d]);
+            }
+
+            claims.push({
+                id: claims.length + 1,
+                text: sentence.text,
+                start: sentence.start,
+                end: sentence.end,
+                types,
+                spans,
+                impact: weight >= this.HIGH_IMPACT ? 'high' : weight === 2 ? 'medium' : 'low',
+                source: source || null
+            });
+        });
+
+        const counts = Object.fromEntries(Object.keys(this.TYPES).map(type => [type, claims.filter(c => c.types.includes(type)).length]));
+        const unsourced = claims.filter(c => !c.source);
+        return {
+            claims,
+            counts,
+            sourced: claims.length - unsourced.length,
+            unsourced: unsourced.length,
+            unsourcedHighImpact: unsourced.filter(c => c.impact === 'high').length
+        };
+    },
+
+    /**
+     * Claim spans in one sentence, with document offsets. Numbers already
+     * covered by a percentage or date are not counted again.
+     */
+    detect(sentence, segmentation, cues) {
+        const spans = [];
+        const add = (type, pattern) => {
+            if (!pattern) return;
+            pattern.lastIndex = 0;
+            for (const match of sentence.text.matchAll(pattern)) {
+                const start = sentence.start + match.index;
+                const end = start + match[0].length;
+                if (spans.some(span => start < span.end && end > span.start)) continue;
+                spans.push({ start, end, text: match[0], type });
+            }
+        };
+
+        add('research', cues.research);
+        add('percentage', cues.percentage);
+        add('percentage', this.PATTERNS.percentage);
+        add('date', cues.date);
+        add('date', this.PATTERNS.date);
+        add('statistic', this.PATTERNS.multiplier);
+        add('statistic', cues.statistic);
+        add('superlative', cues.superlative);
+
+        segmentation.tokens.forEach(token => {
+            if (token.type !== 'number' || token.start < sentence.start || token.end > sentence.end) return;
+            if (spans.some(span => token.start < span.end && token.end > span.start)) return;
+            spans.push({ start: token.start, end: token.end, text: token.text, type: 'statistic' });
+        });
+
+        segmentation.quotes.forEach(quote => {
+            // A quote belongs to the sentence it opens in
+            if (quote.start < sentence.start || quote.start >= sentence.end) return;
+            if (Segmenter.words(quote.text).length < this.MIN_QUOTE_WORDS) return;
+            spans.push({ start: quote.start, end: quote.end, text: quote.text, type: 'quote' });
+        });
+
+        return spans.sort((a, b) => a.start - b.start);
+    },
+
+    /**
+     * Strongest source in a sentence: a link, citation, reference, then attribution
+     */
+    findSource(sentence, tokens, cues, pack) {
+        const link = tokens.find(token => token.type === 'url' && token.start >= sentence.start && token.end <= sentence.end);
+        if (link) return { kind: 'link', text: link.text, start: link.start, end: link.end };
+
+        const patterns = [['citation', this.CITATION], ['reference', pack.sourcePattern], ['attribution', cues.attribution]];
+        for (const [kind, pattern] of patterns) {
+            if (!pattern) continue;
+            pattern.lastIndex = 0;
+            const match = pattern.exec(sentence.text);
+            pattern.lastIndex = 0;
+            if (match) {
+                // Links and citations stand alone; otherwise show who or what is cited
+                const cited = kind === 'citation' ? match[0] : sentence.text.slice(match.index).match(this.CITED_PHRASE)[0];
+                const start = sentence.start + match.index;
+                return { kind, text: cited, start, end: start + cited.length };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * JSON for verification trackers. checked: ids of claims ticked off in the checklist.
+     */
+    exportJSON(extraction, checked = []) {
+        return JSON.stringify({
+            formatVersion: 1,
+            exportedAt: new Date().toISOString(),
+            summary: {
+                claims: extraction.claims.length,
+                sourced: extraction.sourced,
+                unsourced: extraction.unsourced,
+                unsourcedHighImpact: extraction.unsourcedHighImpact
+            },
+            claims: extraction.claims.map(claim => ({
+                id: claim.id,
+                text: claim.text,
+                offsets: [claim.start, claim.end],
+                types: claim.types,
+                impact: claim.impact,
+                checkable: claim.spans.map(span => ({ type: span.type, text: span.text })),
+                source: claim.source ? { kind: claim.source.kind, text: claim.source.text } : null,
+                checked: checked.includes(claim.id)
+            }))
+        }, null, 2);
+    }
+};
@@ -0,0 +1,29 @@
+// ============================================
+// BUILT-IN C2PA TRUST ANCHORS
+// Root certificates whose Content Credentials signers are
+// trusted (see C2paVerifier for the format)
+// ============================================
+
+// anchors ship with the app, so an offline check can reach "valid": the
+// published trust lists in sources (the C2PA conformance program's list and
+// the Content Authenticity Initiative's interim list it replaces), bundled by
+// tools/bundleTrustAnchors.js, plus any { name, pem } added by hand, e.g. your
+// organization's signing CA. "Update trust lists" downloads newer copies of
+// the lists (C2paVerifier.updateTrustList); nothing is fetched otherwise.
+// Signatures chaining to none of them are reported as "untrusted": intact,
+// but from an unknown signer.
+const C2PA_TRUST_ANCHORS = {
+    "formatVersion": 1,
+    "version": "1.1.0",
+    "sources": [
+        {
+            "name": "C2PA Trust List",
+            "url": "https://raw.githubusercontent.com/c2pa-org/conformance-public/main/trust-list/C2PA-TRUST-LIST.pem"
+        },
+        {
+            "name": "CAI interim trust list",
+            "url": "https://contentcredentials.org/trust/anchors.pem"
+        }
+    ],
+    "anchors": []
+};
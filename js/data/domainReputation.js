@@ -0,0 +1,105 @@
+// ============================================
+// BUILT-IN DOMAIN REPUTATION LIST
+// Categories for well-known domains and the publication
+// names that refer to them (see SourceReputation for the format)
+// ============================================
+
+const DOMAIN_REPUTATION = {
+    "formatVersion": 1,
+    "version": "1.0.0",
+    "entries": [
+        { "domain": "edu", "name": "University (.edu)", "category": "academic", "aliases": [] },
+        { "domain": "ac.uk", "name": "UK university (.ac.uk)", "category": "academic", "aliases": [] },
+        { "domain": "nature.com", "name": "Nature", "category": "academic", "aliases": ["Nature Medicine"] },
+        { "domain": "science.org", "name": "Science", "category": "academic", "aliases": ["Science magazine"] },
+        { "domain": "thelancet.com", "name": "The Lancet", "category": "academic", "aliases": ["The Lancet", "Lancet"] },
+        { "domain": "nejm.org", "name": "New England Journal of Medicine", "category": "academic", "aliases": ["New England Journal of Medicine", "NEJM"] },
+        { "domain": "bmj.com", "name": "The BMJ", "category": "academic", "aliases": ["British Medical Journal", "BMJ"] },
+        { "domain": "jamanetwork.com", "name": "JAMA", "category": "academic", "aliases": ["Journal of the American Medical Association", "JAMA"] },
+        { "domain": "cell.com", "name": "Cell", "category": "academic", "aliases": [] },
+        { "domain": "pnas.org", "name": "PNAS", "category": "academic", "aliases": ["Proceedings of the National Academy of Sciences", "PNAS"] },
+        { "domain": "plos.org", "name": "PLOS", "category": "academic", "aliases": ["PLOS ONE", "PLoS ONE"] },
+        { "domain": "ncbi.nlm.nih.gov", "name": "PubMed / NCBI", "category": "academic", "aliases": ["PubMed"] },
+        { "domain": "doi.org", "name": "DOI link", "category": "academic", "aliases": [] },
+        { "domain": "sciencedirect.com", "name": "ScienceDirect", "category": "academic", "aliases": [] },
+        { "domain": "springer.com", "name": "Springer", "category": "academic", "aliases": [] },
+        { "domain": "wiley.com", "name": "Wiley", "category": "academic", "aliases": [] },
+        { "domain": "arxiv.org", "name": "arXiv (preprints)", "category": "academic", "aliases": ["arXiv"] },
+
+        { "domain": "reuters.com", "name": "Reuters", "category": "wire", "aliases": ["Reuters"] },
+        { "domain": "apnews.com", "name": "Associated Press", "category": "wire", "aliases": ["Associated Press", "AP News"] },
+        { "domain": "afp.com", "name": "Agence France-Presse", "category": "wire", "aliases": ["Agence France-Presse", "AFP"] },
+        { "domain": "upi.com", "name": "United Press International", "category": "wire", "aliases": ["United Press International"] },
+        { "domain": "dpa.com", "name": "Deutsche Presse-Agentur", "category": "wire", "aliases": ["Deutsche Presse-Agentur"] },
+        { "domain": "efe.com", "name": "Agencia EFE", "category": "wire", "aliases": ["Agencia EFE"] },
+        { "domain": "ansa.it", "name": "ANSA", "category": "wire", "aliases": [] },
+
+        { "domain": "gov", "name": "US government (.gov)", "category": "government", "aliases": [] },
+        { "domain": "gov.uk", "name": "UK government", "category": "government", "aliases": [] },
+        { "domain": "who.int", "name": "World Health Organization", "category": "government", "aliases": ["World Health Organization"] },
+        { "domain": "un.org", "name": "United Nations", "category": "government", "aliases": ["United Nations"] },
+        { "domain": "europa.eu", "name": "European Union", "category": "government", "aliases": ["European Commission"] },
+        { "domain": "cdc.gov", "name": "CDC", "category": "government", "aliases": ["Centers for Disease Control and Prevention", "CDC"] },
+
+        { "domain": "snopes.com", "name": "Snopes", "category": "factCheck", "aliases": ["Snopes"] },
+        { "domain": "politifact.com", "name": "PolitiFact", "category": "factCheck", "aliases": ["PolitiFact"] },
+        { "domain": "factcheck.org", "name": "FactCheck.org", "category": "factCheck", "aliases": [] },
+        { "domain": "fullfact.org", "name": "Full Fact", "category": "factCheck", "aliases": ["Full Fact"] },
+
+        { "domain": "nytimes.com", "name": "The New York Times", "category": "news", "aliases": ["The New York Times", "New York Times"] },
+        { "domain": "washingtonpost.com", "name": "The Washington Post", "category": "news", "aliases": ["The Washington Post", "Washington Post"] },
+        { "domain": "wsj.com", "name": "The Wall Street Journal", "category": "news", "aliases": ["The Wall Street Journal", "Wall Street Journal"] },
+        { "domain": "theguardian.com", "name": "The Guardian", "category": "news", "aliases": ["The Guardian"] },
+        { "domain": "bbc.co.uk", "name": "BBC", "category": "news", "aliases": ["BBC News", "BBC"] },
+        { "domain": "bbc.com", "name": "BBC", "category": "news", "aliases": [] },
+        { "domain": "ft.com", "name": "Financial Times", "category": "news", "aliases": ["Financial Times"] },
+        { "domain": "economist.com", "name": "The Economist", "category": "news", "aliases": ["The Economist"] },
+        { "domain": "npr.org", "name": "NPR", "category": "news", "aliases": ["NPR", "National Public Radio"] },
+        { "domain": "cnn.com", "name": "CNN", "category": "news", "aliases": ["CNN"] },
+        { "domain": "nbcnews.com", "name": "NBC News", "category": "news", "aliases": ["NBC News"] },
+        { "domain": "cbsnews.com", "name": "CBS News", "category": "news", "aliases": ["CBS News"] },
+        { "domain": "lemonde.fr", "name": "Le Monde", "category": "news", "aliases": ["Le Monde"] },
+        { "domain": "elpais.com", "name": "El País", "category": "news", "aliases": ["El País"] },
+        { "domain": "spiegel.de", "name": "Der Spiegel", "category": "news", "aliases": ["Der Spiegel"] },
+
+        { "domain": "wikipedia.org", "name": "Wikipedia", "category": "reference", "aliases": ["Wikipedia"] },
+        { "domain": "britannica.com", "name": "Encyclopaedia Britannica", "category": "reference", "aliases": ["Encyclopaedia Britannica", "Britannica"] },
+
+        { "domain": "twitter.com", "name": "X / Twitter", "category": "social", "aliases": [] },
+        { "domain": "x.com", "name": "X / Twitter", "category": "social", "aliases": [] },
+        { "domain": "facebook.com", "name": "Facebook", "category": "social", "aliases": [] },
+        { "domain": "instagram.com", "name": "Instagram", "category": "social", "aliases": [] },
+        { "domain": "tiktok.com", "name": "TikTok", "category": "social", "aliases": [] },
+        { "domain": "youtube.com", "name": "YouTube", "category": "social", "aliases": [] },
+        { "domain": "youtu.be", "name": "YouTube", "category": "social", "aliases": [] },
+        { "domain": "reddit.com", "name": "Reddit", "category": "social", "aliases": [] },
+        { "domain": "t.me", "name": "Telegram", "category": "social", "aliases": [] },
+        { "domain": "medium.com", "name": "Medium", "category": "social", "aliases": [] },
+        { "domain": "substack.com", "name": "Substack", "category": "social", "aliases": [] },
+        { "domain": "blogspot.com", "name": "Blogger", "category": "social", "aliases": [] },
+        { "domain": "wordpress.com", "name": "WordPress.com", "category": "social", "aliases": [] },
+
+        { "domain": "rt.com", "name": "RT", "category": "stateMedia", "aliases": ["Russia Today"] },
+        { "domain": "sputniknews.com", "name": "Sputnik", "category": "stateMedia", "aliases": ["Sputnik News"] },
+        { "domain": "tass.com", "name": "TASS", "category": "stateMedia", "aliases": [] },
+        { "domain": "cgtn.com", "name": "CGTN", "category": "stateMedia", "aliases": ["CGTN"] },
+        { "domain": "globaltimes.cn", "name": "Global Times", "category": "stateMedia", "aliases": ["Global Times"] },
+        { "domain": "xinhuanet.com", "name": "Xinhua", "category": "stateMedia", "aliases": ["Xinhua"] },
+        { "domain": "presstv.ir", "name": "Press TV", "category": "stateMedia", "aliases": ["Press TV"] },
+        { "domain": "kcna.kp", "name": "KCNA", "category": "stateMedia", "aliases": ["Korean Central News Agency"] },
+
+        { "domain": "theonion.com", "name": "The Onion", "category": "satire", "aliases": ["The Onion"] },
+        { "domain": "babylonbee.com", "name": "The Babylon Bee", "category": "satire", "aliases": ["Babylon Bee"] },
+        { "domain": "clickhole.com", "name": "ClickHole", "category": "satire", "aliases": ["ClickHole"] },
+        { "domain": "newsthump.com", "name": "NewsThump", "category": "satire", "aliases": ["NewsThump"] },
+        { "domain": "thebeaverton.com", "name": "The Beaverton", "category": "satire", "aliases": ["The Beaverton"] },
+        { "domain": "waterfordwhispersnews.com", "name": "Waterford Whispers News", "category": "satire", "aliases": ["Waterford Whispers"] },
+        { "domain": "worldnewsdailyreport.com", "name": "World News Daily Report", "category": "satire", "aliases": ["World News Daily Report"] },
+
+        { "domain": "infowars.com", "name": "InfoWars", "category": "misinformation", "aliases": ["InfoWars"] },
+        { "domain": "naturalnews.com", "name": "Natural News", "category": "misinformation", "aliases": ["Natural News"] },
+        { "domain": "beforeitsnews.com", "name": "Before It's News", "category": "misinformation", "aliases": ["Before It's News"] },
+        { "domain": "yournewswire.com", "name": "YourNewsWire", "category": "misinformation", "aliases": ["YourNewsWire"] },
+        { "domain": "newspunch.com", "name": "News Punch", "category": "misinformation", "aliases": ["NewsPunch", "News Punch"] }
+    ]
+};
@@ -0,0 +1,115 @@
+// ============================================
+// BUILT-IN GENERATOR SIGNATURES
+// Metadata that AI image tools write into their output
+// (see GeneratorFingerprint for the format)
+// ============================================
+
+const GENERATOR_SIGNATURES = {
+    "formatVersion": 1,
+    "version": "1.1.0",
+    "signatures": [
+        {
+            "id": "fooocus",
+            "generator": "Fooocus",
+            "field": "png:fooocus_scheme"
+        },
+        {
+            "id": "a1111-png",
+            "generator": "Stable Diffusion WebUI",
+            "field": "png:parameters",
+            "pattern": "(?:^|\\n)Steps: \\d+|^\\s*\\{",
+            "parser": "parameters"
+        },
+        {
+            "id": "a1111-exif",
+            "generator": "Stable Diffusion WebUI",
+            "field": "exif:UserComment",
+            "pattern": "(?:^|\\n)Steps: \\d+, Sampler: ",
+            "parser": "parameters"
+        },
+        {
+            "id": "comfyui-prompt",
+            "generator": "ComfyUI",
+            "field": "png:prompt",
+            "pattern": "\"class_type\"",
+            "parser": "comfyui"
+        },
+        {
+            "id": "comfyui-workflow",
+            "generator": "ComfyUI",
+            "field": "png:workflow",
+            "pattern": "\"nodes\"",
+            "parser": "comfyui"
+        },
+        {
+            "id": "novelai",
+            "generator": "NovelAI",
+            "field": "png:Software",
+            "pattern": "^NovelAI"
+        },
+        {
+            "id": "novelai-comment",
+            "generator": "NovelAI",
+            "field": "png:Comment",
+            "pattern": "\"(?:uc|noise_schedule)\"",
+            "parser": "json"
+        },
+        {
+            "id": "invokeai",
+            "generator": "InvokeAI",
+            "field": "png:invokeai_metadata",
+            "parser": "json"
+        },
+        {
+            "id": "invokeai-legacy",
+            "generator": "InvokeAI",
+            "field": "png:sd-metadata",
+            "parser": "json"
+        },
+        {
+            "id": "midjourney-png",
+            "generator": "Midjourney",
+            "field": "png:Description",
+            "pattern": "Job ID: [0-9a-f-]{36}|\\s--(?:v|niji) \\d",
+            "parser": "midjourney"
+        },
+        {
+            "id": "midjourney-xmp",
+            "generator": "Midjourney",
+            "field": "xmp:dc:description",
+            "pattern": "Job ID: [0-9a-f-]{36}|\\s--(?:v|niji) \\d",
+            "parser": "midjourney"
+        },
+        {
+            "id": "google-ai-credit",
+            "generator": "Google AI",
+            "field": "xmp:photoshop:Credit",
+            "pattern": "^Made with Google AI"
+        },
+        {
+            "id": "software-name",
+            "generator": null,
+            "field": "software",
+            "pattern": "\\b(?:midjourney|dall[·\\-\\s]?e|stable diffusion|novelai|comfyui|invokeai|fooocus|adobe firefly|google imagen|ideogram|leonardo\\.?ai|bing image creator|dreamstudio|nightcafe|flux\\.1|black forest labs|gpt-4o|openai sora)\\b"
+        },
+        {
+            "id": "c2pa-generator",
+            "generator": null,
+            "field": "c2pa:softwareAgent",
+            "pattern": "\\b(?:midjourney|dall[·\\-\\s]?e|stable diffusion|adobe firefly|google imagen|ideogram|gpt-4o|openai sora)\\b"
+        },
+        {
+            "id": "c2pa-digital-source",
+            "generator": "Unnamed AI generator",
+            "generatorField": "c2pa:softwareAgent",
+            "field": "c2pa:digitalSourceType",
+            "pattern": "(?:^|/)trainedAlgorithmicMedia$"
+        },
+        {
+            "id": "iptc-digital-source",
+            "generator": "Unnamed AI generator",
+            "field": "xmp:Iptc4xmpExt:DigitalSourceType",
+            "pattern": "(?:^|/)trainedAlgorithmicMedia$"
+        }
+    ]
+};
@@ -0,0 +1,306 @@
+// ============================================
+// BUILT-IN JPEG ENCODER LIBRARY
+// Quantization tables and file traits of known camera
+// and software encoders (see JpegStructure for the format)
+// ============================================
+
+// Tables taken from genuine files come first: a camera's firmware tables
+// (matched only when the metadata names that make) and the fixed quality
+// levels of editors, which name the encoder whatever the metadata says.
+// Most other software encodes with the IJG (libjpeg) tables scaled to a
+// quality setting, so "ijg" covers browsers, ImageMagick, Pillow, GIMP and
+// most web services at once. Some cameras use IJG tables too, but so does
+// nearly every re-save, so IJG tables under camera metadata count as
+// software. Tables are 64 values, row by row.
+const JPEG_ENCODERS = {
+    "formatVersion": 1,
+    "version": "1.1.0",
+    "encoders": [
+        {
+            "id": "sony-fine",
+            "name": "Sony camera firmware (Fine)",
+            "kind": "camera",
+            "camera": "^sony",
+            "edited": false,
+            "luminance": [
+                1, 1, 1, 2, 2, 4, 5, 7, 1, 1, 2, 2, 3, 4, 5, 7,
+                1, 2, 2, 2, 3, 4, 6, 8, 2, 2, 2, 3, 3, 5, 6, 8,
+                2, 3, 3, 3, 4, 5, 7, 9, 4, 4, 4, 5, 5, 7, 8, 10,
+                5, 5, 6, 6, 7, 8, 10, 12, 7, 7, 8, 8, 9, 10, 12, 14
+            ],
+            "chrominance": [
+                2, 2, 2, 3, 6, 12, 15, 15, 2, 2, 2, 3, 6, 12, 15, 15,
+                2, 2, 2, 4, 7, 13, 15, 15, 3, 3, 4, 5, 9, 15, 15, 15,
+                6, 6, 7, 9, 14, 15, 15, 15, 12, 12, 13, 15, 15, 15, 15, 15,
+                15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15
+            ]
+        },
+        {
+            "id": "canon-powershot-superfine",
+            "name": "Canon PowerShot firmware (Superfine)",
+            "kind": "camera",
+            "camera": "^canon",
+            "edited": false,
+            "luminance": [
+                1, 1, 1, 1, 1, 2, 3, 3, 1, 1, 1, 1, 1, 3, 3, 3,
+                1, 1, 1, 1, 2, 3, 3, 3, 1, 1, 1, 1, 2, 4, 4, 3,
+                1, 1, 3, 4, 4, 6, 6, 4, 1, 2, 3, 3, 4, 5, 6, 5,
+                2, 3, 4, 4, 5, 6, 6, 5, 5, 5, 5, 5, 5, 5, 5, 5
+            ],
+            "chrominance": [
+                1, 1, 2, 4, 6, 11, 11, 11, 1, 1, 2, 4, 8, 11, 11, 11,
+                2, 2, 3, 4, 11, 11, 11, 11, 4, 4, 4, 5, 11, 11, 11, 11,
+                6, 8, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11,
+                11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11
+            ]
+        },
+        {
+            "id": "apple-iphone",
+            "name": "Apple iPhone camera",
+            "kind": "camera",
+            "camera": "^apple|iphone",
+            "edited": false,
+            "luminance": [
+                1, 1, 1, 2, 3, 4, 5, 6, 1, 1, 1, 2, 3, 4, 5, 6,
+                1, 1, 2, 3, 4, 5, 6, 7, 2, 2, 3, 4, 5, 6, 7, 8,
+                3, 3, 4, 5, 6, 7, 8, 9, 4, 4, 5, 6, 7, 8, 9, 9,
+                5, 5, 6, 7, 8, 9, 9, 9, 6, 6, 7, 8, 9, 9, 9, 9
+            ],
+            "chrominance": [
+                1, 1, 2, 4, 9, 9, 9, 9, 1, 2, 2, 6, 9, 9, 9, 9,
+                2, 2, 5, 9, 9, 9, 9, 9, 4, 6, 9, 9, 9, 9, 9, 9,
+                9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9,
+                9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 9
+            ]
+        },
+        {
+            "id": "xiaomi",
+            "name": "Xiaomi phone camera",
+            "kind": "camera",
+            "camera": "^xiaomi",
+            "edited": false,
+            "luminance": [
+                4, 3, 3, 4, 6, 10, 13, 16, 3, 3, 4, 5, 7, 15, 15, 14,
+                4, 3, 4, 6, 10, 15, 18, 14, 4, 4, 6, 7, 13, 22, 21, 16,
+                5, 6, 10, 14, 18, 28, 27, 20, 6, 9, 14, 17, 21, 27, 29, 24,
+                13, 17, 20, 22, 27, 31, 31, 26, 19, 24, 24, 25, 29, 26, 27, 26
+            ],
+            "chrominance": [
+                4, 5, 6, 12, 26, 26, 26, 26, 5, 5, 7, 17, 26, 26, 26, 26,
+                6, 7, 14, 26, 26, 26, 26, 26, 12, 17, 26, 26, 26, 26, 26, 26,
+                26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26,
+                26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26
+            ]
+        },
+        {
+            "id": "photoshop-7",
+            "name": "Adobe Photoshop (quality 7)",
+            "kind": "software",
+            "luminance": [
+                10, 7, 7, 10, 15, 18, 20, 17, 7, 8, 8, 10, 13, 16, 12, 12,
+                7, 8, 8, 10, 16, 12, 12, 12, 10, 10, 10, 18, 12, 12, 12, 12,
+                15, 13, 16, 12, 12, 12, 12, 12, 18, 16, 12, 12, 12, 12, 12, 12,
+                20, 12, 12, 12, 12, 12, 12, 12, 17, 12, 12, 12, 12, 12, 12, 12
+            ],
+            "chrominance": [
+                11, 12, 21, 34, 20, 20, 17, 17, 12, 19, 24, 14, 14, 12, 12, 12,
+                21, 24, 14, 14, 12, 12, 12, 12, 34, 14, 14, 12, 12, 12, 12, 12,
+                20, 14, 12, 12, 12, 12, 12, 12, 20, 12, 12, 12, 12, 12, 12, 12,
+                17, 12, 12, 12, 12, 12, 12, 12, 17, 12, 12, 12, 12, 12, 12, 12
+            ]
+        },
+        {
+            "id": "photoshop-10",
+            "name": "Adobe Photoshop (quality 10)",
+            "kind": "software",
+            "luminance": [
+                2, 2, 2, 2, 3, 4, 5, 6, 2, 2, 2, 2, 3, 4, 5, 6,
+                2, 2, 2, 2, 4, 5, 7, 9, 2, 2, 2, 4, 5, 7, 9, 12,
+                3, 3, 4, 5, 8, 10, 12, 12, 4, 4, 5, 7, 10, 12, 12, 12,
+                5, 5, 7, 9, 12, 12, 12, 12, 6, 6, 9, 12, 12, 12, 12, 12
+            ],
+            "chrominance": [
+                3, 3, 5, 9, 13, 15, 15, 15, 3, 4, 6, 10, 14, 12, 12, 12,
+                5, 6, 9, 14, 12, 12, 12, 12, 9, 10, 14, 12, 12, 12, 12, 12,
+                13, 14, 12, 12, 12, 12, 12, 12, 15, 12, 12, 12, 12, 12, 12, 12,
+                15, 12, 12, 12, 12, 12, 12, 12, 15, 12, 12, 12, 12, 12, 12, 12
+            ]
+        },
+        {
+            "id": "photoshop-11",
+            "name": "Adobe Photoshop (quality 11)",
+            "kind": "software",
+            "luminance": [
+                1, 1, 1, 1, 2, 2, 2, 3, 1, 1, 1, 1, 1, 2, 2, 3,
+                1, 1, 1, 1, 2, 3, 4, 5, 1, 1, 1, 2, 3, 4, 5, 7,
+                2, 1, 2, 3, 4, 5, 7, 8, 2, 2, 3, 4, 5, 7, 8, 8,
+                2, 2, 4, 5, 7, 8, 8, 8, 3, 3, 5, 7, 8, 8, 8, 8
+            ],
+            "chrominance": [
+                1, 1, 2, 4, 7, 8, 8, 8, 1, 2, 3, 5, 8, 8, 8, 8,
+                2, 3, 4, 8, 8, 8, 8, 8, 4, 5, 8, 8, 8, 8, 8, 8,
+                7, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8,
+                8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8
+            ]
+        },
+        {
+            "id": "photoshop-12",
+            "name": "Adobe Photoshop (quality 12) or Lightroom (quality 93-100%)",
+            "kind": "software",
+            "luminance": [
+                1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+                1, 1, 1, 1, 1, 1, 1, 2, 1, 1, 1, 1, 1, 1, 2, 2,
+                1, 1, 1, 1, 1, 2, 2, 3, 1, 1, 1, 1, 2, 2, 3, 3,
+                1, 1, 1, 2, 2, 3, 3, 3, 1, 1, 2, 2, 3, 3, 3, 3
+            ],
+            "chrominance": [
+                1, 1, 1, 1, 2, 3, 3, 3, 1, 1, 1, 2, 3, 3, 3, 3,
+                1, 1, 1, 3, 3, 3, 3, 3, 1, 2, 3, 3, 3, 3, 3, 3,
+                2, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3,
+                3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3
+            ]
+        },
+        {
+            "id": "photoshop-web-10",
+            "name": "Adobe Photoshop Save for Web (quality 10)",
+            "kind": "software",
+            "luminance": [
+                20, 16, 25, 39, 50, 46, 62, 68, 16, 18, 23, 38, 38, 53, 65, 68,
+                25, 23, 31, 38, 53, 65, 68, 68, 39, 38, 38, 53, 65, 68, 68, 68,
+                50, 38, 53, 65, 68, 68, 68, 68, 46, 53, 65, 68, 68, 68, 68, 68,
+                62, 65, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68
+            ],
+            "chrominance": [
+                21, 25, 32, 38, 54, 68, 68, 68, 25, 28, 24, 38, 54, 68, 68, 68,
+                32, 24, 32, 43, 66, 68, 68, 68, 38, 38, 43, 53, 68, 68, 68, 68,
+                54, 54, 66, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68,
+                68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68, 68
+            ]
+        },
+        {
+            "id": "photoshop-web-90",
+            "name": "Adobe Photoshop Save for Web (quality 90)",
+            "kind": "software",
+            "luminance": [
+                1, 1, 1, 1, 2, 2, 2, 3, 1, 1, 1, 1, 2, 2, 2, 3,
+                1, 1, 1, 1, 2, 3, 4, 5, 1, 1, 1, 2, 3, 4, 5, 7,
+                2, 2, 2, 3, 4, 5, 7, 8, 2, 2, 3, 4, 5, 7, 8, 8,
+                2, 2, 4, 5, 7, 8, 8, 8, 3, 3, 5, 7, 8, 8, 8, 8
+            ],
+            "chrominance": [
+                1, 1, 2, 5, 7, 8, 8, 8, 1, 2, 3, 5, 8, 8, 8, 8,
+                2, 3, 4, 8, 8, 8, 8, 8, 5, 5, 8, 8, 8, 8, 8, 8,
+                7, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8,
+                8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8, 8
+            ]
+        },
+        {
+            "id": "photoshop-web-100",
+            "name": "Adobe Photoshop Save for Web (quality 100)",
+            "kind": "software",
+            "luminance": [
+                1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+                1, 1, 1, 1, 1, 1, 1, 2, 1, 1, 1, 1, 1, 1, 2, 2,
+                1, 1, 1, 1, 1, 2, 2, 3, 1, 1, 1, 1, 2, 2, 3, 3,
+                1, 1, 1, 2, 2, 3, 3, 3, 1, 1, 2, 2, 3, 3, 3, 3
+            ],
+            "chrominance": [
+                1, 1, 1, 2, 2, 3, 3, 3, 1, 1, 1, 2, 3, 3, 3, 3,
+                1, 1, 1, 3, 3, 3, 3, 3, 2, 2, 3, 3, 3, 3, 3, 3,
+                2, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3,
+                3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3
+            ]
+        },
+        {
+            "id": "lightroom-77",
+            "name": "Adobe Lightroom (quality 77-84%)",
+            "kind": "software",
+            "luminance": [
+                2, 2, 3, 4, 5, 6, 8, 11, 2, 2, 2, 4, 5, 7, 9, 11,
+                3, 2, 3, 5, 7, 9, 11, 12, 4, 4, 5, 7, 9, 11, 12, 12,
+                5, 5, 7, 9, 11, 12, 12, 12, 6, 7, 9, 11, 12, 12, 12, 12,
+                8, 9, 11, 12, 12, 12, 12, 12, 11, 11, 12, 12, 12, 12, 12, 12
+            ],
+            "chrominance": [
+                3, 3, 7, 13, 15, 15, 15, 15, 3, 4, 7, 13, 14, 12, 12, 12,
+                7, 7, 13, 14, 12, 12, 12, 12, 13, 13, 14, 12, 12, 12, 12, 12,
+                15, 14, 12, 12, 12, 12, 12, 12, 15, 12, 12, 12, 12, 12, 12, 12,
+                15, 12, 12, 12, 12, 12, 12, 12, 15, 12, 12, 12, 12, 12, 12, 12
+            ]
+        },
+        {
+            "id": "windows-photo-viewer",
+            "name": "Windows Photo Viewer",
+            "kind": "software",
+            "luminance": [
+                1, 1, 1, 1, 1, 1, 2, 3, 1, 1, 1, 1, 1, 1, 2, 3,
+                1, 1, 1, 1, 1, 2, 3, 4, 1, 1, 1, 1, 2, 2, 3, 4,
+                1, 1, 1, 2, 3, 3, 4, 4, 1, 2, 2, 3, 4, 4, 5, 4,
+                2, 2, 3, 3, 4, 4, 4, 4, 2, 2, 2, 2, 3, 3, 4, 4
+            ],
+            "chrominance": [
+                1, 1, 1, 2, 4, 4, 4, 4, 1, 1, 1, 2, 4, 4, 4, 4,
+                1, 1, 2, 4, 4, 4, 4, 4, 2, 2, 4, 4, 4, 4, 4, 4,
+                4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4,
+                4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4
+            ]
+        },
+        {
+            "id": "pixelmator",
+            "name": "Pixelmator",
+            "kind": "software",
+            "luminance": [
+                2, 1, 1, 2, 2, 4, 5, 6, 1, 1, 1, 2, 3, 6, 6, 5,
+                1, 1, 2, 2, 4, 6, 7, 5, 1, 2, 2, 3, 5, 8, 8, 6,
+                2, 2, 4, 5, 7, 11, 10, 7, 2, 3, 5, 6, 8, 10, 11, 9,
+                5, 6, 8, 8, 10, 12, 12, 10, 7, 9, 9, 9, 11, 10, 10, 10
+            ],
+            "chrominance": [
+                2, 2, 2, 5, 10, 10, 10, 10, 2, 2, 3, 6, 10, 10, 10, 10,
+                2, 3, 5, 10, 10, 10, 10, 10, 5, 6, 10, 10, 10, 10, 10, 10,
+                10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10,
+                10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10
+            ]
+        },
+        {
+            "id": "photoshop",
+            "name": "Adobe Photoshop",
+            "kind": "software",
+            "software": "photoshop"
+        },
+        {
+            "id": "lightroom",
+            "name": "Adobe Lightroom",
+            "kind": "software",
+            "software": "lightroom"
+        },
+        {
+            "id": "gimp",
+            "name": "GIMP (quality {quality})",
+            "kind": "software",
+            "software": "gimp",
+            "tables": "ijg"
+        },
+        {
+            "id": "adobe",
+            "name": "Adobe software",
+            "kind": "software",
+            "segment": "APP14:Adobe",
+            "tables": "custom"
+        },
+        {
+            "id": "camera",
+            "name": "{camera} firmware",
+            "kind": "camera",
+            "camera": true,
+            "edited": false,
+            "tables": "custom"
+        },
+        {
+            "id": "ijg",
+            "name": "IJG libjpeg-compatible encoder (quality {quality})",
+            "kind": "software",
+            "tables": "ijg"
+        }
+    ]
+};
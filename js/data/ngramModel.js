@@ -0,0 +1,7 @@
+// ============================================
+// BUNDLED N-GRAM MODEL (generated - do not edit)
+// Built by tools/buildNgramModel.js from public-domain text:
+// Moby-Dick (Project Gutenberg); U.S. State of the Union addresses 1945+
+// ============================================
+
+const NGRAM_MODEL = {"version":1,"source":"Moby-Dick (Project Gutenberg); U.S. State of the Union addresses 1945+","discount":0.75,"totalTokens":923350,"vocab":["<s>","<unk>","the","and","of","to","in","a","that","we","for","our","i","is","it","this","with","as","but","his","all","have","be","on","by","will","not","are","was","at","he","from","you","so","their","more","now","one","they","or","an","which","has","must","there","whale","him","can","these","s","my","no","been","had","when","who","world","what","us","new","if","were","people","some","them","than","do","like","me","out","up","other","its","time","into","year","would","over","then","years","those","congress","only","should","every","upon","america","american","great","last","government","most","about","long","man","first","down","make","any","here","old","such","still","work","many","before","way","ship","very","own","ahab","also","through","two","sea","yet","well","know","ye","good","help","made","war","americans","her","your","again","where","states","though","nation","after","said","see","country","federal","men","how","because","just","united","peace","say","much","may","security","could","while","let","right","come","being","same","life","economic","ever","never","head","even","nations","free","too","program","did","three","go","national","need","against","take","captain","back","together","without","economy","boat","white","tax","day","both","high","tonight","under","future","little","look","seemed","jobs","off","part","give","health","far","million","get","better","budget","full","thou","almost","each","among","act","system","freedom","power","whales","next","children","home","between","round","side","hand","shall","am","stubb","away","chapter","programs","water","sperm","state","queequeg","thing","end","business","small","support","want","billion","once","care","it's","another","military","continue","cannot","half","why","keep","might","today","hope","energy","things","think","seen","since","president","best","himself","god","past","place","administration","defense","line","whole","percent","progress","believe","air","that's","deck","hard","she","forces","use","000","working","stand","strength","meet","families","nor","history","policy","strong","face","present","starbuck","tell","put","education","going","times","dollars","legislation","ago","public","done","always","something","ask","citizens","increase","growth","human","cut","during","provide","sir","young","plan","fish","soon","within","t","thought","few","night","came","law","needs","hands","opportunity","union","called","2","already","eyes","thus","does","social","nothing","oil","development","trade","1","living","land","set","forward","important","private","cried","hold","oh","means","found","aye","certain","days","four","job","sort","less","live","making","effort","further","action","along","pequod","second","poor","we've","however","moment","common","pay","international","workers","whether","boats","problems","enough","don't","large","general","open","america's","soviet","efforts","rights","true","mr","crew","nuclear","change","lives","order","saw","income","possible","reform","resources","fiscal","foreign","spending","we're","matter","middle","major","sure","century","family","women","interest","responsibility","community","feet","heard","whose","schools","thee","whaling","toward","mast","bring","nearly","production","countries","house","point","force","fellow","others","find","itself","protect","school","towards","heart","taken","till","clear","lower","service","child","weapons","body","pass","course","welfare","build","purpose","greater","fair","millions","often","ahead","chance","5","themselves","went","therefore","control","3","let's","thy","increased","left","special","across","members","real","areas","fact","rate","higher","start","allies","death","least","third","local","become","call","indeed","sight","around","money","passed","turn","nation's","insurance","sun","challenge","single","vast","inflation","stood","black","housing","alone","expenditures","flask","labor","necessary","number","took","cost","perhaps","europe","short","sometimes","standing","thank","used","goal","behind","low","known","light","propose","sail","top","yes","bill","coming","sound","above","reduce","fight","rather","east","level","mind","ships","strange","voyage","basic","communities","dead","deficit","taxes","finally","given","months","able","spirit","entire","speak","strengthen","10","cooperation","create","reason","stop","lay","rest","seems","i'm","iron","lead","needed","word","arm","especially","including","taking","4","arms","close","essential","eye","got","nantucket","problem","prosperity","research","seem","assistance","began","earth","food","heads","leg","move","price","benefits","faith","achieve","ourselves","seek","deep","fire","investment","looking","remain","seas","prices","several","natural","office","period","cause","five","having","laws","leviathan","self","wild","democracy","lost","soul","turned","brought","crime","near","try","age","cabin","case","growing","run","vital","costs","friends","share","businesses","leaders","political","ways","don","secure","aid","comes","dick","moby","fast","building","effective","gone","policies","board","broad","equal","justice","additional","improve","instant","mean","ready","leadership","rates","farm","kind","rising","sailor","commitment","ocean","tail","begin","individual","beyond","employment","ere","length","reach","term","agreement","ground","harpooneer","medical","waters","jonah","particular","save","step","beneath","college","continued","feel","makes","measures","morning","abroad","bed","u","whatever","credit","maintain","wind","doing","harpoon","hear","name","technology","based","example","i've","serve","task","held","society","bildad","else","total","works","armed","opportunities","unemployment","parents","record","there's","fear","hundred","myself","different","domestic","longer","peleg","proud","respect","services","space","steps","threat","can't","fully","industry","looked","mate","require","serious","told","clean","interests","until","urge","applause","expand","helped","turning","easy","hour","instead","pip","beginning","democratic","idea","show","success","throughout","whalemen","carry","goes","greatest","room","thousand","debt","watch","anything","china","either","proposed","report","science","encourage","form","quality","story","wage","blood","confidence","kept","management","parts","wide","words","asia","communist","created","department","join","thousands","advance","civil","south","veterans","boy","broken","grow","leave","values","afford","indian","recommend","attack","financial","fine","message","question","recommendations","voice","fishery","hours","increasing","lord","mark","mass","none","remains","unless","view","whale's","develop","lines","raise","he's","main","promise","send","standards","stronger","below","cities","forth","nature","terror","authority","king","ll","reduction","result","sense","aloft","dark","goals","iraq","remember","training","we'll","world's","6","bottom","chase","duty","north","relations","aggression","book","generation","prevent","quarter","washington","big","capacity","everything","executive","giving","process","really","requires","says","spout","ten","truth","worked","balance","cold","levels","complete","door","initiative","love","markets","field","gave","helping","issue","poverty","chamber","commission","cuts","mouth","senate","bipartisan","born","crisis","final","met","nevertheless","slowly","steady","deal","historic","knew","pacific","peaceful","rope","running","safety","terrorists","construction","courage","getting","grand","jaw","market","modern","proposals","safe","trust","capital","continuing","cutting","decade","farmers","increases","peculiar","agencies","fighting","global","heavy","ivory","pull","whom","craft","funds","governments","green","harpooneers","independence","sign","speaker","tashtego","comprehensive","ensure","protection","savage","stern","truly","companies","cook","d","month","sailors","saying","straight","30","adequate","built","challenges","changes","chief","choose","curious","doubt","laughter","placed","places","previous","race","recent","understand","asked","medicare","mine","principles","promote","struck","vice","50","enterprise","established","fall","peoples","relief","rise","various","20","ability","assure","available","drug","ii","person","savings","six","actions","break","concern","devil","english","i'll","largest","position","students","talk","vessel","answer","caught","class","critical","current","developing","dignity","early","eight","felt","play","projects","proper","recommended","they're","battle","bone","company","directly","mighty","recovery","reduced","suddenly","1947","afghanistan","africa","area","city","coffin","meeting","passage","personal","sat","teeth","balanced","institutions","return","sharks","shot","stands","sudden","troops","account","besides","consider","coverage","demand","leaving","sent","strategic","waves","21st","bear","bows","dollar","drugs","follow","heaven","holding","korea","measure","noble","prepared","provided","quickly","reached","100","7","begun","burden","choice","coast","completely","danger","expansion","highest","improved","providing","15","blue","enforcement","environment","gold","invest","mere","parties","quite","rapidly","red","rural","sleep","somehow","spread","takes","teachers","added","approach","bones","liberty","moving","plans","quick","role","steel","decades","st","started","access","affairs","carpenter","hole","homes","party","sharp","spring","strike","touching","vote","difficult","honor","miles","stranger","table","wages","agriculture","aside","concerning","defend","following","funding","killed","monster","seeing","transportation","violence","asking","became","carried","conditions","except","hearts","knows","required","rolled","sails","scientific","vietnam","west","achieved","activities","art","calm","determined","direction","dream","lance","significant","simple","trying","dangerous","lot","manner","nigh","passing","plain","preserve","wake","wise","bow","competition","fund","gentlemen","huge","industrial","laid","ones","partnership","queer","received","seamen","sides","surface","atlantic","conservation","keeping","key","organization","particularly","spend","substantial","town","twenty","wonder","wondrous","address","basis","bless","cases","fixed","immediate","kill","learned","pursuit","rose","simply","speed","test","wall","8","bad","cry","dreams","offer","read","recognize","won't","citizen","distance","facilities","late","payments","pipe","surplus","12","brave","brow","cape","creature","decisions","designed","double","em","include","information","minimum","otherwise","produce","similar","skills","stay","supply","base","central","de","differences","goods","hat","ideas","mortal","neither","officers","plainly","powerful","western","whaleman","command","didn't","difference","expect","expected","foundation","fourth","grown","japan","mates","object","permanent","region","ship's","sought","study","treaty","waste","what's","addition","estimated","existing","experience","forty","friend","island","oars","responsibilities","succeed","value","weather","alive","attention","brain","dropped","everyone","expanding","extend","gives","industries","meanwhile","mutual","re","responsible","shape","struggle","ahab's","aspect","average","boys","bulwarks","drawing","enormous","followed","happen","paid","steelkilt","thinking","turns","unknown","1946","40","agree","darted","drive","effect","events","expanded","famous","forecastle","fresh","immediately","immigration","kids","o","principle","productive","recession","restore","sailed","skin","sky","streets","atomic","certainly","creating","demands","fifty","generally","ha","importance","incentives","issues","later","mankind","police","population","range","reforms","remained","retirement","situation","stability","storm","terrible","daggoo","ends","fell","flukes","former","globe","groups","legs","loans","loose","mad","majority","moved","path","powers","raised","served","successful","suppose","wood","worse","1945","circumstances","coal","conflict","enemy","forehead","generations","hopes","instances","iran","lies","ours","strongly","willing","wrong","agreements","amount","bound","bulk","depends","determination","employees","entirely","fail","independent","investments","leading","lose","merely","permit","proposal","republicans","sector","subject","weeks","actually","buy","degree","deserve","die","forced","front","jet","knowledge","products","reaching","receive","rolling","500","9","agricultural","bank","benefit","character","considering","deficits","engaged","foot","greenland","hardly","learn","lie","materials","meaning","purposes","skeleton","systems","thoughts","violent","won","competitive","constitution","darkness","democrats","father","firm","helm","neighbors","objectives","recently","republic","using","week","al","allow","army","assist","blubber","cast","closely","creatures","distant","escape","fin","influence","master","post","rigging","rule","sailing","separate","seven","strategy","understanding","vision","worth","25","ashore","european","feeling","fundamental","hence","individuals","intelligence","led","mission","moreover","pointed","rapid","scene","secretary","son","specific","terms","upper","victory","wife","bringing","deadly","destruction","evening","hammock","landlord","matters","peacetime","possibly","precious","resolve","structure","ve","vigorous","visible","accounts","advanced","considerable","direct","e","efficient","enemies","everywhere","flying","forget","gas","ho","ice","lands","legislative","man's","moral","potential","priority","sacrifice","stable","substance","supplies","suspended","aft","border","clearly","committed","concerned","era","flag","harpoons","honest","intervals","nose","ought","paying","presented","pretty","profound","size","spent","steadily","swift","thanks","threats","tried","unity","watching","win","1980","ancient","answered","conduct","exactly","hammer","horn","hull","joined","lift","pledge","provides","secret","soft","thunder","touch","affordable","appropriations","beat","bit","blow","distinguished","ill","initiatives","june","knife","looks","massive","material","planks","precisely","regular","seeking","session","smoke","somewhat","species","thirty","wish","woe","add","advances","altogether","bearing","changed","combat","confident","developed","establish","filled","grants","hung","ideals","john","objective","partners","planning","pride","regulations","results","sake","sitting","street","supported","tomorrow","tossed","tough","wholly","according","died","disease","ended","hoisted","hundreds","learning","outer","revolution","snow","solve","sources","striking","supper","temporary","vain","wonderful","11","avoid","bills","congressional","drawn","drop","efficiency","evil","gain","group","gun","headed","hunters","impossible","lamp","member","midnight","negotiations","per","pursue","silent","summer","thereby","welcome","woman","agency","appropriate","astern","branch","bright","campaign","careful","consumer","continues","decline","directed","eliminate","emergency","incomes","leeward","lightning","likewise","mariners","nay","obligations","people's","pilot","pole","politics","port","priorities","ran","reasonable","seated","shark","sideways","speaking","spoke","strangely","swimming","taxpayers","transition","urgent","youth","alongside","bold","collective","commitments","concluded","enter","equipment","faced","glance","hast","healthy","improving","includes","january","leaning","lowest","nato","proved","risk","road","rules","surely","tremendous","urban","vessels","wisdom","yourself","achievement","coat","considered","contribute","controls","ears","enact","exports","focus","french","gods","hit","jaws","launched","mild","mother","non","oar","operations","overseas","prosperous","realize","royal","september","shipmates","signed","source","strengthened","thick","troubled","annual","anywhere","carefully","completed","decent","deeper","despite","gale","horse","hot","hump","hunt","intend","larger","latin","meant","meantime","orders","please","reserve","setting","tools","wealth","whiteness","yards","aids","banks","carrying","chest","circle","circumstance","civilian","employed","eyeing","fairly","formed","hemisphere","inside","invested","islands","movement","net","numbers","opinion","ordinary","overboard","owners","produced","putting","regard","sick","somewhere","strengthening","submit","treatment","walk","wooden","worthy","active","afterwards","agenda","begins","borders","cruising","declared","election","extended","fancy","fedallah","flood","floor","hair","hidden","hospital","illegal","iraqi","leader","marked","opening","points","reasons","reward","rich","shore","solid","stopped","tis","twice","worker","yield","advancing","alike","apart","bodily","changing","cross","destroy","enable","fishermen","greatly","joint","keel","loss","missile","practical","property","reductions","requirements","returned","revenues","seldom","shortly","souls","spite","supporting","sweet","accomplished","combined","commanded","depend","enacted","failed","fill","flew","game","happened","improvement","interval","masts","productivity","profits","qaida","regarded","resource","standard","submitted","tall","thrown","warm","wherever","you're","advantage","barriers","blows","corps","cover","dart","disaster","doesn't","dutch","earlier","empty","floating","gay","glory","gulf","hinted","limit","magnitude","minds","navy","operation","parsee","picture","previously","protecting","reducing","related","renew","request","safer","skull","spot","threaten","trained","watery","18","200","alliance","conscience","consideration","deliver","desire","everybody","finance","fore","forge","forms","gains","golden","honour","instantly","involved","letter","m","outside","pequod's","perils","pulling","relationship","response","revenue","review","swiftly","sword","technical","terrorist","whenever","winds","13","burst","captains","earn","elements","fields","fiery","hopeful","japanese","knowing","lad","lived","minutes","owing","plenty","questions","raising","remarkable","republican","saved","scuttle","seventy","sharing","southern","spiritual","stake","starting","student","telling","threatened","thyself","ultimate","wait","yellow","calling","centuries","compete","confront","constitutional","constructive","drew","establishment","failure","flesh","german","government's","grave","guarantee","harbor","hint","log","negro","obligation","prepare","repeated","row","secured","sink","sit","slow","spare","unprecedented","wants","year's","60","ah","allowed","anchor","attached","bag","books","captured","closer","conference","consumers","defenses","destiny","divided","doctors","elected","flow","fought","gazing","holy","i'd","lady","lakeman","lances","leaves","lowering","march","merchant","opened","original","proceed","promptly","rebuild","river","smaller","suffering","thinks","tide","weight","aboard","attempt","commerce","constant","dashed","educational","elsewhere","extending","faces","firmly","fit","grew","heroes","improvements","increasingly","lasting","lifted","lowered","mentioned","native","pagan","rear","regime","shared","shores","signs","sleeping","struggling","summit","trouble","virtue","afraid","anyone","attacks","avast","barrels","canal","church","civilized","climate","covered","creation","decision","deeply","departments","descried","effectively","equally","eternal","export","heat","horizon","indispensable","jacket","lesson","maintaining","methods","oceans","practices","probably","prove","revealed","showed","shown","smoking","solar","terrors","train","trillion","units","windlass","windward","activity","amendment","calls","centre","chiefly","corner","dangers","debate","delay","discrimination","ease","entered","extraordinary","figure","financing","freely","hailed","included","israel","items","jolly","lofty","missiles","peril","personnel","persons","pleased","radney","receipts","receiving","remaining","resolution","rolls","salt","saving","seat","seize","stove","today's","universal","wanted","beheld","branches","carries","children's","committee","communism","decks","dost","enduring","england","evinced","extension","facts","falling","fate","fifth","fleet","gigantic","grant","gunwale","hanging","hill","hollow","internal","largely","loan","math","mention","murder","nantucketer","news","numerous","offered","opposite","pieces","pointing","presently","prow","pushed","reality","remove","russia","search","seized","shadow","sixty","slightest","soil","soldiers","strikes","striving","strongest","sustained","tasks","teach","torn","tree","uniform","weapon","35","awful","becomes","billions","blind","breaking","choices","colleges","compassion","concerns","dam","despair","dim","doubloon","drink","folks","gained","glass","inch","incredible","infrastructure","innocent","instance","integrity","intense","joy","limited","lying","piece","pleasant","quest","quietly","removed","rush","sell","seniors","shows","shut","sing","solemn","spoken","sustain","swim","ultimately","utmost","volume","ages","aim","amid","arrived","bench","billows","blacksmith","box","breeze","casks","commander","dat","detailed","district","doubled","dragged","draw","dropping","eager","easier","evidence","extreme","facing","fain","foremost","fulfill","gentleman","germany","grateful","grey","guests","here's","immigrants","inches","lack","lee","marks","minute","noon","observed","officer","pollution","precise","press","product","proposing","roll","spade","successfully","supposed","swung","thrust","unnecessary","voluntary","walls","worst","written","announced","approved","boat's","broke","burdens","chinese","criminal","crossing","date","december","demonstrated","discovery","endure","equality","fatal","finish","foolish","guess","heavens","height","hook","hunted","iii","innovation","insure","ishmael","listen","manufacturing","moments","monetary","originally","plants","producing","rare","regularly","religious","ribs","rock","sacred","scale","shoulder","silence","skill","squall","stock","swam","treasury","unemployed","upwards","veto","14","achieving","african","although","authorities","beach","cents","chains","charge","constantly","content","dear","delight","determine","dinner","dog","doors","due","earned","eh","faster","gabriel","jump","medicine","older","organized","pitch","porpoise","regional","resolved","season","serving","settled","solitary","sorts","stuff","substantially","sufficient","tomahawk","travel","twelve","victims","visit","whaler","whalers","wonders","affect","assured","beef","belief","cannibal","christian","compass","condition","continually","costly","dare","didn","difficulties","encouraging","endless","feels","foam","george","gradually","houses","humanity","judgment","july","kings","match","memory","midst","narrow","pace","pale","parks","properly","pursued","quiet","represent","series","settlement","spermaceti","stone","sweeping","vicinity","voices","yard","agreed","authorized","bedford","biggest","birth","catch","caused","centers","charter","connected","contrary","daily","dying","elderly","element","enhance","environmental","eventually","exist","extra","flame","forests","glad","guns","handle","happens","harder","hearing","highly","hire","holds","horrible","hunter","immense","impact","jack","keeps","ladies","latter","laugh","legal","lips","lo","locked","madness","maintained","maximum","nameless","officials","perilous","persian","pictures","pots","prescription","pressing","privilege","prodigious","protected","reading","rocks","stars","stimulate","straits","stroke","superior","theirs","thine","uses","window","wound","yonder","yours","300","70","achievements","affair","assume","boom","cancer","code","communists","complex","conclusion","contrast","cool","corporate","council","crown","defeat","denied","deny","diplomacy","disabled","discipline","dough","eastern","economies","edge","elephant","encountered","enjoy","excellence","external","fuel","furnished","gaze","governmental","governor","happy","highway","inserted","internet","involve","irons","missing","motion","neck","partly","planet","possibility","project","provision","ring","scarce","sending","shock","steward","stricken","subjects","tackles","technologies","terrorism","thin","tied","trunk","vigorously","vitality","wartime","whence","whereas","16","abundance","accept","affected","beautiful","bigger","bore","breath","capable","cash","crews","destroyed","devils","distinct","doom","experienced","extent","farms","finding","floated","fro","grass","hate","heave","helps","hitherto","homeland","hunger","isles","leviathans","lifetime","moon","mothers","mrs","muttered","named","necessity","oarsmen","occasion","overwhelming","performance","planted","ports","presidents","pressure","pressures","prime","rail","representatives","rushing","shadows","shouted","solution","spine","square","stage","starboard","strain","taxpayer","throw","track","tyranny","useful","waiting","warning","weary","wisely","90","aggressive","approve","bears","blessed","bread","budgets","cars","causes","communications","crossed","d'ye","dry","entering","fingers","fly","foe","framework","hail","hark","immortal","india","inn","keen","london","lungs","maintenance","manned","monkey","mounted","mystic","nearer","nine","notice","paused","plank","plant","pledged","prey","promises","readiness","reconversion","renewed","saddam","sank","scientists","shake","simultaneously","surpluses","symbol","towns","uncommon","voyages","york","1953","1981","2000","adversaries","april","aspirations","baby","ban","behold","believed","belongs","binnacle","blast","boldly","capture","career","compared","contribution","cooperative","cries","deemed","dependent","deter","disappeared","earthly","encounter","event","exceedingly","existence","expressed","expression","flames","flexibility","folio","fool","forgotten","forming","france","ginger","governors","grace","greatness","grounds","guided","hell","heritage","horizontal","hospitals","hussey","image","impose","invisible","measured","mistake","n","neighborhoods","northern","nurses","obvious","occurred","perth","presidential","prison","promised","prophet","pulpit","purchasing","queen","readily","rebuilding","regulatory","replace","rescue","rushed","senator","senior","sensible","shoulders","sights","slid","slightly","spray","status","subsequent","sweep","ties","trees","unaccountable","undertaken","wars","who's","wrote","yesterday","yojo","80","abuse","acts","authorizations","awe","backs","brings","buried","burning","colour","continent","corporation","corporations","court","criminals","cuba","demanded","developments","drag","driven","elections","emphasis","enactment","ending","erect","estimates","expense","factories","farmer","fears","feeding","gallant","inner","intent","lifting","lively","losing","manpower","marble","meets","mexico","milk","newly","occupation","ordered","palms","parent","patients","piled","reference","regions","remote","risks","rulers","spouts","sum","talks","technological","tells","tow","uncertain","unfair","valley","valuable","voting","you'll","17","abandon","adopt","alliances","animal","applied","arts","assembly","august","bar","bargaining","beauty","bird","bitter","boots","bucket","california","carved","center","cherish","chosen","coward","creative","customary","demonstrate","dependence","depression","entitled","excellent","excess","false","fearful","fifteen","fins","foster","frantic","frequently","guard","heaving","host","intention","interior","judge","latitudes","localities","lonely","loving","marvellous","medicaid","minority","mountains","names","obtain","occasionally","overcome","pains","physical","pray","pressed","pulled","pumps","repeat","rod","roman","rooted","sadly","severe","shortage","silently","smallest","sooner","soviets","split","staff","steak","tackle","talking","teaching","terrific","they've","tormented","traditions","tragedy","unusual","vapour","wrinkled","wrinkles","1977","acted","advice","agent","becoming","blanket","block","boiling","breakfast","bull","canvas","chances","chap","chemical","closed","cooperate","country's","crazy","crucial","cunning","desert","deserves","dramatically","driving","earnest","exclaimed","express","fallen","forever","foundations","friendly","girls","gross","highways","ignore","indirectly","lads","leak","luck","mostly","mountain","naturally","needy","oath","organizations","participation","partisan","perceived","positive","possibilities","presence","primary","principal","prospect","push","quantity","quit","reflect","rehabilitation","reliable","renewal","silver","skies","succeeded","supports","teacher","token","touched","trading","treated","tun","unseen","usual","wear","widely","worship","1980's","400","absolutely","accordingly","adding","agents","alternative","anybody","beware","borne","chart","chased","clouds","coalition","consumption","continual","contributions","darting","decided","departed","desk","desperate","discovered","dread","economically","elijah","empire","employers","encouraged","endeavor","fairness","features","finger","fix","flexible","gets","ghost","gliding","grim","heavily","hither","honored","hue","inflationary","isolated","landed","launch","likely","loved","mariner","marriage","mat","merit","mobilization","naught","november","oarsman","owe","pays","perfect","phantom","pick","pockets","prior","prolonged","prospects","prudent","reported","roosevelt","scores","seizing","seventh","someone","sons","sounding","strive","subsidies","toil","tub","views","write","yea","19","afloat","ambergris","amounts","anti","application","approximately","assault","aware","backed","belong","brief","cabinet","capability","check","civilization","conscious","consistent","convinced","corpse","crack","daring","depth","described","desired","earnestly","estimate","fat","finest","flank","girl","glancing","glided","harm","haul","hearted","ignorance","instrument","intended","invasion","kennedy","latitude","leads","leap","leaping","loaded","lock","mistakes","neglect","noise","observe","occupied","offensive","playing","popular","possession","promoting","queequeg's","religion","removing","restraint","rests","retain","rid","seriously","shipped","shook","showing","sleet","sounds","steering","stick","supplied","supreme","surprise","temporarily","towing","transit","unique","utterly","walking","wave","winter","wounded","600","amazing","ballistic","bible","broader","bunger","buoy","bureaucracy","bursting","bye","calmly","canst","capabilities","circles","columbia","conceit","contained","correct","countless","dawn","delivered","den","deterrent","disarmament","disputes","districts","doubtless","eat","enforce","entry","expensive","fashion","fashioned","fathoms","finished","frozen","gaining","generous","herd","hills","horror","hussein","idol","illness","imports","initiated","insist","intellectual","item","ladder","leaned","leaped","lease","lend","lighted","loud","meat","modernize","momentum","moody","mount","naval","nest","nights","occur","output","painted","planned","pocket","polar","portion","pre","preparing","promotion","pursuing","recognition","relationships","remembered","retreat","rib","roared","ropes","settle","singing","sinking","sprang","stepped","stopping","stout","straightway","stream","subtle","swear","swinging","tens","tiller","tore","tower","tragic","trowsers","tubs","universities","vigilance","virgin","warp","wherefore","wreck","75","abandoned","accomplish","accounted","admit","adopted","afghan","aspects","ball","beings","belonged","berlin","brother","buying","chanced","chaos","classroom","cod","concluding","consequence","countenance","crimes","dealing","descend","dr","dramatic","exact","fastest","fitted","flight","forged","fuels","functions","gloom","import","indifferent","insult","intolerable","kinds","lean","lights","limits","loopholes","malice","mid","mixed","monstrous","mortgage","negotiate","noticed","outs","outward","page","pakistan","partner","personally","ponderous","prairie","preserving","privacy","profit","recall","refugees","represents","requiring","respects","resting","restored","retained","retired","rivers","roads","scenes","slain","spanish","star","stubb's","surrender","swallowed","tested","testing","tradition","treaties","usage","vengeance","worn","zones","20th","accountable","addressed","administration's","allowing","ambitious","answers","anxious","apply","aren't","articles","ashes","attacked","attitude","b","badly","barbs","bent","blame","bonds","bowels","burn","capstan","chair","churches","cleaner","closing","compensation","complicated","conclude","conflicts","contact","containing","contracts","conviction","credits","culture","cursed","deepest","democracies","depths","detail","devoted","discuss","diseases","division","doctor","downwards","drowned","dumb","ear","eating","enchanted","exceed","exceeding","expenses","faithful","fierce","fleece","flung","freeze","gathered","genuine","heading","heaved","hemp","herds","hoisting","howling","implement","investing","involuntarily","isle","isn't","issued","jumped","lantern","launching","manxman","maritime","mercy","merry","motions","murmured","naked","needle","octavo","oriental","owned","patient","pending","permitted","plane","poles","postal","preliminary","prevail","prevention","prompt","provisions","recorded","regardless","released","remind","respond","risen","rises","rods","seemingly","shipmate","slave","smells","spars","spell","stories","strained","studies","stump","sunrise","talked","tapering","temple","thirds","tobacco","tossing","tribute","tuition","um","unearthly","unfinished","visited","vivid","volunteers","voted","wanting","wasteful","watches","wicked","1982","adequately","adjustments","administrative","anew","announce","appointed","artificial","asian","assuming","attend","background","barbaric","bay","businessmen","busy","butter","clock","clothes","comfort","comfortable","contains","convenient","couldn't","courts","decide","design","directions","earliest","easily","egypt","elevated","elimination","establishing","examine","exchange","exercise","faint","fastened","fathers","february","feed","fellows","fewer","finds","founded","genius","god's","guarantees","handed","historical","ignorant","imperial","inevitably","invariably","jets","killing","language","lengthwise","letters","lincoln","marine","model","morrow","nearest","negotiated","offers","pacing","pair","participate","patience","picked","pine","poland","procurement","pure","rage","ramadan","recognized","reconstruction","records","returning","root","safely","sand","scattered","score","seaman","securing","seeks","shaped","shipping","shortages","softly","sole","solutions","spirits","spouting","squeeze","station","stranded","strip","superiority","tight","unite","upright","v","whereby","wine","woods","1960","1979","22","absent","acres","adjustment","afternoon","aged","ain","ain't","aircraft","angels","appeared","approaching","armies","bare","behalf","beholding","birds","blackness","bloody","bodies","canada","cannibals","canoe","cap","capitol","cask","celebrate","charity","childhood","citizenship","clam","coiled","commercial","commotion","comrades","consensus","contain","continuous","contract","conventional","debates","declare","dedicated","dedication","derick","dictatorship","discussions","dived","downward","duties","elephants","empower","enterprises","equator","factory","fetch","floats","foul","fowls","freedom's","freer","frontier","gift","glimpse","guernsey","guide","haven","hearse","horses","imposed","infallibly","inspire","invite","journey","kick","lake","lashed","lending","liquidation","literally","lovely","machinery","mainmast","meaningful","mediterranean","method","mist","monomaniac","mysterious","nailed","narwhale","naturalists","needles","note","objects","obtained","occasional","october","oppose","orderly","outlined","panic","peculiarities","pension","perpendicular","perseus","posture","pot","practice","presents","president's","projecting","proliferation","raises","realistic","refuse","reorganization","repose","reserved","roaring","sales","sergeant","servants","shooting","shouldn't","signal","slide","solely","stairs","stark","storms","stripped","sufficiently","swell","swells","tambourine","taste","tech","throwing","tiger","trial","truman","unlike","valiant","vocation","waist","welded","wet","whalebone","wharf","whispered","winning","wore","150","24","250","27","65","accomplishments","ambitions","announcing","appalling","appearance","arched","argument","aught","authorize","baleen","beating","bell","berth","borrowing","breaks","captain's","car","chapel","civilians","classrooms","commanders","commit","concentrate","considerably","considerations","counsel","counter","crotch","crowd","cruel","cure","damage","decency","deliberately","descending","desirable","disability","dish","disposal","divide","divine","domination","doubling","doubts","dust","eastward","effectiveness","eliminating","escaped","excessive","exists","expenditure","explain","eyed","factor","franklin","frontiers","gallery","gap","grade","grain","grief","grows","happiness","helmsman","hideous","hoops","hopeless","imagine","infants","intensity","limbs","lip","list","lobbyists","longest","miracle","mood","mortals","nail","neighborhood","ninety","odd","official","papers","payment","percentage","philippines","pious","pirates","prayer","preserved","procedures","protects","proven","pushing","qualified","relieved","replaced","replied","responded","responsive","rumors","safeguards","sets","shaking","sheets","shift","significance","significantly","sliding","smell","southeast","sovereign","stamp","stayed","stocks","stuck","sunset","surrounded","survive","swept","territory","threatening","threw","thrusting","tongue","traditional","trucks","uncertainty","unfortunately","upward","veteran","walked","watched","you've","800","accident","accursed","advancement","agony","alas","allied","apparently","appears","approval","assurance","attempts","blinds","bowed","breadth","britain","buffalo","calculated","ceiling","cetology","checks","christmas","clinging","clumsy","coils","commodity","compasses","concept","consternation","crow","cruise","cycle","daughters","declining","dense","derived","destructive","detached","dimly","direful","displaced","emphasize","energies","epidemic","explore","fare","figures","fowl","fullest","funded","gazed","gently","graduate","greek","grinning","halloa","handled","hatches","headsman","hereby","hints","hostile","hovering","humor","hunting","hurrah","imperative","impressions","incentive","inter","iraqis","isolation","iv","judges","kicked","knives","landsmen","leagues","lima","magic","malicious","maybe","mental","messages","methinks","mile","milky","mistaken","murdered","murderous","mystery","nantucketers","narrative","negotiating","nursing","oldest","operate","outlays","outline","owner","p","pain","passenger","pausing","peak","perch","permitting","pitched","pity","placing","plunged","preservation","presidency","priest","proceeds","promising","prosper","proudly","quaker","qualities","recommendation","relieve","remotest","renewable","reserves","resistance","restoring","resumed","reverse","russian","sad","samuel","sanctions","savages","secondary","serves","shattered","shroud","singular","smooth","solved","spades","spear","speech","spur","starbuck's","stated","statement","steadfast","steer","stiff","superstitious","target","texas","thither","threatens","timid","totally","tougher","uplifted","urged","vague","venerable","vigor","violently","wealthiest","wing","worldwide","yon","1976","36","accompanied","actively","advisory","alaska","albatross","aliens","americas","anticipated","arrested","atmosphere","band","brit","candles","caribbean","charged","cheese","chowder","coffee","coin","committees","confidential","consequences","continental","cord","couple","courses","creates","creed","crises","crushed","curiosity","damn","decisive","demanding","difficulty","diplomatic","distress","divisions","doctrine","dripping","eagerly","effects","electric","eligible","engine","ensuring","entrepreneurs","equipped","everlasting","excitement","extensive","extremists","float","flourish","fountain","frankly","fraud","friendship","furnish","furthermore","fury","gangs","generate","govern","grandchildren","happening","hardship","harmony","haven't","heed","hereafter","holes","hum","hungry","inadequate","indicated","inferior","informed","introduced","kingdom","laden","landmark","liberation","lit","masses","mildly","miserable","moderate","muffled","necessities","nervous","obey","occasions","other's","paper","particulars","pause","pike","primarily","prisoners","professional","projected","ratification","regimes","reminded","repeatedly","reports","resort","reversed","revolving","rigged","runs","sale","satisfaction","satisfied","secrets","shifting","shuttle","sister","slipped","smart","solemnly","sparkling","starts","stave","stepping","strangers","stretched","strides","subversion","sunday","surgeon","survivors","swallow","taught","title","tons","twisted","universe","venture","virtually","warfare","widow","wildly","withstand","wouldn't","wrapped","zealand","1993","21","43","45","abounding","abraham","absence","accelerate","accord","alarm","ample","annually","anon","apparent","apparition","appear","argue","arguments","assisted","assuring","authorization","awake","backward","beget","bellies","belly","belonging","beloved","biscuit","bits","blessings","brace","brains","bridges","buildings","camps","carpet","cells","cheer","claim","compare","computer","comrade","concrete","contrasting","convention","covenant","crop","cuvier","damp","dancing","dash","daylight","declined","description","didst","dig","directing","disasters","discover","diversity","dividing","dynamic","eagerness","earnings","eighteen","eisenhower","embrace","employer","experiment","failing","fancied","favor","financed","flat","flowing","freighted","gather","glasses","goodness","greece","hardest","hardy","hated","hauled","he'll","heights","hide","hoist","homage","honorable","humanities","hurry","imagination","inclined","industrialized","infinite","intently","interstate","involves","keels","korean","la","larboard","legacy","levelled","liberal","lid","listening","lodged","loom","lurks","mapple","margin","melancholy","metropolitan","misery","moored","mounting","moves","mystical","negotiation","notion","obsolete","operating","overall","paced","panama","partnerships","perceive","persistent","postwar","powder","prayers","presumed","pretend","prevented","proceeding","purchase","puts","quohog","racial","rack","radical","reckless","recognised","recognizes","reel","reflection","refugee","release","rent","repeal","resist","richard","rig","rows","scarcely","scope","scoresby","sheet","shirt","shuddering","sixth","slight","snatching","sorry","spaces","spar","specifically","spinal","steam","storage","stretch","strict","submerged","suggested","swings","tar","team","tear","tempest","thomas","tongs","transparent","trapped","tumultuous","unspeakable","variety","velocity","victories","vigilant","walks","wasted","weak","wilderness","wilt","witness","wont","workforce","wrecked","younger","zone","11th","1944","1954","1974","55","abiding","adoption","aisle","alabama","alert","amendments","anguish","attract","auto","beliefs","bethink","blades","blocks","bosom","bowl","breathe","bridge","brighter","catastrophic","chapters","christians","coasts","commodities","commodore","competent","confronting","congregation","consultation","copper","cup","custom","deduction","deeds","delicate","deregulation","devilish","distinctly","dreaming","dried","duke","durable","eliminated","emerge","emerging","enabled","exploration","extremity","fearless","fed","filling","firms","flash","formation","founders","frost","fy","geneva","glittering","graduates","grasp","gratitude","handful","handicapped","handling","harem","healthcare","heidelburgh","heroic","herself","hist","identity","imposing","influences","intelligent","intentions","interesting","italy","joke","jove","knee","knees","layer","laying","lays","lest","liberties","lingering","locks","lucky","manage","mandatory","marines","marvels","mechanically","modernization","mouths","music","neglected","networks","nicaragua","obedience","opposing","opposition","options","painful","paperwork","passion","peering","penny","perform","performing","permanently","peter","pile","pipes","possess","possessed","proportion","published","punish","quadrant","quarters","ranged","ranging","reciprocal","recommending","referred","reflects","reject","reliance","rely","reminds","repair","representative","representing","resulting","revenge","reverend","roots","salaries","sanctuary","satellites","seals","sebastian","seeming","shame","shrink","site","sixteen","skilled","snap","snowy","sorrow","spectacle","spilled","strictly","strife","survival","swore","syria","talents","television","tender","threads","threshold","tom","toughest","transfer","treat","truck","turkey","types","typhoon","undertaking","unnatural","vial","virginia","weaken","withdrawing","yourselves","1978","28","abundant","actual","animated","anvil","arctic","arising","ark","associations","attitudes","author","balances","balls","bases","beer","beside","bestowed","biological","blade","blank","blasted","blew","bolt","bowsprit","breakthroughs","breast","bred","brown","brute","bubbles","bulkington","canallers","canoes","charitable","chasing","chat","chips","cloth","collection","coloured","commonsense","comparatively","compassionate","compromise","confess","congressman","connecting","connexion","conquest","consequently","conspicuous","consumed","consuming","contents","contrivances","coral","core","corresponding","corrupt","count","covering","crops","cultural","dan","dashing","defensive","define","definition","deliberate","demobilization","democrat","describe","desires","destined","disadvantaged","dismal","dive","dogs","dull","duodecimo","educate","egyptian","emerged","encouragement","engineers","enlarge","expire","familiar","file","fires","fits","floods","fluid","folded","follows","fortitude","fronts","function","giant","grandeur","gunwales","hammered","hang","hatchway","hearty","heel","hey","horrors","hurt","huzza","ideal","identical","inasmuch","inevitable","infernal","innovative","inscrutable","instinct","interested","investigations","invests","iraq's","jeroboam","joppa","judicial","lashing","latest","leviathanic","linked","links","lion","lone","lurked","mayhew","meals","measureless","mend","millennium","minorities","mississippi","motionless","murderer","musket","mutually","nowhere","obliquely","observing","odds","one's","organ","outcome","outlook","pages","parallel","parted","pattern","peep","penalties","pensions","perched","perfectly","phantoms","phase","plate","plight","popularly","positions","preceding","predicted","purse","realized","reckoning","reflected","requirement","restrain","rewarding","rowing","ruin","ryan","sag","scales","screwed","seasons","separately","serene","sharply","shield","shifted","sin","sits","sleeper","sleepy","slouched","snapped","sneezes","societies","solving","song","sounded","spears","specially","spreading","squares","steered","strove","stubborn","sublime","suit","sunlight","tables","taffrail","tattooed","technically","tend","tension","thigh","thrice","throne","tired","tone","tooth","towed","traveller","trends","tribe","turkish","unconditional","usually","utter","vertebrae","vishnoo","waif","wakes","weakened","wears","wherein","wigwam","wildlife","willingness","wings","woven","wretched","1975","absolute","acting","addressing","adopting","adventure","advocate","affecting","ahoy","aimed","alarmed","alien","andes","anger","appropriation","apt","archangel","armaments","assets","awaiting","babies","bachelor","balancing","bargain","barrel","bid","bidding","blazing","british","budgetary","bunch","buoyant","burned","c","cable","calendar","chain","chip","claims","colleagues","color","commonly","composed","concentrated","coordination","cords","counterpane","courageous","crooked","currents","daughter","details","diligently","discussed","diverse","dressed","embark","enjoyed","examples","excited","exhausted","explosion","exposed","f","fiend","fiercely","fighters","flip","formula","funny","gam","gasoline","gates","gentle","germans","glorious","gore","harpooned","hatch","headlong","heightened","hereditary","hero","horns","household","hurried","icy","idealism","idle","implementation","impression","incidentally","indifference","injustice","innermost","inspectors","invited","involving","knocking","landsman","laughed","lebanon","liberated","lightly","lowly","majestic","majesty","marching","mary","meetings","menace","minded","minister","mom","monopoly","monsters","moonlight","normal","notwithstanding","overhead","paycheck","paychecks","pell","pen","penalty","perpendicularly","perspective","pit","poison","preparation","procedure","proof","pump","purchased","purple","railroad","railroads","rain","ram","readjustment","realities","recipients","recover","refused","reinforce","rejected","requests","restrictions","rewards","rings","ripe","rocking","safeguard","satisfactory","seams","selected","selective","selling","separated","shade","she's","shoal","shoals","shoes","shrouds","sized","sober","sold","spouter","squid","steed","straining","stress","substitute","summoned","swims","tails","tears","tests","tip","trades","transform","turmoil","unified","unions","uphold","useless","valleys","village","vulnerable","wasn't","wheat","whip","widespread","winding","withdrawal","workplace","worlds","worry","31","abuses","accepted","accompanying","accountability","accumulated","adapted","administrations","adult","aging","allegiance","allowances","alluded","americorps","analysis","anchors","angel","angle","anniversary","arbitrary","arrangements","arrive","ascending","association","attain","axis","barely","blindly","blowing","bolted","bolts","bomb","bottle","bowsman","brady","breakers","breathing","breaths","broadly","brothers","brutal","bubble","burnt","bury","candle","captive","catching","cattle","cease","census","channels","charm","charts","cheek","cheeks","chimney","chorus","clearing","climb","cloud","coffins","coiling","collapse","collected","colossal","colt","commenced","completion","conferences","connection","conscientious","continents","contracting","contributed","controlled","coolly","corruption","counted","cracked","critically","curling","czar","deed","defined","delicacy","delivery","destroying","dey","diminished","disastrous","dominate","doubloons","dragging","drawers","drinking","drooping","drugged","eighth","elastic","embraces","endeavors","engineering","enlightened","entrance","equatorial","essence","estate","eternally","expectations","facilitate","factors","fatality","feeder","feelings","fisherman","flanks","flee","flies","flinging","fluke","foes","fold","fortunate","freedoms","fright","frightened","gang","gaps","ghosts","glances","glistening","granted","granting","grasping","grin","guilty","h","hailing","hall","hammers","hangs","harry","hatred","hazardous","hazards","hearth","helpless","hempen","hiv","homeward","honourable","hooded","humane","husband","immemorial","imminent","induce","inexplicable","infidel","inquiry","inspection","interference","intermediate","isis","java","johnson","joining","junk","killer","killers","knot","lbs","legitimate","limb","loudly","lurking","macey","magnetic","map","maternal","mechanical","mob","modest","monsieur","mortgages","nails","neighbor","noiseless","nostrils","offering","ohio","ownership","paint","peculiarity","pennsylvania","periods","philadelphia","pillow","pivot","plates","pliny","polished","poorest","porpoises","pose","potent","pound","pregnant","premiums","preventing","prick","probable","proceedings","processes","profitable","profoundly","pyramid","quitting","raw","reforming","refuge","remainder","reply","represented","requested","revitalize","ribbed","rocky","romantic","rounded","sacrifices","schedule","screw","sensitive","settlements","shaggy","shavings","shelf","shivering","shocking","shoe","shouting","shrouded","sidelong","sites","situations","slipping","smitten","socket","solomon","somebody","spiracle","splice","spoutings","stabilization","startled","stays","steersman","stretching","string","struggled","sullen","supernatural","surprising","suspicion","tablets","targets","tarshish","teen","thence","they'll","thickness","tides","timber","tolerate","toss","treasures","trumpet","unborn","uncommonly","unconsciously","unctuous","undermine","underway","unit","unlimited","uprising","urgently","veil","verdure","vicissitudes","victim","vineyard","warned","weaving","whirling","who've","wilful","wondering","woof","woollen","yarman","1949","1964","1970","1st","23","32","85","accidents","accordance","admitted","aided","aims","allusions","ambition","apartment","arrival","assaults","assumed","backing","baghdad","battering","battles","beaten","beds","belt","betrayed","birthday","bond","boost","bottomless","boundless","bravery","breathes","cannon","caps","card","carving","casting","catastrophe","cave","cedar","certainty","childcare","churning","clay","communication","comparison","complexion","conducted","confidently","confrontation","congratulate","consciousness","consists","corn","corners","cowards","crawl","cripple","crowding","curse","darker","defeated","defending","defining","dependency","deploy","deployment","derive","devices","dictator","discoveries","discussion","dozen","dreary","drives","duly","earners","economical","elementary","embracing","emergencies","emotions","encountering","enderby","enrolled","eternity","excise","exciting","expands","experiences","experts","fates","fault","feat","feature","fired","fled","fossil","freed","fulfillment","fun","furious","furniture","gathering","grasped","guidance","guinea","halt","harbors","hawaii","heeded","hostages","indefinite","inequities","inland","insanity","insular","integral","iranian","irregular","irresistible","jeopardy","jonah's","justified","laughing","lawyers","lessons","link","memories","modified","movements","mysteries","nationwide","necessarily","needless","neighboring","nobody","o'clock","opposed","palestinian","payroll","peaks","peninsula","persist","philosophy","phrase","pin","pitchpoling","plague","planes","plunging","pool","posed","posterity","pounds","pour","pouring","practicable","profession","protections","punch","races","rays","reaches","realization","reconciliation","recovered","reduces","reformed","regulation","render","rescued","respected","responsibly","resuming","revolutionary","ride","ridge","satellite","scholarships","seal","shop","shudder","sickness","sixties","slavery","slippery","smarter","southwest","speedy","splintered","statehood","steadfastly","stem","sticking","stirred","stomach","store","submarines","suffer","suffered","sunk","surprised","swelled","symptoms","tapers","tendency","territories","theory","thorough","timely","toxic","traffic","trap","treacherous","trend","triumph","tube","tumbled","twilight","undertake","unimaginable","uninterrupted","usages","va","varying","vile","visits","waking","warriors","waving","wedding","wheel","wheels","wrought","youngest","1985","2001","200th","26","33","48","52","abreast","absorbed","accelerated","addiction","administered","admirable","admiral","adrift","adults","advantages","adventures","affrighted","airports","almighty","amazement","applaud","apple","applies","approaches","archipelagoes","ash","asleep","assert","assigned","attorney","audacious","australia","awhile","azure","bankrupt","barbed","beams","bearded","beheaded","bite","blinding","boarded","bony","bouton","bowing","braces","brawny","breach","briefly","broaden","bud","builders","campaigns","carbon","carcase","cards","careless","caring","caution","caw","cheaper","cheering","chiefs","chocks","circular","circumference","cleared","closest","coil","colombia","combination","comparative","concert","condemned","connect","consent","continuation","controlling","conversation","convictions","cooked","copy","coronation","corpusants","crash","crawling","crowds","crush","crying","cuban","curb","cures","curiously","curled","customs","dad","damned","dance","david","decisively","declaration","defendants","dependable","devotion","dexterous","dies","dime","diminish","ding","diploma","disabilities","diving","draft","dreadful","drops","drought","drown","dumplings","educated","electrification","embalmed","embodied","embraced","engage","engravings","enlist","enraged","equitable","equity","exasperated","existed","famine","farewell","feast","federally","fibres","fixing","flitting","focused","folds","fond","foremast","forked","fortunes","fragrant","frenchman","fugitive","fulfilled","fuller","funeral","furiously","futures","gallons","gangway","garden","generic","girth","glanced","governing","gush","habits","handspikes","hardworking","harmless","harsh","harvest","hatchet","hath","havoc","healing","hears","heathenish","heavenly","heedful","hem","hercules","hereabouts","hiring","homeless","honestly","hospitable","hovered","humming","humorous","hurled","illinois","imperialism","indolent","inherited","inspiration","installations","insufferable","integrated","investigation","inward","jerking","jot","justify","kneeling","knocked","knowest","landlady","lash","leaky","leaps","likeness","load","loggerhead","longitude","lounging","loyalty","lurk","magnificent","mainly","male","married","masonry","matched","mate's","maul","meadow","membership","mess","mightiest","missions","momentous","monuments","moscow","moss","motives","mould","multilateral","network","nineveh","nurse","nurtured","nutrition","oak","oftentimes","omen","onset","opens","oppressed","optimism","outlandish","outrage","overnight","ox","package","pagans","painting","pallor","park","parlor","partisanship","passengers","peculiarly","performed","perished","peru","pervading","petroleum","phenomenon","pig","pistol","pitching","plaintiffs","played","pleasure","portentous","poured","prairies","preach","precision","prevailed","probability","producers","progressive","prophecy","puff","rascal","realism","recalled","recklessly","recruit","reeled","reigned","relation","remorseless","republics","resemblance","restraints","resume","resurrection","reveries","revision","roar","rocked","rooms","sagacious","salted","salvation","sam","schoolmaster","scorched","scrape","screaming","scud","section","serenity","shades","shares","shining","shivered","shreds","shrieks","silvery","skulls","slack","slackened","sleepers","sleeps","sleeves","slender","slip","smiting","soundings","speechless","staggering","staring","steep","stimulus","stir","stole","studied"],"unigrams":[0,67914,57351,30798,30300,25968,18863,17915,12325,9255,8996,8345,8218,8206,7933,6694,6195,6081,5590,5409,5246,5199,5159,4873,4839,4586,4400,4326,4144,4106,4020,3722,3285,3201,3144,3022,2833,2829,2792,2664,2520,2505,2473,2401,2383,2259,2219,2211,2083,2044,2043,1939,1928,1914,1886,1886,1876,1868,1853,1838,1837,1834,1796,1779,1770,1741,1700,1646,1632,1606,1590,1577,1575,1573,1549,1508,1470,1459,1457,1436,1418,1359,1349,1327,1322,1320,1301,1296,1278,1224,1193,1171,1152,1141,1136,1123,1101,1097,1092,1083,1079,1067,1017,1004,979,975,974,968,967,958,950,943,934,934,919,916,913,899,899,895,860,851,844,843,839,836,830,827,820,811,810,809,803,802,801,796,796,793,776,775,771,770,761,760,754,748,746,732,730,729,726,718,718,717,715,712,712,710,709,700,683,683,681,678,677,670,668,668,665,662,642,638,638,636,633,630,629,611,610,596,593,590,589,588,587,585,577,576,575,575,572,570,569,569,549,547,540,540,540,539,532,529,524,524,519,517,517,512,508,506,503,503,499,498,497,494,493,490,487,486,483,481,479,478,478,474,473,468,465,464,463,463,462,458,457,456,455,454,454,450,449,447,446,441,437,435,434,430,429,428,427,427,423,421,419,417,416,410,408,406,405,403,399,397,396,395,392,391,391,390,390,389,384,383,382,382,380,380,379,376,376,376,376,374,373,373,372,371,371,370,369,368,365,361,358,355,355,354,354,352,348,346,346,345,343,340,340,339,337,336,335,334,333,333,332,331,330,330,329,328,328,328,328,326,325,324,324,323,323,322,320,318,318,317,317,317,316,315,314,313,311,310,310,310,310,310,307,305,305,305,304,304,303,303,302,301,300,299,297,296,295,295,294,294,293,292,290,289,288,288,286,286,283,283,282,282,282,279,278,278,277,277,277,276,274,274,274,274,272,272,272,272,271,271,269,269,266,266,266,265,265,263,263,261,261,260,260,258,257,256,253,252,252,251,251,250,249,248,248,247,247,247,247,246,245,245,245,244,244,243,242,241,240,239,238,237,236,236,235,234,233,233,232,232,231,231,231,230,229,228,228,228,227,227,227,226,226,226,225,225,225,224,224,223,223,223,223,222,218,218,218,218,217,217,217,217,216,215,215,214,214,214,213,213,211,211,210,209,209,209,209,209,209,208,208,207,207,207,207,207,207,206,205,205,204,204,204,204,204,204,202,202,202,201,201,200,200,199,199,199,199,199,199,198,198,198,198,197,196,196,196,195,195,193,193,193,192,192,191,191,191,190,190,190,189,189,189,188,188,186,186,186,186,185,185,185,185,185,185,185,185,185,185,185,184,184,184,184,184,183,183,183,182,182,181,181,181,180,180,179,179,179,179,178,177,176,176,176,175,175,175,175,175,175,175,174,174,174,174,172,172,172,172,171,171,171,171,171,171,170,170,170,169,169,169,169,168,168,167,167,167,167,166,165,165,165,165,164,164,164,164,163,163,163,163,163,162,162,161,161,161,161,160,160,160,159,159,158,158,158,158,158,158,157,157,157,157,157,156,156,156,156,155,155,155,155,155,155,155,154,154,154,154,153,153,153,152,152,152,152,152,151,151,151,151,151,150,150,149,149,149,149,148,148,148,147,147,147,146,146,146,145,145,145,145,145,145,145,145,145,145,144,144,144,144,144,144,144,144,143,143,143,143,142,142,142,142,141,141,141,141,140,140,140,140,140,140,140,139,139,139,139,139,138,138,137,137,137,137,137,137,136,136,136,136,136,135,135,135,135,135,135,135,134,134,134,134,134,134,133,133,133,133,132,132,132,132,132,131,131,131,130,130,130,130,130,130,130,129,129,129,129,129,129,129,129,129,129,129,128,128,128,127,127,127,127,127,127,126,126,126,126,126,125,125,125,125,125,125,124,124,124,124,124,124,124,124,123,123,123,123,123,123,122,122,122,122,122,122,121,121,121,121,121,121,121,121,121,121,121,121,121,120,120,120,119,119,119,119,119,118,118,118,118,118,117,117,117,117,117,116,116,116,116,116,116,116,116,115,115,115,115,115,115,115,115,115,114,114,114,114,114,114,114,114,114,114,113,113,113,113,113,113,113,112,112,112,112,112,112,112,111,111,111,111,111,111,111,111,111,110,110,110,110,110,110,109,109,109,109,109,109,109,108,108,108,108,108,108,108,108,108,108,108,108,108,108,108,108,107,107,107,107,107,107,107,106,106,106,106,106,106,106,106,105,105,105,105,105,105,105,105,105,104,104,104,104,104,104,104,104,104,104,104,103,103,103,103,103,103,103,103,103,103,103,103,103,103,103,102,102,102,102,102,102,102,102,101,101,101,101,101,101,101,101,101,101,101,100,100,100,100,100,100,100,100,99,99,99,99,99,99,99,99,99,98,98,98,98,98,98,98,98,98,98,98,98,98,98,98,97,97,97,97,97,97,97,97,97,97,97,97,96,96,96,96,96,96,96,96,96,96,96,96,96,96,96,96,96,95,95,95,95,95,95,95,95,95,94,94,94,93,93,93,93,93,93,93,93,93,93,93,92,92,92,92,92,92,91,91,91,91,91,91,91,91,91,91,91,90,90,90,90,90,90,90,90,90,90,90,90,90,89,89,89,89,89,89,89,89,89,89,89,88,88,88,88,88,88,88,88,88,87,87,87,87,87,87,87,87,87,87,87,87,87,87,86,86,86,86,86,86,86,86,86,86,86,86,85,85,85,85,85,85,85,85,85,85,85,85,85,85,84,84,84,84,84,84,84,84,83,83,83,83,83,83,83,82,82,82,82,82,82,82,82,82,82,82,82,82,82,82,82,82,82,81,81,81,81,81,81,81,81,81,81,81,81,81,81,80,80,80,80,80,80,80,80,80,80,80,80,80,80,80,80,80,80,80,79,79,79,79,79,79,79,79,79,79,79,79,78,78,78,78,78,78,78,78,78,78,78,78,78,78,78,77,77,77,77,77,77,77,77,77,77,77,77,77,77,76,76,76,76,76,76,76,76,76,76,76,76,76,76,76,76,76,76,76,76,76,76,76,75,75,75,75,75,75,75,75,75,75,75,75,75,75,75,75,75,75,75,75,75,75,74,74,74,74,74,74,74,74,74,74,74,74,74,74,74,74,74,74,74,74,74,73,73,73,73,73,73,73,73,73,73,73,73,73,73,73,72,72,72,72,72,72,72,72,72,72,72,72,72,72,72,72,72,72,72,72,71,71,71,71,71,71,71,71,71,71,71,71,71,70,70,70,70,70,70,70,70,70,70,70,70,70,70,70,70,70,70,70,70,70,70,69,69,69,69,69,69,69,69,69,69,69,69,69,68,68,68,68,68,68,68,68,68,68,68,68,68,68,68,68,68,68,68,68,68,68,68,67,67,67,67,67,67,67,67,67,67,67,67,67,67,67,67,67,67,67,67,67,66,66,66,66,66,66,66,66,66,66,66,66,66,66,66,65,65,65,65,65,65,65,65,65,65,65,65,65,65,65,65,65,65,65,65,65,65,65,65,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,64,63,63,63,63,63,63,63,63,63,63,63,63,63,63,63,63,62,62,62,62,62,62,62,62,62,62,62,62,62,62,62,62,62,62,62,62,62,62,62,62,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,61,60,60,60,60,60,60,60,60,60,60,60,60,60,60,60,60,60,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,59,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,58,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,57,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,56,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,55,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,54,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,53,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,52,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,51,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,50,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,49,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,48,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,47,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,46,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,45,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,44,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,43,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,42,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,41,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,40,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,39,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,38,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,37,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,36,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,35,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,34,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,33,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,31,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,30,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,29,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,27,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,26,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,25,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,24,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,23,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,22,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,21,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,20,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,19,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,18,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,17,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,15,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,14,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,13,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12,12],"histories":{"0":[43882,1808,[5,437,15,1022,841,5,87,23,9,2546,11,699,2,3301,248,72,370,10,30,539,351,16,3,2295,84,90,44,487,54,246,6,1459,14,1303,104,84,18,2345,292,3,101,102,447,48,8,392,275,155,17,559,36,600,72,26,48,294,173,17,38,487,57,393,77,72,7,555,1481,41,26,125,148,259,89,131,29,309,358,62,5678,3,322,71,1769,20,24,200,2403,18,1,1370,138,133,37,154,947,13,35,66,80,62,10,717,199,28,23,179,60,393,363,4,489,6,452,5,1013,3,12,2236,355,65,166,10,1219,4,1376,5,99,143,141,14,362,9,159,6,242,122,300,106,182,39,192,12,124,12,40,64,4,119,131,91,197,9,123,34,91,63,143,27,112,55,147,112,729,33,127,72,20,231,16,255,31,110,1365,4,51,312,154,19,335,10,226,12,34,54,90,36,693,3,969,17,389,8,93,23,991,5,1233,13,201,32,234,43,329,10,319,13,449,13,553,9,444,5,827,6,1051,7,1192,4,1414,6,536,4,1642,4,88,21,4754,3,352,3,702,3,98,25,342,11,158,58,353,8,664,5,179,34,119,56,195,9,1173,3,82,67,307,20,412,4,288,18,63,166,964,4,33,563,78,120,638,15,583,5,796,15,482,18,3447,6,470,26,794,17,1323,7,4960,4,928,13,2728,4,210,8,227,13,2610,5,1511,4,1988,7,901,5,1108,8,1415,6,647,11,1902,4,103,5,1279,53,222,7,4465,3,3652,5,631,8,126,33,3076,14,461,5,768,6,161,18,934,3,494,19,2372,14,487,21,1804,4,71,13,2164,3,135,21,59,33,1419,7,1728,3,690,8,4742,3,2046,3,2939,4,694,8,782,3,177,7,50,231,4207,12,503,6,555,9,786,5,122,7,3437,3,3580,5,235,10,552,11,772,6,2081,5,113,45,399,6,1073,3,1117,3,770,7,324,9,189,4,92,15,562,3,3468,3,4734,9,115,198,377,103,249,46,918,74,466,50,1245,22,2203,13,875,63,95,97,415,5,85,49,418,14,485,7,667,5,280,3,191,10,238,5,276,12,204,5,1112,4,672,13,1322,5,56,7,144,19,736,19,136,11,137,177,75,5,364,38,721,15,440,10,160,11,325,38,1850,7,53,25,3971,12,513,18,320,31,567,4,405,7,180,9,589,16,164,34,200,42,4459,6,3144,5,5223,4,2014,5,290,3,623,7,116,166,94,24,1326,4,149,31,790,5,76,29,2317,4,334,3,368,23,62,25,207,46,584,5,267,5,172,52,4362,4,19,118,373,3,1043,3,97,9,2376,12,972,10,3370,5,726,7,256,7,81,24,263,202,1280,3,457,13,495,3,4049,10,1673,6,3677,7,1683,13,550,4,86,116,1027,61,2290,7,1028,18,2233,4,5438,3,2161,3,731,3,1446,4,61,12,39,37,529,4,67,57,163,26,380,3,139,56,270,10,992,11,750,5,293,7,156,42,66,68,823,12,246,32,1727,20,698,4,982,11,408,5,527,3,876,8,1968,3,3549,3,278,7,1175,10,512,3,298,7,922,5,284,11,2571,4,747,3,528,49,394,4,648,5,1015,3,887,5,285,16,438,4,111,18,1533,4,624,3,4288,5,219,4,411,16,1664,10,140,3,151,8,496,3,168,3,516,16,220,5,1910,3,1717,3,1109,9,209,6,260,7,231,26,32,200,83,9,1110,6,1521,4,69,16,328,11,70,26,1444,7,306,39,1129,4,390,3,1168,11,769,4,893,3,1476,18,239,122,372,24,1970,4,129,102,102,33,1655,5,105,20,1334,4,955,28,114,5,671,16,73,22,128,7,374,3,360,5,3922,5,585,4,1594,4,656,3,669,6,660,3,2440,3,153,8,456,14,1777,4,25,37,184,6,1393,3,174,3,344,10,1621,6,108,24,1107,4,590,8,1610,5,5291,4,125,32,849,10,181,142,2647,3,316,5,4478,3,401,3,1134,7,1332,8,27,25,1630,3,499,96,3824,4,2206,3,600,4,1009,3,13,54,4652,3,3909,6,717,4,913,3,712,3,376,22,47,32,950,5,145,9,3195,8,832,4,450,95,681,3,185,116,580,8,265,12,511,7,454,4,683,54,899,7,274,7,497,15,4669,4,610,3,169,44,1364,3,1928,7,425,6,1551,23,1913,6,244,3,680,4,252,58,357,109,233,181,978,26,544,45,825,43,1257,32,697,47,696,3,1740,4,42,14,642,3,1367,3,968,6,1874,4,435,3,428,19,473,3,2805,3,1262,19,277,4,708,3,3214,5,439,5,183,3,455,4,1033,4,393,4,771,4,1485,5,2402,7,831,5,28,27,942,82,3896,4,1873,3,171,7,1998,10,213,9,391,83,509,105,998,30,55,79,1085,17,577,4,723,114,243,4,805,11,926,5,2590,3,695,6,3804,4,5267,5,266,79,165,23,2324,19,190,34,3459,3,1116,19,595,4,1466,7,2989,9,194,10,3659,3,142,17,507,7,727,3,843,5,282,32,2739,5,41,11,1274,8,767,3,338,223,4806,4,433,9,661,4,845,3,294,3,441,10,498,13,261,8,2056,16,3825,5,5087,4,2662,9,1946,4,3472,3,1433,4,938,8,802,40,475,17,133,53,1781,14,271,42,2526,5,2278,3,1075,4,170,44,2547,3,240,9,2938,3,886,3,807,3,5022,4,1838,3,1903,6,612,3,302,33,417,4,2082,4,1448,3,573,5,4058,3,1087,3,746,4,4476,3,2107,3,1438,3,283,5,3712,3,5292,4,1035,3,349,3,814,5,1193,7,1625,13,4863,4,21,19,303,7,744,3,1310,8,1155,3,1006,10,187,3,625,5,343,5,2280,3,871,7,218,405,469,7,521,4,2037,38,890,6,407,6,223,52,309,14,569,3,107,8,1715,18,2422,4,341,150,2224,12,3244,8,1240,11,2109,22,649,26,22,28,3344,18,534,12,1685,24,4591,4,5406,4,1285,9,323,15,2628,8,3154,8,216,68,110,56,1093,8,333,6,4032,14,150,62,1328,46,3560,10,337,18,214,22,1849,22,1518,16,925,4,4573,9,281,84,1036,12,2840,14,198,86,2195,16,356,24,4381,3,4451,8,752,4,541,10,4794,8,2715,23,4649,10,730,25,464,6,451,12,984,6,2967,4,919,13,1697,4,791,10,332,4,1779,38,5488,4,100,19,423,12,1042,6,1571,4,2559,6,1647,4,2762,10,678,6,3186,4,3198,4,486,4,954,4,2296,4,1099,8,1658,9,540,16,543,6,1954,12,250,6,2101,4,5035,4,773,6,924,5,1985,4,2652,4,3189,12,910,4,299,6,217,18,315,12,2531,8,5775,4,118,34,3225,6,808,4,488,20,5841,6,4122,3,3081,10,2285,10,1876,6,2310,4,1184,4,46,4,819,10,2622,4,1878,6,1491,4,2758,4,1831,7,96,16,1441,6,2707,11,3328,4,5906,4,711,5,640,4,3143,6,877,9,2784,4,1296,6,607,6,850,4,424,4,792,12,1303,4,621,9,1783,4,4217,4,909,28,1265,10,2516,6,4347,4,43,4,215,6,2029,6,559,8,2063,4,4164,5,2798,25,1638,7,155,6,395,4,519,4,688,10,704,6,1978,4,3738,4,1114,4,4398,8,2909,3,4436,4,1757,12,745,4,668,14,3098,8,5343,4,1012,4,847,6,3690,4,3514,5,756,4,1098,12,2072,8,175,4,4042,18,117,4,2141,4,221,4,1530,6,484,6,1711,5,4179,14,2709,4,2357,4,1497,14,1362,4,2353,4,68,4,2817,3,409,4,3996,3,308,3,2893,4,834,30,2783,14,628,4,3519,14,4659,4,4764,8,3982,4,2583,6,206,5,2176,4,2615,4,4061,14,2261,6,211,5,1313,10,1858,4,3959,3,427,6,5799,4,1742,6,2688,4,1351,4,1288,4,3175,4,977,4,1344,6,3420,6,176,8,1582,4,635,4,783,4,4493,4,4514,6,1176,4,5258,4,1424,4,462,12,3422,5,662,4,247,6,3830,6,1915,4,3005,3,367,4,2627,6,310,4,1295,10,4716,4,4159,3,5096,3,927,16,2391,4,45,8,74,4,4856,4,2388,6,1961,4,2421,4,2788,10,1439,4,2463,15,658,7,5576,3,257,4,622,3,1596,12,2412,10,568,3,3157,3,3669,6,3242,4,2100,4,5726,12,616,14,2457,11,3689,4,4616,3]],"1":[61997,4107,[6,2136,14,566,16,872,25,167,10,772,3,4590,1,6612,182,49,147,47,2,2832,29,411,42,138,4189,3,8,960,5,2168,41,247,11,427,3943,6,9,231,17,475,99,81,721,13,4,4492,1369,4,973,5,1795,8,62,52,1048,3,463,7,31,517,39,558,2108,6,3644,3,81,73,2834,5,199,32,420,30,3194,6,1924,10,20,263,1025,5,13,474,358,23,172,53,18,410,334,10,1406,4,23,502,36,95,1269,11,24,747,1450,4,4382,3,83,36,28,283,1802,20,5157,7,2012,3,472,33,53,85,168,121,114,58,1577,5,657,34,552,12,3693,4,1162,11,685,8,584,5,1310,5,1084,3,192,18,2458,3,44,135,1239,3,262,38,5719,3,4780,6,269,68,2686,6,161,31,756,12,7,793,907,4,162,62,72,110,219,35,905,3,520,16,55,176,167,8,35,109,197,24,4289,3,984,9,92,163,1358,9,375,8,104,20,58,143,575,29,2690,5,40,109,5320,3,371,17,51,78,131,49,362,10,56,46,2675,6,74,246,385,13,27,247,112,114,3202,3,60,51,404,30,12,300,613,11,587,11,2404,6,3607,3,38,133,57,84,898,3,1277,8,61,173,210,93,2077,5,1305,5,3882,3,1385,4,736,15,369,9,608,4,2480,5,345,8,226,30,518,9,103,24,1107,11,579,6,387,8,995,17,2906,9,15,200,396,7,768,7,781,11,537,7,351,14,34,238,300,29,33,183,21,141,1262,3,205,54,1247,6,1179,5,626,10,122,17,749,7,329,12,78,81,812,7,2127,3,1603,3,5681,3,585,7,2901,3,374,19,2147,10,3138,4,434,4,615,7,260,14,2211,3,438,9,790,8,200,43,90,39,448,6,89,13,201,87,214,7,243,11,452,13,814,20,84,60,85,215,1058,6,1904,5,937,5,3416,3,735,6,2355,6,242,12,2656,3,298,9,178,35,1206,4,1010,3,328,18,2133,9,738,5,2453,6,1325,5,1266,3,349,10,410,5,833,15,323,19,136,47,2496,3,77,217,460,21,5503,3,259,33,647,6,482,16,1217,6,2566,5,457,6,1030,5,571,9,458,19,2131,3,59,53,307,33,485,15,1737,7,65,147,694,9,399,10,429,18,314,8,997,4,63,91,2389,3,1730,3,288,21,1089,7,2069,13,2341,3,1112,3,337,7,583,16,1356,12,567,10,1022,10,69,242,470,16,3803,3,54,110,277,17,901,6,310,8,76,74,2701,3,3149,4,207,3,1065,6,64,171,188,107,180,38,1133,11,591,15,586,6,550,15,892,3,523,7,296,9,173,44,347,11,1259,3,1287,3,367,22,413,14,202,33,130,19,686,9,1896,3,220,18,1520,5,47,60,268,15,1202,6,859,5,101,55,370,12,912,13,209,23,2166,5,4369,4,111,18,222,22,324,11,5144,6,3041,3,854,8,656,12,284,12,467,4,1943,5,135,27,806,9,363,18,4865,3,352,24,637,7,755,5,241,23,1393,6,79,38,487,12,513,7,2702,3,75,27,1414,5,1005,4,299,20,1804,3,536,6,319,11,71,21,444,5,1413,4,2175,3,553,3,827,3,193,125,3721,4,4696,7,82,45,394,9,2249,10,138,43,887,4,4962,5,154,20,1893,5,1051,3,1740,3,70,218,2381,3,2171,3,1427,3,1047,4,290,12,177,27,98,38,230,78,743,4,388,6,449,5,1642,3,1686,11,1751,6,174,13,1204,6,3691,4,2869,3,37,133,235,15,2020,3,1547,3,2847,4,1965,3,490,4,1782,5,786,5,2638,6,1574,3,179,36,1667,6,772,3,50,117,5066,3,623,7,3055,3,5451,3,3181,3,361,14,897,3,412,8,331,16,203,31,144,35,1817,5,660,4,2144,8,437,14,1832,11,691,5,232,15,1019,7,1260,5,1182,7,3380,3,673,3,3680,8,169,14,3287,3,796,3,902,6,1718,3,87,23,126,49,1738,11,1851,8,249,8,1628,7,22,47,2237,7,3263,7,3100,3,1099,3,3193,3,1443,3,149,35,489,6,709,4,2346,3,993,3,2704,3,1254,6,1552,5,19,464,1526,3,2870,3,405,9,776,7,712,3,4077,7,2361,3,26,175,614,7,1659,5,159,19,80,68,416,15,68,158,1609,4,2313,7,464,10,1494,4,705,4,445,25,1962,4,1650,4,48,70,1002,4,661,5,701,5,1381,3,547,5,1627,10,271,21,496,5,813,11,816,4,384,10,389,7,1785,4,800,12,2832,3,638,7,2465,3,502,16,3421,4,96,110,720,5,400,6,1598,3,228,13,1228,5,2894,6,1284,11,1459,14,2744,4,1350,8,4309,3,3104,9,196,20,106,45,339,11,792,4,2230,11,3126,4,128,18,3078,8,304,18,2193,3,3097,5,928,10,775,4,951,4,618,6,66,40,105,72,212,19,764,4,5286,3,5027,7,942,7,840,8,459,15,664,5,924,6,745,7,864,6,1431,5,779,9,127,69,1626,5,108,20,493,6,629,3,2474,5,866,12,139,37,204,13,342,7,1429,4,248,19,906,3,1060,6,330,11,237,13,3443,7,267,16,5072,3,234,19,1086,4,256,10,824,6,3565,3,636,4,1053,8,1544,8,255,9,1420,7,857,9,286,19,454,4,1170,3,734,4,2358,3,3378,3,3141,9,4468,5,4639,5,2595,3,325,16,1651,4,4150,4,952,5,3043,3,146,49,505,20,1769,3,3786,3,461,10,3532,4,52,15,295,4,3737,4,2344,3,497,18,494,9,1270,4,1013,4,1550,7,225,27,1095,9,742,4,335,14,555,5,318,15,785,8,1340,5,239,18,2221,3,980,10,733,11,1261,5,109,7,1345,3,160,20,1553,3,746,15,944,5,185,24,1533,3,1227,24,2471,7,245,22,380,5,1704,3,309,7,1379,5,275,49,860,3,3673,5,5105,3,3085,3,5570,5,440,8,935,8,750,4,32,155,687,14,67,248,3297,4,408,14,3226,3,373,4,348,9,5349,3,217,78,844,9,313,14,43,58,982,7,682,8,1304,3,272,4,3891,3,2572,5,102,41,124,73,1331,5,821,6,292,15,2835,4,145,11,280,6,1418,8,30,258,3760,8,693,9,1337,8,562,14,3556,3,1409,3,5482,4,2224,3,782,6,3521,4,832,12,572,10,1579,9,681,10,119,23,164,16,500,13,455,18,1255,10,73,29,366,12,4255,3,113,22,893,5,1033,6,183,10,3269,3,870,3,320,4,2517,3,274,10,227,10,3246,3,2797,4,2423,5,208,22,5675,3,885,8,3877,5,2765,4,1735,6,894,7,1029,5,922,5,3414,3,1512,3,381,8,86,36,706,3,1760,4,155,23,757,5,5832,3,941,4,1614,7,1657,4,1950,10,874,4,991,4,1234,4,447,8,759,5,852,4,376,6,244,18,640,13,769,7,2609,4,4330,4,1080,12,3549,5,810,14,350,18,153,45,713,21,1421,5,5572,3,1803,5,669,10,2073,5,100,85,1468,4,2385,3,512,23,158,72,120,6,265,13,1930,5,305,21,253,8,143,9,961,4,609,6,1604,6,2049,5,667,4,653,9,379,13,301,7,1752,4,1046,3,1478,6,3241,9,1866,9,129,74,5412,5,4251,7,91,22,2523,3,4577,7,4415,3,516,10,238,22,431,15,716,4,2639,5,3847,4,190,15,2695,3,132,51,967,8,1271,6,1672,10,1154,3,4023,5,1120,8,2759,3,141,17,3651,3,415,24,257,26,2952,3,747,7,123,23,514,3,297,14,1335,3,93,29,2082,8,166,11,877,4,1079,4,2192,6,1902,7,4013,3,841,6,882,5,4645,3,3872,3,279,16,479,6,1620,5,554,16,116,31,5627,6,2169,6,578,18,561,5,2155,3,2586,4,1376,3,486,19,1702,5,4576,7,2138,3,97,10,1282,11,2161,3,1850,3,364,24,1077,10,700,29,2478,11,250,6,728,19,872,5,2216,5,2799,3,1104,4,2420,3,2684,3,1336,4,551,19,1062,4,1841,5,3135,7,1038,4,402,23,411,8,2180,3,4276,4,969,3,2360,4,5452,5,3375,11,4006,4,1879,4,1039,10,599,7,1176,4,1417,4,3764,4,1316,4,560,4,526,3,1589,3,390,25,1722,4,2300,13,1922,5,2519,5,1670,5,4691,3,137,46,631,4,107,36,662,25,1616,4,1368,10,270,14,1716,7,2582,3,456,18,2351,3,231,24,1771,11,1015,3,1190,6,1870,4,707,9,1790,7,1023,8,835,3,148,12,2563,4,3603,5,2786,9,2160,7,498,9,3317,3,2168,5,3628,5,1445,6,423,20,2913,4,427,8,2500,6,758,13,3037,7,1221,3,1054,5,2872,3,831,9,530,3,2508,4,386,22,356,14,95,12,671,8,276,10,710,11,3333,4,1600,5,343,12,5291,4,1135,10,3059,9,3195,6,1470,4,1705,8,3908,3,1145,15,224,42,46,278,1195,3,3597,3,809,7,254,17,94,62,1321,6,843,6,663,6,3278,8,5468,3,2235,3,383,11,606,3,2156,6,1192,3,2030,6,4437,3,195,11,2476,3,401,9,666,11,278,8,2551,3,2392,5,1463,3,418,10,3099,7,3329,3,771,8,1375,4,1264,6,474,4,724,5,1123,12,1066,5,2278,5,4254,3,876,8,484,12,1293,4,718,3,2442,6,1905,3,2429,4,851,4,422,6,1676,3,588,5,1712,5,382,3,140,9,1372,4,4959,3,3957,4,1748,8,2115,5,377,6,2900,5,1333,3,181,11,5765,6,918,10,5068,4,1619,5,600,8,1256,5,2488,5,774,5,2139,7,596,17,5684,3,719,13,532,14,294,3,1178,4,597,19,962,7,2926,4,303,14,787,19,2064,7,1827,3,4730,4,332,13,435,4,2227,3,985,8,593,7,617,3,473,6,2051,5,1040,3,524,12,1314,6,672,10,1789,6,2564,5,483,11,443,9,326,38,1251,3,1679,3,1529,3,2334,3,1517,7,3377,12,964,8,2592,8,3969,6,397,21,312,20,4856,3,5114,5,1875,9,4669,5,1778,3,867,3,3762,6,5063,5,187,16,1660,3,2512,4,511,9,4993,4,1465,3,1567,5,565,12,3354,3,372,11,4304,3,2154,3,2505,3,4736,4,5676,4,316,5,696,5,510,22,642,13,1568,6,1371,4,357,9,191,11,573,7,4661,3,233,12,777,3,441,9,3435,5,2676,4,987,5,873,4,3810,3,121,37,211,91,2140,4,2671,8,3417,5,1367,8,968,6,2845,4,3160,3,1615,7,1999,4,529,6,1644,3,971,4,503,8,1854,4,4538,3,1313,5,564,6,2556,5,327,5,353,49,4591,4,3512,3,5062,4,3584,12,398,5,904,3,504,15,603,7,3548,3,2222,5,1729,3,708,4,770,5,566,19,838,5,4814,6,2590,3,1972,10,761,5,1334,6,1865,4,2510,11,5064,6,436,5,5943,3,3499,9,1359,6,1812,3,2482,3,1488,4,49,231,1444,3,1932,3,344,4,4186,4,1467,3,846,3,4924,3,1366,7,4813,4,1532,3,2495,5,322,11,2402,3,1011,14,863,4,3649,4,1675,3,5036,4,2732,5,1987,6,725,3,2001,3,2917,4,949,3,4362,3,3568,3,4630,3,3610,3,589,12,3934,3,391,9,4832,3,2087,4,1617,12,539,7,557,36,428,10,795,6,1268,4,1474,11,5871,3,1844,6,252,28,2620,3,5751,3,2112,12,2549,4,282,7,333,15,424,7,1042,5,1072,5,4837,4,1666,4,442,3,125,49,932,13,4473,3,115,60,171,41,419,4,3023,4,732,3,5591,7,266,10,453,8,858,12,5454,4,1630,3,2315,3,1687,3,1461,4,856,9,3896,5,340,7,1618,5,3909,3,1639,3,2400,3,2451,3,2097,8,1113,6,697,5,3654,5,430,9,1874,3,165,18,492,12,507,14,3941,3,546,5,1792,12,3539,3,2596,6,3159,3,433,3,4947,5,2928,4,3494,4,213,17,2841,4,2892,3,695,7,1764,8,2469,7,2487,3,1501,3,1742,4,2268,7,2303,6,998,3,285,10,491,4,4894,11,5810,3,3018,3,1348,3,150,14,1159,7,3988,5,2826,3,4331,4,315,15,741,9,311,23,4123,4,1486,4,156,23,3898,3,2282,4,2689,4,5629,3,1122,7,899,6,5991,4,1188,5,176,29,3432,6,1109,10,1401,5,683,4,4667,5,853,8,1995,4,450,3,2283,3,1193,4,134,8,886,9,1969,8,5919,4,1118,4,1560,8,5575,3,346,17,1482,9,355,3,446,18,4824,4,2588,7,834,5,1535,3,4693,4,950,3,229,3,1511,5,5264,6,754,23,680,4,1774,7,981,8,2567,3,499,5,2850,3,1559,3,469,8,762,7,1207,3,393,7,1001,8,5151,3,3612,3,1610,6,2149,8,1129,3,1585,7,1602,3,1537,5,1169,3,1507,7,879,6,601,11,2756,3,5003,3,4337,4,729,15,1744,4,595,4,2181,3,753,3,2936,3,839,4,4173,3,2187,4,163,49,2252,3,4776,3,3880,4,170,28,3010,3,1822,5,2703,4,3755,3,1446,5,3123,5,847,12,1339,5,439,7,4333,5,1781,5,2333,5,4165,5,1551,4,1057,4,1946,3,2493,3,1649,3,2720,3,3000,8,822,3,425,3,2350,4,1031,10,1448,6,5896,3,5463,3,994,6,3477,5,4050,3,727,7,3387,3,395,3,1439,3,5789,3,5321,3,4228,9,475,6,760,11,1867,3,2661,5,2086,6,3790,6,797,13,4199,7,3155,6,3352,3,414,11,1976,5,3647,5,2580,3,850,9,802,3,1480,3,1871,4,888,4,1132,3,1523,3,2378,5,2710,9,5995,3,1090,5,508,4,2897,4,3302,10,675,6,4651,5,2394,3,2339,3,283,8,263,9,2405,6,468,3,2074,5,184,21,1910,4,5316,6,2573,3,3884,3,5571,3,1410,3,2989,3,861,8,5165,6,359,4,3108,3,261,3,1800,10,517,3,368,7,2387,3,2257,3,2589,3,142,6,4329,3,881,6,151,32,4614,3,1403,4,3554,3,783,5,3948,3,823,4,1237,5,1736,4,2280,7,2377,4,133,9,194,10,2370,6,990,5,2308,7,558,9,88,16,4893,3,3936,5,1067,3,2125,3,2873,5,306,18,1575,3,5605,3,598,11,2859,3,293,35,1364,3,417,10,3235,3,3806,3,2267,3,3361,3,3268,5,4110,3,4065,5,2137,6,365,17,509,3,1097,4,830,9,1360,3,1257,3,1311,3,1143,3,3358,9,811,11,1518,8,773,3,4987,3,1886,9,1949,3,2633,5,3051,3,2790,3,4682,3,1555,3,911,20,291,8,4020,4,2050,3,1599,6,5444,3,938,4,251,105,3118,7,3547,3,955,3,308,46,1908,3,931,6,246,5,917,3,3128,4,3687,6,568,14,4841,4,3772,3,2328,4,1576,10,1971,10,157,48,1747,8,3133,8,3741,8,4024,6,1288,6,4239,4,264,18,4762,3,189,39,2467,5,2828,8,582,30,3398,4,549,16,543,12,1731,5,923,12,1646,11,4710,3,1404,4,752,18,541,18,5306,4,903,6,2693,5,1647,8,110,52,1796,10,1452,4,198,50,2223,4,471,8,175,38,2781,6,1063,11,3338,7,1974,6,3990,4,580,36,215,4,2558,8,1562,11,302,28,4404,4,426,12,336,21,1831,8,1806,3,522,14,4007,4,1055,21,622,4,2448,8,5784,4,4697,8,1100,17,407,10,4163,4,45,88,3308,6,216,29,3318,6,5930,6,5606,4,5965,4,221,15,1174,4,2151,4,4717,4,1034,12,1770,6,2244,5,186,44,1407,16,577,12,2889,4,848,9,4406,3,1798,4,5415,6,1223,4,2678,6,1363,9,1430,8,1653,11,2972,4,1187,4,3356,3,1076,11,2072,6,5173,4,1081,13,2802,4,2682,4,703,4,2026,4,2386,4,1347,12,1960,8,3714,6,3785,6,5060,6,3679,3,563,10,1455,18,206,51,1115,12,5984,7,1745,11,3991,3,5325,6,4300,4,1349,10,1783,3,3182,7,4657,4,1110,16,4692,3,908,6,2258,3,4319,4,5301,4,4784,6,2435,8,1476,4,1186,7,2623,7,1265,6,321,36,1498,6,3759,4,3540,4,2079,4,2893,3,4739,12,5661,4,5358,4,3526,6,1351,4,1484,7,2075,6,1326,8,1370,7,2324,3,2002,8,341,12,1545,4,569,5,3751,6,3674,4,2657,12,3501,3,715,9,604,8,1128,24,281,25,1338,4,1732,6,1127,16,2152,6,2302,6,1432,10,1021,15,1241,4,1327,7,2329,10,1977,4,2746,4,946,4,1462,6,1194,12,1564,8,2203,4,545,15,3902,8,2054,8,2083,6,1346,8,643,11,2285,3,406,34,1696,12,2721,3,2041,9,2299,3,1853,10,2827,3,4467,6,1283,8,2015,4,650,6,1689,4,478,23,3705,4,2921,6,1319,3,258,6,2706,4,3546,4,3412,4,3800,4,1656,8,1037,9,665,4,1495,4,1298,5,1209,13,451,26,5934,4,1693,10,621,14,118,45,2716,3,378,17,3564,4,2852,4,2126,5,5645,3,4825,4,3638,4,1891,8,1980,4,1320,14,1982,8,2059,4,1027,3,1873,4,819,19,4492,4,654,10,1323,8,5280,4,1682,3,5658,4,223,21,978,3,1238,6,3164,4,2831,6,488,13,1734,10,1808,4,3515,4,2618,6,2679,4,2136,6,3822,4,4122,3,2301,8,1150,12,2528,4,3518,7,2105,8,4003,4,1124,10,1285,4,1688,4,3775,5,5586,4,5255,4,1530,4,354,6,2022,6,1669,6,4885,4,4729,4,3616,4,1700,4,4443,4,2663,6,5775,8,2150,4,1743,4,1391,6,594,11,3224,4,1085,4,4374,11,2745,4,1671,4,607,4,641,33,3303,6,726,10,2836,4,808,8,2949,3,692,4,2319,4,1714,14,3154,10,1309,3,5314,8,2263,4,2023,4,884,12,2037,4,2462,12,5019,4,4690,4,1890,6,3221,6,2232,5,432,13,1230,20,392,4,3003,4,883,6,3480,6,3658,6,409,11,4143,6,1302,8,1791,3,2604,6,2878,6,5688,4,1835,4,1814,12,3115,7,1720,6,1938,6,5828,4,1684,8,1166,8,2521,6,1773,4,1801,4,1701,10,3999,4,5010,6,2395,6,5659,6,5580,5,2648,6,2769,8,828,12,891,8,1383,4,2882,6,677,5,2486,5,3951,6,3966,4,2353,6,2298,8,1453,3,3733,5,644,13,2452,3,4259,4,5070,4,534,4,2021,4,1177,3,3122,6,2251,6,3473,6,3335,4,1017,7,3322,6,1538,4,679,8,625,3,1016,4,649,14,837,3,4878,4,2391,8,2740,4,1165,6,1290,4,3236,6,2310,6,1849,4,2712,10,2085,5,5265,4,1864,4,4485,4,3252,4,1787,7,4136,6,919,12,4572,4,5090,3,1634,5,2209,4,1654,6,2798,6,5996,6,4037,6,4453,4,3391,6,2874,4,2843,4,1810,4,4909,5,3587,4,5475,3,2927,3,5802,8,2996,3,2961,8,2095,4,1272,7,2176,4,1211,10,4724,8,5925,6,590,7,3732,4,688,10,1142,6,704,4,5348,4,1105,4,1070,4,1152,8,2128,10,714,6,2803,3,247,6,403,5,3220,3,2368,7,3098,7,737,6,4558,4,4638,4,1622,3,4052,10,3710,9,1539,4,1919,6,2182,7,3613,4,1094,13,1215,10,3853,3,1098,4,3237,6,652,4,2018,4,5550,4,5485,3,2141,10,4385,4,2398,8,3420,3,871,4,4324,4,1935,6,4766,4,4125,4,218,8,4489,4,4792,4,1685,8,4510,6,1036,6,1139,7,5418,3,2599,4,1834,3,1344,4,3827,3,744,6,3688,4,5897,4,5091,4,1757,10,1248,6,3364,4,1772,4,2027,6,1000,4,5656,4,1926,5,3661,10,1184,4,4626,6,914,10,4160,4,655,10,3204,4,3525,3,5296,4,670,5,868,10,2005,8,3281,4,3307,6,1196,4,5414,3,5326,3,4344,11,1012,7,5302,4,2898,4,1895,11,5823,4,2853,8,1148,4,5440,5,4321,4,1921,4,3677,5,1458,4,1541,4,1563,5,4584,4,2427,8,5089,6,1286,6,1912,5,3336,5,890,6,3429,6,1373,8,2414,5,1106,3,2615,6,4482,4,2583,6,2208,4,1983,4,2699,4,3678,12,803,3,2179,4,4805,4,959,4,2357,4,4069,4,1026,4,3301,9,605,3,2963,4,3036,4,2594,4,3833,4,5522,4,4831,6,1900,5,3874,4,3430,5,4802,4,5208,4,5180,4,1596,6,4398,6,2415,6,818,5,1433,4,1592,4,2264,3,559,8,730,6,5462,3,3470,3,820,4,1354,3,1582,3,954,6,3016,4,5008,3,3985,4,1578,4,4390,4,1472,6,1405,4,2231,4,2851,6,1318,5,1249,6,1786,8,3431,4,793,12,3109,7,521,6,4044,4,2627,4,619,6,5918,4,519,6,3127,3,2375,4,3082,4,2120,4,3341,4,2277,4,2430,6,1253,4,592,12,2731,3,2748,4,3324,4,1984,4,1967,9,3381,4,4846,6,2641,6,3063,8,2311,3,4949,4,5191,3,909,4,2530,6,5185,4,1514,4,2994,4,3918,4,1419,9,2724,5,4498,4,4622,3,4197,4,3223,4,3845,6,3464,4,3105,4,3334,3,616,7,1295,4,1155,6,3196,4,4219,4,5796,4,4322,4,2111,4,3739,4,2198,4,3022,4,5947,4,5487,4,1759,4,2937,4,1460,4,2914,3,2540,5,1201,8,3184,3,3716,4,4232,10,2091,4,5660,3,1151,6,3952,3,5730,4,1515,4,915,4,5435,4,3174,6,4372,4,5464,4,4599,4,1706,4,927,4,2304,6,794,6,5307,4,4713,4,4585,4,525,4,2621,6,5981,4,1528,12,3784,4,1412,4,4834,4,4732,4,3855,4,2494,3,5957,4,3989,6,2780,3,2943,4,2711,4,2809,4,1191,4,4738,5,2925,4,1503,4,5245,4,2814,4,2541,4,2636,4,5206,4,1428,4,658,11,2628,4,4005,4,3630,3,2167,4,2999,4,2246,3,5682,3,2804,5]],"2":[57348,3598,[81,698,222,169,317,100,122,199,141,77,1922,18,740,97,56,1017,2003,23,493,92,258,221,75,123,5001,13,2808,7,2928,12,180,56,3207,12,3117,5,1,7200,1189,13,3983,8,89,348,4955,13,860,48,152,583,781,14,523,52,1728,21,95,561,963,32,1842,9,3628,4,235,40,873,50,731,52,2239,33,73,265,857,13,1369,31,605,78,5193,6,1980,29,108,190,4313,5,3882,4,542,128,1473,24,490,24,3767,20,2016,28,1383,8,5593,4,35,136,2881,6,373,186,4571,6,257,147,262,145,2355,13,481,68,183,258,2129,10,1880,15,4230,8,3423,8,3194,4,877,13,881,74,3928,21,91,501,1361,13,1858,7,276,52,905,5,2236,4,930,45,965,37,87,478,735,29,113,135,381,36,999,16,1166,47,290,92,347,27,1033,18,690,36,253,301,2906,5,888,42,463,8,1329,22,343,35,82,126,3373,19,1226,18,355,96,517,26,979,87,311,57,3300,5,2005,7,746,6,114,452,62,359,136,99,692,39,4254,5,5288,3,1863,11,380,8,708,18,2764,9,334,12,225,163,1865,21,1224,9,1234,9,192,49,4670,13,1287,32,2074,15,3972,3,1450,23,929,5,1870,11,412,27,631,5,1804,12,1923,11,280,179,1260,13,2977,3,459,79,140,667,2875,3,250,229,547,8,314,50,1794,3,491,86,5083,6,167,70,4835,13,232,14,1208,15,898,22,431,5,1742,30,327,69,791,44,1020,4,2204,5,5580,3,3599,21,2044,4,149,232,1372,13,2645,10,2346,3,2767,4,3026,14,667,9,987,14,268,43,1485,34,1261,7,4124,5,1368,16,387,39,134,108,1014,24,178,72,3314,3,830,14,511,58,3304,3,696,15,3243,7,707,7,1490,11,960,24,2854,7,243,38,3695,4,1440,10,93,188,103,74,1102,12,2458,9,762,22,5029,3,652,10,424,66,952,20,2713,14,370,68,1725,36,145,74,5767,6,2608,10,5528,5,614,14,1150,12,5017,4,349,7,79,66,1228,3,106,205,4030,10,2679,10,752,12,639,22,1687,22,90,167,189,32,104,36,2013,25,2722,20,710,48,916,18,366,48,2571,13,4157,5,732,20,71,373,2159,15,339,27,1280,15,1019,9,360,68,3049,17,399,27,561,14,362,86,812,6,2048,10,4102,5,2887,8,554,4,1395,8,589,11,748,18,324,41,418,11,1278,3,130,135,154,73,135,307,120,35,1427,3,1179,30,4198,3,59,207,1131,34,572,42,2610,7,440,25,1306,8,177,77,777,24,804,32,434,52,1510,5,429,17,1521,14,77,5,842,68,456,25,869,92,414,84,601,19,3459,7,267,41,1173,8,1170,24,5356,4,5411,3,782,28,249,75,196,130,938,36,4956,4,400,36,3152,6,1763,9,2291,25,2535,8,518,35,2665,11,162,34,219,16,2933,11,2203,8,2737,5,1183,21,749,9,476,87,606,23,505,54,1122,17,2327,8,4125,5,1148,12,2337,8,2646,4,209,21,2024,6,5120,4,226,44,1475,14,5466,8,1244,35,159,42,2917,5,25,44,702,13,1141,14,2499,30,197,95,1524,15,374,16,844,38,975,8,648,8,1560,8,335,49,2017,27,1304,12,1733,7,435,40,4025,13,548,59,537,15,4088,11,2626,5,615,7,1503,6,164,120,458,10,277,21,2575,4,653,14,389,11,1547,33,1609,14,3954,7,2497,9,457,30,2070,9,1776,8,3428,5,785,33,443,45,437,40,205,55,88,342,228,29,753,52,1112,37,1806,8,882,15,1237,23,416,4,204,37,582,48,687,4,328,7,5344,5,2681,5,1889,10,279,53,3968,6,166,132,160,154,4668,11,3844,3,4564,3,546,29,560,38,866,27,4651,7,1124,15,1058,13,2124,10,3292,5,1341,7,1229,10,1703,20,260,36,673,16,797,4,703,12,3603,8,393,187,350,19,394,30,2241,12,3378,3,4858,5,913,5,1335,6,787,13,2529,6,2919,18,1617,24,685,41,2669,4,816,8,2778,9,3632,4,1055,22,1207,7,438,14,415,39,1588,13,1126,4,885,21,4962,4,1672,4,2358,3,587,22,1057,18,1943,6,4836,5,207,333,296,15,489,17,3887,12,626,11,571,42,1030,7,771,30,1977,7,2673,8,2397,12,1357,31,755,7,1851,5,3158,3,530,15,2314,15,5215,6,3202,6,5751,3,345,88,315,43,4454,4,813,22,3665,15,1611,5,638,20,3384,6,473,47,460,43,996,33,3607,4,5129,5,1843,9,3530,3,694,16,701,3,1381,13,4089,12,2776,8,464,24,4260,12,3512,3,2394,9,515,48,1505,7,1847,11,288,20,1321,41,272,76,3116,10,945,32,533,117,583,3,313,64,1325,11,1398,17,709,18,202,51,892,16,3237,6,567,24,1674,12,444,4,2527,19,331,66,5835,3,2200,12,316,41,227,34,512,33,1153,8,1483,12,766,67,850,40,1897,10,4487,4,369,17,174,86,4556,4,1815,3,612,3,1499,3,3650,7,636,27,912,8,439,17,2872,17,713,8,854,5,1218,31,4621,3,901,14,1721,41,187,23,2816,6,961,6,3359,5,254,43,304,16,422,11,1968,4,1315,5,585,26,759,9,2396,31,657,32,3253,4,1867,4,3897,7,388,120,3050,14,485,27,1679,10,772,6,482,6,2199,12,2522,11,5662,5,2668,18,2819,4,510,34,2954,3,5270,4,3688,7,4360,3,1813,8,2581,8,593,9,5066,4,1029,6,920,8,203,44,128,80,295,14,4111,4,2080,5,1340,17,887,22,588,69,454,28,2177,15,770,28,1577,5,452,5,191,46,2306,21,3963,5,1945,7,3342,14,4840,4,2010,12,1259,6,4002,6,487,11,4427,5,2702,4,33,10,3879,3,988,55,1574,12,1098,16,1444,6,2869,6,1962,9,384,11,3892,5,803,86,2052,21,1964,9,4155,3,102,21,2292,3,5347,10,2939,6,743,22,1789,7,2870,13,2687,10,1385,8,2312,3,720,22,1339,4,1137,12,586,25,609,14,1206,13,1712,3,3957,3,1782,5,3645,3,783,9,3372,17,2119,9,2042,6,1668,5,351,12,3926,3,3683,4,3686,3,513,24,3995,8,2213,3,3574,4,199,13,3619,3,4941,4,1924,8,1413,4,5337,5,817,23,5044,4,1415,5,1073,13,2855,6,2133,4,1488,8,4423,6,826,104,2063,11,1117,3,1907,4,100,218,562,9,840,19,255,74,1704,5,628,24,2482,4,1205,10,852,12,1416,10,526,78,319,5,1154,5,1066,21,1266,9,3799,3,876,3,3167,7,1389,6,1348,19,2951,7,4723,3,1190,19,990,30,2487,3,3471,16,453,6,1436,32,1145,5,2178,3,1355,11,3793,14,2959,4,4448,3,1212,11,1268,29,3312,4,2131,3,991,22,1331,11,1951,4,1708,5,1069,4,3046,12,2920,4,2704,8,375,36,2617,5,790,8,3159,3,591,20,297,57,466,52,508,74,3048,17,1749,7,579,6,1245,17,2684,8,1443,3,786,15,2782,3,1828,8,1358,7,584,5,1976,9,413,15,556,13,3980,8,4221,6,2232,13,1671,17,1322,8,3732,3,1616,16,532,45,573,13,3641,3,2196,10,2799,11,1439,4,646,44,2441,12,2992,8,1857,3,893,20,1523,14,3841,6,298,49,3904,3,309,19,1470,3,2780,3,947,20,1705,3,1585,9,1785,6,244,25,1167,4,2235,12,1151,5,5555,6,3240,6,806,5,809,9,1157,14,1169,34,116,39,3015,3,4237,3,265,33,2363,3,2116,21,664,15,5845,6,3532,4,4628,5,2768,5,1059,71,698,19,330,52,1305,11,4671,6,503,19,448,14,1417,17,728,11,479,29,1186,28,2230,12,119,54,1409,5,2566,12,651,12,2153,14,270,7,1390,8,1089,3,3306,3,3513,5,1159,9,623,17,3020,4,1686,3,3397,10,2071,4,1314,27,1053,42,624,3,2832,17,2011,5,3986,3,1841,10,1284,14,855,15,3881,8,831,45,1731,18,2790,5,3433,20,1550,16,1129,9,1349,49,566,45,1092,12,4263,5,980,15,4161,12,2234,42,1632,28,870,26,3467,7,212,96,1487,5,4341,4,4004,6,1513,5,2347,14,1004,24,1803,7,2569,24,640,16,2940,5,1648,7,4923,3,4795,5,2916,20,3523,3,3388,5,3791,3,428,46,4849,4,4316,3,37,98,769,10,1044,9,284,23,1071,4,2795,3,2866,12,2051,5,1428,17,973,10,833,4,2076,3,4106,6,1652,7,1342,30,2897,5,1445,19,2835,3,1825,5,401,29,4642,4,764,51,256,51,2073,15,245,41,824,12,3447,7,811,26,4757,3,1103,14,2625,7,2472,30,3008,11,1773,5,1010,22,352,8,2981,30,545,40,3111,8,4811,11,326,30,1251,31,820,31,1193,5,1926,15,3543,3,501,25,153,56,224,38,1430,31,4409,6,570,7,779,50,853,47,1821,5,4081,3,3872,7,539,30,5413,3,800,28,333,11,1320,32,1539,5,872,7,1418,15,3278,10,3094,5,252,12,821,11,1645,19,890,40,1399,3,1054,7,4752,4,4154,17,1082,5,2806,11,3475,4,4768,4,1264,20,4397,8,894,4,3144,5,3387,5,2492,20,2570,7,895,9,1156,19,5037,4,1644,6,3297,8,3021,3,1038,24,465,35,4358,3,1615,4,3330,9,392,64,1779,9,896,14,1143,12,568,18,5696,9,2192,8,1461,14,4072,13,3527,6,220,148,238,27,2031,6,4169,9,3461,3,706,6,5339,3,757,13,1613,5,984,23,1805,4,5507,4,524,5,3228,9,4290,6,3024,5,1759,13,1996,9,1345,8,5272,5,2811,9,359,42,3040,10,2354,8,4506,13,2563,6,1989,4,344,25,839,11,278,19,1905,8,3595,7,5228,3,2735,3,3764,3,5742,3,2221,16,1241,22,525,54,906,27,1343,12,2286,7,411,7,1334,4,1211,27,1096,9,1429,3,555,11,467,14,2264,6,1290,3,5502,3,3160,11,1255,6,618,8,989,24,2270,15,4974,6,922,16,1963,6,959,9,4661,3,2932,6,3808,7,3097,3,2018,14,1466,13,1298,12,5021,11,4446,7,1144,4,2848,7,3446,3,2667,11,654,38,1437,11,185,15,1958,6,1584,12,1222,18,4140,5,1904,3,818,7,1456,8,1554,12,564,5,3452,8,2364,14,3865,3,3062,4,5253,3,2445,6,390,13,4434,3,2046,5,5734,6,96,5,4505,5,608,18,4394,12,329,3,2789,5,2614,13,477,5,5888,3,1217,13,4978,5,693,18,5681,4,2211,7,2293,13,603,24,4227,3,376,48,471,32,5685,4,1178,6,1833,30,3692,9,691,16,879,12,2865,3,1311,4,2189,3,613,31,3042,5,1489,44,2045,8,4046,6,2755,4,2523,11,176,319,1271,5,992,6,1651,4,2908,10,2938,3,577,58,4019,3,4261,4,3562,4,5016,7,1408,12,397,43,2127,3,2736,4,863,15,3337,9,3089,4,2899,15,3436,10,2078,9,5541,3,1459,8,4690,6,1480,8,1202,6,3139,3,971,11,5836,4,859,3,4890,4,1590,10,3135,6,1015,8,5743,3,856,68,4598,3,3427,4,768,3,2277,9,907,27,4283,8,663,7,361,5,1528,8,1802,8,5197,3,2062,10,1275,4,3315,3,937,15,1875,4,1506,11,385,5,2014,6,2132,4,712,5,1064,5,1447,5,3168,6,3183,13,4963,7,4928,4,1433,7,3886,5,2182,6,157,122,2452,16,3522,3,2169,4,3177,7,1231,7,2408,6,1165,64,622,4,67,12,2966,5,1999,5,3286,6,2152,8,4678,7,4070,3,659,10,1469,10,4780,5,2923,6,1463,23,2294,4,679,41,3057,5,924,48,2896,7,1845,14,356,68,94,67,1175,6,5645,4,363,4,4809,4,629,12,195,32,1256,6,1558,14,3726,3,427,18,1084,5,1637,4,2886,5,2686,4,1407,7,1076,26,4391,4,4129,3,650,9,1792,9,1065,33,4783,5,2100,6,4426,4,1087,15,2065,27,3268,11,4418,5,2857,5,4606,5,3813,4,519,7,3192,3,3258,12,1177,18,3578,6,20,11,188,5,1722,5,5166,5,2517,11,897,8,5604,3,1839,7,635,3,1138,13,3039,12,230,3,3362,7,1086,17,2361,5,2660,28,1236,3,2502,27,2692,5,3439,6,1316,14,274,15,671,63,3899,9,287,3,449,3,1913,8,2741,4,1078,4,3653,7,1702,9,5831,3,4176,4,4302,7,1799,10,2584,6,1493,11,4286,10,750,7,2218,6,2348,34,4326,11,5240,3,1614,7,5664,9,1192,5,478,104,1091,3,1633,5,2026,5,5613,12,955,23,303,38,496,29,627,9,1200,4,2022,18,155,13,1941,17,1777,5,5643,5,2712,5,1225,18,1017,12,1642,4,3981,4,2202,7,2674,4,1917,12,2253,4,4186,4,2474,7,2209,8,1068,32,1250,6,3052,8,4566,3,5014,3,4410,4,1536,10,379,18,1971,16,4792,7,1406,21,3011,3,3621,6,3029,4,3901,3,1191,33,5756,7,4490,5,484,39,4144,4,1532,14,2126,19,3916,14,2979,29,1272,17,1836,12,2033,3,2876,12,3463,3,682,9,2407,11,4197,7,5067,5,4988,6,432,63,3745,4,2921,6,1011,12,3340,3,4776,4,3656,5,208,18,5909,4,1578,7,600,22,1942,5,1079,8,2586,3,4440,5,1494,13,3617,8,1641,10,1195,8,2460,4,4533,3,862,3,310,11,3842,4,756,21,858,8,3162,8,1709,4,2449,4,2392,7,5459,4,3826,5,2904,7,5145,4,4774,5,3902,3,3921,5,213,32,4229,4,1371,9,733,30,1118,10,2993,3,1979,3,5661,4,2999,5,946,13,763,5,2125,9,3179,8,2416,18,1987,3,3195,3,1772,5,4439,3,2439,3,3357,5,643,52,3917,5,2313,9,1918,16,2227,6,4377,10,3633,7,3096,11,1748,8,578,37,630,4,2112,5,461,12,536,5,4574,3,4459,6,2015,15,4852,5,642,8,864,9,171,26,956,6,4402,3,1391,7,3548,9,3138,6,2471,15,1990,5,4375,6,2368,12,3598,3,396,6,900,17,962,14,3812,5,2356,5,3707,5,899,15,1546,8,2103,13,925,12,1249,12,5115,3,2256,3,5033,4,4389,5,936,29,2544,18,918,10,1203,15,5998,3,4142,20,792,11,1465,7,807,3,2467,7,286,10,371,47,2822,11,865,5,5135,5,3415,3,405,6,5532,3,5469,4,1569,20,1435,3,5109,4,5667,5,2271,11,2827,5,480,12,4248,5,2910,3,5020,4,2404,3,1035,71,3073,27,1921,5,1823,6,1379,12,2117,4,4589,3,3405,7,5298,3,5127,4,3723,5,2268,8,2317,8,462,26,3451,3,2505,5,2574,5,2180,11,5328,10,1784,21,1130,3,2451,4,2515,5,828,73,4470,4,950,7,2949,4,1726,15,2745,8,1662,13,1619,17,131,21,1106,27,3795,6,1738,5,1291,24,1960,13,3997,3,1724,8,4759,5,1634,10,2111,7,520,19,1537,13,2272,6,3242,10,86,10,1557,4,3047,3,1501,13,1552,9,2336,6,5547,11,2551,21,2539,29,5568,9,760,4,2820,11,1676,8,4189,6,4250,5,4512,4,1837,4,784,4,2140,4,2219,8,3978,4,4279,7,430,15,3706,7,5123,11,4687,3,981,5,2418,5,5281,8,3877,3,2453,5,4824,7,2708,9,4664,4,5653,5,2077,4,5654,3,382,21,4265,8,4387,10,3233,3,5636,3,2825,3,5063,3,789,6,1478,4,4151,5,594,31,2383,8,305,53,5167,3,5231,4,1374,3,4007,3,2335,23,4910,4,1741,3,822,3,3582,3,2402,5,1563,6,2097,8,4939,9,1366,8,4800,3,2388,13,320,5,3588,4,2849,8,2500,5,2650,5,1484,25,3525,5,3541,3,1024,13,1420,6,968,6,3744,5,2267,4,5182,4,4242,7,843,3,5635,3,3635,21,1003,20,2675,9,3551,3,4999,6,4893,3,1214,7,1623,6,2852,6,2965,4,597,43,1952,15,29,3,4192,4,3347,3,3670,3,552,4,5404,7,2087,8,1666,3,2186,10,957,4,2557,20,2549,7,867,4,3696,10,4056,7,469,8,2812,5,1956,14,5560,3,4600,3,1128,15,5443,3,3352,12,3923,3,2603,11,4741,6,184,40,1312,4,3565,4,5718,3,5516,3,967,3,695,7,5106,4,3386,3,5893,3,5989,5,5761,3,719,3,3518,12,761,26,2245,3,2154,3,1283,11,2633,4,2039,16,754,27,3059,10,5642,5,1649,10,5549,3,3208,7,1491,11,5498,3,1884,3,1838,25,3017,8,2210,15,1887,12,668,33,1707,9,3925,10,5827,5,398,7,4268,5,1113,5,5160,12,1438,3,527,3,549,18,2619,4,2266,10,1486,10,2262,10,3457,3,5081,5,4644,4,3915,3,1832,10,741,41,182,3,886,40,1174,38,3354,6,4020,5,1800,9,4641,11,2105,5,2123,20,970,12,2370,7,793,18,3010,4,972,7,2762,13,2607,6,321,18,2600,21,1663,6,705,5,2926,4,2170,3,3627,3,4444,5,5714,4,3058,6,5061,5,557,28,1571,15,3085,9,2387,3,3479,6,3556,6,3687,12,5492,7,1949,10,4822,6,1591,15,3898,13,4220,7,2756,6,4008,5,2216,4,1072,26,2651,3,4078,7,3123,5,5047,3,3643,3,2889,11,5907,6,4904,4,1471,3,2113,5,2661,3,2533,7,4499,17,1969,7,3702,3,5022,4,378,92,2655,6,3490,7,2255,4,1658,9,917,15,1788,3,5134,3,607,6,1319,25,2956,3,1288,5,5295,3,264,195,51,10,2955,5,1045,16,1025,3,2297,11,2246,7,2991,3,2108,4,3924,4,1201,27,4047,3,2055,22,2142,4,1791,4,1337,3,3443,7,147,22,1690,3,3037,3,2479,5,3630,3,5367,3,4510,3,596,5,1080,3,123,12,1914,7,3204,4,3779,9,2369,12,2041,6,1001,17,2659,3,675,81,3398,3,3880,3,1906,3,1761,17,5609,3,1688,7,3811,5,1573,9,1134,6,1995,11,346,11,4977,3,4083,4,5059,8,4495,9,3365,7,2548,5,5114,3,5701,3,2114,3,3390,9,3124,6,5520,10,4596,3,3099,3,923,25,2520,8,2558,11,3870,3,2099,4,2596,3,2244,3,5294,8,977,53,5353,3,4655,9,914,35,774,7,633,9,4392,5,4491,3,4515,5,6,3,4583,3,2605,9,1187,4,4209,3,1938,28,868,23,2096,20,107,446,5753,4,1289,60,1462,36,5303,4,3775,8,4003,8,3329,4,5938,8,4202,7,409,83,1308,59,1755,11,2194,16,4865,4,4943,11,1948,20,4527,9,837,47,2801,6,45,739,407,22,1176,8,5095,9,3858,11,4837,4,2095,19,3209,10,2718,6,1495,10,834,22,3828,16,4517,6,5362,8,354,271,4108,8,1105,58,1265,10,175,231,521,28,3787,6,5245,4,3868,17,884,4,2985,6,3455,16,908,22,3004,12,4905,4,170,179,798,54,644,43,3345,11,4954,4,3856,14,1093,52,3740,8,2352,15,1252,53,1307,18,221,247,5418,8,3023,4,522,50,2895,6,1953,19,976,70,2393,15,3501,6,1891,11,2448,6,2701,8,4581,4,4300,4,788,60,4812,8,3736,18,655,37,2145,38,3449,10,1538,10,2059,6,4738,4,1081,14,592,47,2386,9,4914,6,1934,16,2726,12,2988,4,1834,4,1363,6,5013,6,2836,4,3343,8,4023,4,2060,6,4406,10,742,12,1515,20,3016,4,814,29,3671,8,4466,12,5190,4,1564,16,1864,10,1793,24,2682,8,5526,5,1787,14,2205,8,4257,10,4692,6,2486,13,4507,4,1115,39,2720,4,4483,8,3554,10,206,82,2814,13,3310,4,4099,16,2371,4,5175,6,3993,5,4119,8,2748,3,3254,4,275,6,2657,8,4430,6,348,8,5230,12,5383,8,1959,48,1768,6,1743,22,1209,6,2882,12,3068,4,1248,30,569,14,337,34,2564,6,2299,18,5822,4,602,35,4703,10,2513,4,1351,4,1000,6,4790,4,2021,6,1978,14,2973,4,3967,6,4171,6,5960,8,3196,4,604,105,2302,12,1684,24,3520,10,1809,14,4438,10,715,65,4827,7,3589,6,670,36,2576,17,3002,9,2438,8,2509,10,3034,10,4348,4,1286,12,2892,8,3379,8,915,40,4788,6,1412,8,2322,8,1830,10,4534,8,1063,22,4063,6,3069,6,2259,12,1012,27,1586,26,4403,10,1819,12,1164,8,1422,16,4976,4,1992,28,4067,8,2851,8,1034,43,4379,8,2530,6,1747,6,5808,10,4178,4,5158,4,4991,4,3327,4,3906,4,4689,10,2435,4,677,44,2440,6,1925,38,2032,18,5374,10,883,40,1689,13,4469,4,365,99,1570,12,2207,26,3822,6,1899,8,3680,4,2573,4,211,10,4948,8,3224,6,3071,4,4708,10,927,3,2615,19,3298,8,5883,6,36,16,1916,15,994,6,2301,12,2879,4,4895,10,4679,6,2501,5,2678,6,3763,8,3420,8,2298,14,3174,6,2146,6,4916,8,3509,6,1152,24,1021,24,4624,7,2430,8,2311,10,5712,10,1037,56,2945,10,1163,42,4011,4,4160,3,3122,9,4676,8,1682,12,4477,6,1770,12,2390,8,1269,22,1210,30,2538,6,3540,4,3564,6,5750,10,2488,8,2781,8,1135,6,5091,7,3485,4,4839,4,3765,10,2260,27,498,8,1353,6,2719,8,3784,4,5305,8,2450,7,3646,8,4158,6,2328,22,5141,4,5185,4,2972,4,2639,6,5103,4,3334,6,3905,11,5421,4,3545,10,4143,6,5963,4,3200,4,115,6,1441,27,5251,6,2761,22,2475,7,983,43,105,14,1097,14,4605,6,507,20,3667,4,1139,14,4443,10,3511,4,3505,8,3231,10,1354,10,1878,4,744,20,5254,4,2927,4,641,16,3694,4,3406,4,3147,4,5373,6,2616,16,1734,8,829,53,4926,4,1807,12,3700,8,5732,4,3546,8,5787,4,4031,4,5895,4,3832,20,5811,4,5800,4,5660,4,5280,6,4518,6,2700,8,4090,7,2426,4,1085,6,2329,4,417,3,2545,6,1230,3,4801,6,2621,6,3770,6,3731,6,2676,14,1629,6,2723,4,2225,8,2412,5,1458,16,1496,4,2731,6,1006,4,5000,4,5457,9,2572,6,3444,4,5700,4,4820,6,2150,14,2139,4,1750,6,773,4,2952,6,2415,6,5327,4,5987,4,2796,8,1194,18,5256,4,5086,4,3305,4,3110,4,1654,8,4869,6,3947,10,3699,4,911,19,891,22,4460,4,4785,6,18,4,4496,6,2462,6,4016,6,1681,6,848,22,2280,4,559,9,5966,4,2521,5,1182,10,5078,3,2243,6,2831,8,2602,10,5985,4,2670,4,5730,8,5159,8,1915,10,4799,6,3550,6,3634,4,2433,6,1622,6,5273,6,3655,6,5885,4,2331,4,2666,28,4480,4,3750,4,1691,16,3602,4,1909,15,4816,8,1562,12,4471,4,2922,12,5890,10,2217,13,3403,13,1497,32,4399,10,2685,16,5010,4,4164,4,2541,10,2885,6,2405,8,2057,8,2443,8,3662,4,1745,13,4921,6,3845,4,4095,8,4789,4,5697,4,1893,4,2160,6,4796,4,1846,12,3704,6,3648,3,5868,12,5920,4,3201,7,5170,4,2220,4,3281,8,1696,10,5945,4,4332,3,2706,4,1967,10,4558,4,4721,4,4034,10,3809,6,4875,12,402,10,1541,12,4310,6,5043,5,1774,10,4933,3,1912,11,4110,5,1238,16,5702,3,5207,6,5749,6,218,4,2536,8,5529,4,5564,6,2094,6,4328,4,4378,6,1423,44,3569,4,3912,4,932,8,4208,4,3583,4,1901,8,2276,4,3608,4,3918,4,4553,4,4022,4,2995,10,1935,8,1219,8,4973,11,5181,10,1656,15,1890,8,3773,18,5646,4,3323,8,2027,4,5342,4,2961,4,78,4,2248,12,2783,8,3519,6,4764,6,2427,4,2658,8,1861,28,1593,8,3850,4,3453,8,2587,17,3308,9,5881,4,3913,6,4794,6,1455,6,3033,6,5293,6,1239,12,903,28,3623,4,1582,4,4848,4,4891,4,5124,6,5387,4,308,6,1974,4,5821,5,5424,4,3366,6,5306,4,4986,6,1835,6,5151,5,3526,4,4014,4,4066,4,5208,4,3959,4,4270,4,24,4,3818,4,4001,4,3802,6,3943,4,737,16,2552,12,5275,3,3701,6,1786,9,4152,5,4525,4,3088,8,3946,4,4416,4,1309,8,2925,18,3009,4,3083,3,2604,5,2990,6,5088,8,3771,6,2914,4,2970,20,5686,4,3364,4,1766,4,2618,6,5862,4,5874,10,4458,4,4456,4,3769,4,1302,4,5064,4,2023,9,1482,8,4900,8,4009,4,2641,4,5983,4,4340,4,3498,4,5982,4,282,6,4997,3,1826,6,2333,4,2058,34,5005,4,3175,4,3288,8,4987,6,3816,4,3392,5,5026,4,3553,12,2483,9,3517,4,2147,4,4907,4,4159,4,5096,4,3151,14,4133,4,5986,4,4000,4,5377,8,4035,12,2636,5,2623,8,1347,8,4091,4,3295,6,1452,22,1094,6,4118,4,5816,3,5721,6,5705,4,2815,24,3223,4,4530,6,1730,4,4807,14,3014,6,5577,6,2724,11,4482,4,4350,4,3339,4,3907,4,504,6,3483,8,2526,8,4834,6,1370,10,5448,5,940,6,5997,6,3067,10,4570,6,5119,8,3487,4,3006,6,5872,6,5427,6,2960,6,3238,5,2340,4,3668,4,3277,14,4815,4,3758,8,5222,4,4568,15,5970,4,5933,12,5768,8,4543,15,1432,4,4873,4,2817,6,1185,7,5812,10,3952,4,5354,4,4705,4,3747,20,3157,4,1771,8,1868,3,4166,6,5065,4]],"3":[30798,3304,[2,1958,91,63,21,54,11,339,1,3743,1405,4,2178,6,16,244,12,633,44,113,1859,14,1769,6,41,50,1529,12,48,37,5,666,254,11,1427,8,262,23,2229,6,3863,4,78,312,14,190,387,14,29,148,3465,4,760,3,2063,4,758,10,3300,3,86,20,103,25,515,3,71,200,4580,4,398,149,76,31,34,129,24,204,112,32,116,23,905,9,84,120,25,88,537,21,3176,8,831,5,954,3,114,17,1511,3,1923,8,143,22,2697,4,2740,7,2355,3,1385,14,136,25,2960,3,6,456,20,264,30,123,189,3,1817,9,35,246,194,31,376,8,15,161,126,30,158,44,412,11,4636,4,732,14,466,12,8,327,572,11,2768,5,131,40,489,28,205,17,930,6,138,27,736,13,437,6,617,17,490,8,9,523,59,59,141,46,602,4,898,11,623,4,362,15,260,17,246,3,10,210,168,8,7,512,593,27,1019,4,80,65,26,138,1183,3,204,47,2425,5,297,18,1280,6,712,10,3107,3,2077,7,2363,8,328,10,859,5,4,103,27,37,1585,12,636,5,154,65,561,36,37,62,1108,10,2816,5,531,8,1505,12,60,142,1729,8,467,97,934,7,284,32,793,3,579,15,1282,7,888,12,43,24,1626,4,904,10,2219,3,2737,8,93,23,786,6,877,4,3970,7,1521,9,111,53,55,30,2874,3,4564,4,4595,4,1202,5,752,5,852,6,145,47,2025,3,279,3,614,23,1549,9,17,225,56,14,1731,7,1704,5,42,20,1845,7,195,37,624,19,1968,14,327,52,298,29,799,10,335,34,439,13,122,20,104,42,1060,11,197,22,62,8,694,10,3097,3,2196,5,448,11,608,10,1247,16,746,9,836,10,66,32,1149,7,235,31,629,14,227,29,3986,3,706,11,88,22,3055,15,5272,3,72,75,89,16,1058,6,1047,3,648,22,1753,15,5794,5,2705,4,1157,12,4420,3,1117,7,1794,5,1250,5,169,21,415,4,1418,7,23,75,630,32,38,129,261,5,410,19,40,58,300,3,85,10,574,6,967,4,673,13,1171,16,2046,6,452,15,19,117,759,26,571,18,1015,8,583,10,119,39,514,16,1062,3,3782,6,2290,7,2281,5,102,52,268,17,5006,3,389,17,485,13,901,12,31,70,177,10,755,8,191,25,1896,3,226,13,669,33,2346,5,656,24,955,6,411,3,127,37,538,25,363,15,1098,3,1153,6,1261,4,166,26,3087,3,707,24,1275,15,2901,10,13,45,290,16,564,5,989,14,5596,3,228,33,461,22,428,11,160,38,1815,11,369,8,2871,9,638,8,97,64,355,16,1648,12,288,5,430,22,1151,3,137,45,1829,6,1444,5,1352,5,2080,5,1607,6,5801,4,2673,3,1867,5,1716,5,408,4,2161,4,953,10,190,43,2213,4,1073,16,717,7,2610,3,702,7,1386,5,2082,4,324,44,1836,4,556,3,63,58,4111,10,135,15,609,3,83,25,885,9,2175,3,988,3,256,16,2738,3,196,7,2847,4,1028,4,971,10,90,19,1712,18,550,31,1579,4,743,7,896,6,319,6,1527,7,1476,21,79,9,361,11,272,20,92,10,3879,3,887,7,1627,11,390,10,36,131,2606,5,487,7,3892,3,342,11,301,24,2722,5,2254,5,457,4,454,11,2856,3,77,39,399,10,1306,6,5684,3,1512,5,2820,3,296,10,2553,4,1832,5,220,23,1930,7,4922,6,4280,14,663,4,1084,5,5857,4,1868,8,329,10,600,6,2377,3,2651,8,148,62,951,4,248,26,5212,3,54,142,1694,4,4773,3,270,15,1797,5,1254,3,722,4,2647,7,349,19,3233,3,3933,4,322,58,1451,6,3267,6,500,3,2071,10,3304,3,1910,5,370,6,208,17,435,20,33,280,855,4,2385,10,749,5,1717,4,698,13,57,115,958,5,1129,7,3755,5,1107,3,1315,6,1996,9,535,23,595,20,456,3,2755,5,316,36,1494,6,5538,4,1377,4,1994,3,134,3,214,12,2510,6,790,9,920,3,1317,5,2819,4,418,33,1415,7,108,24,1030,7,74,13,751,13,724,18,180,23,2625,8,146,12,5815,3,4828,8,4674,8,244,15,2258,7,1539,4,1523,6,2797,7,113,18,952,9,229,9,139,27,2646,3,161,15,1643,4,4768,4,626,4,1760,12,4093,5,632,20,770,5,3877,5,674,7,1276,12,5002,3,2529,4,416,4,382,7,4412,3,897,10,1124,3,1077,3,1341,14,2690,3,4073,4,1603,4,1389,7,3101,4,292,13,1449,6,393,10,438,13,1222,6,2228,3,3072,3,5534,3,278,21,463,21,219,10,1556,9,513,17,713,11,640,12,1009,11,373,3,763,14,1364,8,2656,5,539,5,1376,4,5614,3,581,5,541,9,120,43,606,19,431,8,768,10,1236,3,2382,7,192,30,824,18,2691,7,100,11,2011,6,173,45,291,7,1438,19,4140,4,207,4,163,15,462,15,502,5,99,49,1193,6,1554,6,147,54,265,15,421,22,2014,6,1087,5,140,5,243,24,1739,4,769,4,436,14,552,16,347,17,4057,3,178,5,115,94,2941,3,1194,3,1469,4,1663,4,101,27,2506,7,3726,5,1173,4,339,3,1677,6,1111,6,2081,9,304,5,4971,3,4225,5,1686,3,237,5,482,14,2379,6,87,22,1435,5,250,4,987,3,4899,3,646,8,2270,4,3056,8,2833,3,174,6,3214,4,3888,5,1411,5,498,19,594,3,1664,23,647,18,447,48,1708,3,873,3,4175,3,98,6,809,10,1483,3,4009,10,22,25,3103,5,5506,4,352,5,1683,5,968,17,1468,7,2305,3,2570,3,4201,5,570,9,2064,4,935,3,2782,6,199,12,738,7,1256,6,326,7,1690,3,311,6,585,14,348,7,882,10,299,22,1131,16,4747,4,607,11,313,14,1070,3,3296,3,2743,4,1335,4,1902,6,3478,5,4277,5,1979,3,1361,3,916,10,922,7,419,8,1889,3,1460,9,680,39,276,3,125,38,3641,6,4386,4,959,6,2004,3,2631,3,615,3,247,3,332,16,573,11,757,11,2309,4,217,12,397,19,1749,8,240,23,1710,5,512,6,3414,3,857,5,1160,3,3172,3,1033,5,3530,4,315,6,320,5,424,9,4071,5,721,4,294,10,1470,3,4315,3,4860,3,1103,4,3399,8,1374,5,1429,4,236,8,801,12,201,12,3859,6,4750,3,1443,4,3632,5,902,4,4013,4,429,3,4283,3,735,6,1278,7,584,9,222,18,966,5,2020,4,4734,5,2240,5,4045,3,155,22,528,58,70,9,703,4,5060,3,1339,3,4222,3,3932,3,404,8,3503,3,2067,3,577,6,1311,5,1526,7,2090,8,380,8,1237,3,2860,3,861,9,2165,9,2044,3,5761,3,576,12,1231,6,1602,4,520,4,3703,5,337,17,2807,7,2226,3,2131,3,4010,3,591,3,1332,6,1167,6,1095,3,5227,5,889,7,990,13,727,12,2954,20,274,11,664,8,495,5,864,3,1296,7,532,6,973,5,183,11,1785,3,1924,3,553,6,280,5,388,3,3117,3,1102,7,1005,7,692,4,996,3,693,12,2746,5,3286,3,2946,3,182,12,578,4,2585,3,473,4,1922,3,562,6,494,23,1330,6,3217,3,1673,5,475,5,121,29,73,8,840,4,267,3,1082,3,128,5,4567,3,1892,7,2966,5,464,21,2845,4,1569,4,3660,5,4176,3,159,6,610,11,4769,6,708,8,665,10,2118,5,372,14,761,5,4513,3,107,5,3211,3,2504,9,599,3,1217,5,1327,3,1928,7,1736,4,4426,3,2517,3,3340,11,2423,4,1018,7,405,6,524,15,2581,4,2078,6,1456,7,3276,5,1277,3,1136,6,273,12,1762,4,82,31,1477,4,782,9,1219,4,771,15,470,18,720,5,4183,4,2693,6,379,7,1189,3,2033,3,5197,3,2428,4,50,52,1666,8,130,3,1155,12,714,6,455,6,345,10,69,13,449,6,1893,4,200,13,497,9,2028,4,360,11,1309,3,3203,3,1078,5,1162,4,2990,4,862,13,5798,3,2584,6,1337,3,1390,8,187,15,440,10,2873,3,949,9,242,17,590,7,4489,3,386,13,441,18,893,6,3030,3,479,4,325,15,3954,5,1233,7,472,15,3612,3,331,5,981,8,371,14,51,61,853,5,869,11,1396,34,1605,5,2142,3,3266,5,3361,3,881,7,858,10,2630,3,1118,6,3341,4,32,63,1565,3,2538,5,701,3,1768,10,1283,5,811,3,67,33,181,49,225,6,2936,5,47,19,3949,3,750,23,921,7,635,8,3191,3,295,7,209,4,2921,3,1168,5,1143,6,1121,9,1292,3,1777,4,303,5,282,20,812,6,2753,3,960,5,426,3,153,9,804,5,2252,5,1937,5,1324,5,1266,3,232,7,1970,9,5846,3,4134,3,1334,5,3654,8,4235,3,249,5,4974,5,567,7,1114,5,1172,4,1478,4,775,11,2255,8,356,9,2661,4,123,4,151,28,2958,16,536,4,3265,5,422,8,4696,4,4809,3,696,4,529,4,555,7,4730,4,2019,4,149,11,4931,3,1818,4,807,9,645,4,2455,5,1787,5,1371,3,2669,4,492,6,1707,6,3077,4,231,29,1245,7,765,3,1699,3,1783,6,580,19,3874,3,1061,6,4589,3,142,17,1132,6,1142,4,2098,3,5351,3,172,17,565,7,377,4,1578,5,283,20,2505,6,179,20,1929,3,2763,3,3934,4,1884,3,1199,3,839,4,540,7,1020,5,503,11,1517,11,1446,3,719,12,3942,3,446,20,1253,7,5742,3,825,17,4100,5,2140,7,3230,5,1944,7,794,6,2544,3,1946,3,351,19,233,38,2312,3,925,3,1936,3,1002,4,401,17,4204,7,1844,6,1076,3,3601,5,176,11,2180,5,683,8,544,27,5617,4,5130,4,1008,5,1933,4,1502,8,1057,4,2959,4,3215,3,2397,3,725,6,493,6,2008,3,4823,3,4665,3,2279,3,5211,3,5903,5,81,7,1532,7,695,4,3062,4,4314,3,1758,6,1196,4,505,6,3921,4,2267,4,2060,9,1425,5,4445,3,186,11,61,31,597,4,314,4,28,44,1615,10,4161,3,651,9,4387,5,1733,3,1359,4,1678,3,53,18,1368,3,164,13,777,4,353,5,469,3,975,3,2113,5,1620,3,3137,3,2317,6,779,11,2283,3,2826,3,2620,3,2384,5,4423,3,1032,7,1740,3,1225,3,417,16,1610,4,1917,8,210,5,998,5,1493,4,2967,5,2308,5,2242,4,1175,13,234,16,499,8,1811,9,5202,3,185,22,391,21,3001,3,3227,3,4702,7,144,23,1323,6,1442,5,1983,3,252,28,697,15,2201,8,2825,3,263,58,1195,3,2392,6,611,5,2956,4,2547,9,3766,5,1871,7,509,20,1820,5,776,3,5025,3,805,6,2407,3,3273,3,4058,7,266,14,1491,3,453,27,1303,4,978,12,357,18,4193,4,4571,3,395,3,150,17,1404,8,596,6,2969,3,117,3,4536,3,165,21,450,27,2070,4,726,22,2772,3,433,17,3051,3,133,24,468,4,4446,4,3061,3,2084,8,156,22,364,14,1116,17,474,9,132,23,2132,3,4135,3,4203,3,368,7,1621,4,427,3,753,3,575,3,1200,3,293,8,1039,8,2975,3,1473,3,1788,4,4048,3,4911,3,923,7,5382,3,1054,3,843,13,4208,5,598,10,880,3,2324,6,1908,4,306,17,129,88,2445,11,2125,5,2653,3,841,3,744,3,718,11,1403,3,1240,3,4312,3,1083,4,1903,5,239,5,530,5,4209,4,400,9,2376,8,1641,5,3257,3,2542,3,1612,3,2821,3,1649,4,4774,3,5299,4,4078,3,2515,5,1631,4,5396,3,1399,5,950,10,2345,3,1566,10,309,5,789,6,1036,6,4650,3,2339,3,1223,4,982,4,1379,3,802,7,425,7,1185,11,906,4,4212,6,2087,3,1184,3,734,10,1067,9,2056,5,2214,8,312,5,2373,10,2582,3,1824,4,68,14,1990,7,198,13,783,7,2786,5,1090,4,4521,5,188,7,2233,15,3840,3,2919,3,612,9,2634,3,5075,3,4610,5,546,4,1147,6,124,27,684,4,5458,3,340,12,1981,9,2858,3,977,8,2272,7,1045,6,3489,5,1969,3,2137,7,5638,3,3086,3,2032,5,1738,3,496,5,1510,3,1741,4,1267,3,3119,4,1573,3,686,10,383,11,3873,3,2717,3,2315,3,2216,5,343,8,2170,7,2394,4,3454,5,3028,7,4765,3,95,3,672,6,271,12,1006,9,241,5,1825,3,1448,6,705,4,1453,5,993,4,1553,7,1290,7,1140,5,822,3,946,3,4125,3,1031,5,886,4,660,8,938,3,510,3,549,7,1838,3,4210,3,675,4,1274,6,238,34,1042,11,625,5,3326,4,1881,7,2473,3,1650,4,1208,4,3956,3,3734,11,4194,4,3969,5,1508,3,4199,3,3798,3,2068,5,4617,3,4329,4,1555,5,2310,7,2842,3,847,5,285,10,876,8,678,9,2518,6,1297,7,1625,3,1949,3,2223,7,909,9,3134,3,4842,3,2053,3,884,7,4829,3,1391,4,926,3,310,3,2525,3,480,4,2061,5,4402,3,1127,5,1063,4,943,3,1551,3,4663,5,2200,3,3579,3,344,6,2492,3,2640,5,3220,3,2558,3,1519,5,1630,3,814,6,1003,13,5553,3,1022,5,2347,5,1561,5,1246,3,774,5,1546,3,171,8,4291,3,1281,3,336,3,1652,3,616,7,1654,3,1492,6,3354,4,3541,4,846,5,2834,4,2167,12,3224,4,1545,6,1027,14,1591,4,4597,4,566,6,223,29,4682,4,3557,4,2708,6,110,31,3412,6,1773,4,1538,10,739,4,4461,6,1875,6,2635,4,3328,8,2613,6,5488,4,3652,6,1531,18,2701,6,4207,4,5465,4,5703,4,5425,10,2649,34,1112,4,3143,8,2284,6,891,4,2366,4,1583,4,3816,4,1081,4,2059,16,3221,4,5582,4,1570,6,5008,4,1858,4,3482,4,963,4,756,6,216,30,3655,4,281,10,2531,6,974,14,184,10,511,4,545,6,622,4,4233,6,2714,6,1351,4,2679,8,3110,4,915,16,175,9,2286,4,1720,12,5711,4,3829,4,4275,4,451,4,2208,6,1606,8,3765,6,484,6,5275,4,1320,4,45,10,649,16,3975,4,4876,4,2982,4,488,28,1099,4,2285,6,1310,4,1608,4,2461,4,1412,6,432,4,3821,8,4662,4,1682,4,211,39,1948,4,803,6,2532,6,2238,6,1462,4,1796,4,257,15,3830,4,2092,6,5218,4,1474,4,94,8,3561,4,4787,4,403,4,157,4,1262,4,4131,10,3006,4,212,4,3730,7,2150,6,483,6,4648,4,5875,6,3302,6,1230,4,1864,4,5973,4,1021,4,4285,4,1318,6,819,4,508,6,96,40,1049,4,1697,4,118,9,4979,4,3498,8,2426,4,5854,4,5862,4,4451,4,3331,4,1954,4,1344,4,3389,6,1693,4,1701,4,2903,5,2549,4,2128,4,1876,6,2043,4,4587,4,206,4,1481,8,1790,6,4164,4,2843,6,5389,4,5713,4,516,6,170,10,662,6,3431,4,1993,16,1075,6,3738,6,820,8,3966,4,1257,3,1074,8,1017,4,2344,4,3946,4,1345,4,688,6,1100,4,3293,4,4308,12,519,4,5153,4,4160,4,2141,4,407,9,1326,10,5861,4,2726,4,2104,4,2605,4,4551,4,5647,4,2892,4,5168,4,1302,4,2422,4,4168,4,1900,4,5192,4,2924,4,1056,6,2224,4,944,6,3199,4,4718,4,1163,4,18,4,1901,4,2796,4,4485,3,5652,4,2469,4,2583,4,3424,7,919,6,5277,6,1452,6,2641,4,2054,4,5086,4,1016,4,4177,4,5783,4,4640,4,2848,6,358,8,1600,4,1265,4,5276,4,521,4,4173,4,4976,4,1346,8,5161,4,1433,6,543,3,5354,4,5420,4,4188,4,1966,4,3422,4,378,9,2978,4,5206,4,5579,4,2462,4,3769,4,4240,4,2837,4,1419,8,2915,4,5692,4,3497,4,1734,4,1594,4,4054,4,1295,4,2055,3,5300,4,1382,4,3504,4,3552,4,1629,10,4666,4,5630,4,2594,4,1952,4,2639,4,3679,4,1066,4,5224,4,5747,4,5228,4,3500,4,1637,4,2220,4,5705,4,2948,4,589,4,221,4,2188,4,1353,7,658,7,2276,4,1000,6,730,4,5183,3]],"4":[30283,2199,[2,7175,20,551,58,304,899,11,15,692,3823,6,1369,4,64,249,122,116,136,58,352,22,11,1555,747,10,1247,20,80,198,124,75,1,2329,2787,7,2320,6,7,1101,434,100,495,37,113,48,104,60,1630,7,768,44,1529,3,41,97,48,347,893,17,8,336,57,94,1802,4,87,134,89,18,2983,5,1751,5,1490,8,334,4,1509,8,999,16,123,99,227,21,452,6,2807,4,351,5,14,225,431,11,242,8,1924,3,59,95,342,9,303,19,363,16,166,43,1339,6,164,26,84,107,86,188,389,26,960,3,4230,3,37,80,298,66,3686,3,160,57,1731,3,205,21,1719,5,952,3,141,101,3604,3,2130,4,90,131,593,25,153,135,4205,6,360,25,2466,15,1853,3,328,25,316,47,34,333,272,17,375,16,145,20,648,4,128,5,1030,4,857,3,473,13,98,88,770,13,72,199,485,11,1315,3,1733,8,2677,13,1013,7,1365,10,812,25,56,69,894,7,154,64,2147,4,2170,8,1291,5,101,79,1054,4,88,61,200,30,750,25,335,33,1708,17,759,4,439,9,440,34,772,9,412,23,197,11,623,17,158,5,362,37,1468,9,1290,4,276,22,833,19,624,4,1322,27,1546,7,140,4,630,35,50,184,3416,4,159,29,330,98,204,126,2780,4,3213,3,73,46,5654,3,344,21,91,10,1103,6,448,9,373,15,1043,13,2268,4,3408,4,4017,3,3578,3,1202,3,2887,5,4247,3,449,15,3368,3,63,109,567,17,19,787,946,9,1821,4,349,13,429,14,646,20,1581,3,536,11,92,20,40,172,2643,12,2737,6,4754,4,207,3,1157,5,387,9,1108,19,1674,7,2816,4,1703,6,1483,8,489,34,95,6,537,22,290,28,2237,3,595,29,755,7,394,9,103,32,561,11,3585,4,177,18,399,15,2186,3,235,36,520,15,135,74,571,8,482,39,287,41,187,15,1229,13,457,13,461,10,640,7,553,5,2612,3,1129,11,971,5,2077,9,2459,4,1968,3,1977,4,226,24,1153,3,1060,5,523,7,93,14,1300,5,329,19,5066,3,1141,7,1299,4,1740,4,839,7,2630,3,638,13,889,9,119,40,1832,3,2926,9,1440,3,1756,6,2428,5,274,18,1639,5,209,8,1767,5,898,3,1692,4,1679,5,4235,5,477,6,503,16,260,24,656,19,100,73,2966,4,191,55,4360,3,280,6,324,32,62,65,1717,5,2080,3,636,12,284,17,3161,10,629,17,1386,3,694,11,3253,20,5538,4,467,16,487,9,1499,4,906,11,1206,9,790,5,196,5,1574,3,945,3,2046,5,71,42,2175,8,1204,27,934,6,183,10,369,19,1260,10,29,13,579,3,1477,11,912,4,2886,5,782,4,1062,8,288,13,692,4,2359,6,910,26,2247,5,6,9,690,3,1712,3,2744,3,1794,4,390,13,3300,4,2036,3,527,10,3292,4,193,3,3136,3,331,32,1415,4,4151,4,3662,5,143,8,107,7,1117,9,234,21,4769,6,779,5,228,10,2797,3,562,9,963,6,1050,4,673,4,413,5,2166,3,370,9,2211,6,1148,4,1554,9,94,59,348,3,1015,12,32,116,116,8,586,11,81,85,1806,8,1057,7,947,5,438,8,5041,5,1020,3,3263,4,713,8,382,5,179,71,137,16,2159,3,4417,7,3159,3,618,7,458,3,1058,4,1169,5,2250,10,238,4,1929,4,35,33,2661,3,435,11,1813,5,572,3,3404,4,1004,6,2154,5,1410,5,698,7,882,7,3170,4,309,3,384,8,208,12,3685,5,2437,3,512,9,1892,4,1007,4,3215,3,347,5,916,9,2090,5,2314,4,564,3,827,7,1939,8,3904,10,687,7,2566,3,1316,11,257,8,2235,4,608,9,82,11,3710,3,1029,5,2050,8,1078,5,180,27,428,5,732,6,1324,6,1333,20,1473,6,1728,3,1341,3,252,34,1305,6,811,13,481,5,2185,6,2401,8,554,18,1376,18,793,25,897,9,2193,7,1082,29,957,6,1389,3,376,8,922,3,1877,4,5428,4,1446,6,422,9,3937,3,253,9,297,20,631,5,285,8,2591,4,781,3,5344,4,1367,4,1087,16,763,15,5491,4,824,5,463,3,120,5,764,19,411,18,256,38,4532,3,1942,6,400,11,437,17,350,5,2018,3,364,4,245,26,1368,7,4944,6,416,10,79,16,519,11,2181,3,1237,11,1241,3,5118,5,830,4,243,36,265,16,405,6,1817,4,1523,3,1614,4,757,8,735,6,372,45,2363,6,532,4,1867,6,702,14,2717,6,989,5,1140,4,4899,3,743,8,1414,5,295,8,388,4,2082,4,125,79,4501,4,659,6,614,15,2595,6,459,6,2325,14,2584,5,222,31,286,3,505,17,5473,6,2554,13,1192,7,746,11,585,13,3725,3,313,30,1061,8,1374,13,1118,20,1958,3,1539,5,552,6,879,5,254,3,244,37,1494,5,327,6,381,7,745,13,2778,4,1522,7,2003,3,270,20,380,29,850,6,151,52,213,3,771,15,379,58,2736,4,1033,8,1964,3,2161,5,1261,5,2423,6,1722,6,139,5,1408,6,267,3,584,12,667,6,701,5,4949,3,1501,3,296,5,167,5,2750,3,2581,4,3203,3,262,35,1329,5,456,3,3712,6,1348,3,615,3,653,6,568,3,3262,3,864,21,2381,3,3426,6,1096,3,904,3,3611,4,3137,6,628,4,454,10,2424,4,2156,5,2078,3,2088,3,219,6,220,37,1994,3,577,5,3229,3,326,59,1231,5,2803,3,5188,3,2741,3,1631,15,2042,3,4242,3,33,19,1256,4,1729,6,589,6,77,12,2987,3,896,12,1234,3,843,6,3618,4,672,9,1659,3,445,10,1889,3,1632,5,108,4,708,6,888,4,590,12,1585,6,777,4,2098,3,2859,3,1815,3,5357,7,1239,9,2124,3,964,6,496,4,1207,5,1269,3,345,5,319,6,3357,3,842,5,1466,9,2201,5,1066,13,2665,5,3,8,161,4,719,12,366,5,2535,3,872,6,936,5,2904,5,975,5,2071,4,418,17,2157,5,591,5,3562,5,2104,9,3361,3,1607,4,68,30,249,5,5651,5,600,20,853,3,2690,6,5014,3,2675,4,1584,3,420,12,1610,5,573,16,756,10,3621,3,1777,6,804,4,2590,4,2921,4,2334,3,1130,7,1986,5,2473,5,277,5,2255,8,2656,4,651,4,1051,4,343,7,1790,4,430,5,1471,3,603,10,3873,4,70,5,1009,13,680,10,1621,11,51,12,1142,4,1433,8,4947,4,838,8,2258,12,877,6,4503,4,4522,3,2824,4,2361,10,5478,3,386,7,693,4,973,4,706,4,2382,3,1073,5,2014,3,1627,6,1226,5,105,3,870,3,4940,5,1271,3,1418,3,1280,6,753,4,232,8,1083,3,676,4,155,3,2629,5,3311,3,444,5,3103,5,2997,6,2874,4,4578,3,972,5,1702,3,401,10,2884,6,2463,3,1996,5,3953,3,2132,3,3970,4,907,6,4146,3,451,21,613,4,841,6,2345,6,575,5,2140,3,955,7,2165,10,2180,4,398,9,2620,5,1008,19,393,5,3029,3,484,15,1705,3,1847,5,2959,5,671,14,3079,4,1557,13,4100,6,1691,3,5640,4,695,7,1837,7,1039,10,981,6,4684,5,3030,4,2439,3,2592,6,4680,5,1492,4,797,18,1543,7,2505,3,696,3,610,3,3512,3,622,5,1478,5,2819,3,3364,5,356,11,2402,4,1560,3,4603,4,1623,4,4998,3,1420,3,2650,7,2858,4,2385,5,5288,3,2487,3,1726,4,3057,3,371,4,397,5,5251,3,25,4,1469,6,4194,3,4856,3,3072,6,134,4,977,6,774,7,1072,15,1573,5,2116,5,3692,3,2383,3,3392,3,2516,7,278,4,3617,3,24,7,199,11,1788,3,4301,4,1085,5,4375,3,464,33,293,15,2387,5,822,18,1156,3,239,3,2373,4,982,3,1257,3,26,9,950,7,1807,9,1969,4,46,131,2608,4,526,3,663,21,1811,8,4199,3,4806,5,2114,4,2282,3,5459,3,1089,11,5852,3,2262,3,1104,10,55,5,3883,3,2542,3,886,7,1143,3,1649,5,5019,5,2655,4,1448,14,3268,3,3099,3,3123,4,3601,4,4047,3,4656,4,1321,3,178,7,1532,3,1193,3,1116,6,231,5,2087,4,5722,3,2986,3,926,5,5589,3,5590,3,1998,3,951,25,858,10,675,3,2509,3,1456,3,992,6,5289,3,3257,3,2272,7,2794,12,1652,3,471,48,1232,6,5354,4,2960,6,3655,8,3058,8,3302,4,224,10,1953,8,1981,6,1210,4,783,10,521,8,1363,14,1041,17,559,52,2233,10,1063,6,221,31,3772,6,849,4,3484,4,407,46,2448,6,2394,4,4324,4,1570,6,3587,4,4699,6,658,25,592,10,3583,6,1458,4,5219,4,206,77,114,18,1519,6,45,18,2764,4,3993,4,1464,10,4196,4,184,8,2720,6,578,10,545,10,149,6,908,4,1351,4,281,11,110,24,2002,8,2416,4,170,18,820,6,566,13,1437,14,60,4,406,10,2555,6,3422,6,1571,4,919,8,1285,9,737,11,1594,9,4054,4,2202,6,118,50,176,10,2903,6,621,20,3212,4,2836,4,4361,4,2433,4,251,8,3183,4,1916,6,3800,4,1596,8,3196,10,1021,18,216,12,2731,6,883,8,498,4,1203,17,1423,4,525,6,3769,4,3829,4,2462,4,17,5,106,4,2545,4,4484,4,223,16,5362,4,2647,4,4682,4,478,4,1215,10,2560,12,404,7,3007,4,1462,8,1017,6,4715,4,5926,6,2469,10,13,4,3659,6,1564,4,3199,4,1684,4,2101,4,741,4,311,4,4022,4,1081,4,18,4,3996,10,2483,4,3831,4,5329,4,3776,4,409,10,5842,6,1474,4,4428,4,4884,4,2244,4,2747,4,4128,4,1538,6,2293,4,3784,4,1786,8,2991,4,594,8,1637,4,2734,4,1428,6,144,3,2994,10,1326,6,3320,4,2467,6,3630,4,930,4,2174,7,1295,7,976,4,3788,6,2748,4,4482,4,643,4,1000,12,914,6,4159,8,44,6,5290,4,1175,4,1189,4,1092,4,1452,12,940,4,4570,4,3751,6,1439,4,2197,7,3323,4,5900,6,5551,3,539,4,657,4,1579,4,3004,4]],"5":[25920,1704,[2,2989,1040,31,2962,16,974,35,2031,9,1303,14,4681,9,1,1879,1965,16,690,4,337,63,283,72,836,85,1605,36,4632,4,3863,10,169,183,304,9,674,73,64,110,240,220,415,8,8,145,150,107,5790,9,98,57,515,73,22,1178,1080,5,781,20,97,447,370,5,746,14,755,5,46,191,117,90,3285,7,296,89,495,7,801,50,2036,4,1062,8,194,189,301,164,11,369,656,5,660,66,103,248,273,214,1223,34,165,153,3053,9,347,10,34,158,5150,10,1739,29,1944,16,20,187,41,79,966,53,15,196,2019,16,66,415,5282,6,3948,3,738,61,410,120,7,453,2309,9,684,72,80,115,3407,5,5951,8,271,46,538,78,261,25,120,376,706,9,948,29,1111,53,362,9,2318,19,574,107,200,37,21,215,268,78,617,50,190,189,878,36,939,46,133,191,489,4,348,77,1028,30,1198,18,5901,3,2155,3,1149,53,3880,3,419,52,243,7,3423,6,2390,8,142,157,119,11,324,5,2401,5,14,142,1401,31,3161,3,2821,18,101,30,228,82,122,10,751,87,1067,48,1499,4,5999,3,282,44,280,15,1816,5,1242,5,752,16,1947,14,1216,16,2025,30,2944,18,953,60,1267,28,279,31,141,27,202,68,2258,5,468,43,1885,23,799,75,2983,3,534,91,1736,14,3,60,1459,5,570,61,3348,18,166,8,632,107,154,11,462,34,1510,4,236,77,3606,3,5959,5,48,54,1425,32,2228,27,3031,7,2374,28,2362,8,178,14,4021,12,436,127,4425,10,3148,3,4671,4,1794,8,351,14,2066,14,440,16,1254,22,618,19,56,11,1451,49,3394,14,576,34,1449,14,1643,32,994,19,2507,3,2565,12,645,32,1196,21,5792,8,1276,31,1189,16,1076,14,514,104,1502,14,2206,5,77,6,58,84,1013,8,4950,4,1099,22,361,76,73,12,3849,13,1581,3,40,64,461,4,104,25,3607,6,3106,13,1678,29,1931,15,364,3,5774,3,444,9,3303,4,319,12,448,28,2004,10,2550,23,1490,5,226,7,445,7,713,3,724,75,3640,13,631,3,2562,4,3346,3,332,48,2288,18,584,3,536,14,581,20,1852,11,546,49,2934,10,5832,5,1108,6,535,100,1220,41,651,56,4018,6,901,5,4206,9,2157,15,4446,3,607,21,135,7,222,13,290,8,352,6,1394,20,524,4,467,9,1908,16,716,12,553,5,449,12,5649,6,772,4,1317,49,5216,11,1526,13,2771,3,3596,14,780,13,749,48,92,11,1676,4,4593,10,18,6,421,159,956,3,1172,39,1860,14,2446,6,3217,6,778,17,4448,4,2399,7,254,17,5235,9,26,5,1471,3,335,7,1477,9,87,20,128,7,2470,9,373,4,469,16,3486,3,2579,8,475,48,1859,18,1556,34,1665,6,3476,13,1754,14,89,13,90,6,227,8,4623,6,3256,12,32,135,4613,9,3321,15,24,5,3012,18,541,25,160,18,59,28,4098,11,1920,12,855,18,770,3,4434,7,4983,10,349,7,575,9,71,15,5112,9,833,7,2577,12,329,19,68,221,2068,24,1457,23,5628,4,428,27,72,67,1566,20,411,8,2494,10,380,46,2589,14,4376,3,433,110,2964,9,735,6,962,25,775,40,3536,7,664,3,2800,14,29,8,485,5,1073,6,2698,17,4511,9,2772,23,294,33,197,11,3493,4,4211,13,270,6,153,11,4121,9,136,7,858,6,882,3,611,21,540,69,3529,8,1315,3,769,35,732,3,2008,29,555,7,2358,9,4770,12,35,34,84,68,148,32,246,47,298,12,959,18,629,4,1368,3,2911,14,204,10,854,3,5071,8,767,86,823,8,256,4,1560,15,2029,11,3169,6,2834,3,4476,5,57,35,2631,12,877,5,63,52,602,33,1036,27,1224,10,1214,14,3612,12,4636,3,5456,6,6,4,284,8,2142,12,179,11,512,9,1101,36,678,24,3754,9,1388,6,1516,3,5864,4,588,7,251,29,1184,21,2076,10,3083,6,744,11,3441,11,427,7,107,10,1103,17,51,14,225,37,5716,7,50,101,19,298,234,24,2344,3,610,4,36,5,849,4,145,3,1602,22,464,19,1650,19,305,4,2183,18,33,10,1647,12,235,4,5079,11,4075,5,62,13,2764,9,5536,5,171,9,4765,9,984,10,634,7,2336,13,371,33,1301,11,661,13,1575,5,975,5,260,4,1237,3,429,3,1936,6,389,9,2513,6,809,3,910,20,506,6,1597,17,3023,13,372,10,328,4,2215,15,2085,7,164,12,835,3,4672,7,220,4,2413,20,4771,7,1408,3,5599,3,3054,7,1711,19,1994,4,4210,6,1333,7,734,42,1051,4,921,67,159,3,3051,9,831,4,1274,9,195,10,1281,4,232,11,1635,29,422,20,388,3,3502,7,3296,11,1304,3,3462,10,420,3,1975,20,523,5,1661,27,4126,11,1392,18,982,27,1741,16,3027,3,299,59,5408,6,3299,11,5184,3,4751,5,479,6,5757,6,852,17,2504,13,4303,13,623,4,4449,9,187,4,418,9,416,8,124,40,2062,3,722,6,3203,3,520,3,1487,4,3198,7,1456,3,1283,18,3781,9,663,28,3267,7,185,51,102,3,1020,20,1190,7,1256,6,2242,17,3537,9,1777,4,673,5,399,4,1460,6,712,9,2439,7,3581,13,3153,16,37,54,2791,4,542,6,2912,15,3961,3,1239,4,1131,4,561,5,5108,5,2717,4,862,3,5169,4,1818,10,379,5,2135,8,292,3,3871,5,4244,3,127,9,123,4,805,29,1030,5,325,6,2376,5,5694,5,2688,17,2290,4,3893,12,81,31,180,11,665,22,4355,8,499,24,1844,12,3605,11,771,5,941,11,3755,3,2651,3,382,3,578,8,2822,9,1130,3,4859,9,1293,13,4546,4,3119,8,567,3,139,11,916,4,1717,7,5584,7,2518,18,191,9,2947,6,950,3,3719,7,630,9,776,21,1178,37,838,9,2052,3,3451,3,303,10,94,16,719,12,5304,3,1044,6,5479,8,386,29,4105,12,86,12,2009,17,5351,8,989,4,316,5,1411,12,3350,7,1207,3,5582,3,1949,13,244,3,435,4,2812,4,763,6,3724,4,4847,3,2757,8,2431,3,1153,5,3266,8,5494,9,671,4,503,4,4336,3,1048,3,2020,4,3709,5,1465,3,1815,3,2341,3,3867,3,4520,6,1129,3,1404,7,696,3,505,8,906,4,1374,3,4073,4,278,3,1009,7,2601,3,5242,11,265,3,4756,7,17,8,199,4,274,5,797,11,2030,17,5754,5,885,5,2281,11,1168,4,5125,5,1154,13,3175,6,331,8,2365,15,109,3,297,5,5486,5,4363,7,1969,3,1928,3,2284,8,3070,10,3218,4,5147,4,1197,20,753,3,397,4,1039,6,2967,4,4881,3,695,3,968,5,2442,8,125,19,3474,3,2732,6,1176,3,3909,3,828,5,208,3,4239,6,3675,5,3653,3,149,5,393,3,1026,9,5741,9,2985,5,670,25,3134,10,1096,6,595,6,917,7,1774,17,745,5,4334,8,3734,7,3080,3,91,6,157,3,4129,4,2929,5,3576,10,2261,16,612,4,909,10,3862,5,528,10,911,3,1417,3,70,3,1858,9,3900,3,2480,5,2370,3,594,3,10,3,792,11,1138,5,4335,6,177,4,654,3,1041,11,2216,3,4383,7,886,5,2689,8,1724,3,126,3,205,4,552,3,822,6,1180,4,5779,3,2742,9,183,8,1448,4,829,9,2711,4,1577,4,3317,3,2422,9,1846,3,5069,5,213,3,926,3,189,3,841,4,245,4,1744,8,12,7,675,5,4292,3,1453,12,4029,3,2899,3,698,4,4130,3,5055,3,4312,3,5605,4,3712,3,1089,5,1781,4,1519,5,5,3,114,30,5318,4,507,24,1074,20,868,4,4514,4,110,27,4384,6,2146,34,5401,4,1056,4,4281,5,559,6,4913,4,4617,6,2021,10,407,4,1215,12,3634,19,192,6,252,8,1768,4,1681,46,2594,12,4272,4,3341,4,4901,4,406,14,2729,8,2862,12,2643,6,1493,4,451,8,118,30,2652,8,726,4,488,7,2683,4,563,6,223,29,519,6,212,10,1572,4,621,14,2758,14,924,4,2289,18,5981,4,3385,4,2222,4,848,4,281,5,293,10,311,12,919,4,3369,8,2794,6,2039,6,700,18,170,4,2426,8,627,6,4821,4,1973,8,2775,20,143,4,1098,6,4319,4,3757,4,4053,6,1921,3,1362,4,5878,4,3205,4,2474,4,216,8,1909,8,4007,4,424,4,1732,8,5336,6,2405,4,2387,4,206,3,2304,4,927,8,1812,4,3869,4,4915,4,1326,3,2708,4,730,4,3669,4]],"6":[18803,1330,[1419,6,2,5160,855,3,2787,9,1237,14,11,639,2320,8,495,61,88,23,831,10,4580,6,1,1151,141,24,122,21,4500,3,15,789,72,134,3132,3,2918,7,1995,4,1717,8,59,56,113,30,199,16,3128,9,1581,9,37,134,838,48,3780,5,746,14,48,109,20,251,342,23,2359,13,189,10,1602,3,98,96,167,25,1365,10,382,130,200,36,459,70,7,957,1013,18,71,62,1107,5,1924,4,381,3,3834,6,104,100,1446,4,672,4,2197,12,2229,3,458,17,362,14,56,30,166,8,40,141,41,248,989,13,204,23,10,14,1009,27,1742,3,1258,75,2401,11,50,171,369,22,475,16,1499,15,335,20,298,15,3311,4,5195,6,179,37,8,289,2833,3,19,546,713,4,2077,5,34,286,4881,4,843,3,1783,6,750,17,1117,5,1488,21,947,36,3257,3,73,46,1169,3,2468,13,2720,11,1756,7,5436,13,5894,3,3211,7,197,23,260,8,4304,3,763,32,63,187,1492,10,532,7,4070,5,420,17,2806,4,276,75,2437,3,605,20,412,7,370,44,759,3,1794,4,3803,3,790,4,228,10,84,75,496,42,438,4,349,19,2045,3,257,12,1061,18,2230,7,1304,14,567,3,35,20,659,33,227,13,648,10,4315,7,877,3,91,32,195,5,933,14,143,9,1876,18,1613,3,584,8,101,68,769,25,1073,11,5,14,485,3,797,19,90,35,154,11,467,5,361,3,238,37,690,4,226,6,2939,6,135,38,79,5,183,8,527,11,2417,9,1299,13,1007,5,618,15,290,14,2638,4,487,4,747,5,384,4,1461,3,696,5,288,3,1589,8,608,3,3611,4,887,5,1410,5,941,4,5724,3,555,7,1708,4,2130,6,732,3,287,9,51,28,489,4,519,26,1790,3,252,4,1928,6,2082,3,4368,7,1168,17,213,40,1707,3,3474,12,180,20,14,95,389,12,1815,3,3533,3,270,14,646,3,1324,9,360,15,537,9,1112,4,1335,3,4215,6,638,6,4411,3,80,98,656,6,1275,6,33,28,990,4,1043,33,5056,4,916,4,862,9,4103,5,554,7,963,18,5739,10,81,18,623,14,1374,16,575,5,2717,7,4501,3,286,16,256,24,57,29,3,43,87,20,586,9,1260,4,511,5,161,8,16,13,2315,5,3527,3,615,15,811,7,1498,3,64,39,5231,3,770,6,234,19,128,3,191,9,457,10,139,16,938,8,2227,3,144,5,5428,4,3604,4,411,13,1762,4,352,8,2428,3,86,174,1173,3,698,4,372,24,1131,4,2104,9,771,8,160,6,764,4,2750,6,1108,4,119,31,124,62,379,3,706,7,1963,16,418,6,1648,3,2245,22,235,8,347,14,2377,4,4507,7,313,12,893,3,4454,5,100,33,3368,4,1268,3,58,12,4560,8,1777,18,328,3,1221,3,852,5,680,9,702,3,324,5,2647,3,316,7,1913,3,593,5,3169,3,1892,3,2408,8,2185,14,151,4,3314,5,1057,3,523,8,726,5,708,18,3681,8,5053,5,330,5,5028,11,413,5,2987,3,717,3,265,4,676,6,583,3,743,5,399,3,125,56,590,8,1186,16,3601,3,1033,4,889,10,262,7,1719,6,220,9,3390,7,422,13,184,4,1522,3,1729,3,2859,9,39,6,3364,4,435,4,284,21,595,4,405,7,1632,8,3357,5,1160,6,471,11,177,6,5429,9,3953,11,23,7,164,18,517,6,390,8,29,14,153,28,2584,4,864,14,1130,38,3697,4,388,9,1368,3,1722,3,2754,8,999,11,108,9,401,5,1406,17,445,11,572,5,1929,4,970,10,1050,3,6,4,5430,5,4146,7,452,4,416,8,62,3,5322,7,600,3,1471,5,964,9,415,12,254,33,4502,6,536,4,4414,3,105,3,4927,6,899,3,17,10,2812,6,2816,3,3931,3,2899,3,1300,6,244,3,219,4,912,3,553,5,2997,8,1836,3,3682,8,1008,52,5617,4,3021,7,4559,5,196,3,4684,5,524,7,1557,20,849,6,2751,8,2219,3,2062,4,671,3,2165,3,77,9,187,7,2820,4,1113,4,484,6,503,3,1508,4,5665,5,394,3,3644,7,1547,5,1226,8,4603,7,3399,3,1214,3,884,3,1690,6,859,3,971,3,4531,3,373,3,1088,8,2214,9,319,5,5320,3,245,3,944,9,449,6,3742,4,858,5,1192,3,905,8,1051,5,931,4,505,4,1020,7,329,3,4423,4,841,4,2864,3,4940,3,2247,3,93,15,809,4,950,3,4296,11,4470,5,885,3,2926,6,491,5,4184,3,5139,3,1433,7,2547,10,5852,3,670,19,12,5,400,3,3313,3,32,9,131,3,1193,3,331,4,4130,6,1339,4,2848,3,872,3,562,5,822,55,5447,6,3317,3,719,7,1676,3,4366,3,1414,3,1062,5,756,7,99,7,762,3,210,4,1807,3,4663,6,628,5,701,4,46,147,1326,3,1546,5,26,8,1732,3,345,3,853,5,2123,3,4680,3,3365,7,85,11,68,24,3627,4,1640,42,521,6,650,36,3177,6,1528,12,1921,6,404,12,520,4,1348,10,332,4,268,8,578,4,451,10,406,14,94,12,559,20,1558,4,1761,4,118,10,5348,6,1663,10,1285,3,2222,4,1041,9,2817,4,231,4,24,4,3189,4,1772,6,829,4,2277,10,850,20,110,11,1290,4,951,6,1691,8,407,10,783,4,785,16,580,8,3929,4,1519,4,5626,6,30,6,2736,8,1917,4,2369,6,1085,4,1286,4,1701,4,3052,4,1283,4,45,4,201,4,2302,4,3237,4,1953,4,3279,4,1195,6,2893,8,3090,4,216,4,488,3,582,4,251,4,1148,6,1239,4,4604,10,3115,4,1145,3,1001,4,13,6,4055,4,464,4,5326,3,5318,3,1017,3,1363,3,4456,3,1587,4,5397,10,994,3,336,4,1383,4,1210,4,2116,3,2874,4,658,3,1437,4]],"7":[17908,1887,[75,148,1,2692,2016,5,122,23,1728,8,817,64,1003,30,3558,6,457,43,355,42,310,160,877,22,116,18,1173,30,1208,17,184,255,929,20,394,85,149,40,1510,8,380,13,742,51,2061,5,59,425,1652,11,622,25,166,72,980,17,1863,10,222,18,1361,9,1218,16,360,54,141,11,330,20,37,11,3895,3,732,20,837,29,396,40,195,144,466,37,119,197,2691,3,3495,8,830,8,203,48,1867,3,2090,14,454,53,278,116,1767,29,518,23,493,4,4950,4,162,61,1332,4,1499,9,238,47,88,238,920,48,480,119,5110,7,258,61,749,4,197,54,696,32,331,25,401,19,844,6,160,64,560,25,290,10,2497,5,62,34,3045,6,139,25,2484,5,787,20,866,7,2178,8,73,108,56,96,90,45,140,11,254,37,3768,4,816,13,1465,21,328,6,735,5,2768,4,702,4,717,23,134,48,272,4,2833,3,1673,8,496,38,93,164,277,16,587,31,5417,4,1694,12,439,65,606,30,106,53,882,28,369,88,481,25,1550,8,577,19,907,12,180,65,2940,7,608,17,108,125,5080,6,1250,25,191,8,2411,3,427,22,5332,4,449,8,640,16,2535,7,491,39,1862,3,1624,4,5308,5,536,6,392,46,1804,5,2203,4,1245,8,2626,4,5638,8,1716,20,807,23,2389,6,898,16,2227,9,1151,10,1845,3,4235,3,1018,50,3797,7,2240,8,1527,25,435,7,523,17,1753,9,304,36,189,43,351,10,1097,18,370,30,3002,5,339,4,438,38,1483,11,503,17,1140,23,193,47,1509,22,3593,3,227,77,462,9,690,22,906,15,1762,16,299,7,1447,17,130,108,4484,5,818,21,1096,7,512,33,659,18,2327,10,1639,17,996,3,5561,3,1707,8,3365,4,553,8,2517,3,797,10,35,74,415,16,1923,6,143,12,1435,4,461,26,532,12,573,4,1546,11,298,13,1179,8,782,7,400,22,638,5,460,7,1865,3,1627,4,1236,16,2568,3,1523,9,2936,3,3309,8,1776,16,177,45,673,3,94,139,1491,5,687,12,345,33,443,58,1316,8,974,4,5365,7,4621,3,1672,4,389,7,726,3,761,20,235,8,479,17,3917,8,5815,3,102,19,928,21,2481,27,1475,7,313,17,489,3,1505,13,356,16,1101,19,685,8,1493,7,2923,8,895,17,1633,12,205,3,1340,3,3543,5,2745,7,1657,17,839,20,2455,3,1156,26,2811,5,1145,7,2538,7,1343,22,987,16,265,23,185,10,2482,6,1772,11,91,60,703,5,230,16,1144,77,2826,8,2305,6,395,7,1490,5,1225,7,2453,3,2192,4,76,3,1056,3,388,3,719,14,444,9,1086,9,925,14,2544,4,1160,13,1651,10,2114,8,1226,6,2388,4,95,8,2570,4,393,4,335,8,3337,3,361,3,424,7,4544,5,1910,5,862,5,1284,4,1759,15,1503,4,3400,5,2738,5,1554,4,2246,6,385,3,2684,4,4923,4,1190,8,570,3,324,10,1603,6,1200,9,1280,9,1584,20,459,13,226,11,135,15,852,7,428,9,571,4,893,16,2273,4,2010,12,1244,3,379,22,1480,5,1221,19,256,11,1169,11,113,4,2035,4,628,34,1440,9,183,25,900,28,639,13,1996,3,593,7,5093,3,617,9,1143,11,508,17,167,4,209,15,2078,5,196,26,860,10,1020,6,873,9,589,4,3766,7,1254,3,870,28,3233,10,2430,4,4444,4,2186,6,3139,3,4358,3,2879,8,344,6,770,6,1577,7,947,6,2011,6,2765,7,1897,3,1015,9,1820,4,2097,7,3166,9,701,24,3528,7,1966,3,4144,6,3883,4,784,18,731,4,271,4,280,5,785,11,1255,6,467,4,1033,8,1474,3,1676,3,1335,4,1665,3,2812,7,2286,6,1592,3,359,112,434,5,1407,3,1129,7,578,8,1206,13,3743,6,917,15,635,3,548,45,249,23,81,8,555,12,2205,13,114,30,333,4,956,3,855,22,1921,3,303,26,192,23,712,5,1760,5,1989,10,319,8,962,3,2886,8,1839,5,1207,4,2597,4,3489,3,1336,3,3531,3,3043,5,642,10,1038,8,2949,3,3015,5,1402,6,3720,6,1522,11,705,6,153,21,529,4,1979,9,2479,9,793,12,1395,10,946,5,5100,5,5501,9,1044,5,213,23,3746,8,5174,3,4740,5,3065,4,835,24,2982,5,1355,4,804,4,588,11,4890,5,178,42,2686,3,1334,4,1191,3,3056,3,257,16,3478,4,3776,5,5522,3,3243,7,495,4,864,4,2854,4,766,7,914,18,3633,9,594,21,2633,6,176,61,4107,9,1138,16,5166,3,4730,3,2932,3,2473,3,1456,5,1567,8,699,40,600,4,1241,20,1141,30,3083,3,970,11,526,12,1282,12,1997,5,1703,6,955,3,414,17,845,6,872,7,342,79,243,5,2992,3,430,38,3871,7,1674,3,968,3,145,3,3458,6,4612,8,5304,3,26,5,710,9,3317,3,1847,10,1965,3,743,4,2693,3,1309,13,1576,25,3392,6,1193,8,4400,6,1353,15,1436,4,2634,5,2485,5,397,26,3908,6,1469,6,332,9,605,3,1768,5,4229,6,614,10,2129,12,1857,5,4418,5,317,3,2414,5,1102,7,501,11,5536,5,2659,16,329,15,3914,4,585,5,2330,21,164,13,2162,3,4180,4,1413,3,5829,3,4727,4,2383,7,376,5,2346,4,1501,4,879,4,416,12,1053,3,3927,4,3236,5,1663,3,2180,3,2113,5,2976,7,4439,5,2018,10,4970,3,519,5,1671,7,1461,3,1688,11,3853,3,4467,3,2182,4,510,24,1357,7,3371,6,4753,3,1467,8,771,3,5995,4,1647,3,2143,10,1004,6,2650,3,1666,14,3808,5,1214,7,270,4,1045,23,1813,13,96,5,708,11,562,3,1933,15,1263,10,484,18,4783,3,892,4,3362,3,3931,5,2027,34,3288,5,3393,3,1005,3,2558,3,3330,6,3176,3,754,15,897,3,5000,5,4462,3,5714,3,2756,6,1748,7,1105,8,478,5,4124,3,831,3,5455,3,1013,5,1348,11,3718,5,1011,7,2209,5,1956,18,4460,7,2355,4,1851,4,469,7,1562,9,3920,5,595,3,1641,7,4565,9,1884,3,1887,3,417,17,1054,10,3479,3,157,13,1623,6,663,8,801,9,1517,5,2210,11,2890,9,2596,5,2714,3,5171,3,1999,6,1569,5,773,8,4172,11,2275,13,2070,5,2213,6,2019,3,878,5,1990,5,1832,3,2112,3,3973,9,4521,3,5879,3,4475,3,5009,7,4886,3,3062,5,2665,3,2552,6,5773,6,525,32,986,3,422,11,890,11,5307,5,2098,3,1035,13,3490,9,783,28,2891,3,1836,3,2021,9,950,3,1439,5,2757,3,932,7,3745,4,1803,6,3456,7,4904,3,4755,6,3105,5,2557,4,3812,3,539,7,3415,3,3121,4,1969,3,4079,11,2470,3,224,77,515,5,3469,4,464,5,103,3,3086,5,1094,8,3301,8,4497,3,1024,51,1136,3,4183,3,2142,3,1201,13,2055,5,1085,17,485,3,5745,3,1416,3,147,19,3037,5,4782,3,3522,9,1272,3,3510,4,5062,3,1001,5,3737,3,569,24,1224,3,675,3,2885,5,1182,3,5616,5,4826,7,231,4,1342,11,3582,4,4062,9,2377,3,2062,3,3869,5,5167,5,1354,7,938,5,774,6,4676,3,212,5,89,3,4120,3,4723,3,4469,5,3294,9,4644,3,3125,3,2356,5,853,5,4134,3,911,7,5333,3,1926,5,2364,3,1901,7,1063,8,679,7,1115,3,2300,3,4115,3,1486,7,1072,5,1433,3,4876,4,4416,4,4854,8,4527,4,170,5,927,6,346,106,2719,6,641,24,407,39,1634,16,4517,3,2297,6,2524,6,293,4,1572,8,2095,4,5946,4,670,22,107,58,1819,14,940,26,1252,10,175,44,4000,6,3639,15,5486,4,45,191,1588,14,4063,6,976,7,2352,5,909,4,2882,4,5707,4,4555,10,2415,12,2361,4,2217,13,2167,6,820,22,1068,16,232,8,1177,10,1515,4,3354,4,1423,8,221,34,4957,6,4841,8,3517,4,3092,4,1238,26,2642,6,4491,6,347,10,1596,4,596,4,1830,4,5358,4,348,12,3876,4,1320,4,3509,6,1834,6,432,16,3226,6,2006,4,5870,6,2101,4,505,10,1412,4,521,40,1864,4,5323,4,4352,4,2931,24,1770,12,677,22,903,22,4245,6,5735,4,559,8,2264,10,5158,6,2784,10,2405,4,3750,4,471,24,2528,5,4114,12,4996,8,4810,4,337,8,3003,6,2244,4,4464,4,507,11,812,4,2094,8,814,11,1014,17,2611,10,3570,10,655,21,409,7,1622,6,2621,8,1139,9,5833,6,1194,10,3016,4,3245,4,1012,20,2426,6,2319,4,5088,5,883,20,1232,10,1545,14,3784,4,744,6,983,12,5331,4,2369,6,1771,12,1755,6,1570,9,4476,4,1747,10,4290,6,1262,4,5966,4,1773,10,2475,4,3906,4,4332,4,3345,4,5461,4,2032,6,4726,6,2955,4,3763,4,5655,4,5467,4,5611,6,3403,4,1638,6,2005,4,2152,4,4763,6,1106,6,3713,4,516,18,1656,8,1742,4,2450,12,3334,4,4477,4,1792,6,3327,6,2184,8,2393,10,1422,10,4095,8,3430,4,3402,6,2280,8,3929,6,1791,4,4592,4,3276,4,5050,4,5026,4,1942,6,2957,6,1161,15,2366,4,1878,4,4975,4,4266,4,2545,16,305,22,4238,4,3009,6,4457,4,311,8,5170,6,5723,4,834,8,2815,4,2259,8,3332,4,1899,12,4085,4,3088,6,3385,4,3657,10,522,19,597,7,4760,4,2276,4,5057,6,2973,12,3658,4,1210,6,3591,8,1593,12,5115,4,4815,4,2443,8,2322,4,2493,4,264,6,2536,4,1658,8,4705,6,3608,6,3551,4,3643,8,4712,4,5385,8,3588,4,1496,4,856,6,4388,8,5342,4,4954,4,4539,4,2817,4,1986,4,2941,4,3668,4,2796,10,1211,10,4961,6,4735,4,2427,4,1696,5,1995,4,5771,6,5363,4,1619,4,2168,4,2985,4,4127,8,309,4,2988,10,3482,8,1458,6,4327,4,2160,4,2614,4,923,10,1148,8,1135,16,5931,8,3758,4,972,4,5530,4,378,6,3137,4,252,4,1662,4,5458,4,1793,8,5923,4,2387,7,884,4,2451,5,1978,4,1967,4,5256,4,2573,4,4916,6,4964,4,5558,4,4236,4,5983,4,4997,4,2058,4,3122,4,2513,4,3174,9,5748,4,1912,6,1152,4,2408,4,3550,4,2712,4,1952,4,3186,3,2074,4,3336,6,2984,4,1093,4,5780,4,3878,5,4848,4,4907,3,151,4,644,6,982,3,1147,6,1761,6,5119,3,1541,4,2328,3,2079,4,2022,4,2922,3,4011,4,1089,4,3343,4,3363,3,5839,4,2433,4,5813,4,1230,4,791,3,3669,3,4006,4]],"8":[12158,1519,[13,447,2,986,84,51,11,160,155,27,9,593,2117,4,4,100,98,24,3657,4,2403,5,1,825,73,33,7,130,14,215,30,222,339,32,15,193,6,239,38,170,268,3,21,75,144,20,1375,5,5,50,48,36,20,118,205,4,1293,8,104,16,51,64,156,17,183,9,124,7,17,44,361,3,335,3,685,6,2519,7,44,76,316,7,252,12,162,10,90,16,28,93,34,33,47,71,42,108,260,10,61,33,72,24,59,12,225,21,62,17,2045,3,40,14,60,91,323,12,200,23,624,4,158,23,277,9,8,33,197,3,792,3,1233,5,172,10,24,47,491,4,325,10,92,7,27,124,106,61,12,269,567,6,2525,9,241,22,31,26,25,210,2446,10,351,3,991,4,3,22,501,23,167,9,1477,3,288,8,88,23,342,6,147,36,460,4,10,83,2612,3,43,15,846,4,1628,3,35,9,76,58,189,26,587,7,75,6,1325,3,300,4,173,6,101,28,122,4,599,14,2009,5,434,3,23,19,418,3,411,4,83,20,1769,6,515,3,313,5,136,5,154,6,1292,6,16,31,91,15,481,5,307,3,80,27,146,39,666,27,1277,11,202,7,573,3,125,13,120,12,19,61,1426,6,479,11,1090,4,135,4,77,9,89,11,5685,3,160,5,57,21,190,7,1057,3,1010,4,417,4,345,5,139,6,2283,3,29,66,256,3,532,11,152,52,1251,11,134,13,382,3,373,4,105,12,242,7,161,16,36,45,1585,3,290,4,3963,3,751,3,32,107,204,9,63,44,243,3,785,8,457,3,3197,4,639,9,312,6,459,5,2653,11,3637,4,276,5,1314,3,733,8,37,65,94,44,380,6,590,4,141,11,54,72,81,15,716,5,196,3,372,14,1151,3,179,13,437,10,743,3,352,5,99,12,227,5,86,49,301,8,844,5,1936,8,2358,4,33,34,840,3,138,10,102,14,619,4,254,5,112,13,3528,5,271,5,229,3,26,26,2854,3,713,3,231,9,358,15,53,62,69,11,546,3,804,6,248,11,747,3,728,9,4415,3,510,4,946,4,100,21,1381,4,310,4,2290,3,1926,8,379,3,350,5,177,7,1567,7,588,4,123,11,71,20,149,7,182,7,82,15,178,24,735,3,150,5,121,10,738,3,602,3,392,9,1137,6,164,5,975,3,4132,7,642,8,861,4,181,4,956,3,456,3,721,3,3898,3,116,10,443,6,297,6,203,6,526,3,87,8,311,20,561,3,925,9,50,24,245,4,240,4,725,6,95,9,359,32,1479,7,1568,5,1395,4,93,5,332,3,706,9,691,5,2813,3,348,5,586,3,672,7,326,7,66,9,108,19,1214,6,400,5,153,4,237,6,683,6,357,11,263,3,103,7,2504,3,1357,6,1932,3,671,3,208,4,1630,4,512,3,5797,3,3013,3,143,5,130,6,2049,3,304,3,97,9,169,5,184,5,113,5,794,3,1583,5,902,3,1903,3,2154,3,96,9,2704,3,2288,3,119,4,1196,3,131,24,548,5,274,3,1334,3,1106,3,391,11,711,4,1188,3,1495,5,847,9,330,5,595,6,129,31,137,3,1453,3,234,6,787,3,653,3,739,9,201,5,825,3,1216,3,1718,12,2556,3,1901,3,132,5,1075,5,497,5,1274,3,368,9,1911,8,226,5,163,10,528,6,1396,3,157,11,1814,3,363,3,558,3,1240,3,148,4,299,3,1217,5,980,3,634,4,584,5,3442,3,22,5,233,12,534,5,381,8,695,4,2518,5,2248,3,371,4,430,3,1991,4,1014,3,750,3,473,6,398,4,565,3,697,4,257,3,192,7,822,3,2739,9,292,5,886,3,1374,5,298,3,812,3,754,5,266,13,705,3,41,6,303,6,107,26,2060,3,422,3,3131,3,538,3,931,7,935,3,56,4,283,3,446,5,1138,7,758,4,4435,3,4174,3,360,5,1537,4,628,3,439,3,265,5,291,14,1125,3,377,5,2114,3,1946,3,314,3,78,5,355,3,1343,3,1346,3,1011,3,18,35,492,9,49,118,474,3,1045,4,659,14,223,15,67,12,322,4,594,20,1608,4,569,8,3470,4,346,43,1876,8,224,22,605,8,3979,10,592,5,783,8,2383,4,1970,4,1307,14,1177,6,221,12,1593,6,525,4,4016,4,1232,12,302,4,494,4,484,6,114,7,2364,6,198,8,1925,4,115,6,470,4,521,10,175,8,649,10,1285,3,186,12,409,4,118,14,407,6,1264,4,5296,4,216,8,1342,4,633,12,668,8,1012,3,773,4,559,4,3009,8,2484,4,281,4,5168,4,3485,4,356,6,557,4,1296,4,903,6,170,9,3770,4,110,7,1522,4,378,4,2726,4,471,10,714,4,729,4,3334,4,151,6,688,4,802,5,199,16,3204,6,646,3,334,4,679,14,1888,4,2419,4,212,10,837,4,2640,4,85,20,650,4,1094,4,1714,4,1161,4,2957,4,655,10,4796,4,522,4,488,6,641,4,415,8,5078,4,176,14,4801,4,1328,4,2289,3,621,4,4713,4,305,6,2922,3,5918,4,3906,4,45,13,4115,4,3923,4,3550,4,1145,8,1205,3,1985,4,2246,4,2984,4,563,4,1398,6,976,3,658,12,5427,6,364,4,1890,4,791,4,2837,4]],"9":[9250,657,[27,782,21,1173,3,29,43,1095,214,146,61,116,146,68,53,115,515,8,237,133,1516,5,36,36,144,55,452,3,236,31,1,214,66,166,361,9,150,15,47,620,506,16,261,54,575,8,117,104,851,11,163,62,861,7,229,80,67,3,228,14,123,16,83,296,20,95,2967,7,419,23,167,204,279,60,25,637,645,16,1711,12,570,27,1388,13,268,12,246,3,576,53,1775,19,102,38,4593,3,169,20,2912,4,801,3,1242,11,534,17,121,25,243,16,240,8,190,11,1392,4,2,22,340,18,1884,6,1172,16,22,14,294,10,185,31,348,23,674,10,611,16,17,12,165,19,1220,5,111,63,2929,6,1317,3,1665,8,337,13,271,29,103,27,1040,10,535,7,858,11,1595,5,1080,9,273,24,4,3,76,44,436,12,296,5,156,5,634,9,500,3,738,4,3148,6,283,13,1760,3,172,3,1542,27,194,14,446,22,880,7,711,52,179,10,97,51,4216,7,133,34,368,51,1661,4,1754,4,751,3,734,4,581,14,6,16,823,5,1111,3,565,19,1713,8,1132,6,148,4,2759,5,948,6,497,4,547,3,120,8,1253,5,2456,4,5,4,1268,8,3217,3,475,4,601,4,3130,20,3181,5,320,4,2009,3,1401,5,55,5,1028,6,202,20,29,9,2594,3,241,12,1548,6,1533,3,3862,3,3031,4,142,13,2012,3,2281,3,3119,3,410,5,1103,10,1739,3,2998,7,155,5,1267,3,492,14,1931,6,935,9,2631,5,725,9,469,11,139,18,447,3,304,3,684,3,4650,3,332,13,1425,3,2158,3,483,8,132,6,574,3,231,3,383,40,1883,4,3709,8,433,5,309,9,1553,3,540,7,1149,4,2183,5,678,8,925,4,776,7,1120,5,514,6,939,3,5069,3,51,3,1852,4,874,12,538,4,769,3,3537,3,312,11,602,6,2068,4,896,5,1049,4,599,3,1306,3,26,8,845,3,1188,7,99,7,5855,5,2480,3,1005,4,1090,6,3284,3,765,7,299,17,748,3,758,6,2546,3,1356,7,1741,4,1377,3,1565,3,1746,6,161,11,4373,10,474,21,95,3,33,3,1301,6,82,6,1628,4,665,8,3413,3,1197,3,1199,11,292,4,792,5,546,4,380,3,1067,3,780,3,421,4,724,3,1240,9,403,8,2154,4,3807,8,1848,4,805,3,1829,3,1449,3,499,5,2092,3,3259,3,706,5,1187,5,558,7,993,5,1758,3,1292,6,596,4,4767,3,5539,3,1566,3,1281,42,928,4,1504,11,815,12,1434,4,3919,4,78,8,1016,4,1822,4,1457,4,2066,6,129,4,3189,4,1886,4,113,4,3187,6,737,6,1318,4,322,8,2188,4,507,4,616,5,2457,3]],"10":[8973,1068,[11,257,2,1716,35,49,164,19,40,114,429,6,59,43,9,19,682,67,84,88,631,9,20,335,1,421,72,37,7,633,122,11,41,29,141,109,575,20,445,12,2130,5,14,126,1477,5,347,11,204,37,352,13,15,113,48,36,80,85,412,3,676,6,58,67,537,7,1648,3,34,109,593,7,29,17,1117,5,226,13,71,22,1794,4,251,13,489,3,428,3,260,27,1129,3,772,18,8,108,104,42,567,7,972,6,227,22,349,5,648,3,1058,5,956,5,638,4,234,24,1274,12,327,7,335,13,63,82,1613,5,290,12,100,3,274,9,143,3,503,14,1729,4,324,12,235,10,656,13,862,5,369,3,988,5,222,3,284,18,1061,3,405,5,411,13,452,8,1788,8,906,3,2887,3,399,4,889,3,897,3,1510,4,90,5,93,19,3292,3,177,7,166,12,256,10,624,3,584,19,389,5,288,6,4448,5,887,6,1999,3,370,6,394,4,1167,3,24,19,922,3,179,14,1896,3,205,8,305,4,564,6,6,44,208,14,220,9,963,3,2269,4,119,22,770,3,3527,3,98,31,2014,3,882,9,1790,3,1889,4,4250,3,154,21,298,18,187,9,191,13,56,11,64,55,200,20,1004,4,636,7,989,3,877,4,1169,3,2612,4,1108,3,397,3,449,6,790,3,50,41,579,6,2088,3,1717,3,153,12,1013,4,160,6,149,4,197,4,17,30,13,3,16,9,3262,3,79,31,3,11,92,5,3080,5,37,62,62,20,464,7,1877,3,125,47,2787,3,101,18,1280,5,57,40,123,17,183,24,135,15,86,70,199,8,87,28,438,8,249,8,46,55,1085,3,113,21,440,23,1413,3,3980,3,36,20,362,5,329,6,145,7,547,3,1645,4,418,10,82,7,195,10,2356,4,630,5,103,6,422,5,328,4,388,18,614,3,158,15,768,6,629,8,363,5,916,4,1183,4,735,6,38,22,461,3,60,5,420,8,1082,7,344,3,562,7,5769,3,1060,3,102,3,924,3,161,23,556,3,68,51,303,9,623,4,981,6,2987,3,1339,11,268,4,297,7,813,3,147,9,19,104,1062,3,32,41,1371,7,120,7,85,3,44,20,934,3,439,3,358,5,325,11,912,4,3921,3,77,10,456,6,4683,5,964,5,702,7,319,4,33,22,933,7,910,4,444,7,386,3,313,3,404,3,3367,3,672,4,372,15,2090,5,925,4,401,3,26,23,238,10,612,12,1088,19,91,8,244,6,5257,6,2007,3,1663,3,1946,5,596,3,360,8,398,18,4759,3,671,6,3910,5,124,12,95,5,4559,4,1391,3,1015,3,2959,3,326,4,380,3,2107,3,950,4,1038,3,695,5,265,3,595,3,3103,3,708,4,136,7,1051,5,2181,4,870,5,390,3,1147,6,2590,4,151,10,553,5,81,7,180,6,245,5,293,6,430,5,1456,3,70,5,233,3,968,4,137,4,895,4,2466,3,1616,6,270,11,926,9,1732,3,663,9,73,3,207,4,131,3,1035,3,192,5,5135,3,2542,3,4497,3,4041,4,1837,4,1490,3,812,4,505,5,2282,3,5,7,2414,5,342,3,1104,6,590,3,155,85,12,29,30,18,206,8,1262,8,309,6,94,4,55,4,54,20,223,14,129,24,110,5,621,8,2651,3,1027,4,930,4,170,12,3618,6,992,4,341,8,789,10,22,6,1210,4,559,8,126,6,4,6,1424,4,1232,6,216,8,1638,14,3005,6,3848,4,127,4,704,4,114,4,698,7,1594,4,118,5,2061,6,67,10,176,4,281,4,343,6,201,4,2411,4,4054,4,3659,4,899,4,5393,4,252,6]],"11":[8345,1157,[1,462,463,116,554,5,136,27,260,25,573,16,122,13,109,228,905,9,1513,39,267,24,91,43,2553,3,2117,5,113,13,212,9,1467,9,2203,3,1025,54,88,41,1923,7,304,17,618,9,197,14,821,16,692,40,3238,5,1968,3,3146,10,298,3,690,15,2881,5,363,20,412,5,1266,9,205,32,1459,8,149,3,394,13,437,10,685,12,374,76,277,21,166,159,243,8,387,25,360,31,280,27,2124,4,1499,7,585,23,71,9,533,13,809,39,638,20,174,202,106,30,366,21,219,15,840,8,62,223,1183,5,134,260,2828,7,130,192,2003,6,90,67,1315,8,1708,3,162,23,1686,6,154,79,523,17,610,59,1707,3,25,6,1395,6,832,31,1475,6,389,54,1443,5,1260,6,228,21,189,19,235,99,772,32,626,15,938,4,1728,3,1897,6,160,25,93,23,295,107,965,32,388,12,3968,6,740,17,1157,9,571,3,2449,7,901,17,2377,3,1415,9,2510,5,657,4,835,12,331,31,1084,8,220,11,290,18,693,4,501,47,324,8,203,18,250,16,317,51,135,20,611,7,3300,4,339,8,405,53,980,5,1468,4,87,15,272,42,1408,6,315,8,1442,15,276,54,362,16,752,6,567,9,1335,13,435,11,702,14,400,16,153,3,1560,4,877,4,1372,9,732,17,2646,10,595,34,95,31,2024,8,355,12,2080,7,2797,3,466,18,297,8,1245,6,1763,4,258,15,1278,4,561,15,988,10,274,29,1951,4,537,4,1385,10,177,21,180,8,790,3,2871,6,270,6,335,4,1218,3,893,3,191,15,314,10,606,12,3416,7,208,144,5507,3,1445,15,1825,20,119,8,1361,4,3585,5,1611,10,244,17,735,9,1440,6,256,38,2294,7,5587,3,1284,4,3304,4,664,7,2191,23,687,33,694,9,439,4,253,3,381,35,4589,5,1082,4,588,12,1609,14,145,51,345,19,1473,13,73,38,1821,5,1291,3,3126,6,489,7,321,17,1096,3,204,17,614,10,870,7,350,11,2047,13,3170,8,1863,8,120,14,784,4,1922,7,226,6,2235,5,209,4,639,3,1019,9,2236,8,3013,15,1585,4,906,6,1687,6,476,92,481,7,1108,5,770,8,467,6,128,9,330,4,422,3,1124,16,424,4,1731,3,5312,3,286,4,1275,4,984,3,696,4,417,39,2950,3,898,6,882,3,636,21,5521,3,1612,10,564,8,546,5,2230,4,56,29,1129,3,183,62,1690,8,1672,3,2795,6,757,10,818,7,271,4,973,10,59,34,1095,12,2099,23,1054,4,608,10,1962,10,1702,5,379,13,1033,20,1782,4,1224,3,4170,4,108,10,2017,3,830,8,104,4,1429,6,562,11,498,3,1602,4,2277,5,1015,7,1229,9,227,3,2385,4,503,4,755,4,975,10,1271,5,952,3,328,20,1280,5,431,4,879,10,222,5,457,6,782,12,1435,4,957,3,1206,3,4414,3,646,7,1705,8,2254,6,3726,3,316,4,3527,3,4661,3,2428,3,1311,10,916,5,434,3,885,4,803,4,1945,4,1613,3,709,3,2177,3,3183,4,1078,7,2010,5,2741,5,526,23,1505,5,1729,6,2755,3,4595,3,1740,13,642,44,852,16,1436,22,4326,3,1004,10,3029,13,3283,3,3159,4,1709,11,1038,3,1537,5,3860,8,1263,3,4266,3,2913,12,262,17,3722,4,1086,6,2630,3,663,4,2753,15,1785,3,2424,5,284,3,1823,7,1523,4,399,5,3047,3,897,3,1469,6,141,3,656,5,1237,3,1080,11,107,10,2014,3,356,10,524,36,3065,7,892,3,947,3,327,3,1166,3,720,19,1598,3,1502,12,613,3,485,5,532,6,3417,5,397,4,1073,7,3030,3,1117,6,103,18,2354,3,2746,6,303,22,591,14,196,23,1321,10,3562,3,401,11,2356,4,1334,4,313,4,1303,3,5667,4,2476,4,1578,4,1255,4,1228,18,1659,4,2607,11,944,3,1065,25,651,11,187,9,612,15,894,3,515,6,2050,3,207,5,1580,5,1942,4,2935,12,2655,13,777,29,1478,13,2835,6,1989,3,3427,4,4421,3,4557,13,4323,4,1524,3,4072,3,1722,6,2736,3,3471,4,3261,3,936,4,344,3,1059,4,326,5,579,6,1741,3,2825,5,4445,3,680,3,5540,3,1963,3,1941,3,255,9,1480,7,1917,3,1420,8,1195,6,695,11,2873,4,2876,5,1551,4,352,3,5910,3,981,12,479,3,2048,8,2580,3,1312,26,1261,4,4212,5,213,3,3732,4,5734,3,926,4,402,4,3469,10,5328,3,568,3,682,4,5810,3,252,5,100,17,2098,3,4356,4,743,5,1018,3,2094,3,3756,3,1390,4,2282,7,429,4,3086,8,4571,4,2006,5,4563,4,1532,5,1208,9,1799,5,4512,4,393,4,2864,3,2492,4,2703,4,2267,6,2671,4,1995,10,1875,4,791,6,2827,4,911,4,559,4,170,5,175,4,1037,4,2096,4,3758,4,890,4]],"12":[8133,567,[76,112,722,101,7,7,997,17,36,66,215,460,780,54,66,111,83,86,163,48,214,180,332,4,1735,4,132,39,142,188,246,175,700,21,21,586,243,127,47,114,419,12,261,197,874,16,2350,13,121,27,3,20,1028,18,665,26,1595,26,99,7,1,304,1377,17,43,74,447,7,111,64,4123,4,2971,12,1665,10,1242,14,949,31,340,22,4472,3,506,109,144,23,941,7,28,212,150,33,1754,9,1945,3,126,15,3783,5,229,158,896,9,237,42,271,21,312,35,117,244,3140,5,2,18,368,56,3180,4,53,118,294,212,1932,3,169,30,146,80,758,10,1775,23,25,394,27,9,97,13,16,7,95,11,492,52,133,79,2086,6,1567,16,4287,3,634,50,475,5,1931,8,5413,3,550,4,1020,5,565,27,383,65,993,28,1482,3,1898,18,5350,3,469,43,1816,5,602,5,304,4,2158,3,3563,9,231,9,78,20,228,9,185,28,499,33,534,7,5,15,748,28,1360,3,1032,8,5479,5,2733,9,1158,4,1699,15,880,30,240,5,611,3,403,23,33,3,1120,11,309,94,282,38,1548,4,82,8,749,3,280,6,776,15,1162,4,1240,15,982,3,2187,6,851,3,453,5,1198,12,645,7,805,5,3407,5,1016,18,823,9,165,16,337,17,1500,3,61,6,241,30,2813,6,1758,19,2967,4,718,27,1444,3,1713,4,966,6,116,6,483,18,190,14,3974,5,1693,6,5687,8,1677,4,765,4,958,5,581,6,318,7,861,11,804,6,711,13,4293,4,1199,16,1196,5,948,10,2432,3,67,16,161,3,1301,7,678,10,268,3,167,6,3755,3,576,5,1253,3,155,23,599,4,446,20,232,6,1090,5,139,9,102,11,500,5,1185,5,479,32,3576,5,863,3,1197,6,6,3,273,5,558,13,5882,3,3798,4,596,5,714,11,149,3,194,9,156,38,1150,3,2367,31,283,7,1449,3,4216,3,1434,9,51,3,1504,42,858,3,1957,39,616,39,2457,5,928,15,815,67,1176,19,1026,8,4729,8,292,6,4367,6,3462,4,2012,4,306,4,148,5,2429,4,3508,4,2648,3,1362,40,105,6,52,8,1710,6,3356,4,4422,4,1048,6,2606,4,10,6,18,22,2456,10,199,12,2644,4,29,12,541,16,26,12,698,10,2285,6,17,8,1036,4,109,4,1099,4,410,4,1303,4,1919,6,223,8,8,8,3331,4,5169,4,247,10,954,4,563,6,1983,4,5260,4,4027,4,20,4,2375,6,12,5,3940,4,5406,4,1862,4,1553,8,41,4,3335,4,285,4,802,3,60,4,516,6,433,6,57,6,1848,4,441,4,32,6,1559,3,54,4,4672,4,2332,4,598,4,1127,4,1235,4,348,4,1184,4,14,4,1511,8,3070,4,3724,4,726,4,2215,4,2066,4,3350,4,2803,4,1744,4,4335,4,30,3]],"13":[8171,964,[5,325,151,46,29,58,3193,6,67,17,1056,4,1668,4,7,611,111,66,334,21,92,40,102,93,453,3,51,141,4,48,2937,6,35,92,4857,3,2417,8,82,62,26,413,161,19,10,30,299,7,40,103,502,4,1,521,987,9,199,19,325,24,490,25,36,94,250,14,141,7,2,720,376,33,11,76,2342,5,6,136,77,15,427,23,4043,7,116,16,8,165,385,18,547,17,2459,4,1382,3,137,13,529,7,441,21,556,47,50,41,33,49,5586,4,320,19,1213,11,4433,5,105,3,17,49,115,7,1171,7,119,25,3120,5,2447,3,5337,3,482,3,108,32,1259,8,98,7,2738,3,411,7,14,125,2808,7,239,45,1533,7,184,5,712,7,24,34,1083,9,1046,3,73,42,3876,4,606,14,2122,3,512,10,1243,20,91,9,1534,10,342,8,997,3,681,12,790,4,1883,3,2138,4,37,74,121,25,686,5,1387,5,47,4,307,7,1136,7,278,33,1955,3,164,5,332,6,322,10,4969,3,347,8,1047,4,1126,11,438,5,461,5,70,18,57,50,2543,3,143,34,101,9,2793,3,1535,9,3234,3,705,3,197,13,740,3,608,10,1421,3,1600,3,15,95,195,11,139,32,2637,3,192,24,69,9,94,8,2084,6,2001,7,201,3,242,11,3,15,439,9,4989,3,189,6,1168,4,1142,4,132,11,457,6,285,28,270,18,2127,6,20,62,318,39,149,29,843,3,18,69,1018,4,1624,3,727,5,1446,7,1148,6,234,14,4213,5,204,5,23,39,154,3,511,9,1857,5,292,24,293,14,447,8,442,3,156,16,617,3,265,16,3001,5,160,14,425,8,5562,4,72,9,4309,3,550,4,349,7,2464,4,93,3,2238,3,1393,3,3071,3,640,3,180,8,2818,5,2212,6,182,9,629,4,676,5,1671,3,635,13,470,4,158,13,516,8,1840,3,95,11,126,6,9,11,2692,3,34,12,3720,4,291,14,247,7,140,4,59,4,500,13,56,3,428,4,4134,3,497,14,845,12,16,10,2349,3,577,5,701,3,1862,3,2089,4,12,13,340,14,625,6,54,6,3834,3,2874,3,2867,3,1376,8,525,8,231,7,179,13,112,7,552,9,371,3,1492,3,884,7,1434,3,1758,3,1655,12,1379,7,951,7,88,9,2622,3,1378,4,364,11,2273,3,895,9,333,3,807,17,1587,11,99,20,44,38,726,3,2974,3,227,3,1848,5,3077,5,60,11,555,3,96,17,125,13,103,4,31,4,925,6,78,19,1841,4,13,4,2933,5,862,6,1933,4,889,6,367,7,906,5,1555,5,173,5,3383,3,238,7,2802,3,84,3,717,3,528,4,3015,3,1735,6,1979,3,1119,3,2312,3,171,8,1270,3,774,5,647,3,283,3,1514,5,1070,13,4010,3,494,14,19,37,2321,5,63,16,86,4,2560,4,1141,4,1188,8,1623,3,1986,3,138,4,1075,6,32,4,39,9,3370,3,1391,8,1359,3,1470,11,1694,3,1405,4,503,5,48,3,2498,3,1646,3,87,3,4970,3,377,3,38,4,1509,4,41,8,3072,6,168,6,30,16,1219,4,1570,4,1364,6,791,6,621,6,2184,4,1596,4,1041,3,131,4,1629,4,110,10,2308,4,216,4,2555,8,1561,4,155,6,1827,4,1307,4,1400,4,3778,4,2151,10,504,6,1873,6,1327,5,2777,4,2957,4,1235,4,2593,6,1637,5,1878,6,2520,4,4413,4,3227,6,1797,4,85,4,599,4,113,4,2664,3,2599,4,4897,8,2770,6,153,4,2788,6,356,4,5007,4,985,4,1835,4,136,5,658,5,2410,4]],"14":[7168,585,[13,1242,16,62,28,699,1,295,53,64,241,34,42,179,76,120,385,32,25,252,6,119,36,47,8,77,138,7,339,30,237,23,43,89,146,18,846,8,3,157,103,3,83,61,2,52,74,47,54,21,323,31,144,114,5,158,155,4,47,60,21,4,427,14,2653,5,160,3,17,51,565,9,1718,8,69,28,1120,7,490,5,24,31,1583,9,163,23,1884,3,26,78,1384,3,23,31,10,68,795,12,4,13,158,9,82,11,619,31,9,17,112,11,139,5,92,5,483,5,1023,3,173,16,314,14,111,26,14,14,77,16,1325,6,4395,8,486,5,20,48,22,55,528,3,543,46,497,8,7,42,500,3,61,86,3637,3,182,3,4442,3,2735,4,291,19,1675,6,1568,10,12,43,691,4,57,10,214,7,33,76,4112,5,307,4,967,3,1077,29,666,15,1102,3,31,29,3409,3,3018,5,40,5,11,4,89,4,96,16,3600,3,2760,6,199,14,18,58,15,11,4779,4,474,3,35,18,116,9,131,6,126,30,3985,3,880,3,1723,3,492,7,127,6,44,16,3903,3,217,7,156,7,306,7,39,12,3934,4,27,6,161,15,78,25,29,34,70,25,1293,4,599,3,598,16,3131,3,2515,5,150,5,195,5,2249,6,711,5,446,5,292,4,172,8,236,3,1389,3,2149,3,132,33,1911,15,5117,6,845,4,2086,3,98,5,2312,16,50,3,171,16,847,6,1810,4,1542,5,19,5,188,12,186,79,2070,3,5075,4,137,3,248,9,721,3,1294,3,1048,3,1240,4,149,6,5689,3,609,3,1199,8,739,6,4174,5,60,17,2461,3,1297,4,84,5,1824,5,32,16,895,3,381,4,263,4,3108,3,105,13,4087,3,312,19,95,3,67,25,332,3,52,5,108,11,49,140,231,9,148,8,3796,3,504,8,815,3,3224,3,102,7,180,10,41,8,30,16,238,4,38,8,1808,4,129,10,151,14,563,4,1387,4,423,8,1075,7,115,10,85,6,99,13,426,6,165,10,302,6,1888,6,364,4,2419,8,876,6,5076,4,147,4,198,6,1886,4,211,6,192,6,4706,4,118,4,1346,4,3544,6,1764,4,371,4,714,4,2773,4,488,4,275,4,68,6,216,4,3852,4,1599,4,727,4,209,4,2740,4,5266,4,2332,4,336,6,101,4,1608,4,1706,4]],"15":[6608,1065,[122,31,923,4,587,19,1,461,73,81,1993,3,39,8,2,70,130,114,618,3,13,399,134,185,1044,5,22,9,639,29,846,6,288,21,9,18,1812,3,1398,7,42,20,339,29,1058,3,162,51,255,75,897,4,706,4,59,68,1170,4,56,52,60,12,14,19,17,22,1554,4,1225,3,653,12,539,8,316,10,866,7,1226,4,108,21,327,4,141,3,673,3,90,28,75,279,290,3,257,4,323,5,603,3,3,45,1030,3,785,7,784,17,152,47,696,5,103,14,28,67,20,8,479,12,1676,3,929,15,202,7,25,61,1381,12,5195,4,355,5,237,4,518,5,167,3,1611,7,277,12,106,50,437,17,1679,4,225,14,296,10,5474,3,3181,5,690,4,95,4,92,3,1026,5,453,3,510,7,813,3,76,15,2160,5,1718,5,816,4,196,21,532,12,415,16,560,36,72,3,83,9,93,6,1447,11,81,143,205,5,47,15,2286,3,345,6,2667,5,88,63,260,12,334,11,872,9,459,5,501,23,313,9,1733,3,1395,13,608,12,3197,4,573,4,4004,3,1590,26,434,4,396,26,2607,6,685,6,1137,4,297,3,1057,6,860,18,1340,11,987,11,710,8,1799,20,138,9,37,38,588,5,253,13,89,14,350,32,392,51,33,6,120,4,4395,3,382,3,258,21,857,5,1314,7,400,4,476,21,844,8,1145,3,1445,9,511,4,3102,4,12,39,57,3,728,10,733,7,1284,7,1293,3,481,14,6,22,1803,6,946,3,18,15,850,5,3436,6,661,3,359,34,1703,6,1068,4,1080,4,1010,15,959,3,4,4,331,22,1160,4,556,4,149,6,922,4,1098,10,2035,15,505,3,278,4,121,5,177,6,203,16,659,21,749,4,1480,3,2129,4,454,3,26,7,2508,3,980,3,975,3,754,4,50,4,1941,3,87,4,414,8,586,14,43,13,865,93,900,13,972,3,523,4,879,10,835,7,180,5,100,41,1663,9,1828,3,1567,3,432,12,78,9,1186,4,207,4,566,21,10,3,1368,3,7,11,1255,5,192,4,189,11,1484,7,1138,4,38,7,143,3,1495,30,1581,3,2527,5,623,3,3707,15,352,4,254,17,515,5,304,38,380,5,863,20,16,7,24,7,11,3,920,3,1251,3,1469,3,166,5,1011,6,1113,3,2076,3,146,4,154,6,174,15,473,3,144,7,1343,5,291,24,741,11,906,4,311,6,3493,3,160,3,1316,8,533,3,161,3,172,3,5,22,4182,3,794,3,1461,3,178,30,19,7,32,9,1546,3,30,15,386,6,276,6,119,10,1369,4,23,4,1486,4,1174,8,2918,5,1141,3,3506,3,585,3,691,3,147,8,2117,3,330,3,212,7,3643,4,346,12,407,4,44,5,1307,8,594,12,223,4,224,18,218,6,1177,10,592,30,834,18,3318,4,826,4,1793,6,8,27,280,8,1093,4,94,18,521,14,569,4,2694,6,29,4,114,6,3771,4,153,7,522,6,633,16,761,4,783,4,107,17,545,4,543,10,165,4,82,4,213,10,549,4,1689,4,3446,4,2604,4,53,6,1066,6,45,48,186,4,525,8,668,6,914,6,175,6,99,6,226,18,1161,4,940,4,303,8,417,3,1014,6,157,16,281,4,788,4,216,4,3815,4,908,4,110,6,231,4,655,14,2700,4,1879,4,184,6,578,4,2914,3,1458,4,305,10,2319,6,548,4,1241,8,1045,6,3485,4,163,4,227,4,3254,4,312,3,3115,6,1786,10,5319,6,1003,6,2021,4,2292,4,2564,4,61,10,211,6,241,4,2058,4,2174,4,1055,3,2111,4,2984,6,4635,6,3003,6,1493,4,91,4,1671,4,1483,4,3779,4,1115,3,3157,4,2260,6]],"16":[6182,766,[2,1249,7,667,1,410,41,52,64,46,58,57,11,158,394,3,33,18,1247,8,159,4,2893,12,17,4,104,26,4140,3,90,8,1385,3,8,70,166,3,48,40,197,7,438,9,20,141,14,84,706,21,71,67,88,21,164,11,1509,3,101,64,1812,8,888,9,59,28,428,3,1510,4,40,74,34,118,226,3,135,7,80,39,77,7,184,11,32,54,489,3,200,8,335,5,698,3,694,3,503,4,757,18,1668,5,418,8,370,3,37,77,15,66,747,4,790,4,72,55,746,15,5698,5,68,72,325,7,389,3,2738,6,629,5,46,105,342,5,98,22,35,31,154,5,243,7,3310,3,63,47,3703,4,467,9,50,23,222,7,316,3,630,8,1060,3,57,34,1749,3,1280,4,84,14,910,9,288,3,19,232,6,7,2107,4,1082,3,411,5,179,21,51,28,2717,3,113,17,1614,7,1103,4,1892,3,481,6,379,3,870,3,124,29,119,4,1680,5,131,3,125,45,278,6,610,4,3,6,578,5,672,9,128,5,362,4,108,4,347,5,2425,3,26,7,208,5,918,3,249,5,1050,3,456,8,640,3,204,3,1524,4,143,15,989,5,187,3,5777,9,81,14,2884,4,1505,3,963,5,763,3,495,3,1043,3,87,8,1009,3,5736,3,177,7,457,4,2554,3,463,3,252,3,344,6,62,5,2229,9,1722,3,195,6,191,4,4127,3,552,3,5274,3,238,7,39,4,100,5,4059,3,153,3,371,7,369,5,1780,3,2165,3,82,9,585,3,180,3,5104,3,2412,7,589,3,505,3,223,10,484,4,432,4,406,16,94,4,1363,6,584,8,2843,4,220,11,3011,6,1986,6,1588,4,18,4,221,4,4561,4,451,6,1182,4,4428,4,2426,4,118,28,136,4,1066,4,3247,4,745,4,93,6,1265,6,554,4,940,6,170,6,700,6,3440,4,281,4,102,4,110,8,907,4,1732,4,1045,4,234,4,1309,4,4877,4,1432,4,3332,4,761,3,4972,4,1097,4,1079,4,1550,6]],"17":[6081,595,[38,124,116,250,1,287,1071,10,9,341,7,612,15,53,88,11,8,53,143,88,12,197,2,644,6,125,13,17,727,3,63,22,119,21,40,84,385,55,1315,3,14,202,28,15,5,157,44,11,503,6,37,49,23,11,154,3,16,50,1048,9,192,23,622,11,180,10,745,4,997,25,306,40,98,38,10,98,93,42,48,17,72,8,292,6,369,8,25,16,27,5,104,27,334,9,80,23,144,5,71,9,4779,4,2766,5,4,28,189,23,32,74,1927,3,115,33,295,6,608,3,160,11,20,20,1845,3,1376,12,11,56,3568,3,2345,4,59,3,490,4,1477,7,123,24,249,36,278,8,1193,3,131,9,60,273,265,6,19,41,156,10,100,7,2554,3,51,6,91,7,590,7,3140,6,159,3,135,3,3107,3,36,7,457,4,34,16,1377,4,395,3,266,21,29,12,250,4,33,6,3179,3,4301,3,955,3,179,7,30,176,1396,4,456,4,613,3,298,4,125,8,3069,13,78,4,105,29,244,3,42,11,2303,3,918,3,544,5,274,4,35,3,567,3,50,5,238,5,101,13,173,3,155,19,357,5,405,3,705,3,86,3,839,3,137,3,90,3,129,59,61,4,157,3,376,3,1946,3,5058,3,484,3,1916,3,89,3,54,26,113,3,991,3,779,4,84,8,247,4,521,6,1235,8,85,5,1100,11,262,4,2456,4,655,4,498,4,110,15,77,6,1639,4,164,6,151,8,601,3,441,6,139,4,4551,4,5306,4,198,8,223,9,2843,4,170,4,234,4,24,8,2583,4,2573,4,206,3,184,6,594,4,876,4,3032,4,31,4,3063,4,4378,4,4055,4,146,4,26,4,199,4,658,4]],"18":[5588,604,[48,29,158,25,2,427,1,244,26,83,21,5,14,187,6,156,10,56,7,216,4,25,9,249,80,12,16,63,147,14,12,258,111,57,15,77,38,62,29,68,1233,5,85,20,516,10,20,60,34,14,721,7,55,7,5,139,11,41,82,50,24,59,184,15,8,88,60,85,44,77,17,140,40,17,23,26,351,4,794,7,148,49,35,15,57,64,192,9,33,32,4237,3,37,61,105,5,30,62,112,8,102,62,1612,3,729,3,54,46,4015,5,51,59,36,42,1727,9,113,7,684,3,90,4,84,7,41,10,796,4,1683,5,292,3,76,5,3971,3,163,4,237,3,77,3,139,7,490,4,173,7,242,9,1625,3,475,5,2975,3,404,10,86,9,554,5,108,6,141,3,67,8,310,11,13,15,138,18,672,4,151,7,137,35,127,11,349,3,455,3,143,7,347,3,201,4,59,6,62,3,719,3,25,7,19,39,513,3,307,5,418,7,325,11,72,9,50,19,126,9,4135,3,246,5,441,3,69,7,27,5,123,3,3205,3,683,5,357,3,631,3,233,23,697,11,439,3,28,9,43,4,31,19,42,3,368,5,78,19,425,3,544,7,391,5,263,5,320,5,129,39,156,22,95,8,450,11,823,3,97,4,875,5,181,7,149,3,91,6,32,27,73,3,66,7,142,3,978,6,104,3,998,5,131,10,61,5,190,3,266,5,364,3,63,16,239,11,99,18,101,6,494,10,342,5,2060,3,2324,3,200,3,238,9,161,10,89,3,802,4,876,4,665,3,3825,5,182,5,185,18,116,8,2210,4,2224,8,165,12,146,4,497,6,2715,4,251,4,306,14,22,18,144,4,1027,4,283,4,110,18,1579,10,861,6,2904,4,649,14,121,4,2842,4,464,6,198,10,217,4,227,4,231,16,150,12,133,6,220,4,282,4,1006,10,223,10,3982,10,214,4,726,6,281,3,4061,4,993,4,4113,4,53,6,534,4,240,4,1099,4,1031,6,271,4,213,4,1915,4,169,4,1075,12,118,4,2109,6,1016,4,945,4,552,4,540,8,3098,4,2830,4,180,4,221,4,1257,3,1849,4,1424,6,2174,4,1155,6,1295,4,358,4,164,4,216,3,356,4,792,6,1985,4,303,4,622,4,1353,6,252,3,616,3]],"19":[5383,906,[280,5,109,222,39,8,89,16,397,11,1,865,59,4,615,5,254,11,439,3,62,7,414,4,3613,3,1480,3,762,7,4536,3,84,9,258,35,417,10,180,7,252,11,134,11,2041,5,149,7,453,8,1461,5,586,4,873,12,284,3,946,7,153,29,2471,5,1372,8,2659,3,100,28,519,19,679,17,209,6,25,3,212,23,272,7,1868,3,1231,3,1141,3,830,8,464,11,355,7,3471,3,402,33,157,149,424,13,315,32,588,3,1491,18,164,9,345,6,2094,15,1486,11,1641,3,1748,6,4266,5,1439,15,184,9,888,3,343,3,113,15,1186,3,1835,3,82,7,4475,3,432,31,1351,17,1001,6,1386,4,5165,3,207,5,2390,3,189,5,3717,13,1272,15,554,9,399,3,73,5,2182,11,222,7,610,7,4338,3,106,19,1020,3,3358,4,103,10,557,15,88,25,2827,3,5417,3,2500,3,1967,4,1264,8,279,68,3366,6,3561,6,369,4,1370,31,108,16,3,3,1291,3,1541,20,1629,6,908,38,378,57,569,26,2433,4,2685,6,1017,14,1773,6,213,74,3856,4,787,14,1230,20,1834,6,1934,10,1150,10,370,10,3307,8,175,49,3453,6,2386,4,525,8,1003,4,756,10,3770,4,454,4,955,6,1738,10,891,8,2710,6,1563,4,1634,4,171,37,1209,12,1978,10,107,29,1780,10,321,70,2438,18,276,6,774,8,1012,11,1496,36,5179,6,3705,10,1418,4,677,26,4710,3,3818,10,1024,4,3007,4,54,4,1440,4,1562,10,4926,4,197,8,2322,4,1949,3,545,8,1422,6,604,26,45,12,2636,5,2352,9,303,4,533,16,837,8,3196,4,594,12,4624,4,348,6,644,35,2530,10,5324,12,4136,6,1286,10,3517,6,754,4,1074,8,670,10,4275,4,3918,6,2945,6,549,20,409,6,4082,10,5323,4,2340,6,2272,4,1249,6,744,4,938,6,37,22,356,6,330,8,30,8,907,8,1791,16,924,6,4896,4,4584,4,93,12,1205,25,2712,6,1654,4,35,8,1992,4,1714,6,970,4,2594,4,3706,6,5403,6,136,18,2232,4,597,16,4877,6,2734,12,4494,8,868,42,628,24,877,6,481,10,3225,6,337,4,2796,4,2996,4,2966,4,2452,4,1189,4,2291,8,1347,12,1319,6,1681,4,437,8,55,4,192,4,1745,6,792,11,3109,6,91,4,226,8,484,6,2605,6,3088,4,811,4,2833,4,932,4,116,4,114,4,1734,4,834,6,2524,4,1139,10,3648,12,741,4,980,4,1588,4,1807,8,4921,6,3925,4,1145,4,151,8,1072,4,5246,8,996,4,71,12,2055,4,4595,4,2709,4,2015,6,3338,6,903,6,1705,4,1000,4,1234,10,95,8,1757,8,176,4,783,4,856,4,5180,4,13,4,3785,4,326,20,3850,8,890,6,1014,4,848,22,1348,4,1134,4,855,4,1582,8,61,4,3750,4,1081,4,4574,4,1818,4,2553,7,4975,4,2924,8,241,4,5241,4,1856,6,1248,8,2168,4,1996,4,914,4,2995,4,5178,4,3430,4,1432,6,2970,6,146,4,4530,4,2470,4,655,4,2868,4,3483,4,2950,4,3509,4,990,4,1916,4,1239,4,3470,4,3853,12,548,4,1750,6,250,4,983,5,376,4,3626,4,1398,4,2150,4,3184,4,4583,4,2990,6,2483,4,1638,6,4479,8,1656,8,1452,4,4909,6,3515,4,590,4,2545,4,5377,4,4321,3,305,4,229,4,2366,4,5379,4,2623,6,185,4,2965,3,2790,4,170,8,4900,4,4006,3]],"20":[5078,689,[4,349,2,648,48,164,71,39,4781,4,385,7,183,5,80,40,11,128,960,18,141,4,1754,3,2189,8,90,3,854,22,1145,15,123,123,6,42,418,13,55,24,72,45,159,34,128,4,77,80,760,11,18,50,1535,3,27,14,3440,3,73,26,334,3,363,5,164,11,1,375,904,5,135,13,3384,8,112,5,69,12,490,6,117,38,3046,3,823,3,8,97,413,5,1333,24,1164,16,160,12,689,10,1702,4,15,194,295,11,472,22,136,34,9,42,5590,7,3,31,66,6,21,14,271,4,261,3,285,3,62,13,882,3,456,7,270,4,50,32,1976,8,324,4,43,3,455,41,92,26,276,3,137,4,60,6,2466,6,172,3,14,11,86,6,1585,3,61,5,245,33,51,7,707,3,138,5,3919,3,16,6,10,13,1198,3,5,15,286,10,208,4,13,18,956,4,763,7,101,3,24,10,96,6,12,17,39,4,26,3,161,6,87,3,22,13,611,4,148,5,229,3,1301,8,57,3,7,16,29,20,59,10,34,68,290,3,945,3,20,3,1181,8,149,31,3618,3,19,127,185,3,395,3,474,3,53,3,353,6,32,5,132,4,298,13,124,17,695,5,2489,4,125,16,1078,3,1069,3,1361,3,247,3,102,3,988,3,312,4,718,3,698,3,686,3,1649,3,153,4,239,3,150,5,309,3,17,3,263,3,595,3,573,3,163,3,31,3,38,10,5276,4,315,63,2774,4,37,8,1463,4,129,6,178,20,41,4,2434,30,1351,6,737,8,1506,4,5484,6,344,22,210,4,5081,4,451,10,507,16,221,4,311,10,118,8,3813,4,4187,8,211,34,336,4,1579,4,5259,4,407,4,1507,4,28,16,1123,4,321,4,5927,4,585,4,1074,4,635,16,1270,16,4867,6,559,8,930,8,1232,12,4359,10,5942,4,1305,12,30,8,1432,4,767,4,3598,6,23,12,520,4,3411,4,206,8,2953,4,3397,4,486,4,4898,4,513,4,4832,4,305,4,850,4,3324,4,1379,4,1221,4]],"21":[5183,646,[13,4,320,67,51,83,247,84,2053,10,1,374,37,24,53,49,52,650,1185,20,1049,13,935,8,758,7,1444,10,6,30,7,277,26,64,2263,5,1955,3,2860,3,1360,17,121,88,5,276,1549,5,452,26,111,28,40,31,2,206,5941,3,625,35,58,4,1827,4,292,27,4767,3,943,4,851,33,299,12,686,3,997,12,2930,11,468,12,934,4,4630,4,1253,7,1565,9,88,4,1091,13,425,42,1294,7,529,28,1434,3,150,43,1162,14,2809,9,186,13,155,25,29,10,4223,3,1884,5,23,4,748,25,84,9,1052,29,2360,7,3538,12,113,12,441,10,63,23,367,6,3577,4,2351,6,132,22,93,9,1862,3,1801,6,34,18,3082,6,139,21,36,22,1356,10,101,11,340,14,5629,3,958,20,20,25,1871,8,447,5,528,4,3220,5,2158,9,9,11,2341,5,187,6,82,10,33,8,664,8,5072,5,3347,3,3091,3,2733,9,1760,6,1132,12,4253,5,5350,5,59,6,874,12,1359,6,1060,10,1723,9,283,6,4349,3,1879,4,35,28,1246,13,332,9,1158,11,98,8,2138,10,291,53,757,5,1604,7,607,9,765,28,483,5,598,8,1090,6,1677,12,558,19,99,7,596,14,3,9,8,14,439,3,1405,3,5199,5,599,20,725,15,197,3,2418,10,5632,3,1079,10,2296,3,3941,3,1559,11,3060,5,5128,4,1713,7,2478,4,48,5,1710,6,1810,5,504,17,11,13,1983,12,3783,4,14,39,143,8,3376,3,2429,3,1171,3,156,31,3024,5,179,5,1553,12,1548,4,3178,5,3552,9,10,14,1047,14,17,5,3494,6,3401,3,949,17,1032,11,2838,9,15,16,4980,4,2350,3,2779,3,3475,3,1121,5,1620,7,438,3,2307,7,347,5,161,5,4137,3,474,11,2534,7,1626,5,1318,5,3935,3,1292,4,1829,3,1273,6,318,3,5386,4,208,4,4548,3,1746,6,2489,4,813,3,4,5,2287,5,3273,3,1534,4,774,6,1005,6,1898,6,403,40,1601,5,18,9,2888,5,1544,5,126,3,307,4,714,3,1766,3,453,13,701,6,71,3,3044,7,500,6,77,5,1758,4,72,5,497,5,57,6,2813,3,64,6,3950,4,2028,3,2998,5,539,3,5525,3,1479,4,32,15,2349,4,199,13,293,7,50,5,457,3,191,7,477,3,105,7,993,5,718,7,1197,7,125,4,2064,5,3095,3,325,6,92,3,4026,3,46,7,2092,5,1114,6,1628,4,2038,3,4552,3,234,5,4313,3,309,19,12,32,2081,6,3513,12,38,6,19,8,68,6,118,28,406,4,2785,4,3395,4,2654,4,1235,4,5708,4,91,4,1919,4,3255,4]],"22":[5111,864,[1,690,529,26,907,3,121,84,35,34,1294,10,705,37,385,9,1879,15,1359,13,452,9,33,31,2534,11,283,14,1102,8,291,72,2,231,500,56,490,14,1606,11,874,13,624,10,727,20,4117,10,935,11,681,10,7,188,4813,5,2637,3,23,15,531,100,2028,8,967,9,1132,28,40,36,958,8,1820,9,1046,10,2578,10,195,19,3306,4,342,6,2785,7,340,62,1604,7,1121,14,5805,3,1126,21,1136,6,2546,9,3524,8,1735,11,6,84,403,16,1655,4,686,12,599,5,119,16,1243,15,4262,5,1677,5,4548,3,376,23,2447,6,2240,5,318,21,5200,3,51,44,1829,15,2279,4,1273,4,664,23,31,4,29,22,2622,4,8,27,1213,4,2915,6,1047,14,2115,3,347,4,17,18,1056,4,85,3,547,18,1883,13,5,51,4104,3,2838,7,425,35,98,11,5884,4,26,10,34,4,2632,5,2964,4,1005,21,3316,17,1548,9,513,3,192,6,4,20,161,20,3413,3,453,9,10,11,5513,3,3097,3,2409,3,2273,4,1534,3,3636,4,2490,5,1898,19,629,4,158,6,4162,6,625,5,765,6,1018,3,2802,4,11,22,2226,4,2038,9,851,3,598,6,278,17,4918,5,1378,10,1795,4,143,12,1076,3,4148,5,3101,3,395,64,4432,6,943,7,1060,6,139,5,2940,4,427,21,504,6,676,3,617,10,1361,8,92,6,1895,10,474,10,635,12,18,17,3227,7,160,19,77,11,3475,5,3932,8,325,6,37,23,1544,10,439,11,1601,5,197,7,155,3,1292,4,199,5,1151,4,3066,8,4123,3,1628,4,179,6,3489,3,1723,4,2067,3,951,7,19,8,265,13,122,3,16,9,2511,3,247,68,3,23,3255,3,758,10,1090,5,748,5,1991,3,1032,4,116,7,997,4,461,3,5814,3,3572,6,712,9,1766,7,15,7,1535,5,2770,14,855,5,2122,4,54,4,593,3,2093,3,1565,4,3535,4,149,4,1158,3,1188,5,2863,4,189,5,3425,3,1405,10,82,6,3219,3,2624,3,171,3,1533,3,351,6,95,5,108,22,1612,3,1049,8,596,7,101,4,1233,3,1434,5,102,9,371,3,1119,4,1083,3,934,3,3075,4,63,7,3492,3,2091,4,725,9,2974,4,774,4,1559,3,4282,4,332,8,3082,7,132,32,5597,3,141,4,871,7,3533,4,1079,4,88,5,67,5,270,8,498,5,3284,4,1539,5,2049,5,5203,4,50,5,1603,4,2478,4,2001,4,3435,6,299,4,1454,3,2026,4,53,9,38,3,552,6,2053,3,1848,6,20,20,138,4,925,5,1270,3,2793,7,3140,3,2613,3,125,4,1070,3,511,4,4051,3,57,7,1360,5,309,7,69,4,293,3,1623,4,718,3,932,3,25,3,126,3,99,9,44,4,2106,7,36,3,845,7,209,3,3939,7,3273,3,32,6,1114,9,2410,15,2597,3,1797,3,39,5,367,3,12,3,2532,5,580,3,1545,5,1182,3,2700,3,250,3,87,4,714,4,2826,10,14,61,4942,4,954,8,1629,4,3305,4,1695,4,2830,4,2593,4,170,4,496,4,2664,6,1701,4,2555,8,4826,4,601,4,1302,4,985,6,2308,4,5763,4,558,6,1930,4,4413,4,1464,4,118,6,1673,6,4380,4,335,4,30,3,4012,6,2081,4,1506,4,1219,4,3642,4,3095,6,3178,4,322,4,2332,4,4405,4]],"23":[4785,600,[2,1404,20,47,1581,16,8,71,1,155,331,16,19,140,18,7,7,289,928,3,34,85,496,5,41,30,24,6,11,125,15,139,335,4,48,41,101,16,40,44,17,13,945,3,3780,4,84,19,234,5,583,6,3697,17,25,3,90,9,2359,6,1756,18,3128,3,389,24,567,3,2468,3,6,26,226,4,72,40,179,35,1260,3,747,13,14,49,200,21,1026,18,63,15,770,3,16,28,154,4,946,4,104,5,5,70,180,14,33,11,2754,8,71,8,57,16,288,8,80,15,508,18,108,3,270,4,418,3,64,11,135,6,10,4,1719,25,328,11,615,3,227,7,284,10,566,64,235,5,37,43,59,6,290,5,50,28,3611,10,3262,4,344,4,93,8,347,3,995,3,137,9,191,8,166,4,58,13,1331,4,696,12,164,7,220,4,1929,3,830,3,125,11,87,11,379,4,298,8,864,7,98,6,12,8,2656,4,372,8,54,3,600,7,435,17,31,10,1280,4,1033,4,35,7,62,6,256,4,702,5,523,3,676,5,1702,3,81,15,326,7,32,9,113,6,3,28,4059,3,968,3,274,5,1311,3,680,3,244,4,9,4,324,11,434,3,124,24,4665,3,73,7,2689,11,897,3,1039,4,44,5,451,3,153,4,1061,3,1999,3,172,4,527,4,393,5,1837,3,936,3,4209,3,841,4,950,3,812,16,337,5,1191,5,1414,3,627,105,578,7,1846,6,107,6,51,4,165,4,264,70,110,10,114,8,1215,6,46,20,29,4,30,4,170,4,173,4,112,6,355,4,198,4,768,4,1227,4,426,4,5993,4]],"24":[4818,733,[1,451,7,246,63,88,11,84,351,3,2,1193,1062,4,2468,3,536,5,178,16,101,16,313,8,98,48,15,70,1061,11,290,3,335,12,2082,4,71,17,440,3,40,57,20,56,222,7,34,62,416,9,1877,7,2572,6,122,4,646,4,180,3,199,9,68,34,51,61,37,43,584,8,104,17,1581,4,35,32,48,16,64,23,227,4,288,4,2130,5,623,4,898,6,3214,6,100,6,207,4,41,31,553,3,713,4,179,10,128,3,135,6,1521,3,552,8,591,4,539,24,842,5,80,28,136,8,75,4,33,15,811,7,1815,9,113,14,420,4,449,3,790,14,90,4,36,5,661,9,373,4,4038,3,1300,3,81,10,342,7,764,4,50,19,1068,3,106,13,234,9,200,3,456,3,267,3,3,22,862,7,212,26,8,50,418,12,57,28,92,6,1168,4,454,7,3888,5,428,3,989,3,238,6,352,3,19,77,72,47,349,21,1042,7,899,9,59,8,58,5,249,5,270,9,84,15,613,4,77,6,1471,5,1988,8,411,7,445,5,389,4,154,3,276,3,94,11,956,7,17,4,329,3,91,3,1324,8,1142,3,2459,6,1147,25,88,5,843,16,2629,4,1413,3,220,5,600,3,5585,3,1783,6,151,4,192,28,1717,4,931,11,2754,3,319,4,5665,4,482,4,108,5,682,3,1929,9,3410,3,398,4,1446,4,1275,8,164,9,496,3,125,9,62,3,55,4,285,3,137,3,293,3,2431,3,32,6,93,3,838,3,2062,4,5345,4,5,18,2824,3,1990,3,2181,4,3510,4,3437,4,1589,4,481,3,1492,6,886,3,3627,3,257,4,124,13,14,7,89,3,2105,3,251,3,991,3,1961,4,679,6,1393,6,119,4,252,4,110,13,4802,4,311,24,189,4,406,10,67,6,451,4,1285,3,488,4,1464,4,46,16,1297,6,1041,6,3487,6,102,4,443,10,737,6,10,4,3090,4,339,4,2454,4,3978,4,589,4,4365,4,216,3,521,4,4582,4]],"25":[4540,533,[22,788,156,62,165,28,546,24,103,43,236,128,634,8,190,36,167,20,169,48,111,42,716,56,26,298,97,65,410,29,348,4,9,27,1267,10,126,5,60,4,1597,12,776,6,1196,8,1394,13,35,4,3572,3,301,42,3,35,21,119,351,6,5,21,534,5,1736,7,1860,22,674,17,2066,3,296,24,5572,4,1,146,120,84,133,28,14,25,250,3,2413,7,66,63,948,7,36,19,229,4,611,5,419,23,102,25,371,5,1216,14,817,5,618,3,3486,3,380,10,690,4,2290,5,1381,3,581,21,3054,4,2601,7,202,13,651,9,959,5,2309,4,1882,4,10,8,416,3,306,28,2624,3,1411,11,4771,3,3012,5,468,12,4,30,1549,3,1287,3,469,7,1036,6,1417,12,1220,5,3476,6,2506,5,273,21,29,19,855,6,421,11,514,15,1044,6,150,40,1111,9,271,16,228,33,1293,3,436,9,515,11,1661,5,1214,7,3226,4,240,23,283,9,142,13,966,8,921,11,155,11,1198,4,1449,10,6,16,769,5,24,5,1040,5,799,5,279,10,684,10,39,3,540,10,2362,5,734,17,506,34,294,27,332,10,570,5,751,5,254,3,2550,3,953,4,447,3,780,13,1874,10,4018,4,1727,3,909,5,1816,21,1852,14,280,5,661,3,2579,3,462,7,974,5,292,16,493,9,322,3,4121,3,3148,3,3369,3,660,17,541,5,738,14,4546,3,337,6,194,23,2934,4,12,20,632,12,428,4,299,5,3119,3,538,16,607,3,1149,4,749,4,576,12,535,9,645,16,1678,3,1400,5,1172,5,20,6,962,4,1223,7,3537,4,602,8,805,30,361,14,2336,3,801,6,823,6,767,10,8,6,78,9,3709,3,775,14,268,8,724,6,225,9,185,7,2,13,117,4,574,11,836,3,1944,3,917,12,1932,3,712,3,82,16,1317,3,2089,3,23,3,1067,6,2031,3,231,5,3781,3,2949,4,2365,5,32,26,115,9,2399,6,2577,5,939,7,3529,3,3285,4,1388,3,51,9,433,5,475,7,1020,5,1392,6,1908,4,1975,4,852,3,1949,3,2439,4,1303,4,37,4,984,6,2009,3,85,3,282,18,4093,3,528,6,139,3,2242,5,93,3,4336,4,30,11,118,34,497,18,4311,3,2946,4,441,8,1873,4,2052,4]],"26":[4351,734,[21,66,596,3,4601,4,82,253,240,6,161,18,634,21,490,4,261,8,10,41,4,20,22,181,148,17,7,217,292,21,1516,9,24,41,133,8,2,191,1,343,4650,4,1595,3,15,15,5,189,3350,3,17,41,1394,9,2631,7,115,64,165,32,150,12,367,32,1044,4,90,5,506,3,141,4,190,9,126,5,1457,4,52,46,23,9,169,12,80,7,376,6,53,3,151,12,36,20,1219,4,576,9,167,3,40,22,347,5,1449,9,1393,18,2993,3,588,4,358,4,6,48,20,27,2004,4,3317,3,665,4,85,4,3303,3,122,4,645,3,1388,14,1188,9,103,5,117,37,294,6,1074,5,97,15,194,8,623,3,246,15,1392,4,3031,5,385,4,3,23,16,19,1775,7,1628,3,50,17,33,96,727,7,139,66,229,7,112,9,9,4,1223,3,2565,3,71,3,1852,5,486,7,776,7,468,5,268,5,651,5,99,3,293,6,11,14,538,4,5400,3,66,22,77,3,202,9,78,7,225,4,160,6,2477,3,629,3,19,9,1936,3,939,3,67,10,142,8,158,22,2362,3,138,15,542,8,63,5,974,4,137,8,364,5,4064,3,1046,4,1601,3,285,18,3376,3,192,11,13,3,712,5,348,3,395,3,119,12,57,22,54,6,72,4,4311,5,716,4,1119,3,959,6,676,4,121,6,143,16,698,4,403,3,2066,3,433,5,31,6,951,3,1400,3,70,3,540,4,271,12,801,3,108,29,1981,4,105,3,155,3,29,42,35,13,805,3,207,3,69,4,55,5,361,3,37,39,1818,4,948,5,299,3,44,4,149,5,607,6,439,4,678,5,3349,4,3600,3,563,21,185,8,2076,3,3053,4,2692,5,4803,3,1378,4,171,3,247,8,2106,3,1267,3,168,3,1303,5,580,3,8,33,12,5,282,5,1470,3,173,12,1599,11,18,22,2410,4,306,4,2104,4,1262,6,426,15,1587,4,198,12,2442,4,1404,6,3825,4,1184,4,1873,10,132,6,451,6,558,4,1500,8,1114,6,1040,4,419,10,621,4,625,8,120,8,116,4,164,4,1830,4,2980,4,1036,6,1887,4,4431,4,1624,10,1362,4,3738,4,68,8,3567,4,93,8,2494,4,283,4,589,4,494,4,322,4,1197,6,84,4]],"27":[4291,820,[3,18,99,20,1,454,2409,5,676,29,898,8,36,102,29,32,164,8,843,7,2937,3,1446,4,33,37,10,17,26,167,1378,20,5,60,285,52,126,4,102,59,187,3,63,29,349,27,1400,4,2164,12,1327,8,104,23,1646,8,342,13,1046,19,1136,20,6,84,111,45,151,56,1492,3,1112,5,681,7,270,48,1013,5,40,13,119,18,35,29,490,14,640,15,2,204,20,55,7,76,17,27,1405,7,2986,3,2709,4,1243,20,11,16,1324,6,441,8,1126,10,758,7,1259,25,808,3,1047,4,4,19,23,26,731,16,496,5,790,6,2212,3,80,18,556,16,1121,7,547,20,227,4,461,6,329,3,78,5,1565,6,1213,5,242,8,712,5,504,5,82,21,765,10,2238,8,1589,6,2122,5,2578,5,440,4,67,5,511,10,180,5,1867,3,121,14,1454,3,1083,23,905,20,623,15,192,8,69,10,161,22,453,6,1877,3,552,9,500,5,1534,7,195,5,717,4,2106,3,512,3,531,9,4989,5,1361,3,1382,3,1142,18,149,7,503,4,143,4,925,5,123,11,2100,3,1168,4,182,4,1533,3,608,6,2546,7,1421,10,320,18,48,20,2279,3,1535,9,37,7,1235,3,189,7,265,5,457,3,160,9,70,12,635,14,179,6,701,7,318,15,2118,4,51,29,709,3,3368,3,647,3,245,5,371,5,1979,3,278,12,989,3,2127,4,155,4,139,19,18,16,1061,6,580,5,705,10,1683,4,93,8,292,10,385,3,113,16,2134,3,334,8,91,8,201,9,2089,4,3425,3,34,4,199,6,332,5,1955,3,1056,3,24,13,173,3,1042,5,9,11,871,8,899,3,3459,3,44,17,625,4,136,3,38,12,356,3,1857,3,2311,3,197,4,862,13,57,3,845,3,15,3,286,3,140,6,231,3,158,6,1813,3,1188,5,88,10,2001,5,96,10,2974,3,1649,3,528,4,330,10,601,3,2603,3,2038,4,116,7,156,6,71,7,108,11,584,4,502,5,4404,4,617,4,807,5,105,3,3114,4,606,3,1379,7,598,4,1543,4,529,4,62,3,1391,3,497,3,1555,3,3222,5,2634,3,16,6,1854,3,5349,3,1102,3,718,5,2181,3,344,4,2880,5,8,6,895,3,3834,4,2321,3,3036,3,1631,3,2102,4,3548,4,2342,4,4614,3,1070,3,77,5,3075,3,291,3,92,8,1986,4,1412,5,32,41,4134,3,1114,3,3313,3,2599,4,340,6,132,6,50,4,3200,4,125,8,118,6,2101,4,1698,4,1373,4,184,4,3349,6,1873,4,2612,4,954,4,903,4,19,4,2946,4,2187,4,4868,4,555,4,1622,4,1900,3]],"28":[4131,631,[2212,3,347,3,1677,3,40,36,5,81,1148,7,149,3,121,22,681,3,111,19,4,23,2,268,1292,3,7,326,102,31,11,7,1046,3,529,14,1879,4,231,17,77,21,332,8,78,24,26,142,1,335,1047,3,1991,6,599,3,925,3,686,6,24,19,1530,6,490,5,180,9,1243,4,10,6,500,9,452,3,105,14,99,12,2463,4,765,7,1798,3,151,9,37,38,1056,3,1022,7,1544,4,234,4,15,42,6,86,1052,3,1829,5,1883,4,199,19,299,5,3351,4,3616,9,958,4,29,31,292,10,474,5,1746,3,182,5,1766,3,156,19,35,13,139,19,82,57,1114,8,935,4,50,15,871,17,2692,4,601,5,1296,12,8,82,531,5,34,4,18,14,598,6,705,4,33,40,309,3,3964,4,51,39,889,9,635,4,2051,5,69,5,5579,3,143,3,2118,4,195,3,425,9,2243,3,884,4,209,3,92,28,596,5,70,4,1710,7,31,3,1071,3,4226,6,1592,5,1213,3,2341,3,1549,3,403,47,132,9,285,19,1158,3,2001,3,247,33,853,3,1555,3,108,20,3305,3,16,3,954,5,1698,9,3,13,249,7,525,5,265,6,1405,3,270,3,19,19,23,27,95,7,88,3,161,13,291,7,3445,3,17,19,340,12,3311,3,1655,10,12,9,453,13,745,3,718,7,1075,3,2342,5,54,5,411,11,93,3,376,7,320,5,283,16,385,5,2173,5,2927,3,20,17,5094,3,5865,5,1646,6,1561,8,1618,4,322,14,293,10,101,8,951,4,498,14,67,12,1765,6,14,42,30,23,44,26,3496,4,306,12,1881,4,5023,4,3095,4,1453,6,1387,4,1481,4,622,6,131,6,115,12,2231,4,63,10,943,6,1479,4,2238,4,91,10,1606,4,197,14,2593,4,2852,4,216,6,2941,6,36,96,1464,6,625,10,773,3,1273,5,3424,6,794,6,2120,10,3413,4,1424,4,521,4,4015,6,98,4,621,6,158,4,1961,4,1797,6,1070,8,1307,4,318,4,325,6,57,8,1323,6,227,6,3419,4,223,7,5631,4,2532,6,126,6,155,3,2429,4,845,4,1535,4,1900,8,1570,4,116,4,1121,6,488,6,1985,4,1608,4,3492,6,1142,4,110,9,2777,4,300,4,1235,6,367,4,2349,4,4658,4,1826,4,2040,4,2043,4,3960,4,2332,6,1298,4,1629,4,39,4,451,4,447,4,238,4,2093,4,2599,4,85,4,4494,4]],"29":[4097,258,[1997,25,1,152,15,125,2,1011,11,14,8,71,88,8,280,22,72,28,20,219,103,38,122,10,213,26,7,179,40,40,439,3,465,169,209,213,197,10,503,5,701,4,34,40,98,69,583,4,139,4,5126,3,411,3,444,3,41,9,231,74,63,19,1694,8,428,4,59,5,48,10,180,6,84,49,64,10,58,8,14,44,2906,3,37,38,25,5,57,10,89,301,101,40,113,7,141,44,50,19,4560,5,51,3,286,91,93,13,250,5,2035,3,104,3,95,41,424,5,80,9,372,3,35,3,1929,3,311,18,32,8,650,50,1724,16,19,85,200,13,125,11,33,5,369,11,71,3,124,13,46,31,68,22,114,47,1658,8,963,6,828,6,451,6,1540,36,199,4,747,5,1106,4,223,4,31,4,406,8,293,4,2157,4,110,4,2414,4,508,6,1215,4,761,4,3551,4,149,4,108,4,216,3]],"30":[3994,480,[42,110,111,7,28,319,2034,8,314,6,13,135,83,39,1,437,2187,10,36,29,2556,5,47,45,132,52,1253,6,25,57,1077,13,43,58,237,19,2841,8,51,3,2519,3,76,129,323,20,1090,4,619,11,2779,3,1626,7,156,30,82,11,1125,11,53,237,3435,3,1699,10,691,4,231,7,3,24,1479,6,292,13,985,6,383,27,39,10,1693,3,1677,3,102,7,146,46,880,15,1121,13,2072,7,666,12,312,24,2823,3,163,56,453,8,664,7,446,26,711,4,1565,3,558,13,492,19,1886,3,847,23,2478,3,318,24,500,4,5070,3,725,3,1240,4,565,3,340,7,541,10,1356,3,3594,4,1983,3,739,25,1881,7,993,5,403,3,2915,3,78,18,474,4,1553,5,381,7,121,24,49,98,4757,4,5460,6,283,14,714,20,61,22,186,56,1016,18,2278,6,686,8,949,4,14,3,336,32,2888,6,2902,4,2395,10,33,14,2606,4,161,14,543,10,2770,4,5030,4,1698,4,4422,6,309,14,1079,12,3179,4,241,34,3516,4,3508,4,6,12,1559,10,1006,6,2829,4,2158,4,1297,6,1338,4,126,6,1187,6,2343,6,483,18,1302,6,718,14,115,4,151,10,29,14,1482,8,26,18,943,8,598,18,199,4,3507,4,1549,4,4919,5,1199,4,1583,10,15,4,3940,6,142,4,1032,4,144,8,1162,4,861,10,3289,10,1827,6,1359,4,4379,4,1346,10,2680,8,2730,8,1508,4,214,5,116,4,954,6,2226,6,2663,6,1022,4,2635,8,486,4,2860,4,21,8,1318,8,229,4,155,12,368,6,3690,4,596,6,22,8,251,8,148,3,52,6,1277,6,758,12,528,6,3319,4,1544,6,1120,8,2,12,5192,8,18,8,4051,4,1151,4,509,4,20,4,5102,4,2190,8,497,8,4473,4,1683,4,55,4,3965,3,2769,4,2371,4,2149,6,678,4,2461,6,3544,4,5988,4,1664,4,306,4,3739,4,4622,4,3990,4,1323,4,2173,4,3615,4,1023,6,1966,4,2060,4,616,6,815,18,3689,4,1434,4,928,3]],"31":[3716,520,[209,21,15,67,41,36,11,61,2,1242,71,16,19,175,124,18,34,64,1752,3,889,4,58,13,235,3,1,231,590,8,122,13,14,52,98,13,1958,3,698,5,495,3,80,19,36,37,73,12,449,5,7,150,370,5,92,4,1207,6,808,11,413,3,35,5,40,12,3728,3,864,6,135,4,8,75,48,22,349,6,151,8,1043,3,669,4,173,8,307,9,37,31,100,4,57,11,64,18,1410,4,502,14,177,4,72,57,835,3,201,3,862,4,68,21,101,6,44,3,84,13,2156,3,389,8,104,6,319,4,2690,4,125,9,1210,4,158,3,2859,5,20,44,833,4,87,3,3900,5,179,7,356,3,831,3,3001,3,663,5,838,5,99,6,155,8,372,3,50,34,180,6,59,6,265,3,90,4,1226,4,342,7,1008,3,95,3,600,3,910,6,3087,3,771,4,345,3,435,8,1068,3,182,17,3359,6,86,3,2884,3,328,3,3964,3,1631,3,164,3,1478,4,5293,3,2812,3,508,6,455,3,63,11,200,7,32,3,746,3,252,5,5395,8,1669,6,513,4,471,4,127,4,94,6,559,12,418,4,223,4,46,44,69,25,1041,6,451,4,212,10,662,4,105,8,251,4,110,4,281,5,216,5,919,4,5372,4,819,8,1175,4,333,4,210,4,4808,4,3500,4,658,4]],"32":[3134,409,[25,147,37,8,2,45,165,21,21,95,242,3,17,16,169,11,3,105,42,6,15,11,814,3,29,7,5,202,1,142,368,18,63,6,150,21,117,117,611,4,4,5,8,48,273,7,19,4,27,91,36,10,23,13,6,32,20,22,47,92,66,27,871,3,2030,3,131,3,43,76,181,33,97,6,7,38,665,10,99,6,55,6,10,29,108,22,89,4,9,6,474,11,53,14,14,3,50,9,133,65,237,33,16,8,851,3,845,3,69,6,61,23,231,3,12,19,116,8,1595,5,261,15,144,59,139,4,146,24,433,3,126,8,241,22,767,3,565,4,377,4,18,7,303,5,252,7,76,92,80,4,1240,5,57,17,185,16,1874,3,3165,3,60,7,229,30,83,28,293,5,283,4,167,13,142,19,92,12,103,7,239,6,194,14,246,31,302,13,282,9,121,3,137,6,711,9,271,14,163,9,70,3,941,3,44,8,1542,3,111,3,1404,7,156,11,202,5,2526,3,13,5,4216,3,348,3,26,13,419,11,602,6,102,6,1388,3,962,3,927,15,1099,5,678,16,78,3,534,3,1781,17,1281,9,33,5,928,4,1504,4,616,11,155,16,1732,4,31,6,1362,16,2415,4,65,4,32,10,67,4,331,4,312,4,22,10,129,4,100,4,182,4,1426,4,199,6,383,8,132,6,2986,4,214,10,1235,4,634,14,507,6,469,8,28,4,3504,4,112,4,74,4,118,4,3299,4,4654,4,1382,4,2758,4,1242,8,223,4,3205,10,815,8]],"33":[3112,441,[3448,5,143,164,1,278,13,16,88,10,192,65,8,413,1862,5,17,71,622,10,104,100,318,34,1071,6,93,80,676,28,148,31,2212,3,10,11,1533,3,9,73,1236,3,38,29,1006,9,15,11,306,27,555,7,2243,4,61,6,2106,3,2941,3,12,78,6,41,608,3,1048,4,369,4,60,13,11,8,116,13,556,5,31,5,248,3,36,14,5,24,3180,4,180,3,441,22,334,11,47,3,43,4,447,3,181,47,7,6,14,47,126,5,172,5,27,7,16,29,2118,3,278,4,161,15,2,58,66,5,30,21,20,11,521,7,357,3,3564,3,265,7,108,21,105,5,503,5,57,6,739,3,509,6,2311,3,227,13,50,10,1002,3,601,6,1637,4,63,3,544,3,450,24,42,3,55,4,32,5,1377,5,310,4,23,9,173,4,323,4,729,3,496,3,62,3,2324,3,978,4,100,4,77,5,184,6,24,3,86,4,21,11,377,3,33,29,84,4,99,7,1456,3,391,5,48,5,266,4,28,3,51,4,119,11,1902,3,147,3,2238,4,1203,6,761,12,3137,4,302,4,1700,10,1387,3,577,4,22,17,186,4,29,10,207,4,483,4,3,12,223,4,197,10,1888,4,78,10,1146,12,931,24,199,4,110,8,67,10,303,4,1346,4,131,4,112,4,2271,4,2777,4,96,4,1989,6,1683,4,3234,6,1024,4,44,6,1056,4,176,4,5331,4,163,8,1313,8,727,6,5164,4,3360,7,54,10,5911,4,481,4]],"34":[3144,875,[2639,3,272,4,2204,3,1,454,556,4,944,7,360,6,916,12,204,16,134,25,106,22,732,3,250,5,109,246,429,5,314,5,205,8,154,9,324,6,3121,4,830,8,1409,6,980,3,187,18,374,16,280,8,965,8,274,32,611,5,1348,3,1680,5,1107,3,1029,7,1095,14,197,18,2585,9,452,3,1228,7,400,3,254,8,524,15,130,6,149,7,183,10,166,4,387,6,2211,3,2626,3,2034,3,381,58,209,10,1053,4,439,17,572,4,375,3,295,7,960,4,350,3,532,3,888,5,82,5,973,4,62,14,1084,4,235,6,315,22,1469,8,840,6,480,3,755,4,95,17,135,4,100,3,56,4,481,4,258,4,212,5,260,3,208,61,4923,3,523,5,545,3,568,21,191,23,963,7,431,8,614,5,573,4,330,10,735,5,91,8,417,3,628,3,90,14,1963,5,366,3,103,9,93,13,128,3,467,4,145,5,610,3,1266,3,753,3,806,5,585,3,4561,3,108,8,4664,4,189,5,397,4,1222,4,476,5,1763,3,938,3,913,3,4019,4,642,4,896,4,1442,9,1372,7,1321,4,25,5,463,4,88,7,2083,9,413,3,265,3,180,3,786,3,153,5,2303,5,228,3,298,3,1150,7,402,13,2891,3,284,5,2191,9,613,8,832,3,527,8,1268,3,895,3,1721,7,1759,3,2256,5,1386,7,326,4,567,5,379,3,177,6,682,3,2755,4,73,8,1124,9,695,11,1195,12,2702,3,3667,5,2388,3,1480,9,5048,5,363,6,384,8,405,3,1312,11,430,9,3100,3,2512,3,789,3,1686,3,473,8,1339,3,525,3,2493,3,491,7,820,3,345,3,3135,5,3393,3,1402,3,2202,3,2961,3,782,3,113,3,59,3,756,3,321,25,89,5,1156,4,1875,10,1265,10,3182,4,3827,4,1081,6,873,4,2965,4,5103,4,3589,4,698,4,4917,6,484,4,1128,4,37,4,792,6,2671,4,175,8,4599,7,407,4,3845,4,2059,4,1588,6,1538,4,1839,10,157,4,365,7,107,8,946,4,2734,3,641,4,5854,4,2849,8,241,4,800,4,2096,4,4618,3,1017,3]],"35":[2921,599,[531,3,65,605,200,5,6,30,136,6,2807,4,1236,8,4,98,1102,8,9,11,334,39,3132,14,2570,6,1323,3,617,26,187,43,412,4,1704,8,1071,5,1153,3,567,8,5,86,411,4,25,3,2865,3,1,268,485,4,62,24,1229,3,3,92,1315,11,556,5,693,3,1015,3,119,6,2907,4,23,14,3269,3,205,8,1533,7,3071,4,1454,9,1989,3,624,22,473,23,1955,3,608,3,33,11,39,16,1979,6,1343,5,60,3,140,4,934,10,2,34,10,21,4402,4,2121,10,139,7,1527,11,123,29,314,3,1475,3,712,3,1512,21,1508,3,593,4,14,5,4198,3,3942,9,1435,8,208,6,2782,7,1048,5,2826,3,579,3,24,3,457,3,145,3,1377,4,47,7,92,5,73,9,371,8,3120,12,274,3,8,8,160,4,2276,3,59,6,1797,3,944,3,316,3,18,10,882,10,4686,3,1753,7,3107,5,920,5,30,10,1847,5,360,3,2538,5,3330,3,981,4,87,5,244,7,79,4,4981,3,1217,3,2011,4,90,3,17,4,1330,3,66,5,22,4,612,3,2253,4,224,4,297,3,1603,3,76,5,27,5,400,5,1334,9,743,4,562,3,228,3,1573,17,2703,3,31,8,926,4,363,4,1143,4,103,5,303,4,398,3,12,12,1113,5,326,7,1615,3,16,3,585,5,2271,3,54,4,940,12,2477,6,550,6,53,4,1641,6,2818,4,7,8,1346,4,4889,4,1493,4,257,4,923,4,110,3,1700,8,206,10,426,4,67,6,163,4,38,4,19,4,521,4,342,4,2248,4,85,4,1310,3]],"36":[2665,590,[17,57,38,11,21,29,1,200,846,3,42,8,6,85,126,4,1421,3,5,84,147,11,92,8,8,79,16,18,9,82,151,16,43,3,2,99,52,12,82,4,10,35,23,18,1047,3,22,21,29,25,169,12,3523,8,2115,5,1023,9,182,7,1259,3,7,28,65,5,419,3,194,3,349,5,2971,3,12,80,39,9,105,8,25,7,27,4,37,7,148,16,731,4,13,37,35,4,53,7,3,94,61,3,76,6,28,7,246,5,552,4,427,4,185,6,2653,3,4,7,26,11,2507,3,474,5,2083,3,348,4,66,5,33,12,161,3,54,24,576,3,24,11,14,32,543,3,60,27,570,3,294,3,117,9,15,29,50,7,150,10,86,5,165,3,44,9,506,3,48,8,51,3,233,11,32,12,192,3,63,14,263,5,683,3,318,7,391,3,697,5,11,9,377,3,1457,3,31,7,450,8,18,12,57,10,30,13,590,5,199,9,80,4,20,11,247,3,138,5,357,5,89,4,239,4,282,3,270,3,200,3,99,3,468,8,190,3,248,4,500,3,734,3,686,3,158,6,164,3,544,6,55,4,719,3,1257,3,179,3,78,15,1699,3,625,3,2263,3,201,5,2375,4,223,4,340,6,336,12,2066,4,383,4,619,10,85,4,792,6,1860,4,2122,4,312,6,403,4,492,8,132,16,1515,4,3965,4,3221,4,541,4,640,4,121,4,758,4,511,4,565,4,118,10,688,4,5138,4,1056,4,1797,4,4291,4,265,6,238,4,483,4,1155,6,137,8,77,6,49,3]],"37":[2741,483,[3228,3,4,564,682,9,178,30,87,6,639,5,234,30,1,167,106,21,23,9,75,24,360,5,134,4,3,45,238,22,108,5,2203,6,466,26,3144,3,39,19,28,11,13,23,193,13,2,8,394,3,9,5,130,20,6,40,213,60,1010,3,224,28,33,8,47,16,392,5,785,3,24,21,35,17,873,5,742,4,659,5,138,3,94,23,76,9,8,49,41,12,88,3,254,11,548,12,93,5,2269,5,1245,5,699,32,43,11,661,7,69,4,835,4,5,35,55,25,73,8,25,7,1096,5,1525,3,681,3,14,5,1125,25,970,5,10,9,588,4,62,8,17,5,42,7,359,6,1141,4,12,24,146,10,200,3,127,8,917,3,227,11,539,4,415,4,480,23,689,15,86,14,89,4,83,8,26,3,1926,5,212,45,189,7,1055,3,31,13,787,3,16,14,890,6,569,12,692,6,119,4,30,7,1647,6,549,14,241,6,441,4,107,12,311,9,1890,4,2642,6,2437,4,170,6,184,6,730,4,668,14,36,6,54,4,131,13,20,4,5863,10,3901,4,3746,4,605,4,53,10,543,4,596,4,1422,8,225,14,744,4,82,4,356,8,113,4,175,4,3720,4,404,4,590,4,38,6,45,8,29,4,2152,4,148,4,519,4,3088,4,67,4,2433,4,7,6,1137,4,633,4,1238,4,258,3,211,4,4011,4,221,4,545,4,2636,4,49,11]],"38":[2782,431,[27,325,146,33,21,188,53,63,1,173,111,7,47,97,25,120,43,39,4311,3,61,191,144,25,20,21,76,44,66,40,133,9,684,8,83,23,237,11,576,5,1216,8,348,14,2480,9,167,92,117,29,268,10,283,5,163,26,246,8,229,28,861,4,97,16,1030,3,214,5,1253,4,26,13,563,7,734,3,565,3,301,5,1392,3,261,10,280,3,716,3,939,7,150,9,1198,4,1626,3,240,3,851,4,1526,3,165,14,602,3,161,6,3,4,36,3,132,15,445,7,775,7,3536,3,2187,4,312,13,453,4,102,12,194,9,1242,3,82,10,156,9,1403,24,121,12,155,4,282,15,368,14,1240,5,292,5,3552,4,383,16,337,6,23,3,1199,6,896,3,4912,3,361,6,469,14,380,7,718,5,949,3,1595,4,711,8,142,36,169,5,1187,3,103,7,3566,3,279,5,185,13,880,9,462,3,1016,3,858,4,474,7,2528,3,3594,3,271,6,4029,3,1090,3,273,3,758,3,33,5,199,3,747,3,1281,7,616,3,598,5,815,5,18,6,148,4,1426,4,1359,6,186,19,483,8,446,4,241,6,1338,4,403,4,95,4,2163,4,1294,4,151,4,318,8,6,4,1235,4,306,4,78,4,443,4,8,4,1327,4]],"39":[2664,731,[2,130,98,22,380,5,124,6,234,6,4,6,9,8,5,39,17,3,1,419,335,4,4175,3,1068,3,1678,3,34,10,24,30,2014,4,227,3,6,49,35,39,113,55,90,4,40,10,16,4,158,22,23,12,7,112,347,17,179,4,464,4,10,21,4967,4,405,3,31,4,11,13,614,5,8,18,475,3,4277,3,71,34,319,3,325,12,28,3,76,4,195,3,364,30,494,4,3296,3,83,4,698,3,173,5,1219,10,3213,4,29,14,62,4,25,10,182,3,1067,3,503,3,19,9,2284,4,112,3,344,26,404,3,210,3,100,4,727,3,137,10,1404,6,631,5,1262,5,60,15,672,11,38,4,222,4,2800,3,801,3,951,4,660,3,26,31,22,10,27,3,54,4,470,3,96,7,266,8,63,14,1438,3,601,4,14,4,33,12,1251,3,1051,3,55,7,32,5,66,5,2581,3,1332,5,57,8,1377,3,5762,3,120,4,1114,7,37,8,239,3,746,3,127,3,1990,5,59,5,161,3,1175,5,51,13,199,5,80,3,293,7,552,3,101,10,4901,6,589,16,164,24,516,30,1596,4,3289,4,1075,4,689,14,165,4,178,4,2728,3,5875,4,3363,6,849,14,156,10,206,4,3156,4,655,4,774,4,1205,4,149,15,13,4,102,4,114,4,175,6,45,6,1500,4,525,4,5103,3,12,4]],"40":[2520,367,[350,13,781,10,624,31,100,78,1,579,556,16,362,14,2196,6,87,31,1306,9,3782,10,5546,9,1080,5,4508,3,1536,14,5785,3,4046,3,1468,7,202,3,629,13,2024,8,991,13,320,5,154,26,296,32,1704,5,1821,8,934,10,1275,11,20,28,631,36,728,38,1763,12,174,21,316,18,1183,11,1679,5,4306,3,790,4,2939,3,1259,6,384,6,1381,5,3159,4,334,25,3892,3,727,14,3890,3,3779,3,2697,9,603,10,262,3,842,12,1287,18,155,7,284,10,2904,3,5856,4,1649,7,225,36,371,15,653,15,4386,3,1668,4,4157,5,255,4,4198,4,1291,16,1010,8,1389,8,1322,3,1369,6,1060,4,2127,6,1941,5,713,3,586,5,1065,3,2033,10,158,14,3383,3,5859,3,2312,3,352,5,1853,4,4075,3,579,8,2668,5,399,5,3287,3,3192,7,879,25,1913,4,2089,4,2591,5,2508,8,5015,3,545,9,1311,7,3040,7,2148,5,199,11,3117,4,86,32,2522,5,4421,4,2076,6,1733,4,1828,8,682,16,646,4,5912,3,1914,18,1539,9,1823,8,863,5,2776,7,244,5,1079,8,4988,4,326,11,3438,3,2905,5,2938,10,633,58,3282,3,733,17,4192,3,2460,5,1558,8,2039,11,984,4,1788,4,1807,4,557,11,3978,4,2265,23,4365,3,3578,5,533,11,382,6,1448,3,1298,3,2266,7,2248,5,549,11,643,11,1837,4,1519,9,1924,3,2333,7,992,3,4196,8,5688,4,2777,8,4224,4,1249,8,4913,4,5549,4,3129,8,5284,6,1579,6,2747,8,4152,6,5142,3,3485,4,3923,6,3561,4,5796,4,3068,4,37,8,4933,4,2503,4,3381,4,779,12,1953,4,5548,4,2402,4,4938,4,5697,6,5316,4,1890,10,1750,10,5677,4,5914,4,3281,4]],"41":[2505,434,[2,203,9,115,38,44,13,119,42,43,25,97,11,19,47,28,14,32,1,159,53,41,1955,3,76,31,27,72,43,17,5,39,21,43,163,5,144,10,17,8,48,9,266,5,7,18,83,14,28,41,136,3,12,126,619,3,20,16,3660,3,61,15,200,3,1568,5,23,9,80,3,15,15,16,5,237,5,6,56,60,12,34,6,1219,4,35,7,36,9,1908,3,3409,3,565,5,32,25,24,15,182,5,30,88,146,14,121,3,3637,3,91,4,241,13,51,10,666,11,44,12,1628,4,1277,10,716,3,26,9,10,19,725,5,599,5,40,3,474,3,66,4,147,5,82,6,97,4,86,3,102,8,131,5,29,29,985,3,1375,3,322,5,794,3,4132,3,111,4,2086,3,54,9,4,5,84,3,199,4,605,3,151,6,158,8,106,8,2802,4,170,4,85,6,497,6,112,3,33,14,186,10,110,8,67,6,63,6,19,8,50,4,658,4,470,8,8,4,1625,4,129,8,4805,4,3264,4,729,4,252,3,543,4,155,4]],"42":[2466,359,[1,157,2793,6,52,531,26,56,4548,4,1553,3,1604,7,2138,11,320,45,7,130,529,22,318,4,468,32,292,41,599,9,1601,11,2360,5,72,11,36,19,121,32,1444,3,2418,4,2,63,155,31,3538,5,3649,3,1052,12,452,25,139,16,1620,4,93,14,1273,7,2809,3,4349,8,111,24,1628,5,943,6,1356,9,1047,7,958,4,340,6,5,43,774,4,291,15,425,24,150,53,1049,14,474,11,2838,3,104,5,6,11,2307,6,1132,6,325,3,1246,22,53,18,1723,8,758,5,113,5,725,24,765,12,332,4,447,4,625,21,1778,6,1162,3,30,11,1253,5,1479,12,441,5,247,6,493,4,1888,9,51,49,156,30,1810,9,3101,3,664,10,40,16,33,3,35,10,82,11,29,5,1884,4,851,8,10,4,1338,3,1760,3,115,3,2341,4,1060,5,1400,6,1158,3,3284,3,1360,5,283,9,2240,3,1848,6,1533,3,63,3,1126,3,596,8,105,3,14,10,2546,4,101,3,17,5,1626,5,717,3,3935,5,411,3,1005,3,1746,4,2038,4,11,3,3024,6,1927,3,44,5,2495,3,344,4,132,5,4282,4,186,3,37,3,293,4,8,7,870,3,1548,3,2640,5,143,3,19,13,15,6,98,8,4,4,3850,4,18,6,1227,4,794,4]],"43":[2386,332,[22,490,156,25,21,178,361,9,436,10,296,11,6,8,26,117,36,23,542,5,133,14,674,20,97,51,994,3,570,10,1,86,1754,9,1198,9,468,5,103,25,185,9,751,6,111,76,878,4,939,11,236,80,66,59,421,9,169,40,661,5,102,8,1425,4,823,10,117,21,1276,7,724,12,618,3,769,3,799,7,540,12,966,6,581,13,538,5,283,11,268,10,292,19,20,10,1040,3,190,18,5,3,475,6,3,19,165,30,805,3,240,16,645,12,120,17,4632,3,1678,4,1216,4,273,17,576,3,9,10,1643,4,301,8,150,11,948,5,3148,7,2290,3,337,5,535,16,202,27,1223,3,447,6,1030,3,962,3,738,5,4,7,4073,3,279,7,29,7,95,6,836,4,515,3,348,4,734,9,433,10,767,6,1661,4,3296,3,1283,4,78,3,380,3,271,6,294,3,984,3,148,4,194,9,142,4,469,4,1317,3,852,3,1036,3,3285,3,225,6,1196,5,410,5,299,3,546,5,921,7,1178,6,1567,3,607,3,2601,6,1103,3,2009,6,462,5,660,4,228,3,776,3,896,11,314,22,44,4,1323,4,470,4,14,4,747,4]],"44":[2192,244,[27,262,9,6,61,67,13,357,25,66,21,22,1375,7,111,5,28,150,144,15,10,30,1,44,292,4,42,29,543,7,22,31,83,7,43,20,47,20,16,22,76,9,3,51,105,3,7,24,161,4,248,3,619,3,5,22,52,5,17,11,23,9,6,38,51,7,39,3,55,6,173,3,26,5,115,9,54,8,24,17,32,15,80,3,49,71,36,16,38,16,2648,4,186,14,30,24,4817,6,12,16,8,9,155,4,14,16,18,14,102,8,240,4,2,24,169,4,44,9,78,12,127,8,31,4,98,12,541,6,147,4,67,8,739,12,129,6,1700,4,165,9,53,4,2223,5,266,38,126,18,426,4,15,4,63,6,20,4,2109,6,92,4,312,4,132,8,241,6,1023,4,29,10,118,3,3567,6,190,4,151,3,5699,4,488,4,336,4]],"45":[2021,298,[251,6,48,4,3,103,1000,13,1706,10,137,4,29,10,16,18,14,8,257,22,36,15,27,16,21,6,129,6,175,52,107,61,788,40,12,16,23,16,28,56,41,28,6,54,18,20,42,26,4,26,25,14,2,79,13,93,43,18,24,12,22,16,1,101,47,4,67,8,1774,4,10,16,908,4,39,11,2898,4,38,8,179,4,744,3,7,20,520,18,17,44,1139,4,31,6,54,16,848,6,322,4,33,12,275,4,739,4,1375,4,365,4,53,28,497,4,5,25,1654,10,2521,10,51,4,163,6,30,12,173,4,105,4,969,4,2372,4,15,8,201,4,1826,4,200,4,184,4,60,4,2204,8,35,6,78,6,8,20,131,6,76,18,26,4,20,8,146,6,158,6,126,4,144,8,104,4,231,4,241,6,72,4,621,4,138,4,845,4,19,6,800,4,83,9,5294,3,186,4,2984,10,32,6,795,4,3792,4,151,4,44,8,82,10,65,3,214,4,37,4,954,4,1090,4,49,120]],"46":[1910,254,[8,54,5,119,6,94,3,147,84,4,275,7,20,9,18,37,1,77,16,51,35,10,15,4,21,3,17,72,2,50,13,11,24,29,44,11,23,21,7,50,26,23,10,34,108,3,31,32,67,11,461,5,188,11,426,5,9,5,57,5,51,5,29,18,238,6,509,4,74,7,126,12,40,6,78,22,231,4,12,16,168,4,28,12,14,7,102,8,105,12,69,8,33,20,38,4,30,40,173,6,4,15,22,8,161,12,70,18,39,10,356,4,41,12,1116,4,127,6,325,5,19,8,82,6,341,4,147,12,1808,4,96,22,129,14,118,4,115,8,53,6,37,5,180,4,186,6,137,4,4244,4,85,4,336,8,60,8,353,10,621,4,54,8,211,6,113,4,143,6,132,10,542,4,101,6,223,4,77,4,36,15,470,4,63,6,216,3,139,4,165,8,1123,6,111,4,46,4,492,4,1354,4,622,6,110,4,55,24,541,4,138,4,182,4,65,4,169,4,98,4,27,4,910,4,404,4,300,4,1765,4]],"47":[2166,393,[9,39,22,286,194,35,2579,5,2318,7,1,102,97,80,1220,11,133,27,3,35,966,7,150,11,436,10,156,26,6,13,66,96,240,10,538,11,169,21,185,9,778,28,1196,3,44,3,1424,9,1736,7,645,12,419,18,102,10,817,3,2818,5,250,9,299,5,103,20,332,3,236,13,2964,3,2,11,1425,7,296,4,1566,4,165,19,948,8,570,11,738,5,5,24,634,4,651,6,574,13,775,5,20,15,1242,6,273,11,1267,6,1392,6,78,10,994,6,514,6,190,14,301,11,82,27,36,15,117,7,4210,3,120,44,2341,3,1460,4,268,7,611,5,228,3,410,11,1975,5,51,9,769,3,21,17,2288,3,749,11,111,13,371,9,1411,3,632,3,684,3,4201,3,361,4,16,5,348,7,1744,3,2362,3,2477,4,2934,5,734,5,14,11,93,3,469,3,799,3,32,22,660,7,475,7,282,28,1556,3,468,6,380,11,155,10,12,8,1650,3,246,4,195,4,142,18,2030,4,386,3,1401,4,3576,3,3394,3,1944,6,953,3,546,6,535,3,26,3,1661,3,462,3,1301,6,1040,5,1818,3,433,7,1885,6,528,3,37,5,982,3,38,3,7,3,1293,6,540,4,2008,5,1067,4,1400,3,974,3,1500,13,1197,3,939,9,283,4,271,9,665,4,607,3,30,3,308,42,11,3,173,4,29,4,1184,4,33,4,98,4,4292,4,5496,4,1089,9]],"48":[2077,560,[113,45,1,229,3729,3,59,12,608,9,2861,4,366,14,88,8,375,5,2617,6,821,18,219,40,1843,14,806,5,3,24,1609,5,1380,3,894,17,413,16,2241,5,2159,3,626,7,1443,13,786,6,159,12,1598,4,135,3,25,9,952,21,800,5,1350,6,71,4,1869,3,1122,3,487,4,1216,4,995,5,1429,5,1019,3,79,8,108,3,1345,9,591,3,3428,3,27,92,387,8,523,4,1951,6,973,16,1266,3,458,13,136,11,2131,5,1084,5,187,5,253,20,1498,8,9,4,245,73,667,24,12,5,344,6,2200,4,2563,7,343,7,1644,4,1133,5,13,6,777,5,1987,7,2674,3,709,16,62,10,374,14,164,13,912,3,334,4,177,7,104,4,4096,6,267,4,303,7,119,4,166,3,963,3,481,3,1977,3,1305,4,95,3,1181,10,937,12,39,4,21,6,431,5,89,17,2,4,867,6,4908,4,140,4,5067,3,152,11,286,9,1709,6,1607,4,936,10,1337,12,1762,3,76,3,6,4,1659,6,1805,3,2099,3,3841,3,1331,6,2900,3,762,11,1552,5,42,3,1784,4,1501,3,1580,7,208,3,1231,7,1312,3,1390,5,1078,3,987,3,4251,3,554,3,405,3,1208,4,3547,3,61,28,227,3,2520,3,1493,5,16,6,2527,4,2658,6,45,4,206,11,114,8,2953,4,161,4,321,4,100,4,214,4,356,4,4524,4,186,4,1366,8,3699,4,4068,6,1021,4,305,10,1161,4,1373,4,4243,4,5042,3,568,4,1347,4,2551,4,890,4]],"49":[1922,724,[1537,4,373,8,1,231,567,4,7,90,183,3,88,5,3,16,180,3,103,4,136,4,133,5,279,10,119,5,92,3,57,9,51,15,14,8,67,3,349,3,239,6,26,10,52,9,2,76,33,6,194,5,161,9,225,6,307,3,285,4,97,3,18,3,73,14,55,3,6,10,679,7,5,8,40,9,29,5,20,22,157,41,557,5,891,7,378,18,868,8,1617,14,889,3,82,7,549,8,212,15,250,4,1037,4,4321,3,44,6,234,3,3127,4,8,29,4953,4,39,3,604,9,89,4,1439,3,109,3,1714,3,1430,4,1832,3,125,7,365,6,21,5,402,3,3213,3,1001,15,30,6,677,7,37,3,108,4,69,3,1063,3,558,6,628,4,2194,4,35,3,315,6,100,4,376,4,481,3,5418,3,837,3,1161,7,293,5,197,3,121,3,1470,3,168,3,19,9,171,8,264,7,258,3,597,5,3301,9,605,4,15,5,1152,10,607,3,292,4,50,4,787,4,2106,3,61,3,569,4,45,9,409,4,432,6,1272,3,2328,3,175,18,213,7,924,11,4692,3,754,3,803,3,106,6,226,3,828,5,13,3,2682,3,2452,3,1319,4,1780,3,321,13,1209,3,596,3,3991,3,848,3,28,3,644,5,994,3,2623,3,602,4,437,3,424,3]],"50":[2043,421,[109,69,2467,5,437,8,519,18,1806,7,784,14,4097,9,2449,3,1,252,3152,5,2399,5,947,4,189,12,1428,3,610,21,95,36,424,26,3467,3,254,5,250,9,228,3,417,72,786,9,196,57,1932,16,1015,3,89,5,2950,5,222,8,873,6,355,4,4072,3,652,6,154,4,1137,3,4966,9,100,9,685,5,119,6,209,3,134,6,255,126,243,7,740,3,153,21,1263,16,3093,20,894,7,469,3,4089,6,397,3,162,3,1395,3,208,5,1439,3,1748,4,315,14,804,3,177,4,920,3,59,3,205,4,797,4,164,5,4559,3,3571,5,1672,3,1059,4,304,36,3436,5,642,6,945,3,830,6,548,8,1432,5,213,16,835,3,1183,3,106,5,184,13,345,7,773,12,1990,5,1823,3,1018,6,430,3,1491,4,508,3,1780,5,475,5,3167,3,611,3,1828,6,414,3,597,37,157,6,4178,4,3819,6,3047,4,659,4,175,11,549,8,1982,4,107,10,170,18,356,12,257,6,432,14,554,4,279,4,1942,6,321,20,3818,4,2411,12,2015,6,1934,4,1688,4,258,6,1878,6,2128,4,136,10,4040,3,1272,8,5035,4,252,19,1460,4,1351,6,464,6,2605,4,51,4,4338,7,1422,4,2390,4,952,4,670,4,171,8,741,4,1249,4,1288,8,3033,11,3040,4,783,8,2682,3,791,6,2710,6,212,3]],"51":[1902,428,[785,4,71,35,73,12,347,19,703,95,5521,5,35,129,1,180,90,6,339,55,1920,4,296,4,59,8,710,3,130,19,392,41,2950,7,37,98,539,16,2803,10,1054,7,480,13,249,4,94,20,560,3,1085,3,3079,3,1176,26,727,5,479,5,62,6,254,5,87,12,162,4,106,8,1569,4,941,54,119,11,818,5,101,8,437,5,1068,3,970,3,438,4,3590,3,454,4,189,3,195,7,1490,3,88,5,243,5,5,8,1945,5,653,4,698,7,493,3,702,3,3651,3,863,3,418,3,3,3,430,19,191,3,733,9,54,3,9,5,2313,5,457,4,12,11,3188,5,499,3,385,11,1026,6,2113,4,108,4,268,10,213,4,330,6,5618,4,45,4,2000,22,18,4,51,36,578,4,30,12,2980,18,167,14,82,6,14,6,3453,4,26,4,5484,4,1151,4,2,6,917,14,302,9,227,26,2217,4,132,4,615,4,927,6,1307,8,2931,4,32,4,93,4,1169,4,313,4,996,6,1174,4,2591,6,279,6,787,4]],"52":[1913,546,[1,252,299,15,531,25,7,97,1121,4,82,3,2,50,1158,9,1405,4,121,50,686,9,3,15,6,38,1766,5,3535,4,40,9,2432,3,1883,4,51,10,1829,4,606,4,4432,3,529,7,1005,13,452,6,92,6,5595,3,1827,3,291,9,4630,3,2279,5,283,10,2578,3,958,12,725,3,10,8,1848,5,1324,3,4,5,2089,4,623,3,105,7,143,4,5,16,676,3,500,9,425,9,270,5,349,5,2986,3,5261,3,161,5,504,13,285,5,3577,3,453,11,1862,5,50,4,11,7,552,4,599,8,29,17,1601,3,249,4,1604,5,91,5,3101,3,3284,4,5527,4,4545,3,2436,4,1879,5,23,11,765,5,935,5,5209,3,340,14,3019,3,1840,6,35,12,33,25,1132,7,37,7,93,8,112,3,2049,3,2490,3,1060,3,1760,3,1079,6,943,3,3413,4,2138,3,3425,4,5490,3,101,4,1937,4,16,4,1548,3,2700,4,132,15,2429,3,899,3,99,3,63,7,1102,3,871,8,748,4,44,8,1534,3,461,3,511,3,954,3,332,3,1296,3,108,6,318,4,139,3,1606,3,1618,5,845,3,712,3,4156,4,2220,3,2043,10,758,5,718,4,596,5,69,3,8,9,158,5,247,19,3448,3,1927,5,1919,4,20,4,61,4,2081,4,2371,6,18,6,3829,4,2040,4,102,6,2287,6,2120,4,985,4,1592,6,1464,4,95,4,584,4,2380,6,1114,7,2263,4,19,4,2310,4,2028,4,1555,4,1930,4]],"53":[1901,318,[5,68,6,25,11,4,1,163,52,254,26,79,14,19,2,72,139,31,40,16,468,9,7,91,3,6,425,15,105,3,195,4,37,11,2380,5,403,11,8,9,599,8,453,7,598,9,121,21,3778,3,51,28,156,21,1243,3,1884,3,29,15,320,10,474,7,1185,5,35,3,63,9,291,11,1049,3,596,11,115,5,64,4,24,3,10,6,1601,5,12,9,231,9,98,5,19,6,340,5,82,11,15,11,1090,3,584,5,309,5,9,3,2038,3,851,3,325,5,714,3,247,7,48,3,529,5,53,12,3395,4,1835,4,322,18,93,8,3293,4,1162,6,20,8,155,10,143,4,3419,4,874,4,625,16,1400,8,1626,4,1114,6,954,10,150,12,2495,4,18,12,250,12,1479,4,1006,6,126,4,1927,6,33,14,36,8,110,4,30,18,4883,4,199,6,1302,4,1292,6,2308,4,718,4,1710,4,44,4,1047,4,558,4,124,4,1318,4,3092,8,607,4,494,4,2654,4,3889,4,2263,4,32,10,2332,4,38,6,89,4,5630,6,4711,3,1338,4,2464,4,4,4,774,4,1075,4,2344,4,3727,3,1046,3]],"54":[1884,290,[2,294,32,62,9,113,7,74,14,60,1274,3,15,24,1,103,12,157,38,71,599,3,500,7,159,4,44,10,91,12,11,20,93,3,200,4,17,11,20,24,943,3,30,103,34,11,72,6,24,13,8,19,86,7,48,7,113,5,712,4,490,3,998,5,62,4,26,9,23,14,63,9,80,4,124,3,307,7,1903,5,266,15,123,5,6,15,234,6,37,8,19,8,40,3,57,3,82,3,10,4,95,4,131,20,511,4,1826,4,16,16,206,4,198,10,29,22,170,6,110,12,3698,6,89,6,164,6,92,5,2531,6,580,4,84,6,118,6,216,6,1985,4,1410,4,31,4,1290,4,1006,4,622,4,1954,6,3238,4,658,6,252,3]],"55":[1884,383,[76,37,25,43,1,141,283,7,21,133,271,3,27,125,776,3,541,3,312,8,2053,9,112,3,163,6,1626,12,1253,4,61,33,241,7,53,64,167,24,1401,5,146,14,29,15,348,12,185,3,714,3,66,22,1360,5,1411,4,237,7,858,4,10,13,42,37,261,7,28,31,47,38,1882,3,9,21,150,5,67,5,1388,3,684,12,13,35,103,10,16,15,36,10,337,3,138,3,6,27,97,9,576,10,738,3,874,3,147,3,691,5,229,21,1223,3,861,7,845,3,132,6,314,4,1194,3,12,4,361,7,3070,3,156,5,144,4,2461,3,142,13,117,9,139,7,2034,5,368,14,546,3,5,6,4874,3,54,5,598,4,3442,3,93,3,1284,5,43,3,711,3,3862,6,1032,11,939,5,497,3,121,6,155,10,2841,5,3594,3,169,3,232,6,725,4,30,6,1392,7,935,4,83,8,851,5,38,4,32,5,3131,6,102,6,596,3,1936,6,3660,5,1693,4,948,3,1111,3,2,6,15,3,880,5,24,16,165,3,1125,7,718,4,1277,4,4065,3,322,8,33,6,17,8,131,8,1134,4,151,4,4888,4,186,6,18,10,95,4,4351,10,1075,4,3,4,129,6,85,6,498,6,511,4,5834,4,49,17]],"56":[1414,295,[25,24,24,13,2,24,17,25,122,79,145,6,8,43,55,7,174,20,141,30,42,39,1170,3,401,9,276,6,1,56,116,3,14,13,796,3,6,58,3,54,7,10,2839,5,859,7,328,30,27,10,21,8,561,7,2077,3,636,5,248,3,154,10,382,13,9,35,47,10,127,17,242,9,5,43,77,4,41,11,1092,9,13,56,4,49,43,9,173,10,11,7,10,11,283,3,33,4,366,4,237,5,26,5,383,3,472,3,761,14,205,3,76,4,31,6,892,3,1806,6,1484,3,408,7,60,3,18,14,138,3,35,6,1416,10,1468,3,36,4,57,4,204,7,29,11,420,6,28,4,613,4,16,6,158,3,67,15,112,3,40,4,30,3,146,4,20,3,61,4,986,6,39,3,15,3,38,3,49,19,149,3]],"57":[1841,264,[2,80,13,142,38,43,9,138,12,74,27,39,34,5,666,11,14,77,1,75,11,25,5,31,1888,4,30,53,691,5,323,21,21,3,42,16,15,9,78,21,43,5,47,10,71,4,144,7,7,77,146,6,4,9,134,3,32,43,28,50,241,7,123,5,314,5,25,19,86,10,6,17,639,9,36,5,998,7,40,12,8,14,1120,3,20,7,391,10,357,4,233,4,544,6,83,4,66,37,50,4,683,4,689,7,63,3,725,5,2525,3,76,4,119,3,91,3,184,5,49,55,62,3,26,12,45,4,214,10,1134,4,142,10,19,4,186,28,847,4,2707,6,53,6,1176,4,2195,4,407,10,118,10,163,4,543,6,541,4,170,6,346,14,226,8,1145,4,215,4,224,3,2335,4,16,4,783,4,29,6,18,4,928,6]],"58":[1659,332,[112,4,6,90,5,177,7,30,18,16,3,61,26,15,17,23,20,64,47,20,36,14,2,63,242,6,23,25,74,15,9,24,1,51,69,8,61,6,8,49,21,14,83,7,172,10,43,10,240,5,11,6,10,21,278,7,13,22,171,6,29,19,111,9,16,20,283,6,1396,3,27,20,185,4,55,20,169,6,24,12,165,6,948,4,144,6,31,20,22,9,33,6,4,11,15,9,611,5,133,6,39,10,76,4,42,5,156,4,12,4,103,7,181,26,84,4,1502,4,60,8,823,7,190,4,92,4,1198,3,99,26,97,6,142,5,767,5,44,4,66,13,78,6,25,6,436,3,32,3,419,3,96,3,53,3,273,4,57,3,173,3,645,5,534,3,40,5,423,3,70,9,651,4,1933,5,54,5,126,3,146,3,30,3,3188,3,1855,5,895,3,125,4,2711,4,217,4,737,4,67,6,3669,4]],"59":[1834,554,[5535,8,4675,3,1,149,1712,4,431,15,227,3,2381,3,3,44,3735,3,456,7,75,8,1536,29,1266,3,362,5,612,9,154,3,2749,33,1278,6,1222,9,39,4,995,3,203,5,1574,4,3721,3,219,17,135,8,887,4,162,16,562,3,288,11,416,6,1231,7,757,3,693,8,4382,8,177,13,1636,5,1078,7,485,7,462,6,4140,3,243,10,1358,3,806,5,2197,15,615,8,366,4,4295,19,613,3,1159,10,255,17,626,3,2732,3,81,20,878,3,204,3,3315,3,159,11,249,7,3167,4,857,9,4847,3,1122,3,196,13,591,4,272,5,390,4,667,4,244,7,859,26,709,7,1408,3,304,4,1390,6,1137,14,316,5,708,3,166,14,656,3,1080,7,918,4,187,88,1784,3,766,6,350,7,228,3,2835,3,936,4,191,3,894,4,130,6,56,19,5690,4,2131,5,1160,9,363,6,4424,8,818,3,153,5,2703,3,3944,3,178,4,900,3,87,12,1962,4,639,6,680,9,1725,3,37,3,345,3,561,3,332,5,209,4,1580,4,603,5,434,3,835,9,387,4,852,4,532,6,1244,9,710,3,1726,7,479,6,518,3,731,5,226,4,1330,5,211,3,804,3,279,3,1113,5,396,19,3718,3,90,3,5,3,2619,8,1552,7,4342,12,174,24,1612,3,1200,3,501,5,4822,5,328,5,1467,3,2325,4,218,4,2108,3,3417,4,2871,3,205,3,340,3,4109,4,569,3,2491,36,871,6,1128,4,121,4,2885,4]],"60":[1833,187,[9,348,12,72,15,33,26,25,2,150,101,7,490,10,8,24,38,72,93,3,1,56,11,25,98,20,30,84,82,9,20,7,6,21,44,30,14,103,340,4,34,5,32,184,122,4,453,3,37,4,102,5,40,4,62,4,385,7,155,15,48,14,167,5,547,3,23,3,29,16,7,28,72,3,391,11,125,12,86,5,2909,3,2107,4,1903,13,3976,3,81,5,697,6,87,3,266,5,63,4,5,34,19,8,10,6,745,4,54,4,67,4,118,20,198,18,110,4,78,8,24,16,470,6,4218,4,131,4,200,4,33,6,31,10,113,4,316,4]],"61":[1820,466,[1,250,320,6,111,7,121,24,3311,3,9,8,96,3,6,47,2091,3,3235,6,102,20,2632,3,884,5,712,4,1213,3,490,4,2380,3,1604,3,1662,3,531,7,7,38,5,17,332,11,676,4,453,4,3,11,29,14,2,82,51,3,1379,4,599,15,26,34,160,3,299,3,596,4,1273,7,161,4,48,3,12,5,270,6,1378,3,155,7,23,11,32,8,156,6,63,5,10,5,2532,3,2852,3,765,7,99,7,126,3,151,5,2287,3,113,7,283,8,318,4,1530,5,77,5,547,3,108,9,70,4,635,9,718,3,1778,3,44,9,189,3,286,3,100,5,149,3,179,5,529,3,20,26,17,18,2106,3,31,3,231,3,845,5,1270,5,1032,8,3206,3,92,5,139,4,528,3,3419,3,82,3,285,11,1079,5,8,3,1188,3,425,3,342,8,69,4,1182,6,36,22,598,4,306,6,951,4,33,8,2851,4,1629,4,265,8,78,7,447,4,14,24,197,4,1421,8,247,16,1961,4,403,8,4294,4,2188,6,2101,4,15,6,19,8,4,12,115,6,943,4,2892,4,2316,4,3586,4,774,4,199,8,1482,6,37,4,1148,4,3609,4,2092,4,3326,4,1146,4,30,6,18,8,411,4,1506,4,4051,4,1075,4,110,3,2384,4,39,4,2410,4,24,6,1405,3,1387,4,1701,4,498,6,340,4,325,4,67,4,38,4,1622,5,4946,4,876,4]],"62":[1539,300,[55,116,21,62,3,84,4,153,27,77,445,3,25,24,6,101,83,4,24,14,43,6,7,19,1,23,8,22,23,24,47,21,5,88,168,4,39,3,9,21,42,5,77,3,16,30,237,3,2,31,17,11,1514,13,10,13,138,6,20,10,194,8,117,6,26,5,13,14,144,3,229,8,1242,5,330,4,167,4,404,4,36,5,34,4,18,6,112,3,38,6,76,4,66,5,29,7,67,12,12,13,65,8,31,18,54,3,348,5,74,6,14,5,99,6,270,4,61,9,80,4,82,3,550,4,472,6,86,3,1403,6,69,8,419,4,368,3,163,3,171,7,1555,4,70,3,102,5,188,6,165,3,11,6,172,3,53,3,44,3,49,7,146,3,2528,4]],"63":[1777,442,[62,20,61,8,59,7,1,201,4,220,1181,12,319,3,27,13,73,67,55,5,937,3,108,11,245,12,142,8,458,6,178,4,827,3,3411,3,344,7,1373,9,113,10,79,4,5,3,454,6,589,3,144,6,18,4,6,15,8,4,246,3,66,3,25,5,260,6,21,6,3,3,523,4,71,41,201,3,1539,7,343,11,473,3,461,3,83,3,119,6,4431,3,351,5,845,3,659,5,2262,5,415,4,309,3,136,9,100,21,469,5,180,4,1175,12,1594,8,184,8,4833,3,3657,4,310,26,1326,7,2326,4,106,18,733,4,227,18,1298,8,2168,4,2378,8,37,47,520,6,346,32,303,4,594,4,101,10,2801,6,164,10,29,6,849,12,930,8,1161,4,1156,4,1003,4,539,6,2007,4,1861,3,4652,4,1402,6,1572,4,940,6,1487,4,1922,6,3608,4,206,4,737,8,4799,4,2259,4,4305,4,4037,4,4138,4,2942,4,1201,6,189,4,4430,4,972,4]],"64":[1462,314,[131,3,126,19,24,24,13,15,57,3,16,39,3,101,17,32,83,3,21,12,5,111,7,27,102,5,23,23,20,34,11,5,27,11,1,56,69,7,4,9,42,4,6,69,47,3,31,16,10,37,2,59,40,5,43,3,36,4,182,3,147,5,25,4,12,7,8,27,574,4,9,10,116,3,436,5,99,3,55,5,70,20,35,7,172,6,39,8,74,16,105,5,173,6,54,5,33,10,60,4,38,11,51,5,96,14,138,5,112,3,18,15,119,3,37,8,66,6,26,6,795,3,77,6,29,16,161,3,179,9,455,5,80,3,61,4,293,4,44,11,15,3,171,7,149,3,14,9,28,3,1110,4,30,8,63,8,158,4,747,4,358,4,211,4,322,4,426,4,129,6,1400,4,76,6,67,4]],"65":[1741,286,[2,169,1466,6,449,11,7,125,2247,4,6,50,98,66,11,22,9,52,1,72,155,105,553,11,37,37,40,8,964,9,444,11,418,3,113,22,34,8,1192,3,8,38,3840,3,15,15,1300,10,29,21,1639,3,105,8,1413,6,319,22,28,6,104,3,1471,6,933,7,238,29,1050,6,10,13,14,30,164,13,20,20,956,6,12,20,72,4,2562,4,80,18,575,5,42,4,329,23,1940,4,38,27,2307,12,3239,3,1207,6,536,6,1068,5,849,5,89,3,5,38,5884,3,235,3,231,7,344,5,1262,4,2400,3,50,3,1414,3,1062,8,3346,4,54,5,602,3,3074,5,30,18,3836,5,1214,4,1051,5,16,4,139,8,90,8,44,3,2696,3,745,11,91,3,3838,4,1850,3,2561,8,326,3,23,5,2036,5,60,3,357,3,367,4,19,10,2107,5,71,3,99,5,1326,4,4,4,464,4,3080,4,129,4,360,4,32,8,22,4,125,4,31,4,118,4,621,4,94,4]],"66":[1596,167,[26,231,2,68,19,5,15,31,6,25,245,4,9,37,13,11,33,61,8,53,34,13,35,63,11,24,16,46,7,18,1219,3,58,5,841,24,5,44,72,6,39,7,29,7,261,3,20,23,57,55,14,97,38,14,172,8,48,11,82,3,80,3,242,3,21,8,10,21,36,8,17,6,3,18,195,21,139,11,745,12,23,3,119,3,293,12,50,7,1,23,12,28,158,3,672,6,217,4,51,7,117,6,1257,7,88,6,173,6,64,4,149,8,138,3,194,3,78,3,32,100,226,9,37,3,27,3,839,4,116,5,63,3,18,9,118,36,198,6,54,6,4743,4,91,4,24,4,1098,4,66,6]],"67":[1636,264,[40,41,20,13,2,197,7,331,15,40,5,94,1,217,80,14,48,17,14,17,98,4,575,3,3,5,220,3,34,5,136,3,84,8,11,7,4663,3,59,3,104,10,8,31,2824,3,64,7,124,8,151,3,746,6,58,4,33,14,156,3,284,4,68,17,19,13,50,5,428,3,17,4,113,12,88,5,37,10,223,6,164,8,726,4,5758,4,46,12,779,4,1682,6,1194,4,100,4,3806,4,4325,4,445,4,234,5,91,6,94,4,525,4,216,8,792,4,546,4,63,8,505,4,3111,6,1326,4,1089,4,6,4,18,4]],"68":[1434,237,[190,7,23,49,5,83,8,89,6,80,28,3,15,8,3,84,475,3,39,3,1,51,14,6,4,24,17,31,97,4,10,18,181,3,22,10,66,6,104,3,534,7,18,15,645,7,3401,3,65,7,2,32,142,22,7,54,24,20,38,3,57,6,98,3,36,13,41,3,282,17,69,7,462,3,92,7,137,6,293,3,2971,6,139,6,288,3,12,40,138,3,60,22,602,4,433,3,40,8,117,3,19,3,112,3,33,16,127,4,266,4,54,7,9,3,182,3,31,8,96,12,74,4,248,4,85,6,364,6,211,6,188,6,99,5,101,4,133,6,281,4,302,10,95,4,26,16,16,24,13,4,50,4,110,3,20,6,78,8,80,4,275,4,30,15,1572,4,105,4,377,4,94,8,70,11,21,4,126,6,55,6,129,4,82,4,29,12,32,4,194,4,336,4,1197,4]],"69":[1533,181,[8,26,4,517,3,49,2,126,10,48,34,16,11,6,361,3,72,5,6,52,50,8,15,13,1,34,48,6,23,24,44,27,9,3,7,44,85,23,59,4,89,3,5,65,24,8,35,13,80,5,17,9,74,9,16,16,31,33,12,8,29,13,57,7,199,3,54,3,63,8,20,4,30,7,125,9,105,9,19,38,37,8,201,4,88,4,293,6,84,3,67,6,112,5,101,4]],"70":[1501,203,[7,65,11,24,5,196,2,159,1,50,16,59,40,8,4,11,10,40,125,3,3,125,29,20,24,37,59,8,20,13,168,5,6,96,34,10,63,7,126,18,35,7,112,4,207,3,39,10,201,3,23,22,9,3,288,3,72,11,31,27,80,4,243,3,26,4,99,10,44,10,30,7,33,4,37,4,18,5,60,3,17,10,105,8,57,3,36,3,423,10,69,8,12,6,555,4,19,28,451,4,74,32,67,10,1441,16,50,6,182,4,15,8,1856,4,3811,8,8,8,101,4,78,6,658,3]],"71":[1537,464,[140,3,106,21,159,93,1358,3,88,5,1,126,366,3,413,48,130,13,212,34,913,4,339,6,213,17,1976,3,709,8,937,3,1133,4,902,4,219,9,65,17,904,5,290,3,191,4,2166,3,3,28,960,13,1520,6,458,9,160,13,760,14,556,3,615,8,431,4,245,24,56,14,135,6,62,10,987,3,394,8,973,3,334,5,667,5,123,7,2617,5,2543,4,8,6,195,4,3411,3,1331,3,6,18,456,3,59,4,4391,3,1429,3,13,4,944,6,28,3,178,6,1843,5,134,6,37,3,73,3,286,3,189,11,762,6,90,3,34,3,224,7,1498,3,2,9,1508,3,128,6,119,3,17,18,1330,3,1687,5,5,8,238,3,103,3,23,3,136,10,1163,6,94,6,520,12,206,14,1211,4,4243,4,29,8,7,3,107,4,67,10,225,14,365,18,1366,6,3919,4,970,5,911,4,45,9,254,4,305,8,4,4,1593,10,1373,4,114,4,54,3,25,4,49,13]],"72":[1575,573,[1,238,735,3,254,17,4081,4,103,4,109,82,437,7,786,6,228,5,297,3,2782,3,374,4,197,12,996,7,740,3,454,3,2065,6,387,6,174,6,95,10,370,3,205,4,295,18,189,5,572,8,2003,3,89,3,636,4,611,3,1825,3,980,3,1029,4,4645,3,154,3,235,5,1266,5,280,5,1442,8,106,15,366,4,1283,3,276,3,1165,3,749,4,91,10,585,4,62,32,2232,3,3353,4,1785,5,487,3,339,7,456,3,1133,3,90,3,183,4,840,3,965,4,613,4,1014,7,916,4,379,13,93,6,1268,4,279,3,1137,3,2266,3,2553,3,88,9,1059,3,2999,3,1763,4,1709,3,171,10,108,7,225,3,321,4,1721,3,533,5,250,4,4189,3,481,7,628,7,1686,3,59,3,508,5,4025,4,650,6,1913,4,1094,4,2303,6,873,4,131,4,212,4,828,8,2225,4,393,4,84,6,71,6,2150,4,3473,6,5151,4,1037,6,2103,8,151,3,378,6,5575,4,679,6,2951,6,2369,4,3911,4,1632,4,3515,4,3461,4,1489,6,3016,3,4738,4,1097,4,2096,6]],"73":[1403,235,[5,163,54,39,14,22,2,55,9,58,4,86,6,82,13,13,121,4,21,5,3,67,300,7,10,67,42,40,8,29,248,20,151,8,17,11,11,7,12,47,23,8,76,3,1,52,39,14,7,14,241,3,34,3,105,7,44,8,180,9,67,3,173,5,50,8,289,6,38,13,32,7,25,3,155,3,57,4,18,17,16,14,15,7,148,3,266,5,131,10,209,3,29,4,33,4,31,6,188,5,36,5,619,3,60,3,503,3,111,4,420,4,253,6,110,3,147,4,19,4,28,4,30,6,223,5,66,4,714,4,129,4,945,4,2296,4,216,4]],"74":[1547,219,[1,64,1510,3,7,136,2,627,999,4,412,3,15,34,11,28,313,28,1026,6,1304,4,352,9,59,5,197,4,471,5,268,3,743,3,98,5,37,16,41,9,708,5,35,6,40,21,64,9,57,7,80,6,86,3,461,3,84,4,254,3,151,4,34,20,19,68,113,7,125,3,20,6,33,3,2345,3,5514,3,14,29,50,14,72,12,46,12,8,8,48,6,101,6,311,4,200,4,797,6,670,12,3464,4,63,8,102,6,994,6]],"75":[1266,264,[28,9,9,81,289,36,131,14,6,54,12,62,2,49,4,58,1299,26,31,12,8,19,39,16,442,10,3,52,10,30,1007,71,41,4,1,53,25,21,27,5,13,11,4500,3,18,7,139,3,587,10,37,3,24,14,2752,24,105,8,92,3,162,3,17,8,14,9,5,30,2867,4,4501,3,11,14,42,6,63,6,7,12,2199,5,29,5,16,8,65,5,40,4,15,6,23,13,35,3,486,16,652,3,54,4,4502,4,177,3,38,4,4146,3,2997,4,248,7,2751,4,3571,3,81,10,93,3,86,4,100,27,1332,5,26,3,450,6,503,4,84,3,32,6,357,3,49,3]],"76":[1467,288,[716,6,21,167,22,206,966,3,301,6,97,18,26,108,1411,6,1219,4,12,13,169,16,6,3,1040,4,1,92,24,5,1647,3,817,5,468,7,588,3,962,5,751,4,1196,4,36,13,1859,3,1393,3,156,13,2601,5,120,6,514,7,634,6,2,4,9,13,66,20,268,7,142,10,150,15,4,3,1216,3,535,3,67,16,111,6,7,5,102,9,776,3,3536,3,296,4,82,6,2800,3,540,3,33,5,2456,3,283,8,1936,5,361,3,801,3,1597,4,20,8,89,4,14,7,32,13,1449,5,190,13,419,7,2135,5,103,4,155,7,1020,3,133,4,78,8,4546,3,1323,6,8,8,2134,3,194,7,38,6,15,6,563,30,1048,4,2316,26,5,4,271,6,602,4,246,15,231,4,3,4,2029,4,30,8,18,4,199,12,607,6,516,6,3753,4,306,4,29,4,497,4,441,4]],"77":[1415,188,[20,31,2,553,444,8,37,11,933,5,449,3,329,11,31,6,536,6,6,14,238,8,5,21,7,53,319,6,32,5,364,3,104,4,16,28,2844,5,1,46,11,6,48,9,98,3,73,4,1471,5,1050,5,1300,5,164,4,3840,3,14,20,964,8,553,3,86,4,41,5,9,6,15,14,1413,3,34,8,113,4,3074,3,58,9,2561,3,2696,3,827,3,19,53,3838,3,3,29,126,18,435,4,1940,5,1642,3,50,5,4658,3,125,5,68,24,30,5,100,4,213,8,74,12,46,27,170,4,24,6,12,4,168,6,23,8,72,6,1697,4,8,6,124,10,67,6,85,4,423,8]],"78":[1385,321,[9,30,8,38,6,31,3,30,17,18,2,69,12,36,25,6,18,10,51,3,4,3,185,3,5,30,13,18,165,5,27,4,24,8,1,139,214,3,148,8,1727,3,47,9,120,3,16,27,15,13,22,22,11,4,41,4,10,4,54,10,21,7,44,15,239,5,14,18,353,3,38,5,32,24,1346,3,57,3,33,5,7,13,30,15,598,4,446,8,146,6,843,6,132,10,1006,4,309,4,121,4,53,4,101,4,23,8,726,4,285,4,795,4,60,8,2830,4,252,8,338,4,28,6,173,6,20,14,133,8,50,4,96,4,37,4,1071,6,126,22,186,6,99,3,66,6,492,4,5154,4,1042,4,150,4,919,4,5148,4,4080,4,4627,4,137,6,29,8,884,6,1338,4,31,4,42,4,2040,4,61,4,2421,4,2606,4]],"79":[1179,185,[4,120,2,47,35,5,5,49,105,13,131,5,3,60,8,17,14,6,442,28,13,13,15,4,43,3,11,20,289,212,9,58,21,11,794,3,10,14,31,27,6,32,17,11,42,12,36,12,18,13,12,15,248,11,253,8,24,9,65,5,7,7,1,27,138,3,28,3,182,3,33,5,27,5,3136,3,44,8,100,16,39,8,1332,4,139,3,23,7,50,5,16,7,25,5,38,4,357,15,86,6,30,3,173,3,124,3,60,3,945,4,522,12,1822,4]],"80":[1418,380,[1,163,806,3,55,247,320,5,1228,4,9,4,41,10,1372,5,1208,3,62,8,1266,5,413,8,4,73,1477,3,6,28,363,4,10,6,2487,3,16,14,159,10,465,3,777,3,572,3,2894,3,23,10,458,4,245,16,524,3,12,4,404,10,440,3,59,5,8,21,1212,4,219,3,161,3,2166,5,314,3,128,4,113,7,374,5,760,7,27,4,88,4,472,4,1987,3,136,5,100,7,1195,3,123,3,347,3,102,3,164,6,366,3,343,15,500,3,71,5,762,7,303,6,3386,3,274,3,152,12,29,3,981,3,310,3,61,3,431,6,1181,3,187,6,3308,4,4322,4,206,4,742,4,1878,4,192,4,1558,6,5353,4,594,6,1045,6,365,8,737,4,286,6,35,4,484,4,1950,4,108,4,4224,6,1995,3,657,10,783,6,2026,4,481,4,4416,4,3630,4,2953,4,1021,8,1177,4,2991,4]],"81":[1240,244,[6,35,5,251,4,29,23,18,83,32,16,4,2,31,42,39,7,42,21,10,8,27,18,3,3,101,17,8,13,7,25,36,36,3,10,41,47,21,121,4,1,32,144,4,89,14,2067,4,12,22,111,4,301,3,31,6,50,16,9,8,29,8,1739,10,1874,3,15,4,14,5,2698,3,24,3,190,3,43,17,300,3,242,4,22,6,55,9,275,3,26,3,2490,4,2351,3,65,3,53,4,181,3,1883,5,11,6,236,3,474,12,163,4,3114,9,323,3,1810,4,1578,11,314,3]],"82":[1348,330,[37,37,686,3,319,3,329,4,106,23,5,71,6,52,7,78,24,36,112,7,4,13,1,101,164,10,54,24,38,8,29,13,2,65,238,6,23,9,92,9,10,8,17,17,78,9,8,28,1052,7,60,15,224,8,80,7,22,17,16,11,42,4,457,3,138,9,589,3,15,9,984,5,307,5,31,4,142,3,197,3,40,13,11,7,449,3,19,8,608,3,63,9,27,5,13,5,121,4,194,3,139,4,3079,3,131,3,21,6,9,3,439,3,34,3,32,3,113,11,462,3,66,8,385,3,165,3,1293,5,36,5,62,5,163,3,504,3,151,3,53,8,12,5,1270,4,734,4,47,4,52,8,133,7,28,8,1824,4,521,4,2842,4,2877,4,44,3,349,4,340,7,774,6,76,4,344,4,206,4,376,4,5460,4]],"83":[1322,254,[823,4,22,378,155,9,194,8,26,65,111,28,1198,6,51,5,546,4,66,22,21,64,684,4,751,3,3,5,133,7,2066,3,97,18,236,21,1276,3,570,5,169,17,1040,10,576,3,1661,3,1739,3,190,17,1216,3,1605,3,301,4,3849,3,2,13,67,29,36,10,1860,3,202,9,165,12,296,5,542,3,150,7,535,3,2067,3,294,4,20,13,120,10,1,37,645,6,44,4,1650,3,602,3,581,4,6,4,9,14,142,20,462,8,292,4,801,5,469,3,421,3,156,17,475,4,103,5,12,5,433,7,14,3,117,10,962,3,3153,3,283,4,1196,3,361,5,246,3,29,3,1048,3,479,3,1214,4,228,6,102,5,348,5,33,4,98,4,607,3,1074,4]],"84":[1322,296,[184,3,37,79,1,100,929,7,178,64,87,110,1200,34,397,16,2152,8,560,9,350,4,661,9,106,27,422,10,94,27,970,14,1818,3,646,11,1657,12,352,5,2687,3,298,9,946,4,1010,6,518,5,1251,3,967,3,316,3,614,3,589,3,130,14,2854,7,189,6,475,5,71,15,479,6,385,6,394,3,2330,3,1038,14,639,5,4309,3,75,32,539,6,1851,4,430,27,249,7,162,3,1011,4,1652,3,2117,4,3921,3,135,4,2890,5,73,20,480,16,222,20,59,4,4612,3,90,4,401,13,3362,10,311,13,668,6,226,5,503,3,153,5,345,3,863,4,359,8,303,3,1282,3,164,4,2756,3,597,8,45,4,1596,4,2731,6,212,5,2552,4,2614,4,728,6,548,4,633,6,2339,4,175,6,409,4,114,4,1495,4,557,8,641,6,3129,4]],"85":[1310,144,[11,19,2,494,58,23,41,31,98,7,10,3,40,10,7,42,5,9,1,45,15,48,342,3,14,39,80,6,71,3,101,7,19,63,46,43,8,15,20,16,64,32,81,3,389,4,1631,3,552,4,48,5,50,19,57,3,768,3,125,4,5657,4,355,4,37,14,63,14,33,4,124,14,113,6,68,6,34,18,200,10,72,12,349,4,223,7,206,4,151,4,95,8,24,4,32,6]],"86":[1035,206,[5,45,278,8,31,5,41,4,3,90,25,68,42,54,1,34,9,27,13,133,7,16,57,4,146,3,21,4,47,12,53,7,6,24,1083,3,111,4,1023,6,237,5,12,9,55,7,40,3,18,4,112,3,10,11,8,13,35,3,17,7,2,22,29,8,11,10,181,4,83,7,795,4,167,4,28,15,144,3,127,8,314,10,37,3,242,10,36,4,24,6,27,5,43,23,323,4,16,9,4,5,160,3,26,8,88,4,15,4,23,7,1435,9,77,4,1479,3,39,3,895,6,935,3,95,3,49,20]],"87":[1263,306,[136,5,62,280,636,22,55,12,1450,3,1,60,614,4,5956,5,713,8,397,23,274,38,203,7,295,8,901,4,317,3,3427,4,1108,8,235,6,42,7,5,13,153,19,2236,5,276,11,489,4,226,7,2046,4,363,35,174,18,1633,9,277,5,204,5,1442,3,90,9,1705,3,1740,6,106,8,160,3,28,3,267,7,128,7,2,5,284,5,524,4,2795,3,1278,3,1229,7,1409,9,1200,4,25,6,401,9,2687,9,1138,20,130,4,430,4,1674,3,2672,3,249,6,809,3,2423,3,1038,3,1261,3,595,3,532,8,3,21,680,3,720,3,2872,3,926,7,272,5,1702,8,187,29,5540,6,1537,10,335,3,5009,3,1851,6,2791,3,1025,4,733,4,396,6,612,5,83,4,208,4,863,3,630,3,381,5,777,4,2377,3,244,6,2580,4,2087,3,694,3,2822,3,45,12,1861,4,788,4,2444,6]],"88":[1261,405,[3992,10,235,6,1,167,4276,6,114,3,17,7,2,8,2069,10,104,7,693,5,1266,3,243,3,3,32,1997,4,260,7,878,19,314,3,316,6,400,3,1329,6,2241,3,1355,9,138,5,585,10,2147,3,1987,4,166,7,130,15,821,15,1445,8,103,12,134,5,614,3,432,3,2795,4,189,15,1157,4,952,4,995,3,7,11,159,4,154,4,176,9,1358,3,94,5,416,4,809,3,380,3,1331,4,1033,3,437,5,399,3,975,4,205,4,331,5,1523,3,2936,4,59,7,687,9,595,3,865,8,62,7,86,3,785,3,87,11,1078,3,107,3,501,14,1803,3,479,3,245,5,272,7,4899,3,936,3,126,4,1314,3,1284,5,5099,3,1226,5,2544,3,1724,4,345,3,45,16,1917,4,407,4,221,22,771,6,478,6,1805,4,252,10,1201,4,757,4,147,4,999,4,4085,4,206,11,592,14,838,4,1743,6,1688,6,348,4,305,5,1115,6,157,4,4570,7,2104,4,761,4,4477,4]],"89":[1187,240,[1,63,75,256,3780,5,2035,17,1756,11,122,5,1098,4,3611,3,929,30,3128,9,959,16,827,4,444,7,900,11,536,5,1581,5,1590,8,956,7,396,6,310,13,1447,13,311,13,113,5,5,8,5140,3,10,5,22,4,2918,3,144,3,1719,8,52,5,6,14,1663,5,1051,5,2062,3,449,10,553,9,344,12,2,25,73,15,7,7,81,8,319,23,9,8,164,4,3,19,1062,3,51,5,970,3,415,3,14,7,874,4,4278,3,255,5,4255,3,178,8,74,4,218,8,45,4,94,8,38,4,2093,4,131,4,85,4,312,8,37,8,2501,4,12,14,96,4,16,4,54,6,247,4,93,10,30,14,63,4,170,4,522,6,150,6,20,4,3060,6,4,4,19,4,36,4,1022,4,3347,4]],"90":[1061,282,[182,3,2,11,3,80,43,39,42,48,83,30,4,31,27,5,6,25,5,47,162,8,314,3,626,5,25,32,551,3,564,5,1,41,18,9,47,30,24,12,13,49,53,6,1386,5,17,8,10,20,23,8,21,6,226,5,2856,6,219,20,487,10,3521,4,904,6,8,24,323,5,11,3,1872,3,486,4,103,4,7,4,9,12,101,3,22,3,14,3,35,3,72,3,40,3,12,3,39,7,390,24,5287,3,29,14,3466,3,420,5,33,5,237,6,5598,3,448,3,28,7,761,3,38,3,26,3,2034,3,102,4,76,3,691,5,263,4]],"91":[1163,291,[1102,9,717,16,334,60,987,4,1704,10,1,238,893,6,1475,5,4,118,1183,3,1236,18,1278,3,5,4,2543,9,192,4,608,11,5080,3,62,6,123,18,1753,7,624,7,2644,3,1140,10,1501,11,1444,5,2932,4,1673,5,1508,5,2907,6,6,7,4092,5,1315,5,523,11,87,5,1181,6,3276,3,4735,5,1307,5,71,9,1584,3,189,20,1433,6,2747,3,3209,3,5116,5,2388,3,1143,9,59,4,3056,6,303,3,5892,3,2159,3,1136,3,1428,4,4234,4,3016,4,4057,4,1177,4,3392,3,100,4,5281,4,1493,4,4016,4,114,4,5196,4,940,4,1373,4,3844,8,136,4,2988,4,4958,4,3593,3,1343,4]],"92":[1116,231,[15,38,5,26,2,211,1,54,319,7,7,42,329,9,1413,3,964,5,37,15,449,5,1300,6,26,5,164,10,34,10,11,33,58,7,48,6,364,4,64,13,86,6,553,5,2728,5,14,57,63,3,238,14,20,3,124,3,80,4,137,12,24,6,16,11,57,17,344,5,3,13,181,4,2880,4,8,28,113,8,149,3,17,10,125,4,862,4,67,3,841,3,36,3,19,26,843,5,32,3,10,3,12,6,6,14,44,6,46,28,68,10,407,4,293,6]],"93":[1113,256,[79,5,10,5,607,26,1336,36,105,9,652,88,6,10,17,80,73,34,52,15,587,6,1,127,498,7,530,3,106,18,93,3,289,19,909,3,3,35,15,3,131,18,14,6,265,5,89,7,367,9,686,5,253,3,2,7,8,5,3136,5,122,3,3756,5,7,17,1646,9,29,5,9,3,1264,9,11,3,185,7,1261,3,2362,3,248,4,12,8,428,4,5990,6,2125,4,2208,4,554,4,1540,4,2473,6,3385,6,1097,6,311,4,541,4,4452,6,257,6,133,4,2719,4,1139,6,1890,4,3684,6,1909,4,1689,4,649,4,2903,4]],"94":[999,182,[144,9,13,23,1666,3,5,33,16,20,121,5,23,10,42,17,43,7,55,70,47,15,201,3,146,7,25,4,4,46,3,45,1,42,251,3,2,24,8,28,6,31,39,12,69,3,74,5,67,9,53,15,10,7,28,15,57,6,3320,6,12,20,18,10,486,4,35,4,156,6,65,6,341,4,7,8,498,6,14,11,48,4,132,6,127,4,32,3,29,16,3974,4,31,6,83,10,20,4,44,6,61,6,30,10,9,6,17,6,38,4,26,6,299,4,36,4,451,4,170,6,33,6,76,4,216,4,19,4,151,4,336,4,49,51]],"95":[1101,325,[79,5,6,20,88,5,999,3,14,5,3,22,661,20,73,121,4,26,2024,3,5,32,75,15,37,5,2,23,56,5,501,4,319,3,1,80,9,30,382,4,26,3,13,9,12,18,7,6,101,3,201,5,343,4,1590,4,18,5,8,4,137,3,858,4,1525,8,310,3,254,24,222,5,920,3,709,6,2057,29,176,3,38,5,449,3,178,10,986,8,209,5,249,4,224,10,483,3,15,3,970,3,1050,4,522,4,30,4,311,8,4208,4,954,4,94,12,471,8,45,4,3746,6,2120,8,165,4,2061,3,175,4,545,4,3672,4]],"96":[1028,164,[24,8,23,40,6,71,4,3,5,98,105,13,34,6,2,139,72,6,3926,6,16,21,40,8,48,3,18,7,11,15,8,4,27,3,31,22,3,63,10,14,7,21,14,6,99,10,1,29,609,6,17,5,20,14,30,3,126,5,1905,6,29,11,77,3,1101,4,38,3,54,3,19,9,74,56,67,8,33,6,85,34,63,4,124,12,96,4,201,4,50,6,44,23,118,4,125,3,132,4,662,4]],"97":[1082,199,[2,105,967,7,14,82,5,8,6,4,395,103,7,102,59,3,119,12,72,8,1250,5,13,4,1,31,40,10,153,5,385,7,268,3,11,44,84,3,1173,3,63,7,58,15,48,10,51,15,70,16,260,9,34,12,454,3,35,12,786,4,342,8,90,6,15,32,64,23,242,3,8,16,3,9,71,3,195,3,10,5,4,11,427,7,98,7,37,8,80,6,265,3,86,18,93,3,172,4,20,5,435,4,23,3,276,3,68,7,839,3,663,6,32,5,457,3,191,3,818,3,1345,4,46,16,251,4,19,4,69,6,143,4]],"98":[1079,313,[71,106,1,117,4,40,130,21,35,21,480,5,389,3,134,5,37,58,101,4,1651,5,75,5,73,25,717,3,59,7,94,16,1010,3,1200,3,62,5,2076,5,460,25,639,7,195,3,235,3,6,6,339,9,106,28,87,4,189,3,350,5,946,3,380,3,351,4,710,3,113,3,2608,3,177,4,5,3,298,5,479,3,703,4,1402,3,443,5,415,4,255,3,1812,3,346,16,539,6,1509,4,903,4,2451,6,890,4,521,6,305,4,1068,4,1249,4,45,4,3749,4,108,8,8,4,18,4,5240,4,326,4,1211,3]],"99":[992,170,[3,80,6,95,17,10,47,5,1,35,10,10,242,8,12,22,29,52,7,8,13,40,2,12,27,28,16,14,8,17,5,51,494,3,25,4,9,11,14,5,24,7,23,17,181,61,31,5,61,4,126,4,26,4,33,3,78,13,55,7,36,6,138,3,164,3,149,3,21,5,105,3,49,25,38,11,28,8,30,10,22,18,1093,4,99,4,216,4,129,4,85,4,132,6,118,3,2163,4,739,10,32,6,18,4,619,14,5138,4,4,4,148,3,323,3]],"100":[1058,205,[3,20,603,48,17,12,1,266,56,3,958,3,106,7,3271,19,43,3,1726,3,484,9,1666,8,114,6,286,18,94,143,88,4,110,30,1912,12,417,6,2057,4,1522,19,2299,6,1571,6,4864,6,3511,12,2319,6,398,6,930,4,559,6,409,6,508,4,911,7,2469,4,170,4,688,14,3542,8,641,4,414,6,977,4,13,4,1916,4,45,5,107,4,597,4,3491,8,27,4,2596,6,2973,4]],"101":[1067,243,[288,4,1,95,7,333,17,76,40,88,352,3,667,3,2237,3,88,10,205,3,937,3,995,3,2617,3,458,5,334,4,245,11,4254,3,286,12,180,4,13,14,762,3,416,3,39,10,3,4,1155,4,136,6,5510,4,2837,4,481,4,28,6,1161,4,1366,6,1181,4,2540,4,206,4,1156,3]],"102":[999,291,[905,3,1,130,21,26,29,8,13,3,461,10,351,37,22,21,581,9,4311,3,1421,4,5,12,23,5,35,55,2,15,180,3,26,6,279,3,151,3,71,3,40,6,167,10,795,7,6,27,234,21,438,7,3891,3,7,14,66,6,340,4,580,3,348,3,43,3,314,4,37,3,117,4,161,7,2102,5,686,4,640,4,185,4,165,5,1270,3,1479,3,9,3,3,10,15,5,711,4,717,3,42,3,261,5,453,3,240,3,32,3,1515,3,195,8,1768,4,3961,4,1338,8,3414,6,2727,4,28,4,3156,4,10,10,4393,4,238,6,38,4,17,10,2054,4,2534,4,347,6,1105,6,2044,6,664,6,1297,4,3592,4]],"103":[891,159,[16,88,172,85,84,5,5,64,6,37,4,73,69,6,3,77,23,21,43,9,17,8,408,6,1,23,42,5,28,3,10,52,138,3,8,14,796,5,24,5,65,3,13,7,14,3,4091,3,25,4,1454,5,2,11,1447,3,18,9,7,3,9,8,36,4,112,3,265,12,1330,3,1870,3,34,5,47,4,1254,5,41,3,416,10,29,7,12,3,77,3,60,6,38,5,197,3,195,4,26,4,623,4,33,4,149,3,74,4,85,4]],"104":[971,261,[136,4,768,5,987,3,4,158,1,76,524,6,274,10,366,3,59,7,3,6,71,31,615,14,458,11,1278,3,334,4,530,6,772,3,7,30,55,4,1181,16,6,12,79,35,1520,3,440,4,1976,4,413,7,286,7,418,21,159,10,760,7,62,14,701,4,944,4,374,3,2250,4,245,8,35,9,123,25,2241,3,1371,3,27,21,789,7,17,5,104,7,456,3,187,3,93,3,21,4,87,3,128,3,119,3,405,3,270,3,612,3,303,3,88,3,737,4,4596,4,568,4,2110,4,343,4,100,4,402,4,13,4]],"105":[884,130,[2,183,58,61,6,11,11,14,9,17,14,27,64,8,8,7,32,54,3,22,5,9,68,40,15,18,38,20,125,3,44,3,42,7,20,7,60,3,50,7,18,6,1,17,7,20,12,28,48,3,30,11,40,5,26,3,21,3,33,5,16,3,124,3,46,60,1919,6,19,10,36,10,118,4,53,6,93,10,61,4,98,4,3178,4]],"106":[867,169,[5,135,4,91,6,16,25,3,9,43,408,13,8,38,14,16,10,22,24,10,31,5,74,6,38,11,69,9,3,33,2,14,47,5,1,31,39,13,41,3,146,3,179,4,12,5,13,5,442,4,472,4,18,6,112,11,17,9,83,3,28,5,188,4,44,5,54,4,391,3,96,8,30,8,170,4,353,8,3496,4,32,8,29,4,7,6,470,4,16,6,136,4,426,4,115,4,672,4]],"107":[867,159,[16,11,317,3,13,19,4,13,187,3,627,6,4935,4,1,72,3,74,2,30,116,4,43,6,12,6,85,3,17,14,28,28,5,18,54,6,590,4,110,4,83,4,6,25,306,4,25,6,2012,4,53,14,300,6,65,8,8,21,14,6,231,4,420,8,38,3,23,9,1318,10,41,14,336,4,4324,6,10,8,33,6,76,12,44,6,7,4,182,6,29,12,27,6,42,4,1022,4,31,6,1809,4,24,10,18,4,146,4,39,4,63,4,37,4,1049,3,26,4,49,80]],"108":[967,263,[178,6,1102,3,601,4,457,5,93,21,306,13,310,14,1,122,1173,3,245,3,180,5,265,13,991,3,496,3,116,12,1071,3,88,8,555,3,465,3,701,11,359,7,73,3,369,15,184,11,192,13,761,3,441,13,454,7,334,5,104,9,2976,7,108,16,143,50,278,3,227,3,1765,6,1015,3,250,10,727,7,424,8,1454,4,1143,4,95,16,427,7,865,3,731,7,100,7,508,5,705,6,415,5,733,3,356,9,1193,4,728,3,119,13,1935,3,2597,6,521,4,622,4,505,4,1185,8,4579,4,1161,6,4107,4,434,4,94,4,2134,6,2278,4,853,4,1235,4,2259,4,3593,4,539,4,923,6,1221,6,783,4,202,6,940,8,2276,4]],"109":[899,353,[87,3,134,17,5,5,561,5,145,24,752,3,2162,4,62,16,1096,3,256,9,166,6,106,5,174,5,381,17,204,6,267,3,1015,4,222,3,916,3,1932,3,1,96,330,5,473,6,3,17,130,5,1799,6,2,12,314,4,295,8,2048,12,387,3,183,10,374,3,1339,3,208,6,1825,5,1095,3,1212,4,524,4,414,5,244,4,138,3,646,3,432,3,315,5,7,4,335,5,17,3,5746,3,2074,3,3358,4,348,4,1100,4,970,6,996,16,213,8,1569,4,184,4,451,4,321,4,903,4,33,4,356,4,677,4,787,4,1432,4,659,4,505,6]],"110":[860,177,[1,52,53,24,36,18,55,16,1006,4,30,4,13,24,3,40,483,22,163,19,1853,6,16,12,132,12,3081,6,17,10,322,4,8,8,1559,4,198,4,3956,4,5,19,6,20,78,10,1720,4,18,10,341,4,4,8,28,32,47,4,1508,4,10,6,129,8,1572,4,76,12,20,4,2,12,186,8,43,12,42,8,110,4,498,5,238,4,131,6,54,6,156,4,44,5,336,6,144,4,31,4,33,4,116,4,3415,4,49,74]],"111":[935,334,[2,22,7,36,5,24,21,27,1,69,97,8,10,6,8,18,169,7,581,3,42,11,958,4,236,4,24,9,334,4,780,9,165,4,4,16,6,17,25,3,40,7,23,6,301,4,22,24,151,3,190,4,167,10,535,3,16,8,121,9,846,7,243,3,722,5,339,7,419,5,138,3,547,3,29,4,506,8,314,4,738,4,229,16,27,3,185,3,725,4,1568,3,492,3,31,6,13,3,1384,4,3,3,1198,8,202,4,117,12,32,3,294,7,273,3,556,3,43,5,270,4,11,3,2338,3,247,3,425,3,261,3,386,3,823,6,103,5,66,4,705,3,421,3,921,4,1178,3,2006,4,1119,3,17,5,186,4,19,6,113,4]],"112":[919,215,[2,312,1,39,7,61,51,4,48,13,34,30,422,4,41,18,265,3,5,4,14,26,11,11,72,5,667,3,101,8,16,8,40,5,584,4,50,5,177,5,2346,3,15,3,8,13,311,3,663,4,33,5,84,4,10,4,680,3,3,16,64,3,63,6,179,5,180,3,20,12,68,6,125,4,80,4,19,18,200,4]],"113":[926,253,[343,10,159,6,1,105,88,16,79,46,701,5,4,33,3,15,75,3,3555,24,388,3,193,9,208,6,2007,19,56,4,760,9,35,8,6,17,1399,7,2406,3,894,3,699,15,245,7,742,8,1104,6,2189,3,71,13,413,7,1088,14,2839,4,3657,3,4781,3,394,4,5247,3,3049,3,631,3,5501,3,1208,3,108,3,1069,5,1312,3,7,5,31,3,93,6,2132,3,402,12,2110,4,39,24,5,6,520,8,1974,8,474,4,315,4,257,4,164,4,27,4,1291,4,5566,3,2602,4,1538,6,3777,4,365,10,2221,4,2,4,4716,4,369,6,107,3,8,5,10,4,2642,6,206,4,131,4,1313,3]],"114":[769,160,[3,79,205,3,999,3,6,13,2,32,4,15,1,105,41,9,220,7,13,16,39,5,5,7,17,34,12,4,170,8,1974,4,18,12,10,16,2079,4,212,6,285,4,67,10,1791,4,61,4,404,4,8,14,129,4,792,4,1367,6,25,4,63,4,3497,4,16,6,1127,4,28,8,158,4,3741,4,2773,4,29,4,30,10,105,3,147,4,53,4,2924,4,1743,4,45,3,5652,4,1055,8,24,8,31,4,23,10,1115,8,38,5,101,4,33,4,54,3]],"115":[886,227,[1,57,53,9,5,23,25,6,52,15,48,5,26,15,11,4,33,9,2,56,17,17,35,6,14,27,22,10,60,7,9,25,20,13,6,39,7,9,147,3,51,3,38,11,21,10,44,5,5404,3,10,18,57,5,247,4,12,23,63,6,158,11,66,3,54,9,391,3,1075,9,30,9,234,3,99,6,36,10,85,6,4817,4,110,3,28,12,133,4,16,6,126,4,2611,4,8,12,108,4,323,4,15,8,13,12,383,4,19,4,101,4,61,4,102,4,32,4]],"116":[845,156,[22,24,17,168,4195,5,513,3,151,60,307,3,10,13,1,51,1018,4,6,7,1125,4,1937,5,1553,3,8,18,36,4,16,6,9,7,105,3,2,20,5,13,1046,3,23,5,5132,3,7,6,504,32,3937,3,808,3,77,3,38,3,367,10,39,3,30,3,12,22,4,7,117,10,291,13,645,3,242,5,18,3,60,4,48,3,181,3,263,3,823,3,50,3,3,5,21,5,33,4,14,3,131,3,78,28,1981,4,132,4,116,20,880,10,1146,14,57,4,170,4,3260,4,118,4,216,4]],"117":[872,124,[8,206,4,11,31,8,127,14,36,3,34,7,137,39,13,4,17,3,3,17,14,43,57,46,32,10,2,57,9,26,293,5,15,18,92,10,16,3,48,4,364,9,5,6,38,8,46,7,12,12,86,3,25,4,1,10,51,4,20,9,18,15,7,12,233,9,6,3,50,5,60,8,544,3,44,15,30,4,54,4,125,4,11,8,697,3,161,3,10,6,104,5,1561,5,37,3,63,4,35,3,26,28,1155,4,406,4,40,4,377,4,118,4,24,4]],"118":[796,183,[133,49,8,12,1,72,2,10,50,6,156,4,36,10,5,10,66,11,419,4,60,4,99,11,136,12,142,7,634,3,377,6,144,4,22,6,78,8,10,7,163,6,126,4,94,6,247,8,21,18,18,12,302,6,4,4,3,16,113,4,26,14,678,13,47,5,27,8,164,6,132,6,665,3,6,6,115,4,3382,4,165,6,1982,4,3220,4,1757,6,1743,4,30,11,1098,4,281,4,20,4,7,8,1248,8,915,8,563,4,118,16,214,5,150,6,12,5,792,3,909,6,3796,6,117,5,25,4,237,4,44,5,169,3,57,7,336,6,33,4,858,4,185,6,1504,4,815,4]],"119":[841,234,[3,24,1442,5,284,11,656,3,696,4,226,4,25,19,23,5,1,61,18,6,405,8,5,5,104,4,17,9,462,12,245,3,191,7,4,11,331,4,733,6,260,5,573,6,539,6,1095,3,187,15,286,4,153,7,4725,3,818,4,345,15,39,3,107,3,19,5,1078,8,610,3,311,12,1942,3,367,6,62,11,10,17,79,3,653,5,9,3,37,4,691,4,6,8,73,19,87,3,33,3,295,3,2218,7,94,9,103,5,2050,3,3190,3,224,7,1543,6,3035,15,4040,5,252,4,4334,8,375,4,791,4,7,16,4217,4,5384,4,243,14,3248,26,126,4,878,16,29,4,170,4,2368,6,93,4,756,4,185,4,2313,4,100,4,1402,4,797,4]],"120":[821,226,[37,4,2,40,4,25,418,3,5,61,1,28,11,18,410,9,3,22,64,39,31,11,538,9,62,11,9,7,436,3,301,4,16,4,514,4,901,5,71,8,38,7,48,8,240,3,674,4,35,12,20,11,1635,5,227,3,6,9,58,40,84,5,445,14,80,14,18,4,8,6,1099,3,10,8,448,3,953,5,68,11,2068,4,413,3,421,5,97,6,273,7,39,3,503,4,15,3,128,8,7,3,921,6,40,3,270,3,46,8,361,5,524,7,283,3,32,5,440,4,14,9,274,6,57,3,981,4,86,3,123,7,406,4,251,6]],"121":[819,173,[5,50,6,65,385,11,967,9,16,9,24,36,3,19,4,27,39,3,29,4,14,37,1,22,8,10,10,15,7,74,54,3,23,3,182,4,33,6,2,47,101,3,50,3,35,13,15,8,70,15,88,11,457,4,58,6,63,8,260,11,72,4,334,3,879,3,86,8,17,9,77,3,427,6,131,6,40,6,11,7,1140,5,20,4,143,3,119,4,51,8,68,8,504,4,37,6,1707,4,46,8]],"122":[714,171,[3,79,65,3,350,5,28,3,1,30,168,18,6,39,42,14,766,5,2,11,9,17,4,11,103,4,713,3,412,8,429,3,25,9,13,28,39,12,5,18,41,5,10,4,3761,15,162,8,3126,3,363,3,12,8,969,49,1358,5,2381,3,79,5,16,5,772,4,904,3,27,6,487,12,21,5,3662,3,2847,5,18,9,23,43,17,4,210,4,76,3,29,4,7,3,565,5,54,5,8,4,30,3,1363,4]],"123":[732,231,[43,4,21,51,66,4,4,8,6,16,5,40,25,14,8,6,3,27,27,49,2,18,1,17,117,6,194,3,10,3,47,19,36,3,55,54,13,5,12,10,348,5,550,3,486,3,7,8,242,6,83,3,138,3,16,21,17,3,9,27,18,3,31,8,270,5,42,4,102,4,665,3,76,3,61,6,74,3,24,3,146,3,1555,4,67,7,147,3,15,3,173,3,404,4,44,3,103,3,181,3,1411,3,38,3,5422,4]],"124":[804,257,[1,107,5,17,189,3,88,6,996,5,260,3,109,16,17,3,1442,4,62,3,208,9,8,3,74,3,1357,3,3857,4,397,3,153,3,106,6,20,6,2,5,10,7,91,5,26,3,4977,4,5279,6,134,3,6,6,3,17,1486,3,33,3,337,6,1586,4,378,12,1891,8,89,4,2225,6,409,6,1462,4,164,12,803,4,93,4,3007,4,2194,4,197,4,212,14,434,6,23,8,3545,4,2303,4,602,4,365,8,1787,6,1864,4,1037,6,1564,4,1150,4,100,6,2065,4,213,4,30,6,115,6,2448,4,1441,4,1691,6,462,6,50,6,1289,4,1164,4,188,4,170,8,3034,4,67,4]],"125":[836,303,[249,8,1468,3,90,10,89,9,1,126,134,15,374,3,228,7,91,5,109,36,95,8,4429,5,120,14,178,3,212,3,1101,3,381,4,429,5,250,3,103,3,1195,3,208,7,1124,5,189,5,397,6,3479,4,414,5,424,7,100,5,204,3,656,4,610,4,1312,3,106,3,153,7,107,6,213,4,519,6,1541,4,157,10,557,6,1230,10,2721,4,1265,6,321,16,679,4,1875,4,744,4,2059,4,376,6,2257,4,4479,4,1738,4,2682,4,5217,10]],"126":[668,174,[8,11,2,29,23,5,22,6,21,5,5,37,17,9,12,21,1142,3,780,3,722,6,2137,3,3,73,51,3,14,10,6,28,10,17,15,6,181,6,16,13,7,6,9,10,1,34,121,3,179,3,38,5,24,7,131,3,32,5,4,3,57,5,85,3,60,7,30,10,29,8,129,4,1032,4,19,4,18,20,132,6,20,4,2730,4,44,8,312,6,105,4,281,3,721,4]],"127":[821,193,[38,34,14,38,2,133,490,7,335,3,15,5,20,10,385,3,44,17,9,44,204,3,1,39,101,4,11,10,32,21,51,7,84,13,98,3,7,14,30,45,12,30,5,12,418,5,90,4,391,4,266,3,10,8,1274,3,34,3,19,9,125,5,689,3,8,4,198,6,521,4,1375,4,13,20,37,4,66,4,6,4,29,4,217,5,163,3,110,3,49,9]],"128":[704,184,[6,19,33,4,1,22,4,81,7,3,90,6,8,10,42,36,5,35,25,28,41,5,16,8,2,11,17,7,13,30,146,3,3,106,27,7,47,11,3512,4,31,6,39,4,12,4,83,4,1675,4,28,4,9,6,111,4,1217,3,43,3,21,11,76,3,404,3,18,5,81,10,11,3,1367,3,869,4,235,10,24,3,692,3]],"129":[801,136,[2,79,14,37,15,17,26,18,102,3,9,8,6,43,44,7,12,30,1,45,38,16,20,13,266,11,231,4,30,38,51,10,10,12,3265,4,61,4,5,22,104,4,794,4,4,10,33,4,29,16,470,20,32,4,7,16,8,6,19,10,198,6,1592,4,18,14,36,10,116,4,63,8,54,4,101,6,322,4,3,6,31,10,48,6,24,10,34,6,201,4,1625,4,37,4,1695,4,17,8,66,4,216,4]],"130":[680,157,[21,5,43,12,5,31,42,44,6,31,3,53,24,10,25,16,47,20,13,46,76,3,4,30,1375,3,17,16,2,11,237,5,1,19,27,5,9,12,214,5,83,3,16,8,23,25,7,6,18,7,28,19,39,5,41,4,8,31,10,4,11,3,15,3,314,5,29,8,242,3,182,7,35,3,168,3,31,6,121,3,49,9]],"131":[808,196,[38,4,143,8,2,126,15,7,37,8,113,4,56,8,1,50,7,52,527,6,8,17,20,58,11,5,93,6,35,4,9,5,234,8,79,15,177,4,58,6,319,4,32,7,75,7,3437,3,552,3,40,5,422,6,1116,3,33,4,180,3,1088,3,14,11,64,7,57,5,124,6,728,3,19,11,30,6,12,3,590,6,72,4,46,13,3275,4,63,8,1618,4,5511,4,1658,4,189,4,178,4,311,6,151,8,3005,4,68,4,337,6,104,6,464,4,3129,4,6,4]],"132":[789,122,[15,10,105,6,12,124,92,6,3,8,9,11,17,4,1,9,5,43,8,69,54,3,6,12,2,88,14,14,7,7,11,4,4,13,60,4,51,9,26,5,377,3,10,5,44,3,37,3,30,27,266,7,110,14,100,4,216,36,325,10,488,14,281,14,223,12,919,4,704,18,688,14,170,4,3098,4,1344,4,616,10,3491,6]],"133":[746,130,[3,17,5,24,2,77,8,66,1,14,2085,5,7,36,14,39,64,7,137,24,35,4,11,7,34,15,51,12,32,9,60,11,86,7,40,9,10,4,48,6,63,5,112,4,344,3,15,14,72,3,38,3,23,4,124,3,50,7,6,15,12,6,57,24,364,13,37,6,39,3,127,5,293,3,44,5,28,4,46,37,377,4,36,6,26,4,118,8,325,4,18,4,198,4,98,4,745,4,19,8,223,4,2559,4,16,4,1089,3]],"134":[607,171,[27,14,3,68,13,33,28,4,102,4,31,6,17,7,2,15,42,28,76,4,10,10,1,17,21,7,4,7,29,5,6,29,43,3,8,19,25,15,55,7,112,5,846,3,323,3,5,32,41,3,23,8,111,3,7,5,18,4,39,4,89,3,35,3,127,15,65,4,33,4,47,4,807,4,314,7,30,3,333,4,36,5,16,3,54,4,9,9,173,3,38,3,3061,4,5970,4]],"135":[796,184,[90,187,222,16,162,8,1,33,487,22,912,9,904,14,219,19,1607,11,564,13,3,11,618,16,485,5,120,3,1386,13,743,3,196,40,1964,4,1782,12,1133,6,191,4,205,3,352,4,3246,9,288,3,4050,4,2206,5,177,8,591,4,400,3,1218,3,1794,3,770,4,361,5,390,30,203,4,1667,5,527,3,228,10,648,5,586,3,384,9,1872,4,313,3,3595,6,518,4,2017,6,642,3,1038,3,526,9,1615,7,1367,3,1086,3,284,3,1113,4,103,4,1420,4]],"136":[715,150,[21,11,27,21,3,178,4,17,6,32,55,31,5,22,36,7,10,4,8,6,1,20,61,14,1514,4,144,6,17,8,43,3,23,7,12,3,25,10,9,4,31,3,29,7,2,16,121,3,14,5,40,3,67,8,398,4,38,8,20,8,115,4,156,4,336,6,16,4,19,4,118,4,53,4,30,5,18,14,41,6,105,4,179,4,49,6]],"137":[779,152,[10,3,88,4,15,16,38,21,5,56,192,10,143,23,93,28,3,5,116,6,8,23,1,48,30,22,265,8,104,27,108,3,701,3,47,24,214,4,9,47,25,5,14,37,172,3,146,15,441,3,2,36,32,7,227,3,12,13,66,15,303,3,825,3,13,14,78,14,28,6,1498,4,36,14,19,4,306,6,619,4,20,4,53,4,100,6,1641,4,310,4,163,6,54,4]],"138":[776,131,[9,77,4,153,34,6,2,68,38,55,57,4,14,47,12,31,44,14,15,6,40,4,72,3,7,10,11,13,6,23,54,7,86,6,17,6,60,6,233,9,30,31,1,6,391,7,32,14,62,3,263,3,8,6,147,6,84,4,80,3,91,3,998,4,33,3,48,4,51,7,37,3,266,3,19,4]],"139":[772,232,[3,19,141,13,1871,4,17,101,105,9,57,3,1,23,513,5,138,14,37,23,164,5,53,5,5,18,7,32,6,10,52,13,4980,3,731,3,1052,4,77,5,43,4,2,27,1444,4,15,3,8,13,10,7,444,3,449,6,11,3,36,13,248,3,536,4,229,5,319,3,89,4,1758,4,92,4,240,4,148,4,24,3,44,3,29,3,137,4,67,12,31,6,167,3,150,5,169,5,112,3,558,3,1699,3,945,4,808,4,99,6,2252,4,78,6,662,6,33,12,127,4,3118,4,3889,4,367,4,2357,4,131,4]],"140":[766,30,[159,145,128,549,4227,14,62,5,6,16,16,3]],"141":[584,117,[8,15,17,6,7,5,9,14,43,8,47,10,2956,10,138,3,3,117,27,10,6,68,237,5,2,7,16,31,5,16,210,8,13,22,28,3,10,14,23,6,5360,3,681,4,82,4,26,6,1384,3,204,4,29,6,42,6,12,4,1255,5,112,3,1,5,162,5,4,17,24,4,1907,14,1168,3,2900,3,201,4,844,5]],"142":[716,134,[8,105,3,17,158,3,9,25,5,53,1,17,325,4,99,4,126,14,17,5,6,14,16,12,60,4,15,18,14,25,92,6,28,3,138,5,12,19,11,4,7,16,4,4,2,23,181,4,51,6,338,7,44,5,131,3,293,8,57,10,509,7,38,9,13,7,32,9,39,4,29,3,10,9,40,4,18,6,302,4,118,14,33,6,30,12,132,6,53,4,4436,4,241,4,20,4,125,4,25,4,164,4,143,4,1042,4,2304,6]],"143":[726,140,[4,70,35,60,2727,7,17,78,547,4,195,8,6,26,1,76,2,40,31,3,5,38,438,4,42,5,73,3,9,4,10,20,795,7,13,10,539,3,260,3,461,3,18,3,149,3,143,3,8,5,347,7,3,6,92,3,119,3,12,3,232,3,67,25,2515,3,399,4,33,6,14,6,15,4,7,8]],"144":[751,153,[116,18,469,3,468,8,22,200,1,35,103,3,26,28,546,3,21,52,419,5,716,7,3,3,2290,4,2,8,30,5,348,4,563,21,775,4,4,5,29,3,169,4,252,14,9,4,12,13,497,3,36,3,1426,3,97,5,156,4,11,3,20,3,142,19,194,3,246,3,165,5,17,12,14,6,2135,4,306,4,337,4,185,4,1500,16,6,6,342,4,494,3,16,4,190,4,78,4,5878,4]],"145":[640,170,[4,70,203,26,2575,13,3,117,5,14,162,14,10,17,6,19,255,4,202,6,13,28,2,7,1,11,1325,3,9,9,16,3,1204,4,7,3,1384,3,5146,4,561,3,17,7,219,3,42,5,18,3,47,5,572,16,65,3,267,9,950,7,237,3,896,5,314,4,564,8,720,3,29,6,36,4,25,6,28,3,11,4]],"146":[745,193,[1,39,26,129,9,4,22,78,410,4,156,14,150,5,111,4,1424,13,2,7,97,8,190,5,11,3,66,19,2577,4,817,4,120,7,301,5,3600,4,155,5,546,4,169,4,102,5,660,3,1860,3,634,3,142,4,514,3,419,4,24,5,133,10,21,30,5,6,139,3,805,3,240,5,194,4,12,20,82,12,282,8,98,4,3581,4,33,4,30,12,18,4,10,4,165,4,651,4]],"147":[729,168,[9,44,63,13,2,114,11,14,1,60,30,12,8,5,38,12,36,5,29,7,2130,7,102,12,6,21,7,8,12,24,14,3,15,9,48,5,1013,3,32,7,1928,4,40,3,34,7,71,5,289,5,330,3,124,3,1530,4,20,20,115,18,19,10,216,6,110,4,31,6,69,4,1344,4,182,4,704,4,5,4,1795,6,919,4,16,6,33,4,37,4,498,4,2174,4,84,4]],"148":[730,55,[68,175,80,4,58,246,8,13,7,6,348,3,84,3,14,23,20,5,11,10,15,19,2,33,64,31,124,5,51,7,1,6,44,6,70,3,63,4,57,3,486,7,86,3,49,45,26,6,46,20]],"149":[675,114,[1,11,5,111,944,3,4,27,3,33,99,30,23,5,442,8,96,8,18,6,8,5,1137,8,6,11,36,58,78,3,106,7,26,4,77,7,224,27,31,4,217,13,24,8,2253,4,10,5,105,3,2,3,12,3,44,3,13,3,549,4,45,102,119,4,213,4,188,4,126,4,798,12,737,6,206,6]],"150":[661,106,[5,135,171,23,6,20,172,23,31,51,105,10,16,5,10,13,1,12,92,5,33,4,2,10,112,8,188,4,149,4,36,3,7,8,99,26,74,8,555,5,3,18,17,3,131,4,15,3,376,5,70,12,50,3,57,5,69,13,4,5,2044,4,96,19,209,13,353,17,333,5,26,3,23,17,161,3,150,4,3113,10,2075,14,2727,6,38,4,211,4,77,4,148,3]],"151":[695,220,[1,99,3,8,1121,5,599,8,10,4,4,39,1294,5,121,12,1937,3,1871,3,2640,3,425,9,2,38,291,3,935,4,6,11,403,5,3425,5,1553,3,40,5,531,5,29,5,1158,3,7,31,686,9,65,3,635,3,99,5,188,3,453,3,2243,3,1548,3,500,6,718,3,33,13,3445,3,36,6,340,4,108,6,5695,4,132,6,332,6,3084,4,78,5,35,3,2308,4,4258,4,49,3]],"152":[697,245,[73,124,178,4,639,4,1340,4,587,5,17,5,437,8,518,4,1,59,106,21,2,5,6,5,245,3,532,7,224,10,1137,4,1381,3,13,5,332,4,175,4,316,3,3,4,5239,4,633,16,491,4,415,4,820,6,1952,4,582,4,16,14,2202,4,1662,4,5,4,59,4,114,4,45,4,346,4,643,4,359,4,1000,4,107,3]],"153":[555,115,[44,3,3,72,477,7,5,16,29,3,10,35,9,9,1082,6,144,3,138,3,6,31,4,53,2,15,38,4,65,3,25,7,43,3,1,17,27,3,13,17,7,5,173,5,195,3,17,5,420,4,18,7,8,9,39,3,54,5,12,6,14,5,83,6,28,9,80,3,16,5,30,7,49,6,93,4,3245,22,74,8,73,4,1935,4,67,4]],"154":[713,173,[1,58,1058,10,1122,9,203,20,3,44,205,8,561,3,204,6,183,10,277,17,4836,4,5380,4,191,9,327,33,1341,3,626,7,840,3,1004,18,116,6,749,8,416,3,260,11,3980,3,537,9,4184,5,3650,3,324,4,297,110,2147,5,145,10,316,4,564,12,618,14,366,6,272,20,1065,4,2835,4,1019,3,1676,4,1843,3,1225,4,3207,3,1092,3,872,9,735,5,2669,3,4538,3,2103,5,162,4,304,5]],"155":[687,200,[21,9,790,8,105,60,6,11,22,16,247,6,52,22,1,61,291,7,53,14,504,10,248,30,35,8,280,3,461,3,5,18,8,7,163,5,3,21,795,3,419,5,121,3,44,3,133,4,1516,5,126,4,332,3,2,6,2349,3,3533,5,66,3,874,3,165,5,403,8,383,10,101,6,12,6,581,4,5198,7,725,4,1318,10,340,4]],"156":[708,197,[1516,19,97,7,126,12,150,3,22,32,21,21,25,5,1,73,52,33,5,6,105,28,53,11,190,6,3413,3,2694,3,1778,4,35,5,419,3,42,6,1293,4,542,3,169,4,340,6,194,3,66,7,1388,5,1020,3,155,6,959,3,7,5,504,3,590,3,285,3,519,44,5539,4,1762,4,403,16,231,4,47,6,115,14,383,10,76,4,146,10,247,7,142,4,446,4,163,6,1049,4,678,5,185,4]],"157":[618,119,[3,92,26,3,462,18,23,8,4,58,188,3,1971,4,5,20,28,20,17,18,67,6,657,6,7,10,6,22,85,6,8,8,15,4,29,6,74,4,30,15,16,4,10,6,70,4,44,6,39,6,31,4,13,12,2,6,779,4,41,8,1,29,36,4,12,6,69,4,5225,4,18,6,1629,4,32,4,14,6,2317,4,38,3]],"158":[709,147,[129,24,147,5,35,48,36,19,438,13,2,47,60,36,16,15,131,4,173,3,5,11,461,6,48,3,1,28,15,7,37,3,17,62,54,25,6,57,10,7,1364,5,195,6,33,25,7,13,351,5,807,4,99,4,21,3,80,3,53,5,44,3,555,4,78,18,31,6,24,6,29,10,96,6,4455,4]],"159":[583,151,[26,3,67,4,41,10,4,69,27,25,7,4,3,52,43,9,1170,8,150,4,5,56,36,4,13,10,83,5,846,3,961,9,21,17,1,18,42,8,8,11,16,9,25,7,6,28,168,3,9,9,2497,3,66,3,47,4,23,8,2,5,24,3,39,3,17,8,10,6,370,5,11,5,18,5,445,3,31,3,472,3]],"160":[643,124,[3,47,957,23,1054,4,687,19,1153,4,136,21,1435,3,1708,4,31,27,4120,4,159,85,90,3,128,3,960,9,56,98,62,16,1019,8,130,4,413,4,5,24,826,11,1,12,6,3,401,4,859,9,174,6,913,3,4,10,2,10,203,4,4880,3,2864,8,328,16,18,3,2336,6,892,3,2052,3,10,4,822,4,25,10,225,4]],"161":[638,152,[1203,15,8,20,503,4,104,69,143,48,27,6,116,4,369,5,88,9,496,6,441,26,30,3,9,3,7,4,93,37,180,16,184,4,907,3,601,4,192,8,227,8,1,47,2,13,13,10,21,5,163,5,4,7,839,5,6,6,214,3,265,3,25,4,3269,5,577,3,55,4,1235,4,20,8,28,4,14,6,820,4,173,4,170,4,16,4,127,3,376,4]],"162":[601,148,[2,9,846,3,3,31,1213,8,4,71,5,81,17,5,6,20,7,3,41,19,10,41,25,26,23,3,43,7,83,8,47,7,42,18,8,27,27,5,13,19,36,4,22,3,155,3,28,7,9,6,1,20,112,3,35,3,12,7,33,3]],"163":[656,117,[26,174,33,13,6,16,54,4,14,26,15,21,10,4,23,4,8,11,325,3,137,3,89,5,3,6,2,29,20,9,16,3,19,11,1,24,38,11,32,30,30,22,12,18,29,10,563,4,44,4,4319,4,110,5,18,6,118,12,80,4,92,4,847,4,24,6,68,4,1089,4]],"164":[676,163,[79,51,343,26,286,17,523,4,71,3,4,21,193,7,245,3,1,84,699,19,75,4,3,8,59,3,39,27,2007,8,87,3,192,3,458,4,4625,10,1088,9,530,3,35,3,1842,8,1399,4,1899,7,742,3,402,14,944,4,136,9,61,4,1891,12,1984,8,365,24,344,4,409,16,800,8,1248,10,915,4,1373,6,206,8,2016,4]],"165":[629,110,[23,56,69,7,333,34,70,12,192,6,6,7,213,4,5,109,29,4,353,5,3,16,96,23,2,8,10,17,105,9,112,11,74,7,647,5,7,14,217,6,1,11,92,11,171,31,31,7,173,3,209,6,106,4,351,7,131,4,127,3,188,3,17,10,14,3,211,6,5783,4,1354,6,451,4,808,8,16,12,1347,6,26,4,24,4,1531,6,20,4,102,4]],"166":[668,166,[429,19,141,4,153,16,2598,5,384,18,174,11,145,69,154,5,806,5,387,3,3,6,90,10,885,5,277,9,1785,5,2510,5,485,3,743,21,191,16,2337,18,256,40,435,6,1,49,5919,4,412,6,489,3,162,4,720,9,272,9,642,6,750,6,314,5,916,8,399,28,350,8,401,6,167,3,2476,9,1443,4,25,4,501,4,4922,3,437,3,1823,3,260,3,244,19,1803,3,2864,3,1672,4,1692,3]],"167":[616,119,[33,3,13,9,4,20,10,80,5,215,1,13,7,25,35,25,14,17,2,10,3,18,11,6,64,7,6,6,82,5,18,4,26,11,120,8,40,4,84,3,125,4,347,3,63,5]],"168":[662,151,[2,219,11,11,2320,3,34,7,37,5,98,6,20,18,122,3,482,9,59,3,7,26,80,12,1,38,389,3,833,10,15,6,764,4,40,4,1256,3,58,12,14,21,101,3,864,5,600,6,63,3,398,4,3241,3,234,3,1039,5,2567,3,64,8,812,8,2620,3,86,5,68,3,8,5,200,3,951,6,72,4,50,6,46,4,19,8]],"169":[659,133,[2,85,10,3,217,12,232,14,15,25,1904,9,5,20,74,5,254,8,17,4,209,3,63,7,70,9,8,25,991,4,71,4,352,9,19,6,197,4,2896,4,77,5,139,3,7,44,23,14,88,4,11,5,20,6,1,8,98,3,84,5,1614,4,35,3,31,3,59,6,51,4,40,3,631,4,6,9,709,5,73,8,337,6,14,46,234,5,973,3,34,8,672,3,80,4,48,3,32,3,188,3,58,3,69,8,400,8,64,13,3653,4,119,5,199,3,171,3,125,5,50,6,46,10,2423,4,68,3,424,4]],"170":[625,100,[1,62,3,23,55,4,17,4,30,3,44,3,18,4,6,8,5,16,2,6,1012,4,110,124,8,4,483,4,29,6,251,6,15,4,4,18,7,6,31,4,76,4,704,62,688,27,16,6,36,4,4455,5,3223,11,13,8,42,4,28,10,590,4,53,10,4818,8,12,3,49,21]],"171":[579,110,[2,32,5,126,11,6,77,5,3,31,6,26,74,20,31,13,24,7,1,15,14,3,16,5,23,26,112,3,70,6,15,5,4,22,7,11,18,5,37,3,139,3,209,7,99,3,72,4,96,4,13,5,760,5,10,9,33,7,12,6,1000,4,85,6,126,16,19,8,45,4,134,4,28,4]],"172":[548,112,[5,68,3,53,6,42,16,49,17,28,1,6,10,17,24,4,2,17,13,6,27,3,9,65,7,4,168,3,15,6,12,6,38,4,4,4,23,13,11,4,8,5,357,6,148,4,26,3,450,3,48,3,60,4,173,3,455,3,67,10,29,3,33,3]],"173":[630,183,[15,5,34,4,1,111,7,49,2,41,5287,3,40,6,1543,4,64,4,351,4,41,3,98,24,698,4,14,7,1812,13,122,5,2155,12,482,4,187,3,243,3,1988,4,151,22,2880,3,80,3,590,3,706,3,3077,4,884,4,19,12,1811,3,191,4,552,3,1031,3,63,12,1446,4,72,4,1589,4,1698,4,33,6,29,8]],"174":[502,145,[10,4,6,20,3,59,300,4,2,17,9,9,1505,4,4,10,17,6,74,3,13,62,40,3,8,20,3903,5,884,5,846,3,25,11,278,4,33,3,41,3,47,6,42,14,11,7,1,19,5,10,31,3,28,4,14,3,39,4,18,3,606,6,16,5,7,5,29,3,69,4,171,3,24,5,807,5,127,4,173,3,35,3,935,3]],"175":[571,121,[38,7,336,4,23,4,41,10,6,14,3,55,8,8,2,12,28,45,5,12,44,4,649,4,2370,4,7,4,1,42,18,4,67,4,30,12,53,4,186,8,16,8,13,18,1582,8,173,4,10,4,70,6,127,8,420,4,17,11,42,4,54,4,110,3,14,6,9,4,25,4,31,4,76,4,24,6,730,4,49,39]],"176":[628,108,[414,51,1,72,3,7,39,3,45,200,157,6,1773,10,798,12,1017,4,10,4,4714,4,220,16,94,12,2232,4,3006,4,114,4,5468,4,1537,4,641,4,37,4,1653,4,17,4,20,3,1696,4,5097,6,2699,6,578,4,793,6,1000,4,5692,6,1771,4]],"177":[602,95,[816,21,203,12,1503,9,1,27,277,6,667,4,1053,10,1869,21,637,39,673,52,23,9,961,33,591,9,3,8,299,41,867,45,1872,6,1337,6,287,9,1330,11,162,4,386,12,510,10,17,3,384,3,296,9,460,15,894,3,4045,3,937,3,3468,16,902,9,3388,4,2568,24,974,4,4535,10,160,8,3855,9]],"178":[532,156,[9,16,4,31,24,14,5,18,6,14,3,26,42,5,14,3,2,26,54,26,10,12,23,4,30,11,8,5,1,18,16,9,38,7,131,10,349,3,29,5,12,13,161,3,7,4,13,6,28,7,266,3,39,12,85,4,26,4,974,4,2086,4,105,4,945,4,146,4,126,4,18,4,60,4,114,4,49,3]],"179":[583,186,[2,43,1,33,489,3,5,5,24,4,1164,43,290,4,2465,8,1069,61,159,10,29,8,17,3,4,32,11,15,235,4,614,6,7,3,27,7,6,5,23,3,695,3,1438,3,19,7,50,3,1345,5,172,3,1558,3,315,14,554,4,1738,4,16,4]],"180":[568,141,[2073,3,1103,3,5,3,367,3,648,5,1,42,854,9,17,7,518,16,10,3,6,12,806,6,3,34,583,7,493,7,1525,11,694,9,422,57,39,6,1189,13,753,18,399,6,600,3,3927,3,482,4,680,7,1897,5,73,11,3820,18,405,8,755,4,1543,5,819,8,70,25,2331,4,4090,6,2091,8,582,4,286,4,3602,4,513,4,225,4,2209,3,1041,4]],"181":[530,100,[9,28,12,157,2,13,8,28,5,23,13,25,11,8,6,14,17,12,4,4,10,9,148,9,21,5,16,8,55,3,92,5,27,8,29,4,25,5,3,8,86,3,47,3,544,28,1,5,24,8,50,3,2056,3,450,4,18,3,138,4,105,3,353,3]],"182":[585,119,[41,12,2,195,34,6,11,17,1260,11,197,3,106,7,7,28,1122,3,15,14,48,9,252,11,887,4,624,4,1,25,448,16,362,3,14,3,313,4,324,3,50,11,72,4,249,4,950,5,98,3,933,3,986,3,88,3,125,4,1422,4,1908,4,19,6,342,8,68,4,220,10,46,4,101,6,37,6]],"183":[447,147,[9,22,1371,25,2,8,4,48,1,18,25,12,65,7,3,28,79,9,38,3,16,10,41,4,76,3,17,5,18,4,297,4,154,3,10,13,268,3,11,4,2760,4,54,3,7,4,6,9,23,3,5,8,13,21,44,3,160,4,43,3,145,3,40,3,127,4,8,6,138,3,28,3]],"184":[579,153,[1,122,35,25,60,4,1159,4,39,14,428,5,741,5,689,3,208,3,5,4,77,6,941,3,773,5,1576,4,147,5,3,6,74,4,2023,14,16,4,4720,4,911,8,18,6,548,4,100,4,604,4,10,4,252,4,730,8,1201,6,94,10,5895,4,708,4,17,4,488,14,6,8,502,6,484,4,4,12,304,6,13,4,814,12,3287,4,3105,4]],"185":[567,81,[333,23,5,44,16,3,442,10,472,6,171,21,29,105,69,30,4,5,96,6,74,5,10,10,647,3,26,3,70,4,67,8,3,5,1,7,12,4,2,5,32,12,23,4,3396,25,118,54,99,16,819,4,163,4,2559,4,108,4,33,8,36,8,92,10,17,8,1097,8,77,4,8,4,30,7,38,6]],"186":[577,120,[5,122,1,59,17,19,19,4,7,28,2,32,37,4,26,8,35,4,18,6,51,12,8,18,14,4,1778,4,23,6,40,6,82,8,1070,6,67,4,33,8,2429,4,53,6,116,4,121,4,1424,6,199,4,20,4]],"187":[471,129,[39,6,10,36,18,4,8,16,6,35,3,96,5,17,9,5,13,5,35,4,1,8,1882,5,25,6,61,5,4,9,765,7,77,4,43,3,33,5,2,7,7,4,623,5,187,3,138,4,248,3,38,3,27,8,29,5,171,7,99,4,1752,6,510,3,149,4,293,3,304,13]],"188":[547,106,[31,47,3,22,2,90,34,6,6,21,1846,11,7,15,23,3,20,3,54,7,11,9,1039,3,5,30,435,8,125,3,24,5,39,3,10,8,63,3,173,3,1,13,4,5,29,12,72,4,3620,4,74,8,9,6,16,22,8,8,19,21,12,4,1210,6,223,4,50,4,830,4,85,4,32,4]],"189":[551,54,[6,20,5,16,4,373,9,3,12,11,2,9,13,8,29,4,31,5,73,3,24,7,8,6,22,3,17,3,20,4,3,4,18,4,4076,4,92,4]],"190":[568,119,[58,34,32,21,2,43,11,40,14,23,20,7,15,6,454,6,64,39,1428,5,46,17,70,27,1,17,197,3,35,11,34,6,217,3,5,11,7,9,48,5,208,3,1551,3,86,4,991,3,68,26,171,4,695,7,274,4,1673,3,62,5,227,3,293,5,40,5,84,9,106,23,612,3,6,3,80,3,59,3,829,10,118,6,51,3]],"191":[546,80,[3,63,4,24,284,16,2496,5,162,10,477,78,707,20,2,6,6,3,1,5,2171,3,10,4,219,4,232,201,609,3,304,4,1029,7,145,5,1084,6,971,7]],"192":[560,97,[31,36,502,9,1456,10,17,42,517,19,2,29,35,55,5,18,1,19,347,9,1410,21,647,10,52,12,161,15,438,10,442,5,6,8,3,6,217,20,195,8,9,5,192,4,701,3,2279,3,428,3,1364,4,18,3,188,14,74,3,53,12,831,4,662,8,96,12,77,8,69,6,625,4,5543,4,54,4,71,6,2895,4]],"193":[540,119,[136,10,363,5,287,128,21,3,4,11,6,7,772,4,2144,4,35,20,274,5,62,27,4284,4,208,17,1,23,123,50,631,5,87,8,7,3,187,14,303,6,59,31,10,7,981,3,5,11,3,3,2110,10,1095,5,335,3,3685,5,162,3,270,4]],"194":[545,122,[2,49,7,48,31,7,353,5,23,13,217,6,11,3,1,19,14,44,325,3,172,8,35,16,40,7,5,18,48,4,8,6,64,3,57,3,15,12,188,9,1364,3,69,10,29,4,500,3,98,4,1623,3,44,13,13,3,3218,10,74,24,34,7,171,6,24,3,191,4,1813,4,70,13,442,15,293,4,124,3,629,3,1354,3,63,8,502,3,291,4,80,3,1353,4]],"195":[507,176,[1,24,3,27,65,45,2,4,485,4,188,7,531,4,153,31,191,13,405,3,183,10,852,3,5132,4,187,6,56,7,268,3,86,9,1046,3,1937,3,345,9,5,8,10,13,18,3,443,6,106,6,6,8,1217,3,1468,4,60,3,35,4,1621,4,189,3,24,3,254,6,1091,3,4607,3,878,3,39,3,1690,8,94,8,4,6,13,4]],"196":[477,140,[203,3,10,30,41,10,784,14,1,25,17,6,690,5,487,5,6,13,3,21,5,14,13,21,1568,6,2,5,4,4,846,3,83,3,12,23,971,3,111,5,25,24,7,5,16,5,526,11,24,6,8,23,207,3,42,7,5073,4,867,6,9,5,3592,3,1718,8,586,5,844,7,2148,4,653,8,666,3,1206,4]],"197":[539,150,[3,20,412,11,648,42,1,47,4304,3,611,6,268,4,1943,3,1304,3,316,3,2645,4,2767,3,572,3,228,6,1904,3,2389,7,5593,3,4,95,73,12,4019,3,1524,6,804,3,6,3,1381,3,416,3,1160,5,493,4,1336,3,1113,3,400,3,573,3,1246,22,105,8,107,6,4372,4,650,4,17,6,1262,4,507,4,5033,4,1406,4,1924,4]],"198":[534,102,[1,164,1715,21,1134,42,26,22,117,4,36,4,198,4,43,16,3250,12,2002,4,4492,10,427,8,22,4,5867,10,161,6,2,8,730,4,773,4,8,6,4351,6,4031,6,229,4,2195,6,55,6,1089,3,47,3,383,3]],"199":[537,139,[5,9,329,8,113,7,1,71,84,31,1056,4,20,20,1214,4,17,23,1624,9,855,4,1387,11,29,5,319,3,1414,3,164,3,173,4,238,6,449,4,292,3,536,3,964,5,6,14,2036,5,3625,9,7,8,827,3,1561,3,98,11,2,9,186,16,309,16,714,4,2743,6,21,6,2127,4,2364,4,85,4,1946,4,629,4,563,4]],"200":[530,115,[929,6,4,83,3,15,1657,3,71,119,646,6,1038,3,1,28,178,18,75,30,37,7,6,7,4241,18,59,3,835,3,73,9,212,17,605,3,16,4,1465,4,1662,6,94,4,24,4]],"201":[529,73,[2,222,58,19,159,11,418,3,11,17,20,20,48,20,445,4,71,10,135,5,136,4,575,4,34,3,1,16,80,10,64,32,50,3,104,5,62,5,7,7,737,6,63,8,19,6,41,7,206,4,124,6,1519,4,1215,4]],"202":[466,102,[17,12,36,18,16,8,4,100,41,15,6,14,23,14,1,15,13,15,721,3,25,4,42,5,5,39,2067,4,1568,3,1310,3,24,5,83,6,172,4,182,3,10,3,3,24,2695,4,5766,4,28,9,551,3,8,5,2,16,306,3,15,4,5602,3,14,4,26,3,2763,4,111,3,9,4,33,4]],"203":[435,105,[24,5,1,11,3,33,13,25,41,12,4,78,47,5,42,19,17,6,8,27,6,8,10,12,1384,3,11,5,5,18,83,7,25,6,18,4,23,4,2,10,9,7,76,4,43,5,16,4,7,8,33,7,27,3,28,4,74,4]],"204":[405,102,[2,7,4,40,3,96,182,3,31,14,5,17,6,29,736,3,10,15,630,3,13,25,1514,3,9,6,8,4,17,3,420,3,1,8,42,4,27,3,25,4,60,3,18,4,7,3,26,3,43,3,16,3,4993,7,1907,5]],"205":[449,121,[3,63,4,67,17,5,13,11,24,6,5,60,41,5,39,4,547,3,10,5,1,12,6,17,42,8,995,4,327,3,31,5,2381,5,8,6,16,4,18,14,25,5,11,5,12,3,65,3,77,3]],"206":[463,105,[3,33,10,16,5,8,12,6,1,17,4,14,54,4,115,4,21,9,8,14,6,30,16,10,27,16,26,4,61,23,39,6,41,10,65,6,55,4,30,5,31,6,74,4,44,3,38,3,13,6,24,6,7,4,18,5,53,15,2,7,17,8,241,4,23,4,497,4,36,6,82,4]],"207":[508,101,[2035,3,75,53,1581,4,388,21,1207,3,310,18,3,3,827,5,536,23,319,14,9,4,929,14,900,19,956,5,5,17,553,10,856,4,640,3,28,3,1,13,113,10,178,17,359,11,12,3,1447,8,449,5,444,25,255,3,835,20,1062,5,589,4,584,4,396,9,661,6,3744,7,2,5,87,4,1828,4,88,3,633,9,382,3,73,4,668,16,224,4,46,4]],"208":[422,141,[182,7,3,51,55,20,27,16,7,9,4,13,21,6,1,7,24,5,5,24,65,3,17,3,6,16,13,4,25,16,16,9,31,9,20,3,18,5,47,5,83,4,38,3,8,4,138,3,36,3,871,6,2,9,10,6,69,4,84,3,105,3,1425,3,1288,3]],"209":[379,114,[21,3,5,20,10,8,12,5,3,73,777,5,583,3,887,3,361,3,1,14,6,12,27,3,1463,4,18,8,9,12,17,3,7,6,65,5,31,9,5317,3,2,12,5310,4,24,4,4,8,44,6,16,9,13,3,39,5,33,6,29,5,30,4]],"210":[497,126,[2,151,159,5,58,12,15,8,41,5,489,4,1,23,125,3,64,20,90,4,11,21,113,13,838,3,1845,3,36,5,80,7,1042,3,7,19,2165,6,3601,4,50,3,495,3,34,3,3,3,19,18,68,6,46,6]],"211":[491,77,[4,10,2,115,24,10,3,49,46,12,16,12,5,18,1,16,7,6,126,4,124,6,85,6,19,26,58,6,6,16,67,8,68,14,23,8,14,14,1210,8,32,4,92,4,1349,4,17,4,34,6,414,4,224,4]],"212":[447,90,[6,13,4,94,3,53,27,3,30,4,9,3,24,28,16,14,8,5,5,11,18,3,7,3,1,23,38,4,74,4,20,4,127,8,2,12,33,4,17,4,41,6,2943,10,39,4,1458,4,32,4,3288,8,13,4]],"213":[464,98,[5,33,44,5,1,21,63,3,6,23,31,5,27,3,3,61,2,13,28,5,4,24,18,7,23,15,455,3,69,3,70,3,188,3,74,4,77,6,85,14,139,4,426,6,1042,4,7,6,211,4,8,4,17,10,68,6,30,10,36,4,65,4,12,8,33,4,96,6,29,6,40,4,14,6,49,3]],"214":[496,116,[236,31,21,28,26,24,805,4,1,25,22,54,120,3,602,3,348,3,780,22,111,9,102,5,1816,12,29,3,1874,5,167,3,156,4,294,8,190,3,2067,4,194,4,674,4,506,15,333,3,66,10,9,24,280,6,722,3,306,8,97,3,133,3,165,3,36,6,12,28,649,6,4218,6,581,4]],"215":[492,115,[6,7,2511,5,111,11,1119,27,395,17,1171,3,1603,18,2597,7,4629,12,3173,10,2,6,26,24,2338,17,4462,3,447,3,1136,7,1,39,1070,3,1979,5,99,5,342,4,2321,4,2118,4,705,23,285,7,33,4,1046,3,718,3,2173,13,4353,3,3843,4,1534,3,249,4,12,25,635,5,2311,3,2006,5,7,10,18,6,92,6,37,4,1377,4]],"216":[446,111,[1,49,3,43,18,6,10,4,24,4,32,4,37,4,5,20,163,8,51,4,12,10,28,22,16,4,30,9,161,4,39,4,2,18,132,8,17,4,53,6,1151,4,57,5,8,8,54,4,49,24]],"217":[425,72,[31,109,16,42,2,33,6,14,3,21,18,3,502,3,78,3,5,26,32,3,36,3,10,8,17,5,34,3,125,4,29,26,1,7,9,5,23,4,19,8,54,4,44,4,39,4,38,4]],"218":[479,70,[6,4,4,12,329,5,536,3,1050,3,1,262,3,4,1642,3,1207,3,1972,3,2400,3,1062,3,2629,3,2910,3,1939,3,3155,3,319,3,964,3,4297,3,3683,3,5432,3,3837,3,1471,3,5668,3,3839,3,4685,3,449,3,933,3,5126,3,5433,3,12,4,969,6,2372,6,4049,4,3677,4,5669,3,2247,3,4147,3,553,3,1300,3,4298,3,4299,3,5670,3,444,3,956,3,5671,3,4503,3,827,3,2036,3,3840,3,1051,3,2562,3,3346,3,1192,3,2844,3,5434,3,1414,3,2696,3,23,3]],"219":[421,99,[16,3,3,41,43,4,4,25,10,24,5,40,21,12,12,6,9,12,8,34,6,16,41,13,101,3,27,18,42,3,2,8,1,9,17,7,25,19,1213,5,47,3,551,3,29,3,24,5,20,3,74,6,13,3,67,4]],"220":[437,116,[387,13,2334,4,1529,3,1,36,3,53,6,15,1167,6,31,5,8,5,5,4,13,11,995,4,39,11,28,5,1896,6,27,5,38,3,10,7,26,3,74,5,18,7,7,3,17,8,60,4,44,10,30,4,2,16,41,6,16,4,4,6,223,4,147,6,23,8,67,8,14,4,307,4,78,4,112,3]],"221":[477,32,[45,325,2,4,798,34,206,35,737,6,326,10,1,3,2443,6,3,6,28,4,426,4]],"222":[462,87,[4,194,3,95,467,3,39,6,2,8,8,5,2789,4,1,19,5,9,800,4,13,9,6,4,83,3,741,8]],"223":[452,115,[44,4,28,18,13,6,1,22,7,6,36,12,3,36,8,6,6,11,55,6,17,10,5,10,5772,6,1344,4,861,4,30,6,18,6,10,6,32,6,57,5,51,4,53,8,919,4,132,22,12,6,20,4,99,8,14,4,16,4,50,4,2,8,49,27]],"224":[441,101,[14,3,5,43,92,9,8,35,12,17,2,13,31,5,13,26,3,11,17,8,32,5,318,3,9,12,7,5,10,20,24,3,4,19,15,3,16,3,26,6,307,4,6,16,30,12,99,4,1,11,33,6,91,4,38,4,41,6]],"225":[432,90,[4,138,8,4,13,7,12,7,11,3,9,8,2,37,5,35,1,16,41,3,29,3,15,6,14,13,70,4,16,7,6,9,435,4,324,4,7,5,18,6,30,4,3,8]],"226":[425,122,[489,9,1058,4,1108,3,43,3,13,23,1,14,4,49,10,8,47,4,579,9,3,55,9,5,17,9,1751,3,1893,3,105,4,8,11,16,7,39,4,42,4,6,12,613,12,5,8,62,4,12,3,41,3,67,3,177,3,1809,9,4076,6,30,10,18,6]],"227":[457,129,[3735,5,3585,3,226,64,3,20,1,66,189,4,491,5,612,44,5,3,2746,3,18,9,29,3,401,4,27,3,8,3,305,3,17,4,392,4,1402,10,1511,4,975,4,3229,4,1647,4,4,6,7,4,4014,4]],"228":[438,122,[2,46,3,13,4,63,5,22,48,5,10,58,11,20,9,5,40,4,17,3,15,7,6,10,8,9,31,11,16,3,7,10,80,4,1,6,1064,3,64,3,14,6,34,4,35,4]],"229":[450,62,[10,6,5,271,3,7,58,8,32,18,34,4,2,3,7,18,141,3,14,6,11,7,15,3,64,6,35,3,62,3,1,5,20,5,84,7,1274,3,4,14]],"230":[410,77,[287,129,1038,11,6,70,4,9,7,13,3,17,10,14,5,20,808,3,25,6,4307,3,1,4,15,3,207,4,39,4,35,8,89,3,77,16]],"231":[443,114,[35,89,126,66,3,15,33,7,5,7,1,39,9,4,7,11,132,6,2,13,6,9,53,3,3206,3,18,5,8,3,12,5,163,4,52,4]],"232":[410,102,[3,41,5,10,4,30,13,6,10,63,9,3,38,11,27,3,609,17,182,3,39,4,8,7,138,4,203,24,1029,9,493,3,1,12,304,4,57,3,177,4,92,5,2,5,6,5,35,3,872,3,386,10,7,3,26,5,313,3,202,8,160,4]],"233":[458,113,[40,13,681,3,2,42,67,5,1,19,73,50,111,4,7,52,26,43,334,3,82,5,51,4,376,6,6,3,139,6,119,8,20,10,889,6,1379,4,33,3,11,4,44,4,92,8,8,3,57,5,265,5,285,3,52,8,727,5,168,3,108,5,161,6,239,8,138,4,121,3,1470,3]],"234":[435,187,[6,6,56,5,75,7,415,4,3,19,224,17,4,4,18,4,785,4,1,37,863,4,88,4,42,3,394,7,682,5,87,5,329,6,37,5,5,3,835,3,1096,3,73,4,710,3,539,5,781,3,178,3,153,3,134,3,569,4,38,4,107,8,983,6,409,4,2,4,45,4]],"235":[446,148,[3,33,824,3,833,4,5,4,2013,7,429,6,1712,4,487,5,277,5,272,36,267,26,205,31,564,9,3861,3,1,33,618,3,2736,3,416,10,1170,4,710,4,145,6,256,4,2881,3,219,4,361,4,2171,9,3168,3,2047,4,1467,3,241,4,352,5,1225,3,6,4,3047,3,13,4,274,10]],"236":[441,71,[2,25,5,268,15,8,11,27,1,3,6,6,72,5,20,5,721,3,3,7,8,5,23,4]],"237":[451,153,[5400,5,778,30,3,9,3031,3,22,81,2507,3,1457,4,1267,4,36,8,2004,3,419,5,436,3,66,6,1,28,103,3,574,5,3203,3,1242,6,273,3,117,3,282,9,1556,4,120,4,10,3,283,3,169,3,1635,5,165,4,540,3,148,5,271,3,194,3,240,4,21,4,2135,4,116,4,142,4]],"238":[429,94,[11,4,193,9,4,57,17,4,7,52,396,4,2,12,79,3,230,6,1,85,6,11,24,5,106,20,2520,4,5850,6,3671,4,40,6,67,4,1835,4,1530,4,2265,4]],"239":[444,108,[12,38,14,20,9,35,2,24,83,12,163,16,78,8,1,11,50,11,357,9,11,6,368,11,13,10,26,14,181,4,391,5,544,6,38,8,66,3,15,15,233,4,683,7,89,3,17,3,7,3,44,4,76,5,248,3,6,6,32,4,30,3,132,6,616,10]],"240":[446,112,[7,15,5,3,11,52,14,20,5672,4,2,33,15,9,1,19,70,17,23,13,8,7,64,8,86,19,6,3,573,7,48,3,34,13,46,6,62,3,371,3,58,11,35,3,609,3,2512,5,80,3,125,10,324,3,270,4,3936,3,19,3,251,4,451,6,124,6,406,4,69,4,68,6,2479,4,2573,6]],"241":[444,96,[22,105,348,5,21,82,1219,5,116,10,97,5,3,4,2506,3,5,7,1,21,26,15,142,3,108,3,4,3,469,3,18,3,581,4,35,4,199,10,36,4,2135,6,563,4,17,8,115,4,33,4,3600,4]],"242":[375,114,[104,3,6,15,9,25,5,11,12,10,13,22,27,9,2,29,8,15,11,14,65,10,87,3,47,4,1,8,10,8,14,8,17,8,138,6,590,3,7,5,40,3,51,3,161,3,35,6,25,5,3,10,16,8,86,6,18,5,44,5,30,5,33,3]],"243":[406,65,[13,13,3,50,4,40,8,56,14,4,10,29,5,57,2,22,25,5,15,3,6,11,127,3,32,23,12,3,7,3,48,3,9,11,2909,5,1,4,38,3,29,3,28,3]],"244":[395,141,[17,5,2,7,25,4,4,12,3,34,5,11,42,4,894,3,31,6,1667,7,562,4,6,7,13,3,2977,3,872,5,314,10,1167,16,9,3,821,3,680,6,1224,5,177,3,412,9,583,3,916,13,1529,4,162,5,1644,6,277,12,304,5,1,4,145,7,1636,14,183,4,1648,5,564,3,1512,6,191,3,1467,4,187,4,12,3]],"245":[401,120,[8,47,41,4,4,13,9,19,5,17,23,5,17,3,3,16,7,3,12,9,2,17,27,23,61,9,10,3,76,3,25,5,1,13,18,4,20,3,6,5,38,3,84,3,67,5,26,3,158,3,29,4,83,4,30,4,318,4,101,4,185,4]],"246":[426,80,[9,29,8,42,12,23,38,6,2,10,91,4,4,91,171,4,6,5,32,11,13,4,33,5,14,28,5,6,325,3,10,4,15,6,233,7,44,5,92,18,26,5,30,5,1,4,118,10,18,6,78,4,7,4,184,4,246,6]],"247":[399,103,[7,16,2,48,31,8,34,6,6,22,10,4,14,10,3,9,63,3,15,6,137,3,1,15,101,3,24,16,158,3,57,7,248,4,105,3,126,7,8,15,100,4,730,4,108,4,5,6,46,22,4,6,99,4,104,6,18,4,23,4,29,4,3110,4,621,4,51,4,112,6]],"248":[421,86,[78,17,2,102,8,9,1,45,11,5,144,4,38,6,12,40,249,3,56,12,30,14,9,9,89,5,2750,12,72,3,1719,3,3,3,7,3,4296,5,1756,4,5666,4,1414,5,266,3,14,7,50,6,32,4,6,4,44,4,158,4]],"249":[399,93,[5,21,3141,6,3,31,1,68,377,16,4,33,2,5,25,7,6,6,12,21,47,4,13,3,456,26,50,6,3824,10,4362,5,3195,4,1578,8,7,4,42,9,55,3,23,3,9,3,16,4,5003,4]],"250":[409,144,[385,7,9,8,10,14,3374,3,243,9,1,30,4,25,22,7,374,6,720,3,106,22,3,20,268,4,5,9,38,3,11,3,443,6,8,4,54,4,6,14,284,3,615,3,1937,7,4195,5,13,3,343,8,26,5,405,3,1078,3,1046,4,224,4,1231,5,1409,3,148,4,94,4]],"251":[378,98,[3,11,10,10,16,17,7,7,23,3,30,15,6,19,5,29,85,6,69,4,1,19,20,8,217,4,57,4,146,6,4,6,29,10,151,6,13,4,17,12,74,6,28,8,2,6,171,4,31,6,241,6,147,4]],"252":[357,87,[42,8,8,7,41,3,9,6,4,10,1,26,1180,73,529,8,24,5,10,12,13,7,144,3,55,5,28,3,2,7,6,7,323,5,54,3,49,16,3,10,53,4,127,4,240,10,39,4,67,4,4085,4]],"253":[392,119,[75,66,3,8,13,3,972,5,344,33,900,9,449,11,827,4,1,12,584,4,310,8,1207,3,9,5,319,5,992,13,280,4,113,8,589,4,164,8,5,4,42,3,444,16,1192,4,2,6,553,7,79,5,29,3,53,3,14,3,7,4,1051,9,24,3,311,6]],"254":[375,88,[11,5,6,43,4,25,3,21,10,20,1,7,2,16,44,3,8,4,17,7,5,28,15,8,127,23,23,11,37,4,7,11,25,3,12,7,54,4,318,3,40,3,24,3,16,3,111,4,30,4,14,4,9,4,13,4,32,4,18,4,61,4]],"255":[392,94,[3,52,4,16,2,9,42,73,9,7,27,6,6,14,25,31,10,4,12,9,5,23,13,26,323,3,1,13,83,3,17,3,997,3,111,3,28,4,851,3]],"256":[375,122,[4,29,3,28,27,3,7,5,25,4,1133,4,13,10,162,18,1084,3,168,6,350,15,412,7,42,6,1,11,1503,3,314,4,43,4,626,4,2013,6,8,4,766,4,487,4,196,19,267,4,203,4,277,3,5,9,1467,3,390,27,3789,3,857,7]],"257":[348,96,[6,24,4,38,31,5,5,3,83,3,23,7,16,17,13,18,8,3,41,3,2,7,10,6,1,19,3287,10,24,3,28,5,565,4,29,4,3339,8,3,14,17,4,3151,4,2380,4,151,6,336,4,1538,4,38,4]],"258":[396,153,[257,3,174,7,1,42,56,28,130,12,160,6,276,3,2,4,392,3,754,7,3,5,106,3,1144,3,650,8,4286,4,1506,4,1383,4,30,6,728,4,153,6,18,4,12,4,7,4,4,14,178,3,157,4]],"259":[333,80,[24,3,4,137,18,4,5,11,3,21,513,3,6,18,296,10,35,4,77,6,461,4,1,5,11,3,248,10,2,7,10,4,31,8,39,4,347,3]],"260":[346,74,[408,28,4,29,27,3,42,18,6,78,29,5,60,3,3,27,13,20,9,11,18,4,23,8,77,3,47,3,1,4,5,8,11,4,8,4,2,3,10,4,17,4,28,3,39,3,16,4,24,4]],"261":[397,67,[8,119,1,6,3,5,6,64,14,24,25,4,11,7,2,18,9,38,16,4,13,5,5,3,20,5,15,12,38,3,48,3,32,5,57,3]],"262":[328,89,[6,6,205,3,267,7,3,56,1,20,416,14,2,5,2334,3,8,12,67,5,74,3,39,5,5,8,719,3,17,7,13,5,28,3,202,3,4,10,18,10,137,4,78,6,33,10,426,4,77,6,30,4,31,3,41,3]],"263":[397,93,[7,18,11,3,239,92,2,42,82,7,37,4,52,3,26,23,149,4,57,46,137,17,139,5,1561,3,40,4,50,3,35,5,1,6,20,11,14,7,19,3,30,3,376,3]],"264":[314,80,[4,3,10,14,3,44,2,6,51,4,29,8,99,4,18,6,1,12,423,3,13,10,24,8,6,4,16,12,14,4,2823,4,31,4,5,12,54,6,7,4,127,6,30,14,63,4,28,4,67,4]],"265":[371,92,[905,3,5,47,168,4,2968,9,103,43,270,21,17,7,3,15,23,3,1,19,10,9,2,4,29,9,1212,7,1039,4,2253,5,2418,3,286,8,32,3,459,3,24,9,85,16,70,4,37,4,96,6,829,4]],"266":[390,107,[47,3,25,8,13,19,5,3,42,13,1,43,2841,4,76,9,132,12,714,3,28,40,53,24,3,7,146,5,144,5,2850,3,163,4,446,3,1120,4,49,4,78,3,1906,34,336,4,2179,4]],"267":[338,115,[1,9,23,6,6,31,74,3,31,5,13,4,25,9,43,6,3,28,4,40,8,7,55,3,2,7,7,4,41,7,29,4,5,22,27,15,11,3,17,3,1752,3,21,4,24,5,9,6,33,4]],"268":[369,84,[4,123,11,11,14,17,48,6,2,29,20,4,3,6,15,11,34,11,72,4,8,11,64,9,6,12,80,3,7,4,13,3,5,6,201,3,63,3,1,7]],"269":[359,124,[1104,8,1,29,35,14,631,5,269,20,136,5,187,7,363,7,2144,3,4,13,772,3,1660,8,4062,3,62,5,25,3,6,6,79,4,7,20,59,19,4837,3,177,3,3,3,123,7,10,4,303,5,401,4,343,4,405,5,208,3,87,4,5297,14]],"270":[382,87,[6,18,29,6,1122,6,172,38,62,14,136,9,16,54,408,6,69,5,5,22,10,17,3,7,1,5,265,9,65,3,1454,8,1651,3,23,10,397,3,274,37,2515,6,123,8,695,4,986,3,217,4]],"271":[374,73,[1,8,172,6,69,4,29,8,7,7,23,23,502,4,10,19,16,11,486,3,6,25,635,5,17,3,102,10,24,59,1440,5,70,43,2,4,168,3,3,7,5,6,105,5,44,7,99,6,8,4,19,6,415,8]],"272":[332,81,[3,56,13,13,6,10,5,19,4,87,8,8,2,9,43,4,42,5,10,6,17,7,11,4,18,3,1,6,9,7,144,3,29,4,41,3]],"273":[372,73,[48,15,64,13,2,88,15,28,11,40,8,12,72,9,7,6,14,16,99,9,16,12,98,8,3,6,40,3,59,5,1,3,20,4,34,11,35,3,29,7,80,5,181,4,180,3]],"274":[319,126,[3,34,5,19,4,13,8,5,27,8,6,9,12,3,47,3,21,12,9,8,7,4,16,13,551,3,55,14,1,6,31,5,25,11,172,3,10,6,24,3,97,4,304,5]],"275":[382,82,[47,16,146,7,4,3,25,13,13,32,8,3,6,21,21,7,2,19,42,8,494,3,98,4,1,29,27,7,66,7,12,3,83,3,43,3,5,3,163,21,129,4,470,6,1131,8,28,26,29,4,323,10,158,8,7,4,115,8,76,4,20,4]],"276":[257,79,[4,63,3,18,6,5,2,9,8,4,25,6,13,11,16,5,42,11,5,7,1,8,17,6,9,8,11,3,10,4,18,6,40,3,7,5,24,3]],"277":[322,105,[9,9,3,17,13,24,2,6,4,36,5,11,6,15,41,10,1331,4,12,6,42,18,8,16,10,10,25,9,43,5,7,4,1,8,16,3,1580,3,667,3]],"278":[338,137,[3,60,86,10,6,7,367,6,1523,3,154,8,1,21,10,3,174,11,2047,3,17,8,9,3,130,3,235,7,18,3,228,7,166,3,59,3,160,3,256,8,1821,3,2240,3,1716,3,274,3,3674,4,1945,4]],"279":[342,105,[2,19,7,20,4,51,40,4,29,4,10,3,13,3,70,3,20,3,6,13,64,3,16,7,14,3,1,8,242,3,17,9,27,3,3,13,5,16,8,4,28,6,332,4,30,6,31,6,18,6,33,4,39,4]],"280":[369,159,[11,3,73,11,177,5,7,6,222,4,571,3,518,4,854,4,1,24,288,3,37,3,313,4,1057,5,2,9,178,24,434,3,872,3,5,15,272,3,17,3,19,3,637,3,203,5,3,13,39,4,435,4,50,3,4,4,2269,8,605,12,522,6]],"281":[328,97,[6,5,198,4,30,7,2054,4,5031,4,28,12,132,6,7,6,148,4,5,10,18,4,185,6,2,14,3,20,53,4,186,4,714,4,78,4,383,4,1290,4,13,4,55,10,44,6,1,12,216,6,14,3,49,20]],"282":[370,50,[32,73,68,57,58,20,64,15,2,13,14,13,364,5,1,19,11,3,46,31,31,3,239,4,127,6,118,12,406,15,18,6,4436,4,1215,8,7,4,137,4,4,4]],"283":[370,88,[58,5,2,21,74,11,69,7,7,17,5,14,48,4,172,9,11,22,810,7,40,14,188,6,1,8,8,6,333,7,35,10,1109,7,20,4,46,8,14,15,6,21,64,8,23,16,34,4,62,5,217,5,70,12,473,4,72,4,105,4,19,10,96,4]],"284":[316,107,[5,13,219,11,2,8,6,13,3,72,10,7,39,7,191,4,4,10,35,4,1,6,25,3,13,16,750,3,7,5,202,8,47,3,43,6,9,4,8,3,112,3,31,3,28,3,24,3,386,4,200,3]],"285":[368,57,[333,13,5,190,17,3,23,26,351,3,112,4,171,7,70,8,3,3,6,7,96,9,20,3,31,5,353,4,7,4,2075,7,1,6,16,4,157,4]],"286":[343,91,[17,14,2,16,11,3,72,6,77,3,57,5,67,7,7,10,4,31,27,8,3,14,470,5,1,7,10,6,6,12,35,6,54,16,18,9,8,7,44,7,2420,4,12,3,9,4,32,4,30,8,52,6,2632,4,39,4,24,10,22,4,15,4]],"287":[312,75,[25,17,10,41,4,24,5,11,6,54,112,3,300,5,35,5,13,4,61,5,21,3,1470,5,3,13,551,3,24,5,23,6,7,15,31,4,77,9,27,4,182,3,9,5,2,5,1660,3]],"288":[345,72,[76,5,5,92,41,18,1,23,10,14,17,4,8,29,3,13,25,14,13,15,36,6,83,5,29,3,9,6,12,10,7,3,6,7,28,4,2,5,15,3]],"289":[313,86,[11,8,9,23,3,13,28,3,2,25,249,3,12,38,8,9,14,4,5,6,15,6,6,17,17,5,54,12,13,5,38,3,242,3,23,3,86,3,44,5,7,7,16,3,21,3,1,10,24,6,61,4,163,4,40,4]],"290":[361,102,[691,31,743,17,429,16,896,10,1,17,1806,3,205,5,485,15,912,4,3,24,399,12,1520,10,191,11,405,18,435,5,2537,4,1390,3,564,3,3805,8,119,4,284,5,586,7,422,11,83,3,153,6,573,3,1117,5,277,3,3042,3,741,4]],"291":[280,84,[34,3,24,11,105,5,5,11,7,9,143,6,6,15,20,3,3,24,10,7,248,3,18,8,33,13,15,6,16,12,195,3,60,3,14,10,35,6,2,10,23,3,9,5,1,6,30,10]],"292":[363,137,[133,3,52,34,25,6,5,10,53,7,42,5,271,4,1,32,635,5,29,6,16,5,165,6,7,4,22,18,2,6,529,3,629,3,6,3,340,3,8,3,44,3,823,10,150,3,291,4,35,3,580,3,240,3,421,3,24,4,182,4,17,4,758,4]],"293":[353,84,[43,7,4,26,12,6,9,8,1,17,8,21,689,12,5,16,92,17,6,21,59,4,35,12,10,6,171,5,2,4,60,4,67,33,24,3,108,3,41,5,23,5,347,8,44,4,36,4,39,4,195,4,17,10]],"294":[358,58,[2,65,10,26,32,111,81,44,8,7,20,9,64,4,15,10,60,4,125,8,11,3,35,5,68,4,46,5,84,3]],"295":[284,106,[4,25,83,3,55,12,17,6,6,16,27,17,5,12,25,6,3,23,8,6,47,3,7,3,12,4,13,3,15,3,1,4,2,5,21,10,112,3,31,6,16,6,11,3,35,3,9,3]],"296":[344,96,[11,25,72,5,2,35,6,94,1,9,4,24,5,4,31,5,77,7,24,6,13,3,25,3,1892,5,34,5,10,3,244,5,1113,6,390,4]],"297":[293,76,[27,5,4,66,3,63,42,3,6,42,9,6,13,6,1,3,25,4,43,3,460,5,24,4,10,4,29,3,7,3]],"298":[353,105,[387,7,153,13,276,8,3,10,151,12,2071,4,375,61,990,13,946,6,260,7,204,8,1,35,3355,9,366,7,532,7,314,8,5528,4,707,4,213,3,1834,3]],"299":[346,108,[6,34,188,13,2,44,609,3,31,8,96,11,3,10,24,14,4,6,11,9,35,4,5,4,199,3,1,18,50,3,256,3,112,6,8,4,390,3,90,3,7,4,10,3,527,9,14,9,217,4,1353,4,74,4]],"300":[348,37,[2,214,41,13,15,26,8,5,1007,3,56,5,1,3,48,10,98,3,50,19,1557,5,7,8,20,4]],"301":[341,137,[10,36,934,11,187,4,2,37,7,33,11,3,40,11,631,5,782,3,59,6,1,10,438,4,35,15,564,4,191,3,454,3,77,3,195,4,278,3,20,3,430,4]],"302":[237,66,[1,20,6,6,132,22,105,4,14,7,8,8,12,23,60,6,26,4,18,8,2,6,17,4,1083,6,10,4,336,4,3,8,641,6,308,4]],"303":[339,60,[87,3,136,18,62,61,3,14,123,24,1,71,417,6,208,5,3185,9,94,38,4290,3,3028,6,5191,5,4,4,592,6]],"304":[322,94,[5,48,28,5,3,12,1,14,41,4,4,15,10,30,42,5,2,7,6,4,8,18,25,30,29,3,76,7,13,18,12,4,24,3,323,4,9,5,7,3]],"305":[267,70,[3,42,6,6,66,3,40,4,1,20,41,5,2,6,1511,4,8,10,10,8,27,6,16,4,138,4,404,4,12,4,33,6,115,4,53,4,14,4,5,5,29,4,22,4,4884,4,13,9,49,4]],"306":[322,90,[5,5,468,3,17,64,22,18,50,3,1425,3,1,27,12,8,76,3,131,9,21,5,9,5,44,4,367,3,285,4,30,4,1292,4,20,4,133,4,2,14,121,4,14,4,2725,4,340,4,2198,4]],"307":[327,64,[2,104,11,36,41,3,7,31,15,3,8,6,72,9,34,4,575,4,200,3,113,3,40,4,2696,3,651,10,1,3,3,6,19,16,972,4,727,4,164,6]],"308":[325,122,[1,13,21,9,117,20,540,3,194,6,22,28,229,6,285,3,133,11,282,3,67,6,2875,7,1074,3,7,4,32,24,30,6,12,9,2281,4,66,6,118,17,2,5,14,4,8,3,246,3,247,3,261,4,558,4]],"309":[330,66,[4,35,8,18,9,5,38,6,32,6,2,17,92,3,14,10,15,5,50,7,1,4,19,3,12,64,30,21,110,8,28,4,33,8,46,6,293,4,281,4,5,10,7,6,41,4]],"310":[328,93,[343,19,530,12,4,33,1,30,27,10,369,3,79,26,1399,14,789,5,39,3,1088,3,762,4,2378,11,55,3,1984,14,494,4,1787,6,2326,8,1297,6,1104,4]],"311":[297,77,[1,17,3,35,4,6,54,7,105,7,5,7,2,14,12,9,8,3,30,10,945,4,426,4,744,8,38,4,39,4,131,4,6,18,3569,8,959,4,7,6,10,4,9,4,16,4,14,6,41,4,49,4]],"312":[323,58,[6,12,5,61,99,11,74,11,209,3,31,21,16,6,70,14,172,10,69,10,7,9,35,3,171,5,1,28,10,4,85,6,1600,4,23,18,601,4,33,4,810,6,101,4,77,8]],"313":[275,87,[4,13,17,3,27,5,3,27,1,14,1064,48,25,4,13,7,83,6,8,11,5,9,7,5,2,9,10,5,42,3,4504,6,39,3,41,3,182,3,33,3,115,3,6,4]],"314":[286,67,[3,29,4,79,10,9,27,5,5,33,9,5,2,8,8,3,35,3,6,9,7,11,13,4,39,3,61,3,21,4,22,8,51,4]],"315":[293,77,[20,3,4,40,3,29,6,16,5,12,23,8,1,9,16,4,74,6,188,12,61,10,30,6,29,4,24,4,201,4,10,4,85,4,5533,4,27,6,46,6,2,4]],"316":[308,77,[41,3,3,36,6,12,43,3,10,55,5,79,4,3,13,4,8,4,7,8,9,4,1,6,26,3,846,3,3432,3]],"317":[259,87,[3,31,784,11,16,3,4,11,1,4,13,43,23,3,242,3,28,7,21,6,6,6,42,9,5,11,10,3,1384,5,9,5,25,6,1178,6,43,3]],"318":[325,63,[10,23,23,5,85,13,1,44,2,63,31,5,5,13,7,35,6,4,14,13,86,7,5576,4,46,10,19,4,24,4,13,4]],"319":[316,52,[269,13,193,40,1,12,230,36,329,8,319,5,444,4,1192,3,259,25,449,4,79,88,553,4,355,3,75,8,343,4,1399,4,2143,8,530,4,3239,3]],"320":[326,149,[52,23,6,9,1,32,474,10,291,4,121,12,425,8,1052,6,7,3,42,4,9,7,21,7,599,3,2,7,1132,3,725,3,27,3,357,6,504,3,108,3]],"321":[309,75,[23,7,5,6,4,25,17,12,3,26,31,3,69,8,6,6,10,8,78,4,186,4,1,24,3293,4,819,6,27,8,26,4,41,4,33,6,61,12,2,12,29,4,32,4,67,4,53,6,14,6]],"322":[325,96,[192,36,147,5,1,52,2,22,9,7,5,8,63,3,38,5,40,3,12,10,78,6,15,4,6,4,1699,4,16,10,664,4,112,4,1345,4,121,4]],"323":[318,63,[26,122,15,10,33,3,2,34,1,6,14,19,5,5,161,3,8,16,30,20,266,4,20,4]],"324":[323,47,[3,14,145,195,477,6,560,3,260,8,707,7,435,4,366,7,1,19,219,5,314,3,3312,5]],"325":[309,65,[347,8,13,18,42,3,6,5,4,9,8,6,67,10,18,53,35,25,5,14,689,6,146,3,83,3,10,7,9,3,1,9,28,11,3,9,325,4,25,3,2,3,12,3,92,11,659,4,195,4,186,4,302,8,29,6]],"326":[285,92,[1,30,3,40,31,3,926,4,1529,4,41,4,29,5,3283,9,23,7,412,7,10,8,13,18,28,3,5,3,38,3,65,4,24,3,6,12,275,10,30,3,47,8]],"327":[288,84,[6,12,4,99,3,28,24,4,27,3,25,5,1,6,2,3,995,3,219,5,162,4,5,5,350,4,1416,4,13,3,564,5,10,5,16,3,277,3,1789,6]],"328":[284,101,[3,43,1380,18,1905,6,41,3,5,8,2133,5,9,5,1170,3,1,15,6,4,8,8,10,3,537,3,13,4,16,11,626,4,277,5,202,3,1058,3,210,3,1659,11,832,4,526,5,653,8,2900,3,2928,3,3312,4,878,3,1971,6]],"329":[304,67,[1413,10,5,3,1,31,2561,6,230,25,1192,3,444,10,449,6,319,40,3977,4,193,20,329,5,269,25,553,4,95,3,75,17,259,16,827,6,1940,3,1050,4,3239,4,2143,8]],"330":[295,112,[10,11,1,27,902,3,13,6,609,3,23,9,806,16,6,19,3,16,195,3,27,3,24,3,33,3,39,4,224,4,1383,4,245,4,45,6,221,4,1455,3,252,6]],"331":[267,83,[3,30,4,26,1,21,8,9,358,3,268,3,9,6,23,4,6,6,5,8,127,4,2,7,7,6,10,6,39,3,83,3,55,3,33,6,28,3,681,4,24,5,29,3,2532,3,67,4,13,4]],"332":[312,73,[810,21,4,29,1109,14,2,19,7,14,70,12,58,3,69,9,6,7,160,5,40,4,11,9,59,3,64,3,3,9,507,6,5,12,105,3,1855,7,96,28,92,8,67,4,20,6,73,4,1488,4]],"333":[278,70,[5,46,16,33,17,10,172,7,408,3,580,5,2,23,6,9,23,4,1803,3,1,10,11,5,112,3,7,4,20,3,126,8,26,3,3,18,44,6,189,4]],"334":[307,143,[1,13,8,8,685,3,4,9,1086,5,3,7,65,16,358,4,1398,3,709,3,6,6,10,8,5,28,458,4,59,5,17,9,937,3,12,3,702,4,1951,3,9,3,224,6,7,4]],"335":[316,97,[1,20,957,31,897,11,153,3,3,8,887,3,713,13,39,3,579,16,295,6,857,4,390,3,3041,4,226,7,191,11,1397,62,1019,3,477,4,1868,3,54,4]],"336":[308,36,[69,19,110,64,2,36,5,4,216,46,281,34,223,8,7,14,170,4,704,8,12,4,688,4,1,4,616,6,1295,4,29,4,1344,6,488,6]],"337":[294,86,[171,4,2,29,2411,5,5,5,622,6,15,8,11,6,7,9,64,7,14,18,6,4,69,3,96,10,3434,3,8,5,48,3,3,13,10,7,4,18,197,4,70,4,50,4,29,4,19,4,23,18]],"338":[210,68,[51,5,118,12,32,4,509,4,302,4,153,6,1,12,8,3,198,13,45,4,50,10,338,12,252,4,281,4,110,6,2,7,12,7,66,6]],"339":[304,109,[8,20,4,37,5,38,35,8,40,3,351,3,1,23,24,4,10,8,7,9,9,6,2,13,3,3,490,3,349,4]],"340":[305,77,[490,3,6,53,7,19,14,8,2,23,8,17,5,11,34,5,3,6,37,5,3567,6,12,3,69,7,82,3,1,18,29,7,46,3,223,3,251,6,525,4,575,6,23,6]],"341":[276,56,[341,62,30,13,38,4,12,14,1,8,302,24,3,32,94,4,336,6,136,4,2,6,18,4,281,4,14,3,7,4,118,4,50,4]],"342":[299,126,[1,71,8,20,4,3,71,4,1408,4,5,4,760,3,14,8,2100,4,1366,4,594,4,940,6,1161,4]],"343":[289,76,[131,13,54,10,289,13,8,7,4,33,61,6,442,8,6,11,5,11,39,3,105,5,1332,4,23,3,9,7,1399,3,27,8,3,26,1,6,12,8,100,3,446,4,2,6,945,4,25,4,30,3,3756,4]],"344":[307,100,[79,75,286,5,1,17,193,6,3,6,75,5,1088,6,16,4,349,3,39,16,206,4,2132,10,789,6,402,4,915,4,365,18]],"345":[254,90,[10,9,6,5,4,18,693,8,8,5,1222,3,5,8,30,5,3,18,1,11,1324,7,824,22,2116,6,116,3,38,4,892,4,13,12,291,6,39,5,297,5]],"346":[301,19,[4,254,6,6,1,6,8,3,2,4,3,4]],"347":[294,74,[1,39,65,111,334,3,4,7,2455,4,1704,3,1604,5,5248,6,2771,6,17,4,3,8,73,3,7,8,13,4]],"348":[295,76,[3,23,172,7,23,11,6,75,160,3,70,4,29,4,2,8,307,11,24,7,16,4,1,22,5,4,182,3,39,3,69,3,569,6,2015,4,10,4]],"349":[297,111,[4,5,1,16,15,6,786,3,7,30,2,17,427,3,119,3,6,3,11,9,20,4,14,21,72,5,395,17,35,3,3,3,63,3,260,10,34,3,70,3,86,4,44,4,33,4,10,4]],"350":[264,54,[4,14,6,17,42,4,3,22,8,7,25,11,5,100,408,3,13,6,43,5,10,4,9,4,83,3,23,6,2,5,77,3]],"351":[291,123,[1,43,816,5,177,3,2155,6,65,4,2,4,74,13,5,6,9,3,260,5,12,6,217,3,3,25,535,3,188,4,1531,8,23,4,6,4,31,4,14,4]],"352":[253,66,[29,7,6,14,24,18,4,13,5,42,25,3,425,3,23,20,22,4,41,3,13,17,10,8,8,5,3,20,1,4,47,4,42,3]],"353":[293,43,[2,100,16,71,15,5,14,5,1,7,6,5,72,7,5,4,25,3,11,3,31,3,74,4,84,4,3,8,78,4,8,6,7,4,19,4,17,6]],"354":[270,59,[3,12,28,38,23,4,2883,15,2,6,2344,4,53,18,8,6,1,6,5,6,61,4,16,8,29,4,49,49]],"355":[298,110,[88,6,4,4,14,5,5,13,56,8,1,15,2,10,394,3,501,3,9,19,6,3,12,5,11,3,8,4,87,4,443,8,224,3,73,7,3,3,781,3,254,4,2148,3,1833,3,1432,8,545,10,178,8,3750,4,715,11,2602,4,45,4]],"356":[286,85,[3,12,274,3,18,3,17,4,1,40,208,4,1073,4,2805,3,417,17,2095,4,223,23,3613,4,730,13,1806,4,1982,8,184,10,106,4,1748,3,100,6,2641,10,976,8,1238,3]],"357":[299,99,[150,9,320,13,1185,3,121,20,599,3,765,5,452,9,1052,10,725,4,111,6,1,24,52,15,53,6,283,7,247,18,291,15,20,4,558,28,596,4,851,5,425,3]],"358":[296,95,[1,32,5,5,2,15,8,19,14,14,9,8,21,3,6,5,12,11,25,3,13,6,3,4,11,3,27,5,38,3,15,5,101,3,7,5,143,11,184,3,44,3,50,5,227,5,127,6,30,6,28,4]],"359":[275,72,[30,16,10,4,9,4,14,3,2,23,1,11,54,6,4,16,12,7,3,18,6,14,5,16,200,3,17,9,13,3,16,7,39,6,20,4,19,4,7,4,483,4,78,4,494,4,49,4]],"360":[290,115,[1057,5,3,3,720,6,654,11,119,12,350,4,94,3,256,14,818,29,588,3,501,5,892,9,1,19,437,9,642,3,479,3,2466,3,399,4,3873,3,5,3,2427,4]],"361":[276,96,[10,52,1,5,461,4,659,4,637,3,3,11,17,6,2,10,902,6,5,5,58,3,34,16,7,13,527,7,35,6,11,7,293,4,51,4,15,3,591,3,96,5,77,4]],"362":[294,117,[537,15,832,4,141,5,1,17,382,7,145,6,1484,3,1092,7,448,7,2379,20,1416,4,328,14,1947,4,961,3,489,3,904,3,1686,3,313,8,1340,3,653,5,2193,3,1322,6,1380,4,782,4,327,3,284,3,859,3,203,5,374,4,154,3,401,8,75,3,708,3]],"363":[264,98,[55,21,3,43,6,15,5,23,25,5,39,5,16,7,27,11,2,5,404,3,1,7,21,7,47,8,7,6,9,3]],"364":[293,54,[24,4,6,10,9,39,2,25,14,33,15,13,7,4,48,8,11,7,19,3,38,12,86,4,39,7,32,4,8,13,20,4,5,8,30,20,1,11,198,4,12,3,98,6,16,4]],"365":[263,68,[5,5,1,14,61,32,3,32,18,4,36,8,16,7,10,4,4,6,6,13,53,6,27,4,41,4,17,4,129,4,2639,6,861,4,9,4,2,6,102,4]],"366":[251,87,[4,53,16,5,3,19,5,7,41,6,25,8,17,7,42,3,6,15,1,3,27,12,581,4,8,11,2,4,29,4,9,5]],"367":[236,64,[5,86,4,6,10,13,115,3,6,10,8,4,3,11,1,8,78,3,139,3,302,4,18,6,33,4]],"368":[282,100,[229,8,1516,5,246,9,117,23,21,32,1242,3,202,5,167,12,261,4,22,10,148,5,169,3,67,7,32,18,194,7,139,4,66,6,133,5,1,15,103,3,118,7]],"369":[282,106,[1402,3,189,15,3,26,39,5,2292,3,1,36,2,3,491,7,17,5,2389,7,1805,5,1044,5,487,3,367,3,7,5,8,3,840,3,107,6,45,5,2302,4,221,4]],"370":[281,98,[4362,5,1,40,119,3,2917,13,2,7,21,5,154,5,3,10,290,4,90,8,435,3,25,4,13,4,5,6,122,4,1964,5,6,3,4,5,224,16,1383,4,1283,6]],"371":[277,74,[2,36,70,5,1,19,7,7,5,19,59,5,3,25,10,3,4463,6,1510,3,708,3,856,4,859,9,35,4,1628,3,114,14,6,4,262,16,868,4,1745,4,643,6,19,3]],"372":[282,149,[1459,3,154,6,608,3,145,3,1,14,109,5,276,3,191,3,901,3,363,6,1705,3,174,5,244,3,91,4,235,5,636,5,642,5,183,15,95,3,250,7,692,4,720,4,59,5,274,8,1372,3,405,3,226,3,208,7,5402,3,437,3,735,3]],"373":[283,72,[317,125,1,21,2229,5,2897,8,613,6,3099,3,235,11,1025,6,205,3,3194,10,832,4,267,4,636,5]],"374":[252,54,[29,3,5,90,4,27,76,3,23,6,408,3,41,3,3,12,10,4,27,8,9,4,24,6,2,3,18,3,16,4,6,18,21,7,25,3,47,3]],"375":[242,62,[3,45,2,6,4,53,5,12,9,5,13,5,1,13,27,9,866,3,6,6,41,4,591,4,202,6,2148,8,10,7]],"376":[255,97,[8,14,6,8,10,7,3,11,26,3,5,17,1,15,811,7,16,3,4,8,386,3,115,3,39,4,367,12,2,4,3768,4,45,6,752,6]],"378":[233,77,[3,11,61,14,146,4,18,6,1,9,4,6,2,4,13,4,151,6,27,4,5,10,29,4,60,4,12,4,8,4,33,4,63,4,6,6,909,4,129,4,31,4,43,4,49,3]],"379":[278,66,[431,59,1,30,122,16,3426,8,267,13,1358,3,1190,5,3261,3,256,4,416,4,205,10,554,15,603,5,3795,6,885,4,244,3,812,3,162,8,1427,9,3010,3,3842,3,2246,6]],"380":[239,78,[6,35,4,3,41,3,5,7,3,18,13,12,18,3,15,4,8,11,27,3,2,24,9,4,11,7,39,5,42,4,12,3,7,6,187,5,944,4,19,4]],"381":[203,66,[4,35,3,34,29,4,5,13,6,19,26,3,18,3,23,14,1,4,10,3,24,3,61,4]],"382":[255,56,[5,110,3,8,6,7,1,5,2,10,8,14,4,15,23,3,25,3,12,3,7,5,24,3,68,4,44,4]],"383":[271,67,[2,56,6,11,10,3,14,12,7,26,1,9,11,3,8,15,34,5,46,20,51,6,18,4,110,4,19,3,20,4,101,7,93,4,1089,3]],"384":[251,77,[25,6,3,11,13,9,4,25,1350,5,1,9,6,5,42,4,41,4,274,26,27,3,177,22,10,5,527,19,638,3,5,3,244,3,123,5,485,3,397,3,23,4,363,4,39,5]],"385":[243,92,[138,3,24,7,5,29,11,3,359,3,2,4,8,8,10,25,6,8,40,3,7,3,1,14,12,5,2358,3,3,10,106,5,15,3,18,3,33,4,443,5]],"386":[232,89,[83,3,510,9,13,9,76,4,1,5,3,23,4,19,6,6,2,8,11,15,33,3,5,4,202,4,894,3,288,5,304,4,25,6,8,8,43,4,339,4,15,4,7,4,950,4,74,3]],"387":[237,82,[4,27,10,8,3,27,6,11,8,8,27,9,2,3,23,5,33,5,5,25,13,3,277,3,31,4,36,5,38,7,29,4]],"388":[272,34,[75,187,79,8,277,6,3,7,2270,4,1,15,400,3,3215,3,2582,6]],"389":[271,63,[277,74,1,19,154,11,626,4,328,8,1092,9,859,9,1520,5,3,8,413,3,832,7,564,9,429,4,618,9,1636,3,326,23,244,3,363,3,760,4]],"390":[240,105,[3,24,5,8,1,8,25,3,42,4,6,5,452,3,219,9,23,7,10,9,2,8,47,3,9,3,13,5,24,8,182,3,867,8,299,3,7,3,35,3,8,5,39,3,2582,3,19,4]],"391":[272,109,[285,21,349,5,111,12,26,14,552,4,270,14,6,9,1,29,1116,4,5,3,23,6,7,6,99,3,36,4,717,5,889,4,2,5,676,7,20,4,862,4,1061,3,3313,3,121,3]],"392":[252,56,[4,67,57,8,13,5,24,5,5,6,16,21,137,16,10,12,12,4,17,3,127,5,55,4,8,8,2,4,6,9,33,4,129,4,61,4,18,4]],"393":[266,30,[4,28,517,104,3,9,384,12,2584,3,986,62,2386,4,1159,4,37,4]],"394":[269,157,[463,4,1,26,122,3,277,5,350,4,661,11,2088,3,219,3,1254,3,189,4,1157,4,3895,3,1058,3,59,11,1580,4,3,3,244,3,1329,3,1086,4]],"395":[261,70,[8,68,4,13,38,11,11,9,3,3,20,7,1,5,32,7,2,15,9,6,5,12,44,4,367,5,14,8,15,3,48,3,84,4,123,3,18,3]],"396":[183,89,[289,9,3,11,4,11,9,14,7,4,17,4,5,3,2,5,1,5,16,3,8,3,86,5,174,3,13,4,1633,3,612,3]],"397":[235,84,[13,4,83,3,42,7,3,26,2646,4,153,6,6,13,4,25,47,5,9,3,384,3,196,4,1613,6,8,5,16,6,25,3,1,13,777,4,776,10,55,4,5,3]],"398":[248,74,[5,10,55,28,26,3,6,29,31,4,2431,4,21,9,4,32,3,26,27,5,8,3,1,7,2,4,16,3,24,3,83,3]],"399":[232,57,[4,25,6,27,138,3,23,8,1,13,1204,4,637,54,3,24,9,4,5,8,12,3,460,3,3149,3,1350,3]],"400":[232,53,[3,17,10,49,4,23,5,63,41,4,6,7,65,3,1,3,9,6,13,4,24,3,31,3]],"401":[234,76,[168,4,4,29,3,23,2,4,13,5,8,6,5,8,6,4,314,3,429,4,127,3,327,14,17,4,191,4,681,3,613,5,1,12,1350,5,2254,10,663,14,1334,5]],"402":[226,50,[3,23,17,3,7,4,23,4,6,37,93,22,4,14,10,8,180,10,147,4,513,6,74,4,1,11,31,6,577,4]],"403":[248,65,[6,5,14,6,7,19,8,17,161,3,17,7,2,20,31,11,3943,3,1,3,92,3,112,3,4,36,173,6,293,4,20,6,57,4,325,4,3,6,19,4,18,4]],"404":[261,129,[1,61,187,3,153,3,695,3,381,4,108,4,830,4,3785,4]],"405":[208,83,[3,43,25,4,39,6,27,10,6,10,24,5,1,8,5,8,7,5,127,3,8,12,2,4,13,3,4,3,9,3,33,3]],"406":[204,52,[26,8,8,8,451,6,198,22,4,6,51,6,2,4,12,8,1,12,100,6,3,14,5,8,24,4,31,6,17,4,16,4,126,4,10,4,7,6]],"407":[236,59,[522,33,414,4,654,4,1730,13,1,7,2430,4,520,8,2204,4,12,6,13,20,5,6,3,8,42,4,51,4,153,4,1974,8,170,4,3418,10,1484,4,4118,4]],"408":[257,89,[2,39,41,4,8,11,40,5,7,36,154,8,80,3,15,13,1,12,11,10,614,3,141,7,197,4,438,3,2401,3,349,3,595,3,204,3]],"409":[242,33,[10,3,1,4,157,97,568,73,13,4,3,10,6,4,16,3]],"410":[250,87,[2,27,1,8,23,6,171,3,92,16,6,3,14,12,141,4,40,4,48,3,58,9,11,8,172,4,187,8,64,6,5,5,7,4,34,5,96,19,80,3,609,4,19,5,69,3,46,4]],"411":[252,68,[3074,4,37,13,444,6,629,4,20,24,344,6,6,6,449,3,964,4,2696,3,84,6,7,14,164,8,2233,3,956,5,1940,5,827,3,319,7,238,8,1,17,329,4,2307,4,1050,6,933,3,553,3,536,7,113,6,1051,4,1939,3,2,4,972,5,17,4]],"412":[225,75,[24,3,6,8,13,16,4,43,10,4,821,3,5,6,3,52,9,3,1202,3,23,3,42,4]],"413":[215,78,[27,11,3,15,1,10,2,3,13,4,5,16,6,21,25,5,21,9,4,15,41,7,551,3,8,7,16,3,17,3,67,6,127,4]],"414":[225,70,[1,11,4,20,17,4,3,38,7,4,2045,14,5,12,12,4,6,18,270,3,2,5,42,3,10,3,28,10]],"415":[234,51,[69,17,127,10,162,3,491,4,6,18,553,3,4,73,17,5,12,6,29,5,2,3,23,5,5,5,13,14,1,3,10,4]],"416":[214,72,[41,3,4,26,6,19,5,9,10,20,3,10,25,3,13,11,42,4,8,7,1,9,39,3,17,3,16,5,23,9,2,4]],"417":[238,43,[295,65,123,68,136,3,1,21,94,6,3355,4,55,4,49,6]],"418":[214,79,[6,13,4,7,5,16,18,4,25,5,27,8,24,4,2,5,55,8,142,4,8,10,13,3,1,6,14,4,21,7,41,3,10,3,3,11,9,4,61,9,12,3,312,3]],"419":[246,70,[7,41,11,4,34,5,14,23,575,6,2,17,69,11,8,15,615,4,64,9,63,8,445,3,59,3,187,3,1,3,360,4,103,3,252,4,700,4,46,8,6,3]],"420":[195,68,[3,19,6,9,13,9,47,4,69,4,17,4,5,10,16,5,53,7,10,3,14,5,168,3,8,4,42,3,28,3,2,3,15,3,18,8,7,4,1,6,29,4,74,4]],"421":[243,57,[2,70,3,11,20,6,11,60,7,3,15,3,46,4,34,7,87,6,372,3,64,5,1,6,58,5,86,3,125,3,2891,3]],"422":[220,82,[1,23,3,20,603,4,1335,3,3264,11,887,5,208,4,4562,6,284,3,981,4,5,6,2306,4,8,3,6,12,721,3,635,3,13,5,1054,7,219,4,39,3,5776,8,33,3,4,5]],"423":[246,43,[2,130,7,3,46,22,68,8,19,6,1495,4,209,4,8,6,200,4,2331,4,34,4,58,5]],"424":[224,48,[4,74,39,3,8,7,3,20,5,14,1,10,10,4,1627,3,6,3,2,9,12,5,29,7,1575,4]],"425":[239,69,[2,16,709,5,6,11,254,6,5,19,16,3,24,10,70,9,31,16,36,3,1,3,23,5,584,4,10,9,7,6,17,6,172,8,3,3,217,3,20,3,1904,5,69,5,33,3,209,4,14,4,96,5]],"426":[245,50,[2,42,30,11,411,6,63,4,32,16,7,6,29,16,9,8,668,8,14,21,110,4,4348,4,118,3,20,8,93,4,12,6,38,10,1,3,80,4]],"427":[231,87,[6,4,8,31,3,14,5,14,1,14,23,3,11,4,2,10,31,6,92,3,3894,3,217,3,9,3,10,3,532,8,14,4,4,6,262,6]],"428":[230,71,[583,7,2,13,1,8,384,8,65,11,399,12,493,4,39,3,177,7,891,32,225,8,217,10,4585,4,189,12,409,4,3913,6]],"429":[216,77,[17,4,202,6,13,6,2,5,4,14,6,11,3,21,10,4,203,5,5,18,83,3,1,9,25,5,1234,3,2498,3,22,3,1907,3,386,6,9,3,136,8,162,5]],"430":[224,66,[7,3,6,15,191,7,435,7,871,4,13,7,3,9,228,12,232,38,5,6,1,7,864,3,83,5,25,4,55,3,47,3,885,3,489,4,39,3,673,3,177,4,453,11,4,8,49,3]],"431":[201,68,[10,10,4,34,3,37,27,8,6,7,8,5,16,3,1,5,41,3,1431,8,5,10,31,3,69,3,4341,5]],"432":[213,63,[4,39,6,6,2,3,28,9,3,15,42,5,39,3,31,3,7,4,33,4,18,5,10,6,8,6,13,10,144,4,38,4,49,3]],"433":[236,57,[112,6,1,9,2,34,23,9,7,30,288,17,15,8,3,7,353,7,14,24,50,5,8,13,656,3,40,3,211,4]],"434":[215,73,[2,6,5,11,4,53,44,3,22,4,6,6,11,4,1,5,13,8,9,11,8,6,3,9,10,5,17,3,30,4]],"435":[215,67,[4,33,3,13,1,4,219,8,5,16,707,3,2,4,162,3,2179,9,203,21,386,34,5068,4,17,4]],"436":[236,61,[23,23,7,76,3,10,2,26,11,8,35,5,70,9,1,5,40,3,6,3,59,4,10,4,64,3,807,4,171,3]],"437":[205,55,[4,63,5,9,25,3,13,15,995,3,1,5,9,4,3,21,242,3,6,6,16,3,8,7,20,3,23,3]],"438":[231,116,[204,12,693,3,1329,3,189,3,1,18,1044,4,65,16,400,3,374,3,154,3,316,5,272,5,145,8,1648,3,350,4,268,6,3052,3,579,3,1054,3]],"439":[220,59,[5,22,489,3,611,25,443,13,1,8,878,4,3,25,994,11,485,10,328,7,10,7,1022,9,675,12]],"440":[231,30,[4,180,6,7,55,5,5,3,31,3,35,4,3,5]],"441":[233,99,[66,3,1,49,150,3,52,4,7,3,121,4,6,11,2,7,30,4,2514,6,16,4,1293,6]],"442":[167,59,[4,30,2,6,9,5,5,7,12,4,25,6,16,10,18,5,17,7,13,3,3,11,6,7,29,3,51,3]],"443":[218,41,[10,13,29,8,6,3,5,99,26,3,2,5,38,4,4,13,8,3,3,5,1,7,30,4,67,4]],"444":[223,34,[193,24,259,20,230,34,1,5,79,79,269,14,7,4,39,3,75,6]],"445":[186,73,[6,5,3,17,5,14,168,3,16,5,31,3,1,11,7,3,2,4,18,3,173,4,70,4,8,4,43,4,27,4,33,4,23,8,502,3]],"446":[224,43,[5,36,74,9,92,9,70,12,96,22,217,3,171,3,23,21,1,13,188,3,333,10,7,4,808,4,211,4,24,6,2,4,69,6,1472,6,19,4]],"447":[230,82,[11,4,5,10,6,8,9,7,8,13,22,3,1,10,51,3,7,6,12,19,2,13,14,9,50,3,43,6,30,6,28,4,17,4,54,4,32,3]],"448":[190,78,[4,44,2,9,482,5,3,17,202,10,77,8,6,5,13,3,1,4,379,3,11,3]],"449":[213,48,[269,16,1365,4,1413,3,5,3,259,10,230,22,530,6,1,7,193,18,444,6,449,3,553,5,79,50,329,6,75,5,466,3,6,3,39,3]],"450":[228,82,[26,5,22,8,190,10,283,10,823,5,194,12,982,3,1,5,776,3,97,16,66,15,645,4,169,4,462,3,21,7,111,7,103,7,29,3,20,3,332,3,433,6,1067,4,602,3,1301,3,133,6]],"451":[228,80,[141,3,213,6,1,40,103,4,91,4,1017,4,615,4,45,4,5994,4,109,4,424,4,321,4,484,4,89,4,1942,4,679,4]],"452":[214,116,[34,5,2,8,1,11,54,3,3304,3,24,25,31,5,5,5,3,5,11,11,350,3,235,4,694,3,244,3,1113,4,29,3]],"453":[220,63,[4,3,502,33,1,11,6,11,5,10,69,8,58,3,7,5,2,15,19,8,24,3,34,5,16,4,77,3,10,6,3,4,486,3,549,4,46,4,14,6,213,6]],"454":[227,105,[784,14,399,12,1507,4,1271,9,2865,3,400,5,4060,5,1,28,4150,3,564,3,120,4,254,7,720,7,314,3,5,3,548,3,3000,4]],"455":[220,36,[2,98,11,28,222,4,15,16,86,19,7,4,31,3,14,3,1096,6,19,4]],"456":[223,23,[4,185,6,7,3,3,5,4]],"457":[221,132,[5232,8,384,3,260,8,1,13,3,10,330,3,56,3,272,3,297,4,256,3,1488,4,296,5,10,3,435,3,386,4]],"458":[184,54,[4,55,6,11,16,4,17,11,3,13,127,11,8,6,1,9,2,5,42,3,25,3,9,3,5,3]],"459":[213,60,[8,62,13,21,4,15,60,3,2,12,1,3,12,8,17,4,3,4,30,6,282,6]],"460":[213,60,[4,72,10,7,248,3,3,9,29,3,2,7,17,4,5,6,6,14,42,9,13,7,31,3,8,5,1273,3,23,3,65,3]],"461":[213,72,[1107,8,3,17,854,3,583,4,65,42,6,3,1218,3,1680,4,284,20,806,7,1897,4,460,3,527,11,384,4,1,3,32,4]],"462":[208,71,[34,3,6,11,16,10,4,14,23,7,7,14,2,7,13,3,1,6,8,3,5,9,3,6,29,4,20,3,24,6,969,3,53,4,124,26]],"463":[190,66,[25,6,21,13,55,9,27,7,9,10,3,34,5,20,6,6,20,3,1,3,31,4,10,4,4,4]],"464":[180,53,[3,27,4,7,5,4,5051,3,18,3,6,6,177,5,1,27,24,5,16,3,13,5,420,4,2,5,8,4]],"465":[215,96,[7,5,2,7,37,10,5,5,1,15,14,3,201,7,319,3,6,3,17,10,4,10,18,4,1175,4]],"466":[218,65,[56,5,4,35,2,12,394,3,501,3,5,6,1,7,88,4,12,4,1611,3,9,19,7,5,396,13,73,7,6,5,479,3,3900,3,3,6,178,11,715,4]],"467":[222,65,[913,52,2404,9,177,3,1,12,593,3,90,17,3,9,524,16,400,3,422,3,904,3,374,4,448,3,313,6,518,6,1334,4,2537,5,405,3,613,3]],"468":[213,79,[1,32,7,32,2,19,37,6,88,3,35,8,2089,5,33,5,40,5,3163,3,8,3,1070,4]],"469":[214,42,[7,13,85,11,10,19,5,10,4,9,23,26,86,4,20,6,2,11,14,21,15,7,8,5,40,3,64,5,68,7,32,3,46,12,118,6]],"470":[209,61,[14,9,2,15,9,4,3,5,7,3,34,3,1,9,24,7,6,11,38,9,10,3,12,5,17,14,30,8,18,8,104,4,8,6,13,6,60,4,101,4]],"471":[185,43,[4,77,6,5,8,4,30,4,2,4,17,6,5,8,3,6,67,4]],"472":[208,31,[2,100,64,8,46,27,58,13,14,5,15,4,99,6,34,6,4366,3,124,6]],"473":[191,64,[41,3,31,4,9,9,10,11,5,27,6,20,1224,4,3,16,13,11,25,6,8,5,65,3,74,4,18,3,23,3,171,3,38,3]],"474":[210,68,[112,9,24,16,6,13,5,4,2,33,8,3,7,16,3,15,23,5,14,5,248,3,211,6,77,4]],"475":[208,65,[1,9,72,3,171,7,69,8,5,42,36,3,2,11,9,3,6,5,14,3,217,5,188,3,472,5,74,3,18,3,70,8,211,10,31,4]],"476":[216,122,[314,3,897,8,196,5,885,3,191,7,2048,3,145,12,1,3,290,3,405,3,276,11,260,3,91,6,1729,3,1785,3,95,4,277,3,435,3,174,6,2789,3]],"477":[188,78,[572,5,4,3,5,7,16,3,926,12,626,3,203,9,83,3,41,3,3,8,313,3,162,6,28,3,1029,6,23,3,10,10,277,6,29,6,8,3,386,4,54,4,1001,3,304,3,25,3]],"478":[192,61,[13,13,3,30,4,3,23,3,18,3,8,3,28,4,78,6,186,4,5,4,962,4,36,4,4231,4,6,4,1,8,2,4,30,3,49,6]],"479":[192,56,[4,21,5,28,1,3,6,3,9,9,3,11,2,13,13,14,17,3,8,4,10,6,32,3,20,5,84,6,11,6,81,9]],"480":[214,108,[766,3,1,26,2492,5,695,3,224,3,87,5,178,5,4612,4,430,3,633,3,5773,5,5040,4,548,6,2714,4,2265,4]],"481":[213,86,[458,4,1,39,3,5,1355,16,59,5,154,3,387,4,1383,7,1430,4,18,4,484,4,3174,4]],"482":[175,64,[3,20,13,12,42,11,28,3,18,5,2,6,6,16,9,5,1,11,41,3,4,3,76,3,17,3,29,3,8,5,25,4,5,3,24,3,460,5,96,4]],"483":[209,52,[10,12,70,18,2,3,6,15,23,14,105,9,29,8,3,3,16,8,11,4,3676,4,2868,8,24,4,44,6,1182,4,1,10,7,6,2054,4,85,4,210,4]],"484":[203,67,[3,9,1,41,311,3,39,4,305,8,16,4,5185,4,1564,6,184,6,1000,4,773,5,1956,6,114,4,17,4]],"485":[186,71,[3,28,162,11,2977,9,13,3,1,5,255,4,887,6,314,4,288,3,2,3,2144,7,29,3,10,10,6,3,25,3,202,7,219,3,713,3,892,9,872,3]],"486":[164,59,[6,15,3,12,18,8,13,11,25,7,27,5,42,4,36,3,1,8,115,3,8,6,5,6,2,7,47,3,31,3,201,4]],"487":[192,56,[24,9,39,3,10,37,4,20,27,7,61,4,3,12,6,7,25,8,1,10,31,5,13,3,23,3,1259,5,5,6,21,3,41,3,47,3,8,3]],"488":[171,62,[61,4,2725,4,241,4,18,4,55,4,28,6,8,4,1,8,10,4,12,4,13,4,5,8,6,4,53,4,186,4,1184,3,2223,4,49,8]],"489":[203,71,[3,46,21,4,1,4,832,8,892,3,5,11,13,4,759,27,806,6,416,5,613,3,5111,3,277,3,39,3,10,3,591,6,4,3]],"490":[184,67,[5,69,6,6,661,3,667,3,1,7,3,6,10,16,288,4,709,3,23,3]],"491":[207,24,[4,154,3,7,37,14,8,4,55,6]],"492":[209,62,[254,3,586,42,2,32,70,3,553,3,14,11,31,3,7,14,19,3,5,5,8,3,69,8,40,5,188,10]],"493":[200,52,[6,3,4,122,3,3,1,3,2,4,5,6,58,5,35,4,13,3]],"494":[205,64,[2,28,6,9,9,7,91,4,14,5,161,3,7,7,158,3,1,9,38,3,5,8,8,4,241,4,30,6,32,4,16,4,151,4,21,5]],"495":[174,64,[9,7,3,45,21,4,42,3,5,12,6,5,2,9,13,10,7,3,1,3,10,4,27,6,8,3]],"496":[204,66,[2729,6,73,5,2,5,1224,7,652,18,4,13,7,4,1,12,607,5,708,3,3,12,79,3,5,4,30,4,18,4,1201,4,3343,4,188,4,4033,4]],"497":[205,75,[318,3,2514,5,1,36,22,8,5,3,543,3,2,8,309,3,12,3,30,6,38,6,27,4,507,4,48,4,133,4]],"498":[204,59,[3,3,102,5,6,43,69,5,105,7,70,6,23,15,17,3,24,4,10,3,1,5,44,4,67,4,210,4,39,4,555,4,502,4,85,8,29,8]],"499":[207,20,[2,21,32,139,124,5,46,7,1041,3,118,10,252,6]],"500":[201,38,[5,81,10,19,17,8,6,22,14,3,3,4,24,16,2,4,126,3,19,5]],"501":[171,47,[4,47,13,40,6,5,2,3,5,3,43,4,3,3,12,3,9,9,24,5,8,4,10,4,83,3]],"502":[190,46,[2,40,11,4,14,6,80,3,46,15,64,6,58,16,6,10,7,9,24,3,5,3,72,3,124,4,3,5,1,7,68,5,202,9,16,3]],"503":[190,49,[17,3,4447,5,384,55,399,3,3,9,637,3,1,20,493,4,8,3,6,6,482,3,1912,8,604,4,96,6]],"504":[186,52,[5,45,17,24,10,5,3,3,1,8,8,11,1593,3,24,6,6,8,63,4,164,4]],"505":[187,52,[4,30,2,14,3,15,1,13,23,3,6,5,5,8,77,3,85,10,17,4,3199,4,9,4,28,4]],"506":[204,56,[5,42,8,32,1,3,7,48,59,6,288,4,25,3,6,4,2,5,48,3,9,3]],"507":[190,53,[23,9,92,4,1,14,4,6,9,4,3,12,28,8,69,4,2488,8,53,4,5,8,126,4,31,3,16,9,6,8,10,8,7,4,2,4]],"508":[195,53,[4,50,1525,7,1,5,3,6,460,3,5,9,329,3,13,3,907,4,1128,6,409,6,507,14,5886,10,2875,14]],"509":[187,57,[9,15,2,11,10,5,15,4,5,7,1,7,18,3,32,6,14,12,11,3,44,4,8,7,12,10,3,8,233,3,509,6,132,4,179,4,48,4,30,5]],"510":[187,65,[4,19,41,6,36,6,13,3,12,5,5,12,3,13,25,6,42,6,2,3,10,10,8,21,1,7,43,5,6,6]],"511":[190,50,[75,25,530,9,5,17,1399,4,96,6,388,8,79,7,74,5,6,4,23,5,1855,3,171,9,70,11,209,8,69,3,31,8,102,4]],"512":[182,78,[327,3,1,8,154,4,3,26,174,3,388,4,16,3,17,3,6,3,4,23,10,4,67,3,28,6,33,6]],"513":[196,44,[2,41,2093,9,20,51,3,7,5921,3,63,3,1,15,64,4,7,7,220,4]],"514":[201,67,[39,3,2,81,135,3,11,22,8,3,1,9,482,3,191,3,986,3,609,3]],"515":[185,61,[7,6,2,12,168,29,3,7,60,4,10,20,5,10,8,3,482,4,14,5,126,4,6,5,1,7,32,3]],"516":[200,53,[65,47,2,4,14,3,1,37,5,4,22,4,161,4,265,8,7,6,2367,4,26,4]],"517":[171,61,[1,12,13,3,3,46,8,4,6,5,41,3,2,6,9,8,127,3,4,3,27,5,1131,6,763,3,5,6,20,3,771,4]],"518":[180,50,[4,80,1,15,3,5,6,4,3208,4,16,12,2,5,2022,4]],"519":[181,48,[2,13,8,21,3,8,13,3,4,10,14,7,6,3,28,3,5,13,137,12,118,8,92,8,30,4,57,4,34,4,60,4]],"520":[193,62,[5,8,36,3,27,5,3,21,4,9,21,3,20,3,7,5,8,7,6,9,31,4,1,10,23,7,18,4,61,4,2357,4,15,4]],"521":[193,48,[8,11,3,5,5,12,107,4,170,6,1,54,245,6,4657,4,471,6,224,4,346,4,2564,4,1174,4]],"522":[177,56,[17,6,24,6,54,6,28,6,4,15,5,8,6,10,2,8,3,12,14,4,16,4,211,6]],"523":[198,116,[1611,3,1,14,952,4,314,3,1314,3,1443,4,626,3,1987,3,375,8,562,16,298,8,191,5]],"524":[166,71,[6,6,16,4,3,36,550,4,21,3,5,16,472,3,42,3,10,4,35,4,27,6,1933,3,1,4,455,3,20,4]],"525":[181,65,[1,21,1379,3,3,9,2251,5,6,3,45,15,5,8,4,4,432,4,221,4]],"526":[173,66,[6,16,3,9,4,13,28,3,1,4,24,12,18,4,25,6,8,3,13,8,390,3,560,4,816,16,1869,3,96,6,9,4,39,3]],"527":[152,57,[25,8,1,4,24,3,8,5,5,7,27,4,3,25,13,3,43,3,29,4,23,16,17,4,4,3,6,3,10,9]],"528":[196,99,[9,12,5,7,148,3,12,7,7,3,2,12,11,5,1,21,14,5,283,3,225,3,17,3]],"529":[195,64,[23,3,5,31,58,13,7,16,24,7,2,16,35,3,34,4,1,5,4664,3,6,6,68,4,51,7,46,3,810,4]],"530":[184,61,[2,8,3,15,442,10,4,20,5,6,1,4,39,5,131,4,248,4,9,5,105,6,21,4,289,15,12,3,11,3,18,4,1332,4,23,3,1822,4]],"531":[195,14,[5,170,1,5,112,3,3,4]],"532":[174,35,[4,78,6,3,2,4,3,17,1,8,8,18,16,3,13,4,9,3,5,4,848,3]],"533":[193,88,[174,3,860,3,56,7,1010,4,130,5,135,7,140,3,1,13,1749,3,276,3,134,3,530,4,1383,4,45,4,432,4,650,10,107,6]],"534":[181,50,[26,3,7,3,4,39,92,5,3,3,5,18,10,6,15,3,16,4,181,3,1002,4,69,14,1,11,37,6,1511,4,18,8]],"535":[192,44,[34,13,3,11,11,48,2,61,14,3,1064,3,15,3,274,4,950,4]],"536":[183,38,[259,22,269,13,1,6,79,60,286,7,5,3,193,11,230,14,75,6,2406,3,3977,4]],"537":[166,38,[3,23,4,28,42,3,23,4,16,27,210,8,201,6,25,3,6,10,13,5,31,4,8,4,41,3,5,7,2,4,10,3]],"538":[186,50,[15,3,2,12,3,7,7,33,40,8,1,5,187,34,59,16,35,15,1785,3,440,4]],"539":[184,35,[5,25,9,6,10,22,4,26,239,25,6,6,12,10,13,5,7,7,2,4,8,4,28,4,14,4]],"540":[186,79,[2,31,5,3,14,8,1,18,7,3,4886,3,29,5,20,4,44,6,36,4,125,3,8,4,2304,6]],"541":[183,58,[96,6,7,4,2,12,70,4,105,7,6,6,1662,3,69,5,1,11,12,4,3,5,14,4,16,4,44,10,76,4,8,4,67,4,46,4,64,4,171,4,68,4]],"542":[167,37,[4,72,3,8,85,6,23,4,721,10,18,3,2,5,1,6,61,4,17,4,10,4]],"543":[190,38,[5,51,199,3,2,14,67,5,35,3,7,27,40,4,17,4,1,14,18,4,20,4,14,4,28,4,63,4,8,4]],"544":[189,70,[249,3,1119,17,111,9,705,5,1046,3,1,14,2338,11,4462,6,395,3,1603,3,2173,6,285,10,2006,4,4353,4,26,16,7,6,3843,7]],"545":[179,50,[1,35,3,18,189,6,31,6,2972,4,1382,6,3907,6,4,4,6,7,74,4,14,4,13,4]],"546":[177,48,[5,34,2,32,6,19,58,7,7,10,64,4,3,10,11,5,1,4]],"547":[162,74,[5,44,10,15,14,4,6,8,36,4,3,4]],"548":[169,60,[92,7,3,8,8,3,13,3,16,11,1,5,4,14,5,9,10,10,223,4,30,4,28,4,2,4,32,3]],"549":[162,49,[4,17,5,7,3,20,67,4,8,4,423,6,10,4,13,4,30,8,29,4,110,4,1900,4,1,6,2344,4]],"550":[186,58,[6,22,10,5,5,10,11,4,80,8,1,5,303,3,12,3,2,11,60,3,201,3,23,3,54,14,24,12,17,20]],"551":[186,90,[7,12,104,3,2,38,11,11,1,13,80,9,50,3,84,3,19,3]],"552":[186,66,[1,7,7,18,2,23,1904,4,5,4,709,3,254,10,23,4,586,3,14,3,232,5,217,3,69,5,50,4,19,6,70,4]],"553":[174,43,[269,11,343,3,259,12,449,5,1,6,230,19,75,11,193,15,79,49,444,7]],"554":[159,55,[54,3,3,26,18,4,1,10,816,9,448,16,946,9,17,3,1869,4,5,5,6,3,23,4,16,4]],"555":[173,50,[5,49,1,16,2,12,4,6,4531,3,3,3,537,3,7,3,70,4,24,10,211,4,182,6,502,3]],"556":[176,75,[187,3,5,52,1,5,10,7,707,4,8,11,2503,3,6,4,60,5,3,3,13,3,1692,3]],"557":[153,47,[5,3,23,14,47,3,3,13,8,6,2,4,85,12,5378,4,4,18,41,6]],"558":[183,49,[5,43,7,17,2,14,50,3,1,6,3218,3,57,3,841,3,63,3,14,4,74,3,3740,4,70,8,98,8,622,4]],"559":[156,53,[3,20,8,4,2405,4,107,4,1,12,27,4,13,4,520,4,53,4,28,8,892,4,641,10]],"560":[144,45,[3,8,41,3,4,34,8,3,6,5,13,13,10,6,9,5,12,5,29,3,42,3,5,11,78,3,4881,3,16,3,23,4]],"561":[150,53,[4,19,3,41,2,4,10,7,13,8,6,7,8,4,9,3,5,4,173,3,24,3]],"562":[172,63,[3,55,1,6,1133,4,1667,3,6,13,12,4,8,3,25,4,23,4,29,3,1113,3,33,3]],"563":[185,39,[5,87,1,15,7,3,8,3,2,8,521,4,17,4,2266,4]],"564":[169,60,[17,4,5,41,3,11,219,10,6,11,4,4,1,3,10,13,162,9,202,3,24,3]],"565":[172,41,[6,4,2,11,1,22,5,67,16,6,72,3,7,6,15,3,4627,4]],"566":[122,49,[3,22,5,5,8,10,1,8,13,6,4,3,18,3,2,3,127,4,49,3]],"567":[175,57,[3,34,3149,5,583,6,1224,3,6,3,412,8,10,15,1,15,5,4,3955,9,13,5,564,4,618,5,3663,3,4,4]],"568":[169,49,[4,32,6,3,172,3,54,3,63,4,3,20,5,10,61,6,147,4,1,4,27,8,39,3]],"569":[155,56,[3,19,30,11,8,3,53,6,36,4,6,4,5,4,1,8,4,4,82,4,89,4]],"570":[176,55,[442,7,333,23,408,17,16,3,2,5,6,4,7,4,74,15,31,7,5,10,23,3,1071,3,3,3,1048,7,217,3,15,5,58,4,11,3,62,3]],"571":[179,47,[4,29,1737,8,448,9,277,4,1,21,3,8,854,4,228,10,902,13,3061,7,10,6,1341,16]],"572":[161,54,[4,33,10,19,27,4,3,21,5,13,25,3,61,3,8,9,54,3]],"573":[161,40,[6,41,4,8,8,7,13,3,3,23,16,12,5,4,1,8,18,3,681,12,302,4]],"574":[173,57,[2,21,7,30,141,6,11,8,48,11,15,16,8,8,34,7,40,4,57,5,244,3]],"575":[161,60,[3,26,2,5,6,3,17,4,16,6,18,5,39,3,5,22,31,4,8,6,4,3,188,4,486,3,1,5,33,4]],"576":[176,68,[51,3,5,39,82,3,15,3,59,7,7,14,6,4,26,5,1,8,40,3,2,8,141,4,69,9,3,4]],"577":[165,64,[1,19,975,5,573,3,1695,3,3,10,96,8,6,4,74,5,657,4,18,4,10,4,17,6]],"578":[156,53,[23,3,1,13,2,3,85,3,3,15,4,9,5,3,125,3,39,3,6,9,16,5,5243,4,198,4,254,6,627,4]],"579":[161,55,[6,50,8,10,4,3,3,23,9,4,897,4,5,3,177,6,1,3]],"580":[179,49,[333,3,5,9,171,4,6,4,74,5,10,8,351,3,29,18,69,5,77,15,96,3,1,14,94,4,23,4,31,4,70,10,1320,4,211,6]],"581":[168,69,[29,3,1,19,7,13,2,20,6,11,278,5,376,3,617,3,23,7,18,3,1534,7,12,4]],"582":[146,39,[3,27,5,4,127,10,6,4,2,8,1,4,10,4,39,4,21,6,4,14,192,4,31,3,8,4]],"583":[145,58,[4,10,6,4,3,21,29,5,39,3,27,7,23,3,10,12,8,5,21,9,43,3,5,4,44,3,25,3,2,3,1187,3]],"584":[177,71,[71,6,79,14,4,14,128,3,667,3,334,3,286,13,742,3,1088,3,530,4,1,17,789,6,343,6,35,4]],"585":[175,41,[387,40,1,27,2795,3,2921,3,1517,29,4354,5,18,4,276,8]],"586":[145,54,[4,27,2,7,42,3,10,3,23,5,766,3,13,8,6,5,3,5,12,12,9,3,5,7,28,4]],"587":[159,45,[4,67,41,4,12,3,44,3,9,9,442,3,10,3,1,3,101,3,6,9,5,3,2,6]],"588":[158,46,[2,5,4,71,3,6,10,4,5,6,13,7,1,7,9,3,15,3]],"589":[175,53,[79,27,286,4,394,3,193,5,4,5,75,9,343,3,699,7,3,4,742,3,1,11,39,3,701,3,1104,5,402,16,1265,4,136,6,6,4,1984,4]],"590":[175,60,[52,23,1,10,247,4,5,10,7,15,51,5,2,7,150,4,774,3,139,5,320,4,63,4,19,4]],"591":[151,56,[41,3,8,15,13,3,5,17,4,11,61,3,3,27,1,4,10,5,33,3,168,3]],"592":[148,46,[18,4,6,6,5,6,13,16,1,16,4,4,251,6,8,6,15,4,28,6,2,5,24,3,49,4]],"593":[167,41,[90,23,1795,5,2582,7,1,44,1877,4,399,9,4633,6,706,4,256,3,120,6,1385,8,152,6]],"594":[173,50,[3,7,1,61,2769,4,1194,4,779,4,3943,4,643,6]],"595":[141,61,[3,28,13,12,2,3,42,6,6,16,47,3,5,5,10,3,1,5,4,3]],"596":[153,51,[98,3,24,8,7,8,2,7,34,15,6,16,5,6,72,4,19,12,28,3,1,5,569,4,3,9,1808,4,8,4]],"597":[145,49,[1,11,4,14,29,3,3,7,5,3,6,10,23,6,13,6,61,4,12,4,49,3]],"598":[168,41,[74,3,69,33,2,8,217,3,5,15,70,4,77,10,6,5,11,3,168,3,19,4,68,4,211,12,3,16,85,6]],"599":[172,61,[58,12,16,4,171,4,5,26,74,12,1,6,99,4,172,6,92,7,24,3,2,5,69,3,1706,10,19,6]],"600":[152,54,[1,12,637,3,6,11,3,27,9,3,5,5,13,6,460,13,42,5,510,11]],"601":[157,35,[183,13,517,3,11,3,3,4,2,32,72,3,7,5,1,8,46,12,68,4,64,4,5,12,24,14,124,4,17,4]],"602":[162,27,[5,56,8,3,1,4,14,9,7,4,691,37,2541,14,2,4,3790,4]],"603":[146,55,[4,38,3,24,39,3,1,3,100,5,208,3,6,3,17,3,13,5,8,3]],"604":[131,42,[5,14,16,4,1106,7,5820,6,1992,8,3,16,65,4,1,6]],"605":[156,43,[4,37,2,12,6,6,7,3,32,3,30,6,241,10,5158,4,48,4,1,6,16,10,53,4]],"606":[166,88,[3,10,1,13,1335,5,174,19,491,3,56,3,69,3,6,3,167,4,130,3,29,3,807,6,2420,3,126,3]],"607":[162,64,[2,8,74,5,9,7,13,3,3,5,5,5,20,3,7,3,23,4,136,3,10,10,1,7,31,4,217,12,77,4,46,4]],"608":[169,91,[219,5,399,7,720,12,5,21,1278,4,1,4,3,3,8,3,244,3,189,5,1251,3,103,3]],"609":[150,52,[3,29,182,6,21,4,27,9,4,27,43,3,10,7,8,4,2,5,25,3,96,3]],"610":[149,48,[55,3,3,39,4,5,6,21,5,7,21,3,13,5,8,4,23,3,18,3,42,3,30,3,1,4]],"611":[157,36,[4,50,6,19,11,14,2,13,5,3,50,3,16,5,7,9,3,7,19,3]],"612":[154,63,[21,9,39,4,3,21,5,26,25,6,27,7,55,3,1,4,8,10,167,5,31,3]],"613":[165,51,[55,9,3,22,27,3,4,37,21,10,5,9,6,18,66,3,8,3,31,4]],"614":[168,71,[3,18,1,34,1069,9,203,7,154,4,352,3,1019,3,4247,5,204,4,2482,4,386,3]],"615":[148,45,[4,21,8,15,9,5,3,7,5,27,24,3,6,9,41,4,7,3,1,6,2,3]],"616":[164,5,[1,16,308,127,4647,15,18,4]],"617":[147,69,[7,5,2,11,141,4,3,18,6,7,11,12,31,4,1339,4,379,3,72,3,19,4]],"618":[159,67,[5,39,6,5,2,8,3,11,42,3,10,6,162,6,4,7,219,5]],"619":[160,43,[31,12,6,12,39,3,7,3,5,39,26,5,2,16,1,4,8,4,74,4]],"620":[118,38,[1,5,17,4,3,14,53,10,16,4,336,4,28,10,8,6,26,4]],"621":[167,2,[620,165]],"622":[154,37,[8,3,17,11,6,8,5,22,367,5,3,18,1,3,305,33,126,4,54,4]],"623":[161,63,[2,17,7,32,713,4,4,12,11,4,70,6,40,4,23,6,35,3,3,5,1,5,6,3]],"624":[160,99,[3,13,6,3,268,3,166,3,362,4,339,3,135,3,1,7,1866,3,2,4,82,3,90,4]],"625":[137,40,[112,11,70,8,333,3,74,3,5,13,7,3,96,22,31,6,211,4,105,5,625,4,188,4,192,4]],"626":[141,50,[25,6,9,4,4,14,41,9,27,3,6,5,83,3,21,10,5,10,3,18,8,10,61,4]],"627":[145,44,[3,16,10,3,5,3,4,18,16,4,2,26,105,4,7,4,17,4,6,6]],"628":[164,68,[1429,3,3,5,1336,4,681,3,1,37,176,4,178,4,2533,4,2889,4,1347,4]],"629":[158,43,[5,25,1,6,375,16,693,5,2,5,316,15,922,4,8,4,1817,4,6,3,361,12,103,6,648,5,1091,4,630,4,3,4]],"630":[136,51,[10,12,3,33,5,9,6,12,13,4,7,3,1,4,386,5,4,4,33,3]],"631":[163,113,[288,4,177,3,1,12,1574,3,135,3,912,3,709,3,352,3]],"632":[159,49,[2,56,1,5,3,7,11,25,34,9,14,3,191,3,290,3,232,3]],"633":[160,51,[1,8,6,5,7,9,12,3,2,24,3,4,54,4,17,8,30,4,186,4,1494,3,4,10,105,4]],"634":[146,57,[8,13,35,3,5,18,9,4,6,4,24,8,7,7,2,8,57,4,1,3,302,4,3,4]],"635":[155,27,[5,79,10,25,3,4,29,3,1,4,44,8]],"636":[145,52,[41,3,6,27,3,16,4,21,13,7,5,4,10,3,2,4,42,5,8,4]],"637":[144,62,[4,9,27,11,6,10,3,18,1,3,25,4,2,3,41,4,31,3,10,7,5,7,21,9,23,3]],"638":[160,53,[384,22,162,8,1409,12,583,7,4526,7,145,3,1335,3,412,6,2744,5,62,8,561,3,274,9,571,3,288,3,1680,3,1740,5,1,3,174,4,510,3]],"639":[155,19,[4,119,146,3,1,4,3,6,5,4]],"640":[151,63,[583,3,5,13,412,3,1680,3,3,14,609,10,29,4,493,5,244,3,1,6,478,3,70,3,31,6,16,3,675,4,6,4]],"641":[95,36,[3,6,138,4,53,4,8,4,83,4,1,8,4,4,10,4,13,4]],"642":[153,28,[5,101,24,5,8,4,4,9,3,4,13,3,99,3]],"643":[144,55,[3,15,1,17,13,3,16,4,1127,4,338,6,8,4,39,4,67,4,49,5]],"644":[130,38,[1,8,13,8,3,14,7,3,4,12,10,6,5,6,30,4,25,4,44,4,2,6,14,4]],"645":[155,40,[36,5,6,4,54,3,2,13,5,35,11,6,29,5,7,10,181,4,16,9,15,3,24,18,1,7,126,3]],"646":[151,76,[295,6,17,3,3,14,153,3,204,5,857,5,6,3,384,3,2,4,1,13,400,3,87,3,1082,4]],"647":[143,40,[19,6,2,40,7,6,8,6,11,19,72,5,20,9,1,5,50,4]],"648":[133,53,[16,4,162,3,693,11,4,4,5,4,6,7,13,5,3,20,202,5,316,9,42,4,196,4,219,3]],"649":[158,31,[15,12,2,28,30,14,1,4,12,10,93,28,38,4,285,6,8,4,4273,4,7,4]],"650":[146,41,[4,34,3,13,2,16,6,4,85,6,17,3,24,4]],"651":[140,48,[15,6,11,9,4,19,59,3,48,3,8,6,40,5,1,3,2,11,101,3,7,9,24,3,69,7,64,3,10,5,455,3,34,3]],"652":[147,83,[6,4,4,12,1,11,3,3,2,4,1390,3,232,7,2397,4,304,4]],"653":[138,42,[4,3,1,3,5,13,210,3,16,17,23,10,15,3,8,16,41,8,13,6,25,6,9,6,42,3,3,4]],"654":[141,41,[267,3,3,22,4,3,5,13,2,11,6,13,1,12,16,6,8,6,10,4]],"655":[145,44,[6,8,43,4,4,4,3,8,13,19,55,4,241,4,28,4,2,6,12,4,5837,4,5,6,1750,4,8,4,49,4]],"656":[157,38,[750,7,232,44,609,4,562,19,405,4,3,6,477,3,3488,4,1644,3,1,15,4709,3,776,9,1212,3,3651,4]],"657":[145,47,[3,17,4,16,31,3,27,3,10,8,8,7,65,3,1,12,21,4,61,4]],"658":[137,40,[24,4,5,4,3,10,1,29,17,4,28,6,13,6,49,13]],"659":[149,72,[1271,5,2,7,12,4,1,17,5,4,2269,4,45,10,332,4]],"660":[152,62,[381,5,2,15,17,3,473,5,3,8,10,8,11,6,5,3,324,9,440,4,35,4,1630,3,34,4,64,3,40,3,19,3,8,4,50,4,68,4]],"661":[145,49,[9,6,6,21,408,12,24,11,13,4,70,7,16,4,4,3,333,8,5,6,3,4,202,3,8,4]],"662":[151,24,[2,78,14,6,68,3,46,12,8,6,19,4,1,5,15,4,20,4]],"663":[123,53,[981,6,1,12,284,6,39,3,1352,5,5,6,3559,9,3,11,1573,6,4562,3]],"664":[140,74,[3,6,5,21,561,3,297,4,228,3,1,6,374,4,6,5,16,3,2,4,19,6]],"665":[151,66,[7,3,8,8,14,4,92,3,1,5,35,3,2,20,67,4,451,4]],"666":[154,49,[48,3,58,9,15,3,20,8,14,11,2,25,51,5,7,22,40,5,68,7,46,6]],"667":[144,44,[6,5,5,41,9,7,27,7,10,6,17,5,4,10,12,3,41,4,25,9,8,10]],"668":[131,45,[6,5,1,11,12,5,3,6,744,4,726,4,2,10,4,6,5,12,30,5,7,4,54,4]],"669":[114,48,[5,5,17,4,3,21,2,5,1,7,12,3,173,3,9,6,6,3,8,4,201,4,85,4]],"670":[138,41,[29,4,10,4,1,14,2,10,8,10,3,14,18,4,36,4,4,6,12,4,212,4,16,6]],"671":[153,4,[49,128,2804,23]],"672":[154,62,[34,4,38,8,13,7,2,8,1,8,32,8,9,4,125,4,14,6,227,4,8,6,30,6,3777,4,3,4]],"673":[138,44,[10,20,25,5,3,19,5,11,2855,5,1,8,4,12,13,4,2760,3,5463,6,2,5]],"674":[152,46,[11,17,197,3,7,18,180,3,40,6,2,30,1,5,3,9,34,7,934,3,72,3,8,4]],"675":[131,38,[205,4,1,11,3,19,70,4,8,9,3539,4,5,4,10,4,53,4,28,7,18,4,2,6,36,4,12,5,41,4]],"676":[139,59,[672,3,6,6,57,9,9,6,15,4,33,9,17,4,14,6,7,4,2,9,34,3,149,4,325,3,1,4]],"677":[138,46,[53,10,1,4,2,8,13,4,28,10,6,8,18,4,31,6,144,4,3,6,257,6]],"678":[138,44,[8,17,2,12,32,4,325,3,7,5,14,3,19,4,68,6,4,11,50,6,46,8,57,6,1,4]],"679":[139,40,[4,31,10,7,7,4,13,12,8,3,51,4,25,4,6,4,470,6,28,4,4701,4,55,4,3283,4]],"680":[133,60,[21,3,3,30,27,3,5,14,2,3,1,5,8,7,13,5,25,3,327,3]],"681":[151,40,[23,80,6,3,85,14,3,4,1,6,2169,3,3041,3,1350,4]],"682":[129,49,[2,8,9,10,3,3,1,6,13,5,5,4,4,32,139,3,25,3,131,3,63,3,8,6]],"683":[150,61,[558,6,52,18,53,5,748,6,3783,6,949,12,132,3,1,13,403,8,291,4,2888,3,247,7]],"684":[140,48,[17,12,2,21,48,3,34,7,6,11,11,15,5,8,3,3,64,5,50,3,86,3]],"685":[136,40,[28,3,4,31,13,15,105,6,5,8,442,3,416,19,1,5]],"686":[144,50,[2,9,6,18,5,13,24,14,171,5,69,3,7,4,1,4,70,5,23,6,14,8]],"687":[114,56,[6,3,4,9,9,3,3,11,1,7,13,9,2,3,5,3,99,3,8,3,2974,3,14,3,10,4]],"688":[139,46,[5,4,55,8,28,6,53,4,1,8,17,4,12,4,336,4,173,4,132,10,6,4,241,4,18,6,61,4,49,3]],"689":[118,45,[9,6,6,6,21,4,10,5,8,3,5,5,146,3,38,5,13,6,18,6,7,4,2,6,20,4,1,6,14,3]],"690":[147,78,[1490,3,4,24,10,4,196,6,487,5,177,3,1,6,329,3,166,3,122,3]],"691":[124,51,[162,4,995,3,4,11,3,12,6,6,27,3,23,4,2,3,5,6,195,4,197,3,54,3,61,6,42,4,36,4]],"692":[148,25,[267,89,707,7,1,8,16,12,170,4]],"693":[131,36,[10,48,6,6,8,6,3,8,5,18,4,5,12,3,105,3]],"694":[137,47,[39,3,25,4,13,5,477,17,5137,3,3460,12,42,5,3,9,100,3,637,5,6,4,460,18,572,7,203,4]],"695":[137,70,[3,16,55,11,1,4,83,4,27,5,5,14,47,3,2,6,29,3,6,3]],"696":[126,53,[6,4,4,26,1,8,180,7,3,3,491,8,13,4,854,5,1805,6,8,5]],"697":[147,39,[51,21,7,42,82,3,234,6,35,3,37,9,102,3,293,6,52,3,1,5,2,8,3127,4,125,3]],"698":[128,41,[3,17,4,30,39,3,8,8,1,7,24,5,11,3,2,6,12,4]],"699":[145,35,[742,6,193,4,1,8,79,15,230,5,3,49,402,8,5583,4,1104,4,3272,4]],"700":[136,44,[17,7,5,8,2,5,21,5,8,5,12,15,1,6,16,6,29,6,70,4,6,6]],"701":[136,81,[1,13,31,7,18,4,224,5,615,3,73,3]],"702":[144,62,[277,6,1092,4,1,20,3,10,174,4,219,6,412,3,366,4,314,3,390,11,1118,6,2337,3]],"703":[138,63,[2,5,22,12,652,7,778,5,1,19,3,3,7,4,65,7,367,3,40,3,25,3,4,4]],"704":[119,38,[28,6,3,16,29,4,30,3,19,4,57,4,198,4,132,12,12,4,1,4,6,4,53,4,49,3]],"705":[142,30,[4,53,3,7,5,23,8,20,17,6,1,5]],"706":[137,36,[3,14,2,13,5,30,1,3,4,7,10,21,6,5,11,4,125,3,32,3]],"707":[124,48,[4,7,5,16,8,3,3,19,1,6,10,8,41,4,6,10,27,5,21,3]],"708":[127,49,[4,5,10,9,3,6,4549,6,750,4,255,3,1,10,2,5,277,4,162,8,3670,8,9,4,6,5,210,5,416,3]],"709":[139,45,[5,42,6,6,8,5,25,5,10,3,4,8,408,7,21,4,9,12,425,3,12,3]],"710":[139,33,[4,42,3,3,5,42,13,8,9,5,42,4,31,6]],"711":[142,79,[22,12,66,7,1,4,194,3,1931,4,2004,3,778,14,139,4,540,5,120,3,419,3,2281,3]],"712":[144,63,[10,3,624,3,5,6,6,8,1,29,934,3,1113,3,3,4,4195,3,4026,3,1294,3,1154,4,1801,8,5077,4]],"713":[121,51,[42,4,3,23,6,7,5,14,25,7,1,4,28,3,8,3,4,4]],"714":[144,43,[5,7,69,3,77,3,29,14,74,4,67,12,35,4,33,6,70,8,1,10,211,4,161,4,26,4,423,4,10,6]],"715":[128,41,[3,8,1,8,53,4,16,6,4,5,28,16,6,4,49,12]],"716":[137,72,[2,10,1,10,631,3,35,5,7,10,6,3,8,8,58,6,701,3,63,3,40,4]],"717":[142,70,[1,18,17,3,3,8,560,3,366,11,710,4,1228,3,92,11,5521,3,782,3,245,4]],"718":[141,34,[68,33,5,4,58,7,32,4,64,6,2,7,4,6,8,11,46,26,19,3]],"719":[139,32,[1,12,220,10,3,5,262,14,70,14,1367,8,31,3,244,35]],"720":[121,41,[6,10,3,23,4,30,27,7,1,3,39,4]],"721":[143,49,[2,35,36,4,9,21,11,3,101,3,14,8,7,5,38,6,1,4,8,5,30,3]],"722":[143,35,[8,17,2,55,125,3,15,8,32,17,81,7,456,3]],"723":[133,51,[3,19,12,10,499,13,32,4,36,3,6,3,9,12,14,4,51,3,2,4,185,7,33,5]],"724":[140,59,[72,5,2,26,11,20,56,5,34,4,39,3,15,4,328,5,316,5,3,3]],"725":[137,54,[24,3,5,50,1,6,440,3,58,3,410,3,2,3,251,4]],"726":[142,37,[415,6,31,3,5,37,2,9,217,3,171,5,77,13,6,3,211,10,1,4,85,4,19,5]],"727":[123,52,[285,3,5,19,685,4,18,3,3,10,1,4,30,3,392,4,651,4,727,4]],"728":[125,46,[6,3,5,4,115,3,4,18,3,8,1447,3,2,4,12,9,13,3,54,4,14,3,131,3,17,4,39,4]],"729":[139,21,[4,109,14,3,9,6,12,3]],"730":[103,36,[55,3,6,4,30,6,3,8,28,10,3508,4,1,6,99,4,49,7]],"731":[125,33,[4,37,5,34,6,9,2,4,3,4,16,3]],"732":[140,75,[3,4,1609,7,573,5,90,3,777,5,1019,9,159,6,375,4,203,5,1,9,1633,4]],"733":[131,40,[4,44,5,5,8,20,9,3,2,4,10,4]],"734":[138,46,[7,13,8,18,58,11,2,23,64,4,4,3,11,5,32,5,19,4]],"735":[114,37,[13,6,4,31,6,19,25,3,39,3,3,9,9,3,10,4,754,3]],"736":[140,15,[2,98,15,7,11,14,7,6]],"737":[130,38,[5,4,21,4,2,12,55,6,550,4,6,12,27,4,4,6,445,4,3,6,17,6,8,4,1,6,469,4,49,3]],"738":[139,39,[69,23,2,9,7,7,58,4,64,5,23,15,333,16,5,3,1,4,19,3,14,6,188,6]],"739":[137,42,[5,12,23,10,6,3,105,3,74,6,70,6,171,3,24,3,7,6,2,8,96,10,234,4,10,4,211,4,112,8]],"740":[136,76,[1,18,385,3,75,3,6,5,243,3,400,3,479,3,130,4,272,5]],"741":[123,41,[10,13,6,4,44,3,54,3,3,19,2,6,30,6,1,4,28,8,17,4]],"742":[138,54,[1,26,287,4,4,3,79,7,1104,14,136,4,5247,4,3272,6]],"743":[118,58,[13,9,25,4,2,3,759,4,1,9,41,3,1920,5,3,12,5,6,10,3,9,4]],"744":[113,42,[3,13,23,5,1,3,2,7,32,3,54,6,28,4,30,5,1734,8,8,6]],"745":[130,38,[9,3,6,7,2,4,67,8,92,9,689,13,8,7,13,5,16,5,5,10,32,4,18,9,1,4]],"746":[108,50,[114,4,2,5,5,3,3,17,42,4,13,6,8,5,582,4,31,4]],"747":[124,57,[7,3,6,3,1096,6,1,9,2,6,4,7,212,8,24,3,5,3,66,3,498,4,213,8]],"748":[134,58,[288,10,24,6,10,4,6,4,1,3,5,18,7,14,89,5,17,3,2,6,3,6,25,3,59,3]],"749":[127,33,[4,10,1,5,8,16,23,17,5,34,3,5,6,3,25,3,2,4]],"750":[123,39,[1244,5,3,55,13,6,284,3,1,5,680,5,9,3,5,3,4,4]],"751":[136,73,[2,23,3,3,1,8,35,3,11,3,64,3,7,8,62,3,1167,4]],"752":[120,34,[4,41,7,12,5,5,2,7,37,4,1,3]],"753":[132,30,[4,59,3,8,191,9,6,7,1,6,232,5,1573,4,5470,3]],"754":[110,22,[13,13,92,7,4,45,17,5,5,4,718,4,28,6]],"755":[122,54,[3,13,902,9,571,7,1,6,4,3,5505,12,13,3,5,8,7,3,187,5]],"756":[115,31,[4,9,3,22,1,10,17,4,6,10,1022,4,41,4,1730,4,4187,4,8,4]],"757":[128,37,[8,12,6,40,3,21,1,5,4,5,13,4,5,5,11,3]],"758":[132,45,[64,3,7,4,1,17,24,4,6,3,11,3,50,9,2,6,46,5,23,3,17,3,70,8,19,12,14,4,2723,4]],"759":[126,50,[3,20,5,6,6,3,832,13,4,25,2,3,1,3]],"760":[122,17,[4,79,6,9,2,3,3,6,1,4]],"761":[131,49,[4484,3,1,25,1336,3,2,4,56,3,7,10,4317,8,1306,3,3,6,1540,6]],"762":[122,43,[4,18,3,12,18,4,1,7,38,3,67,3,358,3,2,3,9,7,8,7,31,3,27,4,61,6]],"763":[104,39,[6,3,3,36,9,5,2,5,5,7,881,6,39,3]],"764":[133,58,[1096,3,833,8,5853,5,3099,3,1,27,746,8,2897,8,1303,3,56,8,413,3]],"765":[131,51,[24,8,40,4,6,7,5,6,629,9,7,20,2,13,1051,4,35,5,3,3,411,3,77,3]],"766":[127,24,[6,3,4,76,1,3,3,8,5,3,42,8,25,3,13,3,1535,3]],"767":[134,17,[172,10,2,19,6,19,16,15,58,14,267,4,68,34,46,3,64,4,315,3]],"768":[131,13,[3,5,4,106,85,3,2,4,23,4]],"769":[126,42,[3,6,4,21,11,6,2,27,34,3,9,3,7,3,6,9,19,3]],"770":[133,22,[1,8,4660,3,429,14,3805,3,375,58,4589,3,256,16,3,5,122,5,149,3]],"771":[126,28,[763,8,1,14,3,9,517,4,1043,13,1130,13,86,7,1009,3,114,20,3886,6,582,8]],"772":[119,53,[3,13,55,5,6,7,17,4,25,5,21,6,4843,3,300,3,27,6,255,4,4,4,1,4,5,4,2,3]],"773":[97,43,[3,3,6,6,31,3,30,3,1,4,2,4,28,4,49,7]],"774":[123,46,[2,7,1,13,2735,3,96,3,70,5,112,3,1311,3,3,5,171,4,3190,4,217,4,74,4,24,6]],"775":[113,34,[6,6,3,10,35,4,1,14,29,3,18,3,70,14,2,10,11,6,100,3,69,4]],"776":[124,53,[34,5,15,5,11,9,5,6,58,8,2,7,14,3,7,6,586,4,8,4,202,4,313,3,3,3,64,4,502,3,10,3,68,4]],"777":[105,37,[4,13,8,15,41,3,9,6,3,22,27,5,2,3,39,3]],"778":[120,38,[5,47,2,10,7,10,14,12]],"779":[125,41,[208,3,6,3,1,18,643,19,2132,6,4773,4,29,4,5,4,49,5]],"780":[130,41,[8,41,10,3,5,9,101,4,2,8,447,4,40,3,667,3,288,3,7,14,219,5]],"781":[106,44,[3,10,1,5,23,28,2,6,11,3,58,4,39,3,4,5]],"782":[130,61,[1,14,618,5,228,3,1870,3,3,3,564,5,872,10,1019,11,203,10,1341,3,386,3,892,3]],"783":[128,49,[103,3,1,25,4997,4,3,8,18,4,100,4,3484,4]],"784":[124,45,[5,21,89,4,23,9,25,4,4,8,8,7,12,11,41,4,2,4,1,4,13,4,6,4,10,3,9,3]],"785":[114,43,[4,16,13,15,9,3,42,4,8,5,18,3,223,4,53,4,1,6]],"786":[116,36,[25,13,5,17,12,5,10,21,23,10,6,6,4,12]],"787":[125,42,[5,5,4,16,6,5,3,8,29,3,28,14,8,6,31,10,1,4,67,4]],"788":[111,40,[3,13,17,4,38,4,1,4,115,4,7,8,2,4,15,6]],"789":[122,45,[7,8,4,17,3,10,131,8,23,4,6,3,30,4,54,6]],"790":[125,71,[1805,4,1,9,2,23,72,3,11,8,527,3]],"791":[117,35,[1,16,4,10,77,6,3,12,791,4,14,5,2,6,12,5,488,4,45,4]],"792":[111,34,[33,3,4,8,6,5,2,17,8,5,15,7,1,5,3,6,46,6,137,6]],"793":[125,34,[1494,21,3232,12,1,13,4,19,2216,5,3,4,8,4]],"794":[119,26,[4,55,13,4,47,5,5,3,1,3,18,14,6,4,117,4]],"795":[121,46,[37,5,2,16,1,13,7,12,5,12,11,3,29,3,6,4,4,4]],"796":[129,31,[14,11,38,6,9,35,2,7,1,8,11,4,20,3,6,3,32,15,470,4]],"797":[104,28,[4,33,5,9,3,3,2,11,13,3,8,6,17,4,32,4]],"798":[128,63,[1430,3,891,5,171,4,157,23,868,7,1,12,432,3,321,5]],"799":[128,50,[2,18,7,26,11,7,59,8,3,9,34,5,1,5]],"800":[119,43,[5,4,4,25,6,4,8,9,12,3,3,16,18,3]],"801":[121,44,[2,27,11,4,583,3,34,16,527,4,7,11,1680,3,70,4,1107,3]],"802":[127,66,[52,8,1,7,7,17,99,5,2,4,558,5,529,4,285,4,1161,4,161,4,292,3]],"803":[124,39,[1,5,1619,4,2488,4,4673,8,508,20,2407,6,409,28,1755,4,4327,4]],"804":[110,27,[4,44,10,6,5,11,6,3,3,8,32,5,8,6,9,3]],"805":[127,35,[7,11,5,15,32,16,34,7,2,7,288,3,70,3,68,16,64,5,14,4,96,6,1946,4]],"806":[111,36,[6,4,202,3,4,22,10,16,3,23,27,3,23,3,5,3]],"807":[113,52,[1,4,3,17,86,6,65,17,130,3,274,5,524,3,54,4]],"808":[102,39,[2,19,3,9,8,3,7,3,5,8,6,4,148,4,12,4]],"809":[110,48,[3,34,6,7,4,6,5,4,25,3,27,4,1,3,162,3]],"810":[122,37,[11,3,5,3,6,18,2,18,74,3,7,5,72,4,24,4,19,6,31,10,63,4,16,4]],"811":[107,25,[4,42,5,4,3,16,6,7,8,6,186,4]],"812":[100,40,[4,10,6,5,3,18,5,11,13,4,147,3,9,3,1,3,65,4]],"813":[116,37,[41,3,3,13,10,8,5,33,4,10,6,5,77,3,8,6]],"814":[117,27,[3,6,1,21,4,23,19,4,1461,20,28,4,49,7]],"815":[125,71,[133,4,22,12,282,4,194,7,21,11,602,3,190,3,66,4,1,9]],"816":[113,38,[6,29,4,32,3,6,304,3]],"817":[118,30,[4,50,6,23,2,6,31,5,13,3,1,3]],"818":[113,23,[4,65,3,14,2,5,1,5,10,3]],"819":[116,29,[6,8,44,24,3,18,2,4,5,9,1571,3,23,4,16,4,8,3]],"820":[121,41,[311,5,1,24,212,6,18,4,3,8,110,7,1063,4,3260,4]],"821":[90,39,[10,11,13,3,18,3,9,5,8,5,12,3,3,4,4,10,6,3,27,5,5,4,2752,3]],"822":[106,47,[3,18,122,3,8,3,13,5,42,3,1,5,5,7,6,3,25,7,27,3,2,3,76,4,138,3]],"823":[124,36,[8,41,127,4,15,6,11,3,57,8,2,12,137,4,7,3,14,3]],"824":[117,41,[5,5,162,3,13,3,4,5,3,29,219,10,10,8,693,4,38,5,1,3,4331,5]],"825":[124,67,[66,3,22,8,97,9,236,8,103,5,167,4,194,3,21,5,102,3,20,3,111,3,1067,4,240,4]],"826":[123,58,[1,14,250,8,740,4,141,3,62,5,1372,4,1391,4,113,3,91,10,326,4,2239,3,979,4]],"827":[116,31,[193,12,1365,14,230,17,1,4,530,14,79,13,259,8,269,3,2143,4]],"828":[104,24,[4,54,3,7,33,4,17,4]],"829":[109,29,[3,14,5,20,95,3,355,3,4,10,53,4,466,3,2,10,28,4]],"830":[103,31,[4,9,5,31,3,9,13,5,1,3,17,7,6,3]],"831":[118,30,[1009,6,1166,16,3,8,1130,6,1043,19,1,15,6,3,87,4,4397,5,3886,4]],"832":[110,30,[16,48,3,7,202,8,13,3,210,5,5,4,6,6,21,3]],"833":[81,34,[168,5,3,15,39,4,6,11,25,5,24,4,42,4]],"834":[114,28,[8,4,4,14,6,6,3,6,16,4,12,14,969,14,2372,8,13,4,1,7]],"835":[107,45,[5,12,3,3,4,31,25,3,8,3,13,3,43,3,1,3]],"836":[121,57,[482,3,2,23,1,9,101,3,122,4,14,3,8,4,72,3,600,4,7,5,234,3]],"837":[114,14,[4,22,396,4,39,3,264,63,175,6]],"838":[105,55,[2,3,3,12,928,5,5,6,18,4,1,15,13,3,42,3]],"839":[119,61,[90,5,226,3,1,12,3,5,17,3,245,7,937,3,134,4,367,3,37,5]],"840":[104,28,[5,35,4,19,10,8,3,5,6,4,24,3,1,6]],"841":[106,33,[9,21,6,11,13,3,490,3,689,3,12,3,8,7,38,3,385,4,42,3,31,6,5,5,1,6]],"842":[117,36,[3,15,1670,33,1358,3,382,20,2119,3,586,3,21,3,429,3]],"843":[121,54,[64,6,11,7,46,3,1,6,5,3,7,12,2,11,15,3,62,3,58,3,19,4,829,4,106,4]],"844":[102,34,[4,36,14,3,42,6,8,4,13,5,3,6,1,4,6,4,5,3]],"845":[119,75,[5,4,229,3,376,3,7,4,1,6]],"846":[120,55,[2,8,35,6,8,20,7,15,1,6,58,7,20,3]],"847":[115,36,[16,3,9,4,15,3,4,4,12,19,30,11,325,4,1,4,2,16,5309,6]],"848":[112,32,[1094,20,19,4,53,4,28,8,3,4,13,12,4,8,364,4]],"849":[119,29,[193,6,79,13,286,13,343,3,742,11,39,6,5,10,1984,6,402,8,2326,8,6,4]],"850":[110,37,[13,16,8,7,5,5,6,4,1,3,2,7,3,7,4,8,14,4,63,4,15,4]],"851":[118,37,[69,7,172,7,33,5,16,17,5,10,10,7,3,3,6,4,23,8,1454,4,108,3,265,8]],"852":[112,29,[6,5,4,33,2,23,3,5,210,8,34,6,5,4,8,4]],"853":[119,27,[122,49,265,3,1,11,262,4,3,10,17,4]],"854":[98,35,[4,35,41,3,3,5,6,14,5,3]],"855":[113,49,[448,3,2,11,537,3,352,4,6,5,1,14,34,4,3,6]],"856":[100,31,[4,13,5,12,16,5,28,6,18,8,12,4,1886,4,3124,6,3,4]],"857":[110,45,[3,14,6,9,4,7,13,5,5,21,10,3,12,3,8,4,9,3]],"858":[104,39,[204,3,1,4,4,14,3,16,10,11,32,4,6,3,2,4]],"859":[103,43,[3,20,2,3,10,11,29,3,21,3,27,6,5,10,4,3,669,3,1752,4]],"860":[98,29,[4,39,1,7,13,5,10,4,27,3,6,5,3,6,7,3]],"861":[116,36,[70,3,34,5,64,3,19,3,11,3,58,13,2,7,68,11,14,3,7,6,2493,3,46,6,810,4,124,4,700,4,829,6,1780,4]],"862":[118,58,[5,20,11,3,213,3,71,3,62,9,2,7,64,3,1,4,274,3,34,4,1789,3]],"863":[96,43,[1,3,13,10,4,15,8,8,39,3,3,5,5,5,7,4,40,3]],"864":[98,45,[6,7,13,4,3,26,5,3,2,4,9,4,257,4]],"865":[102,47,[21,5,18,3,27,3,181,6,2,3,6,4,9,3,17,4,3,12,5,6,12,3,16,3,47,3,1125,3,1,6]],"866":[108,35,[22,3,5,17,13,3,3,12,83,4,25,6,23,24,42,4,12,3,1,3]],"867":[107,46,[6,24,25,4,3,10,8,3,10,5,5,10,1,3,1250,3]],"868":[95,33,[2,6,4,11,3,16,1,4,10,4,13,6]],"869":[106,42,[3,14,10,8,25,4,2,5,42,3,12,3,1,5,27,3,1355,6,5,15]],"870":[114,57,[537,4,866,8,228,16,350,4,288,6,1,8,1672,5,1179,4]],"871":[109,37,[4,9,1,10,6,18,3,7,74,4,5,4,23,7,16,6]],"872":[89,42,[6,9,2,3,1,5,3,8,4,8,9,3,42,4,5,4,8,4]],"873":[115,65,[178,3,1,8,3,5,5140,5,548,3,352,4,542,4,2125,4,225,4]],"874":[109,35,[24,7,16,20,3,6,1,4,2,14,6,6,11,8,34,3,7,4,8,3,89,4,19,4]],"875":[116,39,[8,5,14,9,2,10,1,3,7,3,147,3,44,5,12,3,15,4,13,4,102,4,17,6,33,4,30,6,6,4]],"876":[116,44,[3,11,18,6,731,3,1,20,14,5,1187,4]],"877":[108,54,[260,9,434,3,154,3,1,15,1889,3,3,3,297,3,1676,3,877,3]],"878":[106,29,[16,43,5,9,35,7,10,3,4,11,6,3]],"879":[115,81,[1086,3,1,10,400,8,316,4,870,3]],"880":[109,25,[8,23,2,17,137,3,78,3,5,3,7,3,57,7,14,15,325,4,26,8]],"881":[95,42,[5,4,3,13,1,6,1160,3,127,3,6,6,643,6]],"882":[115,54,[732,3,3,7,268,7,2556,5,56,20,5360,3,1,6,1153,3,2482,5,380,3]],"883":[110,36,[4488,4,1,16,28,10,3,8,30,4,5,6,2040,4,49,3]],"884":[113,45,[29,4,69,7,1,8,112,5,74,3,70,10,96,8,217,4,188,4]],"885":[105,41,[3,20,4,19,29,3,1,7,806,4,591,3,1804,6,3590,4]],"886":[106,44,[1,4,3,24,31,3,55,14,21,5,27,7,5,5,6,3,13,3]],"887":[100,39,[995,3,25,3,42,3,162,4,4,34,3,12,13,3,363,4]],"888":[102,25,[4,12,3,38,5,16,6,3,13,3,28,7]],"889":[114,46,[7,9,2,13,1,5,35,4,1364,4,195,5,11,4,3218,5,5,3,14,4,182,6,74,6,37,4]],"890":[112,31,[1,37,3,8,100,6,4575,4,382,4,3104,4,6,4]],"891":[92,33,[1,8,6,4,1000,6,4,10,16,3,3,6,13,6]],"892":[88,44,[10,9,6,5,3,10,13,5,1,8,4,3,42,5]],"893":[113,56,[431,4,56,4,1,25,750,3,235,4,656,4,286,3,1159,3,2423,3]],"894":[105,35,[23,5,10,15,27,4,12,5,5,18,4,5,25,6,76,4,3,6,8,7,41,3]],"895":[98,38,[3749,9,9,4,3,20,5,7,1321,5,379,3,31,3,1,7]],"896":[107,31,[3,11,912,6,1154,17,8,5,4,5,2,7,6,16,210,7,58,4,26,3]],"897":[103,42,[5,7,1011,4,3,7,1,4,4556,5,4,10,4074,4,31,6,547,3,10,4,1951,11,2,4]],"898":[112,72,[5,15,2,7,1,8,350,3,34,3]],"899":[112,33,[11,3,2,12,171,6,2586,6,1,3,2985,4,113,4,70,6,3,4,6,11,2618,8,2340,14]],"900":[87,45,[3,9,5,3,289,4,4,12,6,7,2,6]],"901":[99,49,[3,16,6,8,27,3,4,4,1,9,5,6,7,3,16,3]],"902":[102,37,[25,3,27,5,10,6,6,30,2,7,8,4,41,3,3,6,1,3,4,5]],"903":[113,33,[5,22,1,22,106,4,1634,4,3,4,2604,4]],"904":[98,38,[5,18,4,5,41,5,3,11,21,11,25,4,27,3,6,4,8,3]],"905":[109,48,[136,8,6,11,442,3,7,5,10,11,5,7,416,7,482,3,3,3,1,5,812,3]],"906":[111,56,[122,7,3,3,174,28,732,4,350,3,1,6,328,3]],"907":[111,50,[1,23,400,3,3,4,7,3,571,3,8,4,3851,4,2618,4]],"908":[108,19,[569,30,549,8,4790,8,5299,4,1,22,354,6,1017,6]],"909":[108,39,[96,3,2,3,172,3,34,3,23,10,20,4,74,4,909,6,50,12,3,6,1,4,70,6]],"910":[112,34,[38,11,15,3,2,11,9,7,30,9,12,19,20,4,469,4,14,4]],"911":[105,44,[3,5,7,3,30,6,6,4,28,4,1,8,16,4]],"912":[99,42,[10,20,5,22,3,4,1,3,6,5]],"913":[96,42,[5,13,4,5,6,9,10,3,3,13,27,3,1,3,25,3,21,3,47,3]],"914":[105,28,[17,4,1,41,213,4,2,4,2960,4,3,8]],"915":[99,34,[27,6,3,10,61,8,1338,4,30,4,4,8,36,4,55,4]],"916":[86,37,[3,21,4,17,10,6,13,4,2,3]],"917":[105,27,[8,6,4,38,3,5,51,3,14,8,1,3,2,6,77,4]],"918":[108,18,[456,15,3,9,377,40,1,6,4,11,12,3,955,8]],"919":[99,34,[223,4,28,10,8,6,53,4,1344,4,3,6,16,4,1,6,29,4,49,3]],"920":[110,60,[162,4,191,5,166,3,1,9,3,4,244,7,304,7,379,4,1311,5]],"921":[110,31,[1,4,11,8,8,57,2,8,7,3]],"922":[96,32,[4,33,5,8,3,3,168,13,6,3,10,4]],"923":[106,41,[1,19,28,4,3,4,114,3,378,4,582,4,49,3]],"924":[92,29,[1,9,3,10,20,8,7,4,3947,4,6,4,16,4,4,11]],"925":[108,67,[1,10,7,3,1140,3,13,3,3039,6,302,4]],"926":[101,44,[21,5,10,4,5,11,6,3,3,11,8,15,41,3,67,4,27,5]],"927":[77,27,[7,5,1,5,3,8,32,6,132,6,165,4,99,4,18,4,54,4]],"928":[83,30,[178,5,4960,5,1,7,195,3,118,33]],"929":[97,56,[4,7,1,3,6,8,3,4,12,10,9,3,39,4]],"930":[107,38,[3,8,1,11,9,3,318,4,53,6,142,4,18,6,6,6]],"931":[107,36,[2,3,8,12,51,3,38,5,16,3,5,6,12,5,92,4,30,16,7,4,6,4,4,4]],"932":[106,35,[530,4,79,3,1,5,10,8,70,8,69,12,5,4,112,4,1150,6,105,4,96,4]],"933":[103,25,[259,9,1007,7,1299,9,79,29,1,9,230,10,193,3,343,3,269,6]],"934":[104,66,[656,4,1,8,2161,4,5,5,485,5,2610,3,10,4]],"935":[100,37,[70,5,3,4,24,4,6,10,7,10,15,4,23,10,1,3,2,11,5,8]],"936":[95,31,[5,5,8,6,3,14,9,16,4,14,2315,3,6,4,27,3,172,3,67,3]],"937":[106,40,[27,3,6,33,5,4,8,12,21,3,3,4,33,3,4,5,357,3,9,3]],"938":[106,28,[842,5,4,6,1,8,630,4,201,7,2333,4,5885,3,715,35,655,4,1248,4]],"939":[104,35,[2,11,34,12,210,11,7,14,5,19,3,3]],"940":[108,44,[1,14,3,8,5,4]],"941":[103,40,[8,14,3,6,7,4,11,3,2,10,15,4,14,5,1,6,26,4]],"942":[107,43,[18,15,2,5,3,5,12,13,116,4,36,10,33,5,9,3,7,3,15,3]],"943":[107,31,[6,20,105,7,7,5,23,8,85,8,1,4,4700,3,40,3,2,8,251,4,46,4]],"944":[100,34,[6,11,7,4,67,9,127,6,4,15,3,10,8,3,16,3]],"945":[104,46,[79,3,255,6,5,16,3,10,1,5,178,3,218,4]],"946":[90,35,[39,14,3,8,31,3,210,3,5,13,1,3,10,3,4,5]],"947":[108,52,[79,24,530,11,1,12,373,3,1088,3]],"948":[106,29,[37,3,200,5,2,20,8,33,15,5,3,6]],"949":[105,35,[2,14,10,8,7,5,5,6,58,6,15,7,32,5,64,3,8,3,955,5,4,4,46,10]],"950":[89,40,[572,3,2958,5,3,28,10,5,43,3,203,3]],"951":[92,37,[3,13,25,3,1,4,30,4,231,4,6,4,2,6,109,4]],"952":[89,35,[5,5,6,5,4,16,3,16,9,3,1,4,23,3,8,5]],"953":[106,65,[11,6,2,14,7,5,1,3,3,3,141,3,244,3,372,3,595,3]],"954":[102,28,[168,5,24,22,29,3,68,4,69,4,2,14,50,4,16,10]],"955":[105,8,[249,78,3793,4,1,5,2297,8,2,4]],"956":[101,24,[269,14,230,6,193,5,259,21,79,26,128,9]],"957":[84,38,[5,5,174,5,203,12,3,10,6,3,3432,8]],"958":[104,38,[10,5,7,21,24,4,182,4,2,12,1,3,85,3,3,3,101,3,6,3,40,3,5,8,16,3]],"959":[97,38,[74,14,6,3,182,4,5,11,4,12,3,3,10,3,69,3,16,3,31,3]],"960":[92,36,[3,12,55,9,4,27,5,3,736,3,1,3]],"961":[95,41,[3,19,31,6,1,3,10,9,5,6,6,3,13,6,2,3]],"962":[97,29,[5,15,3,17,513,4,4,3,33,3,6,12,15,3,29,3,126,5,23,6]],"963":[106,52,[1,15,71,3,520,6,1593,4,286,4,4694,4]],"964":[101,25,[259,17,230,8,193,9,79,31,269,13]],"965":[102,7,[4,19,5,77]],"966":[105,41,[8,21,2,18,7,3,11,6,32,9,118,4]],"967":[97,38,[6,6,5,40,1,3,10,8,3,3]],"968":[105,30,[255,3,591,3,2845,13,5675,5,1,25,160,8,268,5,1817,3,3426,3,1029,5,583,5]],"969":[51,28,[3,5,54,3,5,3,9,4,2,6,1255,4]],"970":[92,45,[42,3,83,3,3,3,55,7,6,10,5,3,12,4,17,4,28,4,49,3]],"971":[96,37,[8,3,27,4,3,11,10,5,4,11,3452,3,1,4,24,3,1507,14,5,5]],"972":[105,35,[79,16,530,9,343,4,3,3,193,3,88,4,1,12,402,10,2326,4,2265,4,136,4,789,4]],"973":[98,42,[9,7,41,3,27,6,25,6,3,4,83,3,4,9,6,5,8,3,5,14,241,3]],"974":[100,32,[11,5,2,28,96,11,70,4,14,4,23,3,69,8]],"975":[89,27,[92,3,4,11,10,17,575,4,16,3,5,11,13,6,6,3,3,3,28,3]],"976":[90,33,[4,6,2257,6,3738,6,251,4,13,6,1,6,49,6]],"977":[97,30,[3,11,1,15,170,6,107,4,2444,10,737,4,641,4,45,4]],"978":[104,69,[22,9,169,3,97,3,282,4,1,4,194,4,602,3,21,4]],"979":[104,50,[1,12,6,3,296,6,480,3,177,4,3,4,579,6,5092,6,4,6]],"980":[93,30,[6,7,5,12,4,31,17,4,24,4]],"981":[99,57,[6,4,3,8,16,4,4,3,5,6,7,4,27,6,55,8,1,3]],"982":[99,22,[92,30,5,20,16,9,4,11,26,4]],"983":[95,29,[1,3,29,4,33,6,28,4,53,4,2,6,4,4,6,6,147,4,3,6,13,4,8,3,31,4,16,4,49,7]],"984":[86,35,[5,26,13,9,28,3,7,3,8,5]],"985":[101,30,[70,4,188,3,210,3,2,5,6,13,471,7,3,7,68,6,37,4,46,6,14,4,29,4,24,4]],"986":[90,43,[4,5,1,13,123,4,3,9,510,3,177,3,1547,4,6,3,274,6,187,3]],"987":[99,71,[359,5,5,6,633,8]],"988":[103,57,[1,6,388,21,75,6,366,3,314,3,31,3,203,3]],"989":[102,37,[2,6,3,4,413,19,159,19,7,7,56,9,1,5]],"990":[91,25,[4,31,3,20,6,5,41,4,13,4]],"991":[103,55,[6,9,2358,5,352,3,1,13,3,3,2693,3,3711,4]],"992":[101,26,[530,4,79,29,2683,3,1,8,699,3,402,8,3,4,39,15]],"993":[99,35,[24,3,2,9,108,3,1,9,7,18,67,8,14,4]],"994":[84,34,[6,9,7,7,4,5,23,3,2,3,1,12,24,5]],"995":[89,43,[25,3,3,7,41,3,27,5,4,9,5,3,6,5,8,6,17,3,2,3,39,3]],"996":[100,50,[1167,3,656,3,3,5,73,9,1,8,970,4,254,8]],"997":[98,32,[8,4,10,4,3,3,24,31,7,6,6,7,5,12,288,3]],"998":[103,73,[149,3,1,8,26,7,676,4,349,3]],"999":[96,40,[4,7,23,3,3,4,168,3,16,5,5,11,6,6,13,4,107,8]],"1000":[92,30,[1,4,10,4,206,6,3,12,13,4,4,10,3334,4,569,4,6,4]],"1001":[88,36,[3,4,1,4,8,3,794,3,18,3,2,7,5,7,61,8,16,6,20,4]],"1002":[98,40,[1,12,39,4,5,16,85,5,3,4,31,9,6,4,96,4]],"1003":[102,48,[1,16,1383,4,1241,4]],"1004":[86,35,[3,10,162,6,4,5,42,3,31,5,13,5,6,4,202,7,8,3,25,3,304,8]],"1005":[91,46,[24,9,1,4,5,10,3,6,2,15,31,4]],"1006":[102,32,[2,3,1,36,3,4,7,3,1273,4]],"1007":[58,33,[13,3,27,6,3,5,25,5,2,3]],"1008":[82,41,[3,13,25,4,13,3,42,4,21,3,2,5,1,7,27,4,127,3]],"1009":[89,35,[3,14,6,9,2,9,18,3,31,4,5,8]],"1010":[82,34,[3,9,4,27,6,3,8,3,1,3,127,3]],"1011":[90,43,[2,5,1,10,4,14,3,5,127,3,6,4,23,5]],"1012":[78,28,[1,8,7,4,28,8,3,6,16,6,10,5]],"1013":[94,40,[15,4,11,5,2,20,6,4,4,6,48,3,3,4,16,3,34,3,298,3]],"1014":[91,27,[4,22,6,10,69,3,5,4,112,8,36,4,1,4,31,3]],"1015":[101,53,[1,14,384,6,400,4,1997,3,3405,4,177,5,204,3,1339,5]],"1016":[101,32,[6,7,96,15,1555,4,44,6,1,4,70,10,39,4,3,4,29,4]],"1017":[93,29,[4,13,3,7,985,4,1,10,16,4,29,4,6,7]],"1018":[97,31,[196,50,3,7,2702,3]],"1019":[80,41,[4,13,3,10,5,6,27,4,8,3]],"1020":[91,27,[4,8,5,42,17,4,10,3,31,3,6,3,3,3]],"1021":[90,31,[3,19,8,6,2164,4,1,4,111,4,36,4]],"1022":[97,32,[5,4,29,4,2,3,70,10,3,3,10,3,124,5,31,10,74,6,23,4,3629,3,24,10]],"1023":[99,39,[23,7,29,4,10,4,6,6,16,7,1,3,17,4,24,3,105,5,70,3,2,3,7,4]],"1024":[100,38,[3,12,1,21,2,4]],"1025":[92,37,[6,12,27,9,5,6,21,8,3,14,209,3,4,3]],"1026":[95,26,[4,33,10,17,2,6,3,4]],"1027":[99,25,[20,9,1,11,14,12,2,18,30,6,60,4,54,4]],"1028":[95,36,[2,24,14,5,111,3,15,5,8,13,19,3]],"1029":[87,36,[10,15,3,7,182,8,4,6,5,10,38,3,29,3,112,3]],"1030":[89,36,[3,8,10,21,5,3,4,5,7,3,8,8,2,3,35,4]],"1031":[99,43,[1,3,11,4,15,3,2,11,18,4,46,8,7,10,223,4]],"1032":[98,27,[5,20,2,6,14,7,7,8,58,11,70,3,46,5,32,3,68,3,810,3,99,6,10,4]],"1033":[99,43,[1,11,3,4,267,9,554,9,379,6,5928,3,852,3,1329,4,4186,3,256,8]],"1034":[91,34,[3,5,1,9,53,4,18,4,30,4,2,6,61,4,1127,6]],"1035":[97,4,[396,93]],"1036":[98,31,[6,4,2,16,85,7,4493,3,23,3,554,4,14,4,7,10,68,6,16,4,8,4]],"1037":[88,28,[4,16,74,4,17,4,3,8,10,4,61,4,1,4,2,4,5,4]],"1038":[85,50,[1,8,4,3,792,3,3,5,10,4,13,4,7,4,9,5,40,3]],"1039":[68,33,[3,18,13,3,29,4,5,6,27,5]],"1040":[82,27,[2,22,6,3,18,3,34,4,15,4,12,3,8,7,1,3,4892,4,68,4]],"1041":[77,29,[3,8,1,4,24,6,2,4,420,4,49,5]],"1042":[98,29,[70,10,2,18,96,3,19,4,7,12,14,8,24,4,23,6]],"1043":[72,37,[3,17,13,3,42,4,2,4,7,3,5,4]],"1044":[89,37,[70,4,4,23,2,7,5,5,8,3,41,3]],"1045":[97,37,[1,21,911,4,597,4,3,4,245,4,2914,4,221,4,107,4]],"1046":[95,22,[5,49,10,14,6,3,7,6]],"1047":[96,37,[24,16,10,13,6,5,112,3,5,6,7,6,16,5,2,9,59,3]],"1048":[88,29,[5,11,17,8,3,12,1,18,599,4]],"1049":[93,42,[2,14,1,4,40,7,7,4,16,3,24,3,15,3,810,4,19,4,14,3]],"1050":[92,16,[1,5,230,7,193,10,259,8,269,30,35,4,79,6,343,12]],"1051":[90,33,[193,10,230,9,79,32,269,6,329,3]],"1052":[83,26,[5,42,2,3,7,5,10,4,1,3]],"1053":[91,26,[23,15,4,37,3,10,10,3]],"1054":[78,35,[4,8,18,3,13,6,6,5,3,7,210,4,10,4,5,6]],"1055":[86,23,[2947,3,4,27,5,5,3,11,13,6]],"1056":[96,37,[1,37,6,4,4553,4,5,6]],"1057":[81,35,[4,16,5,11,13,5,3,5,17,3,31,3]],"1058":[88,29,[10,3,4,33,3,9,6,14]],"1059":[96,50,[1,6,753,3,518,9,854,3,6,6,1525,6,3927,3,637,3]],"1060":[88,60,[2,8,3,7,1,12]],"1061":[97,51,[10,13,2,8,7,7,1,7,59,4,29,3]],"1062":[89,22,[259,12,269,9,230,13,193,8,530,3,1,5,79,21]],"1063":[88,37,[1,11,1688,4,4,4,178,4,668,4]],"1064":[90,39,[4,23,3,14,1234,3,2537,4,6,3,25,3,5,4]],"1065":[73,35,[10,7,6,9,5,4,3,17]],"1066":[81,32,[1,14,13,8,3,6,744,4]],"1067":[93,26,[6,50,14,3,3,5,35,6,2,3,19,3]],"1068":[96,32,[1,39,1430,4]],"1069":[86,40,[6,6,27,4,47,3,42,3,5,13,18,4,21,8,3,8]],"1070":[94,32,[1,10,342,3,2,3,17,14,486,4,1655,4,234,4,29,4,7,10]],"1071":[93,33,[17,9,3,6,1857,6,1,17,367,3,5,4,65,4,606,3]],"1072":[95,27,[1,36,2509,4,1537,4,136,10]],"1073":[96,28,[5786,12,458,19,327,8,1,3,86,13,524,8,1117,3]],"1074":[79,27,[29,4,19,4,10,4,210,4,3,4,113,8,172,4,16,6,6,4,12,4]],"1075":[94,39,[7,3,30,3,1,9,12,6,29,4,186,6,6,4]],"1076":[89,37,[77,7,2,5,4,21,3,3,37,4]],"1077":[96,35,[2,15,23,3,5,13,6,7,7,8,68,4,14,6,19,4,69,4]],"1078":[87,40,[3,20,10,3,39,4,4,3,11,3,27,3,6,4,21,3,5,7]],"1079":[94,44,[5,10,59,3,1,12,411,3,8,8,205,4]],"1080":[87,33,[2,7,5,23,3,3,13,7,1,3,7,3,11,3,8,5]],"1081":[87,28,[332,3,4,25,3,4,1,7]],"1082":[79,25,[3,36,6,4,8,3,10,5,13,7]],"1083":[88,39,[408,6,442,5,16,3,74,6,333,7,1549,4,23,3,31,3,5,5,7,3,19,6]],"1084":[77,30,[10,20,3,9,5,12,27,4,4,3]],"1085":[81,32,[1,21,3,7,367,4]],"1086":[87,20,[6,36,5,8,4,17,3,5,17,3]],"1087":[90,39,[39,3,3,12,1,15,713,3,2,4]],"1088":[73,35,[42,3,6,3,442,3,2,3,4,13,289,6,3,5,5,5]],"1089":[35,18,[198,14,2,3]],"1090":[91,37,[23,5,2,3,1,3,5,13,7,4,171,3,17,4,3,3,31,8,29,4,10,4]],"1091":[93,15,[5,72,4,3,10,3]],"1092":[71,30,[2,4,21,3,12,4,9,3,4,15,5,5,3,8]],"1093":[79,27,[28,8,1,12,53,4,10,4,49,7]],"1094":[87,23,[3,7,6,11,44,10,2,6,18,4,39,6,30,4,1,4,16,6,13,4]],"1095":[75,35,[8,4,39,3,6,5,16,3,10,4,3,24,1,3]],"1096":[79,34,[6,6,5,9,18,3,3,8,1,7,39,8,800,6]],"1097":[89,37,[1,15,17,7,185,4,1139,6]],"1098":[85,36,[2,5,4,3,12,6,3,6,5,4,198,6,44,3,1,8]],"1099":[89,29,[6,5,29,3,171,3,7,20,416,3,8,5,19,6,325,4,2,14]],"1100":[93,23,[2,39,20,4,19,10,1,4,8,3]],"1101":[64,34,[23,5,6,8,3,5,10,8,5,3]],"1102":[83,35,[1,3,3,8,5,9,10,9,366,5,1212,3,18,6,286,5,936,3]],"1103":[85,39,[3,11,5,8,4,9,34,3,11,7,2,9]],"1104":[84,25,[31,10,4,18,217,4,74,3,6,3,3,12,5,6,188,4]],"1105":[84,31,[6,7,170,12,483,4,1,4,49,6]],"1106":[78,35,[5,4,27,3,16,3,3,9,1,4]],"1107":[75,31,[17,3,3,24,27,8,6,4,10,3,18,4]],"1108":[73,37,[3,19,13,3,10,3,2,5,5,4]],"1109":[80,34,[10,3,31,10,3043,3,3,10,2,5,19,4,30,3,16,4]],"1110":[91,24,[2,24,41,3,72,3,14,4,48,4,110,4,19,4,46,6,20,6,621,4,15,8]],"1111":[88,26,[11,18,34,10,445,6,2,15,575,3,14,3,204,3,86,3,58,4,87,3]],"1112":[83,42,[2,12,7,6,1,12]],"1113":[85,27,[5,7,25,3,4,4,10,35,3,5,13,3,23,3]],"1114":[87,37,[6,4,24,18,46,3,3,9]],"1115":[89,30,[8,5,1,12,41,4,5,8,28,4,13,4,54,4,4,4,49,4]],"1116":[91,34,[137,5,8,15,2,7,20,4,51,4,57,4,46,4,251,4,68,4,36,4]],"1117":[86,44,[3,12,1431,5,5,5,13,3,203,6,707,7,626,3]],"1118":[75,33,[3,17,5,4,8,4,4,4,6,7,13,5,168,3]],"1119":[90,37,[2,17,10,12,32,11,64,3,8,3,81,7,35,3]],"1120":[89,29,[7,14,1,8,11,3,249,11,2,6,313,3,33,3,4,4,199,4]],"1121":[90,24,[23,14,69,7,333,9,5,7,7,3,2,6,92,4,51,4,6,6,14,4,96,4]],"1122":[78,35,[3,6,8,5,17,3,4,16,41,4,6,8,10,4]],"1123":[90,26,[17,3,6,11,10,6,5,5,127,4,80,4,2,9,8,3,54,10,29,4,24,4]],"1124":[84,28,[4,20,3,8,17,4,10,3,2,3,1,5,156,3,1270,8]],"1125":[86,26,[8,20,30,3,15,3,2,6,26,5,57,5,14,7,51,3,137,3,108,3,1,5,3,4]],"1126":[77,32,[24,7,10,12,5,25]],"1127":[88,25,[70,9,6,7,19,6,23,4,77,8,217,12,24,6]],"1128":[86,28,[4,5,3,8,2,4,6,4,61,10,1,6,67,4,151,4,5,4]],"1129":[90,32,[562,4,3,23,1598,3,1,20]],"1130":[66,40,[9,3,13,7,3,5,6,4,42,3,3973,3]],"1131":[81,34,[3,8,2320,3,3357,4,1,3,2,3,6,3,13,3,1055,6,832,4,1416,4,77,3,1009,3,415,3,55,3,1014,3]],"1132":[84,35,[6,9,7,9,173,3,112,3,24,8,82,3,2,8,796,4,3,7]],"1133":[70,31,[3,7,6,7,41,3,21,7,4,7,8,4,1,3,17,4,27,3]],"1134":[88,27,[17,7,3,3,1,4,198,22,18,4,4,4,7,4,33,4,26,4]],"1135":[85,31,[3,17,1269,4,1,8,41,4,33,4]],"1136":[88,26,[350,3,24,7,8,15,5,32,3,4,17,3]],"1137":[68,32,[4,6,3,9,10,4,5,3,2,6,41,3,6,3,12,3]],"1138":[73,35,[4,15,13,9,8,3,721,3,488,4]],"1139":[81,31,[3,6,6,10,1689,4,10,4,2,4,18,3]],"1140":[86,56,[611,3,1,8,260,6,297,3,3,3,4,4]],"1141":[88,53,[1,20,459,4,762,4]],"1142":[87,9,[5,74,69,4]],"1143":[85,52,[1,9,129,3,3,6,431,4,5,4]],"1144":[84,12,[4,57,92,4,35,7,13,3,5,4]],"1145":[69,19,[4,21,3,5,6,7,173,3,17,4,2,8]],"1146":[88,17,[2,26,5,26,20,4,17,4,46,4]],"1147":[87,34,[112,9,2,12,7,8,23,3,210,4,1,6,1714,4]],"1148":[81,29,[78,3,8,9,5,3,1,9,4,4,2200,4,3,4,471,4,245,4,158,4]],"1149":[87,30,[34,4,2,28,7,3,11,17,15,3,3,3]],"1150":[72,22,[4,14,6,5,70,3,3,12,17,4,129,4]],"1151":[85,35,[759,3,268,4,3,10,5,3,94,5,1,4,216,16]],"1152":[77,29,[18,6,3,12,10,4,4,4,302,3]],"1153":[74,27,[16,7,8,6,3,19,6,5,1,3,5,3,13,4,10,5]],"1154":[80,38,[3,12,10,3,4,3,25,4,5,7,8,3,2,6,11,4,15,3]],"1155":[81,35,[2,9,8,8,13,6,7,4]],"1156":[87,41,[1,28,428,4]],"1157":[87,49,[141,5,1202,3,3,3,1058,3,327,3,687,3,840,5,412,5,1633,3,159,5,413,3,3472,4]],"1158":[85,25,[23,5,188,8,2,4,96,17,7,5,6,5,105,3,69,5,85,6,46,4]],"1159":[72,33,[1,9,3,4,55,4,18,5,7,3,61,4]],"1160":[81,32,[4,3,201,6,6,8,210,12,16,15,5,4,10,4]],"1161":[81,25,[847,4,1161,6,3,6,108,4,1,17,161,6,3270,4]],"1162":[86,31,[2,21,24,4,31,4,1,3,1780,3,7,13,19,4]],"1163":[81,29,[55,5,6,6,1,4,3,4,17,4,61,4,4,4,5,6,29,4]],"1164":[79,21,[4,31,3,9,27,3,1,4,78,4,2,4]],"1165":[76,23,[4,19,1,4,3,12,2,4]],"1166":[80,27,[2497,3,401,11,1255,10,1941,5,3,9,643,3,1,3,881,4,13,3]],"1167":[80,37,[4,5,162,7,3,25,5,3,1154,3]],"1168":[84,39,[11,6,2,5,16,11,86,10,14,4,7,4,19,4]],"1169":[81,36,[5,24,1,6,458,4,1094,6,85,4]],"1170":[76,28,[4,16,10,7,3,8,6,3,42,5,2,4,13,3,8,4]],"1171":[86,38,[6,17,1,10,334,4,2,6,201,3,60,3,168,3,5,5]],"1172":[79,40,[35,10,34,3,7,3,6,5,14,4,3,4,23,4,2,9]],"1173":[85,50,[260,4,731,5,755,4,296,5,1,8,816,3]],"1174":[78,27,[4,3,8,3,5,3,42,3,1,9,1518,22]],"1175":[86,26,[79,7,589,5,992,5,972,4,742,4,402,14,344,8,39,6,5,4]],"1176":[82,24,[8,13,364,5,60,7,3,5,57,6,30,4,44,4,78,8,36,4]],"1177":[86,29,[471,4,45,6,1,24,5929,4]],"1178":[80,38,[17,6,7,3,2,20,20,3,5,5,15,3]],"1179":[71,11,[4,24,10,30,3,3,6,3,5,3]],"1180":[80,11,[32,29,86,17,2,11,50,4,118,10]],"1181":[82,41,[14,3,4,5,2,14,3,3,15,4]],"1182":[84,28,[29,3,24,5,1,10,6,12,85,6,23,6,3,4]],"1183":[85,51,[3,9,183,4,1,4,314,4,2486,4]],"1184":[82,32,[7,10,3,5,64,4,20,4,1511,16,39,4,15,3]],"1185":[83,33,[8,15,5,4,2,7,31,3,6,3,14,3,1,5,2952,4]],"1186":[83,14,[4,53,9,4,31,4]],"1187":[78,22,[31,5,5,10,3,18,126,6,5717,11]],"1188":[85,45,[5,6,7,3,2,3,1,10,237,4,138,7,43,3,17,4]],"1189":[80,32,[4,10,3,6,2,6,1,6,5,5,2676,4,70,8,2600,3]],"1190":[79,23,[4,23,8,3,7,3,3,3,2757,10,10,3,2,6,3142,8]],"1191":[75,25,[4,9,3,7,1619,16,1,7,23,3,18,3,8,4]],"1192":[78,26,[259,10,230,14,193,10,329,3,79,14,75,4]],"1193":[80,42,[10,11,2218,5,1,6,1159,3,733,3,103,4]],"1194":[80,25,[1,3,69,5,28,10,3,4,17,4,4,8,31,8,85,4]],"1195":[67,32,[4,10,6,3,5,3,3,9,9,3,1,5,27,4]],"1196":[80,43,[7,10,2,8,35,3,5,4,1,3,32,3,50,3]],"1197":[77,27,[4,3,2,15,16,4,3,7,6,3,1,4,5,3,14,10]],"1198":[82,22,[3,3,8,41,2,14,11,4]],"1199":[81,47,[1293,4,148,3,22,11,21,7,1,3,118,5,66,3]],"1200":[69,35,[5,6,4,9,1,7,42,3,1350,4,429,5,47,3]],"1201":[79,24,[5,10,31,11,4,14,1,6]],"1202":[65,31,[10,9,5,9,3,12,8,3,6,3]],"1203":[78,37,[6,5,5,4,1,4,3,3,29,3,52,4,12,3,79,3]],"1204":[70,35,[5,12,6,3,23,4,3,6,526,7,24,3]],"1205":[64,21,[257,3,4,7,3,14,74,4,6,4,13,3]],"1206":[70,30,[1868,10,3957,3,3879,4,5,7,3,4,4,4,638,3,6,3,840,4,10,4]],"1207":[75,30,[193,4,259,9,530,8,79,14,269,4,230,5,75,5,1,3]],"1208":[78,37,[3,3,136,13,303,3,94,8,17,4]],"1209":[68,18,[4,8,3,12,16,4,5,6,1,4,13,10]],"1210":[80,15,[1563,33,1174,3,4,14,3363,6,1,4]],"1211":[74,26,[4,5,8,6,6,10,17,6,1,4,49,4]],"1212":[70,32,[61,3,4,4,43,3,23,3,6,5,41,4,3,7,8,7,9,3,27,3,92,4]],"1213":[82,9,[5,71,10,3]],"1214":[81,27,[2,17,57,3,11,7,6,3,1,14,72,4]],"1215":[58,27,[5,6,1531,3,6,4,12,3,38,3]],"1216":[80,44,[6,5,35,3,1,5,2,11,7,11,50,3]],"1217":[77,30,[3,11,30,3,1,8,1667,4,4,3,23,5,5,4,603,8,680,6]],"1218":[79,20,[1107,4,755,50,177,3]],"1219":[78,36,[9,3,22,6,76,4,1,7,5283,6,65,6]],"1220":[74,40,[3,4,35,12,1,5,2,5,7,6,244,3]],"1221":[80,44,[5,12,1366,5,1,7]],"1222":[70,28,[3,23,6,3,10,4,4,3,8,4,5,4,38,6]],"1223":[77,35,[23,13,6,13,3,3,172,4,99,3]],"1224":[71,30,[3,8,4,24,2,7,7,4]],"1225":[69,28,[4,20,23,3,3,7,10,3,17,3]],"1226":[81,33,[432,3,3,8,86,16,87,3,1,10,495,3]],"1227":[81,13,[1,43,4398,4,1696,4,1452,4,227,4,1187,8]],"1228":[69,33,[201,3,4,7,9,4,6,7,18,4,16,3,8,4,3,4,77,3,5,3]],"1229":[77,29,[3,30,5,4,6,3,9,3,65,3]],"1230":[72,26,[3,14,110,4,6,4,7,4,23,4]],"1231":[72,35,[4,8,3,10,5,4,10,3,8,7,67,3,61,3,92,3]],"1232":[79,24,[1,18,94,18]],"1233":[81,42,[2,8,1,13,88,3,83,3,47,3,4,4]],"1234":[73,30,[3,16,5,5,27,5,2,3,4,6,30,4]],"1235":[80,34,[2136,6,383,6,2137,4,133,4,1,7]],"1236":[79,35,[65,4,3,7,267,4,235,3,3261,5,130,4,6,3,367,3,416,5,1,9]],"1237":[81,19,[495,33,1799,9,1473,3,1,12,720,3,56,4]],"1238":[73,25,[4,6,5,4,6,6,13,6,3,4,49,9]],"1239":[65,24,[28,5,2,5,5,5,4,12,10,3,3,5,7,3]],"1240":[79,49,[117,5,21,3,12,6,169,3,229,3,32,4,30,4]],"1241":[64,19,[4,7,210,20,8,3,13,4,6,12]],"1242":[79,33,[2,6,5,25,8,5,4,3,11,5,58,6]],"1243":[74,20,[5,42,8,8,3,3]],"1244":[77,21,[4,18,10,31,3,3,13,3,5,3]],"1245":[79,36,[4,9,6,3,9,13,88,3,3,4,1,5]],"1246":[79,36,[1,8,6,3,31,5,5,3,24,5,35,3,74,3,45,4,1921,4,221,4]],"1247":[70,31,[6,4,42,4,3,12,21,4,5,3,16,3,404,3,8,3]],"1248":[68,17,[5,6,3,20,61,8,483,4,1,6]],"1249":[68,21,[4,13,5,8,6,10,41,4]],"1250":[74,51,[1,8,141,3,2,3,3,4,187,4]],"1251":[55,28,[3,13,4,8,9,3,5,3]],"1252":[80,41,[212,7,1001,12,264,5,1,10,924,4,1037,3]],"1253":[74,22,[5,38,3,4,2,5,5346,3]],"1254":[73,37,[2,9,3,11,4,12,1,3]],"1255":[70,30,[1,3,4,4,16,8,3,5,5,8,13,4,1709,3,210,3]],"1256":[70,24,[3,27,4,5,1,6,6,6,3879,3]],"1257":[80,28,[250,6,4213,3,2,17,490,3,6,3,8,18,15,5]],"1258":[79,24,[5,26,9,8,12,4,44,4,2,16]],"1259":[78,23,[8,10,5,7,29,29,487,5]],"1260":[79,49,[313,6,3,3,813,3,288,3,1,6,135,5,219,5]],"1261":[70,26,[42,5,6,10,4,11,8,5,25,3,3,8,16,4,2,3,57,3]],"1262":[79,21,[589,3,3,3,164,3,79,24,402,8,992,3,789,4,1262,4,4951,6]],"1263":[62,27,[3,8,1,9,4,3,223,4,132,4]],"1264":[71,24,[1,6,4,16,39,3,3,10,641,4]],"1265":[63,17,[3,23,1,8,61,4]],"1266":[58,27,[6,4,10,3,5,7,4,10,3,7,17,3]],"1267":[58,18,[6,29,60,4,3,3,29,5]],"1268":[75,24,[4,38,11,4,6,5,2,5]],"1269":[75,30,[1,10,8,4,1152,8,212,4,4,4]],"1270":[67,23,[5,12,3,10,242,3,24,3,29,3,94,4,36,4,1,3]],"1271":[66,21,[5,34,4,3,3,6]],"1272":[65,29,[543,6,1,3,3,8,32,4]],"1273":[75,27,[24,5,10,4,31,9,74,7,5,3,20,4,188,4,67,4,3,4,1669,7]],"1274":[71,29,[55,10,13,6,1,4,689,3,1125,5,6,12,5,3,3108,3]],"1275":[76,41,[174,11,2,9,56,3,11,5,3,4,87,3,328,3,316,3]],"1276":[78,34,[2,28,3,5,11,4,15,3,14,4]],"1277":[77,38,[58,14,2,6,64,3,7,3,46,3,14,4]],"1278":[70,36,[6,3,3,12,21,3,4,5,17,3,27,4,25,3,67,4,8,4]],"1279":[74,32,[9,3,2,11,12,6,1,5,5,4,170,4,216,4]],"1280":[78,36,[1468,5,706,9,145,10,256,3,1,7,564,3,816,3,3,3]],"1281":[78,41,[1,16,270,3,320,3,23,3,285,6,26,4,2361,4]],"1282":[73,46,[3,4,10,9,1,8,303,3]],"1283":[74,19,[3,8,2,16,7,8,11,7,4,16]],"1284":[72,26,[10,16,3,6,6,3,5,9,13,5,168,3,4,4,16,3]],"1285":[74,56,[677,3,569,4,1,6,175,6,157,3]],"1286":[65,13,[4,27,3,10,8,4,54,4,2,4]],"1287":[73,32,[4,12,460,6,1,7,384,4,397,8,87,3]],"1288":[62,28,[3,13,1,3,8,3,44,3]],"1289":[64,16,[4,7,3,26,5,6]],"1290":[75,28,[601,10,1146,12,102,4,7,4,2727,4]],"1291":[77,37,[1,17,205,3,157,3,899,4,793,4]],"1292":[67,20,[6,3,24,23,2,11,170,4,46,4]],"1293":[58,19,[126,5,5,14,3,3,6,8,60,6,54,4]],"1294":[74,28,[5,4,1,8,10,10,3,3,2,7,69,6,1813,4,776,3,397,4]],"1295":[71,27,[28,6,53,4,1,6,3,4,17,4,121,4,49,3]],"1296":[74,29,[92,7,5,5,2,3,4,12,13,5,8,6]],"1297":[75,20,[472,3,5,13,69,3,3,6,2,4,70,6,85,4,6,6,16,8,29,4]],"1298":[74,26,[1,5,3,6,5124,4,6,6,5,12]],"1299":[51,26,[3,9,1,4,5,6,2,6]],"1300":[73,24,[269,9,259,17,193,3,79,11,789,6,230,4]],"1301":[73,14,[16,6,23,24,5,10,8,18,233,3]],"1302":[76,27,[69,4,31,6,217,4,29,6,112,4,2,4,545,4,3,4,24,4]],"1303":[76,35,[6,3,10,4,5,3,58,7,168,3,7,3,96,6,2,5,64,6]],"1304":[69,29,[4,11,23,12,85,6,8,3,41,3,13,4]],"1305":[71,34,[4,9,41,3,6,8,1,3,21,4,33,4,17,4]],"1306":[73,45,[2,5,3,6,1,9,328,5,11,3,191,3]],"1307":[74,23,[1,18,1174,4,10,6,4695,4,6,4,3,4]],"1308":[55,21,[1992,4,3,6,2,4,1289,3,264,6]],"1309":[74,31,[220,13,31,5,1,7,3,4]],"1310":[68,37,[5,5,3,4,24,4,1,7,2,3]],"1311":[65,19,[3,8,591,10,277,3,626,3,203,15,386,11]],"1312":[60,37,[5,8,3,4,27,4,55,4,31,3,8,4]],"1313":[75,28,[114,4,1,9,94,4,3588,12]],"1314":[75,21,[8,13,4,29,6,3,12,3,5,3,2,3]],"1315":[73,45,[840,8,187,5,3,7,174,3]],"1316":[63,35,[3,10,6,6,13,6,9,3,2,4,1744,3]],"1317":[76,38,[1,4,11,7,2,18,141,3,757,3]],"1318":[72,22,[16,8,7,4,23,4,10,4,2,4,69,8,31,6,96,4,77,4]],"1319":[62,18,[1,9,4,18,37,4,17,4]],"1320":[60,21,[3,15,505,4,2,4,1,6]],"1321":[67,27,[54,3,4,13,3,14,5,3]],"1322":[75,15,[244,38,205,8,431,6,1,4,603,3,4988,3]],"1323":[73,37,[21,6,14,6,1,4]],"1324":[75,32,[7,17,59,7,2,5,35,6,187,8]],"1325":[71,32,[3,3,85,3,4,14,23,4,7,5,2,5,10,5,8,6]],"1326":[75,25,[79,14,286,3,3,4,402,8,4,6,1787,5,1,4]],"1327":[72,35,[27,4,1,9,2,3,3,4]],"1328":[25,8,[1328,13]],"1329":[70,17,[5,20,4,23,6,3,8,5]],"1330":[73,16,[3,3,10,28,8,3,5,26]],"1331":[66,36,[3,4,4,10,9,4,8,7,6,3]],"1332":[70,38,[2,4,1,5,2358,4,65,3,23,4,9,3,15,8]],"1333":[51,28,[6,6,27,4,1,4,3,4]],"1334":[71,27,[267,4,416,4,1,3,3,12,1234,15,23,4,2333,5]],"1335":[62,32,[42,5,3,12,4,10,297,3,6,3]],"1336":[75,37,[31,3,1,4,485,3,4,16,2169,3,3241,6,1866,3,379,4]],"1337":[63,29,[5,5,6,5,41,3,8,9,9,5,3,7,25,5]],"1338":[71,22,[7,5,23,3,6,9,29,3,1,20]],"1339":[63,32,[3,4,4,4,384,3,219,3,10,3,1507,6,1026,4,145,4,971,3]],"1340":[68,29,[25,3,3,6,13,4,12,3,6,11,8,3,24,3,4,5,78,4]],"1341":[66,19,[4,13,5,4,6,13,3,16,10,5]],"1342":[55,22,[3,8,31,4,1,6,1622,4,13,4]],"1343":[70,37,[1,19]],"1344":[62,23,[1,10,3,6,28,4,16,4]],"1345":[64,20,[23,4,2,4,4,22,6,6,273,4,834,4]],"1346":[71,28,[6,5,10,4,4370,4,1,4,31,4,77,3,23,4,74,6]],"1347":[58,24,[31,6,3,6,28,4,39,4]],"1348":[74,33,[373,6,1,13,79,4,37,3,286,4]],"1349":[53,31,[41,3,9,3,21,3,4,4,1,4]],"1350":[65,38,[4,5,8,3,3,8,21,4,5,4,27,3]],"1351":[54,24,[3,10,61,4]],"1352":[67,31,[16,4,6,4,3,15,10,7,5,7]],"1353":[74,14,[1,7,2,8,31,10,305,31]],"1354":[54,23,[29,3,1,8,3,4,16,3]],"1355":[71,17,[4,40,1839,8,1463,6]],"1356":[71,25,[5,12,31,6,333,3,1,4,23,8,15,3,92,6,353,4]],"1357":[68,21,[4,17,9,5,5,15,10,3,423,3]],"1358":[69,27,[4,21,5,5,202,4,27,4,3,5]],"1359":[72,30,[5,3,1,5,2,10,3,3,6,6,7,10]],"1360":[71,23,[6,14,24,6,5,7,2,3,34,4,17,8,58,6,33,3]],"1361":[73,40,[2571,7,9,3,1,13,6,3]],"1362":[70,20,[36,6,17,6,12,3,30,8,31,4,8,12,5,4,1831,4]],"1363":[62,22,[2,4,4,6,3,7,6,5,13,6]],"1364":[66,22,[3,9,9,3,10,7,65,17,115,5]],"1365":[42,27,[47,6,1,3,12,3,2,3,3,4]],"1366":[67,35,[7,3,716,3,30,4,76,4,13,4]],"1367":[67,32,[3,6,387,3,13,3,1,9,5524,3,412,3,2124,5,5,3]],"1368":[59,29,[6,9,3,9,39,3,18,3,13,3,9,3,16,3]],"1369":[65,36,[1,6,3,5,13,7,4,6,42,4]],"1370":[63,21,[168,8,3,4,1,8,4,6,7,4,49,3]],"1371":[59,28,[4,13,115,3,8,5,5,7]],"1372":[66,21,[4,16,3,11,10,15,8,3]],"1373":[72,27,[127,16,5,3,3,3,2,4,4,4,1,4]],"1374":[61,37,[1,4,3,9,13,7,822,3]],"1375":[71,23,[105,6,6,17,16,5,26,3,1,5,2,5,37,4,50,4]],"1376":[59,35,[13,5,42,3,2,3,5,8,1,3]],"1377":[72,38,[1,8,722,8,780,3,1620,3,228,4,6,3]],"1378":[73,9,[5,61,3,4]],"1379":[47,27,[3,8,5,3,315,6,14,3]],"1380":[66,34,[202,6,9,4,41,4,25,3,8,6,5,3,16,9]],"1381":[71,24,[4,24,13,3,5,18,8,4]],"1382":[62,21,[2,3,172,4,5,12,24,4,10,8,2925,4]],"1383":[66,16,[4,20,1,4,2,4,6,4,3,14]],"1384":[66,11,[2212,3,85,12,23,41]],"1385":[64,19,[8,6,4,9,5,23,9,3,3,7]],"1386":[65,38,[6,6,4,4,55,5,3,10,1,3]],"1387":[68,27,[4,3,1,20,3171,4,182,4]],"1388":[65,18,[5,39,6,4]],"1389":[72,39,[3,7,159,7,1,8,4,7]],"1390":[67,20,[6,22,8,11,5,5,3,4,9,6]],"1391":[72,37,[5,6,2,11,7,5]],"1392":[71,31,[2,8,471,5,34,14,46,4]],"1393":[72,34,[2,4,24,7,5,6,1,9,23,4]],"1394":[70,41,[7,3,2,17,1,4,68,4,51,3]],"1395":[67,26,[8,9,10,5,3,3,5,14,28,3,13,5,25,3,76,5]],"1396":[67,23,[3,24,39,4,5,13,21,3]],"1397":[65,31,[4,4,187,6,1580,8,6,3,579,3,47,3,3,6,5,6]],"1398":[57,22,[5,16,3,3,4,9]],"1399":[68,24,[289,16,12,11,4,4,3,7,131,4]],"1400":[71,44,[1,13,52,3]],"1401":[68,34,[34,6,2,4,3,3,7,7,477,3,74,3,87,6]],"1402":[64,24,[4,16,3,3,6,5,31,3,5,4]],"1403":[59,25,[14,4,2,6,11,5,5,6,7,13]],"1404":[58,21,[23,5,6,13,10,3,33,3,30,4]],"1405":[71,18,[5,38,74,7,31,4]],"1406":[61,22,[4,25,1,3]],"1407":[66,24,[1,4,53,4,4,6,8,4,13,4,76,6,28,6]],"1408":[64,19,[3,14,4,18,8,9,12,4]],"1409":[58,37,[74,3,4,3,9,3,3,7,20,3,121,3]],"1410":[69,43,[2,4,11,3,7,3,8,5,69,5]],"1411":[68,31,[2,14,31,3,40,3,135,3,7,12,1,3]],"1412":[71,25,[114,10,1034,6,2298,4,77,4,107,3,6,4,3,6]],"1413":[69,30,[269,12,193,15,230,6,1,3,177,3]],"1414":[63,26,[69,4,1,3,230,7,193,8,79,4,269,3,259,3,1642,12]],"1415":[70,35,[219,9,2732,3,412,5,1409,6,591,3,562,3,277,3,1,3]],"1416":[63,36,[10,3,3,11,42,5,13,3,25,3,2,3,1,4]],"1417":[68,30,[1204,3,5,5,31,11,4,17,20,3]],"1418":[65,19,[6,4,9,3,8,4,4,26,3,4,26,3,284,3,25,3]],"1419":[70,16,[2,18,288,3,8,24,19,4]],"1420":[57,34,[3,3,4,3,6,3,39,3,9,3,1,3,24,4,138,4]],"1421":[70,14,[6,47]],"1422":[68,21,[2,3,23,3,3,6,85,10,1,6,4,8,6,4,161,4]],"1423":[70,15,[39,13,45,31,6,4]],"1424":[68,23,[1,12,53,10,282,4,5,4,240,4]],"1425":[63,28,[5,7,3,8,2,5,14,3,59,3,7,7]],"1426":[68,28,[6,4,442,9,3,4,67,4,1,6,2,3]],"1427":[53,27,[3,8,6,6,5,7,8,3,31,3]],"1428":[61,17,[6,8,5,7,4,18,3,3,144,3,10,3]],"1429":[54,24,[6,3,4,10,7,3,3,9]],"1430":[57,14,[4,25,28,4,1,6]],"1431":[59,34,[27,3,4,6,1,3,3,9,10,4,6,3]],"1432":[58,19,[61,4,4,16,12,4,8,4,3,4]],"1433":[70,24,[3,3,1,20,600,14,3367,3,3813,4]],"1434":[61,22,[308,36]],"1435":[65,44,[174,3,957,5,24,3,2586,3,6,3,86,3,846,5]],"1436":[57,28,[5,3,1,6,4,6,3,7,13,4]],"1437":[66,25,[8,3,3,7,312,6,4,8,28,4]],"1438":[68,22,[1854,6,3,34,18,4]],"1439":[64,22,[28,8,55,3,49,8,4408,18,6,4]],"1440":[68,37,[1244,3,3,7,6,5,1,5]],"1441":[52,20,[1,5,44,8,3,6]],"1442":[54,26,[5,5,6,9,2,4,3,8,55,4]],"1443":[49,29,[4,9,3,5,5,4]],"1444":[69,41,[52,3,1,6,6,4,12,4,9,3,474,3,1710,3]],"1445":[55,30,[13,3,4,16,6,3,3,3]],"1446":[69,32,[2,10,15,4,11,3,98,3,1,6,72,3,14,3,20,3,50,5,19,4]],"1447":[60,36,[42,3,2,4,6,3,12,6,3,4,978,3]],"1448":[68,2,[1894,51,1,17]],"1449":[68,39,[64,3,10,3,58,6,2,5,62,3,11,3,14,4]],"1450":[60,36,[3,12,1,4,28,3,25,3]],"1451":[67,29,[6,19,2,12,80,3,46,4]],"1452":[62,15,[2370,6,13,6,1,6,10,6,6,6,741,8,3,6,4,4]],"1453":[68,26,[2,5,124,3,85,4,7,4,19,8,1353,6,5,4]],"1454":[67,23,[1930,4,5,3,1,9,16,18]],"1455":[62,19,[4,11,6,7,3,4,41,4,8,4,1,4,5,4]],"1456":[67,29,[1,18,31,3,3,4,582,4,5,4]],"1457":[57,20,[2,12,31,7,3,7,19,4,151,4]],"1458":[58,21,[2849,4,171,15,6,4]],"1459":[63,24,[5,9,3,3,10,3,23,5,6,4,4,13,41,4]],"1460":[58,26,[19,3,6,3,3,6,2,5,4,5,1460,4]],"1461":[60,19,[122,7,586,8,1,9,23,3,853,4,170,4,28,6]],"1462":[56,23,[17,4,3,4,5,4,4,4,61,4]],"1463":[58,23,[4,21,10,6,6,4,30,4]],"1464":[66,20,[6,12,31,8,2,4,77,4,112,8]],"1465":[68,37,[1,10,766,3,2,5]],"1466":[68,25,[79,16,4,3,286,3,699,18]],"1467":[62,25,[6,4,3,5,4,6,10,9,5,6,8,7]],"1468":[60,24,[3,12,8,3,4,21]],"1469":[58,24,[3,5,2,3,10,3,4,12,5,4,28,3,26,3,12,3,13,3]],"1470":[67,26,[4,13,7,10,3,5,92,3,1,3,147,6]],"1471":[63,19,[230,8,269,9,259,16,79,12]],"1472":[50,22,[3,5,39,5]],"1473":[67,27,[1,7,1004,5,413,4,463,12,154,3,317,5,159,3]],"1474":[66,24,[4,12,8,5,7,3,423,6,17,4]],"1475":[66,47,[1,8,375,3,5,3]],"1476":[67,20,[14,11,6,4,8,4,30,4,1,4,2,8,12,4,24,4,7,4]],"1477":[57,30,[55,4,5,4,1,3,3,12,6,3]],"1478":[60,28,[5,4,3168,3,904,5,3,6,1,4,1636,4,1234,3,31,4]],"1479":[65,23,[24,9,5,16,2,12,11,3]],"1480":[57,25,[5,10,13,3,4,8,3,6,6,8]],"1481":[67,29,[9,8,2,6,6,4,17,9,8,3,1,4]],"1482":[67,23,[69,10,29,7,5,4,3,4,2225,4,3105,4]],"1483":[67,33,[380,3,1,9,260,3,5495,5,3329,4]],"1484":[56,20,[9,3,2,5,4,10,6,5,3,7,1,4]],"1485":[66,11,[4,43,370,5,1,10]],"1486":[64,19,[4,26,55,4,3,8,1,5]],"1487":[67,37,[3,4,709,3,786,10,1,7]],"1488":[61,19,[4,29,10,3,16,4]],"1489":[67,17,[1,9,4824,3,213,3,225,8,189,18,1165,4]],"1490":[54,23,[4,5,10,5,77,6,6,6,5,3,13,5]],"1491":[61,18,[3,19,4,4,1,12,12,3]],"1492":[66,29,[92,4,2,7,11,5,243,4,96,6,172,4,187,3,70,4]],"1493":[66,31,[1,16,3477,3,3188,4,1135,4]],"1494":[50,24,[3,10,4,9,219,3,5,3]],"1495":[57,27,[4,5,3,3,12,3,13,4,24,3,54,4,14,4]],"1496":[52,23,[3,4,5,4,29,4]],"1497":[62,22,[3,4,132,14,1,4,8,4,32,3]],"1498":[61,32,[4,12,12,3,5,3,35,3,3,4]],"1499":[60,41,[174,7,412,3,276,6]],"1500":[66,24,[47,3,22,18,21,8]],"1501":[66,35,[1,8,1896,3,221,4,1066,4]],"1502":[58,28,[8,6,5,10,3,4,2,3]],"1503":[59,23,[4,21,13,3,17,3,10,3,9,3,3,4]],"1504":[65,39,[178,3,1,7,403,5,52,7,247,4]],"1505":[66,31,[374,4,3,6,162,4,352,4,1064,4,1,13,154,3]],"1506":[64,25,[5,4,56,6,1,4,6,4,24,4,3,4,29,4]],"1507":[51,28,[5,3,25,4,10,7,8,4,4,4]],"1508":[64,29,[5,5,17,3,1,11,562,3,3,5,134,4,85,4]],"1509":[65,27,[1,12,3177,4,73,4,650,6,1402,4,4,4]],"1510":[65,38,[1,11,14,3,3,4]],"1511":[47,21,[1,7,305,4,223,4]],"1512":[58,39,[3,9,1,6,6,3,2703,3]],"1513":[55,35,[3,7,13,3,4,8,27,3]],"1514":[49,23,[3,8,9,5,6,5,5,5,689,4]],"1515":[65,22,[29,3,1,10,31,4,305,10,175,4,74,4,45,4]],"1516":[61,23,[2,12,8,18,14,3,125,3]],"1517":[58,36,[3,5,1,6,13,3,5,3,6,3,1205,4]],"1518":[46,18,[1,7,28,3,1518,6,49,4]],"1519":[62,25,[3,5,1234,3,31,4,1,10,17,4,2657,4]],"1520":[52,29,[3,13,5,3,202,3]],"1521":[65,32,[3,4,2189,11,1670,3,352,3,786,6,162,3,894,4]],"1522":[65,47,[1,11,321,5]],"1523":[64,39,[1,3,3,15]],"1524":[53,23,[1,6,4,11,5,6,1057,3,2753,5,10,4]],"1525":[60,26,[3,4,5,10,6,3,43,3,13,4,4,9,10,6]],"1526":[59,34,[24,3,4,8,3,4,5,3,10,4]],"1527":[64,40,[3,9,1753,3,141,4,1179,3,56,7]],"1528":[57,22,[4,3,3,8,2,4,41,6,28,4]],"1529":[54,28,[10,3,3,9,4,9,31,3,2,4]],"1530":[62,23,[6,13,31,4,7,4,2,4,24,4]],"1531":[50,18,[2,8,3,8,99,4,5,4]],"1532":[55,24,[4,4,3,7,1,12,145,5,5,3,3078,3]],"1533":[64,38,[2,3,7,3,2360,3,57,3,8,6,1,6,6,4,3,3]],"1534":[64,15,[5,48]],"1535":[60,22,[10,5,12,5,16,11,2,4,92,11]],"1536":[51,15,[6,5,4,31]],"1537":[62,33,[3,6,4,5,1,3,6,3,41,4]],"1538":[62,19,[3,28]],"1539":[62,29,[1228,4,3,9,16,5,94,3,1,7]],"1540":[64,27,[4,4,1,4,30,6,6,4]],"1541":[50,19,[3,4,30,6,13,4,5,4,29,4]],"1542":[64,3,[5,61]],"1543":[64,31,[527,7,34,3,187,8,188,5,10,5,87,3]],"1544":[62,20,[5,19,7,6,64,3,420,4,1,4,16,4]],"1545":[64,22,[306,3,143,5,1,11,411,6,395,6,1327,4]],"1546":[60,30,[3,3,1,8,1437,8,3191,4]],"1547":[61,18,[3,5,4,29,24,3,6,4,27,4]],"1548":[60,29,[23,5,1,3,35,3,6,17,2,4]],"1549":[62,36,[790,4,408,6,1,7,1701,4]],"1550":[64,24,[3,10,1,16]],"1551":[61,7,[5,47,10,8]],"1552":[56,25,[5,16,3,5,4,6,1,4]],"1553":[59,14,[5,31,3,4,6,3,84,3,14,4,69,4]],"1554":[60,20,[6,9,4,19,3,7,5,3,9,3]],"1555":[63,19,[5,7,181,7,58,4,29,5,19,8,2,10,10,4,20,4]],"1556":[58,19,[2,27,7,3,15,5,8,3]],"1557":[54,30,[2,10,12,4,41,4,5,3,3,4]],"1558":[63,14,[1513,3,1,25,3,13,343,4]],"1559":[59,26,[8,3,14,4,24,7,15,3,2,7]],"1560":[59,27,[4,12,6,3,7,7,14,3]],"1561":[62,26,[57,5,2,3,8,4,137,8,44,4,1,4]],"1562":[57,24,[3,7,1,4,307,4,217,4]],"1563":[56,21,[5,3,4,3,3,8,39,4,28,4,1,4]],"1564":[61,22,[4,8,39,4,1,6,3,6,1127,4]],"1565":[62,16,[172,4,16,13,2,11,6,7,24,9,181,4,7,3]],"1566":[63,29,[2,9,11,8,445,3,15,4,64,5,7,3]],"1567":[59,24,[5,22,2,4,181,4,4,4]],"1568":[62,30,[2,8,10,16,7,6,35,3]],"1569":[62,27,[1,5,4,8,6,3,1952,4,4168,4,189,4]],"1570":[63,20,[1,18,3,7,16,4,367,4]],"1571":[59,22,[1,10,3,6,132,4,598,4]],"1572":[60,19,[8,3,4,18,14,4,3,4,7,4]],"1573":[60,28,[485,3,10,11,232,10,191,5,3,3]],"1574":[54,26,[10,10,25,4,3,5,5,5,4,4]],"1575":[61,24,[2,4,15,3,118,4,168,10,19,4,23,4]],"1576":[60,15,[4,28,188,3,2,3,3,6,1,4]],"1577":[56,23,[5,3,29,3,70,3,31,10,50,4]],"1578":[62,20,[31,5,1,6,456,11,2323,19]],"1579":[57,26,[1,12,1735,3,191,3,3,3]],"1580":[59,35,[5,9,6,4,10,3,21,3,3,3,25,3,27,3]],"1581":[57,16,[827,3,933,29,9,3,1299,3,1,4,2,3]],"1582":[56,16,[3,12,6,6,30,4,1,4,5,4,31,6]],"1583":[62,17,[67,15,5,3,143,4,293,4,1,4,7,8,9,6]],"1584":[62,36,[350,3,1,13,177,7]],"1585":[54,33,[1,6,10,3,3,5,387,3]],"1586":[52,18,[16,4,3,12,2,4,4,4]],"1587":[60,26,[57,4,101,3,8,4,2,6,17,4]],"1588":[62,29,[1,17,1297,4]],"1589":[62,20,[5,27,2,4,7,5,1,6]],"1590":[50,17,[12,3,23,4,4,20,41,7]],"1591":[56,21,[4,3,3,6,9,4,28,4,1,4,31,6]],"1592":[62,20,[1,25,4,4,1221,4]],"1593":[52,10,[4,31,1,4,13,4]],"1594":[60,19,[79,11,286,3,136,4,1,8,402,10]],"1595":[60,20,[5,26,8,7,4,3,12,4,14,3]],"1596":[48,13,[1,6,5,20]],"1597":[61,28,[59,4,5,16,70,4,7,4,8,3]],"1598":[54,26,[6,17,5,3,408,3]],"1599":[57,21,[1,17,3,4,5,3]],"1600":[61,15,[23,7,1,5,96,15,1002,4,2,3,4,8,6,4]],"1601":[54,26,[2,10,1,3,6,5,50,4,944,4]],"1602":[58,38,[1,6,600,4,267,3,2620,3,3,3]],"1603":[58,24,[8,17,6,6,4,6,3,4]],"1604":[56,29,[7,3,6,6,112,3,24,5,3,7,159,3,40,3]],"1605":[59,27,[7,21,40,4,2,5,1,3]],"1606":[60,18,[69,3,16,21,1,3,64,4,14,4,34,4,70,4]],"1607":[55,18,[5,9,3,7,10,12,6,10,35,3]],"1608":[59,22,[70,3,1,6,7,4,23,6,6,4,77,4]],"1609":[46,25,[3,7,4,9,27,3]],"1610":[59,15,[1,26,3195,4,4990,8,2521,4]],"1611":[54,21,[4,13,13,13,6,3]],"1612":[54,33,[6,13,3,4,10,3,5,3]],"1613":[56,29,[3,15,10,7,4,3,1,3]],"1614":[51,13,[6,9,3,13,4,13,2,3]],"1615":[47,25,[5,5,1,3,8,9,6,4]],"1616":[42,25,[31,7,4,7]],"1617":[55,14,[3,5,4,24,12,6]],"1618":[61,21,[6,13,23,7,16,3,96,4,70,4,44,6]],"1619":[52,27,[600,3,1,6,5,4,13,3,3,7]],"1620":[59,26,[24,21,2,7,14,4,50,3]],"1621":[38,21,[2,3,25,3,12,5,3,6]],"1622":[61,24,[1,8,2,4,107,4,5,4,24,4]],"1623":[57,34,[3,7,286,3,16,3,23,3,600,4,1212,3,59,3]],"1624":[61,24,[1,17,2773,4,160,4]],"1625":[60,2,[5,58]],"1626":[55,27,[6,6,5,3,4,3,1,4,217,4]],"1627":[40,21,[3,15]],"1628":[50,29,[16,3,2,10,82,4,6,4]],"1629":[56,14,[5,6,69,6,175,6,70,8,23,12]],"1630":[60,2,[4,58]],"1631":[48,25,[3,8,6,3,92,3,2,8]],"1632":[60,16,[2586,3,1,9,708,13,4170,4,1286,4,262,4,225,4,3252,4]],"1633":[54,25,[3,5,4,9,6,9,8,6,42,3]],"1634":[53,13,[2209,4,176,22,257,4,1,6]],"1635":[59,22,[64,7,11,3,366,5,2,12,14,5,15,5]],"1636":[49,19,[4,26,3,4]],"1637":[59,28,[205,3,23,3,69,4,2,5,70,4]],"1638":[45,17,[3,8,32,6,29,4]],"1639":[58,31,[1,13,694,3,177,3,1851,4]],"1640":[48,15,[2,8,5,6,1,8,338,4]],"1641":[56,30,[1,8,5738,4]],"1642":[49,27,[1,6,230,5,12,3,193,6,530,3,259,3]],"1643":[59,29,[1,9,2,13,7,6]],"1644":[45,30,[3,3,5,4,1,3]],"1645":[59,29,[1,9,636,5,352,7,696,6,196,6]],"1646":[56,20,[69,3,74,5,31,3,70,8,423,3,139,4,24,6]],"1647":[57,26,[4,11,64,4]],"1648":[57,22,[3,18,6,7,4,11]],"1649":[54,29,[6,6,1,7]],"1650":[50,23,[6,3,2,16,7,5]],"1651":[55,27,[4,22,3,3,5,3]],"1652":[55,24,[1118,10,885,4,1,8,5,4]],"1653":[56,13,[6,5,2,5,24,5,1,14,45,12]],"1654":[48,20,[3,5,55,6,61,4]],"1655":[46,12,[5,20,10,11,7,3]],"1656":[52,14,[3,8,5238,14,1,8]],"1657":[58,17,[4,38]],"1658":[57,23,[2,7,819,3,4,4,1308,3,114,4]],"1659":[51,22,[16,5,580,3,6,6,27,4,5,7,23,4,25,4,3,3]],"1660":[59,16,[94,4,728,4,1,12,1851,3,75,13,178,7,4951,4,430,4]],"1661":[59,25,[141,3,7,10,48,5,34,3,11,8,2,8,40,3]],"1662":[56,27,[3,3,1,6,848,4]],"1663":[51,27,[187,3,422,4,1,3,4,4,73,4]],"1664":[59,26,[5,3,2,5,1,15]],"1665":[56,28,[2,14,7,3,5,6,209,3]],"1666":[56,29,[3,3,55,8,6,4,2664,3,4,4,49,4]],"1667":[46,22,[3,5,41,4,5,7,10,3,42,3,6,4]],"1668":[57,42,[4167,3,3,3,6,3,135,4,1,3]],"1669":[41,15,[2,6,3,8,18,4]],"1670":[53,22,[42,3,4,21,5,3,3,4,257,3]],"1671":[55,24,[16,5,1,7,1072,4,4166,4,478,3]],"1672":[58,22,[168,8,10,3,5,13,4,3,1947,11,1,3]],"1673":[58,28,[1943,3,1,11,26,4,3,4]],"1674":[55,36,[673,3,390,4,384,3,3,3,922,4,1092,3]],"1675":[55,11,[5,36,7,3,72,4]],"1676":[46,21,[6,17,7,3,4,3]],"1677":[56,22,[408,7,8,3,5,6,3531,3,24,5,2,11,19,3]],"1678":[58,40,[1256,3,2,8,1,3,20,3]],"1679":[49,39,[3,3,304,3,1,3]],"1680":[52,29,[27,4,4,4,10,3,3,6,6,3,182,4]],"1681":[42,17,[67,4,302,4,3,4,102,4]],"1682":[50,16,[8,4,2972,10,3540,4,1,6,67,4]],"1683":[58,30,[5,3,1,8]],"1684":[56,27,[4,4]],"1685":[50,18,[2,4,5,6,1685,4,18,4,1,6]],"1686":[47,26,[5,12,1,3,4,4,3,3]],"1687":[58,34,[1,8,473,5,1445,5,381,5,226,3]],"1688":[45,18,[4,7,4722,8,1,4]],"1689":[50,22,[3,7,28,4]],"1690":[44,29,[3,3,13,7]],"1691":[52,23,[1,5,4219,4,13,4,2,4]],"1692":[43,24,[3,10,10,7,67,3]],"1693":[58,26,[10,4,455,3,217,3,77,3,112,4,96,4]],"1694":[55,34,[583,5,1,6,3,3]],"1695":[58,19,[85,4,6,8,23,12,78,4,24,4]],"1696":[54,21,[1319,6,2,4,1,7,49,3]],"1697":[58,20,[580,4,1,14,17,4,31,4]],"1698":[58,17,[5,11,4,12,92,4,7,6,2,4]],"1699":[52,19,[5,12,4,15]],"1700":[56,12,[1,34]],"1701":[48,20,[6,5,67,4,16,4,211,4]],"1702":[52,39,[3,5]],"1703":[51,21,[5,15,31,8,13,4]],"1704":[51,32,[167,6,314,3,1,4,685,3,1692,3]],"1705":[50,30,[648,7,1,3,694,5]],"1706":[47,15,[2,9,4,8,3,8]],"1707":[57,24,[59,6,3,8,5,6,1,8]],"1708":[57,14,[2920,21,145,20,256,3]],"1709":[51,26,[4,11,10,3,5,5,3,6]],"1710":[55,20,[8,16,3,3,2,3,6,3,1,3,19,4,24,4]],"1711":[57,19,[74,6,2,19,11,3,14,4,7,4,110,5]],"1712":[51,26,[3,17,41,3,6,3]],"1713":[55,31,[16,10,1,3,2,3,96,3]],"1714":[51,20,[29,5,18,4,85,4,1,4,3609,4]],"1715":[57,15,[247,14,99,4,1,6,198,8,52,4,26,4]],"1716":[57,39,[1,4,3,3,174,4,62,4]],"1717":[57,27,[2,17,14,3,72,5,11,7]],"1718":[57,33,[7,9,2,10,11,3]],"1719":[56,32,[329,8,1,5,1642,4,4,4,2997,3]],"1720":[57,12,[168,12,77,20,1,6,23,4]],"1721":[57,25,[6,7,385,3,854,11,694,4,518,3,460,4]],"1722":[54,28,[1941,6,3,6,42,3,463,9,456,3,6,3]],"1723":[57,25,[5,9,24,3,8,7,2,6,35,3,376,4]],"1724":[45,22,[4,16,3,3,552,3]],"1725":[52,24,[5,17,4,4,8,3,38,3]],"1726":[48,23,[4,5,3,9,6,4,5,3]],"1727":[57,32,[7,6,9,10,30,4]],"1728":[57,41,[1,7,260,3]],"1729":[57,23,[1,5,458,9,3,6,327,6,3057,5,277,4]],"1730":[56,28,[3,3,54,4,41,4]],"1731":[51,19,[4,11,5,3,3,14,8,3]],"1732":[54,26,[3,3,5,4,1,4,18,4]],"1733":[45,23,[6,8,4,9,1,3,3,3]],"1734":[52,17,[4,7,1,8,3,8,13,4]],"1735":[54,28,[5,3,24,4,17,4,7,6,1,3]],"1736":[56,22,[5,25,91,3,34,5]],"1737":[47,31,[61,3,5,3,25,3,23,4,3,3]],"1738":[48,17,[4,6,20,3,1,4,3,8,6,4]],"1739":[54,23,[15,5,288,11,2,6,59,3,7,10]],"1740":[46,26,[3,5,21,3,25,3,27,7,5,3]],"1741":[54,15,[11,6,23,28,4,6]],"1742":[55,24,[3,3,1,10,641,6,5791,4]],"1743":[44,12,[445,4,1,10,3,12]],"1744":[56,26,[24,6,2,10,265,3,64,3,7,3,46,4]],"1745":[54,14,[3,10,4,20,1,3]],"1746":[54,28,[7,10,6,4,24,3,2,7]],"1747":[56,18,[1,12,1063,4,1747,4,675,4,580,4,176,4]],"1748":[53,24,[1,6,55,6,163,3,4,5,49,4]],"1749":[56,20,[135,4,235,4,3406,3,1,10,764,5,379,5,3795,7,1433,3]],"1750":[50,16,[3,8,1,8,6,6,7,4]],"1751":[51,25,[6,8,4,6,25,3,3,8]],"1752":[37,24,[3,9]],"1753":[54,30,[56,5,174,3,1108,4,75,4,3,7,1,3,183,3]],"1754":[56,19,[2,6,8,30,34,3]],"1755":[56,17,[409,9,1263,4,1,12,305,5]],"1756":[54,17,[827,15,12,7,2,17]],"1757":[48,20,[668,6,15,4,13,4]],"1758":[55,20,[7,7,74,13,40,4,2,9]],"1759":[49,6,[4,42]],"1760":[47,22,[3,4,2,8,11,10,24,5]],"1761":[56,17,[1,18,756,6,6,4,3,4]],"1762":[54,26,[3,3,1,7,251,4,16,6]],"1763":[55,32,[384,3,460,5,1,11,749,3]],"1764":[49,15,[6,24,3,3]],"1765":[55,22,[3,6,1735,4,1,16,6,3]],"1766":[49,26,[6,4,2,5,24,3,3,3,1,6,8,3]],"1767":[55,28,[209,13,485,5,1,5]],"1768":[53,19,[3,8,1,7,65,3,74,7,189,4]],"1769":[55,21,[2,14,15,7,7,3,11,6,20,7]],"1770":[45,21,[3,4,2,4,6,3]],"1771":[47,18,[8,4,5366,10,1,4,13,4,2222,4]],"1772":[55,25,[1,13,2953,4,17,4]],"1773":[45,19,[3164,4,3,4,171,4,2,4]],"1774":[45,19,[2,4,46,6,8,4]],"1775":[55,3,[5,53]],"1776":[55,32,[65,12,611,5]],"1777":[54,7,[86,39,87,6,1,3]],"1778":[53,19,[7,4,5,18,10,10]],"1779":[53,25,[44,3,2,10,1,3,110,4]],"1780":[47,18,[10,9,5,8]],"1781":[46,23,[271,11,3,4]],"1782":[47,30,[203,5,1,3,3,4,267,3,5,3,2,3]],"1783":[54,24,[70,6,7,5,478,4,2,7,507,4,69,4]],"1784":[53,18,[8,4,3,8,5,12,4,3,38,12]],"1785":[42,19,[4,9,3,10,5,3,24,3]],"1786":[53,17,[4,9,1,6,666,4,3,4,13,6]],"1787":[51,18,[1,3,4,11,61,8,266,4]],"1788":[45,26,[5,5,3,6,1,6,6,3,961,3]],"1789":[45,28,[3,6,8,3,23,3,4,4]],"1790":[54,19,[69,11,333,3,1,5,7,5,2,3,23,8]],"1791":[47,15,[3,11,4,6,16,4,6,4]],"1792":[50,14,[4,24,1,3]],"1793":[51,12,[8,22,4,4,1,6,28,4]],"1794":[53,33,[2171,6,153,4,3,5,1,3]],"1795":[51,20,[6,18,29,4,2,7]],"1796":[54,12,[2,24,46,8,58,4]],"1797":[51,22,[3,4,1,14]],"1798":[50,18,[2,3,7,9,4,4,24,8,6,4]],"1799":[40,30,[6,4,47,3,3,4]],"1800":[50,14,[2,13,3,5,69,3,4,15]],"1801":[54,20,[6,10,7,3,3,4,432,4,2,8,46,4]],"1802":[47,19,[5,3,41,4,1,7,3,5,4,10]],"1803":[50,25,[4,10,408,3,8,5]],"1804":[53,29,[638,3,2175,5,4074,5,1,5,103,4]],"1805":[48,16,[4,26,3,5]],"1806":[45,22,[4,7,13,3,8,5]],"1807":[53,24,[62,4,295,5,1,6,1964,3]],"1808":[46,18,[3,8,54,4,6,4]],"1809":[51,20,[25,3,3,4,4,18]],"1810":[53,32,[24,4,40,4,7,6,29,3]],"1811":[54,27,[2,5,1,3,35,3,96,4,19,6]],"1812":[53,15,[10,9,5,21,2,4,15,3]],"1813":[47,23,[3,9,776,5]],"1814":[49,20,[689,7,6,4,5,6,92,4,307,4]],"1815":[53,18,[4,12,11,11,2,9,950,3]],"1816":[53,20,[7,10,5,16,14,3,288,4,25,3]],"1817":[49,24,[4,7,3,7,182,3,10,8,6,3]],"1818":[51,21,[4,4,2,6,6,5,217,10]],"1819":[54,20,[2394,4,1,12,4200,4]],"1820":[53,16,[4,30,821,3]],"1821":[51,29,[3,4,1,5,267,3,416,4,6,3,153,4]],"1822":[53,21,[1,7,1185,4,12,4,5,4,492,4]],"1823":[42,15,[4,3,13,5,12,3,10,12,8,4,5,3,39,3]],"1824":[52,17,[5,8,19,4,29,3,16,12,6,3,7,7,834,4]],"1825":[39,26,[3,6,4,5,5,3]],"1826":[51,10,[6,10,654,18,2792,8,1,3]],"1827":[52,20,[8,17,5,4,11,3,122,3,6,4]],"1828":[46,28,[1,3,75,11,10,3,9,3]],"1829":[53,21,[5,16,3,3,6,5,2,6]],"1830":[51,19,[1,5,5,6,10,4,101,4,8,4]],"1831":[44,19,[3,4,28,4,5,4]],"1832":[49,21,[448,11,3,4,4999,4,2073,4]],"1833":[49,16,[3985,6,4,6,10,4,171,4,3,4,6,4,1,4]],"1834":[50,14,[3,12,23,4,4,8,1,6]],"1835":[49,24,[1,3,662,4,2548,4,6,4]],"1836":[50,25,[3,8,5451,3,232,4,1,5,609,3,6,3]],"1837":[50,13,[1039,6,1,11,4153,9,1311,9,2325,6]],"1838":[53,19,[62,13,1,7,145,4,90,6,267,6]],"1839":[51,14,[4,16,1,9,6,10]],"1840":[53,19,[2,4,7,3,24,14,16,7]],"1841":[52,18,[4,8,2,6,70,9,74,4,1,3]],"1842":[50,24,[27,3,2,3,29,3,4,10,8,3,188,3]],"1843":[50,23,[12,4,239,6,2,4,8,4,10,3,5,3,30,4,78,4]],"1844":[50,22,[10,10,80,3,2,4,926,3,103,8,119,4]],"1845":[49,22,[6,4,17,3,3,5,5,3,39,4,1,10]],"1846":[38,18,[17,5,654,4]],"1847":[51,25,[1244,4,1,9,1179,3]],"1848":[34,20,[29,4,7,3,2,5]],"1849":[53,22,[18,6,26,4,7,5,6,4]],"1850":[50,19,[2,7,17,11,1,5,39,6]],"1851":[48,26,[13,4,3,5,6,4,824,3,162,5]],"1852":[53,18,[7,3,5,11,51,5,34,3,32,8,2,6]],"1853":[46,24,[3,3,16,3,423,4,5,4]],"1854":[45,28,[5,3,2,5]],"1855":[44,17,[1,3,3,9,31,7,24,3,10,4]],"1856":[52,15,[1,18,74,8]],"1857":[47,21,[3,3,2,12,56,7,174,3,19,4]],"1858":[52,21,[1,4,2836,10,2,4,125,4,200,4]],"1859":[51,27,[2,16,64,5]],"1860":[52,17,[2,8,20,5,58,13,11,4,32,4]],"1861":[48,21,[21,6,61,4,49,3]],"1862":[51,24,[1,8,296,3,1306,4,6,3,5,3,1760,3,1060,5]],"1863":[50,28,[5729,6,3,3,866,3,2394,6]],"1864":[44,18,[129,4,3,6,4,4]],"1865":[51,11,[4,37,3,4]],"1866":[51,34,[219,4,162,5,2047,3,256,3]],"1867":[51,33,[1,6]],"1868":[48,26,[3,3,182,3,527,5,4,8,13,3]],"1869":[44,28,[6,7,10,3,5,4,3,3]],"1870":[43,15,[10,6,4,10,3,12,27,3]],"1871":[52,12,[31,7,5,27,16,5,209,3]],"1872":[43,28,[25,4,3,6,4,3,16,3]],"1873":[52,18,[21,7,6,6,39,8,247,4,1,4]],"1874":[49,25,[805,3,1816,4,5,11,131,3,1382,4]],"1875":[44,16,[4,6,3,5,5,10]],"1876":[50,1,[4,50]],"1877":[51,31,[2,10,1,4,15,3,11,3]],"1878":[52,17,[1,10,5,4,3,10]],"1879":[46,25,[24,3,6,7,173,3,1,6]],"1880":[42,21,[350,3,3,4,256,3,16,8,1,4]],"1881":[49,16,[24,5,2,12,5,4,19,4,7,4]],"1882":[51,8,[23,28,85,15,10,3]],"1883":[47,29,[6,3,3,3,5,3,2,6]],"1884":[48,17,[5,31]],"1885":[50,17,[2,9,1,6,19,3,69,4,70,8,125,4]],"1886":[51,22,[74,3,2,4,23,4,5,6]],"1887":[41,17,[3,3,13,3,2,3,1887,4,10,6]],"1888":[37,12,[5,9,6,9,139,3,23,4]],"1889":[46,13,[4,16,6,15]],"1890":[49,18,[210,4,4,8,6,8]],"1891":[51,22,[1,6,3,4,5,3]],"1892":[42,23,[3,15,6,3]],"1893":[46,26,[3,7,177,4,21,4,1752,3]],"1894":[45,22,[3,10,1,9,13,3]],"1895":[46,13,[17,21,2,4]],"1896":[48,23,[327,14,1167,3,11,3,995,5]],"1897":[51,14,[4,30,10,3]],"1898":[49,19,[5,26,2,3,7,3]],"1899":[51,18,[1,11,3,8,1891,4]],"1900":[51,20,[77,4,371,4,70,4,188,4,69,5,1109,4,1808,4]],"1901":[49,17,[1,14,756,4,3,3]],"1902":[51,27,[38,8,3,3,9,6,32,3,30,4]],"1903":[51,29,[26,4,1,4,285,3,7,7,2,4]],"1904":[47,10,[4,25,6,7,3,5]],"1905":[48,17,[5,20,8,7,3,6]],"1906":[36,16,[168,3,44,6,266,4,149,4]],"1907":[45,25,[3,3,4,7,25,4,1,5,5,4]],"1908":[50,27,[2,9,1,3,4,4]],"1909":[43,17,[1,5,19,4,2,6]],"1910":[39,25,[6,3,564,3,3,4,5,3]],"1911":[49,28,[103,8,97,7,139,3,392,3]],"1912":[49,15,[3,9,834,4,737,6,788,4,1,6]],"1913":[48,25,[79,4,1,6,242,5,15,6]],"1914":[49,22,[1,9,107,4,4679,4]],"1915":[50,16,[6,8,1,8,23,7,432,6]],"1916":[48,14,[3,4,1,19,4948,3,157,6]],"1917":[45,15,[3,4,4,10,6,10,5,6]],"1918":[42,22,[3,5,4,6,39,3,122,3,1055,3]],"1919":[50,18,[12,4,1,4,28,4,8,8,105,4]],"1920":[44,21,[5,4,4,5,2,10]],"1921":[48,18,[3,3,1,3,4,11,5774,3,2,4,201,4]],"1922":[49,16,[4,16,3,7,6,3,17,3]],"1923":[49,28,[2119,4,3,5,4,4]],"1924":[46,25,[6,3,4,11]],"1925":[48,17,[3,4,28,10,18,4,49,4]],"1926":[47,19,[4,14,425,3,5,3,3,4,23,4]],"1927":[50,28,[2093,3,1,5,52,4]],"1928":[50,22,[80,3,2,13,11,15]],"1929":[50,26,[2,12,90,4,11,4,1,3]],"1930":[50,22,[5,15,6,4,1,5,137,4]],"1931":[50,8,[2,9,50,9,11,20,8,6,15,3]],"1932":[48,25,[10,10,2,3,8,5,4,4]],"1933":[44,30,[1,3,3,5,35,6]],"1934":[46,17,[2,4,1,8,951,4,13,4]],"1935":[48,18,[3,4,10,4,127,10,4,6]],"1936":[50,19,[2,14,11,11,5,7]],"1937":[49,26,[3,9,1,5,24,3,5,4]],"1938":[50,13,[56,12,1792,4,1,14]],"1939":[43,19,[530,9,259,5,3,3,230,3,79,3,193,5]],"1940":[49,19,[230,7,193,5,79,12,269,8]],"1941":[44,20,[42,4,10,10,4,3,6,3,16,4]],"1942":[43,21,[4,7,3,6,13,4]],"1943":[42,15,[6,3,4,13,24,4,5,3,25,4]],"1944":[46,25,[2,6,50,3,7,3,10,6,1,3]],"1945":[44,8,[4,3,5,26,10,8]],"1946":[42,25,[42,3,689,4,6,6,1531,4]],"1947":[48,23,[2855,4,2,6,11,3,3,4,386,11]],"1948":[46,7,[1,6,3,24,409,8]],"1949":[45,18,[7,12,59,6,5,3,68,4]],"1950":[46,15,[4,17,3,7,2,4]],"1951":[45,28,[6,6,9,3,10,4,21,3,177,3]],"1952":[49,11,[1,24,2718,8]],"1953":[45,12,[5,4,3,7,4,16]],"1954":[49,21,[5,3,2,10]],"1955":[47,23,[3,3,6,14,1,4]],"1956":[47,20,[31,3,3,3,1,5,5,5,4,4,23,4]],"1957":[45,30,[1,7,26,4,4462,3]],"1958":[49,20,[2,9,4,10,1,6,39,4]],"1959":[49,31,[1,4,803,3,212,3]],"1960":[47,14,[4,21,3,4]],"1961":[49,21,[74,4,10,4,2,6]],"1962":[44,13,[210,15,16,15]],"1963":[42,15,[5,20,4,3,1,3,42,3]],"1964":[43,20,[6,3,202,4,5,3,1994,14]],"1965":[45,24,[2,7,4,11,11,3]],"1966":[49,24,[5,3,1,8]],"1967":[49,16,[305,14,8,4,6,4,53,4]],"1968":[49,30,[1598,4,564,9,3,5]],"1969":[49,23,[1,11,2108,4,710,4,4602,6]],"1970":[49,21,[3,4,98,3,14,6,12,9,30,4]],"1971":[47,17,[4,7,29,3,27,6,8,4,1577,4]],"1972":[42,20,[1,3,269,5,259,4,79,5,75,4,5252,3]],"1973":[42,17,[4,3,31,6,3,3,7,4]],"1974":[42,15,[2,4,3,4,704,4,4,6,55,4]],"1975":[46,25,[347,3,34,6,7,6,2,5]],"1976":[46,12,[4,24,6,4,29,4,14,3]],"1977":[43,17,[4,14,3,6,31,3,647,3]],"1978":[48,18,[1,7,5054,10]],"1979":[47,27,[8,7,3,4,687,7]],"1980":[46,27,[1802,3,2204,3,114,3,1,5,1826,4]],"1981":[48,17,[8,15,26,8]],"1982":[44,17,[13,6,12,9]],"1983":[46,20,[6,11,112,4,69,4]],"1984":[44,23,[2,4]],"1985":[48,2,[5,46]],"1986":[44,9,[4,26,5,4,3,4]],"1987":[41,26,[8,5,92,4,38,4]],"1988":[47,21,[2,10,527,7,806,4,7,4]],"1989":[46,30,[1,5]],"1990":[47,24,[1,7,3,5,610,3,636,4,863,3]],"1991":[41,28,[6,3,2,5,31,4]],"1992":[44,17,[19,4,3,6,1,6]],"1993":[48,12,[1,4,589,3,113,7,3144,12,1466,4,5163,6]],"1994":[46,26,[2,4,4,6,6,3,16,3,3,4,7,5]],"1995":[48,11,[1009,7,1,6,1532,13,788,4,582,5,407,4,45,4]],"1996":[47,26,[1,9,3286,3,3,3]],"1997":[41,14,[6,20,13,4,3,3]],"1998":[46,19,[31,7,415,4,29,3,6,3,15,4,5,4,7,3,70,4]],"1999":[48,24,[1352,12,2213,5,1733,4]],"2000":[40,15,[58,3,14,3,18,6,137,4,46,6,68,4]],"2001":[42,19,[24,14,5,8]],"2002":[40,16,[1,8,336,4]],"2003":[48,32,[1,9,501,3]],"2004":[39,18,[5,3,721,3,10,9,7,7]],"2005":[48,13,[114,5,1,13,378,4,1834,4,1288,4,3,4]],"2006":[45,16,[10,6,85,7,17,3,23,7,2,4]],"2007":[44,18,[4,3,289,16,248,3,3,3,253,4]],"2008":[42,15,[6,10,3,7,10,7,16,7]],"2009":[46,19,[58,8,2,16,15,3]],"2010":[47,20,[375,6,830,3,2148,12,203,3,813,3]],"2011":[47,38,[3,4,374,3]],"2012":[47,14,[69,6,1146,12,601,9,171,4]],"2013":[42,9,[4,28,6,3,3,3]],"2014":[37,14,[5,15,6,5,4,3]],"2015":[41,16,[3,8,23,4,4845,4]],"2016":[45,25,[1,8,365,4]],"2017":[47,35,[400,3,1,5]],"2018":[42,18,[26,3,1,10,4,3,3,3,2488,4]],"2019":[46,25,[2,5,7,3,10,3,11,3,8,7,629,3,4,3]],"2020":[41,21,[2,3,4,3,886,3,3,5]],"2021":[45,16,[4,9,8,4,5,6]],"2022":[39,13,[3,15,28,4]],"2023":[43,18,[1,8,28,4,5,4]],"2024":[46,13,[5,26,3,5]],"2025":[47,19,[5,3,10,13,86,6,11,7]],"2026":[42,20,[6,4,1,6]],"2027":[26,17,[]],"2028":[44,22,[24,3,2,4,44,4,5,8]],"2029":[37,14,[5,8,2,6,6,4]],"2030":[47,20,[23,5,96,7,6,3,3,4,85,4,29,4]],"2031":[43,20,[96,7,2,3,3,7]],"2032":[47,18,[365,12,1,6]],"2033":[47,36,[3,3,6,6,1,3]],"2034":[44,13,[5,27,16,4]],"2035":[47,33,[135,3,196,8,225,3]],"2036":[43,18,[269,11,259,12,79,3]],"2037":[28,12,[50,4,2,4]],"2038":[44,16,[5,20,58,5]],"2039":[44,18,[6,7,3,8]],"2040":[44,5,[5,37]],"2041":[32,12,[4,7,3,6]],"2042":[37,17,[4,4,1,4,179,4]],"2043":[42,21,[39,7,24,4]],"2044":[44,14,[2,3,5,23]],"2045":[43,20,[23,16,210,3,3,3]],"2046":[39,26,[6,3,31,3,4,3,3,7]],"2047":[34,18,[168,3,3,5,27,4,2,3,5,3]],"2048":[32,13,[4,10,3,6,13,3]],"2049":[41,19,[56,3,210,4,3,5,201,3,58,3,74,5]],"2050":[43,17,[2807,4,3,13,1,6,5,3]],"2051":[46,24,[2537,7,5,6,613,3,90,3,1,3]],"2052":[45,10,[4,26,31,6]],"2053":[43,25,[16,3,3,4,23,4,6,4,168,3]],"2054":[46,13,[96,4,29,8,85,6,77,6,1,4,70,4]],"2055":[44,16,[331,6,1,12]],"2056":[46,18,[67,29]],"2057":[41,14,[3,5,42,4,4,9,181,3,1,6]],"2058":[40,18,[3,4,53,4]],"2059":[40,14,[3,12,16,4]],"2060":[42,17,[2,6,85,4,68,4,4,8]],"2061":[37,14,[4,4,2,7,34,3,10,4]],"2062":[40,24,[6,3,1,3,4,5]],"2063":[44,14,[1163,5,1,3,3632,3,4,3,107,8,520,4,429,6]],"2064":[46,20,[2,8,3,5,70,3,34,3,7,5]],"2065":[46,19,[1,12]],"2066":[41,15,[5,10,16,7,29,4,351,4]],"2067":[41,25,[5,9,1,4,3,4]],"2068":[43,18,[34,6,3,3,11,16,2,3]],"2069":[43,17,[1,18,4468,3,25,4]],"2070":[42,22,[159,3,90,4,65,5,206,4]],"2071":[41,17,[4,3,31,5,3,6,6,7]],"2072":[46,9,[4,4,8,5,5,3,30,4,12,22]],"2073":[45,15,[4,12,42,5,13,5,1,4]],"2074":[44,10,[4,22,6,3,5,3,3,5]],"2075":[36,17,[150,4,2,4]],"2076":[43,16,[5,17,29,4]],"2077":[39,24,[3,5,8,3,18,3,1,3]],"2078":[44,27,[1,14]],"2079":[43,17,[29,4,19,4,23,4,85,6]],"2080":[45,24,[693,4,203,7,1202,3,316,4,1,5,3,3]],"2081":[35,19,[6,3,9,3,247,4]],"2082":[45,25,[2,9,192,3,31,3]],"2083":[39,22,[4,9]],"2084":[44,23,[1534,3,23,3,2028,6,3759,4]],"2085":[37,16,[5,6,2,3,1,4,3,4]],"2086":[45,19,[70,6,69,4,1,5,35,3]],"2087":[38,21,[4,9,55,3,1,7]],"2088":[42,10,[6,30]],"2089":[45,33,[334,4,1,7]],"2090":[45,20,[141,22,1,3]],"2091":[45,20,[70,4,50,3,24,6,5,4,3,4]],"2092":[44,16,[2,3,10,10,124,4,18,4,7,4]],"2093":[35,18,[1,3,8,3,6,6]],"2094":[45,11,[1,11,87,9,871,3,1264,4,4,8]],"2095":[41,12,[1,12,915,10]],"2096":[41,15,[3,7,4,4,16,4,2,4]],"2097":[41,19,[13,6,8,7,6,7]],"2098":[43,25,[24,6,561,3,400,4,777,4]],"2099":[29,20,[4,6]],"2100":[41,8,[4,13,3,20]],"2101":[35,14,[1,3,6,4,16,6]],"2102":[45,19,[5,9,10,4,16,9,1,5]],"2103":[44,21,[127,3,6,3,4,12,3,3]],"2104":[38,21,[6,5,3,7]],"2105":[40,11,[4,17,6,4,1,4]],"2106":[40,10,[4,25,5,4]],"2107":[42,20,[6,4,1,4,55,5,689,8,31,3,47,3]],"2108":[36,21,[85,3,23,6,168,5]],"2109":[38,13,[2948,4,336,8,44,6]],"2110":[41,12,[1660,5,4,15,5,4,1531,4]],"2111":[38,15,[3,3,3428,4,25,4,13,7,4,4]],"2112":[33,15,[3,5,6,5,5,5]],"2113":[44,19,[56,6,1,7,3,4]],"2114":[43,11,[10,3,4,4,6,3,380,23]],"2115":[38,12,[24,11,16,10,77,3]],"2116":[42,9,[4,23,3,5,1,5]],"2117":[42,22,[349,6,5,9]],"2118":[44,26,[1,9]],"2119":[41,18,[3,13,4,8,24,3]],"2120":[36,13,[31,6,2,4,3,4,24,4]],"2121":[41,21,[5,7,3,4,1,4,10,3,16,4]],"2122":[43,27,[1,10,334,3]],"2123":[44,19,[1,12]],"2124":[43,25,[328,3,3380,9,1202,4]],"2125":[40,14,[4,11,1034,4,3,8]],"2126":[34,17,[18,3,7,4]],"2127":[40,14,[5,19,17,3]],"2128":[40,11,[1,4,5,4,3,10,17,4,4,6]],"2129":[41,15,[8,7,4,5,5,11]],"2130":[44,21,[2,7,7,4,11,11]],"2131":[39,13,[10,3,4,17,3,4,5,3,1,3]],"2132":[28,14,[3,6]],"2133":[35,19,[4,6,3,6,1,3,41,3]],"2134":[44,26,[1,7,22,3,26,3]],"2135":[44,20,[1,3,2,3,747,3,5,5,8,5,14,3,18,4]],"2136":[42,13,[2,6,17,3,5,8,19,8,251,4]],"2137":[44,16,[8,5,2,11,19,4,67,4]],"2138":[41,23,[6,6,24,5,2,4,137,3]],"2139":[44,22,[6,8,19,4]],"2140":[43,20,[244,10,205,4,162,3,3,4,1,5]],"2141":[44,12,[4,13,3,6,6,4,85,4,1,4]],"2142":[43,26,[3,5,1,3,326,6]],"2143":[42,19,[1038,3,287,9,6,10,5,3]],"2144":[42,20,[4,8,21,7,10,3,6,5,1,3]],"2145":[38,16,[3,8]],"2146":[42,17,[20,6,37,4,3,4]],"2147":[35,20,[13,5,4,5,16,4,5,4]],"2148":[34,20,[4,3,5,8,8,3]],"2149":[40,13,[10,11,23,3,5,3,2,4,1,4]],"2150":[37,10,[4,14,3,4,1106,6]],"2151":[43,21,[5,3,24,3,1,4]],"2152":[40,10,[4,15,8,3,54,4,3,4,1,4]],"2153":[37,21,[4,10,27,3,3,3]],"2154":[37,23,[1,3,3,4,13,5]],"2155":[32,19,[2,5,6,8]],"2156":[35,16,[168,6,3,5,6,9]],"2157":[41,17,[2,15,3,5]],"2158":[39,13,[2,17,74,5]],"2159":[43,31,[1030,3,1,3]],"2160":[37,17,[4,3,8,4,16,4,157,4]],"2161":[38,28,[10,5,3,4,1,3]],"2162":[43,17,[2779,4,3,9,570,3,1,7]],"2163":[43,11,[2,15,46,8,31,4]],"2164":[40,16,[6,16,27,3]],"2165":[38,18,[3,17]],"2166":[36,18,[4,6,8,3,6,6,1,4]],"2167":[37,18,[1,4]],"2168":[43,14,[1,16,1407,4]],"2169":[32,23,[6,3,3,4,5,3]],"2170":[39,20,[4,7,3,6,33,4]],"2171":[33,23,[6,3,3,6]],"2172":[37,23,[5,4,3,3,6,5]],"2173":[43,8,[5,24,8,5,68,4]],"2174":[41,13,[2,12,28,4,12,4,53,4]],"2175":[40,21,[27,3,10,3,31,7,4,5,1,3]],"2176":[43,17,[2,14,7,5,135,3,1,3]],"2177":[43,23,[1,10,17,3]],"2178":[40,22,[3,3,6,4,5,4,8,3,4,8]],"2179":[39,20,[3,6,2,5,77,3,1,4]],"2180":[39,17,[653,3,969,7,114,6]],"2181":[43,33,[2,4,324,3]],"2182":[34,17,[4,4]],"2183":[42,16,[2,10,15,7,14,8]],"2184":[41,14,[6,6,72,4,175,8,3,4]],"2185":[43,26,[1,4,56,12,174,3]],"2186":[43,21,[824,6,1,9,6,4]],"2187":[37,12,[5,18,7,3,14,3]],"2188":[40,15,[6,8,2,6]],"2189":[40,17,[4,18,3,3]],"2190":[42,18,[2,5,7,8]],"2191":[42,24,[208,9,284,3,1,3,381,3]],"2192":[40,24,[23,8,4,3,1,3]],"2193":[36,24,[1,3,3,3,42,4]],"2194":[34,13,[61,6,4,4,8,4]],"2195":[42,6,[198,26,26,6,406,4]],"2196":[41,24,[141,10]],"2197":[38,16,[6,3,17,3,1,6,3,4]],"2198":[40,8,[24,12,6,12,19,6]],"2199":[42,6,[4,34]],"2200":[34,20,[4,6,3,3]],"2201":[41,21,[74,7,6,6]],"2202":[31,11,[13,3,4,7,3,6]],"2203":[42,23,[4,4,5,3,6,5,9,5]],"2204":[38,16,[6,3,3,3,24,3,4,10,1,4]],"2205":[42,11,[1,21,644,4]],"2206":[41,23,[6,4,1,6,219,4,5608,3]],"2207":[38,18,[5,4]],"2208":[40,13,[1,3,31,8,5,6,77,4,44,4]],"2209":[30,16,[1,3,6,4]],"2210":[38,15,[1,6,4,4,2244,4,787,4]],"2211":[42,22,[1,5,1964,3,1092,5,145,5,1503,4]],"2212":[42,24,[23,6,1,6,1384,3,500,4]],"2213":[40,27,[5,3,4693,3,162,3,3619,3]],"2214":[37,12,[3,24]],"2215":[40,16,[4,14,99,4,8,4]],"2216":[31,16,[4,3,460,3,3,4,46,4]],"2217":[38,14,[3,6,30,4,7,4,16,4]],"2218":[42,22,[3,7,4,3,8,3,13,4]],"2219":[42,17,[71,3,1,13,5107,4]],"2220":[38,20,[5,3,7,6,2,5]],"2221":[41,19,[212,3,1137,4,8,4,2,4]],"2222":[34,9,[4,18]],"2223":[39,13,[19,6,124,4,5,13]],"2224":[34,16,[2,4,7,4]],"2225":[34,9,[10,8,3,6,4,8]],"2226":[42,24,[124,4,23,4,188,4]],"2227":[32,14,[4,8,1,4,10,3]],"2228":[42,20,[1,7,2,9,72,3,63,3]],"2229":[39,20,[5,5,6,3,1,4,9,3,3,7]],"2230":[42,9,[4,10,10,20]],"2231":[42,16,[2,9,16,6,46,4,3,4]],"2232":[42,14,[4,14,28,4,6,4]],"2233":[42,15,[589,7,79,5,39,4,402,4,1,4]],"2234":[42,16,[1,14]],"2235":[38,19,[1167,6,3,4]],"2236":[39,23,[55,3,6,4,3,9]],"2237":[38,25,[3,6,6,3,7,3]],"2238":[39,11,[5,23,10,4,6,4]],"2239":[42,22,[3,6,416,3,130,5,6,3,385,3]],"2240":[42,28,[24,4,1852,3,3,3]],"2241":[38,17,[4,14,8,5,105,3]],"2242":[39,22,[6,3,64,6,11,4,32,3]],"2243":[42,19,[24,3,3,5,5981,4,432,4,31,4]],"2244":[34,17,[3,4]],"2245":[36,24,[3,4,27,5]],"2246":[35,17,[4,7,13,5]],"2247":[37,15,[269,4,193,5,40,3,259,5,79,6]],"2248":[41,17,[1,12]],"2249":[41,17,[2,5,7,11,1,5]],"2250":[41,10,[4,26,6,5]],"2251":[41,17,[58,3,3,5,1,6,6,3,1191,4]],"2252":[41,20,[2,3,70,4,112,4,74,4]],"2253":[35,26,[9,5,3,4]],"2254":[37,20,[3,15]],"2255":[38,18,[3,8,10,4,8,5,4,5]],"2256":[36,22,[4,7,2,4]],"2257":[37,12,[68,4,1,14,4320,4]],"2258":[29,14,[2,3,3,6,6,3]],"2259":[38,14,[3,4,1,10]],"2260":[36,15,[3,4,30,4,4,4]],"2261":[34,16,[3,7]],"2262":[41,30,[29,4]],"2263":[41,22,[7,3,2,3,19,6]],"2264":[34,14,[4,4,6,4,2,4]],"2265":[39,17,[6,10,4,4]],"2266":[40,28,[1,3]],"2267":[34,23,[4,4,3,5]],"2268":[34,18,[3,3,2441,5,381,3,123,3]],"2269":[39,16,[1,5,127,3,2,4,4,6]],"2270":[38,14,[4,14,3,9]],"2271":[37,15,[1,10,7,4]],"2272":[32,14,[3,4,4,3,8,3,29,3,1,3]],"2273":[35,23,[24,5,5,6]],"2274":[41,13,[6,11,1,4,23,4,353,4]],"2275":[37,7,[4,25]],"2276":[41,16,[1,12,3,3,1269,4,478,4]],"2277":[39,11,[10,15,4,10]],"2278":[39,11,[3,6,1,14,1796,4]],"2279":[36,16,[2,4,31,8,3,5]],"2280":[37,14,[5,5,1,6,4,6]],"2281":[40,19,[10,3,35,3,669,3,5,4,19,4,14,6]],"2282":[33,24,[12,3,3,3,47,3]],"2283":[41,18,[8,11,2,7,19,4,124,4]],"2284":[40,12,[96,11,188,3,70,8,58,4]],"2285":[38,9,[5,4,118,4,69,18]],"2286":[41,19,[2024,3,1567,4,1,10]],"2287":[39,14,[4,13,24,3,5,5]],"2288":[40,17,[2,9,7,7,3,5,11,4]],"2289":[41,13,[2,5,6,11,23,4,217,4]],"2290":[41,33,[22,3,2,6]],"2291":[40,20,[1329,3,1,5,4485,4]],"2292":[36,13,[4,10,3,3,18,6]],"2293":[30,11,[4,7,2,4,105,4]],"2294":[38,16,[4,4,13,8,29,8]],"2295":[40,14,[20,4,2,15,7,3]],"2296":[38,8,[29,11,6,8,3,8,31,4]],"2297":[36,16,[3,8]],"2298":[38,16,[27,4,4,6]],"2299":[35,16,[28,4,49,3]],"2300":[38,12,[3,5,1,5,4,3,6,6,257,4,16,4]],"2301":[34,13,[1,6,17,4,4706,4]],"2302":[40,14,[27,6,3,10]],"2303":[38,14,[6,10,5,4,49,3]],"2304":[38,12,[32,4,2257,8,1,3,13,4,45,8]],"2305":[40,19,[786,12,1,5,894,4]],"2306":[35,9,[4,22,3,5]],"2307":[32,12,[11,5,3,4,2,10,6,3]],"2308":[40,16,[96,3,5,3,74,4,24,4,68,4,353,4]],"2309":[40,19,[1,3,2,10]],"2310":[40,13,[19,8,7,4,1669,6,40,4,6,4,2,4]],"2311":[40,11,[5,17,10,3,1684,4]],"2312":[40,11,[5,14,10,16]],"2313":[39,12,[8,14,4,9,13,3,28,3]],"2314":[38,18,[1,9,864,3,924,4]],"2315":[40,22,[58,4,2,7,11,4]],"2316":[40,14,[22,4,21,8,5,6]],"2317":[34,19,[201,5,6,4]],"2318":[38,14,[11,10,2,9,72,4,19,3]],"2319":[38,16,[16,8,13,4]],"2320":[35,21,[13,4,3,7,6,3,1,3]],"2321":[37,13,[5,7,8,6,10,12]],"2322":[40,10,[3258,4,1,12,3511,4,1653,8]],"2323":[38,11,[3,17,50,8]],"2324":[40,18,[7,7,57,3,2,10]],"2325":[30,18,[5,4,31,4,55,6]],"2326":[36,10,[6,6,4,14]],"2327":[40,9,[4,26,2,6]],"2328":[38,14,[1,7,4,6,1846,3,3,3]],"2329":[40,13,[2,7,4,9,6,6]],"2330":[36,17,[5,3,173,3,1,6]],"2331":[37,13,[3,14]],"2332":[40,15,[8,11,24,4,44,3]],"2333":[38,14,[4,9,6,3,3,3,1,8]],"2334":[36,16,[448,4,4,3,1,3,3,6,8,3,35,3]],"2335":[40,14,[1,6,633,6,1600,6]],"2336":[38,19,[333,4,23,5,10,5,3,5]],"2337":[35,23,[4,9,5,3]],"2338":[40,19,[8,8,7,11,40,3]],"2339":[38,14,[4,16]],"2340":[40,16,[6,4,1689,4,30,4,94,4]],"2341":[36,22,[1,5,1879,3,16,3,1710,3]],"2342":[40,5,[5,30,8,4]],"2343":[40,12,[211,4,5,4,6,4,31,8,77,6]],"2344":[40,15,[4,3,810,4,19,4,3676,4,124,4,69,4]],"2345":[33,19,[3,3,1,8]],"2346":[40,25,[3,3,1,8,191,3]],"2347":[37,17,[4,8,5,3,3,7]],"2348":[34,19,[4,4,1,6,1316,4,154,3]],"2349":[38,21,[23,3,784,3,24,4,2,4]],"2350":[39,17,[2,3,6,4,8,9,7,4,14,3]],"2351":[39,23,[24,8,7,4]],"2352":[39,11,[1152,7,378,14,924,5,828,5]],"2353":[39,16,[69,7,1,4,112,4,220,4]],"2354":[35,18,[4,7,23,9]],"2355":[39,23,[62,3,1,6,2569,4]],"2356":[39,18,[1,6,591,3,630,7,4153,5,1837,3]],"2357":[39,10,[2,20,1,4,200,4]],"2358":[25,19,[5,3,4,3]],"2359":[32,17,[1,9,3682,3]],"2360":[39,21,[137,3,24,4,8,7,6,3]],"2361":[35,17,[4,8]],"2362":[33,19,[14,3,10,4]],"2363":[32,12,[4,13,3,4]],"2364":[39,16,[5,3,1,10]],"2365":[38,15,[2,20]],"2366":[35,13,[17,4,5,4,78,4,1,4,3,4]],"2367":[30,17,[802,3,30,3]],"2368":[24,11,[3,8]],"2369":[32,10,[4,10,3,4,2,4]],"2370":[35,18,[14,4]],"2371":[33,13,[10,4,24,8]],"2372":[4,3,[]],"2373":[30,21,[5,4,3,4,8,3]],"2374":[39,14,[8,14,64,3,2,9]],"2375":[29,13,[18,4,132,4]],"2376":[32,11,[5,18]],"2377":[36,24,[1,7,187,6]],"2378":[37,17,[4,5,6,4,2,4]],"2379":[39,13,[1154,13,3,5,277,6,203,5]],"2380":[39,18,[1,8]],"2381":[35,16,[3,16,6,3]],"2382":[39,25,[7,5,19,4]],"2383":[32,12,[100,7,2105,8]],"2384":[39,14,[1,10,2371,8]],"2385":[39,27,[1,4,613,4]],"2386":[39,10,[61,6,3,13,41,4,4,4]],"2387":[35,17,[4,6,18,3]],"2388":[38,19,[1,8,5,6]],"2389":[36,24,[1,4,6,3,5,4]],"2390":[36,17,[5,7,4515,4]],"2391":[31,13,[3,4,4,4,5953,4]],"2392":[38,14,[3,13,4,3,6,4,2,4]],"2393":[27,12,[312,4,4,4]],"2394":[39,16,[1,4,892,9,4,5,305,4]],"2395":[37,17,[112,4,5,4]],"2396":[36,19,[5,4,25,5,766,4,13,3,1485,3]],"2397":[29,20,[3,4]],"2398":[39,9,[4,9,30,6,5,6,3,8]],"2399":[30,19,[3,4,98,3,14,4]],"2400":[34,19,[193,5,230,3,79,3,259,3,3799,3]],"2401":[37,25,[7,5,48,4,11,4]],"2402":[38,14,[128,4,413,3,87,10,123,3,2587,4]],"2403":[38,21,[1,4,2,11]],"2404":[33,20,[6,3,3,3,21,3,27,3]],"2405":[32,13,[3,6,68,4,5,4]],"2406":[35,13,[7,3,40,12,23,4,2,4]],"2407":[32,10,[27,3,3,14]],"2408":[32,11,[4,14,5,4]],"2409":[38,27,[1,3,151,3]],"2410":[36,7,[16,15,5,12]],"2411":[30,19,[417,4]],"2412":[33,10,[2,4,65,4,3,4,13,10]],"2413":[37,17,[2,10,11,3,34,8]],"2414":[34,13,[28,3,3,6,377,6]],"2415":[34,17,[]],"2416":[38,10,[5,6,4,16,3,6]],"2417":[37,11,[6,5,5,14,1,3,73,6]],"2418":[32,16,[2,4,287,3,384,8,14,3]],"2419":[14,7,[]],"2420":[37,10,[65,21,3,4,1,4]],"2421":[36,16,[28,4,5,4,1,3]],"2422":[38,15,[31,6,1808,6]],"2423":[28,20,[]],"2424":[38,15,[62,3,295,3,3,3,123,14,65,3]],"2425":[37,16,[3,5,489,4,600,11,2858,3]],"2426":[38,14,[3790,4,3,4,4,6,46,4]],"2427":[26,13,[]],"2428":[38,25,[1,5,537,5]],"2429":[35,10,[8,3,6,4,5,17]],"2430":[30,14,[4,3,23,4,44,4]],"2431":[38,19,[6,9,2,5,11,3]],"2432":[34,14,[1,6,8,3,2,4,24,6]],"2433":[38,15,[1,6,1407,6]],"2434":[34,10,[4,16]],"2435":[32,13,[4,6,10,4]],"2436":[36,24,[1,3,35,3,5596,3]],"2437":[34,18,[1,3,5,10]],"2438":[32,9,[31,6,1205,10,3,4]],"2439":[34,22,[3,5,5,3]],"2440":[38,17,[5566,3,530,3,79,4,3540,4,402,4]],"2441":[34,11,[4,24]],"2442":[38,18,[5,10,1,3,2,6]],"2443":[32,16,[]],"2444":[34,15,[21,4,3,4]],"2445":[35,14,[4,11,2,4,3,4]],"2446":[37,20,[2,12,34,3,64,3]],"2447":[36,20,[24,7,8,3,68,3]],"2448":[35,11,[28,4,18,4,3,12]],"2449":[37,10,[8,12,6,16]],"2450":[27,11,[1,4,3,6]],"2451":[35,14,[3,3,1,10,76,3]],"2452":[35,16,[3,6,1,4]],"2453":[32,15,[65,4,8,3,4,10]],"2454":[37,13,[1,15]],"2455":[36,22,[3,12]],"2456":[31,8,[26,3,5,7,142,10,4320,4]],"2457":[37,1,[308,37]],"2458":[34,15,[9,6,8,4,6,3,3,6,4,3]],"2459":[35,26,[260,3,154,3,2861,3]],"2460":[37,16,[1,13]],"2461":[37,18,[7,6,2461,4,8,3]],"2462":[29,10,[2,4,3,6,1,5]],"2463":[35,8,[838,12,1,10,49,3]],"2464":[36,20,[1,10,5,3]],"2465":[33,18,[4,7,2,3]],"2466":[24,18,[3,3]],"2467":[33,14,[4,7,1,6,78,6]],"2468":[34,18,[329,11,1557,3]],"2469":[35,9,[3,14,4,8]],"2470":[33,18,[2,4,11,4]],"2471":[36,11,[4,19,24,6]],"2472":[35,4,[4,32]],"2473":[37,20,[1,9]],"2474":[32,12,[4,9,1,3,16,3,6,4,8,3]],"2475":[37,14,[1,10,3,3,94,4]],"2476":[34,18,[3,13,21,3]],"2477":[36,22,[4322,5,22,5]],"2478":[32,18,[7,3,77,3,6,4]],"2479":[35,19,[1,7]],"2480":[34,12,[7,11,2,10]],"2481":[37,3,[4,35]],"2482":[33,14,[4,10,6,8,2,3]],"2483":[35,11,[4160,4,28,6,45,7,1,4]],"2484":[35,14,[1,7,6,6]],"2485":[37,15,[1,3,2,5,7,4,211,4]],"2486":[31,5,[4,21,5,4]],"2487":[34,21,[4,6,8,5]],"2488":[32,12,[1,4,554,6,549,4]],"2489":[36,8,[5,22,23,6,8,3]],"2490":[34,21,[24,6,122,4,5,3,7,3]],"2491":[28,13,[42,4]],"2492":[36,28,[1,4]],"2493":[27,9,[3,3,39,6,5,7,792,4]],"2494":[34,13,[70,3,3,3,2,10]],"2495":[36,9,[24,13,2,11,46,4]],"2496":[30,19,[3,5,4,6]],"2497":[33,16,[4,6,3,4,405,6,422,4]],"2498":[34,8,[16,26]],"2499":[31,15,[2,3,14,3,5,4]],"2500":[35,20,[1,9,381,3]],"2501":[36,16,[6,3,10,4,45,5]],"2502":[34,18,[2,5,3,11]],"2503":[33,7,[4,12,6,13]],"2504":[36,12,[72,3,11,14,2,10]],"2505":[36,26,[1,5,784,3,922,4]],"2506":[36,22,[5,6,150,3]],"2507":[28,14,[6,11,796,3]],"2508":[36,25,[350,3,120,4]],"2509":[34,13,[4,9,2,4]],"2510":[33,16,[3,10,4,3,23,3]],"2511":[34,11,[5,11,1,5,3,4]],"2512":[33,14,[3,9,10,3,69,6]],"2513":[34,17,[2,5,4,4]],"2514":[33,10,[5,12,8,6,3,4]],"2515":[33,12,[3,8,5,6,10,8]],"2516":[31,14,[2,9,4,4]],"2517":[36,16,[1,9,1361,5,1937,3]],"2518":[35,23,[35,4,1050,3]],"2519":[36,22,[2,6,406,4]],"2520":[36,11,[3,3,1,13,5,6]],"2521":[34,14,[17,4,3,4,4,4]],"2522":[34,19,[1,8]],"2523":[32,12,[4,11,23,9]],"2524":[34,10,[1,5,1582,16,4052,4]],"2525":[36,19,[11,3,58,3,7,3,1,3,2,3]],"2526":[30,8,[3,12,1,6]],"2527":[36,17,[189,4,1,3,28,4]],"2528":[28,15,[]],"2529":[36,24,[1,4,3,4]],"2530":[26,11,[77,4,3,4]],"2531":[8,4,[]],"2532":[36,15,[6,6,307,4,70,4]],"2533":[28,14,[4,3,2,4]],"2534":[29,20,[8,3,7,3]],"2535":[36,23,[2645,3,4,4,1,3,268,3]],"2536":[36,12,[1,12,812,4]],"2537":[30,18,[3,6,5,5]],"2538":[35,14,[73,3,1014,5,582,4,5416,4,1,4]],"2539":[36,6,[1918,26,1,3]],"2540":[36,9,[4,21]],"2541":[32,12,[41,4,3,8]],"2542":[35,7,[1039,16,968,13]],"2543":[35,25,[366,5]],"2544":[33,10,[5,7,4,15,3,3]],"2545":[36,15,[93,4,1,6]],"2546":[34,18,[31,5,168,4,3,3,2,4,24,5]],"2547":[35,13,[2,5,1222,3,3,8,1,3,3142,3]],"2548":[34,12,[3,10,43,4,16,4]],"2549":[23,14,[1,4]],"2550":[36,25,[3,4,1,3,2,6]],"2551":[36,9,[4,19,3,4]],"2552":[31,15,[3,3,4,6]],"2553":[36,21,[6,4,1,3]],"2554":[28,12,[3,7,2,4]],"2555":[28,9,[109,6,557,6,302,4]],"2556":[32,15,[4,8,10,3,19,3]],"2557":[30,13,[4,3,127,4,3,6]],"2558":[34,16,[3,7]],"2559":[34,13,[1,10]],"2560":[29,14,[3,4,13,5]],"2561":[34,17,[269,7,230,4,193,8]],"2562":[31,15,[230,3,259,9,79,3,269,4]],"2563":[30,17,[27,3,6,4,4,5,1,3]],"2564":[24,11,[2,4,4,4]],"2565":[35,15,[2,12,8,7]],"2566":[29,17,[3,3,1,3,17,4]],"2567":[25,11,[3,11,1,3]],"2568":[31,15,[4,3,33,3,8,6,13,4]],"2569":[29,20,[21,3,27,3,237,4]],"2570":[34,21,[366,6,3,8]],"2571":[33,15,[4,10,8,5,12,3]],"2572":[31,13,[5,9,210,4]],"2573":[33,13,[1,6,3,4,17,4]],"2574":[35,12,[177,9,1893,7,527,3,3,3,86,4]],"2575":[30,19,[4,3,1,3,23,3,5,4]],"2576":[33,12,[1,4,4,10]],"2577":[34,21,[4,3,58,3,11,4,2,6]],"2578":[31,16,[8,4,5,5,2,3]],"2579":[35,21,[8,7,2,5]],"2580":[31,19,[3,4,13,4,5,5]],"2581":[32,16,[3,5,62,3,2172,3,772,4,123,3]],"2582":[28,20,[6,3]],"2583":[34,2,[773,30,1,4]],"2584":[35,13,[495,18]],"2585":[28,16,[3,8]],"2586":[29,15,[4,11]],"2587":[35,14,[6,4,8,4,13,4,49,3]],"2588":[31,15,[2,3,6,4]],"2589":[28,18,[2,3,7,4]],"2590":[33,17,[6,8,3,8]],"2591":[35,17,[833,3,1,7]],"2592":[30,20,[1512,4,3,5]],"2593":[35,10,[16,20]],"2594":[35,14,[10,4,85,6,77,4]],"2595":[35,26,[400,4,973,3]],"2596":[31,11,[1,13,55,3,3,3]],"2597":[35,18,[5,10,3,3]],"2598":[35,18,[203,11,162,4]],"2599":[35,9,[3,4,74,16,44,4]],"2600":[26,18,[3,4,5,3]],"2601":[35,20,[7,3,20,3,2,9]],"2602":[29,12,[3,8]],"2603":[29,16,[175,5]],"2604":[35,13,[4,13]],"2605":[29,12,[3,6,17,4]],"2606":[35,16,[5,3,483,4,1,6]],"2607":[25,21,[3,3]],"2608":[30,14,[4,13]],"2609":[32,19,[3,5,2,4,4,3]],"2610":[34,10,[4,11,10,11,83,4]],"2611":[26,10,[5156,4,3,6]],"2612":[35,18,[1427,4,7,4]],"2613":[35,21,[7,4,68,4]],"2614":[33,13,[4,4,18,4,5,4,28,4]],"2615":[29,14,[336,4]],"2616":[35,11,[1,4,378,4,45,14]],"2617":[31,21,[4,3,1,3]],"2618":[35,17,[3,4]],"2619":[30,18,[3,4,4,5,5,4]],"2620":[22,13,[3,8,5,3]],"2621":[35,14,[1,10]],"2622":[35,10,[5,16,70,4,24,4]],"2623":[28,8,[4,12,3,4]],"2624":[33,17,[6,3,1,9]],"2625":[34,11,[6,6,4,5,5,5,3,7]],"2626":[34,28,[1737,3,5,3]],"2627":[35,13,[9,4,14,4,1,4,30,6]],"2628":[35,13,[38,4,2,6,63,4,20,3]],"2629":[30,19,[79,3,230,3,259,5,269,3]],"2630":[29,17,[4,11,3,3]],"2631":[34,19,[8,3,2,7,7,4,400,3]],"2632":[32,12,[24,12,29,3]],"2633":[34,19,[86,3,331,3,1,5,3,4]],"2634":[33,14,[3,4,65,14,90,4]],"2635":[34,12,[2,3,96,12]],"2636":[32,14,[4,3,30,4,69,4,39,4]],"2637":[34,7,[4,27]],"2638":[31,16,[852,4,1,4,3,4]],"2639":[22,10,[61,4,4,3]],"2640":[29,14,[64,3,46,4,2,4]],"2641":[26,12,[6,4]],"2642":[32,12,[1,10,1926,4]],"2643":[30,14,[3,3,28,6]],"2644":[33,18,[1,4,6,4]],"2645":[32,14,[5,3,4,12]],"2646":[28,14,[39,3,3,11]],"2647":[34,19,[59,3,7,3,14,4]],"2648":[34,16,[23,5]],"2649":[34,12,[12,4,6,6,1,4,105,4]],"2650":[32,14,[4642,4,4,4]],"2651":[28,14,[3367,4,3,4]],"2652":[32,10,[5,8,2,6,3,4]],"2653":[34,27,[5,6]],"2654":[34,12,[52,8,1,6]],"2655":[25,9,[3,5,145,13]],"2656":[30,15,[3,12,10,3]],"2657":[34,12,[4,10,6,4]],"2658":[34,16,[4,4]],"2659":[22,13,[3,4,4,3]],"2660":[27,17,[3,4]],"2661":[30,16,[3,5,55,4,6,3]],"2663":[32,10,[216,4,110,8,2,6]],"2664":[34,14,[1,9,131,6]],"2665":[30,10,[4,7,10,10,3,4]],"2666":[30,13,[27,4,1,4]],"2667":[30,18,[12,4,6,4]],"2668":[33,18,[1355,7,1101,3,870,3,1,3]],"2669":[30,14,[4,5,1,6]],"2670":[34,14,[6,10]],"2671":[31,14,[3,5,4,5,5,3]],"2672":[31,20,[21,10,4,3]],"2673":[31,12,[8,4,23,5,4,9,5,3]],"2674":[30,13,[23,4,3,3,4,8,10,3]],"2675":[34,15,[5039,9,1,4,400,3]],"2676":[27,14,[3,4,1,3,1670,3]],"2677":[31,15,[4,8,5,4,6,3,1,4]],"2678":[34,15,[3,4,112,4]],"2679":[30,11,[4,9,85,4,8,4]],"2680":[34,12,[69,8,12,6]],"2681":[30,12,[4,8,5,10,10,3]],"2682":[31,15,[3,4]],"2683":[32,10,[1104,6,6,4,1,6,3,4,402,4]],"2684":[29,14,[6,6,4,4,1,4]],"2685":[30,9,[1458,4,3,4,1152,6,213,4,212,4]],"2686":[34,17,[23,3,85,5,3,3]],"2687":[28,16,[3,4,1,3,6,3,287,3,3149,3]],"2688":[34,20,[]],"2689":[31,16,[5,7,2,5,3,3]],"2690":[26,14,[13,3,6,4,4,3,3,6]],"2691":[34,19,[3,4,1,3,5,6]],"2692":[30,13,[5,6,10,9]],"2693":[31,20,[3,3,2,4]],"2694":[32,15,[4,3,3,4]],"2695":[30,21,[3,4,1,3,5,4]],"2696":[30,12,[259,15,343,4]],"2697":[33,22,[162,3,781,3,1,6]],"2698":[33,22,[2,5,39,3,11,3]],"2699":[31,13,[2,5,7,7]],"2700":[33,12,[16,9,1,8,505,4]],"2701":[31,14,[3,8]],"2702":[27,17,[3,5,4,5,21,3]],"2703":[31,17,[6,4,3,7,1,4]],"2704":[32,11,[4,13,2,6,1,3]],"2705":[28,18,[3,6,27,3]],"2706":[33,9,[2,7,24,4,19,4,3,6,1538,4]],"2707":[33,7,[133,21,142,3,678,5]],"2708":[31,13,[1,3,6,4,331,4]],"2709":[32,11,[2,13,11,3,85,3,7,3]],"2710":[28,13,[3,5,6,4]],"2711":[30,17,[]],"2712":[22,11,[5,5]],"2713":[31,11,[4,11,10,6,5,4]],"2714":[33,17,[4,3]],"2715":[18,3,[118,14]],"2716":[31,11,[1,3,6,8,23,4]],"2717":[26,10,[3,11,5,3,2,4]],"2718":[20,10,[]],"2719":[33,12,[1087,6,1,8]],"2720":[30,13,[1,7,3,6]],"2721":[29,12,[3,6,28,4]],"2722":[33,7,[4,25,3,3]],"2723":[33,10,[1,5,708,4,409,6,24,4,199,4]],"2724":[31,5,[1,6,2128,6,883,15]],"2725":[33,11,[23,7,85,4,2,6,5,6]],"2726":[33,15,[1,6]],"2727":[31,9,[9,3,2,6,7,3,5,8,3,3]],"2728":[33,18,[530,5,699,4]],"2729":[28,14,[5,3,2,4,50,4]],"2730":[33,10,[105,6,5,4,3,6,23,6]],"2731":[27,11,[3,4,4,4,39,4]],"2732":[30,17,[3,3,6,4,2,3,1,4]],"2733":[33,14,[24,3,11,4,5,7,7,5,8,4]],"2734":[25,11,[23,3,85,3,3,3]],"2735":[31,18,[5,7,4,4,3,3]],"2736":[31,9,[3,6,4,5,10,7,5,5,6,3]],"2737":[26,17,[3,5,587,4]],"2738":[32,23,[2,3,3,3]],"2739":[33,4,[1,5,3280,26]],"2740":[26,11,[5,4,6,6]],"2741":[33,18,[29,3,3,7,27,3,21,3]],"2742":[29,11,[2,3,315,4,1732,4,34,4]],"2743":[33,15,[16,6,1,6]],"2744":[29,19,[4,5,3,3]],"2745":[28,3,[4,25]],"2746":[25,12,[3,10,2,3]],"2747":[33,16,[1,4]],"2748":[32,15,[6,4,1,4,4,3]],"2749":[30,15,[1011,6,3,5,1,4]],"2750":[21,15,[54,3,5,4]],"2751":[21,16,[3,4]],"2752":[24,22,[]],"2753":[27,21,[3,5]],"2754":[27,15,[329,5,5431,3,1,6]],"2755":[26,11,[10,5,4,9]],"2756":[27,13,[2566,5,1,6]],"2757":[32,13,[23,8,1255,6,2,4]],"2758":[24,11,[2,4]],"2759":[32,14,[5,4,8,10,9,3]],"2760":[31,8,[5,23]],"2761":[32,10,[4003,4,3,6,744,4,1656,4,1,4]],"2762":[26,12,[14,4,118,4]],"2763":[32,15,[3,8,1,3,5,3]],"2764":[28,9,[4,11,2,3,46,4]],"2765":[25,17,[429,3,24,3]],"2766":[32,2,[16,22,5,10]],"2767":[32,11,[5,17,408,3]],"2768":[32,22,[352,5,350,5]],"2769":[28,13,[3,4]],"2770":[32,14,[1,5,18,4,199,4]],"2771":[31,7,[208,6,85,5,23,15]],"2772":[32,18,[833,7,122,5]],"2773":[19,8,[6,6]],"2774":[32,10,[1,12,106,4]],"2775":[32,13,[2,6,46,4]],"2776":[27,13,[6,6,1,4]],"2777":[32,14,[1,8]],"2778":[26,11,[4,10]],"2779":[32,17,[1054,3,6,3,24,3,19,4]],"2780":[26,9,[4,9,5,5]],"2781":[24,11,[3,4]],"2782":[30,11,[4,5,10,3,5,9,6,3,3,3]],"2783":[28,9,[45,3,218,12]],"2784":[26,11,[76,4,58,4]],"2785":[26,16,[8,4,5,4]],"2786":[32,12,[7,5,2,8,6,4]],"2787":[28,13,[3,11,6,3]],"2788":[20,7,[1,8]],"2789":[30,16,[4,3,3,5,21,5]],"2790":[29,14,[4,3,866,4,1,4,2,4]],"2791":[23,12,[4,4,13,5,1375,3]],"2792":[28,12,[10,3,4,5]],"2793":[31,10,[58,5,24,15,2,3]],"2794":[25,13,[49,4]],"2795":[22,15,[4,4,17,3]],"2796":[30,11,[1,8,644,4]],"2797":[32,18,[3,11,27,3]],"2798":[26,13,[1,4]],"2799":[31,7,[4,17,16,4]],"2800":[31,19,[7,5,23,3]],"2801":[32,11,[1,12]],"2802":[32,13,[24,5,6,6,992,4]],"2803":[28,13,[92,7,6,3,26,4]],"2804":[11,5,[49,3,308,5]],"2805":[22,18,[6,3]],"2806":[32,13,[1,7,3386,6,582,4]],"2807":[27,16,[3,9]],"2808":[29,18,[1,3]],"2809":[32,10,[6,5,5,17]],"2810":[28,11,[28,4,5,4,49,4]],"2811":[32,17,[1828,3,586,4,1,6,866,3]],"2812":[26,21,[1,5]],"2813":[31,13,[8,5,2,5,5,7]],"2814":[25,10,[1,3,3,4,39,4]],"2815":[23,11,[13,4]],"2816":[32,6,[205,25]],"2817":[31,9,[3,4,1,14]],"2818":[32,9,[1,8,22,9,121,4]],"2819":[30,17,[2,5,4,4,11,4]],"2820":[32,22,[904,3,386,3,1,3]],"2821":[32,20,[2,4,14,4,1,5]],"2822":[28,17,[304,5,3,3]],"2823":[30,13,[5,7,353,4]],"2824":[31,6,[1,25]],"2825":[32,19,[295,9,842,3]],"2826":[28,19,[1,3,3,3]],"2827":[29,12,[4,3,3,7,1,4]],"2828":[30,8,[3,8,5,8,35,4]],"2829":[28,10,[19,4,74,4,1109,4,31,4]],"2830":[32,13,[1,14]],"2831":[30,12,[102,4,3,4,1,4]],"2832":[29,12,[4,9,1,8]],"2833":[32,12,[79,3,1,11,2319,3]],"2834":[32,14,[4,6,96,4]],"2835":[30,13,[4,7,16,9,5,3]],"2836":[30,14,[1,6]],"2837":[32,11,[100,4,1,8,5,4]],"2838":[26,16,[5,8]],"2839":[27,13,[21,3,3,5,4,3,6,5,8,3]],"2840":[32,22,[1378,3,44,4]],"2841":[30,17,[5,8,2,6]],"2842":[26,15,[12,5]],"2843":[30,11,[2,4,53,4,1,4,3,4]],"2844":[28,11,[230,5,259,13]],"2845":[21,11,[4,4,3,6,6,3]],"2846":[31,13,[4,13,6,4]],"2847":[27,17,[1,3,3,6,10,3]],"2848":[27,10,[3,3,4,9]],"2849":[26,8,[3,8,4,6]],"2850":[30,22,[68,4]],"2851":[30,14,[6,4,662,4]],"2852":[30,16,[1,5]],"2853":[27,10,[4,6,2,4,3,4]],"2854":[30,18,[4,9]],"2855":[29,19,[25,4,3,3,384,3]],"2856":[25,21,[5,3]],"2857":[31,22,[4,4,3,3]],"2858":[24,16,[5,3,3,6]],"2859":[26,19,[3,4]],"2860":[29,16,[34,3,8,3]],"2861":[26,15,[6,9]],"2862":[29,14,[69,4]],"2863":[31,14,[31,9,24,4]],"2864":[22,11,[3,9,21,3]],"2865":[29,11,[23,13,3,3]],"2866":[29,8,[4,19]],"2867":[30,15,[4,4,1581,4,2,7]],"2868":[30,14,[6,4,3789,4]],"2869":[29,15,[10,10,4,3]],"2870":[27,11,[4,12]],"2871":[26,14,[3,8,8,4]],"2872":[29,21,[55,3]],"2873":[28,15,[3,6,4,4]],"2874":[31,13,[2,7,23,4,2792,6]],"2875":[31,12,[409,4,1128,9]],"2876":[31,10,[809,12,1011,6]],"2877":[29,8,[23,9,85,9]],"2878":[31,12,[2,5,7,4,19,10]],"2879":[31,15,[1,6]],"2880":[30,22,[7,3]],"2881":[27,18,[3,4,4,4]],"2882":[29,9,[1,12,5391,4]],"2883":[29,8,[2,19,11,3]],"2884":[25,15,[3,3,1,3,5,3]],"2885":[28,13,[176,8,3,4]],"2886":[31,18,[989,5,1,3,2051,3]],"2887":[26,13,[3,7,4,6]],"2888":[31,17,[2,9,5,4]],"2889":[25,8,[4,9,1,4]],"2890":[28,24,[39,3]],"2891":[27,12,[16,6,3,7,510,5]],"2892":[31,10,[70,5,85,6,1,4,23,4]],"2893":[31,5,[5,25]],"2894":[27,12,[3,3,4,12]],"2895":[27,13,[1,5]],"2896":[26,15,[5,3,4,4,8,3,10,3]],"2897":[28,16,[4,6,21,3]],"2898":[29,15,[]],"2899":[31,14,[4,10,690,3,70,3]],"2900":[29,19,[23,3,16,6]],"2901":[31,21,[380,3,769,3,1598,3,537,3]],"2902":[31,7,[58,13,68,6,32,4,46,4]],"2903":[31,9,[257,10,2,4,3,4,14,3]],"2904":[29,17,[1,4,5648,4]],"2905":[30,14,[1,5,177,3,3,3,328,6]],"2906":[29,12,[4,9,1949,3,1,3]],"2907":[26,14,[1,5,221,4]],"2908":[31,16,[1,5,375,10]],"2909":[31,22,[120,3,22,4]],"2910":[27,19,[259,3,230,3,269,3]],"2911":[30,16,[11,5,2,8]],"2912":[27,14,[7,8,15,3,2,3]],"2913":[27,16,[27,3,3,6,16,4]],"2914":[28,12,[1,9,17,3]],"2915":[30,13,[24,3,5,10]],"2916":[26,15,[3,11]],"2917":[26,18,[4,3,800,3,257,4]],"2918":[28,14,[1,9]],"2919":[28,13,[4,4,741,8]],"2920":[22,15,[844,3,1106,3]],"2921":[30,12,[4,10,3,5]],"2922":[30,14,[4,4]],"2923":[30,18,[1,9]],"2924":[24,12,[23,4]],"2925":[24,11,[74,4]],"2926":[23,17,[3,5]],"2927":[30,14,[74,3,6,4]],"2928":[27,14,[4,11,10,3]],"2929":[29,16,[11,3,101,6]],"2930":[30,12,[5,12,24,5]],"2931":[22,9,[7,4,3,4]],"2932":[29,21,[1,6]],"2933":[30,12,[1,8,5,4]],"2934":[30,14,[2,4,8,8,5,3,11,4]],"2935":[30,7,[4,3,23,19,85,3]],"2936":[23,14,[3,4,6,5]],"2937":[30,7,[5,14,2,4,7,6]],"2938":[28,15,[1,4]],"2939":[30,10,[4,19,1893,3]],"2940":[28,18,[174,3]],"2941":[30,10,[1,8,4,9]],"2942":[30,10,[79,8,402,6,742,4]],"2943":[26,10,[3,8]],"2944":[30,18,[2,4,7,3,1153,3,232,4]],"2945":[30,11,[1,10]],"2946":[30,14,[1,3,874,4,340,4]],"2947":[28,15,[168,8,2,3]],"2948":[30,14,[70,4]],"2949":[26,12,[4,8,5,4]],"2950":[30,9,[4,7,5,10,28,4]],"2951":[29,10,[1,10,4,4]],"2952":[26,14,[3,4,1,4]],"2953":[26,9,[3,10]],"2954":[28,18,[16,3,5,5]],"2955":[29,16,[1,4]],"2956":[30,15,[960,3,159,3,1,6]],"2957":[30,14,[1,4]],"2958":[27,20,[3,6]],"2959":[30,17,[1839,3,226,8]],"2960":[27,11,[4,7,33,4]],"2961":[25,12,[4,4,10,4,3,3]],"2962":[30,20,[2,5,7,3]],"2963":[30,15,[1,4]],"2964":[24,18,[2,4,7,3]],"2965":[27,9,[4,4,6,4,3,8]],"2966":[30,13,[39,3,1,12,272,4]],"2967":[27,11,[8,5,10,6,252,3]],"2968":[30,17,[19,6,265,4]],"2969":[28,13,[2,3,69,4,188,4]],"2970":[28,14,[]],"2971":[30,16,[8,7,2,4,1,4]],"2972":[30,15,[]],"2973":[28,10,[1,10]],"2974":[30,6,[6,21,5,4]],"2975":[27,11,[1,12]],"2976":[29,19,[1,4,3,3]],"2977":[28,16,[4,10,6,3]],"2978":[30,11,[2852,4,1,8]],"2979":[30,15,[4,6,1,6]],"2980":[26,11,[39,5,163,6]],"2981":[28,19,[21,6]],"2982":[28,9,[2,5,125,4,1,8]],"2983":[29,16,[4,3,3804,6]],"2984":[26,13,[]],"2985":[26,13,[2,3,13,4]],"2986":[28,8,[92,15,5,5]],"2987":[26,18,[1,3,3,4,5,4]],"2988":[30,15,[1,3]],"2989":[30,20,[320,3,291,3,52,3]],"2990":[29,15,[]],"2991":[29,15,[3,6,4,5]],"2992":[26,15,[4,6,5,3,10,3]],"2993":[30,14,[6,3,10,3,1,6]],"2994":[28,13,[51,4]],"2995":[30,10,[1370,4,1209,8,1,4]],"2996":[24,9,[1,6,44,4]],"2997":[22,18,[2,3]],"2998":[24,15,[5,5,85,3]],"2999":[23,8,[3,10,4,3]],"3000":[23,9,[6,5,1,7]],"3001":[29,17,[7,4,40,3,35,4]],"3002":[24,11,[2275,4,2222,4]],"3003":[27,12,[2,7]],"3004":[29,11,[1,5,220,4,69,4]],"3005":[20,9,[3,6]],"3006":[29,14,[3,4]],"3007":[27,11,[3,5,1,4]],"3008":[27,8,[10,9,4,7,5,3]],"3009":[23,12,[3,5]],"3010":[29,10,[3,8,431,9,3078,3]],"3011":[28,13,[321,12]],"3012":[28,11,[6,7,16,10]],"3013":[29,26,[]],"3014":[29,9,[18,3,1,10,110,4]],"3015":[29,22,[5,6]],"3016":[27,8,[1,8,3,6,1098,3]],"3017":[27,16,[1342,4,3,3]],"3018":[27,13,[5,4,2,3,7,5]],"3019":[28,23,[452,3]],"3020":[29,15,[48,3,23,4]],"3021":[27,16,[3,5]],"3022":[29,13,[12,4,2,5]],"3023":[29,16,[5,5,2,4,1,3]],"3024":[27,18,[5,5,74,4]],"3025":[16,13,[]],"3026":[27,8,[8,3,4,15]],"3027":[29,16,[3,5,159,3]],"3028":[26,16,[3,4,6,3]],"3029":[29,7,[166,18,702,3]],"3030":[23,13,[3,6,1,4,5,3]],"3031":[27,15,[2,9,11,3,8,3]],"3032":[29,13,[1,10]],"3033":[27,17,[]],"3034":[23,12,[]],"3035":[29,10,[5,10,1,4]],"3036":[29,17,[1,4]],"3037":[27,7,[4,5,1,14]],"3038":[29,13,[1,6,3,3]],"3039":[26,18,[62,3,208,3,2,3]],"3040":[27,10,[4,9,6,4]],"3041":[24,15,[5,7]],"3042":[26,5,[6,14,4,7,24,3]],"3043":[28,16,[1228,4,1,6,1690,3]],"3044":[29,8,[8,16]],"3045":[29,21,[3,4,1,3]],"3046":[26,10,[10,5,4,12]],"3047":[29,7,[4,6,6,14,3,3]],"3048":[29,17,[400,9]],"3049":[29,24,[3,3]],"3050":[26,7,[4,13,28,5]],"3051":[29,15,[2,4,10,6]],"3052":[29,6,[3,3,4,19]],"3053":[25,13,[2,6,14,4]],"3054":[29,11,[2,14,11,5]],"3055":[28,12,[255,9,162,3,4,3,1202,3]],"3056":[29,20,[3,5]],"3057":[25,13,[4,10,3,3]],"3058":[29,12,[1,8]],"3059":[26,13,[3,6]],"3060":[26,5,[6,22]],"3061":[28,20,[2,6]],"3062":[27,18,[3,3]],"3063":[29,5,[4,22]],"3064":[29,11,[2,3,29,10]],"3065":[29,12,[203,5,1612,9,107,4]],"3066":[29,16,[35,3,4,8]],"3067":[20,7,[4,8]],"3068":[27,8,[1,12,24,4]],"3069":[21,10,[16,4,1,4]],"3070":[27,13,[11,4,2,4,69,4]],"3071":[28,11,[1,4,2098,6,5085,4,33,4]],"3072":[23,13,[5,3,3,3]],"3073":[17,13,[3,3]],"3074":[28,11,[269,9,193,5,230,5]],"3075":[25,14,[427,5,1,4]],"3076":[22,8,[12,7,2,4]],"3077":[28,18,[5,4,35,3,7,3]],"3078":[22,15,[6,3,3,3]],"3079":[27,19,[244,5,3377,3]],"3080":[25,10,[689,8,55,4]],"3081":[24,3,[4,20]],"3082":[27,12,[69,5,96,4,6,4]],"3083":[24,9,[7,3,127,3,34,5,4,4]],"3084":[26,10,[19,4,3,6]],"3085":[26,11,[4,5,27,3,44,4]],"3086":[28,16,[1612,3,5,3,4,4,267,3]],"3087":[25,16,[4,5,24,3,5,3]],"3088":[28,8,[1,12,471,4]],"3089":[26,14,[5,8,4,3,8,3]],"3090":[26,11,[7,4,19,4]],"3091":[28,10,[8,5,5,11]],"3092":[24,12,[3,4]],"3093":[23,19,[1,3]],"3094":[26,12,[1,8]],"3095":[24,13,[2,3]],"3096":[27,15,[2,3,6,4]],"3097":[24,13,[1,5,3,6,512,3]],"3098":[16,8,[]],"3099":[23,11,[3,5,1,4]],"3100":[25,15,[5,8,3,4]],"3101":[26,15,[24,5,5,5]],"3102":[18,8,[5,7,3,3]],"3103":[27,10,[3,12,5,3,1,3,202,3]],"3104":[23,11,[4,6]],"3105":[26,13,[23,4]],"3106":[27,15,[14,6,125,3,11,3]],"3107":[27,23,[3,3]],"3108":[26,17,[2,3,7,3]],"3109":[22,10,[6,4,4,4]],"3110":[28,11,[24,4,1,4,353,4]],"3111":[28,13,[1,6,464,6]],"3112":[28,14,[23,6,3376,4]],"3113":[24,8,[3,10]],"3114":[27,10,[5,6,2323,10,8,3]],"3115":[24,11,[3,4]],"3116":[28,14,[2674,9,1,6]],"3117":[27,14,[1,7,31,3]],"3118":[28,10,[6,3,2,3,31,8]],"3119":[28,16,[7,8]],"3120":[28,9,[5,16,8,3]],"3121":[27,9,[1159,10,37,8]],"3122":[26,13,[55,4]],"3123":[21,14,[5051,5]],"3124":[22,9,[10,3,1,5]],"3125":[22,13,[4,3,361,4,681,3]],"3126":[25,12,[3,3,1225,9,1613,3]],"3127":[24,11,[18,6]],"3128":[28,23,[]],"3129":[26,11,[6,6]],"3130":[27,10,[14,11,64,5]],"3131":[28,14,[72,3,1,5,188,3,384,4]],"3132":[27,11,[1,5,317,11]],"3133":[28,12,[4,4,6,4]],"3134":[26,9,[70,13]],"3135":[24,8,[4,8,3,7]],"3136":[28,6,[5,21]],"3137":[28,10,[1,9,3,6]],"3138":[27,11,[10,10,4,5]],"3139":[25,17,[1,5]],"3140":[28,10,[8,3,5,7,31,6,17,3,6,3]],"3141":[27,20,[132,5]],"3142":[26,10,[4,10,27,5,23,4]],"3143":[28,8,[8,4,19,4,2,10,7,4]],"3144":[26,14,[9,3,541,4]],"3145":[28,17,[689,3,55,6,6,4]],"3146":[25,11,[3,10]],"3147":[28,12,[627,6]],"3148":[28,7,[5,16,10,5]],"3149":[24,12,[43,3,10,4,3,3,8,4]],"3150":[22,11,[3,4]],"3151":[24,11,[3,4]],"3152":[27,14,[4,7,23,4]],"3153":[27,17,[188,3,7,3]],"3154":[28,11,[3,6,1,4]],"3155":[23,16,[1365,4,1,3]],"3156":[21,7,[3,5,13,4,2,4]],"3157":[20,6,[13,10]],"3158":[27,9,[4,10,5,7]],"3159":[27,10,[482,5,1,11]],"3160":[24,6,[5,4,4,15]],"3161":[27,17,[1,5,1940,3]],"3162":[21,11,[23,5,431,6]],"3163":[27,3,[4,18,8,8]],"3164":[27,8,[24,11,1,5]],"3165":[25,5,[5,16,6,3]],"3166":[27,15,[1,4]],"3167":[27,16,[2119,6]],"3168":[21,8,[5,12]],"3169":[25,17,[2,5]],"3170":[18,13,[43,3]],"3171":[27,8,[4,17,8,4]],"3172":[27,6,[16,22]],"3173":[27,7,[8,17,68,4]],"3174":[21,8,[3,4,30,4,16,4]],"3175":[27,10,[96,6,3,6]],"3176":[26,15,[5,3,33,4]],"3177":[25,9,[4,8,5,3]],"3178":[22,12,[17,3,24,3]],"3179":[26,11,[5,5,7,4,1,4]],"3180":[27,12,[1,5,261,3,1555,4]],"3181":[27,12,[4,6,8,5,2,3,10,4]],"3182":[25,8,[1,11]],"3183":[23,15,[235,3,1,4]],"3184":[23,11,[4,4]],"3185":[23,18,[]],"3186":[27,10,[2398,4,77,4,1,3,31,4]],"3187":[25,12,[217,4]],"3188":[24,14,[14,3]],"3189":[24,2,[6,22]],"3190":[27,10,[1,10]],"3191":[23,10,[3,3,4,6]],"3192":[25,9,[4,12]],"3193":[27,6,[5,17,10,4]],"3194":[27,8,[4,19]],"3195":[24,14,[3,9]],"3196":[23,8,[23,3,3,6,39,4]],"3197":[27,10,[5,9,2,7]],"3198":[23,11,[96,4]],"3199":[27,9,[69,4,31,6,74,3,77,4]],"3200":[25,10,[4827,3,16,4,1,5]],"3201":[24,16,[]],"3202":[23,14,[4,5,3,3]],"3203":[27,19,[5,3,2,4,4,3]],"3204":[27,12,[3,3,1,6,28,4]],"3205":[27,9,[8,12,20,4]],"3206":[27,13,[16,6]],"3207":[24,14,[168,7,6,3]],"3208":[27,11,[860,11]],"3209":[27,17,[1,5]],"3210":[25,6,[4,10,2,4,13,6]],"3211":[27,25,[]],"3212":[27,21,[1,5,677,3]],"3213":[23,12,[3,4,4,3]],"3214":[27,14,[63,3,1,3,2,5,19,4]],"3215":[24,14,[3,6,6,3,23,3]],"3216":[27,10,[16,6,23,6,6,5]],"3217":[27,9,[6,4,2,4,34,4,7,7]],"3218":[27,5,[2,3,4,20]],"3219":[23,12,[1,6,1735,3]],"3220":[25,11,[6,6,10,4]],"3221":[27,10,[3,3,2,8]],"3222":[27,11,[14,3,8,6,2,4,19,4]],"3223":[27,10,[4,4,3,6,49,3]],"3224":[25,12,[8,6]],"3225":[27,8,[1750,14]],"3226":[26,7,[5,11,16,4,4,4]],"3227":[26,6,[24,4,16,16]],"3228":[23,11,[2857,11]],"3229":[25,12,[781,5]],"3230":[26,13,[6,3,1,6]],"3231":[25,9,[2,6,45,6]],"3232":[25,18,[1431,5]],"3233":[27,21,[1,3]],"3234":[27,11,[1298,8,596,4]],"3235":[26,12,[2,6,96,3,1,4]],"3236":[27,12,[4,6]],"3237":[27,14,[3,3,4,3]],"3238":[26,16,[5658,3,45,3]],"3239":[26,12,[7,3,193,6,269,5]],"3240":[24,16,[272,4]],"3241":[26,2,[2169,15,1866,11]],"3242":[24,9,[1,5,3,3,2060,6]],"3243":[26,19,[1,4,393,4]],"3244":[22,12,[]],"3245":[23,9,[4,8]],"3246":[17,14,[3,3]],"3247":[26,11,[31,4,1,4]],"3248":[20,6,[119,6,5,6]],"3249":[26,10,[1,9]],"3250":[26,6,[198,14,26,4]],"3251":[19,15,[3,3]],"3252":[26,11,[3,6]],"3253":[17,12,[2069,4]],"3254":[26,4,[8,12,4,10]],"3255":[24,10,[6,10]],"3256":[23,17,[6,4]],"3257":[26,17,[1,6]],"3258":[25,9,[4,6,312,4,54,4]],"3259":[26,16,[3,6]],"3260":[24,11,[1,4]],"3261":[24,12,[5,8,205,3]],"3262":[17,13,[3,4]],"3263":[21,18,[]],"3264":[25,16,[4,3,43,3,27,4]],"3265":[26,13,[2,3]],"3266":[26,11,[3,5,7,3,46,4]],"3267":[25,13,[2,4,11,6]],"3268":[25,13,[74,4,3,4]],"3269":[19,14,[3,5]],"3270":[16,8,[30,3]],"3271":[26,10,[1,10]],"3272":[24,8,[4,6,96,4,6,4]],"3273":[21,9,[2,7,1,3]],"3274":[26,13,[1,4,29,3]],"3275":[26,12,[2,7,654,4]],"3276":[26,15,[1,6,62,3]],"3277":[24,9,[4,8]],"3278":[19,10,[4,5]],"3279":[23,10,[3,5,6,4]],"3280":[23,13,[42,6,53,5]],"3281":[24,9,[4,6,3,4]],"3282":[17,13,[47,3]],"3283":[23,14,[24,3,3,4,1,3]],"3284":[26,11,[3,6,7,6,5,3,2,3]],"3285":[26,4,[85,6,8,10,23,9]],"3286":[26,12,[3,6,1,3,1868,5]],"3287":[26,8,[4,6,2399,10]],"3288":[26,9,[4,4,28,4,3,6]],"3289":[26,8,[77,10,3,4]],"3290":[26,10,[23,4,31,6]],"3291":[26,13,[413,4,1,4,3,3,3803,4]],"3292":[26,5,[3291,20]],"3293":[26,9,[70,4,19,8]],"3294":[26,10,[1,6,787,4,3,4]],"3295":[26,9,[3,8,13,6]],"3296":[26,12,[3,9,11,5]],"3297":[25,12,[4,9,9,3]],"3298":[26,11,[110,6]],"3299":[21,8,[7,4,5,6]],"3300":[26,14,[1,3,3,5,5928,3]],"3301":[26,7,[1,4,4,8,6,4,307,4]],"3302":[23,11,[28,4]],"3303":[24,13,[6,3,5,6]],"3304":[25,15,[4,7,1660,3]],"3305":[24,12,[914,4]],"3306":[23,19,[10,3]],"3307":[26,12,[10,3,3,6]],"3308":[26,8,[114,4,1,8,1036,4]],"3309":[26,5,[4,21]],"3310":[26,5,[1,20]],"3311":[26,10,[10,7,2,5,5,6]],"3312":[24,10,[4,6,3,5,813,4]],"3313":[24,15,[7,3,2,4]],"3314":[26,10,[4,12]],"3315":[26,13,[210,6,201,3,4,4]],"3316":[25,14,[8,3,17,4]],"3317":[23,9,[3,3,31,8]],"3318":[24,10,[4,4,3,4]],"3319":[24,9,[2,8]],"3320":[26,9,[10,6,3,6]],"3321":[22,14,[15,3]],"3322":[26,10,[6,4,69,8]],"3323":[26,10,[1,4,16,4,4,4]],"3324":[26,7,[5,10,74,4,70,4]],"3325":[26,9,[70,8,23,4]],"3326":[26,10,[2,8,7,3,10,4]],"3327":[26,10,[1,9]],"3328":[26,11,[1,4,30,4]],"3329":[18,8,[4,8]],"3330":[26,8,[1,13]],"3331":[26,9,[8,8,5,4]],"3332":[26,12,[917,4]],"3333":[26,2,[4,24]],"3334":[24,9,[28,6,1,4]],"3335":[26,10,[23,6,46,4]],"3336":[20,9,[4,4]],"3337":[26,16,[1,7]],"3338":[22,8,[3135,4,3,4,30,4]],"3339":[24,11,[1265,4]],"3340":[22,15,[5,3,3,3]],"3341":[24,15,[3,4]],"3342":[19,9,[1802,3]],"3343":[26,8,[3,10,4,4]],"3344":[26,11,[14,4,2,4]],"3345":[19,9,[17,4]],"3346":[22,7,[2406,5,259,8,79,4]],"3347":[24,13,[2,3,124,4]],"3348":[24,12,[15,5,48,4,3,3]],"3349":[25,8,[10,9,7,4]],"3350":[25,10,[8,9,4,4]],"3351":[22,15,[6,3,24,5]],"3352":[25,12,[62,6,145,3,90,3,267,3]],"3353":[24,8,[4,13]],"3354":[19,9,[4,4,1,3]],"3355":[22,13,[]],"3356":[19,4,[5,13]],"3357":[21,17,[1191,3]],"3358":[21,9,[4,4,1,3]],"3359":[25,11,[205,9,7,3,2512,3]],"3360":[25,5,[5,12,33,4,8,5]],"3361":[22,11,[6,3,3,4,4,3]],"3362":[20,11,[6,3,3,7]],"3363":[23,10,[3,4,1,4]],"3364":[25,8,[19,6,1,8,8,4]],"3365":[17,7,[2,4,4,4]],"3366":[17,7,[4,6]],"3367":[24,17,[83,3,3,3]],"3368":[25,5,[16,21]],"3369":[25,9,[74,8,5,4]],"3371":[24,15,[260,4]],"3372":[25,12,[152,3,1,8]],"3373":[25,12,[606,8,2474,4]],"3374":[25,6,[5,7,69,10]],"3375":[23,9,[4,4,8,3,3,4,16,4]],"3376":[25,13,[3,4,112,3]],"3377":[23,16,[3,4,2855,4]],"3378":[24,12,[4,9,8,3]],"3379":[23,10,[4,6]],"3380":[24,11,[1416,10,1,4]],"3381":[23,9,[1,4,262,4,1967,4]],"3382":[21,10,[68,4]],"3383":[22,13,[1,4]],"3384":[25,8,[4,16]],"3385":[25,11,[1,6]],"3386":[20,10,[4,3,2,4]],"3387":[23,10,[4,3,3,3,23,9]],"3388":[23,10,[8,9,6,3,3,4]],"3389":[22,8,[6,6,1,4]],"3390":[25,8,[1166,3,178,8,744,4,3237,4]],"3391":[25,8,[16,12]],"3392":[25,10,[1547,3,1,4,2540,5]],"3393":[23,19,[477,3]],"3394":[22,14,[7,4,16,3]],"3395":[25,11,[2,3,8,5]],"3396":[23,9,[29,5,4,4]],"3397":[25,6,[1,13,1382,6]],"3398":[23,12,[4,5]],"3399":[19,11,[3,4,6,3,5,4]],"3400":[21,12,[6,6,16,3]],"3401":[19,12,[3,3,504,4]],"3402":[25,13,[]],"3403":[20,6,[1,10]],"3404":[25,13,[2,6,7,3,3,3]],"3405":[20,12,[4,7]],"3406":[23,14,[1,3,24,3,5,3]],"3407":[24,13,[8,5,2,3]],"3408":[22,16,[4,3,6,4]],"3409":[24,8,[7,11,2,7]],"3410":[25,21,[1,3]],"3411":[23,10,[14,3,2,5,32,3]],"3412":[25,7,[23,9,10,4,6,4]],"3413":[17,11,[5,3,2,4]],"3414":[24,13,[6,4]],"3415":[25,14,[3,5,1,4]],"3416":[24,12,[3,12]],"3417":[25,12,[3,10,4329,4]],"3418":[19,8,[3,4,1,3]],"3419":[23,9,[6,3,3,6]],"3420":[24,9,[331,4,1,4,641,6]],"3421":[23,12,[1,7,41,4]],"3422":[24,17,[175,3,1,4]],"3423":[22,9,[4,9]],"3424":[23,8,[70,8,14,3]],"3425":[20,14,[3,3,6,3]],"3426":[22,15,[3,5]],"3427":[22,10,[4,13]],"3428":[22,15,[16,3,3,3]],"3429":[25,12,[28,4]],"3430":[17,9,[]],"3431":[25,11,[3,4,69,4,1,4]],"3432":[19,15,[]],"3433":[22,5,[396,18]],"3434":[20,11,[5,4,10,6]],"3435":[23,11,[5,5,64,4]],"3436":[24,20,[]],"3437":[24,14,[2,3,10,5,7,4]],"3438":[23,20,[]],"3439":[19,11,[5,8]],"3440":[22,7,[5,12]],"3441":[22,11,[2,8]],"3442":[24,19,[1,3]],"3443":[22,11,[4,3]],"3444":[16,7,[4,4]],"3445":[21,14,[58,3]],"3446":[24,13,[4,5,2,4]],"3447":[21,13,[1,3,2910,3,4147,3,5671,3]],"3448":[23,13,[1,8]],"3449":[22,7,[4,6,3,6]],"3450":[24,11,[85,4]],"3451":[22,16,[10,4]],"3452":[24,10,[3,5,4,10]],"3453":[18,6,[4,8]],"3454":[24,12,[18,4]],"3455":[22,9,[157,4,3,6]],"3456":[19,10,[28,3,30,3]],"3457":[18,7,[3,9]],"3458":[24,13,[3,5,262,3,1065,3]],"3459":[24,15,[6,4,2,4]],"3460":[22,15,[572,3]],"3461":[23,17,[1,3]],"3462":[24,9,[2,5,8,9]],"3463":[19,12,[8,6]],"3464":[22,3,[16,19]],"3465":[24,11,[7,3,1,7,2,3]],"3466":[20,14,[3,4]],"3467":[22,9,[8,13]],"3468":[22,9,[10,4,27,3,5,6,3,4]],"3469":[21,14,[3,3,4,4]],"3470":[24,11,[22,4]],"3471":[22,15,[1,4]],"3472":[24,19,[4,4]],"3473":[22,9,[4,7]],"3474":[20,10,[2,4,85,4]],"3475":[24,13,[5,8]],"3476":[24,16,[16,3,48,3,2,3]],"3477":[14,8,[67,4]],"3478":[21,11,[6,5,4,5]],"3479":[20,13,[3,5]],"3480":[22,7,[5,6,3,6]],"3481":[22,10,[1081,4]],"3482":[22,7,[1,6,4713,6]],"3483":[18,7,[5,4,4,4]],"3484":[20,9,[4,4]],"3485":[24,10,[262,4,1,4]],"3486":[24,14,[8,3,6,4]],"3487":[24,11,[1,6]],"3488":[22,11,[4,6,3,5]],"3489":[23,11,[5,4,1,5]],"3490":[24,8,[1,12]],"3491":[24,10,[1042,4,126,4]],"3492":[24,13,[]],"3493":[23,14,[6,4,23,3]],"3494":[24,16,[6,3]],"3495":[22,17,[]],"3496":[18,9,[5,3,517,4]],"3497":[22,8,[70,4,3,4,2,4]],"3498":[22,9,[82,4,17,4]],"3499":[23,7,[4,12]],"3500":[24,10,[3,4,19,4]],"3501":[24,9,[1770,6,4,4]],"3502":[22,13,[2,7]],"3503":[24,9,[35,3,6,12]],"3504":[24,8,[2730,4,1,8]],"3505":[20,5,[4,12]],"3506":[22,19,[]],"3507":[23,10,[24,3,2,3,31,6]],"3508":[24,6,[31,9,74,6,69,4]],"3509":[22,11,[]],"3510":[24,9,[7,9,4,3,1,4]],"3511":[16,7,[2,4]],"3512":[24,9,[866,8,153,6]],"3513":[24,6,[4,4,3,3,23,12]],"3514":[24,10,[3998,3,1,4,49,3]],"3515":[22,10,[4,4]],"3516":[22,6,[110,4,281,10]],"3517":[24,12,[]],"3518":[19,9,[1,4]],"3519":[22,7,[218,10]],"3520":[24,11,[5691,4]],"3521":[24,15,[7,4,3,4]],"3522":[24,17,[]],"3523":[24,13,[6,8,105,4]],"3524":[22,7,[5,11]],"3525":[21,13,[3,3]],"3526":[22,10,[4,4,3,4]],"3527":[24,11,[429,3,526,3,637,5,203,3]],"3528":[24,12,[5,4]],"3529":[13,7,[6,4]],"3530":[22,15,[4,6]],"3531":[24,14,[2866,4,352,3]],"3532":[21,10,[4,9,10,3]],"3533":[19,8,[276,6,8,4]],"3534":[24,1,[4,24]],"3535":[20,14,[31,6]],"3536":[24,6,[575,4,32,7,58,9]],"3537":[21,8,[5,14]],"3538":[23,14,[5,7]],"3539":[22,13,[6,3]],"3540":[18,8,[4,4]],"3541":[24,11,[1,8]],"3542":[20,10,[12,3]],"3543":[18,8,[520,5,107,4]],"3544":[22,9,[4,4,67,4]],"3545":[22,6,[3,12]],"3546":[24,12,[18,4]],"3547":[22,10,[4,6,67,3,92,4]],"3548":[24,14,[3,3]],"3549":[22,18,[4,3]],"3550":[24,11,[17,4]],"3551":[22,11,[3,4]],"3552":[24,11,[92,8]],"3553":[24,11,[189,4]],"3554":[20,7,[4,10]],"3555":[23,6,[4,18]],"3556":[24,10,[926,4,1,3,1591,6]],"3557":[24,10,[92,4,2,4]],"3558":[21,7,[5,12]],"3559":[20,14,[177,5]],"3560":[18,3,[3560,14]],"3561":[24,8,[1,10]],"3562":[22,8,[226,10,685,3,103,3]],"3563":[24,12,[15,4,2,5]],"3564":[24,14,[3,3]],"3565":[19,15,[5,3]],"3566":[24,10,[5,3,6,5,10,8]],"3567":[20,8,[71,4,63,4]],"3568":[23,12,[3,8,39,3,390,3]],"3569":[24,9,[6,4,808,4,4,4]],"3570":[24,12,[1,4]],"3571":[20,7,[196,13]],"3572":[22,12,[5,3,1,5]],"3573":[23,13,[6,6]],"3574":[23,17,[1,3]],"3575":[17,10,[24,3,3,3]],"3576":[23,10,[8,11,181,4]],"3577":[23,10,[40,3,7,5,5,5]],"3578":[23,11,[1905,3,1,7]],"3579":[23,13,[1251,3,159,3,123,4]],"3580":[23,11,[8,3,1,4,2,6]],"3581":[23,8,[5,12,36,4]],"3582":[18,8,[10,4,3997,4,3169,4]],"3583":[23,7,[1,11]],"3584":[16,7,[3,3,23,4]],"3585":[22,11,[3,6,901,3]],"3586":[23,11,[1,5,29,4,6,4]],"3587":[15,7,[3,4]],"3588":[20,12,[6,7]],"3589":[21,11,[]],"3590":[21,12,[31,3,3,3]],"3591":[23,11,[3,3,1,5]],"3592":[23,15,[]],"3593":[21,8,[1,5,5,6]],"3594":[23,15,[778,6]],"3595":[19,13,[3,3]],"3596":[22,14,[57,3,364,3]],"3597":[20,10,[3,5,10,3]],"3598":[18,10,[4,3]],"3599":[23,9,[385,10,1,5]],"3600":[21,9,[1,7,22,3]],"3601":[18,8,[3,10]],"3602":[23,9,[3,4,69,4,513,4]],"3603":[23,4,[4,20]],"3604":[23,10,[40,3,7,8,2,3]],"3605":[23,14,[2,6]],"3606":[23,16,[4,4]],"3607":[23,14,[4,6]],"3608":[23,11,[1,4]],"3609":[23,8,[5,7,85,6]],"3610":[20,13,[3,5]],"3611":[23,16,[1,3,2,3]],"3612":[23,12,[2,4,3,3,1,4]],"3613":[22,10,[20,4]],"3614":[23,18,[1,4]],"3615":[23,9,[2,8,251,4]],"3616":[22,10,[23,4,85,5,10,3]],"3617":[21,7,[4,11,6,3]],"3618":[23,16,[1617,6]],"3619":[18,11,[5,4,3,3,7,3]],"3620":[23,12,[5,3]],"3621":[23,12,[754,6]],"3622":[23,7,[4,5,1,8]],"3623":[21,9,[2193,3,1,4]],"3624":[23,17,[1,4]],"3625":[23,10,[1,6]],"3626":[21,10,[61,4,4,4]],"3627":[21,12,[3,3,1,3,46,4]],"3628":[21,11,[3,3,1,4]],"3629":[23,11,[353,4]],"3630":[23,11,[31,3,23,3]],"3631":[23,17,[1,3]],"3632":[22,11,[1907,7,1,3]],"3633":[23,8,[4,7,809,4,10,5]],"3634":[17,10,[]],"3635":[21,12,[1691,4]],"3636":[20,15,[16,4]],"3637":[22,17,[5,4]],"3638":[23,8,[2,10]],"3639":[21,1,[4,21]],"3640":[21,8,[6,14]],"3641":[18,7,[3,9]],"3642":[23,9,[70,10]],"3643":[21,6,[2244,10,1,4]],"3644":[18,12,[1,4,3,3]],"3645":[22,14,[4,5,3,4]],"3646":[23,8,[1,10,3,4]],"3647":[20,6,[3,6,17,4,8,4]],"3648":[18,8,[39,4]],"3649":[23,14,[2,6,8,4]],"3650":[19,10,[3,5,1947,4]],"3651":[19,12,[3,7]],"3652":[23,10,[5,7,31,3]],"3653":[23,11,[4,7,69,4,6,3]],"3654":[18,12,[3118,4]],"3655":[23,12,[]],"3656":[23,12,[1,4,2,4]],"3657":[23,9,[4,10,39,4]],"3658":[21,9,[3,4,49,4]],"3659":[23,8,[2,3,7,8,11,3]],"3660":[23,5,[5,12,2,3,7,4]],"3661":[23,11,[6,3,1,6]],"3662":[19,13,[255,3]],"3663":[18,12,[4,5]],"3664":[21,9,[1,3,3664,4]],"3665":[21,10,[1,4]],"3666":[19,14,[5,6]],"3667":[17,7,[1,3,3,4]],"3668":[23,7,[305,6,3,3,2111,6]],"3669":[16,7,[4,3,575,4]],"3670":[20,15,[6,4]],"3671":[19,9,[305,4]],"3672":[22,7,[1,3,4,10]],"3673":[20,10,[4,3,6,3,77,4]],"3674":[21,10,[1,6,3,4]],"3675":[21,8,[6,4,58,3,16,8]],"3676":[23,10,[74,4,6,3]],"3677":[9,5,[]],"3678":[23,11,[2,3,30,4]],"3679":[19,9,[1,4,4,3]],"3680":[23,10,[4,3,1,4]],"3681":[17,14,[]],"3682":[19,13,[12,4]],"3683":[19,7,[230,7,259,4,79,3]],"3684":[22,7,[5038,8,31,4]],"3685":[19,6,[4,13]],"3686":[20,13,[4,6]],"3687":[18,8,[3,5,4,4]],"3688":[21,13,[2172,3,1,3,221,4]],"3689":[22,2,[308,21]],"3690":[22,16,[14,3]],"3691":[17,11,[3,4]],"3692":[17,8,[1,3,3,4]],"3693":[20,10,[5,4]],"3694":[22,8,[5,10]],"3695":[17,10,[4,4,3,3]],"3696":[22,9,[1,6,2215,4]],"3697":[22,2,[4,21]],"3698":[22,5,[2,14]],"3699":[22,10,[61,4]],"3700":[22,5,[4,14]],"3701":[20,11,[1,4]],"3702":[22,11,[4,7]],"3703":[19,11,[1,3,3,3,5,3]],"3704":[18,8,[3,4]],"3705":[20,9,[3,4]],"3706":[22,14,[]],"3707":[22,14,[1,3,3,5]],"3708":[22,8,[4,6,601,4]],"3709":[22,13,[11,4,2,5]],"3710":[20,11,[1,4]],"3711":[22,12,[1,4,284,3]],"3712":[15,13,[]],"3713":[20,6,[39,6,10,4,3,4]],"3714":[22,8,[217,6,6,4]],"3715":[22,17,[1,3]],"3716":[16,7,[2,4]],"3717":[14,9,[]],"3718":[18,12,[4,3,8,3,23,3]],"3719":[22,14,[2,5]],"3720":[21,16,[]],"3721":[21,10,[2847,7,1,3]],"3722":[22,12,[3,6,554,3]],"3723":[20,15,[25,3]],"3724":[20,10,[8,6]],"3725":[20,12,[5,7]],"3726":[20,7,[5,8,4,6]],"3727":[22,9,[1227,4,3,4]],"3728":[19,15,[]],"3729":[21,15,[16,7]],"3730":[22,10,[74,3,96,4]],"3731":[22,9,[1,6,1482,4]],"3732":[20,12,[4,4]],"3733":[20,9,[6,4]],"3734":[22,8,[2,3,62,3,64,10]],"3735":[14,7,[3,4,6,5]],"3736":[18,9,[]],"3737":[20,14,[]],"3738":[22,8,[46,8]],"3739":[22,10,[23,4]],"3740":[19,9,[4,4,1,3]],"3741":[22,10,[1,4]],"3742":[22,16,[1,3,205,3]],"3743":[22,12,[1,3,3,5,35,3]],"3744":[19,10,[4,6,9,3]],"3745":[21,11,[4,3,5,4,31,3]],"3746":[22,2,[4,20]],"3747":[22,1,[94,22]],"3748":[22,13,[2,3,10,3,58,3]],"3749":[21,7,[10,4,6,6,8,3,308,3]],"3750":[20,8,[1,6]],"3751":[18,6,[6,6,1,4]],"3752":[22,14,[24,4,23,5]],"3753":[22,10,[22,4]],"3754":[22,19,[]],"3755":[21,19,[]],"3756":[18,14,[4,3]],"3757":[18,8,[171,4]],"3758":[20,9,[1,5]],"3759":[22,8,[1,3,5,4,6,4,96,4]],"3760":[21,15,[5,3,3,4]],"3761":[20,12,[3,4,1,3,4,3]],"3762":[22,14,[1,4]],"3763":[22,6,[1,12]],"3764":[17,9,[10,3,4,4]],"3765":[22,10,[18,4]],"3766":[22,20,[]],"3767":[19,8,[3,4,2,4]],"3768":[19,3,[4,15]],"3769":[18,9,[]],"3770":[22,10,[100,4,1,3]],"3771":[22,11,[1,3]],"3772":[22,5,[5,8,1,8]],"3773":[20,9,[12,4]],"3774":[20,9,[21,4]],"3775":[20,9,[6,4]],"3776":[19,11,[8,3,5,4]],"3777":[22,11,[]],"3778":[20,10,[31,6,7,4]],"3779":[22,7,[1,11]],"3780":[19,16,[]],"3781":[22,17,[98,4]],"3782":[21,16,[]],"3783":[21,13,[2,3,181,4]],"3784":[18,8,[39,3,5,4]],"3785":[22,9,[14,4,4,4]],"3786":[21,11,[1084,5,3,4,572,3]],"3787":[22,10,[1,4]],"3788":[20,7,[1,4,7,4,3,4]],"3789":[21,13,[4,4,10,3]],"3790":[20,8,[4,3,3,6]],"3791":[20,11,[1,3,4,7]],"3792":[17,11,[7,3]],"3793":[22,20,[2192,3]],"3794":[22,8,[67,4,31,8]],"3795":[20,13,[4,6]],"3796":[21,13,[68,6]],"3797":[19,13,[3,3,1,4]],"3798":[22,4,[5,16]],"3799":[22,10,[202,3,304,3,1084,3,4,5,1580,3]],"3800":[20,6,[4,6,6,6]],"3801":[22,8,[10,10]],"3802":[22,9,[171,6,1,4]],"3803":[19,15,[27,4]],"3804":[22,4,[1,17]],"3805":[17,13,[4,4]],"3806":[22,12,[6,3]],"3807":[22,18,[]],"3808":[22,7,[5,7,10,4,28,4]],"3809":[22,11,[4,4]],"3810":[22,11,[23,5,5,3]],"3811":[19,8,[12,4,5,4]],"3812":[22,12,[1,4]],"3813":[16,9,[2,4]],"3814":[20,5,[4,8,5,6]],"3815":[22,5,[1,16]],"3816":[20,9,[8,4]],"3817":[22,10,[3,4]],"3818":[16,8,[]],"3819":[14,7,[]],"3820":[22,14,[2377,4,1,3]],"3821":[22,9,[19,4,371,4]],"3822":[22,6,[2005,10,6,4]],"3823":[21,13,[3,5]],"3824":[20,17,[]],"3825":[22,10,[2,8]],"3826":[22,12,[]],"3827":[20,9,[4,4]],"3828":[14,6,[3,4]],"3829":[20,7,[1,6,16,4]],"3830":[22,6,[21,4,2,8,1,4]],"3831":[22,8,[1,4,206,6]],"3832":[14,6,[16,4]],"3833":[22,7,[216,6,5,4,281,4]],"3834":[20,10,[2,10]],"3835":[22,7,[23,6,7,4,2,4]],"3836":[21,14,[193,4,269,4]],"3837":[17,10,[789,4,79,3]],"3838":[21,13,[269,6,79,3]],"3839":[18,7,[79,7]],"3840":[18,9,[2406,4,259,3,79,3]],"3841":[18,10,[4,6,27,3]],"3842":[17,9,[4,8]],"3843":[21,7,[8,8,7,4,2,4]],"3844":[21,9,[5,4,2921,4]],"3845":[18,8,[4,4]],"3846":[19,9,[171,4]],"3847":[20,10,[6,6,10,4]],"3848":[21,9,[8,4,5,4]],"3849":[21,14,[2,6]],"3850":[14,7,[]],"3851":[21,10,[4,4]],"3852":[21,7,[1,3,773,8]],"3853":[17,10,[]],"3854":[19,11,[3,4,31,4]],"3855":[20,10,[70,3,10,4]],"3856":[21,17,[1,3]],"3857":[18,16,[]],"3858":[18,8,[3,4]],"3859":[19,12,[6,5]],"3860":[13,11,[3,3]],"3861":[19,12,[4,3]],"3862":[21,15,[600,3,5,4]],"3863":[21,11,[2,4,23,8]],"3864":[21,9,[1,6]],"3865":[20,8,[6,4,41,5,1100,4]],"3866":[21,13,[4,5]],"3867":[21,12,[1,6]],"3868":[16,7,[4,4]],"3869":[19,8,[4,7]],"3870":[18,9,[1,6]],"3871":[18,13,[10,4]],"3872":[19,11,[3,3,5,5]],"3873":[20,7,[3,9,8,5]],"3874":[19,10,[1,5]],"3875":[21,11,[]],"3876":[17,12,[1,3]],"3877":[16,11,[477,5]],"3878":[16,7,[61,4]],"3879":[20,13,[4,6]],"3880":[20,9,[58,3,3,3,210,3,2,4]],"3881":[21,10,[1,8]],"3882":[19,11,[4,5,3,3]],"3883":[21,9,[4,6,2,8]],"3884":[21,12,[]],"3885":[16,8,[3,3]],"3886":[21,7,[2,4,31,8]],"3887":[19,6,[4,11,3,4]],"3888":[21,13,[1,6,2,4]],"3889":[19,9,[31,4]],"3890":[21,16,[1,5]],"3891":[19,9,[6,6,5,3]],"3892":[20,12,[4,7,10,3]],"3893":[21,10,[5,3,2002,4,700,4]],"3894":[21,9,[2,4,1,4,46,4]],"3895":[20,4,[6,16]],"3896":[21,10,[3141,9]],"3897":[19,6,[4,13]],"3898":[18,8,[181,4,13,3]],"3899":[19,12,[210,7]],"3900":[20,13,[422,3,5,3,518,3]],"3901":[20,12,[1782,4,4,4]],"3902":[16,9,[8,3]],"3903":[20,15,[]],"3904":[14,10,[]],"3905":[15,8,[]],"3906":[21,8,[1,5,65,4]],"3907":[19,9,[3,3]],"3908":[21,10,[1,7]],"3909":[18,10,[2,4,8,4]],"3910":[20,13,[]],"3911":[18,6,[4,8,5,3]],"3912":[18,7,[4,6]],"3913":[15,6,[1,3,3,4]],"3914":[21,6,[4,14]],"3915":[19,14,[5,4]],"3916":[21,12,[122,4,1,3]],"3917":[18,8,[4,7,85,4]],"3918":[19,10,[]],"3919":[19,10,[]],"3920":[20,8,[1,4,96,4]],"3921":[20,16,[]],"3922":[21,11,[972,5,402,4]],"3923":[21,10,[346,4]],"3924":[21,15,[1,3]],"3925":[10,6,[]],"3926":[19,11,[4,6,10,3]],"3927":[21,7,[4,12,415,3]],"3928":[16,13,[]],"3929":[21,9,[688,4,1,4]],"3930":[21,8,[3,7]],"3931":[17,10,[3,3]],"3932":[20,11,[6,5]],"3933":[19,12,[3,3,10,3,5,3]],"3934":[20,9,[2,8,11,5]],"3935":[21,17,[5,4]],"3936":[21,13,[34,4]],"3937":[21,12,[1078,3,3,3,5,4]],"3938":[21,10,[168,4]],"3939":[20,9,[24,4,2,3,6,4]],"3940":[17,9,[]],"3941":[19,10,[5,7,16,3]],"3942":[19,4,[5,16]],"3943":[21,9,[168,3,4,6]],"3944":[19,10,[168,4,5,4,10,4]],"3945":[19,13,[4,3]],"3946":[21,10,[188,4,4,4]],"3947":[19,8,[3,3,4,4]],"3948":[20,13,[31,3,2,3]],"3949":[19,10,[6,3]],"3950":[20,11,[2,3,1,5]],"3951":[21,9,[96,4,353,4]],"3952":[21,9,[4,6]],"3953":[21,2,[763,19]],"3954":[19,15,[]],"3955":[20,9,[69,4,162,5]],"3956":[20,8,[6,5,19,4]],"3957":[20,9,[4,5,27,3,3,4]],"3958":[21,6,[6,5,5,6,168,4]],"3959":[16,8,[1,4]],"3960":[21,5,[24,15]],"3961":[16,8,[3,5]],"3962":[21,12,[]],"3963":[18,15,[6,3]],"3964":[21,12,[5,6]],"3965":[21,12,[]],"3966":[21,6,[19,12]],"3967":[19,9,[4,4]],"3968":[21,18,[]],"3969":[17,10,[3,5]],"3970":[18,12,[41,3]],"3971":[21,17,[2,3]],"3972":[18,8,[1,7]],"3973":[18,12,[55,3]],"3974":[19,12,[2,3,217,4]],"3975":[21,14,[2,5]],"3976":[21,10,[1,3,558,7]],"3977":[19,7,[193,4,230,3,269,4,2110,4]],"3978":[16,10,[]],"3979":[20,9,[1,4]],"3980":[20,8,[3,4,4,10]],"3981":[16,6,[4,9]],"3982":[2,1,[]],"3983":[20,13,[267,4,1,3]],"3984":[20,9,[1,6]],"3985":[18,5,[6,6,8,5,5,5]],"3986":[18,7,[4,9,6,3]],"3987":[20,8,[4,8,8,5]],"3988":[20,5,[5,12,21,4]],"3989":[18,7,[4,6]],"3990":[20,7,[3,4,5,4,19,4]],"3991":[18,6,[4,8]],"3992":[19,11,[3,7]],"3993":[16,8,[1,4]],"3994":[19,7,[5,10]],"3995":[17,9,[3,5,1,3]],"3996":[10,4,[65,4]],"3997":[20,16,[3,4]],"3998":[15,10,[1,3]],"3999":[20,3,[5,16]],"4000":[20,7,[1,8]],"4001":[20,5,[4,12]],"4002":[17,12,[673,5]],"4003":[16,9,[]],"4004":[17,7,[4,10]],"4005":[18,8,[5,4]],"4006":[14,4,[49,9]],"4007":[20,11,[4,3]],"4008":[18,7,[4,11]],"4009":[20,11,[4,4,3,5]],"4010":[15,13,[]],"4011":[20,7,[1,8]],"4012":[18,6,[31,8]],"4013":[20,12,[205,4,431,3,4,3]],"4014":[20,10,[]],"4015":[20,10,[1,4]],"4016":[20,8,[1,6]],"4017":[20,6,[2172,10,24,4]],"4018":[20,10,[2,8,8,4]],"4019":[18,7,[4,5,5,5,3,4]],"4020":[18,9,[4,5,6,3]],"4021":[20,15,[2,4]],"4022":[20,11,[]],"4023":[16,8,[23,4,3,4]],"4024":[16,7,[8,4]],"4025":[20,14,[385,3]],"4026":[19,16,[11,3]],"4027":[20,8,[3,4,29,4]],"4028":[20,6,[1,6,1412,6]],"4029":[20,13,[31,5]],"4030":[19,8,[1,7]],"4031":[20,7,[1497,4,45,6]],"4032":[10,5,[]],"4033":[20,9,[33,5,1,3]],"4034":[20,10,[3,4]],"4035":[20,10,[]],"4036":[20,11,[]],"4037":[20,8,[1100,6]],"4038":[20,12,[5,4]],"4039":[20,7,[6,4,77,6]],"4040":[18,8,[4,6]],"4041":[20,8,[2,8]],"4042":[12,5,[10,4]],"4043":[17,3,[8,8,5,8]],"4044":[20,9,[41,4]],"4045":[19,10,[10,3,5,7]],"4046":[20,9,[87,9,1,3]],"4047":[20,14,[27,5]],"4048":[18,12,[31,3]],"4049":[4,3,[]],"4050":[16,11,[55,3]],"4051":[20,6,[68,6,24,6]],"4052":[18,8,[3,4]],"4053":[20,8,[4,6]],"4054":[18,6,[217,4,3,6]],"4055":[18,9,[]],"4056":[18,10,[]],"4057":[18,9,[904,4]],"4058":[20,15,[]],"4059":[20,4,[191,12,3282,5]],"4060":[18,13,[25,5]],"4061":[20,8,[14,4,8,6]],"4062":[20,14,[]],"4063":[20,7,[106,8]],"4064":[20,10,[10,6]],"4065":[20,11,[6,4]],"4066":[20,6,[1,10]],"4067":[18,7,[92,3,3,3,5,4]],"4068":[16,8,[]],"4069":[19,8,[4,6]],"4070":[20,12,[16,5]],"4071":[20,8,[1095,10]],"4072":[20,12,[1,3]],"4073":[20,13,[5,3,6,4]],"4074":[20,9,[4,6,10,7]],"4075":[20,13,[4,3]],"4076":[20,9,[55,3,6,3,4,5]],"4077":[11,10,[]],"4078":[17,7,[3,5,4,4]],"4079":[18,11,[1,3]],"4080":[18,8,[105,4]],"4081":[18,11,[4,5,6,3]],"4082":[16,8,[]],"4083":[20,16,[2,3]],"4084":[20,10,[]],"4085":[16,8,[]],"4086":[20,9,[2,5,14,4]],"4087":[20,9,[6,6]],"4088":[19,6,[4,14]],"4089":[18,12,[6,3,4,4]],"4090":[20,9,[3,6]],"4091":[20,10,[31,3,4,4]],"4092":[19,15,[]],"4093":[13,10,[]],"4094":[19,12,[1,6]],"4095":[18,8,[1,4]],"4096":[20,9,[27,3,6,5,4,4]],"4097":[20,10,[10,4,4,5]],"4098":[20,11,[2,6]],"4099":[20,6,[657,4,3,6,1,4]],"4100":[20,7,[1636,4,244,10]],"4101":[18,15,[3,3]],"4102":[18,8,[5,4,4,7]],"4103":[20,10,[2,7,11,4]],"4104":[19,12,[19,4]],"4105":[20,9,[2,10,1137,3]],"4106":[20,13,[1,4]],"4107":[20,9,[1,6]],"4108":[19,5,[5512,11,1,3]],"4109":[20,13,[23,3,3,3]],"4110":[18,8,[1,4,3,4]],"4111":[20,8,[405,4,1,4,284,6]],"4112":[19,11,[5,3,2,6]],"4113":[19,8,[24,4,1,3,2,3]],"4114":[20,10,[]],"4115":[20,11,[]],"4116":[20,8,[1,8]],"4117":[15,10,[24,3]],"4118":[20,8,[4,6]],"4119":[18,9,[]],"4120":[15,7,[3,5,5,3]],"4121":[20,16,[]],"4122":[20,16,[1,3]],"4123":[17,12,[8,3]],"4124":[18,8,[4,8]],"4125":[19,12,[6,3]],"4126":[20,7,[24,6,427,4]],"4127":[20,11,[]],"4128":[20,9,[1,4]],"4129":[17,14,[583,3]],"4130":[19,10,[3,6]],"4131":[18,9,[]],"4132":[18,7,[5,3,2,7,11,4]],"4133":[20,10,[1,6]],"4134":[20,16,[1,3]],"4135":[19,13,[1,3]],"4136":[20,6,[549,4,6,8]],"4137":[20,14,[8,4]],"4138":[20,7,[1,8]],"4139":[20,9,[1,4]],"4140":[18,9,[3,7,8,3]],"4141":[20,9,[1,6]],"4142":[20,9,[123,3,329,5,319,3]],"4143":[16,7,[2,4]],"4144":[19,17,[]],"4145":[20,8,[1,6]],"4146":[14,12,[9,3]],"4147":[16,10,[259,5]],"4148":[19,4,[24,13]],"4149":[19,11,[1421,8]],"4150":[19,9,[866,4,2192,5]],"4151":[16,9,[3,4,1520,4]],"4152":[10,5,[]],"4153":[14,13,[]],"4154":[15,12,[]],"4155":[18,15,[]],"4156":[18,12,[]],"4157":[17,7,[4,8]],"4158":[17,7,[172,3,4,5]],"4159":[16,6,[2,4,41,4]],"4160":[12,6,[8,3]],"4161":[16,12,[1,4]],"4162":[19,7,[16,11]],"4163":[15,8,[]],"4164":[16,6,[10,6]],"4165":[17,9,[3790,4]],"4166":[19,9,[5,4,1,4]],"4167":[16,13,[4,3]],"4168":[18,8,[1,4]],"4169":[16,5,[4,9,10,4]],"4170":[19,9,[1,3,256,5,5363,4]],"4171":[13,7,[]],"4172":[19,7,[4,11]],"4173":[19,10,[4,3,6,3]],"4174":[17,10,[59,5,187,4]],"4175":[12,9,[39,3]],"4176":[15,12,[]],"4177":[17,7,[6,6]],"4178":[15,8,[]],"4179":[19,6,[68,8,125,4]],"4180":[19,15,[]],"4181":[19,14,[8,3]],"4182":[16,9,[4,3]],"4183":[19,12,[3,3,374,3]],"4184":[14,11,[]],"4185":[17,9,[3,6]],"4186":[17,11,[4,5]],"4187":[19,10,[]],"4188":[19,8,[1,5,3,3]],"4189":[19,8,[4,10]],"4190":[19,10,[205,7,1,3]],"4191":[19,9,[10,10]],"4192":[18,6,[4,12]],"4193":[19,11,[8,7]],"4194":[17,8,[3,8]],"4195":[17,14,[3,3]],"4196":[19,5,[1,12]],"4197":[16,7,[4,6,6,3]],"4198":[18,13,[1,3]],"4199":[18,17,[]],"4200":[17,9,[]],"4201":[15,9,[3,4]],"4202":[16,6,[4,4,3,4]],"4203":[19,14,[3,3]],"4204":[16,8,[3,9]],"4205":[17,13,[]],"4206":[19,8,[7,4,5,4]],"4207":[19,9,[17,3,32,4]],"4208":[17,5,[4,7,2,4]],"4209":[16,8,[5,3,3,5]],"4210":[17,16,[]],"4211":[17,11,[445,5]],"4212":[11,10,[]],"4213":[17,8,[6,5,5,5]],"4214":[12,10,[]],"4215":[18,7,[210,3,3,6,16,4]],"4216":[18,14,[247,4]],"4217":[19,9,[5,6]],"4218":[19,6,[1,3,5,6,22,4]],"4219":[15,5,[29,3,4,6]],"4220":[19,5,[4,11]],"4221":[18,15,[]],"4222":[16,13,[]],"4223":[18,11,[10,3]],"4224":[19,7,[1,6,1875,4]],"4225":[18,14,[]],"4226":[17,9,[74,3,24,6]],"4227":[17,10,[4,5]],"4228":[16,9,[16,6]],"4229":[19,19,[]],"4230":[16,7,[4,9]],"4231":[19,7,[70,8]],"4232":[19,2,[4,17]],"4233":[19,9,[1796,4]],"4234":[17,8,[4849,4]],"4235":[19,12,[384,5]],"4236":[19,7,[6,5,24,4]],"4237":[18,10,[4,4,6,4]],"4238":[19,9,[1,4]],"4239":[17,8,[2,4]],"4240":[16,11,[54,4]],"4241":[19,16,[1,4]],"4242":[13,9,[]],"4243":[17,9,[]],"4244":[13,8,[]],"4245":[19,9,[157,4]],"4246":[19,15,[5,3]],"4247":[17,9,[4,4,3,4]],"4248":[19,10,[1,5]],"4249":[19,13,[5,3,31,4]],"4250":[15,6,[4,10]],"4251":[18,12,[21,3,8,4]],"4252":[19,7,[58,6,4,3,46,3]],"4253":[19,12,[1,5]],"4254":[18,9,[4,4,8,4]],"4255":[17,5,[5,12]],"4256":[17,8,[2,3,3,3]],"4257":[19,9,[6,4]],"4258":[19,9,[2,4]],"4259":[19,10,[5,4]],"4260":[18,6,[4,11,39,3]],"4261":[17,8,[4,5,6,5]],"4262":[18,7,[8,9,68,4]],"4263":[16,4,[4,11]],"4264":[18,10,[2,5]],"4265":[18,9,[3,5]],"4266":[15,8,[5956,3,7,4]],"4267":[18,9,[]],"4268":[17,14,[]],"4269":[17,8,[1,6]],"4270":[19,10,[]],"4271":[19,13,[5,4]],"4272":[19,9,[50,4]],"4273":[19,8,[70,4,74,4]],"4274":[18,10,[]],"4275":[19,10,[]],"4276":[19,12,[6,4,21,3]],"4277":[15,11,[6,3]],"4278":[18,8,[668,4,4,3]],"4279":[17,10,[]],"4280":[18,6,[477,12]],"4281":[19,9,[7,4,70,3]],"4282":[18,7,[58,6,68,3,6,3]],"4283":[19,11,[4,3]],"4284":[17,5,[4,9,10,4]],"4285":[19,7,[1,8]],"4286":[17,9,[3,4]],"4287":[17,8,[5,7,7,3]],"4288":[19,8,[1,3,20,5,84,6]],"4289":[14,13,[]],"4290":[15,9,[4,3]],"4291":[19,9,[1,4]],"4292":[19,9,[14,4]],"4293":[19,14,[22,5]],"4294":[19,6,[70,5,6,6]],"4295":[19,10,[157,4]],"4296":[12,10,[]],"4297":[15,11,[]],"4298":[14,7,[193,3,2789,5]],"4299":[14,10,[259,3]],"4300":[18,8,[1,4]],"4301":[18,4,[3631,11,3,3]],"4302":[18,4,[4,14]],"4303":[16,11,[2,4]],"4304":[17,7,[16,11]],"4305":[17,9,[]],"4306":[18,14,[]],"4307":[11,10,[]],"4308":[16,7,[1,4]],"4309":[15,7,[1,5,1370,4]],"4310":[16,3,[4,10,17,4]],"4311":[16,7,[5,5]],"4312":[18,8,[92,4,8,3,2,4]],"4313":[18,13,[4,4]],"4314":[18,8,[6,4,24,6]],"4315":[18,14,[]],"4316":[18,9,[4,4,10,5]],"4317":[14,7,[]],"4318":[15,7,[23,4]],"4319":[16,8,[]],"4320":[18,8,[13,4]],"4321":[13,7,[]],"4322":[18,2,[5,17]],"4323":[18,11,[134,4]],"4324":[14,7,[]],"4325":[16,3,[4,12]],"4326":[18,7,[4,11]],"4327":[16,7,[333,4]],"4328":[18,9,[3,3]],"4329":[17,12,[]],"4330":[14,11,[3,3]],"4331":[17,12,[6,3]],"4332":[18,6,[2041,9]],"4333":[17,10,[3,3]],"4334":[14,8,[]],"4335":[18,10,[2,3,5,3]],"4336":[18,9,[16,7]],"4337":[17,15,[]],"4338":[18,10,[]],"4339":[18,13,[]],"4340":[18,6,[5976,4,1,6]],"4341":[17,12,[23,3]],"4342":[14,8,[106,4,10,3]],"4343":[16,10,[477,6]],"4344":[17,6,[1,6,49,3]],"4345":[18,8,[1,4]],"4346":[18,8,[3028,4]],"4347":[16,7,[2,4]],"4348":[16,8,[]],"4349":[12,10,[]],"4350":[13,5,[4,8]],"4351":[18,6,[26,6,1,4]],"4352":[14,5,[4352,8]],"4353":[18,10,[2,6]],"4354":[15,10,[3,3]],"4355":[18,9,[8,3]],"4356":[18,11,[6,3,3,5]],"4357":[18,8,[64,4,2,6]],"4358":[17,16,[]],"4359":[18,6,[5,9]],"4360":[15,13,[]],"4361":[16,8,[3,3]],"4362":[13,12,[]],"4363":[17,9,[2,8]],"4364":[15,11,[681,3]],"4365":[16,10,[8,3,6,3]],"4366":[18,10,[405,6]],"4367":[18,7,[1,4,8,6]],"4368":[17,9,[4,8]],"4369":[16,12,[24,4]],"4370":[18,7,[3,4,1,4]],"4371":[18,12,[]],"4372":[18,6,[1,4,16,6]],"4373":[17,5,[99,4,181,5,6,5]],"4374":[15,7,[1,4]],"4375":[15,6,[3,7]],"4376":[17,6,[3,9]],"4377":[18,9,[1744,7,270,3]],"4378":[18,8,[1,4]],"4379":[18,8,[14,3,45,4]],"4380":[18,8,[69,4]],"4381":[18,12,[22,3,194,3]],"4382":[16,7,[4,9]],"4383":[15,9,[]],"4384":[18,5,[46,4,2,6,6,4]],"4385":[18,6,[4,4,5,4,17,4]],"4386":[18,14,[16,3]],"4387":[13,11,[]],"4388":[16,8,[5,4]],"4389":[14,4,[3,6,4,4]],"4390":[18,4,[5,6,3525,8]],"4391":[17,7,[159,7,3472,3]],"4392":[18,6,[4,4,1,8]],"4393":[18,7,[1555,4,1796,4]],"4394":[18,7,[2598,6,203,5]],"4395":[18,15,[]],"4396":[12,6,[]],"4397":[18,9,[5571,6,2097,3]],"4398":[8,2,[1,6]],"4399":[18,8,[213,4]],"4400":[16,10,[4,7]],"4401":[18,9,[]],"4402":[18,11,[1,7]],"4403":[18,9,[4,4]],"4404":[18,6,[181,4,5,9]],"4405":[18,4,[6,12]],"4406":[18,9,[4,4]],"4407":[18,5,[6,8,29,4]],"4408":[18,9,[]],"4409":[18,5,[4,12]],"4410":[16,6,[1,7]],"4411":[18,5,[458,10,1,3]],"4412":[17,10,[3,4]],"4413":[16,6,[29,4,1706,4]],"4414":[17,11,[7,3,5,4]],"4415":[18,11,[333,3,31,3]],"4416":[18,5,[1,10]],"4417":[16,13,[3,3]],"4418":[18,5,[4,6,8,7]],"4419":[13,9,[3,4]],"4420":[18,12,[29,3]],"4421":[18,16,[]],"4422":[18,5,[2,10]],"4423":[17,8,[2111,5,3,5]],"4424":[18,9,[16,9]],"4425":[16,6,[2,4,8,6]],"4426":[17,13,[1,3]],"4427":[18,14,[587,3]],"4428":[18,7,[1,4,2110,4]],"4429":[15,7,[3,6]],"4430":[18,6,[5,8]],"4431":[18,3,[5,14]],"4432":[14,10,[31,4]],"4433":[17,10,[31,4]],"4434":[18,13,[4,5]],"4435":[18,14,[]],"4436":[14,7,[44,4]],"4437":[18,12,[1,5,2156,3]],"4438":[18,8,[3,4]],"4439":[18,9,[1,9]],"4440":[18,11,[1,4]],"4441":[18,7,[24,4,7,4]],"4442":[18,9,[8,7,2,4]],"4443":[16,7,[3,4]],"4444":[17,6,[4,5,8,4]],"4445":[18,12,[3,3,1,5]],"4446":[16,9,[4,7]],"4447":[18,7,[448,9,290,4]],"4448":[17,12,[6,3]],"4449":[17,10,[64,3,2,5]],"4450":[18,5,[1,11,3,3]],"4451":[16,4,[7,4,14,6,1,4]],"4452":[18,2,[4,16]],"4453":[18,10,[]],"4454":[16,10,[3,3,4,4]],"4455":[15,7,[7,4]],"4456":[16,5,[4,5,545,5]],"4457":[14,5,[3,4,5989,4]],"4458":[18,8,[1,4]],"4459":[18,16,[]],"4460":[17,8,[1,4]],"4461":[18,7,[2,6,29,4]],"4462":[18,8,[5,6,12,4]],"4463":[16,10,[3,3]],"4464":[14,7,[]],"4465":[18,12,[2,3,12,3]],"4466":[18,6,[4171,7,2111,4]],"4467":[18,8,[1367,5]],"4468":[17,10,[4,3,3,4]],"4469":[18,9,[4,3,5,3]],"4470":[18,12,[806,3]],"4471":[17,7,[1,5]],"4472":[18,8,[8,6,5,5]],"4473":[18,10,[]],"4474":[18,8,[3,4]],"4475":[15,14,[]],"4476":[18,9,[96,4,14,3]],"4477":[16,7,[28,4]],"4478":[18,2,[1,17]],"4479":[18,9,[]],"4480":[18,9,[3,3]],"4481":[16,5,[6,7,23,3,3,3]],"4482":[18,7,[1,4,176,4]],"4483":[18,7,[1,6]],"4484":[14,2,[4,12]],"4485":[16,9,[]],"4486":[17,12,[61,3]],"4487":[16,9,[1,6]],"4488":[18,10,[4,4]],"4489":[12,8,[]],"4490":[16,8,[3,6]],"4491":[17,8,[3,3,4,6]],"4492":[18,6,[198,8]],"4493":[18,8,[5,6,2,4]],"4494":[18,5,[5,10]],"4495":[14,13,[]],"4496":[18,9,[175,4]],"4497":[18,7,[363,10]],"4498":[14,9,[82,3]],"4499":[16,11,[5666,3]],"4500":[14,13,[]],"4501":[11,9,[9,3]],"4502":[13,9,[]],"4503":[14,11,[3,3]],"4504":[16,13,[]],"4505":[14,6,[4,8]],"4506":[12,10,[]],"4507":[11,7,[]],"4508":[14,8,[5,5]],"4509":[16,7,[5,6,4,5]],"4510":[17,7,[4,3,3,4]],"4511":[17,9,[59,4,2,4]],"4512":[17,8,[713,9]],"4513":[13,11,[]],"4514":[17,6,[64,4,68,4,406,4]],"4515":[17,9,[4,4]],"4516":[17,7,[4,7]],"4517":[15,4,[1263,5,4,6]],"4518":[15,8,[]],"4519":[14,8,[2,3]],"4520":[16,10,[2,3,3,3]],"4521":[16,9,[2,3,183,4]],"4522":[16,8,[3282,5,1,4]],"4523":[15,8,[]],"4524":[14,7,[1,3]],"4525":[14,5,[4,8]],"4526":[15,11,[3,4]],"4527":[17,7,[1,5]],"4528":[17,9,[5,7]],"4529":[17,11,[58,4,2,3]],"4530":[15,5,[4,8]],"4531":[16,3,[3,5,16,10]],"4532":[17,5,[1,8,3,3]],"4533":[9,3,[4,5]],"4534":[17,7,[4,6,54,4]],"4535":[14,5,[10,10]],"4536":[14,9,[]],"4537":[17,10,[]],"4538":[16,10,[4,6]],"4539":[17,7,[1,6]],"4540":[17,9,[]],"4541":[17,7,[4,6]],"4542":[17,6,[70,7]],"4543":[15,7,[4,4]],"4544":[16,8,[3,3,1229,3,141,4]],"4545":[15,11,[2,3]],"4546":[16,10,[]],"4547":[15,10,[159,3,31,3]],"4548":[17,9,[5,7]],"4549":[13,8,[4,3]],"4550":[13,5,[4,5]],"4551":[17,8,[578,4]],"4552":[17,8,[1,4,85,4]],"4553":[17,8,[2,7]],"4554":[16,10,[3,5]],"4555":[15,4,[4,9]],"4556":[14,6,[4,9]],"4557":[16,14,[]],"4558":[13,6,[13,4]],"4559":[17,4,[2751,7,3571,7]],"4560":[15,11,[6,3]],"4561":[17,9,[]],"4562":[17,10,[6,4]],"4563":[13,7,[2,3]],"4564":[14,10,[4,3,5,3]],"4565":[17,4,[4,12]],"4566":[14,12,[]],"4567":[17,8,[4,3,2,5]],"4568":[15,6,[3,4,405,4]],"4569":[16,11,[10,3]],"4570":[17,3,[3067,13]],"4571":[17,13,[374,3]],"4572":[14,7,[3,4]],"4573":[6,3,[]],"4574":[14,7,[4,3,1,3]],"4575":[17,9,[1,5,106,4]],"4576":[14,7,[61,4]],"4577":[16,7,[3,3,1,3]],"4578":[14,9,[4,3,3,3]],"4579":[16,8,[3,3]],"4580":[14,7,[1,4,3,3]],"4581":[14,6,[4,4]],"4582":[15,8,[251,4]],"4583":[17,8,[3,4]],"4584":[16,6,[3,4,6,4]],"4585":[13,6,[4,4]],"4586":[17,11,[]],"4587":[17,9,[46,4]],"4588":[17,9,[]],"4589":[13,9,[3,3,4,3]],"4590":[17,8,[1,4]],"4591":[14,9,[]],"4592":[16,8,[]],"4593":[17,10,[2,4,34,3]],"4594":[17,16,[]],"4595":[13,8,[3,4]],"4596":[17,7,[4,6]],"4597":[17,8,[3414,4]],"4598":[16,7,[4,8,3,3]],"4599":[15,6,[4,4,27,4]],"4600":[12,9,[]],"4601":[14,12,[]],"4602":[9,8,[]],"4603":[12,10,[]],"4604":[16,2,[5,14]],"4605":[17,10,[]],"4606":[17,10,[5,4]],"4607":[12,10,[]],"4608":[15,9,[1,4]],"4609":[17,8,[3,8]],"4610":[15,8,[3,3]],"4611":[17,7,[74,5]],"4612":[16,11,[]],"4613":[17,10,[7,3,40,3]],"4614":[15,11,[]],"4615":[17,13,[]],"4616":[17,5,[1,3,1012,7,49,3]],"4617":[17,7,[23,4,445,4]],"4618":[15,8,[]],"4619":[16,9,[2,3]],"4620":[17,7,[6,3,24,3,2,5]],"4621":[17,5,[4,11]],"4622":[17,7,[7,5]],"4623":[17,15,[]],"4624":[12,5,[28,4]],"4625":[14,5,[4,8]],"4626":[17,6,[353,5,211,4]],"4627":[17,8,[70,4]],"4628":[15,8,[328,7]],"4629":[17,7,[10,3,8,5,7,3]],"4630":[17,3,[5,15]],"4631":[17,7,[2,9,11,3]],"4632":[17,8,[2,9]],"4633":[14,5,[23,7]],"4634":[16,5,[23,10]],"4635":[17,2,[58,10,68,7]],"4636":[14,8,[2,5]],"4637":[17,8,[4,5,90,5]],"4638":[17,4,[2,9,7,6]],"4639":[17,4,[31,12,6,3]],"4640":[9,5,[]],"4641":[17,5,[1,9,2319,4]],"4642":[17,7,[4,8,3,3]],"4643":[15,10,[27,3]],"4644":[16,10,[10,4,809,3]],"4645":[15,13,[5,3]],"4646":[17,8,[3,4]],"4647":[15,7,[18,4]],"4648":[17,6,[5,8]],"4649":[11,2,[85,10]],"4650":[15,7,[31,5,2,4]],"4651":[16,9,[4,7]],"4652":[17,8,[402,4]],"4653":[17,11,[3,6]],"4654":[15,7,[125,4]],"4655":[17,8,[1,4]],"4656":[16,10,[6,4]],"4657":[14,5,[4,7]],"4658":[17,6,[1,6,69,4]],"4659":[17,9,[1,4]],"4660":[16,9,[3,5]],"4661":[15,7,[3,5,4,4]],"4662":[17,10,[]],"4663":[14,10,[3,3,1,3]],"4664":[15,7,[3,6]],"4665":[15,11,[3945,3]],"4666":[15,7,[3190,4]],"4667":[15,5,[4,6,3,4]],"4668":[14,5,[4,8]],"4669":[13,6,[1,7]],"4670":[17,14,[2805,3]],"4671":[17,10,[4,6]],"4672":[17,10,[4,4]],"4673":[17,9,[28,4]],"4674":[16,7,[3,7]],"4675":[17,3,[4,15]],"4676":[15,7,[3,3]],"4677":[14,10,[]],"4678":[17,7,[1,6]],"4679":[15,8,[]],"4680":[12,7,[3,3,49,3]],"4681":[17,11,[11,3,39,3]],"4682":[13,4,[31,3,19,6]],"4683":[11,7,[]],"4684":[15,11,[2,4]],"4685":[13,11,[]],"4686":[14,12,[]],"4687":[16,13,[]],"4688":[16,6,[793,4,811,6]],"4689":[14,5,[2,4,1653,4]],"4690":[16,9,[]],"4691":[16,5,[31,10]],"4692":[10,5,[]],"4693":[14,9,[]],"4694":[16,8,[3,3,2,3]],"4695":[16,7,[3,4]],"4696":[14,11,[]],"4697":[10,5,[]],"4698":[16,11,[6,5]],"4699":[14,7,[]],"4700":[16,5,[2,5,46,8]],"4701":[16,2,[85,12,24,4]],"4702":[16,4,[431,10,3,3]],"4703":[16,4,[4,10]],"4704":[10,4,[1,4]],"4705":[16,6,[45,6]],"4706":[16,8,[23,4]],"4707":[14,7,[]],"4708":[14,7,[]],"4709":[14,11,[]],"4710":[16,8,[2567,3]],"4711":[14,6,[1,5]],"4712":[16,5,[3,8]],"4713":[14,7,[]],"4714":[16,8,[]],"4715":[4,2,[]],"4716":[12,6,[]],"4717":[16,7,[3,4]],"4718":[16,9,[1,3]],"4719":[16,8,[]],"4720":[12,4,[16,6]],"4721":[14,8,[4,4]],"4722":[14,7,[]],"4723":[14,5,[4,9]],"4724":[16,8,[]],"4725":[16,14,[1652,3]],"4726":[16,7,[1203,4]],"4727":[16,14,[]],"4728":[15,11,[3,5]],"4729":[14,5,[8,6]],"4730":[16,9,[1,7]],"4731":[16,9,[84,4]],"4732":[14,4,[16,8]],"4733":[10,6,[4,3]],"4734":[16,10,[12,3]],"4735":[16,8,[1249,4]],"4736":[16,6,[24,4,16,6]],"4737":[16,11,[]],"4738":[13,7,[]],"4739":[14,7,[]],"4740":[16,5,[1,8]],"4741":[16,9,[4,6]],"4742":[16,9,[]],"4743":[14,7,[17,4]],"4744":[14,11,[]],"4745":[14,9,[]],"4746":[13,8,[3,4]],"4747":[16,12,[3,4]],"4748":[14,4,[1,10]],"4749":[16,8,[]],"4750":[16,12,[272,3]],"4751":[16,6,[2,9]],"4752":[16,5,[4,8,13,4]],"4753":[16,8,[1,6]],"4754":[16,6,[4,5,3,6]],"4755":[15,10,[39,5]],"4756":[13,8,[2,3]],"4757":[15,7,[5,3,4,3,10,3]],"4758":[16,6,[5,6]],"4759":[15,11,[]],"4760":[16,6,[1,6]],"4761":[12,6,[]],"4762":[14,7,[]],"4763":[16,8,[]],"4764":[14,5,[218,6]],"4765":[16,8,[2,3,11,6]],"4766":[16,6,[3,5,1,3]],"4767":[15,7,[16,3,31,5]],"4768":[16,6,[4,8,3,3]],"4769":[16,12,[3,3]],"4770":[16,6,[2,8]],"4771":[15,10,[23,3]],"4772":[15,6,[5,6,16,3]],"4773":[16,8,[3,6]],"4774":[16,6,[4,5,3,4,8,3]],"4775":[14,7,[74,4,8,3]],"4776":[14,6,[3,7,1,3]],"4777":[14,7,[]],"4778":[16,8,[]],"4779":[14,9,[]],"4780":[16,7,[3,4,4,3]],"4781":[12,9,[]],"4782":[14,9,[4,3]],"4783":[16,12,[1,5]],"4784":[12,6,[]],"4785":[16,6,[3,4,4,4]],"4786":[16,8,[]],"4787":[16,9,[171,3]],"4788":[10,5,[]],"4789":[12,5,[119,4]],"4790":[12,6,[]],"4791":[10,2,[4791,8]],"4792":[16,5,[4,10]],"4793":[13,8,[54,3]],"4794":[12,2,[2427,10]],"4795":[15,9,[4,4,13,3]],"4796":[16,9,[]],"4797":[16,2,[17,14]],"4798":[14,11,[]],"4799":[16,5,[1,8]],"4800":[16,13,[3,3]],"4801":[16,9,[]],"4802":[14,6,[4,4]],"4803":[16,8,[6,7]],"4804":[13,6,[21,3,4,4]],"4805":[16,8,[6,3]],"4806":[16,13,[1,3]],"4807":[14,5,[53,4,49,4]],"4808":[14,6,[2,4]],"4809":[16,9,[1,6]],"4810":[14,6,[4,4]],"4811":[16,13,[]],"4812":[16,4,[1,10]],"4813":[16,5,[16,8,5,4]],"4814":[14,6,[5,5]],"4815":[14,7,[]],"4816":[16,7,[45,4]],"4817":[16,4,[7,6,6,6]],"4818":[16,8,[]],"4819":[14,9,[]],"4820":[16,6,[1,6]],"4821":[14,7,[]],"4822":[12,10,[]],"4823":[12,9,[3,4]],"4824":[13,4,[2069,4,1,6]],"4825":[16,9,[]],"4826":[16,9,[]],"4827":[13,7,[]],"4828":[16,7,[1,7]],"4829":[16,9,[5,3]],"4830":[16,7,[1,4]],"4831":[16,6,[2,6]],"4832":[16,6,[3,4,2,6]],"4833":[16,14,[]],"4834":[14,7,[]],"4835":[14,4,[4,9,2,3]],"4836":[15,8,[10,5,13,4]],"4837":[16,6,[4,8]],"4838":[16,8,[1,4,5,4]],"4839":[16,5,[2,8]],"4840":[13,4,[4,9]],"4841":[14,5,[29,4,74,4]],"4842":[15,8,[5,3,10,3]],"4843":[15,7,[3,5,10,4]],"4844":[16,7,[819,4]],"4845":[16,10,[]],"4846":[16,8,[]],"4847":[15,3,[4,11,69,3]],"4848":[16,8,[]],"4849":[11,5,[4,4]],"4850":[16,5,[2342,4,1,6]],"4851":[15,10,[31,4,6,3]],"4852":[16,8,[2,3,218,4]],"4853":[13,8,[8,3,2,3]],"4854":[11,5,[3,4]],"4855":[13,10,[8,4]],"4856":[15,8,[2,4]],"4857":[16,5,[6,9]],"4858":[15,7,[10,5,4,5]],"4859":[16,6,[2,10]],"4860":[16,12,[103,3]],"4861":[12,6,[]],"4862":[11,8,[]],"4863":[15,11,[]],"4864":[16,1,[2020,16]],"4865":[13,7,[4,4]],"4866":[16,5,[3456,6,96,4]],"4867":[16,5,[3,4,10,6]],"4868":[16,8,[3,3]],"4869":[16,7,[1,4]],"4870":[12,9,[1005,3]],"4871":[13,10,[]],"4872":[16,10,[]],"4873":[16,7,[4,4]],"4874":[16,7,[6,6]],"4875":[12,6,[]],"4876":[16,9,[]],"4877":[16,4,[1230,10]],"4878":[16,8,[]],"4879":[12,7,[]],"4880":[12,10,[]],"4881":[16,9,[366,5,2,4]],"4882":[12,5,[4,3,3,3]],"4883":[14,5,[18,4,67,4]],"4884":[8,4,[]],"4885":[16,8,[]],"4886":[16,13,[]],"4887":[14,5,[4,6]],"4888":[16,6,[24,4,932,4]],"4889":[16,3,[5,12]],"4890":[16,9,[1,3]],"4891":[12,6,[]],"4892":[12,4,[3,6]],"4893":[14,9,[]],"4894":[13,6,[3,4]],"4895":[14,5,[3,4,5,4]],"4896":[16,8,[]],"4897":[16,6,[318,6,622,4]],"4898":[16,3,[5,14]],"4899":[11,8,[4,4]],"4900":[16,7,[627,4]],"4901":[16,7,[1,4]],"4902":[10,4,[4,4]],"4903":[16,10,[4,7]],"4904":[16,8,[3,3]],"4905":[14,7,[]],"4906":[16,8,[]],"4907":[14,6,[6,4]],"4908":[13,9,[27,3]],"4909":[14,7,[41,3]],"4910":[16,5,[1,10]],"4911":[16,8,[1,6]],"4912":[16,8,[1,4,2,4]],"4913":[16,6,[1,5,98,4]],"4914":[16,8,[]],"4915":[14,7,[]],"4916":[16,7,[1689,4]],"4917":[14,7,[]],"4918":[14,9,[2453,3,24,3]],"4919":[16,6,[7,7]],"4920":[16,7,[2,4]],"4921":[10,5,[]],"4922":[16,10,[387,3,1,3]],"4923":[16,3,[5,14]],"4924":[15,6,[4,6]],"4925":[16,8,[]],"4926":[14,6,[1,4]],"4927":[9,6,[28,3]],"4928":[12,7,[]],"4929":[15,11,[23,3]],"4930":[15,8,[2,4,19,4]],"4931":[15,7,[2,4,7,5]],"4932":[13,6,[4,7]],"4933":[12,8,[10,3]],"4934":[15,12,[2,3]],"4935":[4,1,[44,4]],"4936":[15,2,[29,14]],"4937":[13,6,[24,3]],"4938":[14,8,[5,4]],"4939":[15,6,[3,3,1,4]],"4940":[14,9,[]],"4941":[14,7,[4,4,1644,4]],"4942":[15,1,[5,15]],"4943":[15,6,[2421,4,1,4]],"4944":[12,7,[3,5]],"4945":[12,11,[]],"4946":[15,8,[2,3]],"4947":[14,10,[]],"4948":[12,6,[]],"4949":[15,8,[2,4]],"4950":[12,9,[]],"4951":[15,7,[23,4,3006,4]],"4952":[15,6,[1,4,64,4]],"4953":[7,4,[]],"4954":[15,7,[1,4]],"4955":[15,9,[90,3]],"4956":[15,13,[]],"4957":[15,3,[4,11]],"4958":[15,8,[]],"4959":[15,9,[]],"4960":[13,11,[]],"4961":[15,8,[]],"4962":[12,6,[75,5]],"4963":[15,6,[4,3,1,5]],"4964":[15,7,[39,3,4,6]],"4965":[13,8,[3,3,8,3]],"4966":[15,8,[6,7]],"4967":[9,6,[]],"4968":[15,7,[504,3]],"4969":[15,8,[4,5]],"4970":[15,10,[6,3]],"4971":[14,7,[4,6]],"4972":[13,5,[3,6]],"4973":[12,6,[]],"4974":[15,11,[367,3]],"4975":[15,6,[891,6]],"4976":[15,6,[3,5]],"4977":[12,6,[1,4,4,3]],"4978":[14,5,[4,8]],"4979":[15,6,[1,6]],"4980":[13,11,[]],"4981":[14,13,[]],"4982":[15,3,[6,7,3,6]],"4983":[15,6,[85,3,23,4]],"4984":[14,11,[24,3]],"4985":[10,5,[4,4]],"4986":[13,7,[]],"4987":[11,5,[3,4]],"4988":[14,6,[6,4,4,5]],"4989":[14,5,[5,5,1,4]],"4990":[5,4,[]],"4991":[13,7,[]],"4992":[15,8,[1,4]],"4993":[13,11,[]],"4994":[11,6,[]],"4995":[14,9,[10,3,8,3]],"4996":[10,3,[1,6]],"4997":[8,4,[]],"4998":[14,11,[1,3]],"4999":[14,6,[4,8]],"5000":[15,4,[1,7,262,4]],"5001":[13,8,[27,3,3,3]],"5002":[15,9,[3,3]],"5003":[12,9,[]],"5004":[15,7,[2,4]],"5005":[15,8,[]],"5006":[15,7,[1,3]],"5007":[15,5,[24,9]],"5008":[13,7,[]],"5009":[12,9,[]],"5010":[13,5,[4,6]],"5011":[14,10,[]],"5012":[15,8,[423,4]],"5013":[15,6,[1,4,582,4]],"5014":[10,7,[3,3]],"5015":[15,10,[1,4]],"5016":[15,4,[4,11]],"5017":[13,5,[8,5]],"5018":[15,8,[]],"5019":[15,8,[]],"5020":[12,7,[]],"5021":[15,8,[]],"5022":[13,10,[]],"5023":[15,5,[5,6,68,3,2323,4]],"5024":[15,11,[2,4]],"5025":[15,9,[]],"5026":[13,7,[]],"5027":[13,6,[2,4]],"5028":[13,8,[3,4]],"5029":[14,9,[413,4]],"5030":[15,7,[1,4]],"5031":[13,6,[5,4]],"5032":[13,7,[]],"5033":[14,4,[4,6,2,4]],"5034":[15,9,[]],"5035":[13,5,[1,5]],"5036":[14,8,[16,4]],"5037":[15,9,[4,5]],"5038":[15,8,[303,4]],"5039":[15,6,[1,9]],"5040":[14,8,[39,3,3,3]],"5041":[13,8,[3,5]],"5042":[15,7,[4,3,30,4]],"5043":[13,7,[]],"5044":[14,13,[]],"5045":[15,8,[2,3]],"5046":[11,5,[3,4]],"5047":[12,6,[5,4,3103,3]],"5048":[10,10,[]],"5049":[15,3,[2206,3,1607,8,1,4]],"5050":[14,7,[3,3]],"5051":[11,9,[3,3]],"5052":[15,6,[31,4,1,4]],"5053":[10,6,[4,3]],"5054":[7,4,[]],"5055":[12,6,[1517,4]],"5056":[15,5,[10,7,4,3]],"5057":[15,9,[4,4]],"5058":[15,6,[4,5,8,5]],"5059":[13,6,[1,4]],"5060":[15,8,[10,3,24,5]],"5061":[13,7,[1,3]],"5062":[15,13,[1,3]],"5063":[13,7,[3,3,1,4]],"5064":[12,8,[]],"5065":[12,4,[1,6]],"5066":[15,9,[587,3]],"5067":[15,7,[4,8]],"5068":[14,12,[4,3]],"5069":[13,7,[31,3,3,3]],"5070":[13,3,[5,10]],"5071":[15,8,[2,4,11,5]],"5072":[14,10,[2,4]],"5073":[15,11,[10,5]],"5074":[14,8,[23,6]],"5075":[15,10,[10,4]],"5076":[13,7,[]],"5077":[15,4,[10,7,1,4]],"5078":[15,8,[]],"5079":[14,9,[2,4]],"5080":[12,9,[984,3]],"5081":[14,4,[3,8]],"5082":[15,10,[10,4]],"5083":[15,6,[429,10]],"5084":[14,12,[]],"5085":[15,6,[31,7]],"5086":[15,8,[]],"5087":[15,11,[7,3]],"5088":[13,5,[4,5]],"5089":[15,6,[4,6]],"5090":[15,7,[3,4]],"5091":[15,7,[5,4]],"5092":[15,9,[]],"5093":[15,8,[]],"5094":[15,9,[20,3,3,3]],"5095":[15,3,[2718,11]],"5096":[10,5,[]],"5097":[11,5,[1,3]],"5098":[15,6,[1,4,3,4]],"5099":[14,11,[4,4]],"5100":[14,4,[10,11]],"5101":[14,7,[5,4]],"5102":[15,7,[6,4]],"5103":[8,4,[]],"5104":[15,7,[6,3,3,3,2,4]],"5105":[13,8,[3,4]],"5106":[15,7,[1,3,4,4]],"5107":[13,6,[3,4]],"5108":[15,8,[11,6]],"5109":[13,10,[3,3]],"5110":[15,14,[]],"5111":[10,9,[]],"5112":[15,7,[2,6,11,4]],"5113":[14,8,[]],"5114":[15,7,[4,6]],"5115":[15,6,[4,8]],"5116":[14,10,[5,4]],"5117":[15,13,[]],"5118":[13,7,[1,3,3,4]],"5119":[15,7,[1,3]],"5120":[14,10,[3,3,1,3]],"5121":[15,7,[1,4]],"5122":[15,6,[31,3,4,7]],"5123":[12,9,[3,3]],"5124":[11,7,[]],"5125":[14,7,[92,7]],"5126":[9,7,[444,3]],"5127":[13,10,[3,3]],"5128":[14,11,[2,3]],"5129":[14,8,[2,4]],"5130":[11,7,[3,3,202,3]],"5131":[13,10,[]],"5132":[14,3,[5,12]],"5133":[11,11,[]],"5134":[14,9,[1,4]],"5135":[14,10,[4,3]],"5136":[14,5,[5,9]],"5137":[9,4,[10,5]],"5138":[14,1,[5,14]],"5139":[11,10,[]],"5140":[14,10,[4,5]],"5141":[14,7,[]],"5142":[14,8,[]],"5143":[14,4,[4,8]],"5144":[13,6,[4,7]],"5145":[14,12,[]],"5146":[13,10,[]],"5147":[14,4,[29,8,6,4]],"5148":[14,6,[2,4]],"5149":[14,9,[191,4]],"5150":[12,9,[]],"5151":[14,5,[4,7]],"5152":[14,9,[1,5]],"5153":[14,6,[5,4]],"5154":[14,6,[69,4,188,4]],"5155":[14,6,[70,4]],"5156":[14,6,[3,4]],"5157":[7,6,[]],"5158":[14,7,[]],"5159":[12,7,[]],"5160":[14,4,[510,8,313,3]],"5161":[12,5,[4,4]],"5162":[12,6,[13,4]],"5163":[14,7,[]],"5164":[14,9,[681,3]],"5165":[10,9,[]],"5166":[13,8,[1,5]],"5167":[14,10,[]],"5168":[14,7,[]],"5169":[14,5,[2,5,2002,4]],"5170":[14,6,[3,4]],"5171":[14,9,[]],"5172":[14,7,[337,4]],"5173":[14,5,[3,7]],"5174":[14,8,[578,4]],"5175":[12,4,[4,8]],"5176":[12,5,[4,6]],"5177":[14,7,[]],"5178":[12,4,[4,6]],"5179":[14,6,[1081,4]],"5180":[10,5,[4,4]],"5181":[14,6,[1,4]],"5182":[10,6,[]],"5183":[14,5,[69,3,217,3,2,3,70,3]],"5184":[14,9,[2,4,70,3]],"5185":[12,5,[4,4]],"5186":[12,4,[3,6]],"5187":[14,6,[5,4]],"5188":[11,7,[]],"5189":[14,9,[]],"5190":[12,4,[1,6]],"5191":[12,7,[]],"5192":[14,5,[1,6]],"5193":[13,2,[4,11]],"5194":[13,8,[23,3,3,3]],"5195":[12,6,[16,6]],"5196":[14,7,[1,4]],"5197":[11,6,[2,3]],"5198":[14,7,[1,4]],"5199":[14,6,[5,6,3,3]],"5200":[14,9,[24,5]],"5201":[12,5,[3,4]],"5202":[12,8,[3,5]],"5203":[13,5,[6,3,85,4]],"5204":[14,7,[]],"5205":[13,8,[547,4]],"5206":[14,5,[3,6]],"5207":[11,5,[3,4]],"5208":[11,5,[30,4]],"5209":[14,10,[]],"5210":[14,5,[6,6]],"5211":[13,7,[5,3,4,3]],"5212":[14,9,[11,3]],"5213":[14,8,[]],"5214":[14,8,[]],"5215":[14,7,[1,6]],"5216":[14,10,[2,4]],"5217":[14,3,[4,10]],"5218":[14,7,[]],"5219":[12,5,[3,4]],"5220":[14,6,[220,4]],"5221":[14,4,[1,8]],"5222":[14,3,[206,8,45,4]],"5223":[14,9,[1,4]],"5224":[14,6,[3,4]],"5225":[14,8,[2,3]],"5226":[11,7,[2,4]],"5227":[12,9,[3,3]],"5228":[14,7,[1,6]],"5229":[14,6,[5,5]],"5230":[14,7,[]],"5231":[14,5,[4,7]],"5232":[13,10,[]],"5233":[10,5,[]],"5234":[7,4,[3,3]],"5235":[14,8,[2,6]],"5236":[13,9,[6,5]],"5237":[14,7,[]],"5238":[12,4,[3,4,29,4]],"5239":[11,6,[]],"5240":[9,5,[]],"5241":[12,6,[]],"5242":[14,7,[31,5]],"5243":[12,7,[]],"5244":[14,5,[2,6]],"5245":[14,3,[2407,10]],"5246":[10,6,[]],"5247":[14,7,[5,3,1,3]],"5248":[14,10,[159,3]],"5249":[11,8,[4,4]],"5250":[4,2,[]],"5251":[12,7,[]],"5252":[14,7,[456,6]],"5253":[13,7,[6,5,3,3]],"5254":[14,4,[4,8]],"5255":[12,3,[4,8]],"5256":[14,5,[176,6]],"5257":[9,5,[2,4]],"5258":[14,10,[]],"5259":[14,6,[7,4]],"5260":[14,4,[3,4,29,6]],"5261":[14,7,[4,5]],"5262":[11,7,[1,4]],"5263":[14,5,[2,6]],"5264":[13,8,[3,3]],"5265":[14,7,[]],"5266":[14,6,[6,4]],"5267":[14,5,[3824,6]],"5268":[13,9,[3,5]],"5269":[13,4,[1,3,1256,8]],"5270":[12,4,[3,3,4,6]],"5271":[12,4,[2484,6]],"5272":[12,7,[6,3,1,4]],"5273":[14,4,[1,8]],"5274":[14,4,[3,3,1788,9]],"5275":[14,6,[1382,6]],"5276":[14,7,[]],"5277":[14,6,[157,4]],"5278":[14,9,[1,3]],"5279":[14,9,[3,3]],"5280":[14,3,[1,10]],"5281":[13,7,[5550,4]],"5282":[14,7,[68,4]],"5283":[12,6,[]],"5284":[14,7,[]],"5285":[13,8,[]],"5286":[12,7,[4,3,3,3]],"5287":[12,5,[31,3,6,4,3,3]],"5288":[14,6,[1336,6]],"5289":[14,13,[]],"5290":[14,6,[157,4]],"5291":[12,6,[55,3,3,3]],"5292":[14,9,[58,4]],"5293":[14,7,[3,3]],"5294":[8,5,[]],"5295":[9,7,[]],"5296":[12,6,[]],"5298":[14,11,[]],"5299":[14,8,[]],"5300":[14,5,[2163,6]],"5301":[14,4,[6,8]],"5302":[14,5,[3,4,2,4]],"5303":[14,6,[1,4]],"5304":[14,7,[4,3,69,3]],"5305":[14,6,[3,4]],"5306":[12,6,[]],"5307":[13,6,[4,5]],"5308":[14,14,[]],"5309":[14,5,[8,6]],"5310":[9,9,[]],"5311":[14,5,[6,4,3,4]],"5312":[13,11,[7,3]],"5313":[14,5,[1,6]],"5314":[12,5,[1,4]],"5315":[14,10,[]],"5316":[11,7,[39,4]],"5317":[10,8,[]],"5318":[12,7,[6,3]],"5319":[12,4,[4,4,13,4]],"5320":[14,13,[]],"5321":[14,5,[4,8]],"5322":[11,10,[]],"5323":[12,6,[]],"5324":[14,1,[1094,14]],"5325":[14,4,[4,8]],"5326":[13,6,[1,4]],"5327":[14,4,[1,8]],"5328":[14,11,[]],"5329":[14,6,[1,4]],"5330":[14,6,[7,4,2,3,5,3]],"5331":[14,6,[40,4,1,4]],"5332":[14,8,[14,4]],"5333":[14,5,[16,3,398,6]],"5334":[14,13,[]],"5335":[14,14,[]],"5336":[14,5,[2,4,46,4]],"5337":[12,6,[8,3]],"5338":[13,8,[]],"5339":[13,7,[4,6]],"5340":[13,7,[328,3,1,3]],"5341":[14,9,[1,3]],"5342":[12,6,[]],"5343":[14,5,[2,6]],"5344":[14,3,[1427,11]],"5345":[14,6,[2,6,11,4]],"5346":[14,8,[6,5]],"5347":[10,4,[4,5]],"5348":[6,3,[]],"5349":[14,10,[]],"5350":[13,8,[5,3,2,3]],"5351":[14,7,[11,5,87,3]],"5352":[14,7,[]],"5353":[14,7,[2099,3,1,3]],"5354":[14,6,[1249,4]],"5355":[12,6,[1210,4]],"5356":[11,9,[]],"5357":[7,7,[]],"5358":[12,6,[1,4]],"5359":[14,9,[5,5]],"5360":[12,9,[]],"5361":[14,5,[1,4,3,4]],"5362":[14,6,[74,4]],"5363":[14,9,[]],"5364":[14,7,[1,3]],"5365":[13,8,[1,3]],"5366":[12,4,[917,6]],"5367":[13,6,[29,4]],"5368":[14,7,[]],"5369":[14,7,[]],"5370":[11,8,[]],"5371":[11,9,[]],"5372":[14,7,[69,4]],"5373":[14,7,[]],"5374":[12,5,[4,4]],"5375":[12,5,[1,4]],"5376":[14,7,[689,5]],"5377":[10,5,[]],"5378":[14,5,[7,4,315,4]],"5379":[14,6,[69,4]],"5380":[14,11,[162,3]],"5381":[14,4,[24,8]],"5382":[14,9,[]],"5383":[12,6,[]],"5384":[14,8,[]],"5385":[14,4,[4,8]],"5386":[14,6,[5,6,16,3]],"5387":[14,7,[1,4]],"5388":[14,6,[213,4]],"5389":[14,7,[]],"5390":[12,7,[]],"5391":[14,7,[]],"5392":[12,11,[]],"5393":[12,6,[]],"5394":[14,4,[1,10]],"5395":[14,6,[14,4]],"5396":[14,10,[22,4]],"5397":[8,4,[]],"5398":[12,3,[4,4,3,6]],"5399":[12,5,[1,3,157,4]],"5400":[14,11,[1,3]],"5401":[12,6,[]],"5402":[12,9,[]],"5403":[14,4,[5,6,3,4]],"5404":[11,7,[430,4]],"5405":[14,6,[5840,4]],"5406":[14,5,[1,6]],"5407":[14,6,[1,4]],"5408":[14,8,[2,4,11,3]],"5409":[10,6,[3,3,6,3]],"5410":[14,10,[4,4]],"5411":[14,10,[1524,3]],"5412":[14,7,[31,4]],"5413":[14,7,[547,7]],"5414":[14,5,[4,6]],"5415":[4,2,[]],"5416":[12,1,[4,12]],"5417":[10,5,[4,4]],"5418":[10,5,[]],"5419":[13,7,[8,5]],"5420":[14,5,[3,4,217,4]],"5421":[14,6,[211,4]],"5422":[14,9,[52,4]],"5423":[14,5,[1,6]],"5424":[14,10,[]],"5425":[14,4,[1,6,4,4]],"5426":[14,4,[1,6,4457,4]],"5427":[8,5,[]],"5428":[9,8,[]],"5429":[13,12,[]],"5430":[9,8,[]],"5431":[10,6,[1,3]],"5432":[10,7,[193,4]],"5433":[10,9,[]],"5434":[10,4,[193,3,230,3,259,3]],"5435":[13,4,[4,6,6,4]],"5436":[13,1,[16,13]],"5437":[13,7,[5,3]],"5438":[13,5,[24,9]],"5439":[10,6,[4,3,3,3]],"5440":[13,3,[4,6,5,5]],"5441":[12,8,[17,3]],"5442":[12,6,[]],"5443":[13,5,[4,6]],"5444":[9,6,[]],"5445":[13,6,[2,4,7,4]],"5446":[13,7,[69,4]],"5447":[9,8,[]],"5448":[13,4,[5065,7]],"5449":[12,7,[4,4]],"5450":[13,9,[]],"5451":[11,7,[1,4]],"5452":[10,4,[4,4,3,4]],"5453":[11,6,[]],"5454":[9,8,[]],"5455":[13,8,[16,3]],"5456":[13,11,[]],"5457":[13,6,[1,4]],"5458":[13,7,[1,4]],"5459":[13,9,[]],"5460":[13,7,[112,4]],"5461":[13,6,[3354,4]],"5462":[11,7,[]],"5463":[13,10,[]],"5464":[13,7,[]],"5465":[13,4,[7,4,1353,4,1,4]],"5466":[8,6,[]],"5467":[9,4,[4,4]],"5468":[13,7,[]],"5469":[11,6,[4,3,8,3]],"5470":[11,9,[]],"5471":[13,7,[]],"5472":[7,4,[]],"5473":[13,10,[]],"5474":[8,4,[6,4]],"5475":[12,5,[4,4]],"5476":[13,8,[29,3]],"5477":[12,8,[1,3]],"5478":[9,5,[16,3]],"5479":[13,7,[32,4]],"5480":[11,4,[4,4,29,4]],"5481":[7,2,[4,3,6,4]],"5482":[13,5,[3,3,1,5]],"5483":[11,3,[4,8]],"5484":[11,5,[99,4]],"5485":[13,6,[74,4]],"5486":[13,4,[2,4,11,3,5,4]],"5487":[9,4,[20,4]],"5488":[13,6,[406,4]],"5489":[13,7,[]],"5490":[5,5,[]],"5491":[13,8,[11,4]],"5492":[13,10,[728,3]],"5493":[8,6,[]],"5494":[12,7,[2,3]],"5495":[13,6,[4,3,5,4,267,3]],"5496":[13,6,[2,4]],"5497":[12,9,[]],"5498":[11,6,[4,5]],"5499":[12,8,[6,3]],"5500":[12,6,[4,4,6,4]],"5501":[13,10,[]],"5502":[13,7,[]],"5503":[13,9,[]],"5504":[13,6,[1,3]],"5505":[10,8,[]],"5506":[12,10,[]],"5507":[13,5,[3,8]],"5508":[13,8,[7,3]],"5509":[13,10,[]],"5510":[11,6,[]],"5511":[13,4,[2,6,64,4]],"5512":[13,6,[4,3]],"5513":[13,3,[6,9,201,3]],"5514":[6,3,[]],"5515":[13,3,[177,4,527,7]],"5516":[13,11,[]],"5517":[12,9,[74,4]],"5518":[13,8,[]],"5519":[13,11,[]],"5520":[11,6,[1,3]],"5521":[13,6,[4,5]],"5522":[11,6,[]],"5523":[11,4,[4,4,13,4]],"5524":[13,9,[24,3]],"5525":[13,6,[31,4]],"5526":[13,5,[3377,3,45,3,206,4]],"5527":[11,5,[31,7]],"5528":[11,6,[4,6]],"5529":[13,5,[4,3,3,4]],"5530":[11,6,[]],"5531":[11,6,[3,4]],"5532":[13,9,[]],"5533":[13,5,[2,6]],"5534":[11,9,[3,3]],"5535":[8,5,[]],"5536":[12,7,[2,5]],"5537":[13,7,[]],"5538":[9,9,[]],"5539":[13,7,[]],"5540":[12,7,[27,3,6,3]],"5541":[13,6,[17,4]],"5542":[11,8,[3,3]],"5543":[13,4,[1,7]],"5544":[12,5,[4,4]],"5545":[13,6,[1,5]],"5546":[11,4,[189,7]],"5547":[13,8,[2097,5]],"5548":[13,5,[1,6]],"5549":[10,6,[]],"5550":[12,4,[4,4,30,4]],"5551":[13,10,[]],"5552":[12,8,[24,3]],"5553":[8,6,[]],"5554":[10,8,[]],"5555":[12,6,[4,6]],"5556":[13,9,[210,3]],"5557":[13,6,[4,5]],"5558":[13,7,[24,4]],"5559":[10,6,[5,3]],"5560":[13,4,[4,7]],"5561":[13,11,[350,3]],"5562":[13,8,[22,4]],"5563":[13,9,[1,5]],"5564":[13,7,[1,3]],"5565":[13,10,[1,3]],"5566":[12,7,[6,5]],"5567":[12,7,[5,5]],"5568":[13,7,[5636,4,222,3]],"5569":[11,3,[177,4,527,6]],"5570":[9,5,[]],"5571":[11,7,[]],"5572":[11,6,[6,6]],"5573":[12,8,[]],"5574":[11,6,[]],"5575":[12,6,[]],"5576":[6,3,[]],"5577":[10,6,[]],"5578":[13,10,[3,3]],"5579":[13,7,[]],"5580":[10,5,[4,3]],"5581":[13,4,[24,7,7,3]],"5582":[8,4,[4,4]],"5583":[10,5,[4,4]],"5584":[13,8,[]],"5585":[13,8,[]],"5586":[8,4,[28,4]],"5587":[11,5,[4,5]],"5588":[11,9,[]],"5589":[11,5,[1,3]],"5590":[12,6,[3,7]],"5591":[13,7,[]],"5592":[13,8,[2,3,4,3]],"5593":[12,4,[4,8]],"5594":[10,8,[]],"5595":[13,7,[31,4]],"5596":[13,8,[2,4]],"5597":[11,8,[1,3]],"5598":[10,7,[3,3]],"5599":[13,9,[]],"5600":[12,7,[2,4]],"5601":[11,10,[]],"5602":[13,10,[3,3]],"5603":[13,3,[19,10]],"5604":[11,10,[]],"5605":[11,7,[6,4]],"5606":[11,5,[1689,4]],"5607":[12,10,[]],"5608":[11,7,[3,3,10,3]],"5609":[13,7,[]],"5610":[11,8,[]],"5611":[9,5,[]],"5612":[13,7,[3,5]],"5613":[10,8,[]],"5614":[9,6,[5,3]],"5615":[13,7,[]],"5616":[13,11,[]],"5617":[13,2,[763,11]],"5618":[13,7,[1,4]],"5619":[13,6,[1,4]],"5620":[9,6,[10,3]],"5621":[13,6,[1796,4]],"5622":[13,7,[2,3]],"5623":[13,4,[6,6,1,4]],"5624":[13,8,[]],"5625":[9,4,[1,4]],"5626":[13,5,[4,5,3,3]],"5627":[12,6,[21,3]],"5628":[12,9,[31,3]],"5629":[13,9,[31,3]],"5630":[9,5,[]],"5631":[13,5,[5,5,32,3]],"5632":[13,7,[]],"5633":[12,3,[4,8]],"5634":[13,6,[188,3]],"5635":[12,4,[4,3,5,6]],"5636":[12,8,[3,3]],"5637":[13,5,[4,6]],"5638":[13,7,[1,4]],"5639":[11,8,[1,3]],"5640":[13,3,[1,7,1256,5]],"5641":[12,9,[6,3]],"5642":[10,6,[]],"5643":[13,6,[1,4]],"5644":[11,7,[4,3]],"5645":[10,5,[4,4]],"5646":[11,6,[]],"5647":[13,6,[74,4]],"5648":[13,6,[1284,3]],"5649":[13,8,[7,4]],"5650":[13,7,[1,4]],"5651":[13,10,[]],"5652":[13,4,[4,5,3,4]],"5653":[12,8,[191,3]],"5654":[13,9,[]],"5655":[13,8,[]],"5656":[12,6,[5,5]],"5657":[13,6,[6,4]],"5658":[11,7,[3,3]],"5659":[13,5,[19,6]],"5660":[13,5,[2323,3,1,4]],"5661":[12,7,[]],"5662":[13,5,[3,3,4,5]],"5663":[13,7,[]],"5664":[13,10,[]],"5665":[5,5,[]],"5666":[6,4,[9,3]],"5667":[12,3,[5454,3,5144,7]],"5668":[8,6,[]],"5669":[9,6,[259,3]],"5670":[7,6,[]],"5671":[9,9,[]],"5672":[10,3,[4,6]],"5673":[10,4,[6,3,24,3,2,3]],"5674":[10,9,[]],"5675":[10,9,[]],"5676":[12,9,[6,4]],"5677":[12,4,[1,8]],"5678":[12,3,[1,9]],"5679":[10,3,[31,4,2,4]],"5680":[10,9,[]],"5681":[12,7,[8,4]],"5682":[12,6,[3,3]],"5683":[12,5,[1,4]],"5684":[11,9,[3,3]],"5685":[12,8,[252,3]],"5686":[12,6,[]],"5687":[11,8,[2,3]],"5688":[12,6,[1,4]],"5689":[12,3,[5,10]],"5690":[12,6,[5,6]],"5691":[10,5,[]],"5692":[12,5,[3,4]],"5693":[6,3,[]],"5694":[12,5,[8,7]],"5695":[12,4,[5,7]],"5696":[12,1,[370,12]],"5697":[12,6,[]],"5698":[12,5,[3,6]],"5699":[10,5,[]],"5700":[8,4,[]],"5701":[11,5,[1,5]],"5702":[12,5,[545,4,1087,3]],"5703":[12,5,[4,4]],"5704":[10,4,[1,4]],"5705":[10,4,[3,4]],"5706":[10,6,[]],"5707":[12,5,[1,4]],"5708":[12,4,[124,4,2,4]],"5709":[10,4,[1,4]],"5710":[12,2,[1227,10]],"5711":[12,4,[5,4,77,4]],"5712":[6,3,[]],"5713":[12,6,[]],"5714":[11,7,[]],"5715":[12,9,[5,4]],"5716":[12,4,[2,8]],"5717":[9,5,[]],"5718":[10,5,[4,3,3,3]],"5719":[9,7,[3,3]],"5720":[12,3,[1,4,2334,7]],"5721":[8,4,[]],"5722":[9,5,[14,4]],"5723":[12,7,[1,3]],"5724":[12,4,[10,9]],"5725":[8,7,[]],"5727":[12,8,[3,3]],"5728":[12,7,[]],"5729":[11,4,[4,7]],"5730":[12,5,[4,4]],"5731":[10,5,[]],"5732":[12,5,[4,4]],"5733":[12,4,[217,3,2,5]],"5734":[12,9,[]],"5735":[12,3,[4,8]],"5736":[11,8,[3,4]],"5737":[12,4,[4,8]],"5738":[12,4,[1,6]],"5739":[12,5,[16,6]],"5740":[11,6,[5,4]],"5741":[12,6,[84,5,2,3]],"5742":[11,5,[5,4,4,3]],"5743":[12,2,[4,11]],"5744":[12,9,[135,3]],"5745":[11,6,[]],"5746":[10,6,[3,4]],"5747":[12,5,[3,4]],"5748":[12,3,[4,8]],"5749":[12,5,[1,4]],"5750":[8,2,[21,6]],"5751":[9,7,[4,3]],"5752":[12,5,[182,4]],"5753":[12,4,[4,6]],"5754":[12,6,[2,3,3,3]],"5755":[12,5,[69,4,3,3]],"5756":[12,9,[]],"5757":[12,8,[2,4]],"5758":[11,7,[67,4]],"5759":[12,4,[1,6]],"5760":[12,5,[1,4]],"5761":[12,11,[]],"5762":[11,8,[1,3]],"5763":[8,4,[]],"5764":[10,5,[]],"5765":[10,7,[1,3]],"5766":[9,7,[5,3]],"5767":[12,4,[4,7]],"5768":[10,4,[2,4]],"5769":[12,10,[1,3]],"5770":[11,4,[5,8]],"5771":[12,5,[1,4]],"5772":[10,3,[1887,6]],"5773":[6,4,[5,3]],"5774":[11,5,[2,3,25,3]],"5775":[6,1,[1,6]],"5776":[7,7,[]],"5777":[11,11,[]],"5778":[12,5,[182,4]],"5779":[9,6,[4,3]],"5780":[12,7,[]],"5781":[12,4,[4,4,1,4]],"5782":[12,7,[3,4]],"5783":[12,6,[]],"5784":[10,5,[]],"5785":[11,7,[3,3]],"5786":[12,6,[255,6]],"5787":[10,3,[157,6]],"5788":[12,5,[6,7]],"5789":[12,7,[]],"5790":[12,7,[6,4]],"5791":[10,5,[]],"5792":[12,8,[]],"5793":[12,6,[]],"5794":[12,12,[]],"5795":[11,7,[10,3]],"5796":[12,5,[45,4]],"5797":[10,7,[]],"5798":[10,7,[]],"5799":[12,5,[5,3,3,4]],"5800":[12,6,[]],"5801":[12,7,[4369,3,4026,3]],"5802":[12,6,[]],"5803":[12,8,[2,3]],"5804":[12,6,[]],"5805":[12,5,[23,7]],"5806":[12,6,[]],"5807":[12,4,[4,6]],"5808":[12,5,[3,4]],"5809":[12,6,[]],"5810":[12,7,[3,4]],"5811":[12,6,[]],"5812":[10,5,[]],"5813":[10,5,[]],"5814":[8,8,[]],"5815":[12,9,[3,3]],"5816":[7,4,[]],"5817":[10,4,[1,4]],"5818":[7,7,[]],"5819":[12,2,[4,10]],"5820":[10,4,[5,4]],"5821":[10,5,[4,3]],"5822":[12,6,[1039,3]],"5823":[10,5,[]],"5824":[12,5,[211,4]],"5825":[12,9,[]],"5826":[12,3,[4,8]],"5827":[11,4,[4,6]],"5828":[10,3,[3,6]],"5829":[11,6,[123,5]],"5830":[12,6,[]],"5831":[12,8,[3,3]],"5832":[10,6,[4,3]],"5833":[8,4,[]],"5834":[12,6,[]],"5835":[12,7,[]],"5836":[11,9,[3,3]],"5837":[12,6,[]],"5838":[12,5,[1,4]],"5839":[12,4,[1,6]],"5840":[12,6,[]],"5841":[8,3,[5841,4]],"5842":[12,4,[3,6]],"5843":[10,5,[]],"5844":[12,10,[]],"5845":[7,4,[3,3]],"5846":[11,9,[]],"5847":[12,7,[]],"5848":[12,6,[]],"5849":[12,6,[5,4]],"5850":[12,6,[]],"5851":[10,5,[]],"5852":[8,5,[3,3]],"5853":[11,7,[4,4]],"5854":[12,5,[1,4]],"5855":[11,8,[7,3]],"5856":[11,6,[5,3]],"5857":[11,4,[3,7]],"5858":[12,3,[1,8]],"5859":[12,12,[]],"5860":[9,7,[]],"5861":[11,5,[1,4]],"5862":[12,6,[]],"5863":[12,4,[35,4,4,4]],"5864":[12,9,[2,3]],"5865":[12,5,[6,5]],"5866":[12,5,[188,4]],"5867":[12,4,[26,6]],"5868":[10,5,[]],"5869":[12,4,[2,6]],"5870":[12,5,[2302,4]],"5871":[12,7,[]],"5872":[10,3,[4,6]],"5873":[10,4,[4,5]],"5874":[12,6,[]],"5875":[10,5,[]],"5876":[12,6,[]],"5877":[11,7,[5,3]],"5878":[12,3,[6,8]],"5879":[12,9,[]],"5880":[12,9,[1,3]],"5881":[10,4,[3,4]],"5882":[12,8,[]],"5883":[8,3,[4,4]],"5884":[12,3,[24,10]],"5885":[12,9,[1,3]],"5886":[8,4,[]],"5887":[10,5,[]],"5888":[11,5,[6,6]],"5889":[12,8,[16,3]],"5890":[12,6,[]],"5891":[10,9,[]],"5892":[12,8,[]],"5893":[11,4,[5,6,3,3]],"5894":[10,9,[]],"5895":[12,6,[]],"5896":[11,6,[]],"5897":[12,4,[4,6]],"5898":[12,8,[328,5]],"5899":[12,4,[4,8]],"5900":[10,5,[]],"5901":[10,8,[]],"5902":[12,5,[24,5]],"5903":[12,7,[10,4]],"5904":[12,6,[3,4]],"5905":[12,5,[7,4]],"5906":[8,4,[]],"5907":[10,5,[4,3]],"5908":[12,6,[2,5]],"5909":[12,9,[]],"5910":[12,9,[3,4]],"5911":[12,6,[]],"5912":[10,6,[]],"5913":[6,6,[]],"5914":[10,5,[]],"5915":[10,7,[8,3]],"5916":[10,4,[3,4]],"5917":[12,7,[]],"5918":[10,4,[4,4]],"5919":[11,8,[]],"5920":[6,3,[]],"5921":[9,5,[3,4]],"5922":[12,6,[7,4]],"5923":[12,5,[1,4]],"5924":[12,8,[24,4]],"5925":[10,4,[6,4]],"5926":[9,3,[1,5]],"5927":[12,6,[]],"5928":[12,7,[4101,3,1782,4]],"5929":[10,4,[4,4]],"5930":[10,3,[305,4,546,4]],"5931":[8,4,[]],"5932":[12,5,[19,4]],"5933":[10,5,[]],"5934":[12,7,[7,3]],"5935":[6,3,[5,4]],"5936":[12,6,[]],"5937":[12,6,[31,4]],"5938":[12,6,[]],"5939":[12,7,[5,4]],"5940":[10,8,[]],"5941":[12,6,[6,4]],"5942":[8,4,[]],"5943":[12,9,[]],"5944":[12,11,[]],"5945":[10,7,[]],"5946":[6,3,[]],"5947":[8,4,[]],"5948":[12,6,[3,5]],"5949":[10,4,[2,4]],"5950":[12,6,[]],"5951":[10,7,[]],"5952":[10,3,[3,6]],"5953":[12,5,[77,4]],"5954":[10,3,[5,8]],"5955":[12,4,[1,6]],"5956":[12,8,[]],"5957":[12,3,[5,8]],"5958":[12,7,[23,6]],"5959":[12,8,[]],"5960":[10,5,[]],"5961":[8,4,[]],"5962":[12,4,[4,7,3,3]],"5963":[12,4,[5,4,4,4]],"5964":[12,6,[5,4]],"5965":[9,5,[]],"5966":[12,6,[1,4]],"5967":[12,6,[]],"5968":[7,4,[]],"5969":[12,4,[1,7]],"5970":[10,5,[]],"5971":[12,6,[]],"5972":[10,5,[]],"5973":[12,5,[1,4]],"5974":[8,4,[]],"5975":[12,8,[4,3]],"5976":[12,5,[4,4]],"5977":[12,3,[3,8]],"5978":[12,8,[]],"5979":[12,9,[6,4]],"5980":[10,4,[1139,4]],"5981":[10,3,[4,6]],"5982":[12,5,[4,4]],"5983":[12,5,[1407,4]],"5984":[10,5,[]],"5985":[12,8,[]],"5986":[12,6,[]],"5987":[12,5,[3,4]],"5988":[12,5,[19,4,16,4]],"5989":[10,4,[4,6]],"5990":[12,6,[]],"5991":[12,8,[]],"5992":[12,3,[2,8]],"5993":[10,5,[]],"5994":[12,4,[1,6]],"5995":[10,8,[]],"5996":[12,4,[29,6]],"5997":[12,4,[1,7]],"5998":[12,9,[5,3]],"5999":[12,6,[70,4]],"6000":[12,6,[]],"6001":[12,9,[]]}};
@@ -0,0 +1,94 @@
+// ============================================
+// BUILT-IN PERSUASION LEXICON
+// Cue words and patterns for each persuasion technique,
+// per language (see PersuasionAnalyzer for the format)
+// ============================================
+
+const PERSUASION_LEXICON = {
+    "formatVersion": 1,
+    "version": "1.0.0",
+    "languages": {
+        "en": {
+            "fear": {
+                "terms": [
+                    "terrifying", "terrified", "frightening", "scary", "deadly", "lethal", "catastroph*", "apocalyp*",
+                    "nightmare", "horrific", "horrifying", "panic", "doomed", "collapse", "imminent danger",
+                    "grave danger", "deadly threat", "existential threat", "your children", "your family",
+                    "could kill", "could die", "will die", "is killing", "are killing", "toxic", "poison*",
+                    "time bomb", "ticking", "no one is safe", "nobody is safe"
+                ],
+                "patterns": [
+                    "before it'?s too late",
+                    "(?:you|your (?:kids|children|family)) (?:could|will|might) be next"
+                ]
+            },
+            "anger": {
+                "terms": [
+                    "outrage", "outraged", "outrageous", "disgrace*", "disgusting", "shameful", "shameless",
+                    "despicable", "betray*", "traitor*", "treason", "furious", "infuriating", "sickening",
+                    "fed up", "evil", "corrupt", "criminals", "crooks", "rigged", "scandal*", "how dare",
+                    "slap in the face", "enough is enough", "liars"
+                ],
+                "patterns": []
+            },
+            "usVsThem": {
+                "terms": [
+                    "the elites", "elitists", "the establishment", "globalists", "real americans", "true patriots",
+                    "ordinary people like us", "people like us", "those people", "the other side", "enemies of the people",
+                    "enemy within", "our way of life", "us versus them", "us vs them", "us vs. them", "sheeple",
+                    "their agenda", "the deep state", "the ruling class"
+                ],
+                "patterns": [
+                    "(?:they|them|the elites?|the establishment) (?:want|wants|are trying|will try|won'?t stop until) (?:to )?(?:destroy|control|silence|replace|take|erase|ruin)",
+                    "(?:they|them) (?:hate|despise|look down on) (?:us|you|people like)"
+                ]
+            },
+            "urgency": {
+                "terms": [
+                    "act now", "act fast", "right now", "hurry", "don't wait", "do not wait", "last chance",
+                    "limited time", "time is running out", "running out of time", "while you still can",
+                    "before it's deleted", "before it gets deleted", "before they take it down", "before it's banned",
+                    "share immediately", "urgent*", "immediately", "deadline", "only hours left", "only days left",
+                    "now or never", "while supplies last", "selling out"
+                ],
+                "patterns": [
+                    "only \\d+ (?:left|remaining|spots?|copies)",
+                    "(?:ends|expires) (?:today|tonight|at midnight)"
+                ]
+            },
+            "loadedLanguage": {
+                "terms": [
+                    "regime", "thugs", "mob", "radical*", "extremist*", "propaganda", "brainwash*", "puppet*",
+                    "cabal", "tyranny", "tyrant*", "dictator*", "hoax", "scam*", "fake news", "invasion", "invaders",
+                    "crisis actors", "indoctrinat*", "woke", "snowflakes", "lunatic*", "cult", "plandemic",
+                    "witch hunt", "fearmongering", "junk science", "so-called"
+                ],
+                "patterns": []
+            },
+            "whataboutism": {
+                "terms": [
+                    "but what about", "and what about", "what about when", "where was the outrage", "the same people who",
+                    "nobody said anything when", "no one said anything when", "nobody complained when",
+                    "funny how", "double standard*", "yet nobody", "yet no one"
+                ],
+                "patterns": [
+                    "why (?:didn'?t|don'?t|doesn'?t|wasn'?t|isn'?t|aren'?t|weren'?t) (?:they|you|anyone|the media)[^.!?]{0,80}\\?",
+                    "(?:and|but) (?:they|you) (?:didn'?t|don'?t) say (?:a word|anything)"
+                ]
+            },
+            "authority": {
+                "terms": [
+                    "experts agree", "experts say", "scientists agree", "scientists say", "doctors agree",
+                    "doctors say", "doctors recommend", "science says", "studies prove", "studies show",
+                    "research proves", "insiders say", "sources say", "top doctor", "top scientist",
+                    "leading expert", "leading doctor", "renowned scientist", "world-renowned", "as a doctor",
+                    "as a scientist", "as a nurse", "trust the experts", "everyone knows", "it is well known"
+                ],
+                "patterns": [
+                    "\\d+ (?:out of|in) \\d+ (?:doctors|dentists|experts|scientists)",
+                    "(?:a|one) (?:famous|respected|prominent|top) (?:doctor|scientist|professor|expert|insider)"
+                ]
+            }
+        }
+    }
+};
@@ -0,0 +1,471 @@
+// ============================================
+// BUILT-IN RULE PACKS
+// Phrase lists and regex rules for the text heuristics,
+// one JSON pack per language (see RulePacks for the format)
+// ============================================
+
+const RULE_PACKS = [
+    {
+        "formatVersion": 1,
+        "id": "builtin-en",
+        "language": "en",
+        "name": "English (built-in)",
+        "version": "1.0.0",
+        "rules": {
+            "aiPatterns": [
+                { "id": "ai-1", "pattern": "as an ai", "flags": "gi", "weight": -30, "message": "Contains AI self-reference", "enabled": true },
+                { "id": "ai-2", "pattern": "i cannot|i can't (provide|generate|create)", "flags": "gi", "weight": -20, "message": "Contains AI refusal patterns", "enabled": true },
+                { "id": "ai-3", "pattern": "\\bdelve\\b", "flags": "gi", "weight": -5, "message": "Uses common AI vocabulary (\"delve\")", "enabled": true },
+                { "id": "ai-4", "pattern": "\\blandscape\\b.*\\b(ever-changing|evolving|dynamic)\\b", "flags": "gi", "weight": -5, "message": null, "enabled": true },
+                { "id": "ai-5", "pattern": "in (today's|the modern|the current) (world|era|age|landscape)", "flags": "gi", "weight": -8, "message": "Uses generic temporal phrases", "enabled": true },
+                { "id": "ai-6", "pattern": "it'?s (important|crucial|essential|vital) to (note|understand|recognize|remember)", "flags": "gi", "weight": -8, "message": null, "enabled": true }
+            ],
+            "misinfoPatterns": [
+                { "id": "misinfo-1", "pattern": "share (this|before|with everyone)", "flags": "gi", "weight": -15, "message": "Contains viral sharing prompts", "enabled": true },
+                { "id": "misinfo-2", "pattern": "(they|the government|media) (don'?t|doesn'?t|won'?t) (want|let) you (know|see)", "flags": "gi", "weight": -20, "message": "Contains conspiracy language", "enabled": true },
+                { "id": "misinfo-3", "pattern": "100%|guaranteed|proven|scientifically proven", "flags": "gi", "weight": -10, "message": "Makes absolute claims without sourcing", "enabled": true },
+                { "id": "misinfo-4", "pattern": "wake up|sheeple|open your eyes", "flags": "gi", "weight": -15, "message": "Uses manipulation language", "enabled": true },
+                { "id": "misinfo-5", "pattern": "mainstream media|msm|big pharma|big tech", "flags": "gi", "weight": -10, "message": "Uses anti-establishment rhetoric", "enabled": true }
+            ],
+            "formalPhrases": [
+                { "id": "formal-1", "term": "it is important to note", "enabled": true },
+                { "id": "formal-2", "term": "it is worth mentioning", "enabled": true },
+                { "id": "formal-3", "term": "in conclusion", "enabled": true },
+                { "id": "formal-4", "term": "furthermore", "enabled": true },
+                { "id": "formal-5", "term": "moreover", "enabled": true },
+                { "id": "formal-6", "term": "additionally", "enabled": true },
+                { "id": "formal-7", "term": "it should be noted", "enabled": true },
+                { "id": "formal-8", "term": "one might argue", "enabled": true },
+                { "id": "formal-9", "term": "it is essential", "enabled": true },
+                { "id": "formal-10", "term": "in today's world", "enabled": true },
+                { "id": "formal-11", "term": "plays a crucial role", "enabled": true },
+                { "id": "formal-12", "term": "it is imperative", "enabled": true },
+                { "id": "formal-13", "term": "significantly", "enabled": true },
+                { "id": "formal-14", "term": "consequently", "enabled": true }
+            ],
+            "sensationalWords": [
+                { "id": "sensational-1", "term": "shocking", "enabled": true },
+                { "id": "sensational-2", "term": "unbelievable", "enabled": true },
+                { "id": "sensational-3", "term": "you won't believe", "enabled": true },
+                { "id": "sensational-4", "term": "breaking", "enabled": true },
+                { "id": "sensational-5", "term": "urgent", "enabled": true },
+                { "id": "sensational-6", "term": "secret", "enabled": true },
+                { "id": "sensational-7", "term": "they don't want you to know", "enabled": true },
+                { "id": "sensational-8", "term": "exposed", "enabled": true },
+                { "id": "sensational-9", "term": "bombshell", "enabled": true },
+                { "id": "sensational-10", "term": "mind-blowing", "enabled": true },
+                { "id": "sensational-11", "term": "conspiracy", "enabled": true },
+                { "id": "sensational-12", "term": "mainstream media", "enabled": true },
+                { "id": "sensational-13", "term": "cover up", "enabled": true },
+                { "id": "sensational-14", "term": "whistleblower", "enabled": true }
+            ],
+            "absoluteWords": [
+                { "id": "absolute-1", "term": "always", "enabled": true },
+                { "id": "absolute-2", "term": "never", "enabled": true },
+                { "id": "absolute-3", "term": "every", "enabled": true },
+                { "id": "absolute-4", "term": "all", "enabled": true },
+                { "id": "absolute-5", "term": "none", "enabled": true },
+                { "id": "absolute-6", "term": "completely", "enabled": true },
+                { "id": "absolute-7", "term": "totally", "enabled": true },
+                { "id": "absolute-8", "term": "absolutely", "enabled": true },
+                { "id": "absolute-9", "term": "definitely", "enabled": true },
+                { "id": "absolute-10", "term": "undoubtedly", "enabled": true },
+                { "id": "absolute-11", "term": "certainly", "enabled": true },
+                { "id": "absolute-12", "term": "obviously", "enabled": true }
+            ]
+        }
+    },
+    {
+        "formatVersion": 1,
+        "id": "builtin-es",
+        "language": "es",
+        "name": "Spanish (built-in)",
+        "version": "1.0.0",
+        "rules": {
+            "aiPatterns": [
+                { "id": "ai-1", "pattern": "como (una )?(ia|inteligencia artificial|modelo de lenguaje)", "flags": "giu", "weight": -30, "message": "Contains AI self-reference", "enabled": true },
+                { "id": "ai-2", "pattern": "no puedo (proporcionar|generar|crear)", "flags": "giu", "weight": -20, "message": "Contains AI refusal patterns", "enabled": true },
+                { "id": "ai-3", "pattern": "en (el mundo|la era|la sociedad) (actual|moderna|de hoy)", "flags": "giu", "weight": -8, "message": "Uses generic temporal phrases", "enabled": true },
+                { "id": "ai-4", "pattern": "es (importante|crucial|esencial|fundamental) (destacar|señalar|comprender|recordar)", "flags": "giu", "weight": -8, "message": null, "enabled": true }
+            ],
+            "misinfoPatterns": [
+                { "id": "misinfo-1", "pattern": "comp[aá]rte(lo|la)?( con todos| antes)?|difunde (esto|este mensaje)", "flags": "giu", "weight": -15, "message": "Contains viral sharing prompts", "enabled": true },
+                { "id": "misinfo-2", "pattern": "(el gobierno|los medios|ellos) no quieren? que (sepas|veas)", "flags": "giu", "weight": -20, "message": "Contains conspiracy language", "enabled": true },
+                { "id": "misinfo-3", "pattern": "100%|garantizado|comprobado|científicamente probado", "flags": "giu", "weight": -10, "message": "Makes absolute claims without sourcing", "enabled": true },
+                { "id": "misinfo-4", "pattern": "despierta|abre los ojos|borregos", "flags": "giu", "weight": -15, "message": "Uses manipulation language", "enabled": true },
+                { "id": "misinfo-5", "pattern": "medios tradicionales|gran farmac[eé]utica|big pharma", "flags": "giu", "weight": -10, "message": "Uses anti-establishment rhetoric", "enabled": true }
+            ],
+            "formalPhrases": [
+                { "id": "formal-1", "term": "es importante destacar", "enabled": true },
+                { "id": "formal-2", "term": "cabe mencionar", "enabled": true },
+                { "id": "formal-3", "term": "cabe destacar", "enabled": true },
+                { "id": "formal-4", "term": "en conclusión", "enabled": true },
+                { "id": "formal-5", "term": "además", "enabled": true },
+                { "id": "formal-6", "term": "asimismo", "enabled": true },
+                { "id": "formal-7", "term": "por otro lado", "enabled": true },
+                { "id": "formal-8", "term": "es fundamental", "enabled": true },
+                { "id": "formal-9", "term": "en el mundo actual", "enabled": true },
+                { "id": "formal-10", "term": "juega un papel crucial", "enabled": true },
+                { "id": "formal-11", "term": "desempeña un papel fundamental", "enabled": true },
+                { "id": "formal-12", "term": "en consecuencia", "enabled": true },
+                { "id": "formal-13", "term": "es imprescindible", "enabled": true },
+                { "id": "formal-14", "term": "significativamente", "enabled": true }
+            ],
+            "sensationalWords": [
+                { "id": "sensational-1", "term": "impactante", "enabled": true },
+                { "id": "sensational-2", "term": "increíble", "enabled": true },
+                { "id": "sensational-3", "term": "no vas a creer", "enabled": true },
+                { "id": "sensational-4", "term": "última hora", "enabled": true },
+                { "id": "sensational-5", "term": "urgente", "enabled": true },
+                { "id": "sensational-6", "term": "secreto", "enabled": true },
+                { "id": "sensational-7", "term": "no quieren que sepas", "enabled": true },
+                { "id": "sensational-8", "term": "expuesto", "enabled": true },
+                { "id": "sensational-9", "term": "escándalo", "enabled": true },
+                { "id": "sensational-10", "term": "conspiración", "enabled": true },
+                { "id": "sensational-11", "term": "medios tradicionales", "enabled": true },
+                { "id": "sensational-12", "term": "encubrimiento", "enabled": true },
+                { "id": "sensational-13", "term": "denunciante", "enabled": true }
+            ],
+            "absoluteWords": [
+                { "id": "absolute-1", "term": "siempre", "enabled": true },
+                { "id": "absolute-2", "term": "nunca", "enabled": true },
+                { "id": "absolute-3", "term": "todos", "enabled": true },
+                { "id": "absolute-4", "term": "todas", "enabled": true },
+                { "id": "absolute-5", "term": "ninguno", "enabled": true },
+                { "id": "absolute-6", "term": "completamente", "enabled": true },
+                { "id": "absolute-7", "term": "totalmente", "enabled": true },
+                { "id": "absolute-8", "term": "absolutamente", "enabled": true },
+                { "id": "absolute-9", "term": "definitivamente", "enabled": true },
+                { "id": "absolute-10", "term": "indudablemente", "enabled": true },
+                { "id": "absolute-11", "term": "ciertamente", "enabled": true },
+                { "id": "absolute-12", "term": "obviamente", "enabled": true }
+            ]
+        }
+    },
+    {
+        "formatVersion": 1,
+        "id": "builtin-fr",
+        "language": "fr",
+        "name": "French (built-in)",
+        "version": "1.0.0",
+        "rules": {
+            "aiPatterns": [
+                { "id": "ai-1", "pattern": "en tant qu'(ia|intelligence artificielle|assistant)", "flags": "giu", "weight": -30, "message": "Contains AI self-reference", "enabled": true },
+                { "id": "ai-2", "pattern": "je ne peux pas (fournir|générer|créer)", "flags": "giu", "weight": -20, "message": "Contains AI refusal patterns", "enabled": true },
+                { "id": "ai-3", "pattern": "dans (le monde|la société|l'ère) (actuel(le)?|moderne|d'aujourd'hui)", "flags": "giu", "weight": -8, "message": "Uses generic temporal phrases", "enabled": true },
+                { "id": "ai-4", "pattern": "il est (important|crucial|essentiel) de (noter|comprendre|souligner|rappeler)", "flags": "giu", "weight": -8, "message": null, "enabled": true }
+            ],
+            "misinfoPatterns": [
+                { "id": "misinfo-1", "pattern": "partagez (ceci|avant|à tous|avec tout le monde)", "flags": "giu", "weight": -15, "message": "Contains viral sharing prompts", "enabled": true },
+                { "id": "misinfo-2", "pattern": "(le gouvernement|les médias|ils) ne veu(t|lent) pas que vous (sachiez|voyiez)", "flags": "giu", "weight": -20, "message": "Contains conspiracy language", "enabled": true },
+                { "id": "misinfo-3", "pattern": "100%|garanti|prouvé|scientifiquement prouvé", "flags": "giu", "weight": -10, "message": "Makes absolute claims without sourcing", "enabled": true },
+                { "id": "misinfo-4", "pattern": "réveillez-vous|ouvrez les yeux|moutons", "flags": "giu", "weight": -15, "message": "Uses manipulation language", "enabled": true },
+                { "id": "misinfo-5", "pattern": "médias traditionnels|merdias|big pharma", "flags": "giu", "weight": -10, "message": "Uses anti-establishment rhetoric", "enabled": true }
+            ],
+            "formalPhrases": [
+                { "id": "formal-1", "term": "il est important de noter", "enabled": true },
+                { "id": "formal-2", "term": "il convient de souligner", "enabled": true },
+                { "id": "formal-3", "term": "en conclusion", "enabled": true },
+                { "id": "formal-4", "term": "de plus", "enabled": true },
+                { "id": "formal-5", "term": "en outre", "enabled": true },
+                { "id": "formal-6", "term": "par ailleurs", "enabled": true },
+                { "id": "formal-7", "term": "il est essentiel", "enabled": true },
+                { "id": "formal-8", "term": "dans le monde actuel", "enabled": true },
+                { "id": "formal-9", "term": "joue un rôle crucial", "enabled": true },
+                { "id": "formal-10", "term": "joue un rôle essentiel", "enabled": true },
+                { "id": "formal-11", "term": "par conséquent", "enabled": true },
+                { "id": "formal-12", "term": "il est impératif", "enabled": true },
+                { "id": "formal-13", "term": "significativement", "enabled": true }
+            ],
+            "sensationalWords": [
+                { "id": "sensational-1", "term": "choquant", "enabled": true },
+                { "id": "sensational-2", "term": "incroyable", "enabled": true },
+                { "id": "sensational-3", "term": "vous ne croirez pas", "enabled": true },
+                { "id": "sensational-4", "term": "urgent", "enabled": true },
+                { "id": "sensational-5", "term": "secret", "enabled": true },
+                { "id": "sensational-6", "term": "dernière minute", "enabled": true },
+                { "id": "sensational-7", "term": "ils ne veulent pas que vous sachiez", "enabled": true },
+                { "id": "sensational-8", "term": "révélé", "enabled": true },
+                { "id": "sensational-9", "term": "scandale", "enabled": true },
+                { "id": "sensational-10", "term": "complot", "enabled": true },
+                { "id": "sensational-11", "term": "médias traditionnels", "enabled": true },
+                { "id": "sensational-12", "term": "étouffer l'affaire", "enabled": true },
+                { "id": "sensational-13", "term": "lanceur d'alerte", "enabled": true }
+            ],
+            "absoluteWords": [
+                { "id": "absolute-1", "term": "toujours", "enabled": true },
+                { "id": "absolute-2", "term": "jamais", "enabled": true },
+                { "id": "absolute-3", "term": "tous", "enabled": true },
+                { "id": "absolute-4", "term": "toutes", "enabled": true },
+                { "id": "absolute-5", "term": "aucun", "enabled": true },
+                { "id": "absolute-6", "term": "complètement", "enabled": true },
+                { "id": "absolute-7", "term": "totalement", "enabled": true },
+                { "id": "absolute-8", "term": "absolument", "enabled": true },
+                { "id": "absolute-9", "term": "définitivement", "enabled": true },
+                { "id": "absolute-10", "term": "indubitablement", "enabled": true },
+                { "id": "absolute-11", "term": "certainement", "enabled": true },
+                { "id": "absolute-12", "term": "évidemment", "enabled": true }
+            ]
+        }
+    },
+    {
+        "formatVersion": 1,
+        "id": "builtin-de",
+        "language": "de",
+        "name": "German (built-in)",
+        "version": "1.0.0",
+        "rules": {
+            "aiPatterns": [
+                { "id": "ai-1", "pattern": "als (eine )?(ki|künstliche intelligenz|sprachmodell)", "flags": "giu", "weight": -30, "message": "Contains AI self-reference", "enabled": true },
+                { "id": "ai-2", "pattern": "ich kann (keine|nicht) (bereitstellen|erstellen|generieren)", "flags": "giu", "weight": -20, "message": "Contains AI refusal patterns", "enabled": true },
+                { "id": "ai-3", "pattern": "in der (heutigen|modernen) (welt|zeit|gesellschaft)", "flags": "giu", "weight": -8, "message": "Uses generic temporal phrases", "enabled": true },
+                { "id": "ai-4", "pattern": "es ist (wichtig|entscheidend|wesentlich) zu (beachten|verstehen|erkennen)", "flags": "giu", "weight": -8, "message": null, "enabled": true }
+            ],
+            "misinfoPatterns": [
+                { "id": "misinfo-1", "pattern": "teilt (das|dies|es) (mit allen|bevor)|bitte teilen", "flags": "giu", "weight": -15, "message": "Contains viral sharing prompts", "enabled": true },
+                { "id": "misinfo-2", "pattern": "(die regierung|die medien|sie) will(st)? nicht, dass (du|sie|ihr) (das )?(wisst|wissen|weißt|seht)", "flags": "giu", "weight": -20, "message": "Contains conspiracy language", "enabled": true },
+                { "id": "misinfo-3", "pattern": "100%|garantiert|bewiesen|wissenschaftlich bewiesen", "flags": "giu", "weight": -10, "message": "Makes absolute claims without sourcing", "enabled": true },
+                { "id": "misinfo-4", "pattern": "wacht auf|schlafschafe|öffnet die augen", "flags": "giu", "weight": -15, "message": "Uses manipulation language", "enabled": true },
+                { "id": "misinfo-5", "pattern": "mainstream-medien|lügenpresse|systemmedien|big pharma", "flags": "giu", "weight": -10, "message": "Uses anti-establishment rhetoric", "enabled": true }
+            ],
+            "formalPhrases": [
+                { "id": "formal-1", "term": "es ist wichtig zu beachten", "enabled": true },
+                { "id": "formal-2", "term": "es sei darauf hingewiesen", "enabled": true },
+                { "id": "formal-3", "term": "zusammenfassend", "enabled": true },
+                { "id": "formal-4", "term": "darüber hinaus", "enabled": true },
+                { "id": "formal-5", "term": "außerdem", "enabled": true },
+                { "id": "formal-6", "term": "zudem", "enabled": true },
+                { "id": "formal-7", "term": "des weiteren", "enabled": true },
+                { "id": "formal-8", "term": "es ist unerlässlich", "enabled": true },
+                { "id": "formal-9", "term": "in der heutigen welt", "enabled": true },
+                { "id": "formal-10", "term": "spielt eine entscheidende rolle", "enabled": true },
+                { "id": "formal-11", "term": "folglich", "enabled": true },
+                { "id": "formal-12", "term": "infolgedessen", "enabled": true },
+                { "id": "formal-13", "term": "erheblich", "enabled": true }
+            ],
+            "sensationalWords": [
+                { "id": "sensational-1", "term": "schockierend", "enabled": true },
+                { "id": "sensational-2", "term": "unglaublich", "enabled": true },
+                { "id": "sensational-3", "term": "sie werden nicht glauben", "enabled": true },
+                { "id": "sensational-4", "term": "eilmeldung", "enabled": true },
+                { "id": "sensational-5", "term": "dringend", "enabled": true },
+                { "id": "sensational-6", "term": "geheim", "enabled": true },
+                { "id": "sensational-7", "term": "sie wollen nicht, dass sie es wissen", "enabled": true },
+                { "id": "sensational-8", "term": "enthüllt", "enabled": true },
+                { "id": "sensational-9", "term": "skandal", "enabled": true },
+                { "id": "sensational-10", "term": "verschwörung", "enabled": true },
+                { "id": "sensational-11", "term": "mainstream-medien", "enabled": true },
+                { "id": "sensational-12", "term": "vertuschung", "enabled": true },
+                { "id": "sensational-13", "term": "whistleblower", "enabled": true }
+            ],
+            "absoluteWords": [
+                { "id": "absolute-1", "term": "immer", "enabled": true },
+                { "id": "absolute-2", "term": "nie", "enabled": true },
+                { "id": "absolute-3", "term": "niemals", "enabled": true },
+                { "id": "absolute-4", "term": "alle", "enabled": true },
+                { "id": "absolute-5", "term": "keiner", "enabled": true },
+                { "id": "absolute-6", "term": "vollständig", "enabled": true },
+                { "id": "absolute-7", "term": "völlig", "enabled": true },
+                { "id": "absolute-8", "term": "absolut", "enabled": true },
+                { "id": "absolute-9", "term": "definitiv", "enabled": true },
+                { "id": "absolute-10", "term": "zweifellos", "enabled": true },
+                { "id": "absolute-11", "term": "sicherlich", "enabled": true },
+                { "id": "absolute-12", "term": "offensichtlich", "enabled": true }
+            ]
+        }
+    },
+    {
+        "formatVersion": 1,
+        "id": "builtin-pt",
+        "language": "pt",
+        "name": "Portuguese (built-in)",
+        "version": "1.0.0",
+        "rules": {
+            "aiPatterns": [
+                { "id": "ai-1", "pattern": "como (uma )?(ia|inteligência artificial|modelo de linguagem)", "flags": "giu", "weight": -30, "message": "Contains AI self-reference", "enabled": true },
+                { "id": "ai-2", "pattern": "não posso (fornecer|gerar|criar)", "flags": "giu", "weight": -20, "message": "Contains AI refusal patterns", "enabled": true },
+                { "id": "ai-3", "pattern": "n(o|a) (mundo|era|sociedade) (atual|moderna|de hoje)", "flags": "giu", "weight": -8, "message": "Uses generic temporal phrases", "enabled": true },
+                { "id": "ai-4", "pattern": "é (importante|crucial|essencial|fundamental) (ressaltar|destacar|compreender|lembrar)", "flags": "giu", "weight": -8, "message": null, "enabled": true }
+            ],
+            "misinfoPatterns": [
+                { "id": "misinfo-1", "pattern": "compartilhe( isso| antes| com todos)?|repasse (isso|essa mensagem)", "flags": "giu", "weight": -15, "message": "Contains viral sharing prompts", "enabled": true },
+                { "id": "misinfo-2", "pattern": "(o governo|a mídia|eles) não quer(em)? que você (saiba|veja)", "flags": "giu", "weight": -20, "message": "Contains conspiracy language", "enabled": true },
+                { "id": "misinfo-3", "pattern": "100%|garantido|comprovado|cientificamente comprovado", "flags": "giu", "weight": -10, "message": "Makes absolute claims without sourcing", "enabled": true },
+                { "id": "misinfo-4", "pattern": "acorda|abra os olhos|gado", "flags": "giu", "weight": -15, "message": "Uses manipulation language", "enabled": true },
+                { "id": "misinfo-5", "pattern": "grande mídia|mídia tradicional|big pharma", "flags": "giu", "weight": -10, "message": "Uses anti-establishment rhetoric", "enabled": true }
+            ],
+            "formalPhrases": [
+                { "id": "formal-1", "term": "é importante ressaltar", "enabled": true },
+                { "id": "formal-2", "term": "vale ressaltar", "enabled": true },
+                { "id": "formal-3", "term": "vale mencionar", "enabled": true },
+                { "id": "formal-4", "term": "em conclusão", "enabled": true },
+                { "id": "formal-5", "term": "além disso", "enabled": true },
+                { "id": "formal-6", "term": "ademais", "enabled": true },
+                { "id": "formal-7", "term": "outrossim", "enabled": true },
+                { "id": "formal-8", "term": "é fundamental", "enabled": true },
+                { "id": "formal-9", "term": "no mundo atual", "enabled": true },
+                { "id": "formal-10", "term": "desempenha um papel crucial", "enabled": true },
+                { "id": "formal-11", "term": "desempenha um papel fundamental", "enabled": true },
+                { "id": "formal-12", "term": "consequentemente", "enabled": true },
+                { "id": "formal-13", "term": "é imprescindível", "enabled": true },
+                { "id": "formal-14", "term": "significativamente", "enabled": true }
+            ],
+            "sensationalWords": [
+                { "id": "sensational-1", "term": "chocante", "enabled": true },
+                { "id": "sensational-2", "term": "inacreditável", "enabled": true },
+                { "id": "sensational-3", "term": "você não vai acreditar", "enabled": true },
+                { "id": "sensational-4", "term": "urgente", "enabled": true },
+                { "id": "sensational-5", "term": "segredo", "enabled": true },
+                { "id": "sensational-6", "term": "eles não querem que você saiba", "enabled": true },
+                { "id": "sensational-7", "term": "exposto", "enabled": true },
+                { "id": "sensational-8", "term": "escândalo", "enabled": true },
+                { "id": "sensational-9", "term": "conspiração", "enabled": true },
+                { "id": "sensational-10", "term": "grande mídia", "enabled": true },
+                { "id": "sensational-11", "term": "acobertamento", "enabled": true },
+                { "id": "sensational-12", "term": "denunciante", "enabled": true }
+            ],
+            "absoluteWords": [
+                { "id": "absolute-1", "term": "sempre", "enabled": true },
+                { "id": "absolute-2", "term": "nunca", "enabled": true },
+                { "id": "absolute-3", "term": "todos", "enabled": true },
+                { "id": "absolute-4", "term": "todas", "enabled": true },
+                { "id": "absolute-5", "term": "nenhum", "enabled": true },
+                { "id": "absolute-6", "term": "completamente", "enabled": true },
+                { "id": "absolute-7", "term": "totalmente", "enabled": true },
+                { "id": "absolute-8", "term": "absolutamente", "enabled": true },
+                { "id": "absolute-9", "term": "definitivamente", "enabled": true },
+                { "id": "absolute-10", "term": "indubitavelmente", "enabled": true },
+                { "id": "absolute-11", "term": "certamente", "enabled": true },
+                { "id": "absolute-12", "term": "obviamente", "enabled": true }
+            ]
+        }
+    },
+    {
+        "formatVersion": 1,
+        "id": "builtin-it",
+        "language": "it",
+        "name": "Italian (built-in)",
+        "version": "1.0.0",
+        "rules": {
+            "aiPatterns": [
+                { "id": "ai-1", "pattern": "come (un'?|una )?(ia|intelligenza artificiale|modello linguistico)", "flags": "giu", "weight": -30, "message": "Contains AI self-reference", "enabled": true },
+                { "id": "ai-2", "pattern": "non posso (fornire|generare|creare)", "flags": "giu", "weight": -20, "message": "Contains AI refusal patterns", "enabled": true },
+                { "id": "ai-3", "pattern": "nel(l'| )(mondo|era|società) (attuale|moderna|di oggi)", "flags": "giu", "weight": -8, "message": "Uses generic temporal phrases", "enabled": true },
+                { "id": "ai-4", "pattern": "è (importante|cruciale|essenziale|fondamentale) (notare|comprendere|sottolineare|ricordare)", "flags": "giu", "weight": -8, "message": null, "enabled": true }
+            ],
+            "misinfoPatterns": [
+                { "id": "misinfo-1", "pattern": "condividi(te)?( questo| prima| con tutti)?", "flags": "giu", "weight": -15, "message": "Contains viral sharing prompts", "enabled": true },
+                { "id": "misinfo-2", "pattern": "(il governo|i media|loro) non vogliono? che tu (sappia|veda)", "flags": "giu", "weight": -20, "message": "Contains conspiracy language", "enabled": true },
+                { "id": "misinfo-3", "pattern": "100%|garantito|provato|scientificamente provato", "flags": "giu", "weight": -10, "message": "Makes absolute claims without sourcing", "enabled": true },
+                { "id": "misinfo-4", "pattern": "svegliatevi|aprite gli occhi|pecoroni", "flags": "giu", "weight": -15, "message": "Uses manipulation language", "enabled": true },
+                { "id": "misinfo-5", "pattern": "media mainstream|big pharma|poteri forti", "flags": "giu", "weight": -10, "message": "Uses anti-establishment rhetoric", "enabled": true }
+            ],
+            "formalPhrases": [
+                { "id": "formal-1", "term": "è importante notare", "enabled": true },
+                { "id": "formal-2", "term": "vale la pena menzionare", "enabled": true },
+                { "id": "formal-3", "term": "in conclusione", "enabled": true },
+                { "id": "formal-4", "term": "inoltre", "enabled": true },
+                { "id": "formal-5", "term": "per di più", "enabled": true },
+                { "id": "formal-6", "term": "altresì", "enabled": true },
+                { "id": "formal-7", "term": "è fondamentale", "enabled": true },
+                { "id": "formal-8", "term": "nel mondo di oggi", "enabled": true },
+                { "id": "formal-9", "term": "svolge un ruolo cruciale", "enabled": true },
+                { "id": "formal-10", "term": "gioca un ruolo fondamentale", "enabled": true },
+                { "id": "formal-11", "term": "di conseguenza", "enabled": true },
+                { "id": "formal-12", "term": "è imperativo", "enabled": true },
+                { "id": "formal-13", "term": "significativamente", "enabled": true }
+            ],
+            "sensationalWords": [
+                { "id": "sensational-1", "term": "scioccante", "enabled": true },
+                { "id": "sensational-2", "term": "incredibile", "enabled": true },
+                { "id": "sensational-3", "term": "non crederai", "enabled": true },
+                { "id": "sensational-4", "term": "ultim'ora", "enabled": true },
+                { "id": "sensational-5", "term": "urgente", "enabled": true },
+                { "id": "sensational-6", "term": "segreto", "enabled": true },
+                { "id": "sensational-7", "term": "non vogliono che tu sappia", "enabled": true },
+                { "id": "sensational-8", "term": "smascherato", "enabled": true },
+                { "id": "sensational-9", "term": "scandalo", "enabled": true },
+                { "id": "sensational-10", "term": "complotto", "enabled": true },
+                { "id": "sensational-11", "term": "media mainstream", "enabled": true },
+                { "id": "sensational-12", "term": "insabbiamento", "enabled": true },
+                { "id": "sensational-13", "term": "informatore", "enabled": true }
+            ],
+            "absoluteWords": [
+                { "id": "absolute-1", "term": "sempre", "enabled": true },
+                { "id": "absolute-2", "term": "mai", "enabled": true },
+                { "id": "absolute-3", "term": "tutti", "enabled": true },
+                { "id": "absolute-4", "term": "tutte", "enabled": true },
+                { "id": "absolute-5", "term": "nessuno", "enabled": true },
+                { "id": "absolute-6", "term": "completamente", "enabled": true },
+                { "id": "absolute-7", "term": "totalmente", "enabled": true },
+                { "id": "absolute-8", "term": "assolutamente", "enabled": true },
+                { "id": "absolute-9", "term": "definitivamente", "enabled": true },
+                { "id": "absolute-10", "term": "indubbiamente", "enabled": true },
+                { "id": "absolute-11", "term": "certamente", "enabled": true },
+                { "id": "absolute-12", "term": "ovviamente", "enabled": true }
+            ]
+        }
+    },
+    {
+        "formatVersion": 1,
+        "id": "builtin-hi",
+        "language": "hi",
+        "name": "Hindi (built-in)",
+        "version": "1.0.0",
+        "rules": {
+            "aiPatterns": [
+                { "id": "ai-1", "pattern": "एक (एआई|कृत्रिम बुद्धिमत्ता|भाषा मॉडल) के रूप में", "flags": "gu", "weight": -30, "message": "Contains AI self-reference", "enabled": true },
+                { "id": "ai-2", "pattern": "मैं (प्रदान|उत्पन्न|तैयार) नहीं कर सकता", "flags": "gu", "weight": -20, "message": "Contains AI refusal patterns", "enabled": true },
+                { "id": "ai-3", "pattern": "आज (की दुनिया|के युग|के समय) में", "flags": "gu", "weight": -8, "message": "Uses generic temporal phrases", "enabled": true }
+            ],
+            "misinfoPatterns": [
+                { "id": "misinfo-1", "pattern": "(इसे|सबके साथ|सभी को) (शेयर|फॉरवर्ड) करें", "flags": "gu", "weight": -15, "message": "Contains viral sharing prompts", "enabled": true },
+                { "id": "misinfo-2", "pattern": "(सरकार|मीडिया|वे) नहीं चाह(ती|ता|ते) कि आप (जानें|देखें)", "flags": "gu", "weight": -20, "message": "Contains conspiracy language", "enabled": true },
+                { "id": "misinfo-3", "pattern": "100%|गारंटी|वैज्ञानिक रूप से सिद्ध|प्रमाणित", "flags": "gu", "weight": -10, "message": "Makes absolute claims without sourcing", "enabled": true },
+                { "id": "misinfo-4", "pattern": "जागो|आंखें खोलो|आँखें खोलो", "flags": "gu", "weight": -15, "message": "Uses manipulation language", "enabled": true },
+                { "id": "misinfo-5", "pattern": "गोदी मीडिया|मुख्यधारा मीडिया|बिग फार्मा", "flags": "gu", "weight": -10, "message": "Uses anti-establishment rhetoric", "enabled": true }
+            ],
+            "formalPhrases": [
+                { "id": "formal-1", "term": "यह ध्यान देना महत्वपूर्ण है", "enabled": true },
+                { "id": "formal-2", "term": "उल्लेखनीय है कि", "enabled": true },
+                { "id": "formal-3", "term": "निष्कर्ष में", "enabled": true },
+                { "id": "formal-4", "term": "निष्कर्षतः", "enabled": true },
+                { "id": "formal-5", "term": "इसके अलावा", "enabled": true },
+                { "id": "formal-6", "term": "इसके अतिरिक्त", "enabled": true },
+                { "id": "formal-7", "term": "साथ ही", "enabled": true },
+                { "id": "formal-8", "term": "यह आवश्यक है", "enabled": true },
+                { "id": "formal-9", "term": "आज की दुनिया में", "enabled": true },
+                { "id": "formal-10", "term": "महत्वपूर्ण भूमिका निभाता है", "enabled": true },
+                { "id": "formal-11", "term": "परिणामस्वरूप", "enabled": true },
+                { "id": "formal-12", "term": "फलस्वरूप", "enabled": true }
+            ],
+            "sensationalWords": [
+                { "id": "sensational-1", "term": "चौंकाने वाला", "enabled": true },
+                { "id": "sensational-2", "term": "अविश्वसनीय", "enabled": true },
+                { "id": "sensational-3", "term": "यकीन नहीं होगा", "enabled": true },
+                { "id": "sensational-4", "term": "ब्रेकिंग", "enabled": true },
+                { "id": "sensational-5", "term": "तत्काल", "enabled": true },
+                { "id": "sensational-6", "term": "गुप्त", "enabled": true },
+                { "id": "sensational-7", "term": "वे नहीं चाहते कि आप जानें", "enabled": true },
+                { "id": "sensational-8", "term": "पर्दाफाश", "enabled": true },
+                { "id": "sensational-9", "term": "सनसनीखेज", "enabled": true },
+                { "id": "sensational-10", "term": "साजिश", "enabled": true },
+                { "id": "sensational-11", "term": "षड्यंत्र", "enabled": true },
+                { "id": "sensational-12", "term": "मुख्यधारा मीडिया", "enabled": true },
+                { "id": "sensational-13", "term": "व्हिसलब्लोअर", "enabled": true }
+            ],
+            "absoluteWords": [
+                { "id": "absolute-1", "term": "हमेशा", "enabled": true },
+                { "id": "absolute-2", "term": "कभी नहीं", "enabled": true },
+                { "id": "absolute-3", "term": "सभी", "enabled": true },
+                { "id": "absolute-4", "term": "हर", "enabled": true },
+                { "id": "absolute-5", "term": "कोई नहीं", "enabled": true },
+                { "id": "absolute-6", "term": "पूरी तरह", "enabled": true },
+                { "id": "absolute-7", "term": "बिल्कुल", "enabled": true },
+                { "id": "absolute-8", "term": "निश्चित रूप से", "enabled": true },
+                { "id": "absolute-9", "term": "निस्संदेह", "enabled": true },
+                { "id": "absolute-10", "term": "ज़ाहिर है", "enabled": true }
+            ]
+        }
+    }
+];
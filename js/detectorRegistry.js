@@ -0,0 +1,273 @@
+// ============================================
+// DETECTOR REGISTRY MODULE
+// Declarative list of Hugging Face classifiers
+// used by TextAnalyzer and ImageAnalyzer
+// ============================================
+
+const DetectorRegistry = {
+    STORAGE_KEY: 'truthlens-detectors',
+    FORMAT_VERSION: 1,
+
+    // Roles the analyzers know how to interpret; anything else is shown as-is
+    ROLES: ['aiDetection', 'fakeNews', 'sentiment', 'deepfake', 'custom'],
+
+    /**
+     * Built-in detectors. A detector definition:
+     *   id          unique key
+     *   name        breakdown label
+     *   model       Hugging Face model ID
+     *   inputType   'text' | 'image'
+     *   role        which signal it feeds (see ROLES)
+     *   labels      { authentic: [...], synthetic: [...] } - lowercased model labels
+     *   labelMatch  'exact' (default) or 'contains'
+     *   scoring     'probability' (default): score = P(authentic)
+     *               'polarity': strong confidence either way lowers the score
+     *   weight      weight in the overall score (default 1)
+     *   maxTokens   per-request token budget for text models
+     *   fallback    optional { model, labels, labelMatch } tried when the model fails
+     *   warning     optional { below, message } added when the score is under `below`
+     *   enabled     false to keep a registration without running it
+     */
+    DEFAULTS: [
+        {
+            id: 'roberta-openai-detector',
+            name: 'AI Detection Model (RoBERTa)',
+            model: 'openai-community/roberta-base-openai-detector',
+            inputType: 'text',
+            role: 'aiDetection',
+            labels: { authentic: ['real', 'label_1'], synthetic: ['fake', 'label_0'] },
+            weight: 1,
+            maxTokens: 448,
+            fallback: {
+                model: 'Hello-SimpleAI/chatgpt-detector-roberta',
+                labels: { authentic: ['human', 'label_0'], synthetic: ['chatgpt', 'label_1'] },
+                labelMatch: 'contains'
+            },
+            warning: { below: 40, message: 'AI detection model indicates high probability of machine-generated content' },
+            enabled: true
+        },
+        {
+            id: 'roberta-fake-news',
+            name: 'Misinformation Classifier',
+            model: 'hamzab/roberta-fake-news-classification',
+            inputType: 'text',
+            role: 'fakeNews',
+            labels: { authentic: ['true', 'real', 'label_1'], synthetic: ['fake', 'false', 'label_0'] },
+            weight: 1,
+            maxTokens: 448,
+            warning: { below: 40, message: 'Misinformation classifier flags this text as likely fake news' },
+            enabled: true
+        },
+        {
+            id: 'distilbert-sst2',
+            name: 'Emotional Tone',
+            model: 'distilbert-base-uncased-finetuned-sst-2-english',
+            inputType: 'text',
+            role: 'sentiment',
+            labels: { authentic: ['positive', 'label_1'], synthetic: ['negative', 'label_0'] },
+            scoring: 'polarity',
+            weight: 1,
+            maxTokens: 448,
+            enabled: true
+        },
+        {
+            id: 'ai-image-detector',
+            name: 'AI Image Detection',
+            model: 'umm-maybe/AI-image-detector',
+            inputType: 'image',
+            role: 'aiDetection',
+            labels: { authentic: ['real', 'human', 'authentic'], synthetic: ['artificial', 'ai', 'fake'] },
+            labelMatch: 'contains',
+            weight: 1,
+            warning: { below: 40, message: 'Image shows strong indicators of AI generation' },
+            enabled: true
+        },
+        {
+            id: 'deepfake-faces',
+            name: 'Deepfake Detection',
+            model: 'dima806/deepfake_vs_real_faces_detection',
+            inputType: 'image',
+            role: 'deepfake',
+            labels: { authentic: ['real'], synthetic: ['fake'] },
+            labelMatch: 'contains',
+            weight: 1,
+            warning: { below: 40, message: 'Deepfake indicators detected in the image' },
+            enabled: true
+        }
+    ],
+
+    detectors: null,
+
+    /**
+     * Current registrations (saved ones, or the defaults on first use)
+     */
+    all() {
+        if (!this.detectors) this.load();
+        return this.detectors;
+    },
+
+    /**
+     * Enabled detectors for an input type, optionally filtered by role
+     */
+    list(inputType, role) {
+        return this.all().filter(d =>
+            d.enabled !== false && d.inputType === inputType && (!role || d.role === role)
+        );
+    },
+
+    load() {
+        this.detectors = this.DEFAULTS.map(d => ({ ...d }));
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            if (saved) this.detectors = this.parse(saved);
+        } catch (error) {
+            console.warn('Ignoring invalid saved detector registry:', error);
+        }
+        return this.detectors;
+    },
+
+    save() {
+        localStorage.setItem(this.STORAGE_KEY, this.exportJSON());
+    },
+
+    /**
+     * Add or replace a detector (matched by id) and persist the registry
+     */
+    register(definition) {
+        const detector = this.validate(definition);
+        const detectors = this.all();
+        const existing = detectors.findIndex(d => d.id === detector.id);
+        if (existing >= 0) {
+            detectors[existing] = detector;
+        } else {
+            detectors.push(detector);
+        }
+        this.save();
+        return detector;
+    },
+
+    unregister(id) {
+        this.detectors = this.all().filter(d => d.id !== id);
+        this.save();
+    },
+
+    setEnabled(id, enabled) {
+        const detector = this.all().find(d => d.id === id);
+        if (detector) {
+            detector.enabled = enabled;
+            this.save();
+        }
+    },
+
+    reset() {
+        localStorage.removeItem(this.STORAGE_KEY);
+        this.load();
+    },
+
+    exportJSON() {
+        return JSON.stringify({ version: this.FORMAT_VERSION, detectors: this.all() }, null, 2);
+    },
+
+    /**
+     * Replace the registry with an exported JSON document.
+     * Throws if the document or any detector in it is invalid.
+     */
+    importJSON(json) {
+        this.detectors = this.parse(json);
+        this.save();
+        return this.detectors;
+    },
+
+    parse(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const list = Array.isArray(data) ? data : data && data.detectors;
+        if (!Array.isArray(list)) {
+            throw new Error('Expected a list of detectors');
+        }
+
+        const detectors = list.map(d => this.validate(d));
+        const ids = new Set();
+        detectors.forEach(d => {
+            if (ids.has(d.id)) throw new Error(`Duplicate detector id "${d.id}"`);
+            ids.add(d.id);
+        });
+        return detectors;
+    },
+
+    /**
+     * Check a definition and return a normalized copy
+     */
+    validate(definition) {
+        const d = definition || {};
+        const fail = message => { throw new Error(`Detector "${d.id || d.model || '?'}": ${message}`); };
+
+        if (typeof d.id !== 'string' || !d.id.trim()) fail('missing id');
+        if (typeof d.model !== 'string' || !d.model.trim()) fail('missing model ID');
+        if (!['text', 'image'].includes(d.inputType)) fail('inputType must be "text" or "image"');
+        if (d.role && !this.ROLES.includes(d.role)) fail(`unknown role "${d.role}"`);
+        if (d.weight !== undefined && !(typeof d.weight === 'number' && d.weight >= 0)) fail('weight must be a non-negative number');
+        if (d.maxTokens !== undefined && !(Number.isInteger(d.maxTokens) && d.maxTokens > 16)) fail('maxTokens must be an integer above 16');
+        if (d.scoring && !['probability', 'polarity'].includes(d.scoring)) fail('scoring must be "probability" or "polarity"');
+
+        const labels = this.validateLabels(d.labels, fail);
+        const fallback = d.fallback ? {
+            model: typeof d.fallback.model === 'string' && d.fallback.model.trim()
+                ? d.fallback.model : fail('fallback is missing a model ID'),
+            labels: this.validateLabels(d.fallback.labels, fail),
+            labelMatch: d.fallback.labelMatch === 'contains' ? 'contains' : 'exact'
+        } : undefined;
+
+        return {
+            id: d.id.trim(),
+            name: typeof d.name === 'string' && d.name.trim() ? d.name.trim() : d.model,
+            model: d.model.trim(),
+            inputType: d.inputType,
+            role: d.role || 'custom',
+            labels,
+            labelMatch: d.labelMatch === 'contains' ? 'contains' : 'exact',
+            scoring: d.scoring || 'probability',
+            weight: d.weight === undefined ? 1 : d.weight,
+            maxTokens: d.inputType === 'text' ? (d.maxTokens || 448) : undefined,
+            fallback,
+            warning: d.warning && typeof d.warning.message === 'string'
+                ? { below: Number(d.warning.below) || 40, message: d.warning.message }
+                : undefined,
+            enabled: d.enabled !== false
+        };
+    },
+
+    validateLabels(labels, fail) {
+        const clean = list => Array.isArray(list) ? list.map(l => String(l).toLowerCase()) : [];
+        const authentic = clean(labels && labels.authentic);
+        const synthetic = clean(labels && labels.synthetic);
+        if (authentic.length === 0 && synthetic.length === 0) {
+            fail('labels need at least one "authentic" or "synthetic" entry');
+        }
+        return { authentic, synthetic };
+    },
+
+    /**
+     * P(authentic) from a classifier's [{ label, score }] output.
+     * Uses the authentic label's score if present, else 1 - the synthetic label's.
+     */
+    authenticProbability(items, labels, labelMatch) {
+        const matches = (label, list) => list.some(l => labelMatch === 'contains' ? label.includes(l) : label === l);
+
+        const authentic = items.find(item => matches(item.label, labels.authentic));
+        if (authentic) return authentic.score;
+        const synthetic = items.find(item => matches(item.label, labels.synthetic));
+        if (synthetic) return 1 - synthetic.score;
+        return null;
+    },
+
+    /**
+     * Turn P(authentic) into a 0-100 breakdown score for a detector
+     */
+    toScore(detector, probability) {
+        if (detector.scoring === 'polarity') {
+            const polarity = Math.abs(probability - (1 - probability));
+            return Math.round(35 + 60 * (1 - polarity));
+        }
+        return Math.round(probability * 100);
+    }
+};
@@ -0,0 +1,292 @@
+// ============================================
+// DOCUMENT READER MODULE
+// Plain text from uploaded documents (text, Markdown,
+// HTML, Word, PDF, captions) with the page or timestamp
+// each part came from
+// ============================================
+
+const DocumentReader = {
+    MAX_FILE_BYTES: 20 * 1024 * 1024,
+
+    FORMATS: {
+        txt: 'Plain text',
+        md: 'Markdown',
+        markdown: 'Markdown',
+        html: 'HTML',
+        htm: 'HTML',
+        docx: 'Word document',
+        pdf: 'PDF',
+        srt: 'SubRip captions',
+        vtt: 'WebVTT captions'
+    },
+
+    // Caption cues further apart than this (seconds) start a new paragraph
+    CAPTION_PARAGRAPH_GAP: 2,
+
+    // Elements that end a paragraph when HTML is flattened to text
+    HTML_BLOCKS: /^(?:address|article|aside|blockquote|dd|div|dl|dt|figcaption|figure|footer|h[1-6]|header|hr|li|main|ol|p|pre|section|table|tr|ul)$/i,
+
+    accept() {
+        return Object.keys(this.FORMATS).map(extension => `.${extension}`).join(',');
+    },
+
+    extension(name) {
+        const match = name.toLowerCase().match(/\.([a-z0-9]+)$/);
+        return match ? match[1] : '';
+    },
+
+    /**
+     * Read an uploaded file:
+     *   { name, format, text, segments: [{ start, end, label }], pages, truncated }
+     * segments map text ranges to "Page 3" or a caption timestamp; formats
+     * without pages or timestamps have none.
+     */
+    async read(file) {
+        const extension = this.extension(file.name);
+        if (!this.FORMATS[extension]) {
+            throw new Error(`Unsupported file type ".${extension}" - use ${Object.keys(this.FORMATS).join(', ')}`);
+        }
+        if (file.size > this.MAX_FILE_BYTES) throw new Error('File is larger than 20 MB');
+
+        const blocks = await this.parse(extension, await file.arrayBuffer());
+        const result = this.assemble(file.name, this.FORMATS[extension], blocks);
+        if (!result.text) throw new Error(extension === 'pdf' ? 'No text layer found - the PDF may be scanned images' : 'The file contains no text');
+        return result;
+    },
+
+    /**
+     * Text blocks of a file: [{ text, label, join }] where join is what
+     * separates the block from the previous one ('\n\n' between paragraphs)
+     */
+    async parse(extension, buffer) {
+        switch (extension) {
+            case 'pdf':
+                return (await PdfReader.extract(buffer)).flatMap(page =>
+                    page.paragraphs.map(text => ({ text, label: `Page ${page.number}`, join: '\n\n' }))
+                );
+            case 'docx':
+                return this.docx(buffer);
+            case 'srt':
+            case 'vtt':
+                return this.captions(this.decode(buffer));
+            case 'html':
+            case 'htm':
+                return this.html(this.decode(buffer));
+            case 'md':
+            case 'markdown':
+                return this.paragraphs(this.markdown(this.decode(buffer)));
+            default:
+                return this.paragraphs(this.decode(buffer));
+        }
+    },
+
+    /**
+     * Join blocks into one text and record where each labelled block landed.
+     * Neighbouring blocks with the same label share a segment.
+     */
+    assemble(name, format, blocks) {
+        let text = '';
+        const segments = [];
+        blocks.forEach(block => {
+            const content = block.text.trim();
+            if (!content) return;
+            if (text) text += block.join;
+            const start = text.length;
+            text += content;
+            if (!block.label) return;
+
+            const last = segments[segments.length - 1];
+            if (last && last.label === block.label) last.end = text.length;
+            else segments.push({ start, end: text.length, label: block.label });
+        });
+
+        return { name, format, text, segments, pages: this.countPages(segments), truncated: false };
+    },
+
+    countPages(segments) {
+        return new Set(segments.filter(s => s.label.startsWith('Page ')).map(s => s.label)).size;
+    },
+
+    /**
+     * The document cut to at most maxLength characters, at the last paragraph
+     * break that fits so no sentence is split
+     */
+    truncate(doc, maxLength) {
+        if (doc.text.length <= maxLength) return doc;
+        const cut = doc.text.lastIndexOf('\n\n', maxLength);
+        const text = doc.text.slice(0, cut > 0 ? cut : maxLength).trimEnd();
+        const segments = doc.segments
+            .filter(s => s.start < text.length)
+            .map(s => ({ ...s, end: Math.min(s.end, text.length) }));
+        return { ...doc, text, segments, pages: this.countPages(segments), truncated: true };
+    },
+
+    /**
+     * Label of the page or timestamp an offset falls in, or null
+     */
+    locate(doc, offset) {
+        const segment = doc.segments.find(s => offset < s.end);
+        return segment ? segment.label : null;
+    },
+
+    /**
+     * UTF-8 (with or without BOM, or UTF-16 with BOM); other bytes are read
+     * as Windows-1252, the usual encoding of older text files
+     */
+    decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+        if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes);
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes);
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('windows-1252').decode(bytes);
+        }
+    },
+
+    /**
+     * Blank lines separate paragraphs; single line breaks inside one are
+     * hard wraps
+     */
+    paragraphs(text) {
+        return text.replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).map(paragraph => ({
+            text: paragraph.split('\n').map(line => line.trim()).filter(Boolean).join(' '),
+            label: null,
+            join: '\n\n'
+        }));
+    },
+
+    /**
+     * Markdown to plain text: markup is dropped, link targets are kept so
+     * cited URLs still reach the source checks
+     */
+    markdown(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .replace(/^---\n[\s\S]*?\n---\n/, '')
+            .replace(/^(?:```|~~~).*$/gm, '')
+            .replace(/<(https?:\/\/[^>\s]+)>/g, '$1')
+            .replace(/<[^>\n]+>/g, '')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, '$1 ($2)')
+            .replace(/^[ \t]*(?:[-*_][ \t]*){3,}$/gm, '')
+            // Headings and list items stand alone as paragraphs; a heading also
+            // ends before the line that follows it
+            .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/gm, '\n$1\n')
+            .replace(/^[ \t]{0,3}(?:[-*+][ \t]+|\d+[.)][ \t]+)/gm, '\n')
+            .replace(/^[ \t]{0,3}>[ \t]?/gm, '')
+            .replace(/^[ \t]*\|?(?:[ \t]*:?-+:?[ \t]*\|)+[ \t]*$/gm, '')
+            .replace(/[ \t]*\|[ \t]*/g, ' ')
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/(^|[^\p{L}\p{N}*_])[*_](?!\s)(.+?)[*_](?![\p{L}\p{N}])/gu, '$1$2')
+            .replace(/`([^`]*)`/g, '$1');
+    },
+
+    /**
+     * Visible text of an HTML page, one block per paragraph-level element.
+     * Link targets are kept after the link text.
+     */
+    html(source) {
+        const doc = new DOMParser().parseFromString(source, 'text/html');
+        doc.querySelectorAll('script, style, noscript, template, svg, iframe, head').forEach(node => node.remove());
+        doc.querySelectorAll('a[href^="http"]').forEach(link => {
+            if (link.textContent.trim() && !link.textContent.includes(link.getAttribute('href'))) {
+                link.append(` (${link.getAttribute('href')})`);
+            }
+        });
+
+        const blocks = [];
+        let current = '';
+        const flush = () => {
+            if (current.trim()) blocks.push({ text: current.replace(/\s+/g, ' '), label: null, join: '\n\n' });
+            current = '';
+        };
+        const walk = node => {
+            if (node.nodeType === 3) {
+                current += node.textContent;
+                return;
+            }
+            if (node.nodeType !== 1) return;
+            if (node.tagName === 'BR') current += ' ';
+            const block = this.HTML_BLOCKS.test(node.tagName);
+            if (block) flush();
+            node.childNodes.forEach(walk);
+            if (block) flush();
+            else if (/^T[DH]$/.test(node.tagName)) current += ' ';
+        };
+        walk(doc.body || doc.documentElement);
+        flush();
+        return blocks;
+    },
+
+    /**
+     * Paragraphs of word/document.xml. Word records where its last layout
+     * broke pages (w:lastRenderedPageBreak) and manual page breaks; when
+     * either is present, paragraphs are labelled with the page they start on.
+     */
+    async docx(buffer) {
+        const entry = ZipReader.entries(buffer).find(e => e.name === 'word/document.xml');
+        if (!entry) throw new Error('Not a Word document (word/document.xml is missing)');
+        const xml = await ZipReader.readText(buffer, entry);
+        const body = xml.slice(xml.indexOf('<w:body'));
+        const hasPages = /<w:lastRenderedPageBreak\/>|<w:br\b[^>]*w:type="page"/.test(body);
+
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        const unescape = text => text.replace(/&(?:(amp|lt|gt|quot|apos)|#(\d+)|#x([0-9a-fA-F]+));/g,
+            (m, name, dec, hex) => name ? entities[name] : String.fromCodePoint(dec ? Number(dec) : parseInt(hex, 16)));
+
+        let page = 1;
+        const blocks = [];
+        for (const [, content = ''] of body.matchAll(/<w:p\b[^>]*?(?:\/>|>([\s\S]*?)<\/w:p>)/g)) {
+            let text = '';
+            let firstPage = null;
+            for (const [token, , run] of content.matchAll(/<w:t(\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>|<w:cr\/>|<w:lastRenderedPageBreak\/>/g)) {
+                if (run !== undefined) {
+                    if (firstPage === null && run.trim()) firstPage = page;
+                    text += unescape(run);
+                } else if (token.includes('lastRenderedPageBreak') || token.includes('w:type="page"')) {
+                    page++;
+                } else {
+                    text += ' ';
+                }
+            }
+            blocks.push({ text: text.replace(/\s+/g, ' '), label: hasPages ? `Page ${firstPage ?? page}` : null, join: '\n\n' });
+        }
+        return blocks;
+    },
+
+    /**
+     * SubRip and WebVTT cues, labelled with their start time. Consecutive cues
+     * run on in one paragraph; a pause of CAPTION_PARAGRAPH_GAP starts a new one.
+     */
+    captions(source) {
+        const time = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{3})/;
+        const seconds = match => (Number(match[1] || 0) * 3600) + Number(match[2]) * 60 + Number(match[3]) + Number(match[4]) / 1000;
+
+        const blocks = [];
+        let previousEnd = null;
+        source.replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).forEach(cue => {
+            const lines = cue.split('\n');
+            const timing = lines.findIndex(line => line.includes('-->'));
+            if (timing === -1) return; // header, NOTE, STYLE or REGION block
+
+            const [from, to] = lines[timing].split('-->').map(part => part.match(time));
+            if (!from) return;
+            const text = lines.slice(timing + 1).join(' ')
+                .replace(/<[^>]+>/g, '')
+                .replace(/\{\\[^}]*\}/g, '')
+                .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ');
+
+            const start = seconds(from);
+            const pause = previousEnd !== null && start - previousEnd >= this.CAPTION_PARAGRAPH_GAP;
+            previousEnd = to ? seconds(to) : start;
+            blocks.push({ text: text.replace(/\s+/g, ' '), label: this.timestamp(start), join: blocks.length === 0 || pause ? '\n\n' : ' ' });
+        });
+        return blocks;
+    },
+
+    timestamp(seconds) {
+        const pad = n => String(Math.floor(n)).padStart(2, '0');
+        return `${pad(seconds / 3600)}:${pad(seconds / 60 % 60)}:${pad(seconds % 60)}`;
+    }
+};
@@ -0,0 +1,160 @@
+// ============================================
+// ERROR LEVEL ANALYSIS MODULE
+// Re-saves an image as JPEG and maps how much each
+// pixel changed; pasted or retouched areas often
+// change more or less than their surroundings
+// ============================================
+
+const ErrorLevelAnalysis = {
+    DEFAULT_QUALITY: 90,
+    DEFAULT_GAIN: 15,
+
+    // Larger images are scaled down, which blurs the 8x8 JPEG block grid
+    MAX_PIXELS: 4000000,
+
+    // Side of the regions compared with each other, a multiple of the JPEG block
+    REGION_SIZE: 32,
+
+    // A region stands out when its error level, relative to its texture, is
+    // this many median absolute deviations above the median region
+    OUTLIER_MADS: 4,
+
+    // Error levels this low are re-encoding noise wherever they appear
+    MIN_OUTLIER_LEVEL: 2,
+
+    // Texture added to every region so flat areas do not divide by zero
+    TEXTURE_FLOOR: 4,
+
+    // Fewer full regions than this are too few to compare
+    MIN_REGIONS: 16,
+
+    /**
+     * Error levels of a loaded image re-encoded at quality (1-100):
+     *   { image, quality, width, height, errors: per-pixel 0-255 (largest
+     *     channel difference), outliers: [{ x, y, width, height, level }],
+     *     regions, outlierShare, score, measured, warnings }
+     * score is 0-100, lower when a larger share of regions stands out.
+     */
+    async analyze(image, quality = this.DEFAULT_QUALITY) {
+        const naturalWidth = image.naturalWidth || image.width;
+        const naturalHeight = image.naturalHeight || image.height;
+        const scale = Math.min(1, Math.sqrt(this.MAX_PIXELS / (naturalWidth * naturalHeight)));
+        const width = Math.max(1, Math.round(naturalWidth * scale));
+        const height = Math.max(1, Math.round(naturalHeight * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        // JPEG has no alpha; flatten onto white so transparency is not counted as error
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(image, 0, 0, width, height);
+        const original = ctx.getImageData(0, 0, width, height).data;
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error('JPEG encoding failed')), 'image/jpeg', quality / 100);
+        });
+        const resaved = await createImageBitmap(blob);
+        ctx.drawImage(resaved, 0, 0, width, height);
+        if (resaved.close) resaved.close();
+        const compressed = ctx.getImageData(0, 0, width, height).data;
+
+        const errors = new Uint8Array(width * height);
+        for (let p = 0, i = 0; p < errors.length; p++, i += 4) {
+            errors[p] = Math.max(
+                Math.abs(original[i] - compressed[i]),
+                Math.abs(original[i + 1] - compressed[i + 1]),
+                Math.abs(original[i + 2] - compressed[i + 2])
+            );
+        }
+
+        return { image, quality, width, height, errors, ...this.assess(errors, original, width, height) };
+    },
+
+    /**
+     * Compare regions with each other. Error level rises with texture, so
+     * each region's level is divided by its mean gradient before looking for
+     * regions out of line with the rest.
+     */
+    assess(errors, original, width, height) {
+        const size = this.REGION_SIZE;
+        const columns = Math.ceil(width / size);
+        const rows = Math.ceil(height / size);
+        const level = new Float64Array(columns * rows);
+        const texture = new Float64Array(columns * rows);
+        const count = new Uint32Array(columns * rows);
+        const luma = i => 0.299 * original[i] + 0.587 * original[i + 1] + 0.114 * original[i + 2];
+
+        for (let y = 1; y < height; y++) {
+            for (let x = 1; x < width; x++) {
+                const p = y * width + x;
+                const region = Math.floor(y / size) * columns + Math.floor(x / size);
+                const here = luma(p * 4);
+                level[region] += errors[p];
+                texture[region] += Math.abs(here - luma((p - 1) * 4)) + Math.abs(here - luma((p - width) * 4));
+                count[region]++;
+            }
+        }
+
+        // Partial regions at the right and bottom edges are too small to compare
+        const regions = [];
+        for (let r = 0; r < level.length; r++) {
+            if (count[r] < size * size / 2) continue;
+            const mean = level[r] / count[r];
+            regions.push({
+                x: (r % columns) * size,
+                y: Math.floor(r / columns) * size,
+                level: mean,
+                ratio: mean / (texture[r] / count[r] + this.TEXTURE_FLOOR)
+            });
+        }
+        if (regions.length < this.MIN_REGIONS) {
+            return { regions: regions.length, outliers: [], outlierShare: 0, score: 60, measured: false, warnings: [] };
+        }
+
+        const median = values => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
+        const ratios = regions.map(r => r.ratio);
+        const center = median(ratios);
+        const spread = Math.max(median(ratios.map(ratio => Math.abs(ratio - center))), center * 0.05);
+        const outliers = regions
+            .filter(r => r.level >= this.MIN_OUTLIER_LEVEL && r.ratio > center + this.OUTLIER_MADS * spread)
+            .map(r => ({ x: r.x, y: r.y, width: Math.min(size, width - r.x), height: Math.min(size, height - r.y), level: Math.round(r.level * 10) / 10 }));
+
+        const outlierShare = outliers.length / regions.length;
+        const score = Math.round(Math.max(15, Math.min(85, 85 - outlierShare * 300)));
+        const warnings = [];
+        if (outlierShare >= 0.03) {
+            warnings.push(`${outliers.length} region${outliers.length === 1 ? '' : 's'} (${Math.round(outlierShare * 100)}% of the image) re-compress unlike the rest - possible splicing or local edits`);
+        }
+        return { regions: regions.length, outliers, outlierShare, score, measured: true, warnings };
+    },
+
+    /**
+     * Draw the error levels, multiplied by gain, as a heatmap (transparent
+     * through red and yellow to white) with the standout regions outlined
+     */
+    paint(result, canvas, gain = this.DEFAULT_GAIN) {
+        canvas.width = result.width;
+        canvas.height = result.height;
+        const ctx = canvas.getContext('2d');
+        const heatmap = ctx.createImageData(result.width, result.height);
+        const data = heatmap.data;
+        for (let p = 0, i = 0; p < result.errors.length; p++, i += 4) {
+            const value = Math.min(255, result.errors[p] * gain);
+            data[i] = Math.min(255, value * 3);
+            data[i + 1] = Math.max(0, Math.min(255, value * 3 - 255));
+            data[i + 2] = Math.max(0, value * 3 - 510);
+            data[i + 3] = Math.min(255, value * 2);
+        }
+        ctx.putImageData(heatmap, 0, 0);
+
+        ctx.strokeStyle = '#06b6d4';
+        ctx.lineWidth = Math.max(1, Math.round(result.width / 400));
+        result.outliers.forEach(region => ctx.strokeRect(region.x, region.y, region.width, region.height));
+    }
+};
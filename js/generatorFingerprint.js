@@ -0,0 +1,227 @@
+// ============================================
+// GENERATOR FINGERPRINT MODULE
+// Finds the metadata AI image tools write into their
+// output and reads the generation settings from it
+// ============================================
+
+const GeneratorFingerprint = {
+    // Longest generator name or evidence value kept from the file
+    MAX_NAME_LENGTH: 80,
+    MAX_EVIDENCE_LENGTH: 200,
+
+    // C2paVerifier statuses whose signature and hashes check out; other
+    // manifests may have been edited, so what they declare is not used
+    INTACT_STATUSES: ['valid', 'untrusted', 'expired'],
+
+    // ComfyUI workflow nodes keep their settings as a list; the input each position holds
+    COMFY_WIDGETS: {
+        KSampler: ['seed', null, 'steps', 'cfg', 'sampler_name'],
+        KSamplerAdvanced: ['add_noise', 'noise_seed', null, 'steps', 'cfg', 'sampler_name'],
+        RandomNoise: ['noise_seed'],
+        CheckpointLoaderSimple: ['ckpt_name'],
+        UNETLoader: ['unet_name'],
+        CLIPTextEncode: ['text']
+    },
+
+    /**
+     * The AI generator a file declares, or null:
+     *   { generator, prompt, negativePrompt, seed, model, steps, sampler,
+     *     evidence: [{ signature, field, value }] }
+     * Settings the file does not record are null.
+     *
+     * Signatures come from GENERATOR_SIGNATURES, checked in order:
+     *   { id, generator, field, pattern?, parser?, generatorField? }
+     * field names where to look: 'png:<keyword>', 'exif:<tag>', 'xmp:<property>',
+     * 'iptc:<dataset>', 'software' (every software name in the file) or
+     * 'c2pa:<softwareAgent | digitalSourceType | generator>' (the active
+     * manifest only, and only when it verified). A signature hits
+     * when the field has a value matching pattern (case-insensitive), or any
+     * value without one. The first hit names the generator: generator null
+     * uses the value itself, generatorField the first value of another field.
+     */
+    scan(metadata, provenance) {
+        const hits = [];
+        for (const signature of GENERATOR_SIGNATURES.signatures) {
+            const pattern = signature.pattern ? new RegExp(signature.pattern, 'i') : null;
+            const value = this.values(signature.field, metadata, provenance).find(v => !pattern || pattern.test(v));
+            if (value !== undefined) hits.push({ signature, value });
+        }
+        if (hits.length === 0) return null;
+
+        const result = { generator: null, prompt: null, negativePrompt: null, seed: null, model: null, steps: null, sampler: null, evidence: [] };
+        hits.forEach(({ signature, value }) => {
+            if (!result.generator) {
+                const named = signature.generatorField ? this.values(signature.generatorField, metadata, provenance)[0] : null;
+                result.generator = this.clip(named || signature.generator || value, this.MAX_NAME_LENGTH);
+            }
+            result.evidence.push({ signature: signature.id, field: signature.field, value: this.clip(value, this.MAX_EVIDENCE_LENGTH) });
+
+            let settings = {};
+            try {
+                if (signature.parser) settings = this.parsers[signature.parser].call(this, value);
+            } catch (error) {
+                // Malformed settings still leave the declaration itself
+            }
+            Object.entries(settings).forEach(([key, setting]) => {
+                if (result[key] === null && setting !== undefined && setting !== null && setting !== '') {
+                    result[key] = String(setting).trim();
+                }
+            });
+        });
+        return result;
+    },
+
+    /**
+     * Text values of a signature field
+     */
+    values(field, metadata, provenance) {
+        if (field === 'software') return metadata ? metadata.summary.tools : [];
+
+        const split = field.indexOf(':');
+        const block = field.slice(0, split);
+        const name = field.slice(split + 1);
+        let values;
+        if (block === 'c2pa') {
+            // Ingredient manifests describe the files this one was made from
+            values = provenance && this.INTACT_STATUSES.includes(provenance.status)
+                ? provenance.manifests.filter(m => m.active)
+                    .flatMap(m => name === 'generator' ? [m.generator] : m.actions.map(action => action[name]))
+                : [];
+        } else {
+            values = metadata && metadata.fields && metadata.fields[block] ? [].concat(metadata.fields[block][name]) : [];
+        }
+        return values.filter(value => typeof value === 'string' && value.trim());
+    },
+
+    clip(text, length) {
+        text = String(text).trim();
+        return text.length > length ? text.slice(0, length) + '...' : text;
+    },
+
+    parsers: {
+        /**
+         * Stable Diffusion WebUI: the prompt, "Negative prompt: ..." and a line
+         * of "Key: value" settings. Fooocus writes JSON under the same keyword.
+         */
+        parameters(text) {
+            if (text.trim().startsWith('{')) return this.parsers.json.call(this, text);
+
+            const settingsStart = text.search(/(?:^|\n)Steps: \d+/);
+            const head = settingsStart === -1 ? text : text.slice(0, settingsStart);
+            const settings = settingsStart === -1 ? '' : text.slice(settingsStart);
+            const negative = head.search(/(?:^|\n)Negative prompt:/);
+            const setting = name => {
+                const match = settings.match(new RegExp(`(?:^|[\\s,])${name}: ("(?:[^"\\\\]|\\\\.)*"|[^,\\n]+)`));
+                return match ? match[1].replace(/^"|"$/g, '') : null;
+            };
+            return {
+                prompt: negative === -1 ? head : head.slice(0, negative),
+                negativePrompt: negative === -1 ? null : head.slice(negative).replace(/^\n?Negative prompt:/, ''),
+                seed: setting('Seed'),
+                model: setting('Model') || (setting('Model hash') ? `hash ${setting('Model hash')}` : null),
+                steps: setting('Steps'),
+                sampler: setting('Sampler')
+            };
+        },
+
+        /**
+         * A ComfyUI graph, either the API prompt ({ id: { class_type, inputs } })
+         * or the editor workflow ({ nodes, links }). The sampler node leads to
+         * the seed, settings and the prompts wired into it.
+         */
+        comfyui(text) {
+            const graph = this.comfyGraph(JSON.parse(text));
+            const nodes = Object.values(graph);
+            const sampler = nodes.find(node => /^KSampler|^SamplerCustom/.test(node.class_type));
+            const input = (node, name) => {
+                let value = node ? node.inputs[name] : undefined;
+                // Inputs wired from another node are [node id, output index]
+                for (let depth = 0; Array.isArray(value) && depth < 5; depth++) {
+                    const source = graph[value[0]];
+                    if (!source) return null;
+                    value = ['text', 'noise_seed', 'seed', 'value'].map(key => source.inputs[key]).find(v => v !== undefined);
+                }
+                return value ?? null;
+            };
+            const textNode = nodes.find(node => /^CLIPTextEncode/.test(node.class_type) && typeof node.inputs.text === 'string');
+            const loader = nodes.find(node => node.inputs.ckpt_name || node.inputs.unet_name);
+            const noise = nodes.find(node => node.class_type === 'RandomNoise');
+
+            return {
+                prompt: input(sampler, 'positive') ?? (textNode ? textNode.inputs.text : null),
+                negativePrompt: input(sampler, 'negative'),
+                seed: input(sampler, 'seed') ?? input(sampler, 'noise_seed') ?? input(noise, 'noise_seed'),
+                model: loader ? loader.inputs.ckpt_name || loader.inputs.unet_name : null,
+                steps: input(sampler, 'steps'),
+                sampler: input(sampler, 'sampler_name')
+            };
+        },
+
+        /**
+         * Settings saved as JSON (NovelAI, InvokeAI, Fooocus), matched by key
+         * name at any depth
+         */
+        json(text) {
+            const keys = {
+                prompt: ['positiveprompt', 'prompt'],
+                negativePrompt: ['negativeprompt', 'uc'],
+                seed: ['seed'],
+                model: ['modelname', 'basemodel', 'model', 'modelweights'],
+                steps: ['steps'],
+                sampler: ['sampler', 'samplername', 'scheduler']
+            };
+            const found = {};
+            const visit = (value, depth) => {
+                if (!value || typeof value !== 'object' || depth > 3) return;
+                Object.entries(value).forEach(([key, item]) => {
+                    const normalized = key.toLowerCase().replace(/[\s_-]/g, '');
+                    Object.entries(keys).forEach(([field, names]) => {
+                        const rank = names.indexOf(normalized);
+                        if (rank === -1 || (found[field] && found[field].rank <= rank)) return;
+                        // InvokeAI nests the model ({ name }) and legacy prompts ([{ prompt }])
+                        const text = Array.isArray(item) ? item.map(part => typeof part === 'string' ? part : part && part.prompt).filter(Boolean).join(' ')
+                            : item && typeof item === 'object' ? item.model_name || item.name : item;
+                        if (typeof text === 'string' || typeof text === 'number') found[field] = { rank, value: text };
+                    });
+                    visit(item, depth + 1);
+                });
+            };
+            visit(JSON.parse(text), 0);
+            return Object.fromEntries(Object.entries(found).map(([field, { value }]) => [field, value]));
+        },
+
+        /**
+         * Midjourney describes the image with the prompt, its --parameters and the job ID
+         */
+        midjourney(text) {
+            const version = text.match(/--(v|version|niji)\s+([\d.]+)/);
+            return {
+                prompt: text.replace(/\s*Job ID:[\s\S]*$/, ''),
+                model: version ? `${version[1] === 'niji' ? 'Niji' : 'Midjourney'} ${version[2]}` : null
+            };
+        }
+    },
+
+    /**
+     * A ComfyUI editor workflow converted to the API prompt shape
+     */
+    comfyGraph(data) {
+        if (!Array.isArray(data.nodes)) return data;
+
+        // links: [id, from node, from slot, to node, to slot, type]
+        const links = new Map((data.links || []).map(link => [link[0], link]));
+        const graph = {};
+        data.nodes.forEach(node => {
+            const inputs = {};
+            (this.COMFY_WIDGETS[node.type] || []).forEach((name, i) => {
+                if (name && Array.isArray(node.widgets_values)) inputs[name] = node.widgets_values[i];
+            });
+            (node.inputs || []).forEach(slot => {
+                const link = links.get(slot.link);
+                if (link) inputs[slot.name] = [String(link[1]), link[2]];
+            });
+            graph[node.id] = { class_type: node.type, inputs };
+        });
+        return graph;
+    }
+};
@@ -7,24 +7,41 @@
 const ImageAnalyzer = {
     API_URL: 'https://api-inference.huggingface.co/models/',
 
-    // Models for image analysis
-    MODELS: {
-        aiImageDetector: 'umm-maybe/AI-image-detector',
-        deepfakeDetector: 'dima806/deepfake_vs_real_faces_detection',
-        imageClassifier: 'google/vit-base-patch16-224',
-        nsfwDetector: 'Falconsai/nsfw_image_detection'
+    // Models come from DetectorRegistry (inputType 'image')
+
+    // Confidence (0-1) of each kind of signal; placeholder values get none
+    CONFIDENCE: {
+        model: 0.9,
+        pixelPatterns: 0.35,
+        errorLevel: 0.3,
+        encodingHistory: 0.3,
+        metadata: 0.25,
+        fileIntegrity: 0.2
     },
 
+    // Editing and compositing tools named in Software, CreatorTool or the XMP history
+    EDITORS: /photoshop|lightroom|gimp|affinity photo|pixelmator|snapseed|picsart|facetune|canva|paint\.net|photopea|luminar|capture one|darktable|fotor|meitu|photoroom/i,
+
+    // EXIF dates usually have no timezone, so dates closer than this are not compared
+    DATE_TOLERANCE: 14 * 60 * 60 * 1000,
+
     /**
      * Main analysis function
      */
     async analyze(imageData, apiKey) {
         const results = {
             authenticityScore: 0,
+            verdict: null,
+            policy: null,
             format: '',
             aiGenerated: false,
             deepfakeScore: 0,
             manipulationScore: 0,
+            metadata: null,
+            provenance: null,
+            generator: null,
+            errorLevel: null,
+            encoding: null,
             breakdown: [],
             warnings: []
         };
@@ -42,70 +59,85 @@ const ImageAnalyzer = {
             binaryData = await imageData.arrayBuffer();
         }
 
-        // Run multiple detection models in parallel
-        const [aiDetection, deepfakeDetection, metadataAnalysis] = await Promise.allSettled([
-            this.detectAIGenerated(binaryData, apiKey),
-            this.detectDeepfake(binaryData, apiKey),
-            this.analyzeMetadata(imageData)
+        // Run every registered image detector alongside the metadata analysis
+        const detectors = DetectorRegistry.list('image');
+        const [metadataAnalysis, provenance, ...detections] = await Promise.allSettled([
+            this.analyzeMetadata(imageData),
+            binaryData ? C2paVerifier.verify(binaryData) : Promise.reject(new Error('No image file')),
+            ...detectors.map(detector => this.runDetector(detector, binaryData, apiKey))
         ]);
 
-        // Process AI Image Detection
-        let aiScore = 50;
-        if (aiDetection.status === 'fulfilled' && aiDetection.value) {
-            aiScore = aiDetection.value.realScore;
-            results.aiGenerated = aiScore < 50;
+        // Provenance is reported on its own and never feeds the score
+        results.provenance = provenance.status === 'fulfilled'
+            ? provenance.value
+            : C2paVerifier.result('invalid', `Content Credentials could not be read (${provenance.reason.message}).`);
 
+        // Process detector results
+        const answeredRoles = new Set();
+        detectors.forEach((detector, i) => {
+            const score = detections[i].status === 'fulfilled' ? detections[i].value : null;
+            if (score === null) return;
+
+            answeredRoles.add(detector.role);
             results.breakdown.push({
-                name: 'AI Image Detection',
-                score: aiScore
+                name: detector.name,
+                signal: detector.role,
+                score,
+                weight: detector.weight,
+                confidence: this.CONFIDENCE.model
             });
 
-            if (aiScore < 40) {
-                results.warnings.push('Image shows strong indicators of AI generation');
+            if (detector.warning && score < detector.warning.below) {
+                results.warnings.push(detector.warning.message);
             }
-        } else {
-            // Fallback heuristic
+
+            if (detector.role === 'aiDetection') {
+                results.aiGenerated = results.aiGenerated || score < 50;
+            } else if (detector.role === 'deepfake') {
+                results.deepfakeScore = Math.max(results.deepfakeScore, 100 - score);
+            }
+        });
+
+        // Placeholders keep the breakdown complete but are never counted
+        if (!answeredRoles.has('aiDetection')) {
             const fallback = this.fallbackImageAnalysis();
-            aiScore = fallback.score;
             results.breakdown.push({
                 name: 'AI Detection (Heuristic)',
-                score: aiScore
+                signal: 'aiDetectionHeuristic',
+                score: fallback.score,
+                available: false
             });
+            results.warnings.push(...fallback.warnings);
         }
 
-        // Process Deepfake Detection
-        let dfScore = 70;
-        if (deepfakeDetection.status === 'fulfilled' && deepfakeDetection.value) {
-            dfScore = deepfakeDetection.value.realScore;
-            results.deepfakeScore = 100 - dfScore;
-
+        if (!answeredRoles.has('deepfake')) {
             results.breakdown.push({
                 name: 'Deepfake Detection',
-                score: dfScore
-            });
-
-            if (dfScore < 40) {
-                results.warnings.push('Deepfake indicators detected in the image');
-            }
-        } else {
-            results.breakdown.push({
-                name: 'Deepfake Detection',
-                score: dfScore
+                signal: 'deepfakeDefault',
+                score: 70,
+                available: false
             });
         }
 
         // Process Metadata Analysis
         if (metadataAnalysis.status === 'fulfilled') {
             const meta = metadataAnalysis.value;
+            results.metadata = meta.metadata;
 
             results.breakdown.push({
                 name: 'File Integrity',
-                score: meta.integrityScore
+                signal: 'fileIntegrity',
+                score: meta.integrityScore,
+                available: meta.integrityMeasured,
+                confidence: meta.integrityMeasured ? this.CONFIDENCE.fileIntegrity : 0
             });
 
             results.breakdown.push({
                 name: 'Metadata Consistency',
-                score: meta.metadataScore
+                signal: 'metadata',
+                score: meta.metadataScore,
+                available: meta.metadataMeasured,
+                confidence: meta.metadataMeasured ? this.CONFIDENCE.metadata : 0
             });
 
             if (meta.warnings.length > 0) {
@@ -116,11 +148,15 @@ const ImageAnalyzer = {
         } else {
             results.breakdown.push({
                 name: 'File Integrity',
-                score: 65
+                signal: 'fileIntegrity',
+                score: 65,
+                available: false
             });
             results.breakdown.push({
                 name: 'Metadata Consistency',
-                score: 60
+                signal: 'metadata',
+                score: 60,
+                available: false
             });
         }
 
@@ -128,18 +164,63 @@ const ImageAnalyzer = {
         const pixelAnalysis = await this.analyzePixelPatterns(imageData);
         results.breakdown.push({
             name: 'Pixel Pattern Analysis',
-            score: pixelAnalysis.score
+            signal: 'pixelPatterns',
+            score: pixelAnalysis.score,
+            available: pixelAnalysis.measured,
+            confidence: pixelAnalysis.measured ? this.CONFIDENCE.pixelPatterns : 0
         });
 
         if (pixelAnalysis.warnings.length > 0) {
             results.warnings.push(...pixelAnalysis.warnings);
         }
 
-        // Calculate overall score
-        const scores = results.breakdown.map(b => b.score);
-        results.authenticityScore = Math.round(
-            scores.reduce((sum, s) => sum + s, 0) / scores.length
-        );
+        // Error level analysis at the default quality; the results view re-runs it at others
+        results.errorLevel = await this.analyzeErrorLevels(imageData);
+        const errorLevel = results.errorLevel;
+        results.breakdown.push({
+            name: 'Error Level Analysis',
+            signal: 'errorLevel',
+            score: errorLevel ? errorLevel.score : 60,
+            available: Boolean(errorLevel && errorLevel.measured),
+            confidence: errorLevel && errorLevel.measured ? this.CONFIDENCE.errorLevel : 0
+        });
+        if (errorLevel) results.warnings.push(...errorLevel.warnings);
+
+        // Quantization tables and double-compression traces (JPEG only)
+        results.encoding = this.analyzeEncoding(binaryData, results.metadata);
+        const encoding = results.encoding;
+        const encodingDetail = encoding && encoding.encoder ? encoding.encoder.name
+            : encoding ? `Unknown encoder (quality ~${encoding.quality.estimate})` : null;
+        results.breakdown.push({
+            name: 'Encoding History',
+            signal: 'encodingHistory',
+            detail: encodingDetail,
+            score: encoding ? encoding.score : 60,
+            available: Boolean(encoding),
+            confidence: encoding ? this.CONFIDENCE.encodingHistory : 0
+        });
+        if (encoding) results.warnings.push(...encoding.warnings);
+
+        // Calculate overall score and verdict under the active policy profile
+        const policy = PolicyProfiles.evaluate(results.breakdown, 'image');
+        results.authenticityScore = policy.score;
+        results.verdict = policy.verdict;
+        results.policy = policy;
+        policy.missing.forEach(signal => {
+            results.warnings.push(`Required signal "${signal}" unavailable under the ${policy.profile.name} profile`);
+        });
+        if (policy.verdict === 'insufficient') {
+            results.warnings.push('Too few reliable signals for a score - add an API key so the detection models can run');
+        }
+
+        // A file that names the AI tool that made it needs no statistics;
+        // the score stays on the meter for comparison
+        results.generator = GeneratorFingerprint.scan(results.metadata, results.provenance);
+        if (results.generator) {
+            results.verdict = 'declared';
+            results.aiGenerated = true;
+            results.warnings.unshift(`The file declares it was generated by ${results.generator.generator}`);
+        }
 
         // Remove duplicate warnings
         results.warnings = [...new Set(results.warnings)];
@@ -148,59 +229,33 @@ const ImageAnalyzer = {
     },
 
     /**
-     * Detect if image is AI-generated using Hugging Face
+     * Run one registered image detector, trying its fallback model if the
+     * primary one fails. Returns a 0-100 score or null.
      */
-    async detectAIGenerated(binaryData, apiKey) {
-        try {
-            const response = await fetch(
-                `${this.API_URL}${this.MODELS.aiImageDetector}`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`
-                    },
-                    body: binaryData
-                }
-            );
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                if (errorData.error && errorData.error.includes('loading')) {
-                    // Model is loading, wait and retry
-                    await new Promise(r => setTimeout(r, 20000));
-                    return await this.detectAIGenerated(binaryData, apiKey);
-                }
-                throw new Error(`API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-
-            let realScore = 50;
-
-            if (Array.isArray(data)) {
-                for (const item of data) {
-                    const label = item.label?.toLowerCase() || '';
-                    if (label.includes('real') || label.includes('human') || label.includes('authentic')) {
-                        realScore = Math.round(item.score * 100);
-                    }
-                }
+    async runDetector(detector, binaryData, apiKey) {
+        let probability = null;
+
+        const items = await this.queryClassifier(detector.model, binaryData, apiKey);
+        if (items) {
+            probability = DetectorRegistry.authenticProbability(items, detector.labels, detector.labelMatch);
+        } else if (detector.fallback) {
+            const fallbackItems = await this.queryClassifier(detector.fallback.model, binaryData, apiKey);
+            if (fallbackItems) {
+                probability = DetectorRegistry.authenticProbability(fallbackItems, detector.fallback.labels, detector.fallback.labelMatch);
             }
-
-            return { realScore };
-
-        } catch (error) {
-            console.warn('AI image detection error:', error);
-            return null;
         }
+
+        return probability === null ? null : DetectorRegistry.toScore(detector, probability);
     },
 
     /**
-     * Detect deepfakes using Hugging Face
+     * Query a Hugging Face image-classification model and return a flat
+     * [{ label, score }] list (labels lowercased), or null on failure.
      */
-    async detectDeepfake(binaryData, apiKey) {
+    async queryClassifier(model, binaryData, apiKey) {
         try {
             const response = await fetch(
-                `${this.API_URL}${this.MODELS.deepfakeDetector}`,
+                `${this.API_URL}${model}`,
                 {
                     method: 'POST',
                     headers: {
@@ -213,40 +268,47 @@ const ImageAnalyzer = {
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
                 if (errorData.error && errorData.error.includes('loading')) {
+                    // Model is loading, wait and retry
                     await new Promise(r => setTimeout(r, 20000));
-                    return await this.detectDeepfake(binaryData, apiKey);
+                    return await this.queryClassifier(model, binaryData, apiKey);
                 }
                 throw new Error(`API error: ${response.status}`);
             }
 
             const data = await response.json();
+            if (!Array.isArray(data)) return null;
 
-            let realScore = 50;
-
-            if (Array.isArray(data)) {
-                for (const item of data) {
-                    const label = item.label?.toLowerCase() || '';
-                    if (label.includes('real') || label === 'real') {
-                        realScore = Math.round(item.score * 100);
-                    }
-                }
-            }
-
-            return { realScore };
+            return data.map(item => ({ label: item.label?.toLowerCase() || '', score: item.score }));
 
         } catch (error) {
-            console.warn('Deepfake detection error:', error);
+            console.warn(`Image classifier ${model} error:`, error);
             return null;
         }
     },
 
     /**
-     * Analyze image metadata
+     * File size, dimensions and the EXIF, XMP and IPTC metadata of the image
      */
     async analyzeMetadata(imageData) {
         const warnings = [];
         let integrityScore = 70;
         let metadataScore = 65;
+        let metadataMeasured = false;
+        let metadata = null;
+
+        if (imageData instanceof Blob) {
+            try {
+                metadata = await ImageMetadata.parse(await imageData.arrayBuffer());
+            } catch (e) {
+                console.warn('Could not read image metadata:', e);
+            }
+        }
+        if (metadata && metadata.container) {
+            metadataMeasured = true;
+            const checks = this.checkMetadata(metadata);
+            metadataScore += checks.delta;
+            warnings.push(...checks.warnings);
+        }
 
         // File size analysis
         let fileSize = 0;
@@ -274,6 +336,16 @@ const ImageAnalyzer = {
             const img = await this.loadImage(imageData);
             const width = img.naturalWidth || img.width;
             const height = img.naturalHeight || img.height;
+            metadataMeasured = metadataMeasured || (width > 0 && height > 0);
+
+            // Dimensions the camera recorded, in either orientation
+            const recorded = metadata && metadata.summary;
+            if (recorded && recorded.width && recorded.height &&
+                !(recorded.width === width && recorded.height === height) &&
+                !(recorded.width === height && recorded.height === width)) {
+                metadataScore -= 8;
+                warnings.push(`Metadata records ${recorded.width}×${recorded.height} pixels but the image is ${width}×${height} - resized or cropped after capture`);
+            }
 
             // AI-generated images often have specific dimensions
             const aiDimensions = [512, 768, 1024, 256, 2048];
@@ -294,7 +366,61 @@ const ImageAnalyzer = {
         integrityScore = Math.max(10, Math.min(95, integrityScore));
         metadataScore = Math.max(10, Math.min(95, metadataScore));
 
-        return { integrityScore, metadataScore, warnings };
+        return { integrityScore, metadataScore, integrityMeasured: fileSize > 0, metadataMeasured, metadata, warnings };
+    },
+
+    /**
+     * Consistency checks on parsed metadata: { delta, warnings } where delta
+     * adjusts the metadata score
+     */
+    checkMetadata(metadata) {
+        const summary = metadata.summary;
+        const warnings = [];
+        let delta = 0;
+        const day = date => new Date(date.time).toISOString().slice(0, 16).replace('T', ' ');
+
+        const descriptive = metadata.entries.filter(e => ['EXIF', 'GPS', 'XMP', 'IPTC'].includes(e.group));
+        if (descriptive.length === 0) {
+            delta -= 10;
+            warnings.push('No EXIF, XMP or IPTC metadata - stripped on upload or export, or never written');
+            return { delta, warnings };
+        }
+
+        const editors = [];
+        summary.tools.forEach(tool => {
+            const match = tool.match(this.EDITORS);
+            if (match && !editors.some(e => e.toLowerCase() === match[0].toLowerCase())) editors.push(match[0]);
+        });
+        if (editors.length > 0) {
+            delta -= 15;
+            warnings.push(`Edited with ${editors.join(', ')} (from the file's metadata)`);
+        }
+
+        if (summary.make && summary.model && summary.created) delta += 10;
+
+        const { created, modified, digitized } = summary;
+        if (created && modified && modified.time < created.time - this.DATE_TOLERANCE) {
+            delta -= 15;
+            warnings.push(`Modification date (${day(modified)}) is earlier than the capture date (${day(created)})`);
+        } else if (created && modified && modified.time > created.time + this.DATE_TOLERANCE && editors.length === 0) {
+            delta -= 5;
+            warnings.push(`File was modified on ${day(modified)}, after capture on ${day(created)}`);
+        }
+        if (created && digitized && Math.abs(digitized.time - created.time) > this.DATE_TOLERANCE) {
+            delta -= 5;
+            warnings.push(`Capture (${day(created)}) and digitization (${day(digitized)}) dates differ`);
+        }
+        if (created && created.time > Date.now() + this.DATE_TOLERANCE) {
+            delta -= 10;
+            warnings.push(`Capture date ${day(created)} is in the future`);
+        }
+
+        if (summary.gps && summary.gps.latitude === 0 && summary.gps.longitude === 0) {
+            delta -= 5;
+            warnings.push('GPS position is 0, 0 - a placeholder, not a real location');
+        }
+
+        return { delta, warnings };
     },
 
     /**
@@ -303,6 +429,7 @@ const ImageAnalyzer = {
     async analyzePixelPatterns(imageData) {
         const warnings = [];
         let score = 70;
+        let measured = true;
 
         try {
             const img = await this.loadImage(imageData);
@@ -397,10 +524,44 @@ const ImageAnalyzer = {
         } catch (error) {
             console.warn('Pixel analysis failed:', error);
             score = 60; // Default when analysis fails
+            measured = false;
         }
 
         score = Math.max(10, Math.min(95, score));
-        return { score, warnings };
+        return { score, measured, warnings };
+    },
+
+    /**
+     * ErrorLevelAnalysis result, or null when the image cannot be drawn
+     */
+    async analyzeErrorLevels(imageData) {
+        try {
+            return await ErrorLevelAnalysis.analyze(await this.loadImage(imageData));
+        } catch (error) {
+            console.warn('Error level analysis failed:', error);
+            return null;
+        }
+    },
+
+    /**
+     * JpegStructure result, or null for other formats and unreadable files.
+     * The metadata tells it whether a camera or an editor made the file.
+     */
+    analyzeEncoding(binaryData, metadata) {
+        if (!binaryData) return null;
+        const { make, model, tools = [] } = (metadata && metadata.summary) || {};
+        // Most models already start with the make ("Canon EOS R5")
+        const camera = make && model && !model.toLowerCase().startsWith(make.toLowerCase()) ? `${make} ${model}` : model || make || null;
+        try {
+            return JpegStructure.analyze(binaryData, {
+                camera,
+                tools,
+                edited: tools.some(tool => this.EDITORS.test(tool))
+            });
+        } catch (error) {
+            console.warn('JPEG structure analysis failed:', error);
+            return null;
+        }
     },
 
     /**
@@ -0,0 +1,518 @@
+// ============================================
+// IMAGE METADATA MODULE
+// Reads EXIF, XMP, IPTC and ICC metadata from JPEG,
+// PNG, WebP and TIFF files in the browser
+// ============================================
+
+const ImageMetadata = {
+    // TIFF tags kept from each IFD; the rest are skipped
+    TAGS: {
+        ifd0: {
+            0x010e: 'ImageDescription', 0x010f: 'Make', 0x0110: 'Model', 0x0112: 'Orientation',
+            0x0131: 'Software', 0x0132: 'DateTime', 0x013b: 'Artist', 0x8298: 'Copyright',
+            0x0100: 'ImageWidth', 0x0101: 'ImageLength', 0x8769: 'ExifIFD', 0x8825: 'GPSIFD', 0x8773: 'ICCProfile'
+        },
+        exif: {
+            0x829a: 'ExposureTime', 0x829d: 'FNumber', 0x8827: 'ISO', 0x9003: 'DateTimeOriginal',
+            0x9004: 'DateTimeDigitized', 0x9010: 'OffsetTime', 0x9011: 'OffsetTimeOriginal', 0x9209: 'Flash',
+            0x920a: 'FocalLength', 0x9286: 'UserComment', 0xa001: 'ColorSpace', 0xa002: 'PixelXDimension',
+            0xa003: 'PixelYDimension', 0xa420: 'ImageUniqueID', 0xa431: 'BodySerialNumber', 0xa433: 'LensMake',
+            0xa434: 'LensModel'
+        },
+        gps: {
+            0x0001: 'GPSLatitudeRef', 0x0002: 'GPSLatitude', 0x0003: 'GPSLongitudeRef', 0x0004: 'GPSLongitude',
+            0x0005: 'GPSAltitudeRef', 0x0006: 'GPSAltitude', 0x0007: 'GPSTimeStamp', 0x001d: 'GPSDateStamp'
+        }
+    },
+
+    // Compressed PNG chunks (zTXt, iTXt, iCCP) inflating to more than this are dropped
+    MAX_INFLATED_BYTES: 4 * 1024 * 1024,
+
+    // Bytes per value of each TIFF field type
+    TYPE_SIZES: [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8],
+
+    // IPTC IIM application record (2:n) datasets
+    IPTC: {
+        5: 'ObjectName', 25: 'Keywords', 55: 'DateCreated', 60: 'TimeCreated', 62: 'DigitalCreationDate',
+        63: 'DigitalCreationTime', 65: 'OriginatingProgram', 70: 'ProgramVersion', 80: 'By-line', 90: 'City',
+        101: 'Country', 105: 'Headline', 110: 'Credit', 115: 'Source', 116: 'CopyrightNotice', 120: 'Caption'
+    },
+
+    // A single TIFF IFD never has more entries than this in a real file
+    MAX_IFD_ENTRIES: 1000,
+    MAX_VALUE_LENGTH: 500,
+
+    /**
+     * Metadata of an image file:
+     *   { container, entries: [{ group, name, value }], fields, summary }
+     * entries lists every tag read, group being 'EXIF', 'GPS', 'XMP', 'IPTC',
+     * 'ICC', 'PNG' or 'JPEG'. fields holds the untruncated values by block:
+     *   { exif: { name: value }, xmp: { name: [values] }, iptc: { name: value }, png: { keyword: text } }
+     * summary holds the fields the consistency checks use:
+     *   { make, model, lens, software, tools: [every software name], created, modified,
+     *     digitized, gps: { latitude, longitude, altitude } | null,
+     *     colorProfile, width, height }
+     * container is null when the format is not recognized.
+     */
+    async parse(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const found = { exif: {}, xmp: {}, iptc: {}, png: {}, icc: null, entries: [] };
+
+        let container = null;
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+            container = 'JPEG';
+            this.readJpeg(bytes, found);
+        } else if (this.ascii(bytes, 1, 3) === 'PNG') {
+            container = 'PNG';
+            await this.readPng(bytes, found);
+        } else if (this.ascii(bytes, 0, 4) === 'RIFF' && this.ascii(bytes, 8, 4) === 'WEBP') {
+            container = 'WebP';
+            this.readWebp(bytes, found);
+        } else if (/^(?:II\*\0|MM\0\*)$/.test(this.ascii(bytes, 0, 4))) {
+            container = 'TIFF';
+            this.readTiff(bytes, found);
+        }
+
+        const { exif, xmp, iptc, png } = found;
+        return { container, entries: found.entries, fields: { exif, xmp, iptc, png }, summary: this.summarize(found) };
+    },
+
+    /**
+     * Marker segments of a JPEG up to the start of the image data:
+     * [{ marker, offset, data }] where data excludes the length field
+     */
+    jpegSegments(bytes) {
+        const segments = [];
+        let offset = 2;
+        while (offset + 4 <= bytes.length) {
+            if (bytes[offset] !== 0xff) break;
+            const marker = bytes[offset + 1];
+            // Fill bytes and standalone markers carry no length
+            if (marker === 0xff) {
+                offset++;
+                continue;
+            }
+            if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+                offset += 2;
+                continue;
+            }
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            if (length < 2) break;
+            segments.push({ marker, offset, data: bytes.subarray(offset + 4, Math.min(bytes.length, offset + 2 + length)) });
+            if (marker === 0xda || marker === 0xd9) break;
+            offset += 2 + length;
+        }
+        return segments;
+    },
+
+    /**
+     * Chunks of a PNG: [{ type, offset, length, data }] where offset and length
+     * cover the whole chunk, CRC included
+     */
+    pngChunks(bytes) {
+        const chunks = [];
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 8;
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = this.ascii(bytes, offset + 4, 4);
+            chunks.push({ type, offset, length: length + 12, data: bytes.subarray(offset + 8, Math.min(bytes.length, offset + 8 + length)) });
+            if (type === 'IEND') break;
+            offset += 12 + length;
+        }
+        return chunks;
+    },
+
+    /**
+     * Chunks of a RIFF (WebP) file: [{ type, data }]
+     */
+    riffChunks(bytes) {
+        const chunks = [];
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 12;
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset + 4, true);
+            chunks.push({ type: this.ascii(bytes, offset, 4), data: bytes.subarray(offset + 8, Math.min(bytes.length, offset + 8 + length)) });
+            offset += 8 + length + (length % 2);
+        }
+        return chunks;
+    },
+
+    readJpeg(bytes, found) {
+        const icc = [];
+        for (const { marker, data } of this.jpegSegments(bytes)) {
+            if (marker === 0xe1 && this.ascii(data, 0, 6) === 'Exif\0\0') {
+                this.readTiff(data.subarray(6), found);
+            } else if (marker === 0xe1 && this.ascii(data, 0, 29) === 'http://ns.adobe.com/xap/1.0/\0') {
+                this.readXmp(this.utf8(data.subarray(29)), found);
+            } else if (marker === 0xed && this.ascii(data, 0, 14) === 'Photoshop 3.0\0') {
+                this.readPhotoshop(data.subarray(14), found);
+            } else if (marker === 0xe2 && this.ascii(data, 0, 12) === 'ICC_PROFILE\0') {
+                // Profiles larger than a segment are split; byte 12 is the chunk's sequence number
+                icc.push({ sequence: data[12], data: data.subarray(14) });
+            } else if (marker === 0xfe) {
+                this.add(found, 'JPEG', 'Comment', this.utf8(data));
+            }
+        }
+        if (icc.length > 0) {
+            icc.sort((a, b) => a.sequence - b.sequence);
+            const profile = new Uint8Array(icc.reduce((sum, chunk) => sum + chunk.data.length, 0));
+            icc.reduce((offset, chunk) => {
+                profile.set(chunk.data, offset);
+                return offset + chunk.data.length;
+            }, 0);
+            this.readIcc(profile, found);
+        }
+    },
+
+    async readPng(bytes, found) {
+        for (const { type, data } of this.pngChunks(bytes)) {
+            try {
+                if (type === 'eXIf') {
+                    this.readTiff(data, found);
+                } else if (type === 'iCCP') {
+                    const end = data.indexOf(0);
+                    this.readIcc(await this.inflate(data.subarray(end + 2)), found);
+                } else if (type === 'tIME') {
+                    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+                    const pad = n => String(n).padStart(2, '0');
+                    this.addText(found, 'Last modified', `${view.getUint16(0)}:${pad(data[2])}:${pad(data[3])} ${pad(data[4])}:${pad(data[5])}:${pad(data[6])}`);
+                } else if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') {
+                    const [keyword, text] = await this.readPngText(type, data);
+                    if (keyword === 'XML:com.adobe.xmp') this.readXmp(text, found);
+                    else if (keyword === 'Raw profile type exif' || keyword === 'Raw profile type APP1') this.readRawProfile(text, found);
+                    else this.addText(found, keyword, text);
+                }
+            } catch (error) {
+                // A damaged chunk does not hide the others
+            }
+        }
+    },
+
+    /**
+     * [keyword, text] of a PNG text chunk
+     */
+    async readPngText(type, data) {
+        const end = data.indexOf(0);
+        const keyword = this.latin1(data.subarray(0, end));
+        if (type === 'tEXt') return [keyword, this.latin1(data.subarray(end + 1))];
+        if (type === 'zTXt') return [keyword, this.latin1(await this.inflate(data.subarray(end + 2)))];
+
+        // iTXt: compression flag and method, then language and translated keyword
+        const compressed = data[end + 1] === 1;
+        let offset = data.indexOf(0, end + 3) + 1;
+        offset = data.indexOf(0, offset) + 1;
+        const text = data.subarray(offset);
+        return [keyword, this.utf8(compressed ? await this.inflate(text) : text)];
+    },
+
+    /**
+     * ImageMagick and exiftool store EXIF in PNG text as hex after a header line
+     */
+    readRawProfile(text, found) {
+        const hex = text.trim().split('\n').slice(2).join('').replace(/\s+/g, '');
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        const start = this.ascii(bytes, 0, 6) === 'Exif\0\0' ? 6 : 0;
+        this.readTiff(bytes.subarray(start), found);
+    },
+
+    readWebp(bytes, found) {
+        for (const { type, data } of this.riffChunks(bytes)) {
+            if (type === 'EXIF') this.readTiff(this.ascii(data, 0, 6) === 'Exif\0\0' ? data.subarray(6) : data, found);
+            else if (type === 'XMP ') this.readXmp(this.utf8(data), found);
+            else if (type === 'ICCP') this.readIcc(data, found);
+        }
+    },
+
+    /**
+     * IFD0, the EXIF IFD and the GPS IFD of a TIFF structure
+     */
+    readTiff(bytes, found) {
+        if (bytes.length < 8) return;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const order = this.ascii(bytes, 0, 2);
+        if (order !== 'II' && order !== 'MM') return;
+        const little = order === 'II';
+        if (view.getUint16(2, little) !== 42) return;
+
+        const ifd0 = this.readIfd(bytes, view, little, view.getUint32(4, little), this.TAGS.ifd0);
+        const exif = typeof ifd0.ExifIFD === 'number' ? this.readIfd(bytes, view, little, ifd0.ExifIFD, this.TAGS.exif) : {};
+        const gps = typeof ifd0.GPSIFD === 'number' ? this.readIfd(bytes, view, little, ifd0.GPSIFD, this.TAGS.gps) : {};
+
+        if (ifd0.ICCProfile instanceof Uint8Array) this.readIcc(ifd0.ICCProfile, found);
+        delete ifd0.ExifIFD;
+        delete ifd0.GPSIFD;
+        delete ifd0.ICCProfile;
+
+        Object.entries({ ...ifd0, ...exif }).forEach(([name, value]) => {
+            if (value instanceof Uint8Array) return;
+            found.exif[name] = value;
+            this.add(found, 'EXIF', name, value);
+        });
+        Object.entries(gps).forEach(([name, value]) => {
+            found.exif[name] = value;
+            this.add(found, 'GPS', name, value);
+        });
+    },
+
+    readIfd(bytes, view, little, offset, tags) {
+        const values = {};
+        if (offset + 2 > bytes.length) return values;
+        const count = Math.min(view.getUint16(offset, little), this.MAX_IFD_ENTRIES);
+
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > bytes.length) break;
+            const name = tags[view.getUint16(entry, little)];
+            const type = view.getUint16(entry + 2, little);
+            if (!name || !this.TYPE_SIZES[type]) continue;
+
+            const length = view.getUint32(entry + 4, little);
+            const size = this.TYPE_SIZES[type] * length;
+            const at = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+            if (at + size > bytes.length) continue;
+
+            values[name] = this.tiffValue(bytes, view, little, type, at, length, name);
+        }
+        return values;
+    },
+
+    tiffValue(bytes, view, little, type, at, length, name) {
+        if (type === 2) return this.utf8(bytes.subarray(at, at + length)).replace(/\0[\s\S]*$/, '').trim();
+        if (type === 7) {
+            const data = bytes.subarray(at, at + length);
+            // UserComment starts with an 8-byte character code
+            if (name === 'UserComment') {
+                const code = this.ascii(data, 0, 8);
+                const text = code.startsWith('UNICODE')
+                    ? new TextDecoder(little ? 'utf-16le' : 'utf-16be').decode(data.subarray(8))
+                    : this.utf8(data.subarray(8));
+                return text.replace(/\0/g, '').trim();
+            }
+            return data;
+        }
+
+        const read = i => {
+            const position = at + i * this.TYPE_SIZES[type];
+            switch (type) {
+                case 1: return bytes[position];
+                case 3: return view.getUint16(position, little);
+                case 4: return view.getUint32(position, little);
+                case 5: return view.getUint32(position, little) / (view.getUint32(position + 4, little) || 1);
+                case 6: return view.getInt8(position);
+                case 8: return view.getInt16(position, little);
+                case 9: return view.getInt32(position, little);
+                case 10: return view.getInt32(position, little) / (view.getInt32(position + 4, little) || 1);
+                case 11: return view.getFloat32(position, little);
+                default: return view.getFloat64(position, little);
+            }
+        };
+        if (length === 1) return read(0);
+        return Array.from({ length: Math.min(length, 16) }, (_, i) => read(i));
+    },
+
+    /**
+     * Simple XMP properties, as attributes or elements ("xmp:CreatorTool"),
+     * and the items of rdf:Seq/Bag/Alt lists. Repeated properties, such as
+     * the steps of xmpMM:History, are joined with "; ".
+     */
+    readXmp(xml, found) {
+        const values = {};
+        const unescape = text => text
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+            .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+            .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+            .replace(/&amp;/g, '&');
+        const add = (name, value) => {
+            const text = unescape(value).trim();
+            if (!text || /^(?:xmlns|rdf|x|xml):/.test(name)) return;
+            values[name] = values[name] ? [...new Set([...values[name], text])] : [text];
+        };
+
+        for (const [, name, value] of xml.matchAll(/\s([A-Za-z][\w.-]*:[A-Za-z][\w.-]*)="([^"]*)"/g)) add(name, value);
+        for (const [, name, value] of xml.matchAll(/<([A-Za-z][\w.-]*:[A-Za-z][\w.-]*)(?:\s[^>]*)?>([^<]*)<\/\1>/g)) {
+            if (name !== 'rdf:li') add(name, value);
+        }
+        for (const [, name, list] of xml.matchAll(/<([A-Za-z][\w.-]*:[A-Za-z][\w.-]*)(?:\s[^>]*)?>\s*<rdf:(?:Seq|Bag|Alt)>([\s\S]*?)<\/rdf:(?:Seq|Bag|Alt)>\s*<\/\1>/g)) {
+            for (const [, item] of list.matchAll(/<rdf:li(?:\s[^>]*)?>([^<]*)<\/rdf:li>/g)) add(name, item);
+        }
+
+        Object.entries(values).forEach(([name, list]) => {
+            found.xmp[name] = list;
+            this.add(found, 'XMP', name, list.join('; '));
+        });
+    },
+
+    /**
+     * Photoshop image resources; resource 0x0404 holds IPTC IIM records
+     */
+    readPhotoshop(bytes, found) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+        while (offset + 12 <= bytes.length && this.ascii(bytes, offset, 4) === '8BIM') {
+            const id = view.getUint16(offset + 4);
+            // Pascal name padded to an even length
+            const nameLength = bytes[offset + 6];
+            const sizeAt = offset + 6 + nameLength + 1 + ((nameLength + 1) % 2);
+            if (sizeAt + 4 > bytes.length) break;
+            const size = view.getUint32(sizeAt);
+            const data = bytes.subarray(sizeAt + 4, Math.min(bytes.length, sizeAt + 4 + size));
+            if (id === 0x0404) this.readIptc(data, found);
+            offset = sizeAt + 4 + size + (size % 2);
+        }
+    },
+
+    readIptc(bytes, found) {
+        const values = {};
+        let offset = 0;
+        while (offset + 5 <= bytes.length && bytes[offset] === 0x1c) {
+            const record = bytes[offset + 1];
+            const dataset = bytes[offset + 2];
+            const size = (bytes[offset + 3] << 8) | bytes[offset + 4];
+            const name = record === 2 && this.IPTC[dataset];
+            if (name) {
+                const value = this.utf8(bytes.subarray(offset + 5, offset + 5 + size)).trim();
+                values[name] = values[name] ? `${values[name]}; ${value}` : value;
+            }
+            offset += 5 + size;
+        }
+        Object.entries(values).forEach(([name, value]) => {
+            found.iptc[name] = value;
+            this.add(found, 'IPTC', name, value);
+        });
+    },
+
+    /**
+     * Profile description of an ICC profile (v2 'desc' or v4 'mluc' tag)
+     */
+    readIcc(bytes, found) {
+        if (bytes.length < 132 || this.ascii(bytes, 36, 4) !== 'acsp') return;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const count = Math.min(view.getUint32(128), 100);
+
+        for (let i = 0; i < count; i++) {
+            const entry = 132 + i * 12;
+            if (entry + 12 > bytes.length || this.ascii(bytes, entry, 4) !== 'desc') continue;
+            const at = view.getUint32(entry + 4);
+            if (at + 12 > bytes.length) return;
+
+            let description = '';
+            if (this.ascii(bytes, at, 4) === 'desc') {
+                const length = view.getUint32(at + 8);
+                description = this.latin1(bytes.subarray(at + 12, at + 12 + length));
+            } else if (this.ascii(bytes, at, 4) === 'mluc' && at + 28 <= bytes.length) {
+                const length = view.getUint32(at + 20);
+                const start = at + view.getUint32(at + 24);
+                description = new TextDecoder('utf-16be').decode(bytes.subarray(start, start + length));
+            }
+            found.icc = description.replace(/\0/g, '').trim() || null;
+            if (found.icc) this.add(found, 'ICC', 'ProfileDescription', found.icc);
+            return;
+        }
+    },
+
+    addText(found, keyword, text) {
+        found.png[keyword] = text;
+        this.add(found, 'PNG', keyword, text);
+    },
+
+    add(found, group, name, value) {
+        let text = Array.isArray(value) ? value.map(v => this.formatNumber(v)).join(', ') : this.formatNumber(value);
+        text = String(text).trim();
+        if (!text) return;
+        if (text.length > this.MAX_VALUE_LENGTH) text = text.slice(0, this.MAX_VALUE_LENGTH) + '...';
+        found.entries.push({ group, name, value: text });
+    },
+
+    formatNumber(value) {
+        return typeof value === 'number' && !Number.isInteger(value) ? Number(value.toPrecision(6)) : value;
+    },
+
+    /**
+     * The fields the consistency checks use, from whichever block has them
+     */
+    summarize(found) {
+        const { exif, xmp, iptc, png } = found;
+        const first = (...values) => values.find(v => v !== undefined && v !== null && v !== '') ?? null;
+        const xmpValue = name => xmp[name] ? xmp[name][0] : null;
+
+        const iptcDate = iptc.DateCreated
+            ? `${iptc.DateCreated.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1:$2:$3')} ${(iptc.TimeCreated || '').replace(/^(\d{2})(\d{2})(\d{2}).*$/, '$1:$2:$3')}`.trim()
+            : null;
+
+        return {
+            make: first(exif.Make, xmpValue('tiff:Make')),
+            model: first(exif.Model, xmpValue('tiff:Model')),
+            lens: first(exif.LensModel, xmpValue('exifEX:LensModel'), xmpValue('aux:Lens')),
+            software: first(exif.Software, xmpValue('xmp:CreatorTool'), iptc.OriginatingProgram, png.Software),
+            tools: [...new Set([exif.Software, ...(xmp['xmp:CreatorTool'] || []), ...(xmp['stEvt:softwareAgent'] || []),
+                iptc.OriginatingProgram, png.Software].filter(Boolean))],
+            created: this.parseDate(first(exif.DateTimeOriginal, xmpValue('exif:DateTimeOriginal'), xmpValue('photoshop:DateCreated'),
+                iptcDate, xmpValue('xmp:CreateDate'), png['Creation Time'])),
+            digitized: this.parseDate(first(exif.DateTimeDigitized, xmpValue('exif:DateTimeDigitized'))),
+            modified: this.parseDate(first(exif.DateTime, xmpValue('xmp:ModifyDate'), png['Last modified'])),
+            gps: this.gps(exif),
+            colorProfile: first(found.icc, exif.ColorSpace === 1 ? 'sRGB' : null, xmpValue('photoshop:ICCProfile')),
+            width: first(exif.PixelXDimension, exif.ImageWidth),
+            height: first(exif.PixelYDimension, exif.ImageLength)
+        };
+    },
+
+    /**
+     * { text, time } for an EXIF ("2024:05:01 13:45:00"), ISO 8601 or RFC 1123
+     * date; time is in ms and ignores any timezone offset, since EXIF dates
+     * usually have none
+     */
+    parseDate(value) {
+        if (!value) return null;
+        const text = String(value).trim();
+        const match = text.match(/^(\d{4})[:-](\d{2})[:-](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+        let time;
+        if (match) {
+            const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+            time = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+        } else {
+            time = Date.parse(text);
+        }
+        // Cameras without a clock set write zeros
+        return Number.isFinite(time) && !/^0000/.test(text) ? { text, time } : null;
+    },
+
+    gps(exif) {
+        const coordinate = (value, ref) => {
+            if (!Array.isArray(value) || value.length < 3) return null;
+            const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+            return Number(((/^[SW]/i.test(ref || '') ? -1 : 1) * degrees).toFixed(6));
+        };
+        const latitude = coordinate(exif.GPSLatitude, exif.GPSLatitudeRef);
+        const longitude = coordinate(exif.GPSLongitude, exif.GPSLongitudeRef);
+        if (latitude === null || longitude === null) return null;
+        const altitude = typeof exif.GPSAltitude === 'number'
+            ? Math.round(exif.GPSAltitude * (exif.GPSAltitudeRef === 1 ? -1 : 1))
+            : null;
+        return { latitude, longitude, altitude };
+    },
+
+    /**
+     * zlib data inflated with ZipReader's bounded reader; throws past
+     * MAX_INFLATED_BYTES so the chunk is skipped
+     */
+    async inflate(data) {
+        const bytes = await ZipReader.inflate(data, this.MAX_INFLATED_BYTES, 'deflate');
+        if (!bytes) throw new Error('Compressed chunk is too large');
+        return bytes;
+    },
+
+    ascii(bytes, offset, length) {
+        return String.fromCharCode(...bytes.subarray(offset, offset + length));
+    },
+
+    latin1(bytes) {
+        return new TextDecoder('latin1').decode(bytes);
+    },
+
+    utf8(bytes) {
+        return new TextDecoder().decode(bytes);
+    }
+};
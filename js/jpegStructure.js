@@ -0,0 +1,522 @@
+// ============================================
+// JPEG STRUCTURE MODULE
+// Quantization tables, encoder and quality estimate,
+// and traces of an earlier JPEG compression in the
+// DCT coefficients
+// ============================================
+
+const JpegStructure = {
+    // Position in the 8x8 block (row by row) of each coefficient in zigzag order
+    ZIGZAG: [
+        0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+        12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+        35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+        58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+    ],
+
+    // IJG (JPEG Annex K) tables at quality 50, row by row
+    IJG_TABLES: [
+        [
+            16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+            14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+            18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+            49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+        ],
+        [
+            17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+            24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+            99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+            99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99
+        ]
+    ],
+
+    // Luminance blocks decoded at most; larger images are sampled from the top
+    MAX_BLOCKS: 80000,
+
+    // Low-frequency AC coefficients (zigzag index) whose histograms are checked
+    HISTOGRAM_FREQUENCIES: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+    HISTOGRAM_BINS: 24,
+
+    // A coefficient histogram needs this many non-zero values to be read
+    MIN_HISTOGRAM_SAMPLES: 2000,
+
+    // Share of readable frequencies with periodic histograms that marks an image
+    ALIGNED_SHARE: 0.4,
+
+    // Blocks sampled per grid offset, largest old quantization step tried, and
+    // how far (0-1) coefficients at the old grid's offset must cluster beyond
+    // the median offset
+    NON_ALIGNED_BLOCKS: 2000,
+    MIN_NON_ALIGNED_BLOCKS: 400,
+    MAX_OLD_STEP: 24,
+    NON_ALIGNED_STRENGTH: 0.45,
+
+    /**
+     * Encoding of a JPEG file, or null for other formats:
+     *   { progressive, width, height, tables: [{ id, values }], segments: ['APP1:Exif', ...],
+     *     quality: { estimate, standard }, encoder: { id, name, kind } | null,
+     *     aligned: { tested, flagged, detected } | null,
+     *     nonAligned: { offset: [x, y], strength, detected } | null, score, warnings }
+     * context describes the file from its metadata: { camera, tools, edited }.
+     * aligned and nonAligned are null when the coefficients could not be read
+     * (progressive and arithmetic-coded files); nonAligned also for images
+     * too small to compare grid offsets.
+     */
+    analyze(buffer, context = {}) {
+        const bytes = new Uint8Array(buffer);
+        if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+        const file = this.parse(bytes);
+        if (!file.frame || file.tables.length === 0) throw new Error('No frame header or quantization table');
+
+        const luminanceTable = file.tables.find(t => t.id === file.frame.components[0].table) || file.tables[0];
+        const chrominanceTable = file.frame.components.length > 1
+            ? file.tables.find(t => t.id === file.frame.components[1].table)
+            : null;
+        const quality = this.estimateQuality(luminanceTable.values, chrominanceTable ? chrominanceTable.values : null);
+        const encoder = this.identify(file, luminanceTable.values, chrominanceTable ? chrominanceTable.values : null, quality, context);
+
+        let aligned = null;
+        let nonAligned = null;
+        if (file.baseline) {
+            const luminance = this.decodeLuminance(bytes, file);
+            aligned = this.alignedTraces(luminance.blocks);
+            if (luminance.columns * luminance.rows >= this.MIN_NON_ALIGNED_BLOCKS) {
+                nonAligned = this.nonAlignedTraces(luminance, luminanceTable.values);
+            }
+        }
+
+        const result = {
+            progressive: file.frame.progressive,
+            width: file.frame.width,
+            height: file.frame.height,
+            tables: file.tables,
+            segments: file.segments,
+            quality,
+            encoder,
+            aligned,
+            nonAligned
+        };
+        return { ...result, ...this.assess(result, context) };
+    },
+
+    /**
+     * Markers of interest: quantization tables (row by row), frame header,
+     * Huffman tables, restart interval and the first scan
+     */
+    parse(bytes) {
+        const file = { tables: [], huffman: {}, frame: null, scan: null, restartInterval: 0, segments: [], baseline: false };
+        for (const segment of ImageMetadata.jpegSegments(bytes)) {
+            const { marker, data } = segment;
+            if (marker >= 0xe0 && marker <= 0xef) {
+                const name = ImageMetadata.ascii(data, 0, Math.min(data.length, 16)).split('\0')[0].replace(/[^\x20-\x7e]/g, '');
+                file.segments.push(`APP${marker - 0xe0}${name ? ':' + name : ''}`);
+            } else if (marker === 0xdb) {
+                for (let offset = 0; offset < data.length;) {
+                    const precision = data[offset] >> 4;
+                    const id = data[offset] & 15;
+                    const values = new Array(64);
+                    for (let k = 0; k < 64; k++) {
+                        values[this.ZIGZAG[k]] = precision ? (data[offset + 1 + k * 2] << 8) | data[offset + 2 + k * 2] : data[offset + 1 + k];
+                    }
+                    file.tables = file.tables.filter(t => t.id !== id).concat({ id, values });
+                    offset += 1 + 64 * (precision ? 2 : 1);
+                }
+            } else if (marker === 0xc4) {
+                for (let offset = 0; offset < data.length;) {
+                    const counts = data.subarray(offset + 1, offset + 17);
+                    const total = counts.reduce((sum, n) => sum + n, 0);
+                    file.huffman[data[offset]] = this.huffmanTable(counts, data.subarray(offset + 17, offset + 17 + total));
+                    offset += 17 + total;
+                }
+            } else if (marker === 0xdd) {
+                file.restartInterval = (data[0] << 8) | data[1];
+            } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                const components = [];
+                for (let i = 0; i < data[5]; i++) {
+                    const at = 6 + i * 3;
+                    components.push({ id: data[at], h: data[at + 1] >> 4, v: data[at + 1] & 15, table: data[at + 2] });
+                }
+                file.frame = {
+                    progressive: marker === 0xc2 || marker === 0xc6 || marker === 0xca || marker === 0xce,
+                    height: (data[1] << 8) | data[2],
+                    width: (data[3] << 8) | data[4],
+                    components
+                };
+                file.baseline = marker === 0xc0 || marker === 0xc1;
+            } else if (marker === 0xda) {
+                const components = [];
+                for (let i = 0; i < data[0]; i++) {
+                    components.push({ id: data[1 + i * 2], dc: data[2 + i * 2] >> 4, ac: data[2 + i * 2] & 15 });
+                }
+                file.scan = { components, start: data.byteOffset - bytes.byteOffset + data.length };
+            }
+        }
+        file.baseline = file.baseline && Boolean(file.scan);
+        return file;
+    },
+
+    /**
+     * Canonical Huffman decoding table: the largest code and first symbol
+     * index of each code length
+     */
+    huffmanTable(counts, symbols) {
+        const maxCode = new Int32Array(18).fill(-1);
+        const offsets = new Int32Array(17);
+        let code = 0;
+        let index = 0;
+        for (let length = 1; length <= 16; length++) {
+            offsets[length] = index - code;
+            code += counts[length - 1];
+            index += counts[length - 1];
+            if (counts[length - 1]) maxCode[length] = code - 1;
+            code <<= 1;
+        }
+        maxCode[17] = 0x7fffffff;
+        return { maxCode, offsets, symbols };
+    },
+
+    /**
+     * Quantized coefficients of the luminance blocks of a baseline JPEG:
+     *   { blocks: Int16Array (64 per block, row by row), columns, rows }
+     * Decoding stops after MAX_BLOCKS blocks, at a whole row of blocks.
+     */
+    decodeLuminance(bytes, file) {
+        const { frame, scan } = file;
+        const scanComponents = scan.components.map(c => {
+            const component = frame.components.find(f => f.id === c.id);
+            return { ...component, dc: file.huffman[c.dc], ac: file.huffman[16 | c.ac], prediction: 0 };
+        });
+        if (scanComponents.some(c => !c.dc || !c.ac)) throw new Error('Missing Huffman table');
+        const luminance = scanComponents.find(c => c.id === frame.components[0].id);
+        if (!luminance) throw new Error('The first scan has no luminance');
+
+        const hMax = Math.max(...frame.components.map(c => c.h));
+        const vMax = Math.max(...frame.components.map(c => c.v));
+        const interleaved = scanComponents.length > 1;
+        const mcuColumns = interleaved
+            ? Math.ceil(frame.width / (8 * hMax))
+            : Math.ceil(Math.ceil(frame.width * luminance.h / hMax) / 8);
+        const mcuRows = interleaved
+            ? Math.ceil(frame.height / (8 * vMax))
+            : Math.ceil(Math.ceil(frame.height * luminance.v / vMax) / 8);
+        const columns = interleaved ? mcuColumns * luminance.h : mcuColumns;
+        const blocksPerMcuRow = columns * (interleaved ? luminance.v : 1);
+        const decodedRows = Math.max(1, Math.min(mcuRows, Math.floor(this.MAX_BLOCKS / blocksPerMcuRow)));
+        const rows = decodedRows * (interleaved ? luminance.v : 1);
+        const blocks = new Int16Array(columns * rows * 64);
+
+        let position = scan.start;
+        let buffer = 0;
+        let bits = 0;
+        const readBit = () => {
+            if (bits === 0) {
+                if (position >= bytes.length) throw new Error('Scan data ends early');
+                buffer = bytes[position++];
+                if (buffer === 0xff) {
+                    const next = bytes[position];
+                    if (next === 0) position++;
+                    else if (next >= 0xd0 && next <= 0xd7) throw new Error('Unexpected restart marker');
+                    else throw new Error('Scan data ends early');
+                }
+                bits = 8;
+            }
+            bits--;
+            return (buffer >> bits) & 1;
+        };
+        const receive = length => {
+            let value = 0;
+            for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+            return value;
+        };
+        const extend = (value, length) => value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+        const decode = table => {
+            let code = 0;
+            for (let length = 1; length <= 16; length++) {
+                code = (code << 1) | readBit();
+                if (code <= table.maxCode[length]) return table.symbols[code + table.offsets[length]];
+            }
+            throw new Error('Invalid Huffman code');
+        };
+        const decodeBlock = (component, target, at) => {
+            const size = decode(component.dc);
+            component.prediction += size ? extend(receive(size), size) : 0;
+            if (target) target[at] = component.prediction;
+            for (let k = 1; k < 64;) {
+                const symbol = decode(component.ac);
+                const size = symbol & 15;
+                const run = symbol >> 4;
+                if (size === 0) {
+                    if (run !== 15) break;
+                    k += 16;
+                    continue;
+                }
+                k += run;
+                const value = extend(receive(size), size);
+                if (k < 64 && target) target[at + this.ZIGZAG[k]] = value;
+                k++;
+            }
+        };
+        const restart = () => {
+            bits = 0;
+            while (position + 1 < bytes.length && !(bytes[position] === 0xff && bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7)) position++;
+            position += 2;
+            scanComponents.forEach(c => { c.prediction = 0; });
+        };
+
+        const total = mcuColumns * decodedRows;
+        for (let mcu = 0; mcu < total; mcu++) {
+            if (file.restartInterval && mcu > 0 && mcu % file.restartInterval === 0) restart();
+            const mcuX = mcu % mcuColumns;
+            const mcuY = Math.floor(mcu / mcuColumns);
+            for (const component of scanComponents) {
+                const h = interleaved ? component.h : 1;
+                const v = interleaved ? component.v : 1;
+                for (let y = 0; y < v; y++) {
+                    for (let x = 0; x < h; x++) {
+                        if (component !== luminance) {
+                            decodeBlock(component, null, 0);
+                            continue;
+                        }
+                        const block = (mcuY * v + y) * columns + mcuX * h + x;
+                        decodeBlock(component, blocks, block * 64);
+                    }
+                }
+            }
+        }
+        return { blocks, columns, rows };
+    },
+
+    /**
+     * Quality 1-100 whose IJG tables are closest to the file's; standard when
+     * they match exactly
+     */
+    estimateQuality(luminance, chrominance) {
+        let best = { estimate: 50, distance: Infinity };
+        for (let quality = 1; quality <= 100; quality++) {
+            const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+            const scaled = base => base.map(value => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+            let distance = this.distance(luminance, scaled(this.IJG_TABLES[0]));
+            if (chrominance) distance += this.distance(chrominance, scaled(this.IJG_TABLES[1]));
+            if (distance < best.distance) best = { estimate: quality, distance };
+        }
+        return { estimate: best.estimate, standard: best.distance === 0 };
+    },
+
+    distance(a, b) {
+        return a.reduce((sum, value, i) => sum + Math.abs(value - b[i]), 0);
+    },
+
+    /**
+     * First entry of JPEG_ENCODERS whose conditions all hold:
+     *   { id, name, kind: 'camera' | 'software', software?, segment?,
+     *     tables?: 'ijg' | 'custom', luminance?: [64 values], chrominance?: [64 values],
+     *     camera?, edited? }
+     * software is a pattern matched against the file's software names,
+     * segment an APP segment ("APP14:Adobe"), luminance and chrominance exact
+     * tables (row by row), edited whether the metadata names an editing tool.
+     * camera is whether the metadata names a camera, or a pattern the camera
+     * name must match. name may contain {camera} and {quality}.
+     */
+    identify(file, luminance, chrominance, quality, context) {
+        const tools = context.tools || [];
+        const camera = context.camera || '';
+        const encoder = JPEG_ENCODERS.encoders.find(entry =>
+            (!entry.software || tools.some(tool => new RegExp(entry.software, 'i').test(tool))) &&
+            (!entry.segment || file.segments.includes(entry.segment)) &&
+            (!entry.tables || (entry.tables === 'ijg') === quality.standard) &&
+            (!entry.luminance || this.distance(entry.luminance, luminance) === 0) &&
+            (!entry.chrominance || (chrominance && this.distance(entry.chrominance, chrominance) === 0)) &&
+            (entry.camera === undefined || (typeof entry.camera === 'string'
+                ? new RegExp(entry.camera, 'i').test(camera)
+                : entry.camera === Boolean(camera))) &&
+            (entry.edited === undefined || entry.edited === Boolean(context.edited))
+        );
+        if (!encoder) return null;
+        const name = encoder.name
+            .replace('{camera}', context.camera || 'Camera')
+            .replace('{quality}', quality.estimate);
+        return { id: encoder.id, name, kind: encoder.kind };
+    },
+
+    /**
+     * Aligned double compression: requantizing with a second step leaves
+     * empty or doubled bins at regular intervals in the coefficient histograms,
+     * where a single compression gives a smooth histogram with one hump
+     */
+    alignedTraces(blocks) {
+        let tested = 0;
+        let flagged = 0;
+        for (const k of this.HISTOGRAM_FREQUENCIES) {
+            const position = this.ZIGZAG[k];
+            const histogram = new Float64Array(this.HISTOGRAM_BINS + 2);
+            let samples = 0;
+            for (let at = position; at < blocks.length; at += 64) {
+                const value = Math.abs(blocks[at]);
+                if (value < histogram.length) histogram[value]++;
+                if (value !== 0) samples++;
+            }
+            if (samples < this.MIN_HISTOGRAM_SAMPLES || histogram.filter((n, v) => v > 0 && n >= 20).length < 4) continue;
+            tested++;
+
+            // A bin well below both neighbours, or (past the first) well above both
+            let anomalies = 0;
+            for (let v = 1; v <= this.HISTOGRAM_BINS; v++) {
+                const low = Math.min(histogram[v - 1], histogram[v + 1]);
+                const high = Math.max(histogram[v - 1], histogram[v + 1]);
+                const dip = low >= 20 && histogram[v] < low / 2 && low - histogram[v] > 3 * Math.sqrt(low);
+                const peak = v >= 2 && histogram[v] >= 20 && histogram[v] > high * 1.5 && histogram[v] - high > 3 * Math.sqrt(histogram[v]);
+                if (dip || peak) anomalies++;
+            }
+            if (anomalies >= 2) flagged++;
+        }
+        return { tested, flagged, detected: flagged >= 2 && flagged / tested >= this.ALIGNED_SHARE };
+    },
+
+    /**
+     * Non-aligned double compression: an image compressed, cropped and
+     * compressed again still holds the first compression's coefficients on
+     * the old grid. Blocks are cut at each of the 63 other grid offsets;
+     * at the old grid's offset the DC and first AC coefficients cluster
+     * around multiples of the old step. Offsets within a pixel of the
+     * current grid are skipped, since an aligned double compression also
+     * shows faintly there.
+     */
+    nonAlignedTraces(luminance, table) {
+        const { blocks, columns, rows } = luminance;
+        const width = columns * 8;
+        const height = rows * 8;
+        const pixels = this.inverseTransform(blocks, table, columns, rows);
+        const basis = this.dctBasis();
+        const kernels = [[0, 0], [1, 0], [0, 1]].map(([u, v]) => {
+            const kernel = new Float64Array(64);
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) kernel[y * 8 + x] = basis[x * 8 + u] * basis[y * 8 + v];
+            }
+            return kernel;
+        });
+        const steps = [table[0], table[1], table[8]];
+        const stride = Math.max(1, Math.ceil(Math.sqrt(columns * rows / this.NON_ALIGNED_BLOCKS)));
+        const nearGrid = d => d === 0 || d === 1 || d === 7;
+
+        // Phase lookup (1024 steps per turn) in place of a sine and cosine per coefficient
+        const cosines = Float64Array.from({ length: 1024 }, (_, i) => Math.cos(i * Math.PI / 512));
+        const sines = Float64Array.from({ length: 1024 }, (_, i) => Math.sin(i * Math.PI / 512));
+        const samples = [];
+        for (let y = 0; y + 8 <= height; y += 8 * stride) {
+            for (let x = 0; x + 8 <= width; x += 8 * stride) samples.push(y * width + x);
+        }
+
+        // periodicity[frequency][step - 2] holds one value per offset
+        const offsets = [];
+        const periodicity = kernels.map(() => Array.from({ length: this.MAX_OLD_STEP - 1 }, () => []));
+        const values = new Float64Array(samples.length);
+        for (let dy = 0; dy < 8; dy++) {
+            for (let dx = 0; dx < 8; dx++) {
+                if (nearGrid(dx) && nearGrid(dy)) continue;
+                offsets.push([dx, dy]);
+                kernels.forEach((kernel, f) => {
+                    // The last row and column of blocks have no room for an offset
+                    let count = 0;
+                    for (const origin of samples) {
+                        if (origin % width + dx + 8 > width || origin + (dy + 8) * width > pixels.length) continue;
+                        const start = origin + dy * width + dx;
+                        let sum = 0;
+                        for (let i = 0; i < 64; i++) sum += kernel[i] * pixels[start + (i >> 3) * width + (i & 7)];
+                        values[count++] = sum;
+                    }
+                    for (let step = 2; step <= this.MAX_OLD_STEP; step++) {
+                        let re = 0;
+                        let im = 0;
+                        for (let i = 0; i < count; i++) {
+                            const turns = values[i] / step;
+                            const phase = ((turns - Math.floor(turns)) * 1024) & 1023;
+                            re += cosines[phase];
+                            im += sines[phase];
+                        }
+                        periodicity[f][step - 2].push(count ? Math.hypot(re, im) / count : 0);
+                    }
+                });
+            }
+        }
+
+        // Steps that share a factor pattern with the current step cluster at every offset
+        let best = { strength: 0, offset: [0, 0] };
+        periodicity.forEach((byStep, f) => byStep.forEach((byOffset, i) => {
+            const step = i + 2;
+            if (step % steps[f] === 0 || steps[f] % step === 0) return;
+            const sorted = [...byOffset].sort((a, b) => a - b);
+            const median = sorted[Math.floor(sorted.length / 2)];
+            byOffset.forEach((value, o) => {
+                if (value - median > best.strength) best = { strength: value - median, offset: offsets[o] };
+            });
+        }));
+
+        const detected = best.strength >= this.NON_ALIGNED_STRENGTH;
+        return { offset: detected ? best.offset : [0, 0], strength: Math.round(best.strength * 100) / 100, detected };
+    },
+
+    dctBasis() {
+        const basis = new Float64Array(64);
+        for (let x = 0; x < 8; x++) {
+            for (let u = 0; u < 8; u++) {
+                basis[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos((2 * x + 1) * u * Math.PI / 16) / 2;
+            }
+        }
+        return basis;
+    },
+
+    /**
+     * Luminance pixels of dequantized blocks (separable 8x8 inverse DCT)
+     */
+    inverseTransform(blocks, table, columns, rows) {
+        const width = columns * 8;
+        const pixels = new Float32Array(width * rows * 8);
+        const basis = this.dctBasis();
+        const coefficients = new Float64Array(64);
+        const temp = new Float64Array(64);
+        for (let block = 0; block < columns * rows; block++) {
+            for (let i = 0; i < 64; i++) coefficients[i] = blocks[block * 64 + i] * table[i];
+            for (let v = 0; v < 8; v++) {
+                for (let x = 0; x < 8; x++) {
+                    let sum = 0;
+                    for (let u = 0; u < 8; u++) sum += basis[x * 8 + u] * coefficients[v * 8 + u];
+                    temp[v * 8 + x] = sum;
+                }
+            }
+            const originX = (block % columns) * 8;
+            const originY = Math.floor(block / columns) * 8;
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    let sum = 0;
+                    for (let v = 0; v < 8; v++) sum += basis[y * 8 + v] * temp[v * 8 + x];
+                    pixels[(originY + y) * width + originX + x] = Math.max(-128, Math.min(127, Math.round(sum)));
+                }
+            }
+        }
+        return pixels;
+    },
+
+    /**
+     * Score and findings: a single camera compression scores highest, a
+     * software re-save lower, traces of an earlier compression lowest
+     */
+    assess(result, context) {
+        const warnings = [];
+        let score = result.encoder && result.encoder.kind === 'camera' ? 80 : result.encoder ? 60 : 65;
+
+        if (result.encoder && result.encoder.kind === 'software' && context.camera && !context.edited) {
+            score = Math.min(score, 50);
+            warnings.push(`Metadata names a ${context.camera} but the file was last saved by ${result.encoder.name}`);
+        }
+        if (result.aligned && result.aligned.detected) {
+            score = Math.min(score, 35);
+            warnings.push('DCT coefficient histograms show an earlier JPEG compression at a different quality (saved at least twice)');
+        }
+        if (result.nonAligned && result.nonAligned.detected) {
+            score = Math.min(score, result.aligned && result.aligned.detected ? 25 : 30);
+            warnings.push(`DCT coefficients on a grid shifted by ${result.nonAligned.offset.join(', ')} pixels show an earlier JPEG compression - compressed before being cropped or shifted`);
+        }
+        return { score, warnings };
+    }
+};
@@ -0,0 +1,134 @@
+// ============================================
+// LANGUAGE MODEL MODULE
+// Offline word bigram model with interpolated
+// absolute-discount smoothing (see data/ngramModel.js)
+// ============================================
+
+const LanguageModel = {
+    BOS: '<s>',
+    UNK: '<unk>',
+
+    // Lookup tables built lazily from NGRAM_MODEL
+    _index: null,
+
+    /**
+     * Lowercase word tokens with character offsets.
+     * The model builder (tools/buildNgramModel.js) uses this same function,
+     * so runtime and training tokenization always agree.
+     */
+    tokenize(text) {
+        const tokens = [];
+        for (const match of text.matchAll(/[a-z0-9]+(?:'[a-z]+)*/gi)) {
+            tokens.push({ token: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+        }
+        return tokens;
+    },
+
+    /**
+     * Build id lookups from the bundled model on first use.
+     * <unk> pools every out-of-vocabulary word, so its training count says
+     * nothing about any one of them: it is counted like the rarest known word,
+     * and bigrams into it are dropped.
+     */
+    load() {
+        if (this._index) return this._index;
+        if (typeof NGRAM_MODEL === 'undefined') return null;
+
+        const ids = new Map();
+        NGRAM_MODEL.vocab.forEach((word, i) => ids.set(word, i));
+        const unk = ids.get(this.UNK);
+        const bos = ids.get(this.BOS);
+
+        const unigrams = NGRAM_MODEL.unigrams.slice();
+        unigrams[unk] = Math.min(...unigrams.filter((count, id) => id !== unk && id !== bos));
+        const totalTokens = unigrams.reduce((sum, count) => sum + count, 0);
+
+        // The backoff weight takes whatever mass the kept bigrams leave: the
+        // discount of every follower plus the full mass of pruned ones
+        const D = NGRAM_MODEL.discount;
+        const bigrams = new Map();
+        for (const [history, entry] of Object.entries(NGRAM_MODEL.histories)) {
+            const [count, , followers] = entry;
+            const next = new Map();
+            let kept = 0;
+            for (let i = 0; i < followers.length; i += 2) {
+                if (followers[i] === unk) continue;
+                next.set(followers[i], followers[i + 1]);
+                kept += followers[i + 1] - D;
+            }
+            bigrams.set(Number(history), { count, next, backoff: 1 - kept / count });
+        }
+
+        this._index = { ids, bigrams, unigrams, totalTokens, vocabSize: NGRAM_MODEL.vocab.length };
+        return this._index;
+    },
+
+    /**
+     * Smoothed unigram probability (add-one over the bundled vocabulary)
+     */
+    unigramProb(id) {
+        const index = this._index;
+        return (index.unigrams[id] + 1) / (index.totalTokens + index.vocabSize);
+    },
+
+    /**
+     * Interpolated absolute discounting:
+     * P(w|v) = max(c(v,w) - D, 0) / c(v) + backoff(v) * P(w)
+     * where backoff(v) is the mass the kept bigrams of v leave over, so each
+     * P(.|v) sums to 1. Histories never seen in training fall back to the
+     * unigram estimate.
+     */
+    bigramProb(prevId, id) {
+        const history = this._index.bigrams.get(prevId);
+        const unigram = this.unigramProb(id);
+        if (!history) return unigram;
+
+        const D = NGRAM_MODEL.discount;
+        const pairCount = history.next.get(id) || 0;
+        return Math.max(pairCount - D, 0) / history.count + history.backoff * unigram;
+    },
+
+    /**
+     * Score text: per-token surprisal (bits) and document perplexity.
+     * Sentences are scored independently, each starting from <s>.
+     */
+    score(text, sentences) {
+        const index = this.load();
+        if (!index) return null;
+
+        const bos = index.ids.get(this.BOS);
+        const unk = index.ids.get(this.UNK);
+        const tokens = [];
+
+        sentences.forEach(sentence => {
+            let prev = bos;
+            this.tokenize(sentence.text).forEach(tok => {
+                const id = index.ids.has(tok.token) ? index.ids.get(tok.token) : unk;
+                const surprisal = -Math.log2(this.bigramProb(prev, id));
+                tokens.push({
+                    token: tok.token,
+                    start: sentence.start + tok.start,
+                    end: sentence.start + tok.end,
+                    surprisal: Math.round(surprisal * 100) / 100,
+                    known: id !== unk
+                });
+                prev = id;
+            });
+        });
+
+        if (tokens.length === 0) return null;
+
+        const avgSurprisal = tokens.reduce((sum, t) => sum + t.surprisal, 0) / tokens.length;
+        const surprisalStdDev = Math.sqrt(
+            tokens.reduce((sum, t) => sum + Math.pow(t.surprisal - avgSurprisal, 2), 0) / tokens.length
+        );
+
+        return {
+            tokens,
+            perplexity: Math.round(Math.pow(2, avgSurprisal)),
+            avgSurprisal: Math.round(avgSurprisal * 100) / 100,
+            surprisalStdDev: Math.round(surprisalStdDev * 100) / 100,
+            oovRate: tokens.filter(t => !t.known).length / tokens.length
+        };
+    }
+};
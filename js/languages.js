@@ -0,0 +1,179 @@
+// ============================================
+// LANGUAGE SUPPORT MODULE
+// Offline language identification, tokenization
+// and per-language word lists (the heuristic rules
+// themselves live in RulePacks)
+// ============================================
+
+const LanguagePacks = {
+    en: {
+        name: 'English',
+        stopWords: [
+            'the', 'and', 'of', 'to', 'a', 'in', 'is', 'it', 'that', 'for', 'was', 'on', 'are', 'with', 'i',
+            'as', 'be', 'this', 'have', 'from', 'or', 'by', 'not', 'but', 'at', 'they', 'you', 'we',
+            'his', 'her', 'an', 'were', 'which', 'their', 'has', 'been', 'will', 'would', 'there',
+            'what', 'can', 'all', 'if', 'more', 'when', 'who', 'so', 'than', 'its', 'these', 'also'
+        ],
+        personalWords: ['i', 'my', 'me', "i'm", "i've", 'personally'],
+        sourcePattern: /(according to|study (published|found|shows)|researchers? (at|from)|journal of|university of)/gi
+    },
+
+    es: {
+        name: 'Spanish',
+        stopWords: [
+            'el', 'la', 'de', 'que', 'y', 'en', 'un', 'una', 'los', 'las', 'del', 'se', 'por', 'con',
+            'no', 'para', 'es', 'al', 'lo', 'como', 'más', 'pero', 'sus', 'le', 'ya', 'o', 'este',
+            'fue', 'ha', 'sí', 'porque', 'esta', 'son', 'entre', 'cuando', 'muy', 'sin', 'sobre',
+            'también', 'me', 'hasta', 'hay', 'donde', 'han', 'desde', 'todo', 'nos', 'durante', 'estos'
+        ],
+        personalWords: ['yo', 'mi', 'me', 'mío', 'personalmente', 'conmigo'],
+        sourcePattern: /(según|de acuerdo con|un estudio (publicado|encontró|muestra)|investigadores de|universidad de|revista)/giu
+    },
+
+    fr: {
+        name: 'French',
+        stopWords: [
+            'le', 'la', 'les', 'de', 'des', 'du', 'et', 'un', 'une', 'est', 'en', 'que', 'qui', 'dans',
+            'pour', 'pas', 'sur', 'au', 'aux', 'il', 'elle', 'ne', 'se', 'ce', 'avec', 'plus', 'par',
+            'son', 'sa', 'ses', 'mais', 'nous', 'vous', 'ils', 'ont', 'été', 'sont', 'cette', 'comme',
+            'tout', 'leur', 'aussi', 'très', 'sans', 'entre', 'où', 'donc', 'ou', 'être', 'fait'
+        ],
+        personalWords: ['je', 'moi', 'mon', 'ma', 'mes', 'personnellement'],
+        sourcePattern: /(selon|d'après|une étude (publiée|a montré|montre)|chercheurs (de|à)|université de|revue)/giu
+    },
+
+    de: {
+        name: 'German',
+        stopWords: [
+            'der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'für',
+            'ist', 'im', 'dem', 'nicht', 'ein', 'eine', 'als', 'auch', 'es', 'an', 'werden', 'aus',
+            'er', 'hat', 'dass', 'sie', 'nach', 'wird', 'bei', 'einer', 'um', 'am', 'sind', 'noch',
+            'wie', 'einem', 'über', 'einen', 'so', 'zum', 'war', 'haben', 'nur', 'oder', 'aber', 'vor'
+        ],
+        personalWords: ['ich', 'mein', 'meine', 'mir', 'mich', 'persönlich'],
+        sourcePattern: /(laut|zufolge|eine studie|forscher (der|an|von)|universität|fachzeitschrift)/giu
+    },
+
+    pt: {
+        name: 'Portuguese',
+        stopWords: [
+            'o', 'a', 'os', 'as', 'de', 'do', 'da', 'dos', 'das', 'que', 'e', 'em', 'um', 'uma', 'no',
+            'na', 'por', 'para', 'com', 'não', 'se', 'mais', 'como', 'mas', 'foi', 'ao', 'ele', 'ela',
+            'seu', 'sua', 'ou', 'ser', 'quando', 'muito', 'há', 'nos', 'já', 'está', 'eu', 'também',
+            'só', 'pelo', 'pela', 'até', 'isso', 'entre', 'era', 'depois', 'sem', 'mesmo', 'são'
+        ],
+        personalWords: ['eu', 'meu', 'minha', 'mim', 'pessoalmente', 'comigo'],
+        sourcePattern: /(segundo|de acordo com|um estudo (publicado|mostra|revelou)|pesquisadores d[aeo]|universidade de|revista)/giu
+    },
+
+    it: {
+        name: 'Italian',
+        stopWords: [
+            'il', 'lo', 'la', 'i', 'gli', 'le', 'di', 'che', 'e', 'è', 'un', 'una', 'in', 'per', 'non',
+            'con', 'del', 'della', 'dei', 'si', 'da', 'al', 'alla', 'come', 'più', 'ma', 'anche', 'sono',
+            'ha', 'nel', 'nella', 'questo', 'questa', 'suo', 'sua', 'o', 'se', 'ci', 'stato', 'tra',
+            'dopo', 'quando', 'molto', 'tutto', 'loro', 'essere', 'perché', 'dove', 'senza', 'già'
+        ],
+        personalWords: ['io', 'mio', 'mia', 'mi', 'me', 'personalmente'],
+        sourcePattern: /(secondo|uno studio (pubblicato|mostra)|ricercatori (di|dell)|università di|rivista)/giu
+    },
+
+    hi: {
+        name: 'Hindi',
+        stopWords: [
+            'के', 'का', 'की', 'है', 'में', 'और', 'को', 'से', 'यह', 'पर', 'एक', 'हैं', 'था', 'कि',
+            'भी', 'ने', 'लिए', 'नहीं', 'तो', 'हो', 'थे', 'वह', 'इस', 'जो', 'कर', 'या', 'गया', 'कुछ',
+            'अपने', 'रहा', 'इसके', 'उनके', 'साथ', 'होता', 'करने', 'वे', 'हम', 'जा', 'तक', 'कहा'
+        ],
+        personalWords: ['मैं', 'मेरा', 'मेरी', 'मेरे', 'मुझे', 'व्यक्तिगत रूप से'],
+        sourcePattern: /(के अनुसार|अध्ययन|शोधकर्ताओं|विश्वविद्यालय|पत्रिका)/gu
+    }
+};
+
+const LanguageDetector = {
+    // Scripts that identify a language on their own
+    SCRIPTS: [
+        { pattern: /\p{Script=Devanagari}/gu, code: 'hi', name: 'Hindi' },
+        { pattern: /\p{Script=Cyrillic}/gu, code: 'ru', name: 'Russian' },
+        { pattern: /\p{Script=Arabic}/gu, code: 'ar', name: 'Arabic' },
+        { pattern: /\p{Script=Hebrew}/gu, code: 'he', name: 'Hebrew' },
+        { pattern: /\p{Script=Greek}/gu, code: 'el', name: 'Greek' },
+        { pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, code: 'ja', name: 'Japanese' },
+        { pattern: /\p{Script=Hangul}/gu, code: 'ko', name: 'Korean' },
+        { pattern: /\p{Script=Han}/gu, code: 'zh', name: 'Chinese' },
+        { pattern: /\p{Script=Thai}/gu, code: 'th', name: 'Thai' }
+    ],
+
+    // Below this share of stop-word hits, Latin-script text is "unknown"
+    MIN_STOPWORD_RATIO: 0.08,
+    // ...unless it has fewer words than this: too short to tell, it gets the
+    // default language (with no confidence) instead
+    SHORT_TEXT_WORDS: 20,
+    DEFAULT_LANGUAGE: 'en',
+
+    /**
+     * Word tokens with offsets ({ word, start, end, ... }), from the shared Segmenter
+     * so language detection and every text metric count words the same way
+     */
+    tokenize(text, code = 'en') {
+        return Segmenter.words(text, code);
+    },
+
+    /**
+     * Identify the language of a text.
+     * Non-Latin scripts are decided by character share; Latin-script text by
+     * which pack's stop words cover the most tokens.
+     */
+    detect(text) {
+        const letters = (text.match(/\p{L}/gu) || []).length || 1;
+
+        for (const script of this.SCRIPTS) {
+            const count = (text.match(script.pattern) || []).length;
+            if (count / letters > 0.3) {
+                return this.result(script.code, script.name, Math.min(1, count / letters));
+            }
+        }
+
+        const words = this.tokenize(text).map(t => t.word);
+        if (words.length === 0) return this.result('und', 'Unknown', 0);
+
+        const ranked = Object.entries(LanguagePacks)
+            .filter(([code]) => code !== 'hi')
+            .map(([code, pack]) => {
+                const stopWords = new Set(pack.stopWords);
+                return { code, name: pack.name, hits: words.filter(w => stopWords.has(w)).length };
+            })
+            .sort((a, b) => b.hits - a.hits);
+
+        const best = ranked[0];
+        if (best.hits / words.length < this.MIN_STOPWORD_RATIO) {
+            return words.length < this.SHORT_TEXT_WORDS
+                ? this.result(this.DEFAULT_LANGUAGE, LanguagePacks[this.DEFAULT_LANGUAGE].name, 0)
+                : this.result('und', 'Unknown', 0);
+        }
+
+        // Confidence: how far the winner is ahead of the runner-up
+        const runnerUp = ranked[1] ? ranked[1].hits : 0;
+        const confidence = best.hits === 0 ? 0 : (best.hits - runnerUp) / best.hits;
+        return this.result(best.code, best.name, Math.max(0.2, confidence));
+    },
+
+    result(code, name, confidence) {
+        const supported = Object.prototype.hasOwnProperty.call(LanguagePacks, code);
+        return {
+            code,
+            name,
+            confidence: Math.round(confidence * 100) / 100,
+            supported,
+            pack: this.packFor(supported ? code : 'en')
+        };
+    },
+
+    /**
+     * Word lists plus the current (possibly user-edited) rule pack for a language.
+     * Unsupported languages still need *some* phrase lists; English ones simply won't fire.
+     */
+    packFor(code) {
+        return { ...LanguagePacks[code], ...RulePacks.compiled(code) };
+    }
+};
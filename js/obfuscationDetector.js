@@ -0,0 +1,224 @@
+// ============================================
+// OBFUSCATION DETECTOR MODULE
+// Finds invisible, bidi, look-alike and odd-width
+// characters used to slip text past detectors
+// ============================================
+
+const ObfuscationDetector = {
+    // Zero-width and other invisible format characters (incl. Unicode tag characters)
+    INVISIBLE: /[\u034F\u115F\u1160\u180E\u200B-\u200D\u2060-\u2064\u3164\uFEFF\uFFA0\u{E0000}-\u{E007F}]/gu,
+    // Soft hyphens, which word processors and hyphenation tools insert on their own
+    SOFT_HYPHEN: /\u00AD/gu,
+    // Explicit bidi embeddings, overrides, isolates and marks
+    BIDI: /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/gu,
+    // Whitespace other than space, tab, newline and the ordinary no-break spaces
+    ODD_WHITESPACE: /[\u1680\u2000-\u200A\u2028\u2029\u205F\u3000]/gu,
+    // Full-width forms of ASCII punctuation, digits and letters
+    FULLWIDTH: /[\uFF01-\uFF5E]/gu,
+    // Mathematical alphanumeric "styled" letters (bold, script, monospace ...)
+    STYLED: /[\u{1D400}-\u{1D7FF}]/gu,
+
+    // ZWJ/ZWNJ are legitimate inside emoji sequences and in Indic/Arabic scripts
+    JOINERS: ['\u200C', '\u200D'],
+    JOINER_CONTEXT: /[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{M}]|[^\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}\p{Script=Common}]/u,
+
+    // Cyrillic and Greek letters that render like Latin ones
+    CONFUSABLES: {
+        // Cyrillic
+        '\u0430': 'a', '\u0432': 'b', '\u0435': 'e', '\u0451': 'e', '\u043A': 'k', '\u043C': 'm',
+        '\u043D': 'h', '\u043E': 'o', '\u0440': 'p', '\u0441': 'c', '\u0442': 't', '\u0443': 'y',
+        '\u0445': 'x', '\u0455': 's', '\u0456': 'i', '\u0457': 'i', '\u0458': 'j', '\u0501': 'd',
+        '\u051B': 'q', '\u051D': 'w', '\u04BB': 'h', '\u04CF': 'l', '\u0410': 'A', '\u0412': 'B',
+        '\u0415': 'E', '\u041A': 'K', '\u041C': 'M', '\u041D': 'H', '\u041E': 'O', '\u0420': 'P',
+        '\u0421': 'C', '\u0422': 'T', '\u0423': 'Y', '\u0425': 'X', '\u0405': 'S', '\u0406': 'I',
+        '\u0408': 'J', '\u0500': 'D', '\u051A': 'Q', '\u051C': 'W',
+        // Greek
+        '\u03B1': 'a', '\u03BF': 'o', '\u03BD': 'v', '\u03C1': 'p', '\u03B9': 'i', '\u03BA': 'k',
+        '\u03C4': 't', '\u03C5': 'u', '\u03C7': 'x', '\u0391': 'A', '\u0392': 'B', '\u0395': 'E',
+        '\u0396': 'Z', '\u0397': 'H', '\u0399': 'I', '\u039A': 'K', '\u039C': 'M', '\u039D': 'N',
+        '\u039F': 'O', '\u03A1': 'P', '\u03A4': 'T', '\u03A5': 'Y', '\u03A7': 'X'
+    },
+
+    SCRIPTS: {
+        Latin: /\p{Script=Latin}/u,
+        Cyrillic: /\p{Script=Cyrillic}/u,
+        Greek: /\p{Script=Greek}/u
+    },
+
+    NAMES: {
+        0x00AD: 'soft hyphen',
+        0x200B: 'zero-width space',
+        0x200C: 'zero-width non-joiner',
+        0x200D: 'zero-width joiner',
+        0x2060: 'word joiner',
+        0xFEFF: 'zero-width no-break space',
+        0x200E: 'left-to-right mark',
+        0x200F: 'right-to-left mark',
+        0x202A: 'left-to-right embedding',
+        0x202B: 'right-to-left embedding',
+        0x202C: 'pop directional formatting',
+        0x202D: 'left-to-right override',
+        0x202E: 'right-to-left override',
+        0x2066: 'left-to-right isolate',
+        0x2067: 'right-to-left isolate',
+        0x2068: 'first strong isolate',
+        0x2069: 'pop directional isolate',
+        0x3000: 'ideographic space'
+    },
+
+    // Breakdown score penalty per finding, by type
+    PENALTIES: {
+        invisible: 12,
+        bidi: 25,
+        confusable: 8,
+        mixedScript: 15,
+        fullwidth: 2,
+        whitespace: 1,
+        softHyphen: 1
+    },
+
+    // Breakdown score before penalties: below every profile's "authentic" line,
+    // so findings can only pull a result down
+    MAX_SCORE: 40,
+
+    // Types that only change how text looks, or that editors insert on their own
+    COSMETIC: ['fullwidth', 'whitespace', 'softHyphen'],
+
+    // [singular, plural] descriptions for findings messages
+    LABELS: {
+        invisible: ['invisible character', 'invisible characters'],
+        bidi: ['bidi control character', 'bidi control characters'],
+        confusable: ['look-alike (homoglyph) character', 'look-alike (homoglyph) characters'],
+        mixedScript: ['word mixing alphabets', 'words mixing alphabets'],
+        fullwidth: ['full-width character', 'full-width characters'],
+        whitespace: ['unusual whitespace character', 'unusual whitespace characters'],
+        softHyphen: ['soft hyphen', 'soft hyphens']
+    },
+
+    /**
+     * Scan text for obfuscation.
+     * Returns { findings: [{ type, start, end, text, codePoint, name }], counts, score, cosmeticOnly }
+     * with UTF-16 offsets that line up with the textarea.
+     */
+    analyze(text) {
+        const findings = [];
+        const add = (type, match, name) => {
+            const codePoint = match[0].codePointAt(0);
+            findings.push({
+                type,
+                start: match.index,
+                end: match.index + match[0].length,
+                text: match[0],
+                codePoint: this.formatCodePoint(codePoint),
+                name: name || this.NAMES[codePoint] || ''
+            });
+        };
+
+        for (const match of text.matchAll(this.INVISIBLE)) {
+            if (this.JOINERS.includes(match[0]) && this.isLegitimateJoiner(text, match.index)) continue;
+            add('invisible', match);
+        }
+        for (const match of text.matchAll(this.SOFT_HYPHEN)) add('softHyphen', match);
+        for (const match of text.matchAll(this.BIDI)) add('bidi', match);
+        for (const match of text.matchAll(this.ODD_WHITESPACE)) add('whitespace', match);
+        for (const match of text.matchAll(this.FULLWIDTH)) add('fullwidth', match, `full-width "${match[0].normalize('NFKC')}"`);
+        for (const match of text.matchAll(this.STYLED)) add('confusable', match, `styled "${match[0].normalize('NFKC')}"`);
+
+        // Look-alikes only count as such in Latin-script text, and only inside words
+        // that mix alphabets: whole Cyrillic or Greek words (a quote, "β-sheet") are genuine
+        const dominant = this.dominantScript(text);
+        for (const word of text.matchAll(/[\p{L}\p{M}]+/gu)) {
+            const scripts = this.scriptsOf(word[0]);
+            if (scripts.size > 1) {
+                findings.push({
+                    type: 'mixedScript',
+                    start: word.index,
+                    end: word.index + word[0].length,
+                    text: word[0],
+                    codePoint: '',
+                    name: [...scripts].join(' + ')
+                });
+            }
+
+            if (dominant !== 'Latin' || scripts.size < 2 || !scripts.has('Latin')) continue;
+            for (const char of word[0].matchAll(/[\p{Script=Cyrillic}\p{Script=Greek}]/gu)) {
+                if (!this.CONFUSABLES[char[0]]) continue;
+                add('confusable', { 0: char[0], index: word.index + char.index },
+                    `looks like Latin "${this.CONFUSABLES[char[0]]}"`);
+            }
+        }
+
+        findings.sort((a, b) => a.start - b.start);
+
+        const counts = {};
+        Object.keys(this.PENALTIES).forEach(type => { counts[type] = 0; });
+        findings.forEach(f => { counts[f.type]++; });
+
+        const penalty = Object.entries(counts).reduce((sum, [type, count]) => sum + count * this.PENALTIES[type], 0);
+        return {
+            findings,
+            counts,
+            score: Math.max(5, this.MAX_SCORE - penalty),
+            cosmeticOnly: findings.every(f => this.COSMETIC.includes(f.type))
+        };
+    },
+
+    /**
+     * Text with invisible and bidi characters removed, odd whitespace turned into
+     * spaces, full-width and styled letters folded to ASCII, and (in Latin-script
+     * text) look-alikes in mixed-alphabet words replaced by their Latin letters
+     */
+    normalize(text) {
+        const dominant = this.dominantScript(text);
+        return text
+            .replace(this.INVISIBLE, (char, offset) =>
+                this.JOINERS.includes(char) && this.isLegitimateJoiner(text, offset) ? char : '')
+            .replace(this.SOFT_HYPHEN, '')
+            .replace(this.BIDI, '')
+            .replace(this.ODD_WHITESPACE, ' ')
+            .replace(this.FULLWIDTH, char => char.normalize('NFKC'))
+            .replace(this.STYLED, char => char.normalize('NFKC'))
+            .replace(/[\p{L}\p{M}]+/gu, word => {
+                const scripts = this.scriptsOf(word);
+                if (dominant !== 'Latin' || scripts.size < 2 || !scripts.has('Latin')) return word;
+                return word.replace(/[\p{Script=Cyrillic}\p{Script=Greek}]/gu, char => this.CONFUSABLES[char] || char);
+            });
+    },
+
+    isLegitimateJoiner(text, index) {
+        const before = index > 0 ? String.fromCodePoint(this.codePointBefore(text, index)) : '';
+        const after = index + 1 < text.length ? String.fromCodePoint(text.codePointAt(index + 1)) : '';
+        return this.JOINER_CONTEXT.test(before) || this.JOINER_CONTEXT.test(after);
+    },
+
+    codePointBefore(text, index) {
+        const low = text.charCodeAt(index - 1);
+        if (index >= 2 && low >= 0xDC00 && low <= 0xDFFF) return text.codePointAt(index - 2);
+        return low;
+    },
+
+    /**
+     * Latin / Cyrillic / Greek scripts used by the letters of a word
+     */
+    scriptsOf(word) {
+        const scripts = new Set();
+        for (const char of word) {
+            for (const [name, pattern] of Object.entries(this.SCRIPTS)) {
+                if (pattern.test(char)) scripts.add(name);
+            }
+        }
+        return scripts;
+    },
+
+    dominantScript(text) {
+        const counts = Object.entries(this.SCRIPTS).map(([name, pattern]) =>
+            [name, (text.match(new RegExp(pattern.source, 'gu')) || []).length]
+        );
+        counts.sort((a, b) => b[1] - a[1]);
+        return counts[0][1] > 0 ? counts[0][0] : null;
+    },
+
+    formatCodePoint(codePoint) {
+        return 'U+' + codePoint.toString(16).toUpperCase().padStart(4, '0');
+    }
+};
@@ -0,0 +1,568 @@
+// ============================================
+// PDF READER MODULE
+// Extracts the text layer of a PDF, page by page, in
+// the browser without a library (no OCR: scanned pages
+// have no text)
+// ============================================
+
+const PdfReader = {
+    MAX_PAGES: 1000,
+    // Decompressed bytes of all streams together; streams past it are skipped
+    // (ZipReader.inflate also caps each one at ZipReader.MAX_ENTRY_BYTES)
+    MAX_INFLATED_BYTES: 40 * 1024 * 1024,
+    // Nested form XObjects followed when collecting page text
+    MAX_FORM_DEPTH: 3,
+
+    // A vertical gap this many times the page's usual line spacing starts a paragraph
+    PARAGRAPH_GAP: 1.5,
+
+    // TJ adjustments (thousandths of an em) wider than this stand for a space
+    SPACE_ADJUSTMENT: 200,
+
+    // WinAnsiEncoding bytes 0x80-0x9F; the rest of the range is Latin-1
+    WIN_ANSI: {
+        0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰',
+        0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+        0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+    },
+
+    // Glyph names used in /Differences that are not a single letter or digit
+    GLYPHS: {
+        space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+        quotesingle: "'", quoteright: '’', quoteleft: '‘', quotedblleft: '“', quotedblright: '”',
+        parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '−',
+        period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?',
+        at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', underscore: '_', bar: '|',
+        endash: '–', emdash: '—', bullet: '•', ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+        zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+    },
+
+    /**
+     * Text of every page: [{ number, paragraphs: [text] }]. Throws for files
+     * that are not PDFs or are encrypted.
+     */
+    async extract(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const source = this.binaryString(bytes);
+        // The header may follow up to 1 KB of junk
+        const header = source.indexOf('%PDF-');
+        if (header === -1 || header > 1024) throw new Error('Not a PDF file');
+        if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(source)) throw new Error('Encrypted PDFs are not supported');
+
+        const doc = { bytes, source, objects: new Map(), fonts: new Map(), inflated: 0 };
+        await this.readObjects(doc);
+
+        const pages = [];
+        for (const [index, page] of this.pages(doc).entries()) {
+            const lines = [];
+            await this.collectText(doc, page.contents, page.resources, lines, 0);
+            pages.push({ number: index + 1, paragraphs: this.paragraphs(lines) });
+        }
+        return pages;
+    },
+
+    binaryString(bytes) {
+        let result = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return result;
+    },
+
+    /**
+     * Every "n g obj" in the file (later definitions win, as in incremental
+     * updates), then the objects packed into object streams
+     */
+    async readObjects(doc) {
+        const header = /(\d+)\s+\d+\s+obj\b/g;
+        let match;
+        while ((match = header.exec(doc.source))) {
+            try {
+                const parsed = this.parse(doc.source, header.lastIndex);
+                const entry = { value: parsed.value, stream: null };
+                let position = this.skipSpace(doc.source, parsed.position);
+                if (doc.source.startsWith('stream', position)) {
+                    entry.stream = this.streamBounds(doc, parsed.value, position + 6);
+                    header.lastIndex = entry.stream.end;
+                }
+                doc.objects.set(Number(match[1]), entry);
+            } catch (error) {
+                // A damaged object does not stop the rest of the file from being read
+            }
+        }
+
+        for (const entry of [...doc.objects.values()]) {
+            if (!entry.stream || entry.value.Type !== '/ObjStm') continue;
+            const data = await this.streamText(doc, entry);
+            if (data === null) continue;
+            const numbers = data.slice(0, entry.value.First).trim().split(/\s+/).map(Number);
+            for (let i = 0; i + 1 < numbers.length && i / 2 < entry.value.N; i += 2) {
+                if (doc.objects.has(numbers[i])) continue;
+                try {
+                    doc.objects.set(numbers[i], { value: this.parse(data, entry.value.First + numbers[i + 1]).value, stream: null });
+                } catch (error) {
+                    // Skip the damaged object
+                }
+            }
+        }
+    },
+
+    streamBounds(doc, dict, position) {
+        if (doc.source[position] === '\r') position++;
+        if (doc.source[position] === '\n') position++;
+        const length = dict.Length;
+        if (typeof length === 'number' && /^\s*endstream/.test(doc.source.slice(position + length, position + length + 20))) {
+            return { start: position, end: position + length };
+        }
+        // Indirect or wrong /Length: find the keyword instead
+        let end = doc.source.indexOf('endstream', position);
+        if (end === -1) throw new Error('Unterminated stream');
+        if (doc.source[end - 1] === '\n') end--;
+        if (doc.source[end - 1] === '\r') end--;
+        return { start: position, end };
+    },
+
+    resolve(doc, value) {
+        for (let depth = 0; value && value.ref !== undefined && depth < 10; depth++) {
+            const entry = doc.objects.get(value.ref);
+            value = entry ? entry.value : null;
+        }
+        return value;
+    },
+
+    entry(doc, value) {
+        return value && value.ref !== undefined ? doc.objects.get(value.ref) || null : null;
+    },
+
+    /**
+     * Decoded stream data as a binary string, or null for filters other than
+     * FlateDecode (images, mostly) and once the document's inflate budget is spent
+     */
+    async streamText(doc, entry) {
+        const filters = [].concat(this.resolve(doc, entry.value.Filter) || []);
+        let data = doc.bytes.subarray(entry.stream.start, entry.stream.end);
+        for (const filter of filters) {
+            if (filter !== '/FlateDecode' && filter !== '/Fl') return null;
+            try {
+                data = await ZipReader.inflate(data, this.MAX_INFLATED_BYTES - doc.inflated, 'deflate');
+            } catch (error) {
+                return null;
+            }
+            if (!data) return null;
+            doc.inflated += data.length;
+        }
+        return this.binaryString(data);
+    },
+
+    skipSpace(source, position) {
+        while (position < source.length) {
+            const c = source[position];
+            if (c === '%') {
+                while (position < source.length && source[position] !== '\n' && source[position] !== '\r') position++;
+            } else if (c === ' ' || c === '\n' || c === '\r' || c === '\t' || c === '\f' || c === '\0') {
+                position++;
+            } else {
+                break;
+            }
+        }
+        return position;
+    },
+
+    /**
+     * One PDF object at position: { value, position } where numbers are numbers,
+     * names '/Name', strings { string }, references { ref }, dictionaries plain
+     * objects keyed by name without the slash, and bare keywords { keyword }
+     */
+    parse(source, position) {
+        position = this.skipSpace(source, position);
+        const c = source[position];
+
+        if (c === '<' && source[position + 1] === '<') {
+            const dict = {};
+            position += 2;
+            for (;;) {
+                position = this.skipSpace(source, position);
+                if (position >= source.length) throw new Error('Unterminated dictionary');
+                if (source.startsWith('>>', position)) return { value: dict, position: position + 2 };
+                const key = this.parse(source, position);
+                const value = this.parse(source, key.position);
+                if (typeof key.value === 'string') dict[key.value.slice(1)] = value.value;
+                position = value.position;
+            }
+        }
+        if (c === '<') {
+            const end = source.indexOf('>', position);
+            if (end === -1) throw new Error('Unterminated hex string');
+            let hex = source.slice(position + 1, end).replace(/[^0-9a-fA-F]/g, '');
+            if (hex.length % 2) hex += '0';
+            let string = '';
+            for (let i = 0; i < hex.length; i += 2) string += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+            return { value: { string }, position: end + 1 };
+        }
+        if (c === '[') {
+            const array = [];
+            position++;
+            for (;;) {
+                position = this.skipSpace(source, position);
+                if (position >= source.length) throw new Error('Unterminated array');
+                if (source[position] === ']') return { value: array, position: position + 1 };
+                const item = this.parse(source, position);
+                array.push(item.value);
+                position = item.position;
+            }
+        }
+        if (c === '(') return this.parseLiteral(source, position + 1);
+        if (c === '/') {
+            const match = /\/[^\s/<>[\]()%{}]*/y;
+            match.lastIndex = position;
+            const name = match.exec(source)[0].replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+            return { value: name, position: match.lastIndex };
+        }
+
+        const number = /[+-]?(?:\d+\.?\d*|\.\d+)/y;
+        number.lastIndex = position;
+        const numeric = number.exec(source);
+        if (numeric) {
+            const reference = /\s+(\d+)\s+R(?![A-Za-z])/y;
+            reference.lastIndex = number.lastIndex;
+            if (/^\d+$/.test(numeric[0]) && reference.exec(source)) {
+                return { value: { ref: Number(numeric[0]) }, position: reference.lastIndex };
+            }
+            return { value: Number(numeric[0]), position: number.lastIndex };
+        }
+
+        const word = /[^\s/<>[\]()%{}]+/y;
+        word.lastIndex = position;
+        const keyword = word.exec(source);
+        if (!keyword) throw new Error(`Unexpected "${c}" in PDF`);
+        const constants = { true: true, false: false, null: null };
+        const value = keyword[0] in constants ? constants[keyword[0]] : { keyword: keyword[0] };
+        return { value, position: word.lastIndex };
+    },
+
+    parseLiteral(source, position) {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        let string = '';
+        let depth = 1;
+        while (position < source.length) {
+            const c = source[position++];
+            if (c === '\\') {
+                const next = source[position++];
+                if (next in escapes) string += escapes[next];
+                else if (/[0-7]/.test(next)) {
+                    let octal = next;
+                    while (octal.length < 3 && /[0-7]/.test(source[position])) octal += source[position++];
+                    string += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                } else if (next === '\r') {
+                    if (source[position] === '\n') position++;
+                } else if (next !== '\n') {
+                    string += next;
+                }
+            } else if (c === '(') {
+                depth++;
+                string += c;
+            } else if (c === ')') {
+                if (--depth === 0) return { value: { string }, position };
+                string += c;
+            } else {
+                string += c;
+            }
+        }
+        throw new Error('Unterminated string');
+    },
+
+    /**
+     * Pages in reading order: [{ contents, resources }]. Follows the page tree
+     * from the catalog; without one, every /Page object in file order.
+     */
+    pages(doc) {
+        const catalog = [...doc.objects.values()].map(entry => entry.value)
+            .find(value => value && value.Type === '/Catalog');
+        const pages = [];
+        const visited = new Set();
+
+        const walk = (node, resources) => {
+            const dict = this.resolve(doc, node);
+            if (!dict || visited.has(dict) || pages.length >= this.MAX_PAGES) return;
+            visited.add(dict);
+            const inherited = dict.Resources !== undefined ? dict.Resources : resources;
+            if (dict.Type === '/Pages' || Array.isArray(this.resolve(doc, dict.Kids))) {
+                (this.resolve(doc, dict.Kids) || []).forEach(kid => walk(kid, inherited));
+            } else {
+                pages.push({ contents: dict.Contents, resources: inherited });
+            }
+        };
+
+        if (catalog) walk(catalog.Pages, null);
+        if (pages.length === 0) {
+            doc.objects.forEach(entry => {
+                if (entry.value && entry.value.Type === '/Page' && pages.length < this.MAX_PAGES) {
+                    pages.push({ contents: entry.value.Contents, resources: entry.value.Resources });
+                }
+            });
+        }
+        if (pages.length === 0) throw new Error('No pages found in the PDF');
+        return pages;
+    },
+
+    /**
+     * Run a page's (or form's) content streams, adding { y, text } lines
+     */
+    async collectText(doc, contents, resources, lines, depth) {
+        // Contents is a stream, or an array of streams (possibly itself indirect)
+        let parts = contents;
+        if (parts && parts.ref !== undefined) {
+            const entry = this.entry(doc, parts);
+            parts = !entry ? [] : entry.stream ? [contents] : entry.value;
+        }
+
+        const streams = [];
+        for (const part of [].concat(parts || [])) {
+            const entry = this.entry(doc, part);
+            if (entry && entry.stream) {
+                const data = await this.streamText(doc, entry);
+                if (data !== null) streams.push(data);
+            }
+        }
+        if (streams.length === 0) return;
+
+        const resourceDict = this.resolve(doc, resources) || {};
+        const fonts = this.resolve(doc, resourceDict.Font) || {};
+        const xObjects = this.resolve(doc, resourceDict.XObject) || {};
+
+        // Text and line matrices as [a, b, c, d, e, f]
+        let lineMatrix = [1, 0, 0, 1, 0, 0];
+        let leading = 0;
+        let font = null;
+        let line = null;
+        let lastShown = '';
+
+        const newLine = () => {
+            line = null;
+        };
+        const moveTo = matrix => {
+            const sameLine = line && Math.abs(matrix[5] - line.y) < 1;
+            // Text placed further along the same line is a new word unless it is glyph by glyph
+            if (sameLine && matrix[4] > lineMatrix[4] && lastShown.length > 1 && !/\s$/.test(line.text)) line.text += ' ';
+            if (!sameLine) newLine();
+            lineMatrix = matrix;
+        };
+        const show = string => {
+            const text = font ? font.decode(string) : string;
+            if (!line) {
+                line = { y: lineMatrix[5], text: '' };
+                lines.push(line);
+            }
+            line.text += text;
+            lastShown = text;
+        };
+        const translate = (tx, ty) => {
+            const [a, b, c, d, e, f] = lineMatrix;
+            moveTo([a, b, c, d, e + tx * a + ty * c, f + tx * b + ty * d]);
+        };
+
+        for (const data of streams) {
+            const operands = [];
+            let position = 0;
+            while ((position = this.skipSpace(data, position)) < data.length) {
+                let token;
+                try {
+                    token = this.parse(data, position);
+                } catch (error) {
+                    break;
+                }
+                position = token.position;
+                const value = token.value;
+                if (!value || value.keyword === undefined) {
+                    operands.push(value);
+                    continue;
+                }
+
+                const op = value.keyword;
+                const number = i => (typeof operands[i] === 'number' ? operands[i] : 0);
+                switch (op) {
+                    case 'BT':
+                        lineMatrix = [1, 0, 0, 1, 0, 0];
+                        newLine();
+                        break;
+                    case 'Tf':
+                        font = await this.fontDecoder(doc, fonts[String(operands[0]).slice(1)]);
+                        break;
+                    case 'TL':
+                        leading = number(0);
+                        break;
+                    case 'Td':
+                        translate(number(0), number(1));
+                        break;
+                    case 'TD':
+                        leading = -number(1);
+                        translate(number(0), number(1));
+                        break;
+                    case 'Tm':
+                        moveTo(operands.slice(0, 6).map(n => (typeof n === 'number' ? n : 0)));
+                        break;
+                    case 'T*':
+                        translate(0, -leading);
+                        break;
+                    case 'Tj':
+                        if (operands[0] && operands[0].string !== undefined) show(operands[0].string);
+                        break;
+                    case "'":
+                    case '"':
+                        translate(0, -leading);
+                        if (operands[operands.length - 1] && operands[operands.length - 1].string !== undefined) {
+                            show(operands[operands.length - 1].string);
+                        }
+                        break;
+                    case 'TJ':
+                        (Array.isArray(operands[0]) ? operands[0] : []).forEach(item => {
+                            if (item && item.string !== undefined) show(item.string);
+                            else if (typeof item === 'number' && item < -this.SPACE_ADJUSTMENT && line && !/\s$/.test(line.text)) line.text += ' ';
+                        });
+                        break;
+                    case 'Do': {
+                        const reference = xObjects[String(operands[0]).slice(1)];
+                        const form = this.entry(doc, reference);
+                        if (form && form.stream && form.value.Subtype === '/Form' && depth < this.MAX_FORM_DEPTH) {
+                            await this.collectText(doc, reference, form.value.Resources !== undefined ? form.value.Resources : resources, lines, depth + 1);
+                            newLine();
+                        }
+                        break;
+                    }
+                    case 'BI': {
+                        // Inline image data is binary; skip to its end marker
+                        const end = data.slice(position).search(/\sEI(?=\s|$)/);
+                        position = end === -1 ? data.length : position + end + 3;
+                        break;
+                    }
+                }
+                operands.length = 0;
+            }
+        }
+    },
+
+    /**
+     * { decode(string) } for a font: its ToUnicode map, otherwise a simple
+     * font's encoding. Codes a font cannot map are dropped.
+     */
+    async fontDecoder(doc, reference) {
+        const font = this.resolve(doc, reference);
+        if (!font) return null;
+        if (doc.fonts.has(font)) return doc.fonts.get(font);
+
+        let decoder;
+        const toUnicode = this.entry(doc, font.ToUnicode);
+        const cmap = toUnicode && toUnicode.stream ? await this.streamText(doc, toUnicode) : null;
+        if (cmap) {
+            decoder = this.cmapDecoder(cmap);
+        } else if (font.Subtype === '/Type0') {
+            // Two-byte glyph ids with no map back to characters
+            decoder = { decode: () => '' };
+        } else {
+            decoder = this.encodingDecoder(this.resolve(doc, font.Encoding));
+        }
+        doc.fonts.set(font, decoder);
+        return decoder;
+    },
+
+    cmapDecoder(cmap) {
+        const map = new Map();
+        const hex = value => parseInt(value, 16);
+        const utf16 = value => {
+            let text = '';
+            for (let i = 0; i + 4 <= value.length; i += 4) text += String.fromCharCode(hex(value.slice(i, i + 4)));
+            return value.length === 2 ? String.fromCharCode(hex(value)) : text;
+        };
+
+        const range = cmap.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+        const width = range ? Math.max(1, range[1].length / 2) : 2;
+
+        for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+            for (const [, code, target] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+                map.set(hex(code), utf16(target));
+            }
+        }
+        for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+            for (const [, low, high, target, list] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g)) {
+                const targets = list ? [...list.matchAll(/<([0-9a-fA-F]*)>/g)].map(m => utf16(m[1])) : null;
+                for (let code = hex(low), i = 0; code <= hex(high) && i < 0x10000; code++, i++) {
+                    if (targets) {
+                        if (i < targets.length) map.set(code, targets[i]);
+                    } else {
+                        // The last code unit counts up through the range
+                        const base = utf16(target);
+                        map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + i));
+                    }
+                }
+            }
+        }
+
+        return {
+            decode: string => {
+                let text = '';
+                for (let i = 0; i + width <= string.length; i += width) {
+                    let code = 0;
+                    for (let j = 0; j < width; j++) code = code * 256 + string.charCodeAt(i + j);
+                    text += map.get(code) || '';
+                }
+                return text;
+            }
+        };
+    },
+
+    encodingDecoder(encoding) {
+        const differences = new Map();
+        const list = encoding && Array.isArray(encoding.Differences) ? encoding.Differences : [];
+        let code = 0;
+        list.forEach(item => {
+            if (typeof item === 'number') {
+                code = item;
+            } else if (typeof item === 'string') {
+                differences.set(code++, this.glyphText(item.slice(1)));
+            }
+        });
+
+        return {
+            decode: string => [...string].map(char => {
+                const byte = char.charCodeAt(0);
+                if (differences.has(byte)) return differences.get(byte);
+                if (byte >= 0x80 && byte <= 0x9f) return this.WIN_ANSI[byte] || '';
+                return byte < 0x20 && byte !== 0x09 ? '' : char;
+            }).join('')
+        };
+    },
+
+    glyphText(name) {
+        if (/^[A-Za-z]$/.test(name)) return name;
+        if (name in this.GLYPHS) return this.GLYPHS[name];
+        const unicode = name.match(/^uni([0-9A-Fa-f]{4})$/);
+        return unicode ? String.fromCharCode(parseInt(unicode[1], 16)) : '';
+    },
+
+    /**
+     * Join a page's lines into paragraphs. Lines closer than PARAGRAPH_GAP
+     * times the page's median line spacing belong together; a jump up the
+     * page (a new column or text box) also starts a paragraph.
+     */
+    paragraphs(lines) {
+        const filled = lines.map(l => ({ y: l.y, text: l.text.replace(/\s+/g, ' ').trim() })).filter(l => l.text);
+        const gaps = filled.slice(1).map((l, i) => filled[i].y - l.y).filter(gap => gap > 0).sort((a, b) => a - b);
+        const spacing = gaps.length > 0 ? gaps[Math.floor((gaps.length - 1) / 2)] : 0;
+
+        const paragraphs = [];
+        let current = '';
+        filled.forEach((l, i) => {
+            const gap = i > 0 ? filled[i - 1].y - l.y : 0;
+            if (current && (gap < -1 || gap > spacing * this.PARAGRAPH_GAP)) {
+                paragraphs.push(current);
+                current = '';
+            }
+            if (!current) current = l.text;
+            // Re-join words hyphenated at the line end
+            else if (/\p{L}-$/u.test(current) && /^\p{Ll}/u.test(l.text)) current = current.slice(0, -1) + l.text;
+            else current += ' ' + l.text;
+        });
+        if (current) paragraphs.push(current);
+        return paragraphs;
+    }
+};
@@ -0,0 +1,131 @@
+// ============================================
+// PERSUASION ANALYZER MODULE
+// Lexicon-based detection of emotional manipulation and
+// persuasion techniques (fear, outrage, us-vs-them,
+// urgency, loaded language, whataboutism, authority)
+// ============================================
+
+const PersuasionAnalyzer = {
+    /**
+     * Techniques, in display order. weight scales how much a technique at full
+     * intensity lowers the "Manipulation Techniques" score.
+     */
+    TECHNIQUES: {
+        fear: {
+            label: 'Fear appeal',
+            explanation: 'Raises alarm about threats to the reader or their family so the claim is accepted before it is checked.',
+            weight: 1
+        },
+        anger: {
+            label: 'Anger & outrage',
+            explanation: 'Provokes indignation; angry readers share faster and scrutinize less.',
+            weight: 1
+        },
+        usVsThem: {
+            label: 'Us-vs-them framing',
+            explanation: 'Splits people into a virtuous in-group and a hostile out-group, so disagreement reads as betrayal.',
+            weight: 1
+        },
+        urgency: {
+            label: 'Urgency & scarcity',
+            explanation: 'Pushes the reader to act or share immediately, leaving no time to verify.',
+            weight: 0.8
+        },
+        loadedLanguage: {
+            label: 'Loaded language',
+            explanation: 'Uses emotionally charged labels in place of a neutral description, which presupposes the conclusion.',
+            weight: 0.8
+        },
+        whataboutism: {
+            label: 'Whataboutism',
+            explanation: 'Deflects a criticism by pointing at someone else\'s conduct instead of answering it.',
+            weight: 0.8
+        },
+        authority: {
+            label: 'Appeal to authority',
+            explanation: 'Invokes unnamed experts, doctors or studies as proof without saying who they are or where to check.',
+            weight: 0.6
+        }
+    },
+
+    // Cues per 100 words at which a technique reaches ~63% intensity; texts
+    // shorter than MIN_WORDS count as MIN_WORDS so one cue does not saturate
+    DENSITY_SCALE: 2,
+    MIN_WORDS: 100,
+    // A technique is reported at this intensity (0-100) once the text holds at
+    // least MIN_CUES cues, of that technique or together with other techniques
+    MIN_CUES: 2,
+    DETECT_INTENSITY: 25,
+    MAX_EXAMPLES: 5,
+
+    compiled: {},
+
+    /**
+     * Compiled cue pattern per technique for a language, or null without a lexicon.
+     * Terms match whole words; a trailing * matches any word ending.
+     */
+    patternsFor(code) {
+        if (!(code in this.compiled)) {
+            const lexicon = PERSUASION_LEXICON.languages[code];
+            this.compiled[code] = lexicon ? Object.fromEntries(Object.keys(this.TECHNIQUES).map(id => {
+                const { terms = [], patterns = [] } = lexicon[id] || {};
+                // Typographic apostrophes match too
+                const alternatives = terms.map(term =>
+                    term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\*$/, '[\\p{L}-]*')
+                ).concat(patterns).map(source => source.replace(/'/g, "['’]"));
+                return [id, alternatives.length > 0
+                    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+                    : null];
+            })) : null;
+        }
+        return this.compiled[code];
+    },
+
+    /**
+     * Techniques found in a text:
+     *   { available, score (0-100, higher = less manipulative; null if unavailable),
+     *     detected, techniques: [{ id, label, explanation, count, intensity (0-100),
+     *     detected, examples: [text], spans: [{ start, end, text }] }] }
+     * A lone cue that reports no technique leaves the result unavailable rather
+     * than calling the text clean.
+     */
+    analyze(text, segmentation, language) {
+        const patterns = this.patternsFor(language.code);
+        if (!patterns) return { available: false, score: null, detected: 0, techniques: [] };
+
+        const words = Math.max(segmentation.words.length, this.MIN_WORDS);
+        const cues = Object.keys(this.TECHNIQUES).map(id => {
+            const spans = [];
+            const pattern = patterns[id];
+            if (pattern) {
+                pattern.lastIndex = 0;
+                for (const match of text.matchAll(pattern)) {
+                    spans.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+                }
+            }
+            return spans;
+        });
+        const totalCues = cues.reduce((sum, spans) => sum + spans.length, 0);
+
+        const techniques = Object.entries(this.TECHNIQUES).map(([id, { label, explanation }], i) => {
+            const spans = cues[i];
+            const density = spans.length / words * 100;
+            const intensity = Math.round(100 * (1 - Math.exp(-density / this.DENSITY_SCALE)));
+            const examples = [...new Set(spans.map(span => span.text.toLowerCase()))].slice(0, this.MAX_EXAMPLES);
+            const detected = spans.length > 0 && totalCues >= this.MIN_CUES && intensity >= this.DETECT_INTENSITY;
+            return { id, label, explanation, count: spans.length, intensity, detected, examples, spans };
+        });
+
+        const detected = techniques.filter(t => t.detected);
+        if (detected.length === 0 && totalCues > 0) {
+            return { available: false, score: null, detected: 0, techniques };
+        }
+        const penalty = detected.reduce((sum, t) => sum + t.intensity * this.TECHNIQUES[t.id].weight, 0);
+        return {
+            available: true,
+            score: Math.max(5, Math.round(95 - penalty * 0.6)),
+            detected: detected.length,
+            techniques
+        };
+    }
+};
@@ -0,0 +1,197 @@
+// ============================================
+// POLICY PROFILES MODULE
+// Signal weights, verdict thresholds and required
+// signals used to turn a breakdown into a verdict
+// ============================================
+
+const PolicyProfiles = {
+    STORAGE_KEY: 'truthlens-policy',
+    DEFAULT_ID: 'balanced',
+
+    // Standard error (score points) of a signal at confidence 0 and 1
+    MAX_SIGNAL_ERROR: 45,
+    MIN_SIGNAL_ERROR: 8,
+
+    /**
+     * Signal keys (breakdown entry `signal` field):
+     *   text:  aiDetection, aiDetectionHeuristic, fakeNews, fakeNewsHeuristic,
+     *          sentiment, sentimentHeuristic, linguisticDiversity, sentenceVariation,
+     *          vocabularyRichness, perplexity, naturalness, sourceQuality,
+     *          manipulation, evasion, watermark, stylometry, custom
+     *   image: aiDetection, aiDetectionHeuristic, deepfake, deepfakeDefault,
+     *          fileIntegrity, metadata, pixelPatterns, errorLevel, encodingHistory,
+     *          custom
+     * Unlisted signals weigh 1. Thresholds: score > authentic is "authentic",
+     * score > suspicious is "suspicious", anything lower is "fake".
+     * minEvidence: summed confidence of the counted signals needed before a
+     * score is given at all; below it the verdict is "insufficient".
+     */
+    PROFILES: {
+        balanced: {
+            name: 'Balanced',
+            description: 'Every measured signal counts equally; placeholder values are ignored.',
+            thresholds: { authentic: 70, suspicious: 40 },
+            minEvidence: { text: 2, image: 1.5 },
+            weights: {
+                text: {},
+                image: { deepfakeDefault: 0 }
+            },
+            required: { text: [], image: [] }
+        },
+        newsroomStrict: {
+            name: 'Newsroom (strict)',
+            description: 'Model results and sourcing dominate; a verdict of authentic needs the AI and misinformation models to have run.',
+            thresholds: { authentic: 80, suspicious: 55 },
+            minEvidence: { text: 3, image: 2 },
+            weights: {
+                text: {
+                    aiDetection: 2,
+                    fakeNews: 2,
+                    sourceQuality: 2,
+                    manipulation: 1.5,
+                    perplexity: 1.5,
+                    evasion: 2,
+                    watermark: 2,
+                    aiDetectionHeuristic: 0.5,
+                    fakeNewsHeuristic: 0.5,
+                    sentimentHeuristic: 0.5,
+                    linguisticDiversity: 0.5
+                },
+                image: {
+                    aiDetection: 2,
+                    deepfake: 2,
+                    aiDetectionHeuristic: 0.5,
+                    deepfakeDefault: 0
+                }
+            },
+            required: { text: ['aiDetection', 'fakeNews'], image: ['aiDetection', 'deepfake'] }
+        },
+        classroomLenient: {
+            name: 'Classroom (lenient)',
+            description: 'Focuses on authorship rather than misinformation, with wider margins before flagging a student.',
+            thresholds: { authentic: 60, suspicious: 30 },
+            minEvidence: { text: 1.5, image: 1.5 },
+            weights: {
+                text: {
+                    aiDetection: 2,
+                    perplexity: 1.5,
+                    naturalness: 1.5,
+                    stylometry: 1.5,
+                    evasion: 1.5,
+                    watermark: 2,
+                    linguisticDiversity: 0.5,
+                    sourceQuality: 0.5,
+                    manipulation: 0,
+                    fakeNews: 0,
+                    fakeNewsHeuristic: 0,
+                    sentiment: 0,
+                    sentimentHeuristic: 0
+                },
+                image: { deepfakeDefault: 0 }
+            },
+            required: { text: [], image: [] }
+        }
+    },
+
+    activeId: null,
+
+    /**
+     * Currently selected profile id (saved choice, else the default)
+     */
+    getActiveId() {
+        if (!this.activeId) {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            this.activeId = saved && this.PROFILES[saved] ? saved : this.DEFAULT_ID;
+        }
+        return this.activeId;
+    },
+
+    setActive(id) {
+        if (!this.PROFILES[id]) throw new Error(`Unknown policy profile "${id}"`);
+        this.activeId = id;
+        localStorage.setItem(this.STORAGE_KEY, id);
+    },
+
+    weightFor(profile, type, signal) {
+        const weights = profile.weights[type] || {};
+        return weights[signal] ?? 1;
+    },
+
+    /**
+     * Weighted score, interval and verdict for a breakdown.
+     * Entries may carry `available` (false = placeholder/default value, never
+     * counted) and `confidence` (0-1, default 1). Each counted entry weighs
+     * profile weight x its own `weight` x confidence; `appliedWeight` records
+     * the first two. A missing required signal caps the verdict at "suspicious".
+     * A counted entry with `decisive: true` (a finding strong enough on its
+     * own, such as a detected watermark) gives a score below minEvidence.
+     */
+    evaluate(breakdown, type, profileId = this.getActiveId()) {
+        const profile = this.PROFILES[profileId];
+        const counted = [];
+
+        breakdown.forEach(entry => {
+            const confidence = entry.available === false ? 0 : (entry.confidence ?? 1);
+            const weight = entry.available === false ? 0 : this.weightFor(profile, type, entry.signal) * (entry.weight ?? 1);
+            entry.appliedWeight = weight;
+            if (weight > 0 && confidence > 0) counted.push({ entry, confidence, effective: weight * confidence });
+        });
+
+        const evidence = Math.round(counted.reduce((sum, c) => sum + c.confidence, 0) * 100) / 100;
+        const minEvidence = profile.minEvidence[type] ?? 0;
+        const present = new Set(counted.map(c => c.entry.signal));
+        const missing = (profile.required[type] || []).filter(signal => !present.has(signal));
+        const base = {
+            profile: { id: profileId, name: profile.name },
+            thresholds: profile.thresholds,
+            evidence,
+            minEvidence,
+            missing
+        };
+
+        const decisive = counted.some(c => c.entry.decisive);
+        if (counted.length === 0 || (evidence < minEvidence && !decisive)) {
+            return { ...base, score: null, interval: null, verdict: 'insufficient' };
+        }
+
+        const total = counted.reduce((sum, c) => sum + c.effective, 0);
+        const mean = counted.reduce((sum, c) => sum + c.entry.score * c.effective, 0) / total;
+        const interval = this.interval(counted, total, mean);
+        const score = Math.round(mean);
+
+        let verdict = this.verdictFor(score, profile.thresholds);
+        if (missing.length > 0 && verdict === 'authentic') verdict = 'suspicious';
+
+        return { ...base, score, interval, verdict };
+    },
+
+    /**
+     * ~95% interval for the weighted mean: each signal's own error (larger
+     * at low confidence) plus the disagreement between signals
+     */
+    interval(counted, total, mean) {
+        let measurementVar = 0;
+        let spread = 0;
+        let sumSquares = 0;
+        counted.forEach(({ entry, confidence, effective }) => {
+            const share = effective / total;
+            const error = this.MIN_SIGNAL_ERROR + (this.MAX_SIGNAL_ERROR - this.MIN_SIGNAL_ERROR) * (1 - confidence);
+            measurementVar += share * share * error * error;
+            spread += share * Math.pow(entry.score - mean, 2);
+            sumSquares += share * share;
+        });
+
+        // sumSquares = 1 / effective number of signals
+        const halfWidth = 1.96 * Math.sqrt(measurementVar + spread * sumSquares);
+        return {
+            low: Math.max(0, Math.round(mean - halfWidth)),
+            high: Math.min(100, Math.round(mean + halfWidth))
+        };
+    },
+
+    verdictFor(score, thresholds) {
+        if (score > thresholds.authentic) return 'authentic';
+        if (score > thresholds.suspicious) return 'suspicious';
+        return 'fake';
+    }
+};
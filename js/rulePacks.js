@@ -0,0 +1,236 @@
+// ============================================
+// RULE PACKS MODULE
+// Versioned, user-editable JSON packs holding the
+// phrase lists and regex rules of the text heuristics
+// ============================================
+
+const RulePacks = {
+    STORAGE_KEY: 'truthlens-rule-packs',
+    FORMAT_VERSION: 1,
+    MAX_WEIGHT: 100,
+
+    /**
+     * Rule lists a pack may contain.
+     *   pattern rules: { id, pattern, flags, weight, message, enabled }
+     *                  pattern/flags are a RegExp source and flags, weight is added
+     *                  to the naturalness or heuristic misinformation score when the rule fires,
+     *                  message (or null) becomes a finding
+     *   term rules:    { id, term, enabled } - lowercase phrases matched as substrings
+     *                  (single absolute words as whole tokens)
+     * A pack: { formatVersion, id, language, name, version, rules: { <list>: [...] } }
+     */
+    LISTS: {
+        aiPatterns: { kind: 'pattern', prefix: 'ai', label: 'AI phrasing patterns' },
+        misinfoPatterns: { kind: 'pattern', prefix: 'misinfo', label: 'Misinformation patterns' },
+        formalPhrases: { kind: 'term', prefix: 'formal', label: 'Formal transition phrases' },
+        sensationalWords: { kind: 'term', prefix: 'sensational', label: 'Sensational words' },
+        absoluteWords: { kind: 'term', prefix: 'absolute', label: 'Absolute / superlative words' }
+    },
+
+    packs: null,
+    compiledCache: {},
+
+    /**
+     * Current pack per language code (saved edits over the built-in packs)
+     */
+    all() {
+        if (!this.packs) this.load();
+        return this.packs;
+    },
+
+    get(language) {
+        return this.all()[language] || this.all().en;
+    },
+
+    builtin(language) {
+        return this.validate(RULE_PACKS.find(pack => pack.language === language));
+    },
+
+    load() {
+        this.packs = {};
+        this.compiledCache = {};
+        RULE_PACKS.forEach(pack => {
+            this.packs[pack.language] = this.validate(pack);
+        });
+
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            if (saved) {
+                this.parse(saved).forEach(pack => {
+                    this.packs[pack.language] = pack;
+                });
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid saved rule packs:', error);
+        }
+        return this.packs;
+    },
+
+    /**
+     * Persist only the packs that differ from their built-in version
+     */
+    save() {
+        this.compiledCache = {};
+        const custom = Object.values(this.all()).filter(pack =>
+            JSON.stringify(pack) !== JSON.stringify(this.builtin(pack.language))
+        );
+
+        if (custom.length > 0) {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ formatVersion: this.FORMAT_VERSION, packs: custom }));
+        } else {
+            localStorage.removeItem(this.STORAGE_KEY);
+        }
+    },
+
+    /**
+     * Replace a language's pack with an edited copy. Throws if it is invalid.
+     */
+    update(pack) {
+        const validated = this.validate(pack);
+        this.all()[validated.language] = validated;
+        this.save();
+        return validated;
+    },
+
+    reset(language) {
+        this.all()[language] = this.builtin(language);
+        this.save();
+    },
+
+    exportJSON(language) {
+        return JSON.stringify(this.get(language), null, 2);
+    },
+
+    /**
+     * Install one pack, a list of packs or { packs: [...] }.
+     * Nothing is changed if any pack in the document is invalid.
+     */
+    importJSON(json) {
+        const packs = this.parse(json);
+        packs.forEach(pack => {
+            this.all()[pack.language] = pack;
+        });
+        this.save();
+        return packs;
+    },
+
+    parse(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const list = Array.isArray(data) ? data : data && Array.isArray(data.packs) ? data.packs : [data];
+        if (list.length === 0) {
+            throw new Error('Expected at least one rule pack');
+        }
+
+        const packs = list.map(pack => this.validate(pack));
+        const languages = new Set();
+        packs.forEach(pack => {
+            if (languages.has(pack.language)) throw new Error(`More than one pack for language "${pack.language}"`);
+            languages.add(pack.language);
+        });
+        return packs;
+    },
+
+    /**
+     * Check a pack and return a normalized copy
+     */
+    validate(pack) {
+        const p = pack || {};
+        const fail = message => { throw new Error(`Rule pack "${p.id || p.language || '?'}": ${message}`); };
+
+        if (!Number.isInteger(p.formatVersion)) fail('missing formatVersion');
+        if (p.formatVersion > this.FORMAT_VERSION) {
+            fail(`format version ${p.formatVersion} is newer than this app supports (${this.FORMAT_VERSION})`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(LanguagePacks, p.language)) fail(`unknown language "${p.language}"`);
+        if (!p.rules || typeof p.rules !== 'object' || Array.isArray(p.rules)) fail('missing rules object');
+
+        const unknown = Object.keys(p.rules).filter(list => !this.LISTS[list]);
+        if (unknown.length > 0) fail(`unknown rule list "${unknown[0]}"`);
+
+        const rules = {};
+        Object.entries(this.LISTS).forEach(([list, { kind, prefix }]) => {
+            const items = p.rules[list] === undefined ? [] : p.rules[list];
+            if (!Array.isArray(items)) fail(`${list} must be a list`);
+
+            const ids = new Set();
+            rules[list] = items.map((rule, i) => {
+                const r = rule || {};
+                const id = typeof r.id === 'string' && r.id.trim() ? r.id.trim() : `${prefix}-${i + 1}`;
+                if (ids.has(id)) fail(`duplicate rule id "${id}" in ${list}`);
+                ids.add(id);
+
+                return kind === 'pattern'
+                    ? this.validatePattern(r, id, fail)
+                    : this.validateTerm(r, id, p.language, fail);
+            });
+        });
+
+        return {
+            formatVersion: this.FORMAT_VERSION,
+            id: typeof p.id === 'string' && p.id.trim() ? p.id.trim() : `custom-${p.language}`,
+            language: p.language,
+            name: typeof p.name === 'string' && p.name.trim() ? p.name.trim() : `${LanguagePacks[p.language].name} rules`,
+            version: p.version === undefined ? '1.0.0' : String(p.version),
+            rules
+        };
+    },
+
+    validatePattern(r, id, fail) {
+        if (typeof r.pattern !== 'string' || !r.pattern) fail(`rule "${id}" is missing a pattern`);
+        const flags = r.flags === undefined ? 'gi' : r.flags;
+        if (typeof flags !== 'string' || !/^[gimsuy]*$/.test(flags)) fail(`rule "${id}" has invalid flags "${flags}"`);
+        try {
+            new RegExp(r.pattern, flags);
+        } catch (error) {
+            fail(`rule "${id}" has an invalid pattern (${error.message})`);
+        }
+        if (typeof r.weight !== 'number' || !Number.isFinite(r.weight) || Math.abs(r.weight) > this.MAX_WEIGHT) {
+            fail(`rule "${id}" needs a weight between -${this.MAX_WEIGHT} and ${this.MAX_WEIGHT}`);
+        }
+        if (r.message !== undefined && r.message !== null && typeof r.message !== 'string') {
+            fail(`rule "${id}" message must be text or null`);
+        }
+
+        return {
+            id,
+            pattern: r.pattern,
+            flags,
+            weight: r.weight,
+            message: r.message ? r.message : null,
+            enabled: r.enabled !== false
+        };
+    },
+
+    validateTerm(r, id, language, fail) {
+        if (typeof r.term !== 'string' || !r.term.trim()) fail(`rule "${id}" is missing a term`);
+        return {
+            id,
+            term: r.term.trim().toLocaleLowerCase(language),
+            enabled: r.enabled !== false
+        };
+    },
+
+    /**
+     * Enabled rules of a language's pack in the shape the analyzers use:
+     * { aiPatterns: [{ id, pattern: RegExp, weight, msg }], formalPhrases: ['...'], ... }
+     */
+    compiled(language) {
+        if (!this.compiledCache[language]) {
+            const pack = this.get(language);
+            const compiled = {};
+            Object.entries(this.LISTS).forEach(([list, { kind }]) => {
+                const enabled = pack.rules[list].filter(rule => rule.enabled);
+                compiled[list] = kind === 'pattern'
+                    ? enabled.map(rule => ({
+                        id: rule.id,
+                        pattern: new RegExp(rule.pattern, rule.flags.includes('g') ? rule.flags : rule.flags + 'g'),
+                        weight: rule.weight,
+                        msg: rule.message
+                    }))
+                    : enabled.map(rule => rule.term);
+            });
+            this.compiledCache[language] = compiled;
+        }
+        return this.compiledCache[language];
+    }
+};
@@ -0,0 +1,218 @@
+// ============================================
+// SEGMENTER MODULE
+// Shared word and sentence segmentation with offsets,
+// aware of abbreviations, numbers, URLs, quotes and lists
+// ============================================
+
+const Segmenter = {
+    /**
+     * One alternative per token type, tried in order:
+     *   url, email  - kept whole, without trailing punctuation
+     *   abbr        - dotted letter sequences such as "U.S." or "e.g."
+     *   number      - "3.5", "1,000", "10:30", "50%" (not "10th", which is a word)
+     *   word        - letters/digits with inner apostrophes and hyphens
+     *   ellipsis, terminal - sentence-ending punctuation
+     *   punct       - any other single symbol
+     */
+    TOKEN: /(?<url>(?:https?:\/\/|www\.)[^\s<>"“”]*[^\s<>"“”.,;:!?)\]}'’])|(?<email>[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+)|(?<abbr>(?:\p{L}\.){2,})|(?<number>\p{N}+(?:[.,:/]\p{N}+)*%?)(?![\p{L}\p{N}])|(?<word>[\p{L}\p{N}](?:[\p{L}\p{M}\p{N}]|['’-](?=[\p{L}\p{N}]))*)|(?<ellipsis>\.{2,}|…)|(?<terminal>[.!?।॥؟。！？]+)|(?<punct>[^\s\p{L}\p{N}])/gu,
+
+    // Token types that count as words
+    WORD_TYPES: ['word', 'abbr', 'number', 'url', 'email'],
+
+    // Quotes and brackets that close a sentence after its final punctuation
+    CLOSERS: /^["'’”»)\]]$/,
+    OPENERS: /^["'‘“„«(\[]$/,
+
+    // Full-width terminals end a sentence even without a following space
+    UNSPACED_TERMINALS: /[。！？]/,
+
+    // Bullets, "1." / "1)" and "a)" at the start of a line
+    LIST_MARKER: /^[ \t]*(?:[-*•‣◦–]|\(?\d{1,3}[.)]|\(?[a-zA-Z]\))(?=[ \t]+\S)/gm,
+
+    /**
+     * Abbreviations (lowercase, without the final dot) per language.
+     *   titles: never end a sentence ("Dr. Smith")
+     *   other:  end one only when followed by a capitalized stop word ("etc. The ...")
+     * Languages without a list use the English one. Dotted abbreviations on
+     * neither list ("a.m.", "p.m.") do not end a sentence before a lowercase word.
+     */
+    ABBREVIATIONS: {
+        en: {
+            titles: ['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'rev', 'gen', 'col', 'lt', 'sgt', 'capt', 'gov', 'sen', 'rep', 'hon', 'vs', 'cf', 'eg', 'ie', 'fig', 'approx'],
+            other: ['etc', 'inc', 'ltd', 'co', 'corp', 'dept', 'est', 'no', 'vol', 'pp', 'al', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'ave', 'blvd', 'us', 'uk', 'am', 'pm']
+        },
+        es: {
+            titles: ['sr', 'sra', 'srta', 'dr', 'dra', 'lic', 'ing', 'prof', 'pág', 'núm', 'aprox'],
+            other: ['etc', 'cía', 'av']
+        },
+        fr: {
+            titles: ['m', 'mme', 'mlle', 'dr', 'pr', 'me', 'cf', 'env', 'p', 'ex'],
+            other: ['etc', 'av', 'bd']
+        },
+        de: {
+            titles: ['hr', 'fr', 'dr', 'prof', 'nr', 'ca', 'bzw', 'vgl', 'z.b', 'd.h', 'u.a', 's'],
+            other: ['usw', 'etc', 'str', 'gmbh']
+        },
+        pt: {
+            titles: ['sr', 'sra', 'dr', 'dra', 'prof', 'pág', 'aprox', 'ex'],
+            other: ['etc', 'av', 'ltda']
+        },
+        it: {
+            titles: ['sig', 'sigg', 'dott', 'prof', 'ing', 'avv', 'pag', 'es', 'ca'],
+            other: ['ecc', 'etc', 'spa']
+        }
+    },
+
+    /**
+     * All tokens of a text: { text, word, type, start, end }.
+     * word is the lowercased form used for counting (null for punctuation).
+     */
+    tokenize(text, code = 'en') {
+        const tokens = [];
+        for (const match of text.matchAll(this.TOKEN)) {
+            const type = Object.keys(match.groups).find(name => match.groups[name] !== undefined);
+            tokens.push({
+                text: match[0],
+                word: this.WORD_TYPES.includes(type) ? match[0].replace(/’/g, '\'').toLocaleLowerCase(code) : null,
+                type,
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+        return tokens;
+    },
+
+    /**
+     * Word tokens only (words, abbreviations, numbers, URLs and emails)
+     */
+    words(text, code = 'en') {
+        return this.tokenize(text, code).filter(token => token.word !== null);
+    },
+
+    sentences(text, code = 'en') {
+        return this.segment(text, code).sentences;
+    },
+
+    /**
+     * Full segmentation:
+     *   tokens:    every token (see tokenize)
+     *   words:     the word tokens
+     *   sentences: [{ text, start, end, wordCount }] - list items are sentences of
+     *              their own (without their marker) and blank lines always end one
+     *   quotes:    [{ start, end, text }] quoted passages
+     */
+    segment(text, code = 'en') {
+        const tokens = this.tokenize(text, code);
+        const markers = [...text.matchAll(this.LIST_MARKER)]
+            .map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+        const sentences = [];
+        let current = [];
+        const close = () => {
+            if (current.length === 0) return;
+            const start = current[0].start;
+            const end = current[current.length - 1].end;
+            sentences.push({
+                text: text.slice(start, end),
+                start,
+                end,
+                wordCount: current.filter(token => token.word !== null).length
+            });
+            current = [];
+        };
+
+        let marker = 0;
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            while (marker < markers.length && markers[marker].end <= token.start) marker++;
+            if (marker < markers.length && token.start >= markers[marker].start) {
+                close();
+                continue;
+            }
+
+            if (current.length > 0 && /\n[ \t]*\n/.test(text.slice(current[current.length - 1].end, token.start))) {
+                close();
+            }
+            current.push(token);
+
+            if (token.type !== 'terminal' && token.type !== 'ellipsis' && token.type !== 'abbr') continue;
+
+            // Closing quotes/brackets directly after the punctuation belong to this sentence
+            let last = i;
+            while (last + 1 < tokens.length && this.CLOSERS.test(tokens[last + 1].text) &&
+                tokens[last + 1].start === tokens[last].end) {
+                last++;
+            }
+
+            if (this.isBoundary(text, tokens, i, last, code)) {
+                current.push(...tokens.slice(i + 1, last + 1));
+                i = last;
+                close();
+            }
+        }
+        close();
+
+        return {
+            tokens,
+            words: tokens.filter(token => token.word !== null),
+            sentences,
+            quotes: this.quotes(text)
+        };
+    },
+
+    /**
+     * Does the punctuation at tokens[index] (plus closers up to tokens[last]) end a sentence?
+     */
+    isBoundary(text, tokens, index, last, code) {
+        const token = tokens[index];
+        const next = tokens[last + 1];
+        if (!next) return true;
+
+        // "example.com", "v1.2" and "word.Word" are not sentence ends
+        const gap = text.slice(tokens[last].end, next.start);
+        if (gap === '' && !this.UNSPACED_TERMINALS.test(token.text)) return false;
+
+        // Skip opening quotes/brackets to reach the first word of what follows
+        let following = last + 1;
+        while (following < tokens.length && this.OPENERS.test(tokens[following].text)) following++;
+        const nextWord = tokens[following];
+        const lowercaseNext = nextWord !== undefined && /^\p{Ll}/u.test(nextWord.text);
+
+        if (token.type === 'abbr') {
+            if (lowercaseNext) return false;
+            return this.abbreviationEnds(token.word.replace(/\.$/, '').replace(/\./g, ''), nextWord, code, token.word.slice(0, -1));
+        }
+
+        // "Wait... what?" and quoted dialogue ("Stop!" she said) continue in lowercase
+        if (token.type === 'ellipsis' || !/^\.+$/.test(token.text)) return !lowercaseNext;
+
+        const prev = tokens[index - 1];
+        if (!prev || prev.end !== token.start || prev.type !== 'word') return true;
+
+        // Single-letter initials ("J. K. Rowling")
+        if (/^\p{Lu}$/u.test(prev.text)) return false;
+        return this.abbreviationEnds(prev.word, nextWord, code, prev.word);
+    },
+
+    /**
+     * Whether an abbreviation (or plain word) followed by a dot ends the sentence
+     */
+    abbreviationEnds(key, nextWord, code, dotted) {
+        const list = this.ABBREVIATIONS[code] || this.ABBREVIATIONS.en;
+        if (list.titles.includes(key) || list.titles.includes(dotted)) return false;
+        if (!list.other.includes(key) && !list.other.includes(dotted)) return true;
+
+        if (!nextWord || nextWord.word === null || nextWord.type === 'number') return false;
+        const pack = typeof LanguagePacks !== 'undefined' ? (LanguagePacks[code] || LanguagePacks.en) : null;
+        return /^\p{Lu}/u.test(nextWord.text) && pack !== null && pack.stopWords.includes(nextWord.word);
+    },
+
+    /**
+     * Quoted passages in curly, straight (within a line), low-high or guillemet quotes
+     */
+    quotes(text) {
+        return [...text.matchAll(/“[^”]*”|„[^“”]*[“”]|«[^»]*»|"[^"\n]+"/g)]
+            .map(match => ({ start: match.index, end: match.index + match[0].length, text: match[0] }));
+    }
+};
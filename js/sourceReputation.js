@@ -0,0 +1,284 @@
+// ============================================
+// SOURCE REPUTATION MODULE
+// Extracts cited URLs, domains and publication names
+// and rates them against a user-editable domain list
+// ============================================
+
+const SourceReputation = {
+    STORAGE_KEY: 'truthlens-domain-reputation',
+    FORMAT_VERSION: 1,
+
+    /**
+     * Categories and the score (0-100, higher = more credible) a source of that
+     * kind contributes to the "Source Quality" entry. Domains not in the list
+     * are "unknown".
+     */
+    CATEGORIES: {
+        academic: { label: 'Academic / peer-reviewed', score: 95 },
+        wire: { label: 'Wire service', score: 90 },
+        factCheck: { label: 'Fact-checker', score: 90 },
+        government: { label: 'Government / intergovernmental', score: 80 },
+        news: { label: 'Established news outlet', score: 80 },
+        reference: { label: 'Reference work', score: 70 },
+        unknown: { label: 'Not in list', score: 55 },
+        social: { label: 'Social media / self-published', score: 40 },
+        stateMedia: { label: 'State-affiliated media', score: 30 },
+        satire: { label: 'Satire', score: 20 },
+        misinformation: { label: 'Known misinformation', score: 5 }
+    },
+
+    // Sources scoring below this are called out as findings and earn no credibility
+    LOW_SCORE: 35,
+
+    // Host prefixes that point at the same site
+    HOST_PREFIXES: /^(?:www\d?|m|mobile|amp)\./,
+    TRACKING_PARAMS: /^(?:utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|ref_src|igshid)$/i,
+
+    // Domains written without a scheme ("see cdc.gov"), for common TLDs only
+    BARE_DOMAIN: /(?<![\p{L}\p{N}@./-])(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:com|org|net|gov|edu|int|info|news|io|co|uk|us|ca|au|de|fr|es|it|nl|ru|cn|ir|kp|in|eu)(?![\p{L}\p{N}-])(?:\/[^\s"'<>)\]]*[^\s"'<>.,;:!?)\]])?/giu,
+
+    // Unlisted publication names: "Journal of ...", "Proceedings of ..."
+    PUBLICATION: /\b(?:(?:The )?(?:Journal|Proceedings|Annals|Bulletin|Review|Archives) of(?: the)?(?: \p{Lu}[\p{L}-]*| and| of| for)+)/gu,
+
+    entries: null,
+
+    /**
+     * Current list: { domain, name, category, aliases } sorted by domain
+     */
+    all() {
+        if (!this.entries) this.load();
+        return this.entries;
+    },
+
+    builtin() {
+        return this.validate(DOMAIN_REPUTATION.entries);
+    },
+
+    load() {
+        this.entries = this.builtin();
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            if (saved) this.entries = this.parse(saved);
+        } catch (error) {
+            console.warn('Ignoring invalid saved domain list:', error);
+        }
+        return this.entries;
+    },
+
+    /**
+     * Persist the list only when it differs from the built-in one
+     */
+    save() {
+        if (JSON.stringify(this.all()) === JSON.stringify(this.builtin())) {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } else {
+            localStorage.setItem(this.STORAGE_KEY, this.exportJSON());
+        }
+    },
+
+    /**
+     * Add an entry or replace the one for the same domain. Throws if invalid.
+     */
+    setEntry(entry) {
+        const [validated] = this.validate([entry]);
+        this.entries = this.validate(this.all().filter(e => e.domain !== validated.domain).concat(validated));
+        this.save();
+        return validated;
+    },
+
+    removeEntry(domain) {
+        this.entries = this.all().filter(e => e.domain !== domain);
+        this.save();
+    },
+
+    reset() {
+        this.entries = this.builtin();
+        this.save();
+    },
+
+    exportJSON() {
+        return JSON.stringify({ formatVersion: this.FORMAT_VERSION, entries: this.all() }, null, 2);
+    },
+
+    /**
+     * Merge a list ({ entries } or a bare array) into the current one; entries
+     * replace those for the same domain. Nothing changes if any entry is invalid.
+     */
+    importJSON(json) {
+        const imported = this.parse(json);
+        const domains = new Set(imported.map(e => e.domain));
+        this.entries = this.validate(this.all().filter(e => !domains.has(e.domain)).concat(imported));
+        this.save();
+        return imported;
+    },
+
+    parse(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (data && data.formatVersion > this.FORMAT_VERSION) {
+            throw new Error(`Domain list format version ${data.formatVersion} is newer than this app supports (${this.FORMAT_VERSION})`);
+        }
+        const list = Array.isArray(data) ? data : data && Array.isArray(data.entries) ? data.entries : null;
+        if (!list) throw new Error('Expected a list of domain entries');
+        return this.validate(list);
+    },
+
+    /**
+     * Check entries and return normalized copies sorted by domain
+     */
+    validate(list) {
+        const seen = new Set();
+        return list.map((entry, i) => {
+            const e = entry || {};
+            const fail = message => { throw new Error(`Domain entry ${i + 1}${e.domain ? ` ("${e.domain}")` : ''}: ${message}`); };
+
+            const domain = typeof e.domain === 'string' ? this.normalizeHost(e.domain.trim()) : '';
+            if (!/^[a-z0-9-]+(?:\.[a-z0-9-]+)*$/.test(domain)) fail('invalid domain');
+            if (seen.has(domain)) fail('duplicate domain');
+            seen.add(domain);
+            if (!this.CATEGORIES[e.category] || e.category === 'unknown') fail(`unknown category "${e.category}"`);
+            if (e.aliases !== undefined && (!Array.isArray(e.aliases) || e.aliases.some(a => typeof a !== 'string'))) {
+                fail('aliases must be a list of names');
+            }
+
+            return {
+                domain,
+                name: typeof e.name === 'string' && e.name.trim() ? e.name.trim() : domain,
+                category: e.category,
+                aliases: (e.aliases || []).map(a => a.trim()).filter(Boolean)
+            };
+        }).sort((a, b) => a.domain.localeCompare(b.domain));
+    },
+
+    /**
+     * Lowercase host without "www."/"m."-style prefixes; URL() turns
+     * internationalized names into punycode so look-alikes stay visible
+     */
+    normalizeHost(host) {
+        let normalized = host.toLowerCase().replace(/\.$/, '');
+        try {
+            normalized = new URL(`http://${normalized}`).hostname;
+        } catch (error) {
+            return normalized;
+        }
+        return normalized.replace(this.HOST_PREFIXES, '');
+    },
+
+    /**
+     * { url, domain } for a link as written, or null if it is not a web address.
+     * The url drops the scheme, fragment, tracking parameters and trailing slash.
+     */
+    normalizeUrl(raw) {
+        let url;
+        try {
+            url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `http://${raw}`);
+        } catch (error) {
+            return null;
+        }
+        if (!/^https?:$/.test(url.protocol) || !url.hostname.includes('.')) return null;
+
+        const domain = this.normalizeHost(url.hostname);
+        [...url.searchParams.keys()].filter(key => this.TRACKING_PARAMS.test(key))
+            .forEach(key => url.searchParams.delete(key));
+        const path = url.pathname.replace(/\/+$/, '');
+        return { url: `${domain}${url.port ? ':' + url.port : ''}${path}${url.search}`, domain };
+    },
+
+    /**
+     * The entry for a domain or its closest listed parent ("news.bbc.co.uk" ->
+     * "bbc.co.uk", "cs.stanford.edu" -> "edu"), or null
+     */
+    lookup(domain) {
+        const labels = domain.split('.');
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            const entry = this.all().find(e => e.domain === candidate);
+            if (entry) return entry;
+        }
+        return null;
+    },
+
+    /**
+     * Every cited source, one per domain (or unlisted publication name):
+     * [{ kind ('link' | 'domain' | 'publication'), text, url, domain, name,
+     *    category, label, score, spans: [{ start, end, text }] }]
+     */
+    extract(text, segmentation) {
+        const sources = new Map();
+        const add = (key, source, span) => {
+            if (!sources.has(key)) sources.set(key, { ...source, spans: [] });
+            const existing = sources.get(key);
+            if (!existing.spans.some(s => s.start === span.start)) existing.spans.push(span);
+        };
+        const rate = (domain, entry) => {
+            const category = entry ? entry.category : 'unknown';
+            return { domain, name: entry ? entry.name : domain, category, label: this.CATEGORIES[category].label, score: this.CATEGORIES[category].score };
+        };
+        const covered = [];
+
+        segmentation.tokens.filter(token => token.type === 'url').forEach(token => {
+            const normalized = this.normalizeUrl(token.text);
+            if (!normalized) return;
+            covered.push(token);
+            add(normalized.domain, { kind: 'link', text: token.text, url: normalized.url, ...rate(normalized.domain, this.lookup(normalized.domain)) },
+                { start: token.start, end: token.end, text: token.text });
+        });
+
+        for (const match of text.matchAll(this.BARE_DOMAIN)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (covered.some(c => start < c.end && end > c.start)) continue;
+            const normalized = this.normalizeUrl(match[0]);
+            if (!normalized) continue;
+            covered.push({ start, end });
+            add(normalized.domain, { kind: 'domain', text: match[0], url: normalized.url, ...rate(normalized.domain, this.lookup(normalized.domain)) },
+                { start, end, text: match[0] });
+        }
+
+        // Publication names from the list, then unlisted journal-style names
+        this.all().forEach(entry => {
+            entry.aliases.forEach(alias => {
+                const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'gu');
+                for (const match of text.matchAll(pattern)) {
+                    const start = match.index;
+                    const end = start + match[0].length;
+                    if (covered.some(c => start < c.end && end > c.start)) continue;
+                    covered.push({ start, end });
+                    add(entry.domain, { kind: 'publication', text: match[0], url: null, ...rate(entry.domain, entry) },
+                        { start, end, text: match[0] });
+                }
+            });
+        });
+
+        for (const match of text.matchAll(this.PUBLICATION)) {
+            const name = match[0].replace(/ (?:and|of|for)$/, '');
+            const start = match.index;
+            const end = start + name.length;
+            if (covered.some(c => start < c.end && end > c.start)) continue;
+            add(`publication:${name.toLowerCase()}`, { kind: 'publication', text: name, url: null, ...rate(null, null), name },
+                { start, end, text: name });
+        }
+
+        return [...sources.values()].sort((a, b) => a.spans[0].start - b.spans[0].start);
+    },
+
+    /**
+     * Breakdown values for a set of sources: { score, confidence, listed, low }.
+     * score is null without sources. One known-misinformation or satire source
+     * caps the score, however many good sources sit next to it.
+     */
+    evaluate(sources) {
+        if (sources.length === 0) return { score: null, confidence: 0, listed: 0, low: [] };
+
+        const listed = sources.filter(s => s.category !== 'unknown');
+        const low = sources.filter(s => s.score < this.LOW_SCORE);
+        let score = sources.reduce((sum, s) => sum + s.score, 0) / sources.length;
+        if (low.length > 0) score = Math.min(score, Math.min(...low.map(s => s.score)) + 15);
+
+        return {
+            score: Math.round(score),
+            confidence: listed.length === 0 ? 0.15 : Math.min(0.8, 0.3 + 0.15 * listed.length),
+            listed: listed.length,
+            low
+        };
+    }
+};
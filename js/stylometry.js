@@ -0,0 +1,376 @@
+// ============================================
+// STYLOMETRY MODULE
+// Readability indices, function words, punctuation,
+// part-of-speech ratios, vocabulary statistics and
+// author profiles built from reference writing
+// ============================================
+
+const Stylometry = {
+    // Vowel groups used to estimate syllables in Latin-script languages
+    VOWELS: /[aeiouyàáâãäåæèéêëìíîïòóôõöøœùúûü]+/g,
+
+    // Punctuation marks profiled per 1000 words
+    PUNCTUATION: [
+        { mark: ',', label: 'Comma', pattern: /,/g },
+        { mark: '.', label: 'Period', pattern: /(?<!\.)\.(?!\.)/g },
+        { mark: ';', label: 'Semicolon', pattern: /;/g },
+        { mark: ':', label: 'Colon', pattern: /:(?!\/\/)/g },
+        { mark: '—', label: 'Em/en dash', pattern: /[—–]|\s-\s/g },
+        { mark: '( )', label: 'Parenthesis', pattern: /\(/g },
+        { mark: '" "', label: 'Quotation mark', pattern: /["“”«»„]/g },
+        { mark: '!', label: 'Exclamation', pattern: /!/g },
+        { mark: '?', label: 'Question', pattern: /\?/g },
+        { mark: '…', label: 'Ellipsis', pattern: /\.{3}|…/g }
+    ],
+
+    // Closed-class words of the lightweight English tagger
+    LEXICON: {
+        determiner: ['the', 'a', 'an', 'this', 'that', 'these', 'those', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'some', 'any', 'each', 'every', 'no', 'another', 'such'],
+        pronoun: ['i', 'me', 'you', 'he', 'him', 'she', 'it', 'we', 'us', 'they', 'them', 'myself', 'yourself', 'himself', 'herself', 'itself', 'ourselves', 'themselves', 'who', 'whom', 'someone', 'something', 'everyone', 'everything', 'nothing', 'anyone', 'anything', 'mine', 'yours', 'ours', 'theirs'],
+        preposition: ['of', 'to', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'about', 'into', 'over', 'after', 'before', 'under', 'between', 'through', 'during', 'without', 'within', 'against', 'among', 'across', 'toward', 'towards', 'upon', 'around', 'behind', 'beyond', 'despite', 'near', 'via'],
+        conjunction: ['and', 'but', 'or', 'nor', 'so', 'yet', 'because', 'although', 'though', 'while', 'whereas', 'if', 'unless', 'since', 'whether', 'than'],
+        auxiliary: ['is', 'am', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'shall', 'should', 'can', 'could', 'may', 'might', 'must']
+    },
+
+    // Open-class guesses by suffix, tried in order
+    SUFFIXES: [
+        { tag: 'adverb', pattern: /ly$/ },
+        { tag: 'noun', pattern: /(tion|sion|ment|ness|ity|ism|ship|ance|ence|hood|ist)s?$/ },
+        { tag: 'adjective', pattern: /(ous|ful|ive|able|ible|al|ic|less|ish|ary)$/ },
+        { tag: 'verb', pattern: /(ed|ing|ize|ise|ify|ate)s?$/ }
+    ],
+
+    CONTRACTION: /n't$|'(re|ve|ll|d|m)$|^(it|that|there|he|she|what|let|who|here)'s$/,
+
+    // Reference profiles are built from blocks of at least this many words
+    BLOCK_WORDS: 120,
+
+    /**
+     * Features compared against a reference profile. Each difference is measured
+     * against the larger of the author's own spread and a floor, so one reference
+     * block (or a feature the author never varies) cannot make it look extreme:
+     *   floor  fixed minimum spread
+     *   share  0-1 proportion - floor is its sampling error over the compared words
+     *   rate   per 1000 words - likewise
+     * Function-word (fw:) and punctuation (punct:) rates are added per item.
+     * Length-dependent measures (hapax rate, Yule's K) are left out.
+     */
+    PROFILE_FEATURES: [
+        { key: 'wordsPerSentence', label: 'Words per sentence', floor: 3 },
+        { key: 'sentenceLengthSd', label: 'Sentence length variation', floor: 3 },
+        { key: 'syllablesPerWord', label: 'Syllables per word', floor: 0.08 },
+        { key: 'functionWordShare', label: 'Function-word share', kind: 'share' },
+        { key: 'contractions', label: 'Contractions per 1000 words', kind: 'rate' },
+        { key: 'personalShare', label: 'First-person share', kind: 'share' },
+        { key: 'lexicalDensity', label: 'Lexical density', kind: 'share' }
+    ],
+
+    // Per-feature |z| is capped so a single odd feature cannot dominate
+    MAX_Z: 4,
+
+    /**
+     * Stylometric features of a segmented text (see Segmenter.segment).
+     * Returns { wordCount, readability, functionWords, punctuation, pos, hapaxRate,
+     * yulesK, contractionsPerThousand, personalShare, emDashes, emDashPerThousand, score,
+     * contributions: [{ feature, delta, note }] }. readability and pos are null
+     * where the language has no formula or tagger.
+     */
+    analyze(text, segmentation, language) {
+        const words = segmentation.words.filter(token => token.type === 'word' || token.type === 'abbr');
+        const total = Math.max(words.length, 1);
+        const perThousand = count => Math.round(count / total * 10000) / 10;
+        const english = language.code === 'en';
+
+        const counts = new Map();
+        words.forEach(token => counts.set(token.word, (counts.get(token.word) || 0) + 1));
+
+        const functionWords = this.functionWords(counts, language.pack.stopWords, total);
+        const personal = language.pack.personalWords.reduce((sum, word) => sum + (counts.get(word) || 0), 0);
+        const contractions = english ? words.filter(token => this.CONTRACTION.test(token.word)).length : null;
+        const emDashes = (text.match(/—/g) || []).length;
+
+        const features = {
+            wordCount: words.length,
+            readability: this.readability(words, segmentation.sentences, language.code),
+            functionWords,
+            punctuation: this.PUNCTUATION.map(({ mark, label, pattern }) => ({
+                mark,
+                label,
+                perThousand: perThousand((text.match(pattern) || []).length)
+            })),
+            pos: english ? this.tagRatios(words, segmentation.sentences) : null,
+            hapaxRate: Math.round([...counts.values()].filter(n => n === 1).length / total * 1000) / 1000,
+            yulesK: this.yulesK(counts, words.length),
+            contractionsPerThousand: contractions === null ? null : perThousand(contractions),
+            personalShare: Math.round(personal / total * 1000) / 1000,
+            emDashes,
+            emDashPerThousand: perThousand(emDashes)
+        };
+
+        return { ...features, ...this.score(features) };
+    },
+
+    /**
+     * The most discriminative features moved into a 5-95 authenticity score.
+     * AI prose tends to avoid contractions and first-person voice, leans on
+     * em dashes and packs more content words per sentence.
+     */
+    score(features) {
+        const contributions = [];
+        const add = (feature, delta, note) => contributions.push({ feature, delta, note });
+        const long = features.wordCount >= 150;
+
+        if (features.contractionsPerThousand !== null) {
+            if (features.contractionsPerThousand >= 8) add('Contractions', 10, 'Frequent contractions (informal voice)');
+            else if (features.contractionsPerThousand === 0 && long) add('Contractions', -8, 'No contractions in a long text');
+        }
+        if (features.personalShare >= 0.02) add('Personal voice', 8, 'Regular first-person references');
+        else if (features.personalShare === 0 && long) add('Personal voice', -5, 'No first-person references');
+        if (features.emDashes >= 3 && features.emDashPerThousand >= 6) add('Em dashes', -10, 'Heavy em-dash use (a common trait of AI-generated text)');
+        if (features.pos && features.pos.lexicalDensity > 0.62 && long) add('Lexical density', -5, 'Dense, noun-heavy wording');
+
+        const score = Math.max(5, Math.min(95, 60 + contributions.reduce((sum, c) => sum + c.delta, 0)));
+        return { score, contributions };
+    },
+
+    /**
+     * Flesch-Kincaid grade, Gunning Fog and SMOG (formulas calibrated on English;
+     * other Latin-script languages get the same formulas over vowel-group syllables)
+     */
+    readability(words, sentences, code) {
+        // Syllable counting needs a Latin-script language with a pack
+        if (code === 'hi' || !Object.prototype.hasOwnProperty.call(LanguagePacks, code) || words.length === 0) return null;
+        const alphabetic = words.filter(token => /\p{L}/u.test(token.text));
+        if (alphabetic.length === 0) return null;
+
+        const sentenceCount = Math.max(sentences.filter(s => s.wordCount > 0).length, 1);
+        let syllables = 0;
+        let polysyllables = 0;
+        let complex = 0;
+        alphabetic.forEach(token => {
+            const count = this.syllables(token.word, code);
+            syllables += count;
+            if (count >= 3) polysyllables++;
+            // Fog's "complex words" leave out names and words that only reach 3 syllables by inflection
+            const stem = token.word.replace(/(es|ed|ing)$/, '');
+            if (count >= 3 && this.syllables(stem, code) >= 3 && !/^\p{Lu}/u.test(token.text)) complex++;
+        });
+
+        const wordsPerSentence = alphabetic.length / sentenceCount;
+        const syllablesPerWord = syllables / alphabetic.length;
+        const round = value => Math.round(value * 10) / 10;
+
+        return {
+            fleschKincaid: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+            fleschEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+            gunningFog: round(0.4 * (wordsPerSentence + 100 * complex / alphabetic.length)),
+            smog: round(1.043 * Math.sqrt(polysyllables * 30 / sentenceCount) + 3.1291),
+            wordsPerSentence: round(wordsPerSentence),
+            syllablesPerWord: Math.round(syllablesPerWord * 100) / 100,
+            // SMOG is defined on 30 sentences; fewer make it a rough estimate
+            smogReliable: sentenceCount >= 30,
+            calibrated: code === 'en'
+        };
+    },
+
+    /**
+     * Vowel-group syllable estimate; English drops silent final e/es/ed ("made", "jumped" but not "wanted")
+     */
+    syllables(word, code) {
+        let w = word.toLowerCase().replace(/[^\p{L}]/gu, '');
+        if (w.length === 0) return 0;
+        if (code === 'en') {
+            if (w.length <= 3) return 1;
+            w = w.replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, match => match[0]).replace(/^y/, '');
+        }
+        return Math.max(1, (w.match(this.VOWELS) || []).length);
+    },
+
+    /**
+     * Share of function (stop) words, the ten most frequent and the rate of
+     * every one of them, per 1000 words
+     */
+    functionWords(counts, stopWords, total) {
+        const rates = {};
+        stopWords.forEach(word => { rates[word] = Math.round((counts.get(word) || 0) / total * 10000) / 10; });
+        const used = stopWords
+            .map(word => ({ word, count: counts.get(word) || 0 }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count);
+        const sum = used.reduce((s, entry) => s + entry.count, 0);
+
+        return {
+            share: Math.round(sum / total * 1000) / 1000,
+            top: used.slice(0, 10).map(({ word }) => ({ word, perThousand: rates[word] })),
+            rates
+        };
+    },
+
+    /**
+     * Part-of-speech shares from a closed-class lexicon, suffix rules and the
+     * previous tag. Capitalized words inside a sentence count as (proper) nouns.
+     */
+    tagRatios(words, sentences) {
+        const starts = new Set(sentences.map(s => s.start));
+        const lexicon = new Map();
+        Object.entries(this.LEXICON).forEach(([tag, list]) => list.forEach(word => lexicon.set(word, tag)));
+
+        const tally = { noun: 0, verb: 0, adjective: 0, adverb: 0, pronoun: 0, determiner: 0, preposition: 0, conjunction: 0, auxiliary: 0, other: 0 };
+        let previous = null;
+        words.forEach(token => {
+            let tag = lexicon.get(token.word);
+            if (!tag && /^\p{Lu}/u.test(token.text) && !starts.has(token.start)) tag = 'noun';
+            if (!tag) {
+                const rule = this.SUFFIXES.find(({ pattern }) => pattern.test(token.word));
+                if (rule) tag = rule.tag;
+            }
+            if (!tag) {
+                if (previous === 'determiner' || previous === 'adjective' || previous === 'preposition') tag = 'noun';
+                else if (previous === 'pronoun' || previous === 'auxiliary' || token.word === 'to') tag = 'verb';
+                else tag = 'other';
+            }
+            tally[tag]++;
+            previous = tag;
+        });
+
+        const total = Math.max(words.length, 1);
+        const ratios = {};
+        Object.entries(tally).forEach(([tag, count]) => { ratios[tag] = Math.round(count / total * 1000) / 1000; });
+        ratios.lexicalDensity = Math.round((tally.noun + tally.verb + tally.adjective + tally.adverb) / total * 1000) / 1000;
+        return ratios;
+    },
+
+    /**
+     * Flat feature map of a text for profile comparison ({ key: number })
+     */
+    vector(text, language) {
+        const segmentation = Segmenter.segment(text, language.code);
+        const features = this.analyze(text, segmentation, language);
+        const lengths = segmentation.sentences.map(s => s.wordCount).filter(n => n > 0);
+        const meanLength = lengths.reduce((a, b) => a + b, 0) / Math.max(lengths.length, 1);
+
+        const vector = {
+            wordsPerSentence: meanLength,
+            sentenceLengthSd: Math.sqrt(lengths.reduce((sum, n) => sum + Math.pow(n - meanLength, 2), 0) / Math.max(lengths.length, 1)),
+            syllablesPerWord: features.readability ? features.readability.syllablesPerWord : null,
+            functionWordShare: features.functionWords.share,
+            contractions: features.contractionsPerThousand,
+            personalShare: features.personalShare,
+            lexicalDensity: features.pos ? features.pos.lexicalDensity : null
+        };
+        Object.entries(features.functionWords.rates).forEach(([word, rate]) => { vector[`fw:${word}`] = rate; });
+        features.punctuation.forEach(p => { vector[`punct:${p.mark}`] = p.perThousand; });
+        return { vector, wordCount: features.wordCount };
+    },
+
+    /**
+     * Consecutive sentences grouped into blocks of at least minWords words;
+     * a short remainder joins the last block
+     */
+    blocks(text, code, minWords = this.BLOCK_WORDS) {
+        const blocks = [];
+        let current = null;
+        Segmenter.sentences(text, code).forEach(sentence => {
+            if (!current) current = { start: sentence.start, end: sentence.end, words: 0 };
+            current.end = sentence.end;
+            current.words += sentence.wordCount;
+            if (current.words >= minWords) {
+                blocks.push(current);
+                current = null;
+            }
+        });
+        if (current) {
+            if (blocks.length > 0 && current.words < minWords / 2) {
+                blocks[blocks.length - 1].end = current.end;
+                blocks[blocks.length - 1].words += current.words;
+            } else {
+                blocks.push(current);
+            }
+        }
+        return blocks.map(block => ({ ...block, text: text.slice(block.start, block.end) }));
+    },
+
+    /**
+     * Mean and spread of every feature over reference blocks:
+     * { features: { key: { mean, sd } }, blocks }
+     */
+    buildProfile(texts, language) {
+        const vectors = texts.flatMap(text =>
+            this.blocks(text, language.code).map(block => this.vector(block.text, language).vector)
+        );
+
+        const features = {};
+        const keys = new Set(vectors.flatMap(v => Object.keys(v)));
+        keys.forEach(key => {
+            const values = vectors.map(v => v[key]).filter(value => value !== null && value !== undefined);
+            if (values.length === 0) return;
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            const sd = values.length > 1
+                ? Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1))
+                : 0;
+            features[key] = { mean, sd };
+        });
+        return { features, blocks: vectors.length };
+    },
+
+    /**
+     * Compare a sample ({ vector, wordCount } from vector()) with a profile
+     * (a Burrows' Delta style mean |z|). Rates the author never uses that are
+     * also absent here are skipped.
+     * Returns { delta, similarity (0-100), features: [{ key, label, value, mean, z }] }
+     * with the features sorted from most to least divergent.
+     */
+    compare(sample, profile) {
+        const { vector, wordCount } = sample;
+        const n = Math.max(wordCount, 1);
+        const compared = [];
+        Object.entries(profile.features).forEach(([key, { mean, sd }]) => {
+            const value = vector[key];
+            if (value === null || value === undefined) return;
+            const definition = this.PROFILE_FEATURES.find(f => f.key === key);
+            const kind = definition ? definition.kind : 'rate';
+            if (kind === 'rate' && mean === 0 && value === 0) return;
+
+            let floor = definition && definition.floor;
+            if (kind) {
+                const scale = kind === 'rate' ? 1000 : 1;
+                const p = Math.min(Math.max((mean + value) / 2 / scale, 1 / n), 1 - 1 / n);
+                floor = scale * Math.sqrt(p * (1 - p) / n);
+            }
+            const z = (value - mean) / Math.max(sd, floor);
+            compared.push({ key, label: this.featureLabel(key), value: Math.round(value * 1000) / 1000, mean: Math.round(mean * 1000) / 1000, z: Math.round(z * 100) / 100 });
+        });
+
+        if (compared.length === 0) return { delta: null, similarity: null, features: [] };
+        const delta = compared.reduce((sum, f) => sum + Math.min(Math.abs(f.z), this.MAX_Z), 0) / compared.length;
+        compared.sort((a, b) => Math.abs(b.z) - Math.abs(a.z));
+        return {
+            delta: Math.round(delta * 100) / 100,
+            // delta ~0.5 reads like the same author, ~1.5 and above like someone else
+            similarity: Math.round(100 * Math.exp(-delta * delta / 2)),
+            features: compared
+        };
+    },
+
+    featureLabel(key) {
+        if (key.startsWith('fw:')) return `Use of "${key.slice(3)}"`;
+        if (key.startsWith('punct:')) {
+            const mark = this.PUNCTUATION.find(p => p.mark === key.slice(6));
+            return `${mark ? mark.label : key.slice(6)} rate`;
+        }
+        const definition = this.PROFILE_FEATURES.find(f => f.key === key);
+        return definition ? definition.label : key;
+    },
+
+    /**
+     * Yule's K: 10^4 * (sum of m^2 * V(m) - N) / N^2 - higher means more repetitive vocabulary
+     */
+    yulesK(counts, total) {
+        if (total === 0) return null;
+        const spectrum = new Map();
+        counts.forEach(n => spectrum.set(n, (spectrum.get(n) || 0) + 1));
+        let sum = 0;
+        spectrum.forEach((vocabulary, m) => { sum += m * m * vocabulary; });
+        return Math.round(10000 * (sum - total) / (total * total) * 10) / 10;
+    }
+};
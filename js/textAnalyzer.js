@@ -4,65 +4,170 @@
 // ============================================
 
 const TextAnalyzer = {
-    // Hugging Face models for text classification
-    MODELS: {
-        // AI text detection model
-        aiDetector: 'roberta-base-openai-detector',
-        // Alternative models
-        fakeNews: 'hamzab/roberta-fake-news-classification',
-        sentiment: 'distilbert-base-uncased-finetuned-sst-2-english'
-    },
+    // Models come from DetectorRegistry (inputType 'text')
 
     API_URL: 'https://api-inference.huggingface.co/models/',
 
+    // RoBERTa accepts 512 tokens; leave headroom for special tokens and estimate error
+    CHUNK_MAX_TOKENS: 448,
+    CHUNK_OVERLAP_TOKENS: 64,
+
+    // Confidence (0-1) of each kind of signal on a text of FULL_CONFIDENCE_WORDS
+    // or more; local heuristics scale down linearly on shorter texts
+    CONFIDENCE: {
+        model: 0.9,
+        languageModel: 0.6,
+        linguistic: 0.35,
+        stylometry: 0.3,
+        pattern: 0.3,
+        heuristic: 0.25
+    },
+    FULL_CONFIDENCE_WORDS: 150,
+
+    // The offline bigram model knows 6000 words of 19th/20th-century prose; words
+    // outside it read as surprising (human), so its confidence falls with the
+    // out-of-vocabulary rate and it is not scored at all from this rate on
+    MAX_OOV_RATE: 0.3,
+
+    // Sentence-length variance and type-token ratio mean nothing on fewer sentences
+    MIN_STATISTIC_SENTENCES: 3,
+
+    // Hidden/look-alike characters listed individually in the report (all are counted)
+    MAX_OBFUSCATION_FINDINGS: 200,
+
+    // Author-consistency mode: reference material below this is a rough profile,
+    // and paragraphs shorter than DRIFT_MIN_WORDS are not scored on the drift chart
+    MIN_REFERENCE_WORDS: 300,
+    DRIFT_MIN_WORDS: 30,
+
     /**
      * Main analysis function
      */
     async analyze(text, apiKey) {
         const results = {
             overallScore: 0,
+            verdict: null,
+            policy: null,
+            sourceText: text,
             wordCount: 0,
             sentenceCount: 0,
             perplexity: 'N/A',
             burstiness: 'N/A',
+            chunks: [],
+            chunkSpread: null,
+            languageModel: null,
+            stylometry: null,
+            language: null,
+            obfuscation: null,
+            watermark: null,
+            claims: null,
+            sources: null,
+            persuasion: null,
             breakdown: [],
-            warnings: []
+            warnings: [],
+            findings: []
+        };
+        // { message, spans: [{ start, end, text }] } for every regex/phrase match
+        const evidence = [];
+
+        // Identify the language first - every heuristic below depends on its phrase pack
+        const language = LanguageDetector.detect(text);
+        const pack = language.pack;
+        results.language = {
+            code: language.code,
+            name: language.name,
+            confidence: language.confidence,
+            supported: language.supported
         };
 
-        // Basic text stats
-        results.wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
-        results.sentenceCount = text.split(/[.!?]+/).filter(s => s.trim().length > 0).length;
+        if (!language.supported) {
+            results.warnings.push(`Unsupported language (${language.name}) - reduced confidence: phrase heuristics are not available for it`);
+        }
+        if (language.code !== 'en') {
+            results.warnings.push('AI detection models are trained on English text; model scores are less reliable for other languages');
+        }
 
-        // Run multiple analyses in parallel
-        const [aiDetection, linguisticAnalysis, patternAnalysis] = await Promise.allSettled([
-            this.detectAIContent(text, apiKey),
-            this.analyzeLinguistics(text),
-            this.analyzePatterns(text)
+        // Basic text stats - one segmentation shared by every metric so the counts agree
+        const segmentation = Segmenter.segment(text, language.code);
+        results.wordCount = segmentation.words.length;
+        results.sentenceCount = segmentation.sentences.length;
+
+        // Checkable claims and whether each has a source nearby
+        const claims = ClaimExtractor.extract(text, segmentation, language);
+        results.claims = claims;
+
+        // Cited links, domains and publications, rated against the domain reputation list
+        const sources = SourceReputation.extract(text, segmentation);
+        const sourceQuality = SourceReputation.evaluate(sources);
+        results.sources = { list: sources, ...sourceQuality };
+
+        // Emotional manipulation and persuasion techniques
+        const persuasion = PersuasionAnalyzer.analyze(text, segmentation, language);
+        results.persuasion = persuasion;
+
+        // Heuristics say little about short texts or languages without a phrase pack
+        const lengthFactor = Math.min(1, results.wordCount / this.FULL_CONFIDENCE_WORDS);
+        const packFactor = language.supported ? 1 : 0.5;
+        const modelConfidence = this.CONFIDENCE.model * (language.code === 'en' ? 1 : 0.6);
+
+        // Run every registered text detector alongside the local analyses
+        const detectors = DetectorRegistry.list('text');
+        const [linguisticAnalysis, patternAnalysis, ...detections] = await Promise.allSettled([
+            this.analyzeLinguistics(text, language, segmentation),
+            this.analyzePatterns(text, pack, segmentation, claims, sources),
+            ...detectors.map(detector => this.runDetector(detector, text, apiKey, language.code))
         ]);
 
-        // Process AI Detection results
-        let aiScore = 50; // Default neutral
-        if (aiDetection.status === 'fulfilled' && aiDetection.value) {
-            aiScore = aiDetection.value.humanScore;
+        // Process detector results
+        const answeredRoles = new Set();
+        detectors.forEach((detector, i) => {
+            const detection = detections[i].status === 'fulfilled' ? detections[i].value : null;
+            if (!detection) return;
+
+            answeredRoles.add(detector.role);
             results.breakdown.push({
-                name: 'AI Detection Model (RoBERTa)',
-                score: aiScore
+                name: detector.name,
+                signal: detector.role,
+                score: detection.score,
+                weight: detector.weight,
+                confidence: modelConfidence
             });
 
-            if (aiScore < 40) {
-                results.warnings.push('AI detection model indicates high probability of machine-generated content');
+            if (detector.warning && detection.score < detector.warning.below) {
+                results.warnings.push(detector.warning.message);
             }
-        } else {
-            // Fallback analysis if API fails
-            const fallback = this.fallbackAIDetection(text);
-            aiScore = fallback.score;
-            results.breakdown.push({
+
+            // The first AI detector that answers drives the chunk view
+            if (detector.role === 'aiDetection' && results.chunks.length === 0) {
+                results.chunks = detection.chunks;
+                results.chunkSpread = detection.spread;
+                if (results.chunks.length > 1 && results.chunkSpread.max - results.chunkSpread.min >= 40) {
+                    results.warnings.push('AI detection scores vary strongly between sections (possible partial rewrite)');
+                }
+            }
+
+            if (detector.role === 'sentiment') {
+                if (detection.probability < 0.1) {
+                    results.warnings.push('Strongly negative emotional tone (common in fear-driven misinformation)');
+                } else if (detection.probability > 0.95) {
+                    results.warnings.push('Uniformly positive, promotional tone');
+                }
+            }
+        });
+
+        // Heuristic fallbacks for the roles no detector could answer
+        if (!answeredRoles.has('aiDetection')) {
+            const fallback = this.fallbackAIDetection(text, language, segmentation);
+            results.breakdown.unshift({
                 name: 'AI Detection (Heuristic Fallback)',
-                score: aiScore
+                signal: 'aiDetectionHeuristic',
+                score: fallback.score,
+                confidence: this.CONFIDENCE.heuristic * lengthFactor * packFactor
             });
             if (fallback.warnings.length > 0) {
                 results.warnings.push(...fallback.warnings);
             }
+            evidence.push(...fallback.evidence);
         }
 
         // Process Linguistic Analysis
@@ -71,19 +176,56 @@ const TextAnalyzer = {
             results.perplexity = ling.perplexity;
             results.burstiness = ling.burstiness;
 
+            const linguisticConfidence = this.CONFIDENCE.linguistic * lengthFactor;
+
             results.breakdown.push({
                 name: 'Linguistic Diversity',
-                score: ling.diversityScore
+                signal: 'linguisticDiversity',
+                score: ling.diversityScore,
+                available: ling.vocabularyMeasured,
+                confidence: ling.vocabularyMeasured ? linguisticConfidence : 0
             });
 
+            // Sentence length spread needs a few sentences to mean anything
             results.breakdown.push({
                 name: 'Sentence Variation',
-                score: ling.variationScore
+                signal: 'sentenceVariation',
+                score: ling.variationScore,
+                available: ling.variationMeasured,
+                confidence: ling.variationMeasured ? linguisticConfidence : 0
             });
 
             results.breakdown.push({
                 name: 'Vocabulary Richness',
-                score: ling.vocabularyScore
+                signal: 'vocabularyRichness',
+                score: ling.vocabularyScore,
+                available: ling.vocabularyMeasured,
+                confidence: ling.vocabularyMeasured ? linguisticConfidence : 0
+            });
+
+            if (ling.languageModel) {
+                results.languageModel = ling.languageModel;
+                const coverage = Math.max(0, 1 - ling.languageModel.oovRate / this.MAX_OOV_RATE);
+                results.breakdown.push({
+                    name: 'Language Model Perplexity (offline)',
+                    signal: 'perplexity',
+                    score: ling.perplexityScore,
+                    available: coverage > 0,
+                    confidence: this.CONFIDENCE.languageModel * lengthFactor * coverage
+                });
+                if (coverage === 0) {
+                    results.warnings.push(`${Math.round(ling.languageModel.oovRate * 100)}% of the words are unknown to the offline language model - perplexity not scored`);
+                }
+            }
+
+            // Stylometric profile; with no discriminative feature firing it stays at its baseline
+            results.stylometry = ling.stylometry;
+            results.breakdown.push({
+                name: 'Stylometric Profile',
+                signal: 'stylometry',
+                score: ling.stylometry.score,
+                confidence: this.CONFIDENCE.stylometry * lengthFactor * packFactor *
+                    (ling.stylometry.contributions.length > 0 ? 1 : 0.5)
             });
 
             if (ling.warnings) {
@@ -91,359 +233,874 @@ const TextAnalyzer = {
             }
         }
 
+        // Hidden, bidi and look-alike characters inserted to dodge detectors
+        const obfuscation = ObfuscationDetector.analyze(text);
+        results.obfuscation = {
+            counts: obfuscation.counts,
+            total: obfuscation.findings.length,
+            findings: obfuscation.findings.slice(0, this.MAX_OBFUSCATION_FINDINGS)
+        };
+        // Finding such characters is strong evidence; not finding them says nothing.
+        // Never decisive: an evasion trick must not unlock a verdict the rest of
+        // the evidence cannot reach on its own.
+        const evading = obfuscation.findings.length > 0 && !obfuscation.cosmeticOnly;
+        results.breakdown.push({
+            name: 'Evasion Attempt (hidden / look-alike characters)',
+            signal: 'evasion',
+            score: obfuscation.score,
+            available: obfuscation.findings.length > 0,
+            confidence: obfuscation.findings.length === 0 ? 0 : evading ? 0.8 : 0.4
+        });
+        Object.entries(obfuscation.counts).forEach(([type, count]) => {
+            if (count === 0) return;
+            const label = ObfuscationDetector.LABELS[type][count === 1 ? 0 : 1];
+            const message = ObfuscationDetector.COSMETIC.includes(type)
+                ? `Contains ${count} ${label}`
+                : `Evasion attempt: ${count} ${label}`;
+            results.warnings.push(message);
+            evidence.push({ message, spans: obfuscation.findings.filter(f => f.type === type) });
+        });
+
+        // Green-list watermark test, on normalized text so hidden characters cannot split tokens
+        const watermark = WatermarkDetector.detect(ObfuscationDetector.normalize(text));
+        results.watermark = watermark;
+        results.breakdown.push(this.watermarkEntry(watermark));
+        if (watermark && watermark.detected) {
+            results.warnings.push(`Statistical watermark detected (${watermark.strength}, z = ${watermark.zScore}, ${Math.round(watermark.greenFraction * 100)}% green tokens)`);
+        } else if (watermark && watermark.zScore >= WatermarkDetector.getConfig().zThreshold / 2) {
+            results.warnings.push(`Weak watermark signal (z = ${watermark.zScore}) below the detection threshold`);
+        }
+
         // Process Pattern Analysis
         if (patternAnalysis.status === 'fulfilled') {
             const patterns = patternAnalysis.value;
+            const patternConfidence = this.CONFIDENCE.pattern * lengthFactor * packFactor;
 
+            // With no pattern hits the score is just the starting value - weak evidence
             results.breakdown.push({
                 name: 'Writing Pattern Naturalness',
-                score: patterns.naturalScore
+                signal: 'naturalness',
+                score: patterns.naturalScore,
+                confidence: patterns.naturalHits > 0 ? patternConfidence : patternConfidence / 2
             });
 
+            if (patterns.warnings) {
+                results.warnings.push(...patterns.warnings);
+            }
+            evidence.push(...patterns.evidence);
+        }
+
+        results.breakdown.push({
+            name: 'Source Quality',
+            signal: 'sourceQuality',
+            score: sourceQuality.score ?? 50,
+            confidence: sourceQuality.confidence,
+            available: sourceQuality.score !== null
+        });
+
+        results.breakdown.push({
+            name: 'Manipulation Techniques',
+            signal: 'manipulation',
+            score: persuasion.score ?? 50,
+            confidence: this.CONFIDENCE.pattern * lengthFactor,
+            available: persuasion.available
+        });
+        persuasion.techniques.filter(t => t.detected).forEach(technique => {
+            const message = `Persuasion technique: ${technique.label} (${technique.count} cue${technique.count === 1 ? '' : 's'})`;
+            results.warnings.push(message);
+            evidence.push({ message, spans: technique.spans });
+        });
+
+        // Misinformation fallback
+        if (!answeredRoles.has('fakeNews')) {
+            const misinformation = this.fallbackMisinformation(text, pack);
+            const misinformationConfidence = this.CONFIDENCE.heuristic * lengthFactor * packFactor;
             results.breakdown.push({
-                name: 'Content Credibility Signals',
-                score: patterns.credibilityScore
+                name: 'Misinformation Classifier (Heuristic Fallback)',
+                signal: 'fakeNewsHeuristic',
+                score: misinformation.score,
+                confidence: misinformation.hits > 0 ? misinformationConfidence : misinformationConfidence / 2
             });
+            results.warnings.push('Misinformation classifier unavailable - using pattern heuristics');
+        }
 
-            if (patterns.warnings) {
-                results.warnings.push(...patterns.warnings);
+        // Emotional tone fallback
+        if (!answeredRoles.has('sentiment')) {
+            const toneScore = this.fallbackTone(text, pack);
+            results.breakdown.push({
+                name: 'Emotional Tone (Heuristic Fallback)',
+                signal: 'sentimentHeuristic',
+                score: toneScore,
+                confidence: this.CONFIDENCE.heuristic * lengthFactor * packFactor
+            });
+            if (toneScore < 40) {
+                results.warnings.push('Heavy use of exclamations, capitals or loaded words');
             }
         }
 
-        // Calculate overall score
-        const scores = results.breakdown.map(b => b.score);
-        results.overallScore = Math.round(
-            scores.reduce((sum, s) => sum + s, 0) / scores.length
-        );
+        results.breakdown.forEach(entry => {
+            if (entry.confidence !== undefined) entry.confidence = Math.round(entry.confidence * 100) / 100;
+        });
+
+        // Calculate overall score and verdict under the active policy profile
+        const policy = PolicyProfiles.evaluate(results.breakdown, 'text');
+        results.overallScore = policy.score;
+        results.verdict = policy.verdict;
+        results.policy = policy;
+        policy.missing.forEach(signal => {
+            results.warnings.push(`Required signal "${signal}" unavailable under the ${policy.profile.name} profile`);
+        });
+        if (policy.verdict === 'insufficient') {
+            results.warnings.push('Too few reliable signals for a score - add an API key or analyze a longer text');
+        }
 
         // Remove duplicate warnings
         results.warnings = [...new Set(results.warnings)];
+        results.findings = this.buildFindings(results.warnings, evidence);
+
+        // Per-paragraph / per-sentence scores for the heatmap view, reusing the detector's chunk scores
+        results.paragraphs = this.analyzeSentences(text, results.chunks, language);
 
         return results;
     },
 
     /**
-     * Call Hugging Face API for AI content detection
+     * Author-consistency check: does the text read like the reference samples?
+     * references: [{ name, text }] known-authentic writing by the same author.
+     * Returns { similarity, delta, verdict ('consistent' | 'mixed' | 'inconsistent'),
+     * language, references, profileBlocks, divergent, features, paragraphs, warnings, sourceText }
+     * where paragraphs carry their own similarity (null when too short) for the drift chart.
      */
-    async detectAIContent(text, apiKey) {
-        try {
-            // Use OpenAI detector model
-            const response = await fetch(
-                `${this.API_URL}openai-community/roberta-base-openai-detector`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        inputs: text.substring(0, 2000) // Model has token limit
-                    })
-                }
-            );
+    compareToReference(text, references) {
+        if (!references || references.length === 0) {
+            throw new Error('Add at least one reference text');
+        }
+
+        const language = LanguageDetector.detect(text);
+        const warnings = [];
 
-            if (!response.ok) {
-                // Try alternate model
-                return await this.tryAlternateModel(text, apiKey);
+        const referenceInfo = references.map(ref => {
+            const refLanguage = LanguageDetector.detect(ref.text);
+            if (refLanguage.code !== language.code) {
+                warnings.push(`Reference "${ref.name}" looks like ${refLanguage.name}, the text like ${language.name} - features are not comparable across languages`);
             }
+            return { name: ref.name, words: Segmenter.words(ref.text, language.code).length };
+        });
 
-            const data = await response.json();
+        const referenceWords = referenceInfo.reduce((sum, ref) => sum + ref.words, 0);
+        if (referenceWords < this.MIN_REFERENCE_WORDS) {
+            warnings.push(`Only ${referenceWords} words of reference material - add more for a reliable profile (${this.MIN_REFERENCE_WORDS}+)`);
+        }
 
-            if (data.error) {
-                // Model might be loading
-                if (data.error.includes('loading')) {
-                    // Wait and retry
-                    await new Promise(r => setTimeout(r, 20000));
-                    return await this.detectAIContent(text, apiKey);
-                }
-                throw new Error(data.error);
+        const profile = Stylometry.buildProfile(references.map(ref => ref.text), language);
+        if (profile.blocks < 2) {
+            warnings.push('Reference material fits in one block, so the author\'s natural variation is guessed');
+        }
+
+        const overall = Stylometry.compare(Stylometry.vector(text, language), profile);
+        if (overall.similarity === null) {
+            throw new Error('No comparable features - is the text empty?');
+        }
+
+        // Paragraphs, or sentence blocks when the text is a single paragraph
+        const paragraphs = this.splitParagraphs(text);
+        const segments = paragraphs.length > 1 ? paragraphs : Stylometry.blocks(text, language.code, this.DRIFT_MIN_WORDS * 2);
+        const drift = segments.map(segment => {
+            const sample = Stylometry.vector(segment.text, language);
+            const similarity = sample.wordCount >= this.DRIFT_MIN_WORDS ? Stylometry.compare(sample, profile).similarity : null;
+            return { start: segment.start, end: segment.end, words: sample.wordCount, similarity };
+        });
+
+        return {
+            similarity: overall.similarity,
+            delta: overall.delta,
+            verdict: overall.similarity >= 60 ? 'consistent' : overall.similarity >= 35 ? 'mixed' : 'inconsistent',
+            language: { code: language.code, name: language.name },
+            references: referenceInfo,
+            profileBlocks: profile.blocks,
+            divergent: overall.features.filter(f => Math.abs(f.z) >= 1).slice(0, 5),
+            features: overall.features,
+            paragraphs: drift,
+            warnings,
+            sourceText: text
+        };
+    },
+
+    /**
+     * Sentence-level analysis for the heatmap.
+     * Each paragraph is scored as a whole (heuristics, plus the AI detector's
+     * scores for the chunks it falls in - no further model calls), then every
+     * sentence gets its own phrase-level score blended with its paragraph's.
+     */
+    analyzeSentences(text, chunks, language) {
+        return this.splitParagraphs(text).map(para => {
+            const fallback = this.fallbackAIDetection(para.text, language);
+            const patterns = this.scorePatterns(para.text, language.pack);
+            const parts = [fallback.score, patterns.naturalScore];
+            const reasons = [...fallback.warnings];
+
+            const model = this.chunkScoreFor(chunks, para.start, para.end);
+            if (model !== null) {
+                parts.push(model);
+                reasons.push(`AI detection model rates this part of the text ${model}% human`);
             }
 
-            // Parse results - model returns labels like "LABEL_0" (fake) and "LABEL_1" (real)
-            // or "Real" and "Fake"
-            let humanScore = 50;
-
-            if (Array.isArray(data) && Array.isArray(data[0])) {
-                const results = data[0];
-                for (const result of results) {
-                    const label = result.label.toLowerCase();
-                    if (label === 'real' || label === 'label_1') {
-                        humanScore = Math.round(result.score * 100);
-                    }
-                }
-            } else if (Array.isArray(data)) {
-                for (const result of data) {
-                    const label = result.label.toLowerCase();
-                    if (label === 'real' || label === 'label_1') {
-                        humanScore = Math.round(result.score * 100);
-                    }
-                }
+            const paragraphScore = Math.round(parts.reduce((a, b) => a + b, 0) / parts.length);
+
+            const sentences = Segmenter.sentences(para.text, language.code).map(sent => {
+                const own = this.scoreSentence(sent.text, language);
+                return {
+                    text: sent.text,
+                    start: para.start + sent.start,
+                    end: para.start + sent.end,
+                    score: Math.round((own.score + paragraphScore) / 2),
+                    reasons: own.reasons
+                };
+            });
+
+            return {
+                start: para.start,
+                end: para.end,
+                score: paragraphScore,
+                reasons: [...new Set(reasons)],
+                sentences
+            };
+        });
+    },
+
+    /**
+     * Phrase-level heuristics for a single sentence.
+     * Statistical checks (length variance, TTR) are meaningless on one sentence,
+     * so only the phrase lists and regex patterns are applied here.
+     */
+    scoreSentence(sentence, language) {
+        const pack = language.pack;
+        const lowerText = sentence.toLocaleLowerCase(language.code);
+        const words = LanguageDetector.tokenize(sentence, language.code).map(t => t.word);
+        const reasons = [];
+        let score = 75;
+
+        pack.formalPhrases.forEach(phrase => {
+            if (lowerText.includes(phrase)) {
+                score -= 8;
+                reasons.push(`Formal transitional phrase ("${phrase}")`);
             }
+        });
 
-            return { humanScore };
+        pack.sensationalWords.forEach(word => {
+            if (lowerText.includes(word)) {
+                score -= 10;
+                reasons.push(`Sensationalist wording ("${word}")`);
+            }
+        });
 
-        } catch (error) {
-            console.warn('AI Detection API error:', error);
-            return null;
+        const absoluteCount = this.countTerms(lowerText, words, pack.absoluteWords);
+        if (absoluteCount >= 2) {
+            score -= 6;
+            reasons.push('Several absolute/superlative words in one sentence');
         }
+
+        const patterns = this.scorePatterns(sentence, pack);
+        score += patterns.naturalDelta + patterns.credibilityDelta;
+        reasons.push(...patterns.hits);
+
+        if (this.countTerms(lowerText, words, pack.personalWords) > 0) {
+            score += 5;
+        }
+
+        score = Math.max(5, Math.min(95, score));
+        return { score, reasons };
     },
 
     /**
-     * Try alternative Hugging Face model
+     * Run the AI and misinformation regex patterns over a piece of text.
+     * Shared by analyzePatterns (whole document) and the sentence heatmap.
      */
-    async tryAlternateModel(text, apiKey) {
-        try {
-            const response = await fetch(
-                `${this.API_URL}Hello-SimpleAI/chatgpt-detector-roberta`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        inputs: text.substring(0, 2000)
-                    })
-                }
-            );
+    scorePatterns(text, pack) {
+        const hits = [];
+        let naturalDelta = 0;
+        let credibilityDelta = 0;
+
+        pack.aiPatterns.forEach(({ pattern, weight, msg }) => {
+            pattern.lastIndex = 0;
+            if (pattern.test(text)) {
+                naturalDelta += weight;
+                hits.push(msg || 'Matches a common AI phrasing pattern');
+            }
+        });
+
+        pack.misinfoPatterns.forEach(({ pattern, weight, msg }) => {
+            pattern.lastIndex = 0;
+            if (pattern.test(text)) {
+                credibilityDelta += weight;
+                hits.push(msg);
+            }
+        });
+
+        const naturalScore = Math.max(5, Math.min(95, 70 + naturalDelta));
+        return { naturalDelta, credibilityDelta, naturalScore, hits };
+    },
+
+    /**
+     * Split text into paragraphs (blank-line separated) with character offsets
+     */
+    splitParagraphs(text) {
+        const paragraphs = [];
+        for (const match of text.matchAll(/(?:[^\n]|\n(?![ \t]*\n))+/g)) {
+            const body = match[0].trim();
+            if (body.length === 0) continue;
+            const start = match.index + match[0].length - match[0].trimStart().length;
+            paragraphs.push({ text: body, start, end: start + body.length });
+        }
+        return paragraphs;
+    },
+
+    /**
+     * Run one registered detector over the whole text.
+     * Long input is split into overlapping, sentence-aligned windows that fit the
+     * detector's token limit; each window is classified separately and the window
+     * scores are combined as a token-weighted mean (see combineChunkScores).
+     * code is the text's language, for sentence boundaries.
+     */
+    async runDetector(detector, text, apiKey, code = 'en') {
+        const scored = [];
+
+        // Sequential on purpose - the free Inference API rate-limits parallel calls
+        for (const chunk of this.chunkText(text, detector.maxTokens, code)) {
+            const probability = await this.classifyChunk(detector, chunk.text, apiKey);
+            if (probability !== null) scored.push({ ...chunk, humanScore: Math.round(probability * 100) });
+        }
 
-            if (!response.ok) return null;
+        if (scored.length === 0) return null;
 
-            const data = await response.json();
-            let humanScore = 50;
+        const probability = this.combineChunkScores(scored) / 100;
+        return {
+            probability,
+            score: DetectorRegistry.toScore(detector, probability),
+            chunks: scored.map(({ start, end, tokens, humanScore }) => ({ start, end, tokens, humanScore })),
+            spread: this.chunkSpread(scored)
+        };
+    },
+
+    /**
+     * Rough RoBERTa BPE token estimate: one token per punctuation mark and
+     * roughly one per 4 characters of each word (short words are a single token).
+     */
+    estimateTokens(text) {
+        const pieces = text.match(/[\p{L}\p{N}']+|[^\s\p{L}\p{N}]/gu) || [];
+        return pieces.reduce((sum, piece) => sum + Math.max(1, Math.ceil(piece.length / 4)), 0);
+    },
 
-            if (Array.isArray(data) && data[0]) {
-                const results = Array.isArray(data[0]) ? data[0] : data;
-                for (const result of results) {
-                    const label = result.label.toLowerCase();
-                    if (label.includes('human') || label === 'label_0') {
-                        humanScore = Math.round(result.score * 100);
-                    }
+    /**
+     * Split text into sentence-aligned windows of at most maxTokens,
+     * each window repeating roughly CHUNK_OVERLAP_TOKENS of the previous one.
+     */
+    chunkText(text, maxTokens = this.CHUNK_MAX_TOKENS, code = 'en') {
+        const sentences = Segmenter.sentences(text, code).flatMap(sent =>
+            this.estimateTokens(sent.text) > maxTokens ? this.splitLongSentence(sent, maxTokens) : [sent]
+        );
+
+        if (sentences.length === 0) return [];
+
+        const chunks = [];
+        let first = 0;
+
+        while (first < sentences.length) {
+            let last = first;
+            let tokens = this.estimateTokens(sentences[first].text);
+            while (last + 1 < sentences.length) {
+                const next = this.estimateTokens(sentences[last + 1].text);
+                if (tokens + next > maxTokens) break;
+                tokens += next;
+                last++;
+            }
+
+            const start = sentences[first].start;
+            const end = sentences[last].end;
+            chunks.push({ text: text.slice(start, end), start, end, tokens });
+
+            if (last === sentences.length - 1) break;
+
+            // Step back over trailing sentences to build the overlap, but always advance
+            let nextFirst = last + 1;
+            let overlap = 0;
+            while (nextFirst - 1 > first) {
+                const prev = this.estimateTokens(sentences[nextFirst - 1].text);
+                if (overlap + prev > this.CHUNK_OVERLAP_TOKENS) break;
+                overlap += prev;
+                nextFirst--;
+            }
+            first = nextFirst;
+        }
+
+        return chunks;
+    },
+
+    /**
+     * Break a sentence that alone exceeds the token limit on word boundaries
+     */
+    splitLongSentence(sentence, maxTokens) {
+        const parts = [];
+        let partStart = null;
+        let partEnd = 0;
+        let tokens = 0;
+
+        for (const match of sentence.text.matchAll(/\S+/g)) {
+            const wordTokens = this.estimateTokens(match[0]);
+            if (partStart !== null && tokens + wordTokens > maxTokens) {
+                parts.push({ start: partStart, end: partEnd });
+                partStart = null;
+                tokens = 0;
+            }
+            if (partStart === null) partStart = match.index;
+            partEnd = match.index + match[0].length;
+            tokens += wordTokens;
+        }
+        if (partStart !== null) parts.push({ start: partStart, end: partEnd });
+
+        return parts.map(p => ({
+            text: sentence.text.slice(p.start, p.end),
+            start: sentence.start + p.start,
+            end: sentence.start + p.end
+        }));
+    },
+
+    /**
+     * Combine chunk scores as a mean weighted by each chunk's token count.
+     * Overlapping tokens are counted in both windows, so sentences at a
+     * boundary get slightly more weight - acceptable with a small overlap.
+     */
+    combineChunkScores(chunks) {
+        const totalTokens = chunks.reduce((sum, c) => sum + c.tokens, 0);
+        if (totalTokens === 0) return 50;
+        return Math.round(chunks.reduce((sum, c) => sum + c.humanScore * c.tokens, 0) / totalTokens);
+    },
+
+    /**
+     * Human score of the chunks overlapping start-end, weighted by how much of
+     * the range each covers; null when no scored chunk does
+     */
+    chunkScoreFor(chunks, start, end) {
+        let weighted = 0;
+        let covered = 0;
+        chunks.forEach(chunk => {
+            const overlap = Math.min(end, chunk.end) - Math.max(start, chunk.start);
+            if (overlap <= 0) return;
+            weighted += chunk.humanScore * overlap;
+            covered += overlap;
+        });
+        return covered > 0 ? Math.round(weighted / covered) : null;
+    },
+
+    /**
+     * Min / max / standard deviation of chunk scores
+     */
+    chunkSpread(chunks) {
+        const scores = chunks.map(c => c.humanScore);
+        const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+        const stdDev = Math.sqrt(scores.reduce((sum, s) => sum + Math.pow(s - mean, 2), 0) / scores.length);
+        return {
+            min: Math.min(...scores),
+            max: Math.max(...scores),
+            stdDev: Math.round(stdDev * 10) / 10
+        };
+    },
+
+    /**
+     * P(authentic) for one window from a detector's model, trying its
+     * fallback model if the primary one fails
+     */
+    async classifyChunk(detector, text, apiKey) {
+        const items = await this.queryClassifier(detector.model, text, apiKey);
+        if (items) return DetectorRegistry.authenticProbability(items, detector.labels, detector.labelMatch);
+
+        if (detector.fallback) {
+            const fallbackItems = await this.queryClassifier(detector.fallback.model, text, apiKey);
+            if (fallbackItems) {
+                return DetectorRegistry.authenticProbability(fallbackItems, detector.fallback.labels, detector.fallback.labelMatch);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Query a Hugging Face text-classification model and return a flat
+     * [{ label, score }] list (labels lowercased), or null on failure.
+     */
+    async queryClassifier(model, text, apiKey) {
+        try {
+            const response = await fetch(`${this.API_URL}${model}`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ inputs: text })
+            });
+
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || data.error) {
+                if (data.error && data.error.includes('loading')) {
+                    await new Promise(r => setTimeout(r, 20000));
+                    return await this.queryClassifier(model, text, apiKey);
                 }
+                throw new Error(data.error || `API error: ${response.status}`);
             }
 
-            return { humanScore };
-        } catch {
+            const items = Array.isArray(data) && Array.isArray(data[0]) ? data[0] : data;
+            if (!Array.isArray(items)) return null;
+
+            return items.map(item => ({ label: String(item.label).toLowerCase(), score: item.score }));
+        } catch (error) {
+            console.warn(`Classifier ${model} error:`, error);
             return null;
         }
     },
 
+    /**
+     * Count occurrences of pack terms: single words are matched against the
+     * token list, multi-word phrases against the lowercased text
+     */
+    countTerms(lowerText, words, terms) {
+        return terms.reduce((count, term) => {
+            if (term.includes(' ')) return count + lowerText.split(term).length - 1;
+            return count + words.filter(w => w === term).length;
+        }, 0);
+    },
+
+    /**
+     * Heuristic stand-in for the fake-news classifier.
+     * Returns the score and how many patterns/words fired.
+     */
+    fallbackMisinformation(text, pack) {
+        const lowerText = text.toLowerCase();
+        let score = 70;
+        let hits = 0;
+
+        pack.misinfoPatterns.forEach(({ pattern, weight }) => {
+            pattern.lastIndex = 0;
+            if (pattern.test(text)) {
+                score += weight;
+                hits++;
+            }
+        });
+        pack.sensationalWords.forEach(word => {
+            if (lowerText.includes(word)) {
+                score -= 5;
+                hits++;
+            }
+        });
+
+        return { score: Math.max(5, Math.min(95, score)), hits };
+    },
+
+    /**
+     * Heuristic stand-in for the sentiment model: exclamations, shouting and
+     * sensational vocabulary per 100 words
+     */
+    fallbackTone(text, pack) {
+        const words = Segmenter.words(text);
+        const exclamations = (text.match(/!/g) || []).length;
+        const shouting = words.filter(w => w.text.length > 3 && /^\p{Lu}+$/u.test(w.text)).length;
+        const lowerText = text.toLowerCase();
+        const loaded = pack.sensationalWords.filter(word => lowerText.includes(word)).length;
+
+        const intensity = (exclamations + shouting * 2 + loaded * 2) / Math.max(words.length, 1) * 100;
+        return Math.max(5, Math.min(95, Math.round(85 - intensity * 8)));
+    },
+
     /**
      * Fallback heuristic-based AI detection
      */
-    fallbackAIDetection(text) {
+    fallbackAIDetection(text, language, segmentation = Segmenter.segment(text, language.code)) {
+        const pack = language.pack;
         const warnings = [];
+        const evidence = [];
         let score = 75; // Start with slight lean toward authentic
 
-        const words = text.split(/\s+/);
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim());
+        const tokens = segmentation.words;
+        const words = tokens.map(t => t.word);
 
         // Check for repetitive sentence structure
-        const sentenceLengths = sentences.map(s => s.trim().split(/\s+/).length);
+        const sentenceLengths = segmentation.sentences.map(s => s.wordCount);
+        const statistical = words.length > 0 && sentenceLengths.length >= this.MIN_STATISTIC_SENTENCES;
         const avgLen = sentenceLengths.reduce((a, b) => a + b, 0) / sentenceLengths.length;
         const variance = sentenceLengths.reduce((sum, len) =>
             sum + Math.pow(len - avgLen, 2), 0) / sentenceLengths.length;
 
-        if (variance < 15) {
+        if (statistical && variance < 15) {
             score -= 15;
             warnings.push('Very uniform sentence lengths detected (common in AI text)');
         }
 
         // Check for overly formal/perfect grammar indicators
-        const formalPhrases = [
-            'it is important to note', 'it is worth mentioning',
-            'in conclusion', 'furthermore', 'moreover', 'additionally',
-            'it should be noted', 'one might argue', 'it is essential',
-            'in today\'s world', 'plays a crucial role',
-            'it is imperative', 'significantly', 'consequently'
-        ];
-
-        const lowerText = text.toLowerCase();
+        const lowerText = text.toLocaleLowerCase(language.code);
         let formalCount = 0;
-        formalPhrases.forEach(phrase => {
+        pack.formalPhrases.forEach(phrase => {
             if (lowerText.includes(phrase)) formalCount++;
         });
 
         if (formalCount > 3) {
             score -= 10;
-            warnings.push('Excessive use of formal transitional phrases');
+            const message = 'Excessive use of formal transitional phrases';
+            warnings.push(message);
+            evidence.push({ message, spans: this.termSpans(text, lowerText, pack.formalPhrases) });
         }
 
-        // Check for lack of personal voice
-        const personalWords = ['i ', 'my ', 'me ', 'i\'m', 'i\'ve', 'personally'];
-        let personalCount = 0;
-        personalWords.forEach(word => {
-            const regex = new RegExp(`\\b${word}\\b`, 'gi');
-            const matches = lowerText.match(regex);
-            if (matches) personalCount += matches.length;
-        });
-
         // Check vocabulary diversity (Type-Token Ratio)
-        const uniqueWords = new Set(words.map(w => w.toLowerCase().replace(/[^a-z]/g, '')));
-        const ttr = uniqueWords.size / words.length;
+        const uniqueWords = new Set(words);
+        const ttr = uniqueWords.size / Math.max(words.length, 1);
 
-        if (ttr < 0.4) {
+        if (statistical && ttr < 0.4) {
             score -= 10;
             warnings.push('Low vocabulary diversity detected');
         }
 
         // Check for sensationalist language (fake news indicator)
-        const sensationalWords = [
-            'shocking', 'unbelievable', 'you won\'t believe',
-            'breaking', 'urgent', 'secret', 'they don\'t want you to know',
-            'exposed', 'bombshell', 'mind-blowing', 'conspiracy',
-            'mainstream media', 'cover up', 'whistleblower'
-        ];
-
         let sensationalCount = 0;
-        sensationalWords.forEach(word => {
+        pack.sensationalWords.forEach(word => {
             if (lowerText.includes(word)) sensationalCount++;
         });
 
         if (sensationalCount > 2) {
             score -= 15;
-            warnings.push('Sensationalist language patterns detected (potential misinformation)');
+            const message = 'Sensationalist language patterns detected (potential misinformation)';
+            warnings.push(message);
+            evidence.push({ message, spans: this.termSpans(text, lowerText, pack.sensationalWords) });
         }
 
         // Check for excessive superlatives and absolutes
-        const absoluteWords = [
-            'always', 'never', 'every', 'all', 'none',
-            'completely', 'totally', 'absolutely', 'definitely',
-            'undoubtedly', 'certainly', 'obviously'
-        ];
-
-        let absoluteCount = 0;
-        absoluteWords.forEach(word => {
-            const regex = new RegExp(`\\b${word}\\b`, 'gi');
-            const matches = lowerText.match(regex);
-            if (matches) absoluteCount += matches.length;
-        });
+        const absoluteCount = this.countTerms(lowerText, words, pack.absoluteWords);
 
         if (absoluteCount > 5) {
             score -= 8;
-            warnings.push('Excessive use of absolute/superlative language');
+            const message = 'Excessive use of absolute/superlative language';
+            warnings.push(message);
+            evidence.push({ message, spans: this.termSpans(text, lowerText, pack.absoluteWords, tokens) });
         }
 
         score = Math.max(5, Math.min(95, score));
 
-        return { score, warnings };
+        return { score, warnings, evidence };
     },
 
     /**
      * Linguistic analysis
      */
-    async analyzeLinguistics(text) {
-        const words = text.split(/\s+/);
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim());
+    async analyzeLinguistics(text, language, segmentation = Segmenter.segment(text, language.code)) {
+        const sentences = segmentation.sentences;
         const warnings = [];
 
-        // Vocabulary Richness (Type-Token Ratio)
-        const cleanWords = words.map(w => w.toLowerCase().replace(/[^a-z']/g, '')).filter(w => w.length > 0);
+        // Vocabulary Richness (Type-Token Ratio); empty or whitespace-only text has none
+        const cleanWords = segmentation.words.map(t => t.word);
         const uniqueWords = new Set(cleanWords);
-        const ttr = uniqueWords.size / cleanWords.length;
-        const vocabularyScore = Math.round(Math.min(ttr * 130, 95));
+        const vocabularyMeasured = cleanWords.length > 0;
+        const ttr = vocabularyMeasured ? uniqueWords.size / cleanWords.length : 0;
+        const vocabularyScore = vocabularyMeasured ? Math.round(Math.min(ttr * 130, 95)) : 50;
 
         // Sentence Length Variation (Burstiness)
-        const sentenceLengths = sentences.map(s => s.trim().split(/\s+/).length);
-        const avgLen = sentenceLengths.reduce((a, b) => a + b, 0) / sentenceLengths.length;
+        const sentenceLengths = sentences.map(s => s.wordCount);
+        const avgLen = sentenceLengths.reduce((a, b) => a + b, 0) / Math.max(sentenceLengths.length, 1);
         const stdDev = Math.sqrt(
-            sentenceLengths.reduce((sum, len) => sum + Math.pow(len - avgLen, 2), 0) / sentenceLengths.length
+            sentenceLengths.reduce((sum, len) => sum + Math.pow(len - avgLen, 2), 0) / Math.max(sentenceLengths.length, 1)
         );
         const burstinessValue = Math.round(stdDev * 10) / 10;
         const variationScore = Math.round(Math.min(stdDev * 8, 95));
 
-        // Simulated perplexity (based on word frequency patterns)
-        const wordFreq = {};
-        cleanWords.forEach(w => { wordFreq[w] = (wordFreq[w] || 0) + 1; });
-        const frequencies = Object.values(wordFreq).sort((a, b) => b - a);
-        const topFreqRatio = frequencies.slice(0, 10).reduce((a, b) => a + b, 0) / cleanWords.length;
-        const perplexityValue = Math.round((1 - topFreqRatio) * 100);
+        // Perplexity under the bundled offline bigram model (trained on English only)
+        const languageModel = typeof LanguageModel !== 'undefined' && language.code === 'en'
+            ? LanguageModel.score(text, sentences)
+            : null;
+        const perplexityScore = languageModel ? this.perplexityToScore(languageModel.perplexity) : null;
 
-        // Diversity score (combination)
-        const diversityScore = Math.round((vocabularyScore + variationScore) / 2);
+        // Diversity score (combination); length spread is meaningless under 3 sentences
+        const variationMeasured = vocabularyMeasured && sentences.length >= 3;
+        const diversityScore = variationMeasured
+            ? Math.round((vocabularyScore + variationScore) / 2)
+            : vocabularyScore;
 
         // Generate warnings
-        if (variationScore < 35) {
+        if (variationMeasured && variationScore < 35) {
             warnings.push('Low sentence length variation (typical of AI-generated text)');
         }
 
-        if (vocabularyScore < 35) {
+        if (vocabularyMeasured && vocabularyScore < 35) {
             warnings.push('Limited vocabulary diversity');
         }
 
-        if (burstinessValue < 3) {
+        if (variationMeasured && burstinessValue < 3) {
             warnings.push('Unusually consistent writing rhythm');
         }
 
+        if (perplexityScore !== null && perplexityScore < 35 && languageModel.oovRate < this.MAX_OOV_RATE) {
+            warnings.push('Low perplexity under the offline language model (highly predictable word choice)');
+        }
+
+        // Stylometry stage: readability, function words, punctuation, POS ratios
+        const stylometry = Stylometry.analyze(text, segmentation, language);
+        stylometry.contributions.filter(c => c.delta <= -8).forEach(c => warnings.push(c.note));
+
+        let perplexity = 'N/A';
+        if (languageModel) {
+            const level = languageModel.perplexity > 700 ? 'High' : languageModel.perplexity > 300 ? 'Medium' : 'Low';
+            perplexity = `${languageModel.perplexity} (${level})`;
+        }
+
         return {
-            perplexity: perplexityValue > 60 ? 'High' : perplexityValue > 30 ? 'Medium' : 'Low',
+            perplexity,
+            perplexityScore,
+            languageModel,
             burstiness: burstinessValue > 6 ? 'High' : burstinessValue > 3 ? 'Medium' : 'Low',
             diversityScore,
             variationScore,
+            variationMeasured,
             vocabularyScore,
+            vocabularyMeasured,
+            stylometry,
             warnings
         };
     },
 
     /**
-     * Pattern analysis
+     * Map n-gram perplexity to a 5-95 authenticity score on a log scale
+     * between perplexity 150 and 1500. Unknown words inflate perplexity, so
+     * callers weigh the score by the out-of-vocabulary rate (MAX_OOV_RATE).
      */
-    async analyzePatterns(text) {
-        const lowerText = text.toLowerCase();
+    perplexityToScore(perplexity) {
+        const low = Math.log2(150);
+        const high = Math.log2(1500);
+        const position = (Math.log2(perplexity) - low) / (high - low);
+        return Math.round(Math.max(5, Math.min(95, 10 + position * 80)));
+    },
+
+    /**
+     * Breakdown entry for a WatermarkDetector result (null = too few tokens).
+     * A detected watermark is near-proof of generation; its absence only means
+     * the generator did not use this key and scheme, so it barely counts.
+     */
+    watermarkEntry(watermark) {
+        const entry = { name: 'Statistical Watermark (green-list z-test)', signal: 'watermark' };
+        if (!watermark) return { ...entry, score: 50, available: false };
+
+        const threshold = WatermarkDetector.getConfig().zThreshold;
+        if (watermark.detected) {
+            return { ...entry, score: Math.max(5, Math.round(35 - 5 * (watermark.zScore - threshold))), confidence: 0.95, decisive: true };
+        }
+        if (watermark.zScore >= threshold / 2) return { ...entry, score: 55, confidence: 0.3 };
+        // Human and unwatermarked AI text both show none, so its absence proves nothing
+        return { ...entry, score: 75, available: false };
+    },
+
+    /**
+     * Pattern analysis: the naturalness score, plus findings for misinformation
+     * patterns, low-reputation sources (from sources, a SourceReputation.extract()
+     * result) and unsourced high-impact claims (from claims, a
+     * ClaimExtractor.extract() result). Those findings are scored elsewhere.
+     */
+    async analyzePatterns(text, pack, segmentation = Segmenter.segment(text),
+        claims = ClaimExtractor.extract(text, segmentation, { code: 'en', pack }),
+        sources = SourceReputation.extract(text, segmentation)) {
         const warnings = [];
+        const evidence = [];
         let naturalScore = 70;
-        let credibilityScore = 70;
+        let naturalHits = 0;
 
         // Check for typical AI patterns
-        const aiPatterns = [
-            { pattern: /as an ai/gi, weight: -30, msg: 'Contains AI self-reference' },
-            { pattern: /i cannot|i can't (provide|generate|create)/gi, weight: -20, msg: 'Contains AI refusal patterns' },
-            { pattern: /\bdelve\b/gi, weight: -5, msg: 'Uses common AI vocabulary ("delve")' },
-            { pattern: /\blandscape\b.*\b(ever-changing|evolving|dynamic)\b/gi, weight: -5, msg: null },
-            { pattern: /in (today's|the modern|the current) (world|era|age|landscape)/gi, weight: -8, msg: 'Uses generic temporal phrases' },
-            { pattern: /it'?s (important|crucial|essential|vital) to (note|understand|recognize|remember)/gi, weight: -8, msg: null }
-        ];
-
-        aiPatterns.forEach(({ pattern, weight, msg }) => {
-            if (pattern.test(text)) {
+        pack.aiPatterns.forEach(({ pattern, weight, msg }) => {
+            const spans = this.matchSpans(text, pattern);
+            if (spans.length > 0) {
                 naturalScore += weight;
+                naturalHits++;
                 if (msg) warnings.push(msg);
+                evidence.push({ message: msg || 'Matches a common AI phrasing pattern', spans });
             }
         });
 
-        // Check for misinformation signals
-        const misinfoPatterns = [
-            { pattern: /share (this|before|with everyone)/gi, weight: -15, msg: 'Contains viral sharing prompts' },
-            { pattern: /(they|the government|media) (don'?t|doesn'?t|won'?t) (want|let) you (know|see)/gi, weight: -20, msg: 'Contains conspiracy language' },
-            { pattern: /100%|guaranteed|proven|scientifically proven/gi, weight: -10, msg: 'Makes absolute claims without sourcing' },
-            { pattern: /wake up|sheeple|open your eyes/gi, weight: -15, msg: 'Uses manipulation language' },
-            { pattern: /mainstream media|msm|big pharma|big tech/gi, weight: -10, msg: 'Uses anti-establishment rhetoric' }
-        ];
-
-        misinfoPatterns.forEach(({ pattern, weight, msg }) => {
-            if (pattern.test(text)) {
-                credibilityScore += weight;
+        // Misinformation patterns are findings here; fallbackMisinformation scores them
+        pack.misinfoPatterns.forEach(({ pattern, msg }) => {
+            const spans = this.matchSpans(text, pattern);
+            if (spans.length > 0) {
                 if (msg) warnings.push(msg);
+                evidence.push({ message: msg || 'Matches a misinformation pattern', spans });
             }
         });
 
-        // Check for proper sourcing
-        const hasLinks = /(https?:\/\/|www\.)/gi.test(text);
-        const hasSourceMention = /(according to|study (published|found|shows)|researchers? (at|from)|journal of|university of)/gi.test(text);
-        const hasQuotes = /[""].*?[""]|".*?"/g.test(text);
-
-        if (hasSourceMention || hasLinks) credibilityScore += 10;
-        if (hasQuotes) credibilityScore += 5;
+        // Sourcing is scored by the Source Quality entry
+        const lowSources = sources.filter(source => source.score < SourceReputation.LOW_SCORE);
+        if (lowSources.length > 0) {
+            const names = lowSources.map(source => `${source.name} (${SourceReputation.CATEGORIES[source.category].label.toLowerCase()})`);
+            const message = `Cites low-reputation source${lowSources.length === 1 ? '' : 's'}: ${names.join(', ')}`;
+            warnings.push(message);
+            evidence.push({ message, spans: lowSources.flatMap(source => source.spans) });
+        }
 
-        if (!hasSourceMention && !hasLinks && text.length > 500) {
-            credibilityScore -= 5;
-            warnings.push('No sources or references cited for claims made');
+        // Checkable claims with no source in or next to their sentence
+        const unsourced = claims.claims.filter(claim => !claim.source && claim.impact === 'high');
+        if (unsourced.length > 0) {
+            const message = `${unsourced.length} high-impact claim${unsourced.length === 1 ? '' : 's'} without a nearby source`;
+            warnings.push(message);
+            evidence.push({ message, spans: unsourced.map(claim => ({ start: claim.start, end: claim.end, text: claim.text })) });
         }
 
-        // Normalize scores
         naturalScore = Math.max(5, Math.min(95, naturalScore));
-        credibilityScore = Math.max(5, Math.min(95, credibilityScore));
 
-        return { naturalScore, credibilityScore, warnings };
+        return { naturalScore, naturalHits, warnings, evidence };
+    },
+
+    /**
+     * Character spans of every match of a pattern
+     */
+    matchSpans(text, pattern) {
+        const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+        return [...text.matchAll(new RegExp(pattern.source, flags))]
+            .filter(match => match[0].length > 0)
+            .map(match => ({ start: match.index, end: match.index + match[0].length, text: match[0] }));
+    },
+
+    /**
+     * Character spans of pack terms. Matches the counting rules used for scoring:
+     * substring search in the lowercased text, or whole tokens for single words
+     * when a token list is given (see countTerms).
+     */
+    termSpans(text, lowerText, terms, tokens = null) {
+        // Offsets into lowerText only line up if lowercasing kept the length
+        if (lowerText.length !== text.length) return [];
+
+        const spans = [];
+        terms.forEach(term => {
+            if (tokens && !term.includes(' ')) {
+                tokens.filter(t => t.word === term).forEach(t => spans.push({ start: t.start, end: t.end }));
+                return;
+            }
+            for (let at = lowerText.indexOf(term); at !== -1; at = lowerText.indexOf(term, at + term.length)) {
+                spans.push({ start: at, end: at + term.length });
+            }
+        });
+
+        return spans
+            .sort((a, b) => a.start - b.start)
+            .map(span => ({ ...span, text: text.slice(span.start, span.end) }));
+    },
+
+    /**
+     * One finding per warning, with the spans of every match that raised it.
+     * Matches whose pattern has no warning text become findings of their own.
+     */
+    buildFindings(warnings, evidence) {
+        const spansByMessage = new Map();
+        evidence.forEach(({ message, spans }) => {
+            const merged = spansByMessage.get(message) || [];
+            spans.forEach(span => {
+                if (!merged.some(s => s.start === span.start && s.end === span.end)) merged.push(span);
+            });
+            spansByMessage.set(message, merged.sort((a, b) => a.start - b.start));
+        });
+
+        const findings = warnings.map(message => ({ message, spans: spansByMessage.get(message) || [] }));
+        spansByMessage.forEach((spans, message) => {
+            if (!warnings.includes(message)) findings.push({ message, spans });
+        });
+        return findings;
     }
 };
\ No newline at end of file
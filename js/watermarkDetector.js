@@ -0,0 +1,240 @@
+// ============================================
+// WATERMARK DETECTOR MODULE
+// Green-list (Kirchenbauer et al. style) statistical
+// watermark test with its own tokenizer and hashing
+// ============================================
+
+const WatermarkDetector = {
+    STORAGE_KEY: 'truthlens-watermark',
+
+    /**
+     * Detector settings:
+     *   scheme        how the previous tokens seed the green list
+     *                 'lefthash' - the previous token only
+     *                 'minhash'  - smallest seed over the previous contextWidth tokens
+     *                 'sumhash'  - sum of the previous contextWidth token ids
+     *   key           secret key shared with the generator
+     *   gamma         expected green share of the vocabulary (0-1)
+     *   contextWidth  tokens of context for minhash/sumhash
+     *   zThreshold    z-score at or above which a watermark is reported
+     *   ignoreRepeated  score each (context, token) pair once
+     */
+    DEFAULTS: {
+        scheme: 'lefthash',
+        key: '15485863',
+        gamma: 0.25,
+        contextWidth: 1,
+        zThreshold: 4,
+        ignoreRepeated: true
+    },
+
+    SCHEMES: ['lefthash', 'minhash', 'sumhash'],
+
+    // Fewer scored tokens than this cannot give a meaningful z-score
+    MIN_TOKENS: 25,
+
+    /**
+     * Reference results (computed independently) for the self-test.
+     * The watermarked sample was generated by always picking the first
+     * green word from a fixed word list under the given settings.
+     */
+    TEST_VECTORS: [
+        {
+            name: 'Unwatermarked text (lefthash)',
+            config: { scheme: 'lefthash', key: '15485863', gamma: 0.25, contextWidth: 1, zThreshold: 4, ignoreRepeated: true },
+            text: 'Our town library reopened last Saturday after almost two years of repairs. The roof had leaked since the storm in 2021, and volunteers spent weeks moving books into a borrowed school gym. Maria, who has run the children\'s corner for a decade, said the new reading room is brighter but she misses the creaky floorboards. Opening hours stay the same: ten till six on weekdays, and the café next door is offering free coffee to anyone with a library card until the end of the month.',
+            expected: { tokensScored: 93, greenCount: 21, zScore: -0.54, detected: false }
+        },
+        {
+            name: 'Watermarked text (lefthash, gamma 0.25)',
+            config: { scheme: 'lefthash', key: '15485863', gamma: 0.25, contextWidth: 1, zThreshold: 4, ignoreRepeated: true },
+            text: 'the first the a to that and was with in on for as at were it are not but of by from this an have be they you we or there no which can when one more up all so out what if new into only than any about other them some time these now two many our like may could first over also such most even before then made did must after your where back through years way those much should because little each down well just people good how too very make get own world state work between another men see both same here know life being under while still last long day might came against never take',
+            expected: { tokensScored: 119, greenCount: 118, zScore: 18.68, detected: true }
+        },
+        {
+            name: 'Watermarked text, wrong key',
+            config: { scheme: 'lefthash', key: 'wrong-key', gamma: 0.25, contextWidth: 1, zThreshold: 4, ignoreRepeated: true },
+            text: 'the first the a to that and was with in on for as at were it are not but of by from this an have be they you we or there no which can when one more up all so out what if new into only than any about other them some time these now two many our like may could first over also such most even before then made did must after your where back through years way those much should because little each down well just people good how too very make get own world state work between another men see both same here know life being under while still last long day might came against never take',
+            expected: { tokensScored: 119, greenCount: 30, zScore: 0.05, detected: false }
+        },
+        {
+            name: 'Watermarked text (minhash, width 2, gamma 0.5)',
+            config: { scheme: 'minhash', key: '15485863', gamma: 0.5, contextWidth: 2, zThreshold: 4, ignoreRepeated: true },
+            text: 'the first the a of and to that was in it for on with as this at not are by but or be have they which you we when from an one were all so if can there out no more up what than them only other about into new time these could two may any like some our now over such most made first even also did then many before back where way down after must years should well your because through much those each state very people too little just how good make still own long world men',
+            expected: { tokensScored: 98, greenCount: 98, zScore: 9.9, detected: true }
+        }
+    ],
+
+    config: null,
+
+    getConfig() {
+        if (!this.config) {
+            this.config = { ...this.DEFAULTS };
+            try {
+                const saved = localStorage.getItem(this.STORAGE_KEY);
+                if (saved) this.config = this.validate(JSON.parse(saved));
+            } catch (error) {
+                console.warn('Ignoring invalid saved watermark settings:', error);
+            }
+        }
+        return this.config;
+    },
+
+    setConfig(settings) {
+        this.config = this.validate({ ...this.getConfig(), ...settings });
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.config));
+        return this.config;
+    },
+
+    reset() {
+        localStorage.removeItem(this.STORAGE_KEY);
+        this.config = { ...this.DEFAULTS };
+    },
+
+    /**
+     * Check settings and return a normalized copy. Throws on invalid values.
+     */
+    validate(settings) {
+        const s = { ...this.DEFAULTS, ...settings };
+        if (!this.SCHEMES.includes(s.scheme)) throw new Error(`Unknown hashing scheme "${s.scheme}"`);
+        if (String(s.key).length === 0) throw new Error('Watermark key is empty');
+
+        const gamma = Number(s.gamma);
+        if (!(gamma > 0 && gamma < 1)) throw new Error('Gamma must be between 0 and 1');
+        const contextWidth = Number(s.contextWidth);
+        if (!(Number.isInteger(contextWidth) && contextWidth >= 1 && contextWidth <= 8)) {
+            throw new Error('Context width must be a whole number from 1 to 8');
+        }
+        const zThreshold = Number(s.zThreshold);
+        if (!(zThreshold > 0)) throw new Error('z threshold must be positive');
+
+        return {
+            scheme: s.scheme,
+            key: String(s.key),
+            gamma,
+            contextWidth: s.scheme === 'lefthash' ? 1 : contextWidth,
+            zThreshold,
+            ignoreRepeated: s.ignoreRepeated !== false
+        };
+    },
+
+    /**
+     * Lowercased words (with inner apostrophes) and single punctuation marks
+     */
+    tokenize(text) {
+        return (text.normalize('NFC').toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*|[^\s\p{L}\p{N}]/gu) || [])
+            .map(token => token.replace(/’/g, '\''));
+    },
+
+    /**
+     * 32-bit FNV-1a over the UTF-8 bytes of a string
+     */
+    fnv1a(value) {
+        let hash = 0x811c9dc5;
+        for (const byte of new TextEncoder().encode(value)) {
+            hash ^= byte;
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * MurmurHash3 32-bit finalizer
+     */
+    mix(value) {
+        let h = value >>> 0;
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85ebca6b);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xc2b2ae35);
+        h ^= h >>> 16;
+        return h >>> 0;
+    },
+
+    /**
+     * Green-list seed for the token at position i (i >= contextWidth)
+     */
+    seedAt(ids, i, keyHash, config) {
+        const context = ids.slice(i - config.contextWidth, i);
+        if (config.scheme === 'minhash') {
+            return Math.min(...context.map(id => this.mix(keyHash ^ id)));
+        }
+        if (config.scheme === 'sumhash') {
+            const sum = context.reduce((total, id) => (total + id) >>> 0, 0);
+            return this.mix(keyHash ^ sum);
+        }
+        return this.mix(keyHash ^ ids[i - 1]);
+    },
+
+    isGreen(seed, id, gamma) {
+        return this.mix(seed ^ id) / 0x100000000 < gamma;
+    },
+
+    /**
+     * Run the z-test over a text.
+     * Returns { tokensScored, greenCount, greenFraction, zScore, pValue, detected,
+     * strength } or null when the text is too short to test.
+     */
+    detect(text, settings = this.getConfig()) {
+        const config = this.validate(settings);
+        const ids = this.tokenize(text).map(token => this.fnv1a(token));
+        const keyHash = this.fnv1a(config.key);
+
+        const seen = new Set();
+        let scored = 0;
+        let green = 0;
+        for (let i = config.contextWidth; i < ids.length; i++) {
+            const seed = this.seedAt(ids, i, keyHash, config);
+            if (config.ignoreRepeated) {
+                const pair = `${seed}:${ids[i]}`;
+                if (seen.has(pair)) continue;
+                seen.add(pair);
+            }
+            scored++;
+            if (this.isGreen(seed, ids[i], config.gamma)) green++;
+        }
+
+        if (scored < this.MIN_TOKENS) return null;
+
+        const expected = config.gamma * scored;
+        const zScore = (green - expected) / Math.sqrt(scored * config.gamma * (1 - config.gamma));
+        const detected = zScore >= config.zThreshold;
+
+        return {
+            tokensScored: scored,
+            greenCount: green,
+            greenFraction: Math.round(green / scored * 1000) / 1000,
+            zScore: Math.round(zScore * 100) / 100,
+            pValue: this.upperTail(zScore),
+            detected,
+            strength: !detected ? 'none' : zScore >= config.zThreshold * 2 ? 'strong' : zScore >= config.zThreshold * 1.5 ? 'moderate' : 'weak'
+        };
+    },
+
+    /**
+     * One-sided p-value P(Z >= z) for a standard normal
+     * (Abramowitz-Stegun 7.1.26 approximation of erfc)
+     */
+    upperTail(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erfc = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+        const tail = erfc / 2;
+        return z >= 0 ? tail : 1 - tail;
+    },
+
+    /**
+     * Check the tokenizer, hashing and z-test against the bundled vectors
+     */
+    selfTest() {
+        return this.TEST_VECTORS.map(vector => {
+            const result = this.detect(vector.text, vector.config);
+            const pass = result !== null &&
+                result.tokensScored === vector.expected.tokensScored &&
+                result.greenCount === vector.expected.greenCount &&
+                Math.abs(result.zScore - vector.expected.zScore) < 0.01 &&
+                result.detected === vector.expected.detected;
+            return { name: vector.name, pass, expected: vector.expected, actual: result };
+        });
+    }
+};
@@ -0,0 +1,152 @@
+// ============================================
+// ZIP READER MODULE
+// Lists and extracts entries of .zip archives (stored
+// and deflate) in the browser, without a library
+// ============================================
+
+const ZipReader = {
+    // Entries inflating to more than this are refused (zip bombs, huge media)
+    MAX_ENTRY_BYTES: 20 * 1024 * 1024,
+
+    SIGNATURES: {
+        endOfDirectory: 0x06054b50,
+        directoryEntry: 0x02014b50,
+        localHeader: 0x04034b50
+    },
+
+    crcTable: null,
+
+    /**
+     * Entries from the central directory:
+     * [{ name, method, flags, compressedSize, size, crc32, offset, directory, encrypted }]
+     */
+    entries(buffer) {
+        const view = new DataView(buffer);
+        const end = this.findEndOfDirectory(view);
+        const count = view.getUint16(end + 10, true);
+        let position = view.getUint32(end + 16, true);
+        if (position === 0xffffffff || count === 0xffff) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > view.byteLength || view.getUint32(position, true) !== this.SIGNATURES.directoryEntry) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            const flags = view.getUint16(position + 8, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const name = decoder.decode(new Uint8Array(buffer, position + 46, nameLength));
+
+            entries.push({
+                name,
+                method: view.getUint16(position + 10, true),
+                flags,
+                crc32: view.getUint32(position + 16, true),
+                compressedSize: view.getUint32(position + 20, true),
+                size: view.getUint32(position + 24, true),
+                offset: view.getUint32(position + 42, true),
+                directory: name.endsWith('/'),
+                encrypted: (flags & 1) === 1
+            });
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    },
+
+    /**
+     * The end-of-central-directory record sits in the last 22 bytes plus an
+     * optional comment of up to 64 KB
+     */
+    findEndOfDirectory(view) {
+        const last = view.byteLength - 22;
+        const first = Math.max(0, last - 0xffff);
+        for (let i = last; i >= first; i--) {
+            if (view.getUint32(i, true) === this.SIGNATURES.endOfDirectory) return i;
+        }
+        throw new Error('Not a ZIP archive');
+    },
+
+    /**
+     * Uncompressed bytes of an entry, checked against its CRC-32
+     */
+    async read(buffer, entry) {
+        if (entry.encrypted) throw new Error(`"${entry.name}" is encrypted`);
+        if (entry.size > this.MAX_ENTRY_BYTES) throw new Error(`"${entry.name}" is too large to extract`);
+
+        const view = new DataView(buffer);
+        if (view.getUint32(entry.offset, true) !== this.SIGNATURES.localHeader) {
+            throw new Error(`Corrupt ZIP entry "${entry.name}"`);
+        }
+        // The local header repeats name and extra field, with its own lengths
+        const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+        const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+        let bytes;
+        if (entry.method === 0) {
+            bytes = data.slice();
+        } else if (entry.method === 8) {
+            // The declared size is not trusted: inflation stops as soon as it is passed
+            bytes = await this.inflate(data, entry.size);
+            if (!bytes) throw new Error(`"${entry.name}" inflates to more than its declared size`);
+        } else {
+            throw new Error(`"${entry.name}" uses an unsupported compression method (${entry.method})`);
+        }
+
+        if (bytes.length !== entry.size || this.crc32(bytes) !== entry.crc32) {
+            throw new Error(`"${entry.name}" failed its integrity check`);
+        }
+        return bytes;
+    },
+
+    async readText(buffer, entry) {
+        return new TextDecoder().decode(await this.read(buffer, entry));
+    },
+
+    /**
+     * Deflate data inflated chunk by chunk, or null as soon as the output
+     * grows past limit bytes. format is a DecompressionStream format: raw
+     * deflate for ZIP entries, 'deflate' for zlib-wrapped data.
+     */
+    async inflate(data, limit, format = 'deflate-raw') {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+        const reader = stream.getReader();
+        const chunks = [];
+        let length = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            length += value.length;
+            if (length > Math.min(limit, this.MAX_ENTRY_BYTES)) {
+                await reader.cancel();
+                return null;
+            }
+            chunks.push(value);
+        }
+
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes;
+    },
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+};
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// ============================================
+// Builds js/data/ngramModel.js from plain-text corpus files.
+//
+// Usage:
+//   node tools/buildNgramModel.js <out.js> <file-or-dir> [...more]
+//
+// The bundled model was built from public-domain text:
+//   - Herman Melville, "Moby-Dick" (Project Gutenberg)
+//   - U.S. State of the Union addresses, 1945 onward (U.S. government works)
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const VOCAB_SIZE = 6000;
+const MIN_BIGRAM_COUNT = 3;
+const DISCOUNT = 0.75;
+
+// Reuse the runtime tokenizer so training and scoring agree
+const context = {};
+vm.createContext(context);
+vm.runInContext(
+    fs.readFileSync(path.join(__dirname, '..', 'js', 'languageModel.js'), 'utf8') + '\nthis.LanguageModel = LanguageModel;',
+    context
+);
+const { LanguageModel } = context;
+
+function collectFiles(target) {
+    const stat = fs.statSync(target);
+    if (stat.isFile()) return [target];
+    return fs.readdirSync(target)
+        .filter(name => name.endsWith('.txt'))
+        .sort()
+        .map(name => path.join(target, name));
+}
+
+function main() {
+    const [outFile, ...inputs] = process.argv.slice(2);
+    if (!outFile || inputs.length === 0) {
+        console.error('Usage: node tools/buildNgramModel.js <out.js> <file-or-dir> [...more]');
+        process.exit(1);
+    }
+
+    const sentences = [];
+    inputs.flatMap(collectFiles).forEach(file => {
+        const text = fs.readFileSync(file, 'utf8');
+        text.split(/[.!?]+\s+|\n\s*\n/).forEach(sentence => {
+            const tokens = LanguageModel.tokenize(sentence).map(t => t.token);
+            if (tokens.length > 0) sentences.push(tokens);
+        });
+    });
+
+    // Vocabulary: most frequent words, everything else becomes <unk>
+    const wordCounts = new Map();
+    sentences.forEach(tokens => tokens.forEach(t => wordCounts.set(t, (wordCounts.get(t) || 0) + 1)));
+    const vocab = [LanguageModel.BOS, LanguageModel.UNK].concat(
+        [...wordCounts.entries()]
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+            .slice(0, VOCAB_SIZE)
+            .map(([word]) => word)
+    );
+    const ids = new Map(vocab.map((word, i) => [word, i]));
+    const unk = ids.get(LanguageModel.UNK);
+    const bos = ids.get(LanguageModel.BOS);
+
+    const unigrams = new Array(vocab.length).fill(0);
+    const bigrams = new Map();
+    let totalTokens = 0;
+
+    sentences.forEach(tokens => {
+        let prev = bos;
+        tokens.forEach(word => {
+            const id = ids.has(word) ? ids.get(word) : unk;
+            unigrams[id]++;
+            totalTokens++;
+            if (!bigrams.has(prev)) bigrams.set(prev, new Map());
+            const next = bigrams.get(prev);
+            next.set(id, (next.get(id) || 0) + 1);
+            prev = id;
+        });
+    });
+
+    // Histories keep their full count, so LanguageModel.load() can hand the
+    // mass of pruned rare bigrams to the backoff weight
+    const histories = {};
+    for (const [prev, next] of bigrams) {
+        let count = 0;
+        const followers = [];
+        for (const [id, c] of next) {
+            count += c;
+            if (c >= MIN_BIGRAM_COUNT) followers.push(id, c);
+        }
+        histories[prev] = [count, next.size, followers];
+    }
+
+    const model = {
+        version: 1,
+        source: 'Moby-Dick (Project Gutenberg); U.S. State of the Union addresses 1945+',
+        discount: DISCOUNT,
+        totalTokens,
+        vocab,
+        unigrams,
+        histories
+    };
+
+    const output = [
+        '// ============================================',
+        '// BUNDLED N-GRAM MODEL (generated - do not edit)',
+        '// Built by tools/buildNgramModel.js from public-domain text:',
+        '// ' + model.source,
+        '// ============================================',
+        '',
+        'const NGRAM_MODEL = ' + JSON.stringify(model) + ';',
+        ''
+    ].join('\n');
+
+    fs.writeFileSync(outFile, output);
+    console.log(`Wrote ${outFile}: ${vocab.length} words, ${totalTokens} tokens, ${(output.length / 1024).toFixed(0)} KB`);
+}
+
+main();
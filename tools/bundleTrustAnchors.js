@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// ============================================
+// Bundles the published C2PA trust lists into
+// js/data/c2paTrustAnchors.js, so verification finds
+// trusted signers without downloading anything.
+//
+// Usage:
+//   node tools/bundleTrustAnchors.js             (downloads the lists in "sources")
+//   node tools/bundleTrustAnchors.js <file.pem> [...more]
+//
+// Anchors from an earlier run (those with a "source") are replaced;
+// certificates added by hand (no "source") are kept.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const DATA_FILE = path.join(__dirname, '..', 'js', 'data', 'c2paTrustAnchors.js');
+
+// Reuse the runtime certificate parser so bundled and imported anchors get the same names
+const context = { TextDecoder, atob, btoa };
+vm.createContext(context);
+['imageMetadata.js', 'data/c2paTrustAnchors.js', 'c2paVerifier.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), context);
+});
+vm.runInContext('this.C2paVerifier = C2paVerifier; this.C2PA_TRUST_ANCHORS = C2PA_TRUST_ANCHORS;', context);
+const { C2paVerifier, C2PA_TRUST_ANCHORS } = context;
+
+async function readSources(files) {
+    if (files.length > 0) {
+        return files.map(file => ({ name: path.basename(file, path.extname(file)), pem: fs.readFileSync(file, 'utf8') }));
+    }
+    const lists = [];
+    for (const source of C2PA_TRUST_ANCHORS.sources) {
+        const response = await fetch(source.url);
+        if (!response.ok) throw new Error(`${source.name}: HTTP ${response.status}`);
+        lists.push({ name: source.name, pem: await response.text() });
+    }
+    return lists;
+}
+
+async function main() {
+    const lists = await readSources(process.argv.slice(2));
+
+    const anchors = C2PA_TRUST_ANCHORS.anchors.filter(anchor => !anchor.source);
+    const known = new Set(anchors.map(anchor => anchor.pem));
+    let added = 0;
+    lists.forEach(list => {
+        C2paVerifier.pemCertificates(list.pem).forEach(der => {
+            const pem = C2paVerifier.toPem(der);
+            if (known.has(pem)) return;
+            try {
+                anchors.push({ name: C2paVerifier.signerName(C2paVerifier.parseCertificate(der)).name, pem, source: list.name });
+                known.add(pem);
+                added++;
+            } catch (error) {
+                console.warn(`Skipping an unreadable certificate in ${list.name}: ${error.message}`);
+            }
+        });
+    });
+    if (added === 0) throw new Error('No certificates in the trust lists');
+
+    const source = fs.readFileSync(DATA_FILE, 'utf8');
+    const start = source.indexOf('const C2PA_TRUST_ANCHORS = ');
+    const data = { ...C2PA_TRUST_ANCHORS, anchors };
+    fs.writeFileSync(DATA_FILE, source.slice(0, start) + 'const C2PA_TRUST_ANCHORS = ' + JSON.stringify(data, null, 4) + ';\n');
+    console.log(`Wrote ${DATA_FILE}: ${anchors.length} trust anchors`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});